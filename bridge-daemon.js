@@ -7,8 +7,12 @@ import { exec } from 'node:child_process';
 import fetch from 'node-fetch';
 import queueManager from './src/services/queue/Queue.js';
 import eventLog from './src/services/EventLog.js';
+import { encodeHistoryValue } from './src/services/eventHistory.js';
 import committer from './src/services/Committer.js';
+import { createLLMProvider, resolveLLMProfile, LLMProviderError } from './src/services/llmProviders/index.js';
+import { configureFileCache } from './src/services/offlineCache/fileBackend.js';
 import fs from 'fs';
+import path from 'path';
 import http from 'http';
 import https from 'https';
 // Lazily import the scheduler to avoid pulling UI store modules at startup
@@ -59,6 +63,8 @@ if (TRUST_PROXY) {
 
 // Broaden CORS in development so devices on the LAN can access the bridge via the UI origin
 app.use(cors({ origin: true }));
+// History batches can carry full universe snapshots
+app.use('/api/history/events', express.json({ limit: '50mb' }));
 app.use(express.json({ limit: '2mb' }));
 
 let bridgeStoreData = {
@@ -201,6 +207,30 @@ Hard rules
 - Never claim to have completed a write; say what you queued or intend to do. The Committer is the only writer.
 - Output ONLY JSON. No markdown, no code fences. Be concise and friendly in response.`;
 
+// Which model answers a request: the caller's API profile (context.apiConfig),
+// else the server defaults in REDSTRING_LLM_* (e.g. an on-prem Ollama), else
+// whatever the key's prefix implies. Throws a 403 LLMProviderError when the
+// caller names an endpoint the operator hasn't allowed
+function llmProfileFor(req, model = null) {
+  const apiKey = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  return resolveLLMProfile({ apiConfig: req.body?.context?.apiConfig, apiKey, model, env: process.env });
+}
+
+const canReachModel = (profile) => Boolean(profile.endpoint) && (!profile.requiresKey || Boolean(profile.apiKey));
+
+// One-shot completion for the agent's planning and short replies; '' when the
+// model fails so callers fall back to their canned text
+async function completeText(profile, { system, prompt, maxTokens, temperature }) {
+  try {
+    const provider = createLLMProvider(profile, { fetch });
+    const result = await provider.chat({ system, messages: [{ role: 'user', content: prompt }], maxTokens, temperature });
+    return String(result.text || '').trim();
+  } catch (error) {
+    logger.warn(`[AI] ${profile.provider} completion failed:`, error.message);
+    return '';
+  }
+}
+
 app.get('/health', (_req, res) => {
   res.json({ status: 'ok', source: 'bridge-daemon', timestamp: new Date().toISOString() });
 });
@@ -442,140 +472,87 @@ app.get('/api/bridge/check-save-trigger', (_req, res) => {
   res.json({ shouldSave: false });
 });
 
-// Chat endpoint with hidden system prompt and provider selection
+// Chat endpoint with hidden system prompt and provider selection.
+// Optional body fields: `history` (earlier LLMMessages), `tools` (LLMTools the
+// model may call; calls come back as toolCalls) and `stream: true` for
+// server-sent events ({ type: 'text' | 'tool_call' | 'done' | 'error' }).
 app.post('/api/ai/chat', async (req, res) => {
   try {
-    const { message, systemPrompt, context, model: requestedModel } = req.body || {};
+    const { message, systemPrompt, model: requestedModel, history, tools, stream } = req.body || {};
     if (!message) return res.status(400).json({ error: 'Message is required' });
     appendChat('user', message);
 
-    if (!req.headers.authorization) {
+    const profile = llmProfileFor(req, requestedModel);
+    if (!canReachModel(profile)) {
       return res.status(401).json({
         error: 'API key required',
         response: 'I need access to your AI API key. Pass it in the Authorization header.'
       });
     }
 
-    const apiKey = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
-    const effectiveSystemPrompt = [HIDDEN_SYSTEM_PROMPT + HIDDEN_DOMAIN_APPENDIX, systemPrompt].filter(Boolean).join('\n\n');
-
-    // Default provider/model
-    let provider = 'openrouter';
-    let endpoint = 'https://openrouter.ai/api/v1/chat/completions';
-    let model = 'anthropic/claude-3-sonnet-20240229';
-
-    if (context?.apiConfig) {
-      provider = context.apiConfig.provider || provider;
-      endpoint = context.apiConfig.endpoint || endpoint;
-      model = context.apiConfig.model || model;
-    } else {
-      if (apiKey.startsWith('claude-')) {
-        provider = 'anthropic';
-        endpoint = 'https://api.anthropic.com/v1/messages';
-        model = requestedModel || model;
-      }
-    }
+    const provider = createLLMProvider(profile, { fetch });
+    const abort = new AbortController();
+    res.on('close', () => { if (!res.writableEnded) abort.abort(); });
+    const request = {
+      system: [HIDDEN_SYSTEM_PROMPT + HIDDEN_DOMAIN_APPENDIX, systemPrompt].filter(Boolean).join('\n\n'),
+      messages: [...(Array.isArray(history) ? history : []), { role: 'user', content: message }],
+      tools: Array.isArray(tools) && tools.length ? tools : undefined,
+      signal: abort.signal
+    };
 
-    let aiResponse = '';
-
-    if (provider === 'anthropic') {
-      const r = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model,
-          max_tokens: context?.apiConfig?.settings?.max_tokens || 1000,
-          temperature: context?.apiConfig?.settings?.temperature || 0.7,
-          messages: [
-            { role: 'user', content: `${effectiveSystemPrompt}\n\nUser: ${message}` }
-          ]
-        })
+    if (stream) {
+      // Wait for the first event before answering, so a rejected request (e.g. a bad history) keeps its HTTP status
+      const events = provider.stream(request)[Symbol.asyncIterator]();
+      let next = await events.next();
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
       });
-      if (!r.ok) return res.status(r.status).send(await r.text());
-      const data = await r.json();
-      aiResponse = data?.content?.[0]?.text || '';
-    } else {
-      const r = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-          'HTTP-Referer': 'http://localhost:4000',
-          'X-Title': 'Redstring Knowledge Graph'
-        },
-        body: JSON.stringify({
-          model,
-          messages: [
-            { role: 'system', content: effectiveSystemPrompt },
-            { role: 'user', content: message }
-          ],
-          max_tokens: context?.apiConfig?.settings?.max_tokens || 1000,
-          temperature: context?.apiConfig?.settings?.temperature || 0.7
-        })
-      });
-      if (!r.ok) return res.status(r.status).send(await r.text());
-      const data = await r.json();
-      aiResponse = data?.choices?.[0]?.message?.content || '';
+      const send = (evt) => res.write(`data: ${JSON.stringify(evt)}\n\n`);
+      try {
+        for (; !next.done; next = await events.next()) {
+          const evt = next.value;
+          if (evt.type !== 'done') {
+            send(evt);
+            continue;
+          }
+          const { text, toolCalls, model } = evt.result;
+          appendChat('ai', text);
+          send({ type: 'done', response: text, toolCalls, provider: profile.provider, model });
+        }
+      } catch (err) {
+        if (err?.name !== 'AbortError') send({ type: 'error', error: String(err?.message || err) });
+      }
+      return res.end();
     }
 
-    let trimmed = String(aiResponse || '').trim();
-    if (!trimmed) {
+    let result = await provider.chat(request);
+    let trimmed = String(result.text || '').trim();
+    if (!trimmed && result.toolCalls.length === 0) {
       // One-shot retry with a stricter instruction to avoid blank replies
       try {
-        if (provider === 'anthropic') {
-          const r2 = await fetch(endpoint, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'x-api-key': apiKey,
-              'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-              model,
-              max_tokens: Math.min(400, context?.apiConfig?.settings?.max_tokens || 1000),
-              temperature: 0.2,
-              messages: [
-                { role: 'user', content: `${effectiveSystemPrompt}\n\nUser: ${message}\n\nReply with a concise sentence (not empty).` }
-              ]
-            })
-          });
-          if (r2.ok) { const d2 = await r2.json(); trimmed = String(d2?.content?.[0]?.text || '').trim(); }
-        } else {
-          const r2 = await fetch(endpoint, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${apiKey}`,
-              'HTTP-Referer': 'http://localhost:4000',
-              'X-Title': 'Redstring Knowledge Graph'
-            },
-            body: JSON.stringify({
-              model,
-              messages: [
-                { role: 'system', content: effectiveSystemPrompt },
-                { role: 'user', content: `${message}\n\nReply with a concise sentence (not empty).` }
-              ],
-              max_tokens: Math.min(400, context?.apiConfig?.settings?.max_tokens || 1000),
-              temperature: 0.2
-            })
-          });
-          if (r2.ok) { const d2 = await r2.json(); trimmed = String(d2?.choices?.[0]?.message?.content || '').trim(); }
-        }
+        result = await provider.chat({
+          ...request,
+          messages: [...request.messages.slice(0, -1), { role: 'user', content: `${message}\n\nReply with a concise sentence (not empty).` }],
+          maxTokens: Math.min(400, profile.settings.max_tokens),
+          temperature: 0.2
+        });
+        trimmed = String(result.text || '').trim();
       } catch {}
     }
 
-    if (!trimmed) {
+    if (!trimmed && result.toolCalls.length === 0) {
       // Guaranteed non-empty fallback (avoid alarming user-facing text)
       trimmed = 'I didn\'t get a response from the model. I\'ll keep your request in context—try again in a moment.';
       telemetry.push({ ts: Date.now(), type: 'agent_answer', text: trimmed, fallback: 'chat_empty_retry_failed' });
     }
     appendChat('ai', trimmed);
-    return res.json({ response: trimmed });
+    return res.json({ response: trimmed, toolCalls: result.toolCalls, provider: profile.provider, model: result.model });
   } catch (err) {
+    if (err instanceof LLMProviderError && err.status) {
+      return res.status(err.status).send(err.body || err.message);
+    }
     return res.status(500).json({ error: String(err?.message || err) });
   }
 });
@@ -585,6 +562,7 @@ app.post('/api/ai/agent', async (req, res) => {
   try {
     const body = req.body || {};
     if (body.message) appendChat('user', body.message, { channel: 'agent' });
+    const llm = llmProfileFor(req, body.model);
     const args = body.args || {};
     const conceptName = args.conceptName || body.conceptName || extractEntityName(body.message, 'New Concept');
     const cid = `cid-${Date.now()}-${Math.random().toString(36).slice(2,8)}`;
@@ -630,32 +608,9 @@ app.post('/api/ai/agent', async (req, res) => {
     // Model-steered planning (STRICT JSON)
     let planned = null;
     try {
-      if (req.headers.authorization) {
-        const apiKey = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
-        let provider = 'openrouter';
-        let endpoint = 'https://openrouter.ai/api/v1/chat/completions';
-        let model = 'anthropic/claude-3-sonnet-20240229';
-        if (apiKey.startsWith('claude-')) {
-          provider = 'anthropic';
-          endpoint = 'https://api.anthropic.com/v1/messages';
-        }
+      if (canReachModel(llm)) {
         const system = [HIDDEN_SYSTEM_PROMPT + HIDDEN_DOMAIN_APPENDIX, AGENT_PLANNER_PROMPT].join('\n\n');
-        let text = '';
-        if (provider === 'anthropic') {
-          const r = await fetch(endpoint, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
-            body: JSON.stringify({ model, max_tokens: 600, temperature: 0.6, messages: [ { role: 'user', content: `${system}\n\nUser: ${String(body.message || '')}` } ] })
-          });
-          if (r.ok) { const data = await r.json(); text = data?.content?.[0]?.text || ''; }
-        } else {
-          const r = await fetch(endpoint, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}`, 'HTTP-Referer': 'http://localhost:4000', 'X-Title': 'Redstring Knowledge Graph' },
-            body: JSON.stringify({ model, max_tokens: 600, temperature: 0.6, messages: [ { role: 'system', content: system }, { role: 'user', content: String(body.message || '') } ] })
-          });
-          if (r.ok) { const data = await r.json(); text = data?.choices?.[0]?.message?.content || ''; }
-        }
+        const text = await completeText(llm, { system, prompt: String(body.message || ''), maxTokens: 600, temperature: 0.6 });
         try { planned = JSON.parse(text); } catch {
           const m = text.match(/```json\s*([\s\S]*?)```/i);
           if (m) { try { planned = JSON.parse(m[1]); } catch {} }
@@ -719,50 +674,22 @@ app.post('/api/ai/agent', async (req, res) => {
         let text = (typeof planned?.response === 'string') ? planned.response.trim() : '';
         if (!text) {
           // Require API key for model-generated text; otherwise return a clear requirement message
-          if (!req.headers.authorization) {
+          if (!canReachModel(llm)) {
             const msg = 'I need your AI API key (Authorization: Bearer …) to reply.';
             telemetry.push({ ts: Date.now(), type: 'agent_answer', cid, graphId: targetGraphId, text: msg, needs_key: true });
             appendChat('ai', msg, { cid, channel: 'agent' });
             return res.json({ success: true, response: msg, toolCalls: [], cid });
           }
-          try {
-            const apiKey = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
-            let provider = 'openrouter';
-            let endpoint = 'https://openrouter.ai/api/v1/chat/completions';
-            let model = 'anthropic/claude-3-sonnet-20240229';
-            if (body?.context?.apiConfig) {
-              provider = body.context.apiConfig.provider || provider;
-              endpoint = body.context.apiConfig.endpoint || endpoint;
-              model = body.context.apiConfig.model || model;
-            } else if (apiKey.startsWith('claude-') || apiKey.startsWith('sk-ant-')) {
-              provider = 'anthropic';
-              endpoint = 'https://api.anthropic.com/v1/messages';
-            }
-            const basePrompt = 'Reply briefly to a greeting. Do not list capabilities.';
-            // First attempt
-            if (provider === 'anthropic') {
-              const r = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }, body: JSON.stringify({ model, max_tokens: 40, temperature: 0.2, messages: [ { role: 'user', content: basePrompt } ] }) });
-              if (r.ok) { const data = await r.json(); text = (data?.content?.[0]?.text || '').trim(); }
-            } else {
-              const r = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}`, 'HTTP-Referer': 'http://localhost:4000', 'X-Title': 'Redstring Knowledge Graph' }, body: JSON.stringify({ model, max_tokens: 40, temperature: 0.2, messages: [ { role: 'user', content: basePrompt } ] }) });
-              if (r.ok) { const data = await r.json(); text = (data?.choices?.[0]?.message?.content || '').trim(); }
-            }
-            // One-shot retry if empty
-            if (!text) {
-              const retryPrompt = basePrompt + ' Reply with a non-empty sentence.';
-              if (provider === 'anthropic') {
-                const r2 = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }, body: JSON.stringify({ model, max_tokens: 60, temperature: 0.2, messages: [ { role: 'user', content: retryPrompt } ] }) });
-                if (r2.ok) { const d2 = await r2.json(); text = (d2?.content?.[0]?.text || '').trim(); }
-              } else {
-                const r2 = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}`, 'HTTP-Referer': 'http://localhost:4000', 'X-Title': 'Redstring Knowledge Graph' }, body: JSON.stringify({ model, max_tokens: 60, temperature: 0.2, messages: [ { role: 'user', content: retryPrompt } ] }) });
-                if (r2.ok) { const d2 = await r2.json(); text = (d2?.choices?.[0]?.message?.content || '').trim(); }
-              }
-            }
-          } catch {}
+          const basePrompt = 'Reply briefly to a greeting. Do not list capabilities.';
+          text = await completeText(llm, { prompt: basePrompt, maxTokens: 40, temperature: 0.2 });
+          // One-shot retry if empty
+          if (!text) {
+            text = await completeText(llm, { prompt: basePrompt + ' Reply with a non-empty sentence.', maxTokens: 60, temperature: 0.2 });
+          }
         }
         if (!text) {
           const msg = 'What will we make today?';
-          telemetry.push({ ts: Date.now(), type: 'agent_answer', cid, graphId: targetGraphId, text: msg, fallback: 'model_empty_retry_failed', provider: (body?.context?.apiConfig?.provider)||null, model: (body?.context?.apiConfig?.model)||null });
+          telemetry.push({ ts: Date.now(), type: 'agent_answer', cid, graphId: targetGraphId, text: msg, fallback: 'model_empty_retry_failed', provider: llm.provider, model: llm.model });
           appendChat('ai', msg, { cid, channel: 'agent' });
           return res.json({ success: true, response: msg, toolCalls: [], cid });
         }
@@ -776,51 +703,23 @@ app.post('/api/ai/agent', async (req, res) => {
       if (!wantsStatus) {
         let text = (typeof planned?.response === 'string') ? planned.response.trim() : '';
         if (!text) {
-          if (!req.headers.authorization) {
+          if (!canReachModel(llm)) {
             const msg = 'I need your AI API key (Authorization: Bearer …) to reply.';
             telemetry.push({ ts: Date.now(), type: 'agent_answer', cid, graphId: targetGraphId, text: msg, needs_key: true });
             appendChat('ai', msg, { cid, channel: 'agent' });
             return res.json({ success: true, response: msg, toolCalls: [], cid });
           }
-          try {
-            const apiKey = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
-            let provider = 'openrouter';
-            let endpoint = 'https://openrouter.ai/api/v1/chat/completions';
-            let model = 'anthropic/claude-3-sonnet-20240229';
-            if (body?.context?.apiConfig) {
-              provider = body.context.apiConfig.provider || provider;
-              endpoint = body.context.apiConfig.endpoint || endpoint;
-              model = body.context.apiConfig.model || model;
-            } else if (apiKey.startsWith('claude-') || apiKey.startsWith('sk-ant-')) {
-              provider = 'anthropic';
-              endpoint = 'https://api.anthropic.com/v1/messages';
-            }
-            const basePrompt = `Reply briefly to: ${msgText}`;
-            // First attempt
-            if (provider === 'anthropic') {
-              const r = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }, body: JSON.stringify({ model, max_tokens: 60, temperature: 0.2, messages: [ { role: 'user', content: basePrompt } ] }) });
-              if (r.ok) { const data = await r.json(); text = (data?.content?.[0]?.text || '').trim(); }
-            } else {
-              const r = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}`, 'HTTP-Referer': 'http://localhost:4000', 'X-Title': 'Redstring Knowledge Graph' }, body: JSON.stringify({ model, max_tokens: 60, temperature: 0.2, messages: [ { role: 'user', content: basePrompt } ] }) });
-              if (r.ok) { const data = await r.json(); text = (data?.choices?.[0]?.message?.content || '').trim(); }
-            }
-            // One-shot retry if empty
-            if (!text) {
-              const retryPrompt = basePrompt + ' Reply with a non-empty sentence.';
-              if (provider === 'anthropic') {
-                const r2 = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }, body: JSON.stringify({ model, max_tokens: 80, temperature: 0.2, messages: [ { role: 'user', content: retryPrompt } ] }) });
-                if (r2.ok) { const d2 = await r2.json(); text = (d2?.content?.[0]?.text || '').trim(); }
-              } else {
-                const r2 = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}`, 'HTTP-Referer': 'http://localhost:4000', 'X-Title': 'Redstring Knowledge Graph' }, body: JSON.stringify({ model, max_tokens: 80, temperature: 0.2, messages: [ { role: 'user', content: retryPrompt } ] }) });
-                if (r2.ok) { const d2 = await r2.json(); text = (d2?.choices?.[0]?.message?.content || '').trim(); }
-              }
-              if (!text) telemetry.push({ ts: Date.now(), type: 'agent_answer', cid, graphId: targetGraphId, text: '[empty_after_retry]', fallback: 'agent_qa_retry_failed' });
-            }
-          } catch {}
+          const basePrompt = `Reply briefly to: ${msgText}`;
+          text = await completeText(llm, { prompt: basePrompt, maxTokens: 60, temperature: 0.2 });
+          // One-shot retry if empty
+          if (!text) {
+            text = await completeText(llm, { prompt: basePrompt + ' Reply with a non-empty sentence.', maxTokens: 80, temperature: 0.2 });
+            if (!text) telemetry.push({ ts: Date.now(), type: 'agent_answer', cid, graphId: targetGraphId, text: '[empty_after_retry]', fallback: 'agent_qa_retry_failed' });
+          }
         }
         if (!text) {
           const msg = 'What will we make today?';
-          telemetry.push({ ts: Date.now(), type: 'agent_answer', cid, graphId: targetGraphId, text: msg, fallback: 'model_empty_retry_failed', provider: (body?.context?.apiConfig?.provider)||null, model: (body?.context?.apiConfig?.model)||null });
+          telemetry.push({ ts: Date.now(), type: 'agent_answer', cid, graphId: targetGraphId, text: msg, fallback: 'model_empty_retry_failed', provider: llm.provider, model: llm.model });
           appendChat('ai', msg, { cid, channel: 'agent' });
           return res.json({ success: true, response: msg, toolCalls: [], cid });
         }
@@ -1040,33 +939,10 @@ app.post('/api/ai/agent', async (req, res) => {
       // Try to ask the model for a short JSON list of concepts
       let concepts = [];
       try {
-        if (req.headers.authorization) {
-          const apiKey = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
-          let provider = 'openrouter';
-          let endpoint = 'https://openrouter.ai/api/v1/chat/completions';
-          let model = 'anthropic/claude-3-sonnet-20240229';
-          if (apiKey.startsWith('claude-')) {
-            provider = 'anthropic';
-            endpoint = 'https://api.anthropic.com/v1/messages';
-          }
+        if (canReachModel(llm)) {
           const instruction = 'Return ONLY JSON of the form { "concepts": ["Name1","Name2",...] } with 5-8 concise domain-relevant items.';
           const userPrompt = `Extract key components to populate a knowledge graph about: ${msgText}. ${instruction}`;
-          let text = '';
-          if (provider === 'anthropic') {
-            const r = await fetch(endpoint, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
-              body: JSON.stringify({ model, max_tokens: 300, temperature: 0.2, messages: [ { role: 'user', content: userPrompt } ] })
-            });
-            if (r.ok) { const data = await r.json(); text = data?.content?.[0]?.text || ''; }
-          } else {
-            const r = await fetch(endpoint, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}`, 'HTTP-Referer': 'http://localhost:4000', 'X-Title': 'Redstring Knowledge Graph' },
-              body: JSON.stringify({ model, max_tokens: 300, temperature: 0.2, messages: [ { role: 'system', content: 'You extract lists.' }, { role: 'user', content: userPrompt } ] })
-            });
-            if (r.ok) { const data = await r.json(); text = data?.choices?.[0]?.message?.content || ''; }
-          }
+          const text = await completeText(llm, { system: 'You extract lists.', prompt: userPrompt, maxTokens: 300, temperature: 0.2 });
           try {
             const json = JSON.parse(text);
             if (Array.isArray(json?.concepts)) concepts = json.concepts.map(s => String(s)).filter(s => s.trim().length > 0).slice(0, 8);
@@ -1355,6 +1231,9 @@ app.post('/api/ai/agent', async (req, res) => {
       cid
     });
   } catch (err) {
+    if (err instanceof LLMProviderError && err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
     return res.status(500).json({ success: false, error: String(err?.message || err) });
   }
 });
@@ -1402,6 +1281,8 @@ const startBridgeListener = () => {
   return netServer;
 };
 
+// Lookups (SPARQL, RDF, enrichment) persist across daemon restarts
+configureFileCache();
 let server = startBridgeListener();
 
 // -----------------------
@@ -1555,6 +1436,8 @@ app.get('/events/stream', (req, res) => {
     'Access-Control-Allow-Origin': '*'
   });
   const send = (evt) => {
+    // Snapshots are whole universes; clients fetch them through /api/history instead
+    if (evt.type === 'UNIVERSE_SNAPSHOT') return;
     try {
       res.write(`event: ${evt.type}\n`);
       res.write(`data: ${JSON.stringify(evt)}\n\n`);
@@ -1595,6 +1478,102 @@ app.get('/events/stream', (req, res) => {
   });
 });
 
+// Store history: the UI records every mutation (with actor and timestamp) here
+app.post('/api/history/events', (req, res) => {
+  try {
+    const { events } = req.body || {};
+    if (!Array.isArray(events)) return res.status(400).json({ ok: false, error: 'events[] required' });
+    const valid = events.filter(e => e && (e.type === 'STORE_MUTATION' || e.type === 'UNIVERSE_SNAPSHOT') && Number.isFinite(e.ts));
+    valid.forEach(e => eventLog.append(e));
+    res.json({ ok: true, count: valid.length });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.get('/api/history/events', (req, res) => {
+  try {
+    const { graphId, since, until } = req.query || {};
+    const events = eventLog.historyEvents({
+      graphId: graphId || null,
+      since: Number(since) || 0,
+      until: until != null ? Number(until) : Infinity
+    });
+    res.json({ ok: true, events });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Universe as of a timestamp (defaults to now), rebuilt from the history events of
+// one session (`sessionId`, defaulting to the session active at that time)
+app.get('/api/history/universe', (req, res) => {
+  try {
+    const at = req.query?.at != null ? Number(req.query.at) : Infinity;
+    if (Number.isNaN(at)) return res.status(400).json({ ok: false, error: 'at must be a timestamp' });
+    const { state, appliedEvents, snapshotTs } = eventLog.replayUniverseAt(at, { sessionId: req.query?.sessionId || undefined });
+    res.json({ ok: true, at: Number.isFinite(at) ? at : null, appliedEvents, snapshotTs, universe: encodeHistoryValue(state) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Local git provider: the browser has no filesystem, so the daemon owns local repositories.
+// Repositories live under REDSTRING_LOCAL_GIT_ROOT; `dir` is resolved inside it.
+const LOCAL_GIT_ROOT = path.resolve(process.env.REDSTRING_LOCAL_GIT_ROOT || 'local-repos');
+const localGitProviders = new Map();
+
+const getLocalGitProvider = async ({ dir, bare, branch, semanticPath }) => {
+  const resolved = path.resolve(LOCAL_GIT_ROOT, String(dir || 'default'));
+  if (resolved !== LOCAL_GIT_ROOT && !resolved.startsWith(LOCAL_GIT_ROOT + path.sep)) {
+    throw new Error('Repository must be inside the local git root');
+  }
+  const key = `${resolved}|${!!bare}|${branch || 'main'}`;
+  if (!localGitProviders.has(key)) {
+    const { LocalGitSemanticProvider } = await import('./src/services/gitNativeProvider.js');
+    localGitProviders.set(key, new LocalGitSemanticProvider({ dir: resolved, fs, bare: !!bare, branch, semanticPath }));
+  }
+  return localGitProviders.get(key);
+};
+
+app.post('/api/local-git/:op', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const provider = await getLocalGitProvider(body);
+    let result;
+    switch (req.params.op) {
+      case 'write':
+        // Per call: the provider is cached and shared by every client of this repository
+        result = await provider.writeFileRaw(body.path, String(body.content ?? ''), { autoCommit: body.autoCommit !== false });
+        break;
+      case 'read':
+        result = await provider.readFileRaw(body.path);
+        break;
+      case 'list':
+        result = await provider.listDirectoryContents(body.path || '');
+        break;
+      case 'commit':
+        result = await provider.commitChanges(body.message || 'Update', body.files);
+        break;
+      case 'log':
+        result = await provider.listCommits(body.path, { limit: Number(body.limit) || 30 });
+        break;
+      case 'readAt':
+        result = await provider.readFileAtCommit(body.path, body.sha);
+        break;
+      case 'status':
+        result = await provider.isAvailable();
+        break;
+      default:
+        return res.status(404).json({ ok: false, error: `Unknown local git operation: ${req.params.op}` });
+    }
+    res.json({ ok: true, result });
+  } catch (e) {
+    const message = String(e?.message || e);
+    res.status(message.startsWith('File not found') ? 404 : 500).json({ ok: false, error: message });
+  }
+});
+
 // Allow server components (Committer) to enqueue UI pending actions
 app.post('/api/bridge/pending-actions/enqueue', (req, res) => {
   try {
@@ -1775,7 +1754,7 @@ app.post('/queue/patches.approve-next', (req, res) => {
 app.post('/test/create-task', (req, res) => {
   try {
     const { threadId = 'default', toolName = 'verify_state', args = {} } = req.body || {};
-    const id = queueManager.enqueue('taskQueue', { threadId, toolName, args, partitionKey: threadId });
+    const id = queueManager.enqueue('taskQueue', { threadId, toolName, args, baseHash: committer.getGraphHash(args.graph_id || 'unknown'), partitionKey: threadId });
     eventLog.append({ type: 'TASK_ENQUEUED', id, threadId, toolName });
     res.json({ ok: true, id });
   } catch (e) {
@@ -13,6 +13,9 @@ import cors from 'cors';
 import fs from 'fs/promises';
 import jsonld from 'jsonld';
 import * as $rdf from 'rdflib';
+import { UniverseDatasetCache, executeSparqlQuery, getQueryForm, negotiateResultType, SparqlQueryError } from '../src/services/server/sparqlEndpoint.js';
+import { PublishedSiteCache, siteContentType } from '../src/services/server/staticSitePublisher.js';
+import { configureFileCache } from '../src/services/offlineCache/fileBackend.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -685,6 +688,18 @@ const loadUniverseJson = async (slug) => {
   return JSON.parse(content);
 };
 
+// In-memory RDF datasets for SPARQL, rebuilt when the universe file changes
+const universeDatasets = new UniverseDatasetCache({
+  loadUniverseJson,
+  statUniverse: (slug) => fs.stat(getUniverseFilePath(slug))
+});
+
+// Published static sites, likewise rebuilt only when the universe file changes
+const publishedSites = new PublishedSiteCache({
+  loadUniverseJson,
+  statUniverse: (slug) => fs.stat(getUniverseFilePath(slug))
+});
+
 // Convert JSON-LD to Turtle using rdflib
 const jsonldToTurtle = async (json, baseUri) => {
   return new Promise((resolve, reject) => {
@@ -754,6 +769,27 @@ app.get(['/semantic/universe.ttl', '/semantic/:slug/universe.ttl'], async (req,
   }
 });
 
+// Serve a human-readable static site for the universe (same pages scripts/publish-site.js writes)
+app.get('/site/:slug', (req, res) => res.redirect(`/site/${encodeURIComponent(req.params.slug)}/`));
+app.get('/site/:slug/*', async (req, res) => {
+  try {
+    const slug = req.params.slug || DEFAULT_UNIVERSE_SLUG;
+    const pagePath = req.params[0] || 'index.html';
+    const files = await publishedSites.get(slug, { baseUrl: `${req.protocol}://${req.get('host')}/site/${slug}` });
+    if (!Object.prototype.hasOwnProperty.call(files, pagePath)) {
+      return res.status(404).send('Page not found');
+    }
+    res.setHeader('Content-Type', siteContentType(pagePath));
+    res.status(200).send(files[pagePath]);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Universe not found' });
+    }
+    logger.error('Static site error:', err);
+    res.status(500).json({ error: 'Failed to publish universe' });
+  }
+});
+
 // Update universe via JSON-LD (bidirectional sync entry point)
 app.post(['/semantic/universe.jsonld', '/semantic/:slug/universe.jsonld'], async (req, res) => {
   try {
@@ -769,6 +805,8 @@ app.post(['/semantic/universe.jsonld', '/semantic/:slug/universe.jsonld'], async
     const filePath = getUniverseFilePath(slug);
     await fs.mkdir(path.dirname(filePath), { recursive: true });
     await fs.writeFile(filePath, JSON.stringify(body, null, 2), 'utf8');
+    universeDatasets.invalidate(slug);
+    publishedSites.invalidate(slug);
     res.status(200).json({ status: 'ok', slug, path: filePath });
   } catch (err) {
     logger.error('Semantic JSON-LD write error:', err);
@@ -776,10 +814,58 @@ app.post(['/semantic/universe.jsonld', '/semantic/:slug/universe.jsonld'], async
   }
 });
 
-// Minimal SPARQL endpoint placeholder (future enhancement)
-app.post(['/sparql', '/semantic/:slug/sparql'], (req, res) => {
-  res.status(501).json({ error: 'SPARQL endpoint not implemented yet. Use /semantic/* JSON-LD or N-Quads for now.' });
-});
+// SPARQL 1.1 Protocol query endpoint (read-only)
+// Accepts GET ?query=, POST application/x-www-form-urlencoded and POST application/sparql-query
+const asList = (value) => (value === undefined ? [] : [].concat(value));
+
+const handleSparqlQuery = async (req, res) => {
+  const isDirectPost = req.method === 'POST' && req.is('application/sparql-query');
+  const params = req.method === 'POST' && !isDirectPost ? { ...req.query, ...req.body } : req.query;
+  const query = isDirectPost ? req.body : params.query;
+
+  if (!query || typeof query !== 'string') {
+    return res.status(400).json({ error: 'Missing SPARQL query. Send it as the "query" parameter or an application/sparql-query body.' });
+  }
+  if (params.update) {
+    return res.status(400).json({ error: 'SPARQL Update is not supported on this endpoint' });
+  }
+
+  const resultType = negotiateResultType(getQueryForm(query), (types) => req.accepts(types));
+  if (!resultType) {
+    return res.status(406).json({ error: 'None of the requested result formats are supported' });
+  }
+
+  try {
+    const slug = req.params.slug || DEFAULT_UNIVERSE_SLUG;
+    const store = await universeDatasets.get(slug);
+    const result = executeSparqlQuery(store, query, {
+      resultType,
+      defaultGraphUris: asList(params['default-graph-uri']),
+      namedGraphUris: asList(params['named-graph-uri']),
+      baseIri: process.env.SEMANTIC_BASE_URI || `http://localhost:${PORT}/semantic/${slug}/`
+    });
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Vary', 'Accept');
+    res.status(200).send(result.body);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Universe not found' });
+    }
+    if (err instanceof SparqlQueryError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('SPARQL query error:', err);
+    res.status(500).json({ error: 'Failed to execute SPARQL query' });
+  }
+};
+
+const sparqlBodyParsers = [
+  express.urlencoded({ extended: false, limit: '1mb' }),
+  express.text({ type: 'application/sparql-query', limit: '1mb' })
+];
+
+app.get(['/sparql', '/semantic/:slug/sparql'], handleSparqlQuery);
+app.post(['/sparql', '/semantic/:slug/sparql'], sparqlBodyParsers, handleSparqlQuery);
 
 // GitHub App callback route - log and redirect to frontend with params
 app.get('/github/app/callback', (req, res) => {
@@ -830,6 +916,8 @@ app.get('*', (req, res, next) => {
   res.sendFile(path.join(distPath, 'index.html'));
 });
 
+configureFileCache();
+
 app.listen(PORT, () => {
   logger.info(`🚀 RedString server running on port ${PORT}`);
   logger.info(`📋 Health check: http://localhost:${PORT}/health`);
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Publish a .redstring universe as a static website
+ *
+ * Usage: node scripts/publish-site.js <universe.redstring> [--out dir] [--title text] [--base-url url]
+ *
+ * Writes index.html, one page per node prototype (nodes/) and per graph
+ * (graphs/), and a shared style.css. The output is plain HTML that can be
+ * hosted anywhere, no Redstring needed to read it.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { publishStaticSite, writeStaticSite } from '../src/services/server/staticSitePublisher.js';
+
+const USAGE = 'Usage: node scripts/publish-site.js <universe.redstring> [--out dir] [--title text] [--base-url url]';
+
+const parseArgs = (argv) => {
+  const options = { out: 'site' };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--out' || arg === '-o') {
+      options.out = argv[++i];
+    } else if (arg === '--title') {
+      options.title = argv[++i];
+    } else if (arg === '--base-url') {
+      options.baseUrl = argv[++i];
+    } else {
+      positional.push(arg);
+    }
+  }
+  options.input = positional[0];
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.input || !options.out) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const data = JSON.parse(await fs.readFile(options.input, 'utf8'));
+  const files = publishStaticSite(data, { title: options.title, baseUrl: options.baseUrl });
+  const written = await writeStaticSite(files, options.out, { fs, path });
+  console.log(`📄 Published ${written.length} files to ${path.resolve(options.out)}`);
+};
+
+main().catch(error => {
+  console.error('❌ Publish failed:', error.message);
+  process.exit(1);
+});
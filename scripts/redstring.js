@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Redstring CLI - work with .redstring universes without the app
+ *
+ * Usage: node scripts/redstring.js <convert|validate|migrate|stats|merge|query> [options]
+ *
+ * Run with --help for the full command list. Exit codes: 0 ok, 1 validation
+ * failure, unresolved merge conflicts or a migration needed (--check), 2 usage
+ * or I/O errors, so it can gate batch jobs and pre-commit hooks.
+ */
+
+import fs from 'fs/promises';
+import process from 'process';
+import { runCli } from '../src/services/server/universeCli.js';
+import { configureFileCache } from '../src/services/offlineCache/fileBackend.js';
+
+const argv = process.argv.slice(2);
+const verbose = argv.includes('--verbose');
+
+// The format and validation modules log progress as they go; keep stdout for command output
+const quiet = () => {};
+const toStderr = (...args) => process.stderr.write(`${args.map(String).join(' ')}\n`);
+console.log = verbose ? toStderr : quiet;
+console.info = verbose ? toStderr : quiet;
+console.debug = verbose ? toStderr : quiet;
+console.warn = verbose ? toStderr : quiet;
+console.error = verbose ? toStderr : quiet;
+
+configureFileCache();
+
+const exitCode = await runCli(argv.filter(arg => arg !== '--verbose'), {
+  readFile: (file) => fs.readFile(file, 'utf8'),
+  writeFile: (file, text) => fs.writeFile(file, text, 'utf8'),
+  stdout: (text) => process.stdout.write(text),
+  stderr: (text) => process.stderr.write(text)
+});
+process.exitCode = exitCode;
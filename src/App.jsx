@@ -4,6 +4,7 @@ import SpawningNodeDragLayer from './SpawningNodeDragLayer';
 // import BridgeClient from './ai/BridgeClient.jsx';
 import GlobalContextMenu from './components/GlobalContextMenu.jsx';
 import GitFederationBootstrap from './components/GitFederationBootstrap.jsx';
+import CommandPalette from './components/CommandPalette.jsx';
 import './App.css';
 
 function App() {
@@ -15,6 +16,7 @@ function App() {
       <SpawningNodeDragLayer />
       {/* <BridgeClient /> */}
       <GlobalContextMenu />
+      <CommandPalette />
     </>
   );
 }
@@ -43,6 +43,8 @@ import AuthSection from './components/git-federation/AuthSection.jsx';
 import UniversesList from './components/git-federation/UniversesList.jsx';
 import SourcesSection from './components/git-federation/SourcesSection.jsx';
 import RepositoriesSection from './components/git-federation/RepositoriesSection.jsx';
+import CommitHistory from './components/git-federation/CommitHistory.jsx';
+import SubscriptionsInbox from './components/git-federation/SubscriptionsInbox.jsx';
 
 const STORAGE_LABELS = {
   [STORAGE_TYPES.GIT]: 'Git repository',
@@ -162,6 +164,12 @@ function BrowserFallbackNote() {
   );
 }
 
+// Provider fields for repositories that are not on GitHub (modal repos use `provider`, sources use `type`)
+function repoProviderFields(repo) {
+  const type = repo?.provider || repo?.type;
+  return type === 'gitlab' ? { type, endpoint: repo.endpoint, authMethod: 'token' } : {};
+}
+
 function buttonStyle(variant = 'outline') {
   const base = {
     border: '1px solid #260000',
@@ -758,6 +766,40 @@ const GitNativeFederation = ({ variant = 'panel', onRequestClose }) => {
     });
   };
 
+  const handleLoadUniverseHistory = useCallback(
+    (slug) => gitFederationService.listUniverseHistory(slug, { limit: 30 }),
+    []
+  );
+
+  const handleLoadUniverseVersion = useCallback(
+    (slug, sha) => gitFederationService.loadUniverseAtCommit(slug, sha),
+    []
+  );
+
+  const handleRestoreUniverseVersion = (slug, commit) => {
+    setConfirmDialog({
+      title: 'Restore Version',
+      message: `Restore this universe to commit ${commit.sha.slice(0, 7)}?`,
+      details: 'The restored version is saved as a new commit; history is kept.',
+      variant: 'warning',
+      confirmLabel: 'Restore',
+      cancelLabel: 'Cancel',
+      onConfirm: async () => {
+        try {
+          setLoading(true);
+          await gitFederationService.restoreUniverseVersion(slug, commit.sha);
+          setSyncStatus({ type: 'success', message: `Restored version ${commit.sha.slice(0, 7)}` });
+          await refreshState();
+        } catch (err) {
+          gfError('[GitNativeFederation] Restore failed:', err);
+          setError(`Failed to restore version: ${err.message}`);
+        } finally {
+          setLoading(false);
+        }
+      }
+    });
+  };
+
   const handleLoadFromLocal = async (file) => {
     try {
       setLoading(true);
@@ -978,7 +1020,8 @@ const GitNativeFederation = ({ variant = 'panel', onRequestClose }) => {
       const discovered = await gitFederationService.discoverUniverses({
         user: owner,
         repo: repoName,
-        authMethod: dataAuthMethod || 'oauth'
+        authMethod: dataAuthMethod || 'oauth',
+        ...repoProviderFields(repo)
       });
 
       if (!Array.isArray(discovered) || discovered.length === 0) {
@@ -1042,7 +1085,8 @@ const GitNativeFederation = ({ variant = 'panel', onRequestClose }) => {
       const discovered = await gitFederationService.discoverUniverses({
         user: owner,
         repo: repoName,
-        authMethod: dataAuthMethod || 'oauth'
+        authMethod: dataAuthMethod || 'oauth',
+        ...repoProviderFields(repo)
       });
 
       if (Array.isArray(discovered) && discovered.length > 0) {
@@ -1076,7 +1120,8 @@ const GitNativeFederation = ({ variant = 'panel', onRequestClose }) => {
       await gitFederationService.attachGitRepository(targetSlug, {
         user: owner,
         repo: repoName,
-        authMethod: dataAuthMethod || 'oauth'
+        authMethod: dataAuthMethod || 'oauth',
+        ...repoProviderFields(repo)
       });
 
       // Initialize the repository with current universe data
@@ -1144,7 +1189,8 @@ const GitNativeFederation = ({ variant = 'panel', onRequestClose }) => {
         const resultState = await gitFederationService.linkDiscoveredUniverse(selectedFile, {
           user: owner,
           repo: repoName,
-          authMethod: dataAuthMethod || 'oauth'
+          authMethod: dataAuthMethod || 'oauth',
+          ...repoProviderFields(repo)
         });
 
         const importedName = selectedFile.name || selectedFile.slug || 'Imported universe';
@@ -1219,7 +1265,8 @@ const GitNativeFederation = ({ variant = 'panel', onRequestClose }) => {
           await gitFederationService.linkDiscoveredUniverse(selectedFile, {
             user: owner,
             repo: repoName,
-            authMethod: dataAuthMethod || 'oauth'
+            authMethod: dataAuthMethod || 'oauth',
+            ...repoProviderFields(repo)
           });
 
           setSyncStatus({ type: 'success', message: `Synced repository data from "${remoteName}"` });
@@ -1260,6 +1307,7 @@ const GitNativeFederation = ({ variant = 'panel', onRequestClose }) => {
     try {
       setLoading(true);
       await gitFederationService.detachGitRepository(universe.slug, {
+        type: source.type,
         user: source.user,
         repo: source.repo
       });
@@ -1289,7 +1337,8 @@ const GitNativeFederation = ({ variant = 'panel', onRequestClose }) => {
       const results = await gitFederationService.discoverUniverses({
         user: source.user,
         repo: source.repo,
-        authMethod: dataAuthMethod || 'oauth'
+        authMethod: dataAuthMethod || 'oauth',
+        ...repoProviderFields(source)
       });
       setDiscoveryMap((prev) => ({
         ...prev,
@@ -1375,6 +1424,7 @@ const GitNativeFederation = ({ variant = 'panel', onRequestClose }) => {
         user: repo.user,
         repo: repo.repo,
         authMethod: dataAuthMethod || 'oauth',
+        ...repoProviderFields(repo),
         universeFolder: resolvedFolder || targetSlug,
         universeFile: resolvedFile || `${targetSlug}.redstring`
       });
@@ -1429,6 +1479,7 @@ const GitNativeFederation = ({ variant = 'panel', onRequestClose }) => {
         user: repo.user,
         repo: repo.repo,
         authMethod: dataAuthMethod || 'oauth',
+        ...repoProviderFields(repo),
         customName: universeName
       });
 
@@ -1479,7 +1530,8 @@ const GitNativeFederation = ({ variant = 'panel', onRequestClose }) => {
       const resultState = await gitFederationService.linkDiscoveredUniverse(discovered, {
         user: repo.user,
         repo: repo.repo,
-        authMethod: dataAuthMethod || 'oauth'
+        authMethod: dataAuthMethod || 'oauth',
+        ...repoProviderFields(repo)
       });
 
       const importedName = discovered.name || discovered.slug || 'Imported universe';
@@ -1548,6 +1600,7 @@ const GitNativeFederation = ({ variant = 'panel', onRequestClose }) => {
     try {
       setLoading(true);
       await gitFederationService.detachGitRepository(universeSlug, {
+        type: source.type,
         user: source.user,
         repo: source.repo
       });
@@ -1967,6 +2020,24 @@ const GitNativeFederation = ({ variant = 'panel', onRequestClose }) => {
     }
   };
 
+  const handleResolveMergeConflict = async (choices) => {
+    if (!slotConflict) return;
+
+    try {
+      setSyncStatus({ type: 'info', message: 'Applying merge...' });
+      await universeBackend.resolveMergeConflict(slotConflict.universeSlug, choices);
+      setSlotConflict(null);
+      setSyncStatus({ type: 'success', message: 'Merged local and Git changes' });
+      await refreshState();
+    } catch (error) {
+      gfError('[GitNativeFederation] Failed to apply merge:', error);
+      setSyncStatus({
+        type: 'error',
+        message: `Failed to apply merge: ${error.message}`
+      });
+    }
+  };
+
   const handleCancelSlotConflict = () => {
     gfLog('[GitNativeFederation] Slot conflict resolution cancelled');
     setSlotConflict(null);
@@ -2598,7 +2669,7 @@ const GitNativeFederation = ({ variant = 'panel', onRequestClose }) => {
                   </div>
                 <div style={{ display: 'flex', gap: 6 }}>
                   <button
-                    onClick={() => handleImportDiscovered(item, { user: source.user, repo: source.repo })}
+                    onClick={() => handleImportDiscovered(item, { user: source.user, repo: source.repo, ...repoProviderFields(source) })}
                     style={{
                       ...buttonStyle('outline'),
                       borderColor: '#1565c0',
@@ -2609,7 +2680,7 @@ const GitNativeFederation = ({ variant = 'panel', onRequestClose }) => {
                     Import Copy
                   </button>
                   <button
-                    onClick={() => handleLinkDiscovered(item, { user: source.user, repo: source.repo })}
+                    onClick={() => handleLinkDiscovered(item, { user: source.user, repo: source.repo, ...repoProviderFields(source) })}
                     style={{
                       ...buttonStyle('solid'),
                       backgroundColor: '#7A0000',
@@ -3180,6 +3251,18 @@ return (
       </div>
     )}
 
+    {activeUniverse?.raw?.gitRepo?.enabled && activeUniverse?.raw?.gitRepo?.linkedRepo && (
+      <CommitHistory
+        universe={activeUniverse}
+        onLoadHistory={handleLoadUniverseHistory}
+        onLoadVersion={handleLoadUniverseVersion}
+        onRestoreVersion={handleRestoreUniverseVersion}
+        isSlim={isSlim}
+      />
+    )}
+
+    <SubscriptionsInbox isSlim={isSlim} />
+
       <RepositorySelectionModal
         isOpen={showRepositoryManager}
         onClose={() => {
@@ -3504,6 +3587,8 @@ return (
         gitData={slotConflict.gitData}
         universeName={slotConflict.universeName}
         requiresPrimarySelection={slotConflict.requiresPrimarySelection}
+        mergeConflicts={slotConflict.mergeConflicts}
+        onResolveMerge={handleResolveMergeConflict}
       />
     )}
     </div>
@@ -49,6 +49,12 @@ const Header = ({
   onOpenUniverse,
   onSaveUniverse,
   onExportRdf,
+  onExportMarkdownVault,
+  onImportMarkdownVault,
+  onExportImage,
+  onImportTable,
+  onExportNetwork,
+  onImportNetwork,
   onOpenRecentFile,
 
 }) => {
@@ -310,6 +316,12 @@ const Header = ({
             onOpenUniverse={onOpenUniverse}
             onSaveUniverse={onSaveUniverse}
             onExportRdf={onExportRdf}
+            onExportMarkdownVault={onExportMarkdownVault}
+            onImportMarkdownVault={onImportMarkdownVault}
+            onExportImage={onExportImage}
+            onImportTable={onImportTable}
+            onExportNetwork={onExportNetwork}
+            onImportNetwork={onImportNetwork}
             onOpenRecentFile={onOpenRecentFile}
           />
       </header>
@@ -381,6 +393,12 @@ const Header = ({
           onOpenUniverse={onOpenUniverse}
           onSaveUniverse={onSaveUniverse}
           onExportRdf={onExportRdf}
+          onExportMarkdownVault={onExportMarkdownVault}
+          onImportMarkdownVault={onImportMarkdownVault}
+          onExportImage={onExportImage}
+          onImportTable={onImportTable}
+          onExportNetwork={onExportNetwork}
+          onImportNetwork={onImportNetwork}
           onOpenRecentFile={onOpenRecentFile}
         />
       </div>
@@ -23,6 +23,8 @@ import { Edit3, Trash2, Link, Package, PackageOpen, Expand, ArrowUpFromDot, Tria
 import ColorPicker from './ColorPicker';
 import { useDrop } from 'react-dnd';
 import { fetchOrbitCandidatesForPrototype } from './services/orbitResolver.js';
+import { serializeSelection, selectionToText, parseSelectionText, planPaste } from './services/selectionClipboard.js';
+import { validateShapes, violationsBySubject } from './services/shapeConstraints.js';
 import { showContextMenu } from './components/GlobalContextMenu';
 import * as fileStorage from './store/fileStorage.js';
 
@@ -71,6 +73,8 @@ import NodeSelectionGrid from './NodeSelectionGrid'; // Import the new node sele
 import UnifiedSelector from './UnifiedSelector'; // Import the new unified selector
 import OrbitOverlay from './components/OrbitOverlay.jsx';
 import AlphaOnboardingModal from './components/AlphaOnboardingModal.jsx';
+import ExportImageModal from './components/modals/ExportImageModal.jsx';
+import TabularImportModal from './components/modals/TabularImportModal.jsx';
 
 
 const SPAWNABLE_NODE = 'spawnable_node';
@@ -152,7 +156,9 @@ function NodeCanvas() {
         toggleEnableAutoRouting: () => {},
         setRoutingStyle: () => {},
         deleteNodePrototype: () => {},
-        deleteGraph: () => {}
+        deleteGraph: () => {},
+        undo: () => {},
+        redo: () => {}
       };
     }
   }, []);
@@ -1128,6 +1134,22 @@ function NodeCanvas() {
     }
     return map;
   }, [nodes]);
+  // Shapes only care which prototypes and edges are in the graph, not where they sit, so
+  // moving nodes around leaves this key (and the validation below) untouched
+  const activeGraphMembershipKey = useMemo(() => {
+    const graph = activeGraphId ? graphsMap.get(activeGraphId) : null;
+    if (!graph) return '';
+    const instances = Array.from(graph.instances?.entries() || [], ([instanceId, instance]) => `${instanceId}=${instance.prototypeId}`);
+    return `${graph.name || ''}|${instances.join(',')}|${(graph.edgeIds || []).join(',')}`;
+  }, [activeGraphId, graphsMap]);
+  // Shape constraint violations in this graph, keyed by the instance or edge they point at
+  const shapeViolationsById = useMemo(() => {
+    const graph = activeGraphId ? useGraphStore.getState().graphs.get(activeGraphId) : null;
+    if (!graph || !activeGraphMembershipKey) return new Map();
+    const { violations } = validateShapes({ graphs: new Map([[activeGraphId, graph]]), nodePrototypes: nodePrototypesMap, edges: edgesMap }, { graphId: activeGraphId });
+    return violationsBySubject(violations);
+  }, [activeGraphId, activeGraphMembershipKey, nodePrototypesMap, edgesMap]);
+
   // Defer viewport-dependent culling until pan/zoom state is initialized below
   const [visibleNodeIds, setVisibleNodeIds] = useState(() => new Set());
   const [visibleEdges, setVisibleEdges] = useState(() => []);
@@ -1139,6 +1161,12 @@ function NodeCanvas() {
   
   // Onboarding modal state
   const [showOnboardingModal, setShowOnboardingModal] = useState(false);
+
+  // Image export (SVG/PNG) modal state
+  const [showImageExportModal, setShowImageExportModal] = useState(false);
+
+  // Spreadsheet (CSV/TSV/XLSX) import wizard state
+  const [showTabularImportModal, setShowTabularImportModal] = useState(false);
   
   // Show onboarding modal when there's no universe file and universe isn't loaded
   useEffect(() => {
@@ -2670,6 +2698,43 @@ function NodeCanvas() {
   const leftPanelRef = useRef(null); // Ref for Left Panel
 
   const canvasWorker = useCanvasWorker();
+
+  // Auto-arrange: layout runs in the canvas worker, the result lands as one undoable move
+  const autoArrangeRunningRef = useRef(false);
+  const handleAutoArrange = async (algorithm = 'force') => {
+    if (!activeGraphId || nodes.length === 0 || autoArrangeRunningRef.current) return;
+    autoArrangeRunningRef.current = true;
+    try {
+      const graph = graphsMap.get(activeGraphId);
+      const layoutNodes = nodes.map(n => {
+        const dims = baseDimsById.get(n.id) || getNodeDimensions(n, false, null);
+        return { id: n.id, x: n.x, y: n.y, width: dims.currentWidth, height: dims.currentHeight };
+      });
+      const positions = await canvasWorker.calculateLayout({
+        algorithm,
+        nodes: layoutNodes,
+        edges: edges.map(edge => ({ sourceId: edge.sourceId, destinationId: edge.destinationId })),
+        groups: Array.from(graph?.groups?.values() || []).map(group => ({ id: group.id, memberInstanceIds: group.memberInstanceIds || [] })),
+        rootId: selectedInstanceIds.size > 0 ? Array.from(selectedInstanceIds)[0] : null
+      });
+      if (positions.length > 0) {
+        storeActions.updateMultipleNodeInstancePositions(activeGraphId, positions, { finalize: true });
+      }
+    } catch (error) {
+      console.error('[NodeCanvas] Auto-arrange failed:', error);
+    } finally {
+      autoArrangeRunningRef.current = false;
+    }
+  };
+  const autoArrangeRef = useRef(handleAutoArrange);
+  autoArrangeRef.current = handleAutoArrange;
+
+  useEffect(() => {
+    const onAutoArrange = (e) => autoArrangeRef.current(e.detail?.algorithm);
+    window.addEventListener('redstring:auto-arrange', onAutoArrange);
+    return () => window.removeEventListener('redstring:auto-arrange', onAutoArrange);
+  }, []);
+
   const isKeyboardZooming = useRef(false);
   const resizeTimeoutRef = useRef(null);
   // Ensure async zoom results apply in order to avoid ghost frames
@@ -3807,7 +3872,7 @@ function NodeCanvas() {
                         primaryId: instanceId
                     });
                     selectedInstanceIds.forEach(id => {
-                        storeActions.updateNodeInstance(activeGraphId, id, draft => { draft.scale = 1.1; });
+                        storeActions.updateNodeInstance(activeGraphId, id, draft => { draft.scale = 1.1; }, { isDragging: true, phase: 'start' });
                     });
                     
 
@@ -3820,7 +3885,7 @@ function NodeCanvas() {
                     const offset = { x: mouseCanvasX - nodeData.x, y: mouseCanvasY - nodeData.y };
                     console.log('Setting dragging node info:', { instanceId, offset });
                     setDraggingNodeInfo({ instanceId: instanceId, offset });
-                    storeActions.updateNodeInstance(activeGraphId, instanceId, draft => { draft.scale = 1.1; });
+                    storeActions.updateNodeInstance(activeGraphId, instanceId, draft => { draft.scale = 1.1; }, { isDragging: true, phase: 'start' });
                     
 
                 }
@@ -6288,6 +6353,93 @@ function NodeCanvas() {
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, [selectedInstanceIds, selectedEdgeId, selectedEdgeIds, isHeaderEditing, isRightPanelInputFocused, isLeftPanelInputFocused, nodeNamePrompt.visible, connectionNamePrompt.visible, activeGraphId, storeActions.removeNodeInstance, storeActions.removeEdge, storeActions.clearSelectedEdgeIds]);
 
+  // Clipboard: selections travel as text/plain JSON so they paste into other graphs,
+  // universes and windows. Ctrl/Cmd+Shift+V pastes deep copies as new prototypes.
+  const clipboardCursorRef = useRef(null);
+  const deepPasteRef = useRef(false);
+  const lastCopiedSelectionRef = useRef(null);
+  useEffect(() => {
+    const canUseClipboard = () => {
+      const active = document.activeElement;
+      const isTextField = !!active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA' || active.isContentEditable);
+      const isInputActive = isHeaderEditing || isRightPanelInputFocused || isLeftPanelInputFocused || nodeNamePrompt.visible;
+      return !isTextField && !isInputActive && !!activeGraphId;
+    };
+
+    const handlePointerMove = (e) => {
+      clipboardCursorRef.current = { clientX: e.clientX, clientY: e.clientY };
+    };
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'v') {
+        deepPasteRef.current = e.shiftKey;
+      }
+    };
+
+    const copySelection = (e) => {
+      if (!canUseClipboard() || selectedInstanceIds.size === 0) return null;
+      const payload = serializeSelection(useGraphStore.getState(), activeGraphId, selectedInstanceIds);
+      if (!payload) return null;
+      e.preventDefault();
+      e.clipboardData?.setData('text/plain', selectionToText(payload));
+      // Kept for browsers that withhold clipboard data from the paste event
+      lastCopiedSelectionRef.current = payload;
+      return payload;
+    };
+
+    const handleCopy = (e) => {
+      copySelection(e);
+    };
+
+    const handleCut = (e) => {
+      const payload = copySelection(e);
+      if (!payload) return;
+      storeActions.beginHistoryTransaction('cut');
+      try {
+        payload.instances.forEach(instance => storeActions.removeNodeInstance(activeGraphId, instance.id));
+      } finally {
+        storeActions.commitHistoryTransaction();
+      }
+      setSelectedInstanceIds(new Set());
+    };
+
+    const handlePaste = (e) => {
+      if (!canUseClipboard()) return;
+      const text = e.clipboardData?.getData('text/plain');
+      // Ordinary copied text is not ours to paste
+      const payload = text ? parseSelectionText(text) : lastCopiedSelectionRef.current;
+      const deepCopy = deepPasteRef.current;
+      deepPasteRef.current = false;
+      if (!payload) return;
+      e.preventDefault();
+
+      // Centre the paste on the cursor when it is over the canvas
+      const cursor = clipboardCursorRef.current;
+      const rect = containerRef.current?.getBoundingClientRect();
+      const overCanvas = cursor && rect &&
+        cursor.clientX >= rect.left && cursor.clientX <= rect.right &&
+        cursor.clientY >= rect.top && cursor.clientY <= rect.bottom;
+      const position = overCanvas ? clientToCanvasCoordinates(cursor.clientX, cursor.clientY) : null;
+
+      const plan = planPaste(payload, useGraphStore.getState(), { position, deepCopy });
+      if (plan.instances.length === 0) return;
+      storeActions.pasteSelection(activeGraphId, plan);
+      setSelectedInstanceIds(new Set(plan.instances.map(instance => instance.id)));
+    };
+
+    window.addEventListener('pointermove', handlePointerMove, { passive: true });
+    window.addEventListener('keydown', handleKeyDown, true);
+    document.addEventListener('copy', handleCopy);
+    document.addEventListener('cut', handleCut);
+    document.addEventListener('paste', handlePaste);
+    return () => {
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('keydown', handleKeyDown, true);
+      document.removeEventListener('copy', handleCopy);
+      document.removeEventListener('cut', handleCut);
+      document.removeEventListener('paste', handlePaste);
+    };
+  }, [selectedInstanceIds, isHeaderEditing, isRightPanelInputFocused, isLeftPanelInputFocused, nodeNamePrompt.visible, activeGraphId, clientToCanvasCoordinates, storeActions]);
+
   const handleProjectTitleChange = (newTitle) => {
     // Get CURRENT activeGraphId directly from store
     const currentActiveId = useGraphStore.getState().activeGraphId;
@@ -7131,6 +7283,43 @@ function NodeCanvas() {
     setZoomLevel(targetZoom);
     setPanOffset({ x: finalPanX, y: finalPanY });
   }, [enableClustering, clusterAnalysis, nodes, baseDimsById, viewportSize, canvasSize, MAX_ZOOM]);
+
+  // Search results jump here: the palette opens the graph, then asks us to centre and select the instance.
+  // The request waits until the graph is active and its view has been restored.
+  const pendingFocusRef = useRef(null);
+  const [focusRequest, setFocusRequest] = useState(0);
+
+  useEffect(() => {
+    const onFocusInstance = (e) => {
+      if (!e.detail?.graphId || !e.detail?.instanceId) return;
+      pendingFocusRef.current = e.detail;
+      setFocusRequest(n => n + 1);
+    };
+    window.addEventListener('redstring:focus-instance', onFocusInstance);
+    return () => window.removeEventListener('redstring:focus-instance', onFocusInstance);
+  }, []);
+
+  useEffect(() => {
+    const pending = pendingFocusRef.current;
+    if (!pending || !isViewReady || pending.graphId !== activeGraphId) return;
+    const node = nodes.find(n => n.id === pending.instanceId);
+    if (!node) return;
+    pendingFocusRef.current = null;
+
+    const dims = baseDimsById.get(node.id) || getNodeDimensions(node, false, null);
+    const targetZoom = Math.max(zoomLevel, 1);
+    const targetPanX = (viewportSize.width / 2) - (node.x + dims.currentWidth / 2 - canvasSize.offsetX) * targetZoom;
+    const targetPanY = (viewportSize.height / 2) - (node.y + dims.currentHeight / 2 - canvasSize.offsetY) * targetZoom;
+    const minPanX = viewportSize.width - canvasSize.width * targetZoom;
+    const minPanY = viewportSize.height - canvasSize.height * targetZoom;
+
+    setZoomLevel(targetZoom);
+    setPanOffset({
+      x: Math.min(Math.max(targetPanX, minPanX), 0),
+      y: Math.min(Math.max(targetPanY, minPanY), 0)
+    });
+    setSelectedInstanceIds(new Set([node.id]));
+  }, [focusRequest, activeGraphId, isViewReady, nodes, baseDimsById, viewportSize, canvasSize]);
   return (
     <div
       className="node-canvas-container"
@@ -7281,20 +7470,21 @@ function NodeCanvas() {
              alert(`Failed to save universe: ${error.message}`);
            }
          }}
-         onExportRdf={async () => {
+         onExportRdf={async (format = 'turtle') => {
            try {
              
-             const { exportToRdfTurtle } = await import('./formats/rdfExport.js');
+             const { exportToRdfTurtle, exportToRdfTrig } = await import('./formats/rdfExport.js');
              
              const currentState = useGraphStore.getState();
-             const rdfData = await exportToRdfTurtle(currentState);
+             const isTrig = format === 'trig';
+             const rdfData = isTrig ? await exportToRdfTrig(currentState) : await exportToRdfTurtle(currentState);
              
              // Create a download link
-             const blob = new Blob([rdfData], { type: 'application/n-quads' });
+             const blob = new Blob([rdfData], { type: isTrig ? 'application/trig' : 'text/turtle' });
              const url = URL.createObjectURL(blob);
              const a = document.createElement('a');
              a.href = url;
-             a.download = 'cognitive-space.nq';
+             a.download = isTrig ? 'cognitive-space.trig' : 'cognitive-space.ttl';
              document.body.appendChild(a);
              a.click();
              document.body.removeChild(a);
@@ -7306,6 +7496,104 @@ function NodeCanvas() {
              alert(`Failed to export RDF: ${error.message}`);
            }
          }}
+         onExportMarkdownVault={async () => {
+           try {
+             const { exportToMarkdownVault, createVaultZip } = await import('./formats/markdownVault.js');
+
+             const vault = exportToMarkdownVault(useGraphStore.getState());
+             const blob = new Blob([createVaultZip(vault)], { type: 'application/zip' });
+             const url = URL.createObjectURL(blob);
+             const a = document.createElement('a');
+             a.href = url;
+             a.download = `${vault.vaultName}.zip`;
+             document.body.appendChild(a);
+             a.click();
+             document.body.removeChild(a);
+             URL.revokeObjectURL(url);
+           } catch (error) {
+             alert(`Failed to export Markdown vault: ${error.message}`);
+           }
+         }}
+         onImportMarkdownVault={(source) => {
+           const input = document.createElement('input');
+           input.type = 'file';
+           if (source === 'folder') {
+             input.webkitdirectory = true;
+             input.multiple = true;
+           } else {
+             input.accept = '.zip';
+           }
+           input.onchange = async (e) => {
+             const files = Array.from(e.target.files || []);
+             if (files.length === 0) return;
+             // A picked folder names the vault after itself, a zip after its file name
+             const name = source === 'folder'
+               ? (files[0].webkitRelativePath || '').split('/')[0] || 'Vault'
+               : files[0].name;
+             try {
+               const { autoImport } = await import('./formats/importAdapters.js');
+               const imported = source === 'folder'
+                 ? await autoImport(files, name)
+                 : await autoImport(new Uint8Array(await files[0].arrayBuffer()), name);
+               const { applyImportedNetwork } = await import('./formats/networkExchange.js');
+               const graphIds = applyImportedNetwork(imported, useGraphStore.getState(), { label: `Import ${name}` });
+               // The vault's own folder is the first graph; open it so the import is visible
+               if (graphIds.length > 0) useGraphStore.getState().openGraphTab(graphIds[0]);
+             } catch (error) {
+               alert(`Failed to import ${name}: ${error.message}`);
+             }
+           };
+           input.click();
+         }}
+         onExportImage={() => setShowImageExportModal(true)}
+         onImportTable={() => setShowTabularImportModal(true)}
+         onExportNetwork={async (format) => {
+           try {
+             const currentState = useGraphStore.getState();
+             // The active graph on its own, or the whole universe when nothing is open
+             const graphId = currentState.activeGraphId && currentState.graphs.has(currentState.activeGraphId)
+               ? currentState.activeGraphId
+               : null;
+             const xml = format === 'gexf'
+               ? (await import('./formats/gexf.js')).exportToGEXF(currentState, { graphId })
+               : (await import('./formats/graphml.js')).exportToGraphML(currentState, { graphId });
+             const baseName = (graphId ? currentState.graphs.get(graphId).name : 'universe') || 'graph';
+
+             const blob = new Blob([xml], { type: format === 'gexf' ? 'application/gexf+xml' : 'application/graphml+xml' });
+             const url = URL.createObjectURL(blob);
+             const a = document.createElement('a');
+             a.href = url;
+             a.download = `${baseName.replace(/[\\/:*?"<>|]/g, '_')}.${format}`;
+             document.body.appendChild(a);
+             a.click();
+             document.body.removeChild(a);
+             URL.revokeObjectURL(url);
+           } catch (error) {
+             alert(`Failed to export ${format === 'gexf' ? 'GEXF' : 'GraphML'}: ${error.message}`);
+           }
+         }}
+         onImportNetwork={() => {
+           const input = document.createElement('input');
+           input.type = 'file';
+           input.accept = '.graphml,.gexf,.xml';
+           input.onchange = async (e) => {
+             const file = e.target.files?.[0];
+             if (!file) return;
+             try {
+               const text = await file.text();
+               const isGexf = file.name.toLowerCase().endsWith('.gexf') || /<gexf[\s>]/.test(text);
+               const imported = isGexf
+                 ? (await import('./formats/gexf.js')).importFromGEXF(text)
+                 : await (await import('./formats/importAdapters.js')).importGraphML(text);
+               const { applyImportedNetwork } = await import('./formats/networkExchange.js');
+               const graphIds = applyImportedNetwork(imported, useGraphStore.getState(), { label: `Import ${file.name}` });
+               if (graphIds.length === 0) alert(`${file.name} contains no nodes to import.`);
+             } catch (error) {
+               alert(`Failed to import ${file.name}: ${error.message}`);
+             }
+           };
+           input.click();
+         }}
          onOpenRecentFile={async (recentFileEntry) => {
            try {
              // Check if user has unsaved work
@@ -10320,6 +10608,40 @@ function NodeCanvas() {
                 );
               })()}
 
+               {shapeViolationsById.size > 0 && (
+                 <g className="shape-violation-badges">
+                   {Array.from(shapeViolationsById.entries()).map(([subjectId, subjectViolations]) => {
+                     let cx;
+                     let cy;
+                     const node = nodeById.get(subjectId);
+                     if (node) {
+                       const dims = baseDimsById.get(subjectId);
+                       if (!dims) return null;
+                       cx = node.x + dims.currentWidth - 6;
+                       cy = node.y + 6;
+                     } else {
+                       const edge = edgesMap.get(subjectId);
+                       const source = edge && nodeById.get(edge.sourceId);
+                       const destination = edge && nodeById.get(edge.destinationId);
+                       const sourceDims = source && baseDimsById.get(source.id);
+                       const destinationDims = destination && baseDimsById.get(destination.id);
+                       if (!sourceDims || !destinationDims) return null;
+                       cx = (source.x + sourceDims.currentWidth / 2 + destination.x + destinationDims.currentWidth / 2) / 2;
+                       cy = (source.y + sourceDims.currentHeight / 2 + destination.y + destinationDims.currentHeight / 2) / 2;
+                     }
+                     const severe = subjectViolations.some(v => v.severity === 'violation');
+                     const color = severe ? '#8B0000' : subjectViolations.some(v => v.severity === 'warning') ? '#B8860B' : '#555';
+                     return (
+                       <g key={subjectId} transform={`translate(${cx}, ${cy})`} style={{ cursor: 'help' }}>
+                         <title>{subjectViolations.map(v => v.message).join('\n')}</title>
+                         <circle r={14} fill={color} stroke="#bdb5b5" strokeWidth={3} />
+                         <text textAnchor="middle" dominantBaseline="central" fill="#bdb5b5" fontSize={18} fontWeight="bold" fontFamily="'EmOne', sans-serif">!</text>
+                       </g>
+                     );
+                   })}
+                 </g>
+               )}
+
                {selectionRect && (
                  <rect
                    x={selectionRect.x}
@@ -10844,6 +11166,49 @@ function NodeCanvas() {
           console.log('Expanded left panel for Git Federation access. User should click the Globe icon to access Git Federation.');
         }}
       />
+
+      <ExportImageModal
+        isOpen={showImageExportModal}
+        onClose={() => setShowImageExportModal(false)}
+        graphName={activeGraphName}
+        selectionCount={selectedInstanceIds.size}
+        defaultShowEdgeNames={showConnectionNames}
+        onExport={async ({ format, scope, scale, background, showEdgeNames }) => {
+          try {
+            const { renderGraphViewSvg, svgToPngBlob } = await import('./formats/imageExport.js');
+            const rendered = renderGraphViewSvg(useGraphStore.getState(), activeGraphId, {
+              instanceIds: scope === 'selection' ? selectedInstanceIds : null,
+              scale,
+              background,
+              showEdgeNames
+            });
+            if (!rendered) {
+              alert('There is nothing in this view to export.');
+              return;
+            }
+
+            const blob = format === 'svg'
+              ? new Blob([rendered.svg], { type: 'image/svg+xml' })
+              : await svgToPngBlob(rendered.svg, rendered.width, rendered.height);
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${(activeGraphName || 'graph').replace(/[\\/:*?"<>|]/g, '-')}.${format}`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            setShowImageExportModal(false);
+          } catch (error) {
+            alert(`Failed to export image: ${error.message}`);
+          }
+        }}
+      />
+
+      <TabularImportModal
+        isOpen={showTabularImportModal}
+        onClose={() => setShowTabularImportModal(false)}
+      />
       
       {/* <div>NodeCanvas Simplified - Testing Loop</div> */}
     </div>
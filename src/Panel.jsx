@@ -2,7 +2,7 @@ import React, { useState, useEffect, forwardRef, useImperativeHandle, useRef, us
 import { useDrag, useDrop, useDragLayer } from 'react-dnd';
 import { getEmptyImage } from 'react-dnd-html5-backend'; // Import for hiding default preview
 import { HEADER_HEIGHT, NODE_CORNER_RADIUS, THUMBNAIL_MAX_DIMENSION, NODE_DEFAULT_COLOR, PANEL_CLOSE_ICON_SIZE } from './constants';
-import { ArrowLeftFromLine, ArrowRightFromLine, Info, ImagePlus, XCircle, BookOpen, LayoutGrid, Plus, Bookmark, ArrowUpFromDot, Palette, ArrowBigRightDash, X, Globe, Wand, Settings, RotateCcw, Send, Bot, User, Key, Square, Search, Merge, Copy, Loader2, TextSearch } from 'lucide-react';
+import { ArrowLeftFromLine, ArrowRightFromLine, Info, ImagePlus, XCircle, BookOpen, LayoutGrid, Plus, Bookmark, ArrowUpFromDot, Palette, ArrowBigRightDash, X, Globe, Wand, Settings, RotateCcw, Send, Bot, User, Key, Square, Search, Merge, Copy, Loader2, TextSearch, History, ShieldCheck } from 'lucide-react';
 import ToggleSlider from './components/ToggleSlider.jsx';
 import { v4 as uuidv4 } from 'uuid';
 import './Panel.css'
@@ -38,6 +38,9 @@ import CollapsibleSection from './components/CollapsibleSection.jsx';
 import StandardDivider from './components/StandardDivider.jsx';
 import { knowledgeFederation } from './services/knowledgeFederation.js';
 import DuplicateManager from './components/DuplicateManager.jsx';
+import HistoryScrubber from './components/HistoryScrubber.jsx';
+import ShapeViolationsPanel from './components/ShapeViolationsPanel.jsx';
+import OfflineCachePanel from './components/OfflineCachePanel.jsx';
 import { showContextMenu } from './components/GlobalContextMenu.jsx';
 import { normalizeToCandidate, candidateToConcept } from './services/candidates.js';
 
@@ -605,7 +608,7 @@ const LeftSemanticDiscoveryView = ({ storeActions, nodePrototypesMap, openRightP
   const [discoveredConcepts, setDiscoveredConcepts] = useState([]);
   const [searchHistory, setSearchHistory] = useState([]);
   const [selectedConcept, setSelectedConcept] = useState(null);
-  const [viewMode, setViewMode] = useState('discover'); // 'discover', 'history', 'advanced'
+  const [viewMode, setViewMode] = useState('discover'); // 'discover', 'history', 'cache'
   const [manualQuery, setManualQuery] = useState('');
   const [expandingNodeId, setExpandingNodeId] = useState(null);
   const [semanticExpansionResults, setSemanticExpansionResults] = useState([]);
@@ -1188,7 +1191,8 @@ const LeftSemanticDiscoveryView = ({ storeActions, nodePrototypesMap, openRightP
         <ToggleSlider
           options={[
             { value: 'discover', label: 'Discover' },
-            { value: 'history', label: 'History' }
+            { value: 'history', label: 'History' },
+            { value: 'cache', label: 'Cache' }
           ]}
           value={viewMode}
           onChange={setViewMode}
@@ -1699,6 +1703,8 @@ const LeftSemanticDiscoveryView = ({ storeActions, nodePrototypesMap, openRightP
           )}
         </div>
       )}
+
+      {viewMode === 'cache' && <OfflineCachePanel />}
       </div>
     </>
   );
@@ -3387,7 +3393,7 @@ const Panel = forwardRef(
     const [tempProjectTitle, setTempProjectTitle] = useState(''); // Used by right panel home tab
 
     // Left panel view state and collapsed sections
-    const [leftViewActive, setLeftViewActive] = useState('library'); // 'library', 'all', 'grid', 'federation', 'semantic', or 'ai'
+    const [leftViewActive, setLeftViewActive] = useState('library'); // 'library', 'all', 'grid', 'federation', 'semantic', 'history', 'shapes', or 'ai'
     // Apply consistent gap spacing across all views to prevent TypeList overlap
     const [sectionCollapsed, setSectionCollapsed] = useState({});
     const [sectionMaxHeights, setSectionMaxHeights] = useState({});
@@ -4216,6 +4222,12 @@ const Panel = forwardRef(
                     hydratedNodes={hydratedNodes}
                 />
             );
+        } else if (leftViewActive === 'history') {
+            // Event history scrubber for the active graph
+            panelContent = <HistoryScrubber graphId={activeGraphId} />;
+        } else if (leftViewActive === 'shapes') {
+            // Shape constraint violations and SHACL import/export
+            panelContent = <ShapeViolationsPanel graphId={activeGraphId} />;
         } else if (leftViewActive === 'ai') {
             // AI Collaboration view (inlined)
             panelContent = (
@@ -4477,6 +4489,22 @@ const Panel = forwardRef(
                             >
                                 <TextSearch size={20} color="#260000" />
                             </div>
+                            {/* History Button */}
+                            <div 
+                                title="History" 
+                                style={{ /* Common Button Styles */ width: 40, height: 40, display: 'flex', alignItems: 'center', justifyContent: 'center', cursor: 'pointer', backgroundColor: leftViewActive === 'history' ? '#bdb5b5' : '#979090', zIndex: 2 }}
+                                onClick={() => setLeftViewActive('history')}
+                            >
+                                <History size={20} color="#260000" />
+                            </div>
+                            {/* Constraints Button */}
+                            <div 
+                                title="Constraints" 
+                                style={{ /* Common Button Styles */ width: 40, height: 40, display: 'flex', alignItems: 'center', justifyContent: 'center', cursor: 'pointer', backgroundColor: leftViewActive === 'shapes' ? '#bdb5b5' : '#979090', zIndex: 2 }}
+                                onClick={() => setLeftViewActive('shapes')}
+                            >
+                                <ShieldCheck size={20} color="#260000" />
+                            </div>
                             {/* AI Collaboration Button */}
                             <div 
                                 title="Wizard" 
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import MaroonSlider from './components/MaroonSlider.jsx';
-import { ChevronRight, FileText, FolderOpen, Save, Clock, Globe, Bug } from 'lucide-react';
+import { ChevronRight, FileText, FolderOpen, Save, Clock, Globe, Bug, Image, Table, Network } from 'lucide-react';
 import './RedstringMenu.css';
 import DebugOverlay from './DebugOverlay';
 import UniverseOperationsDialog from './components/UniverseOperationsDialog.jsx';
@@ -37,6 +37,12 @@ const RedstringMenu = ({
   onOpenUniverse,
   onSaveUniverse,
   onExportRdf,
+  onExportMarkdownVault,
+  onImportMarkdownVault,
+  onExportImage,
+  onImportTable,
+  onExportNetwork,
+  onImportNetwork,
   onOpenRecentFile
 }) => {
   const [isExiting, setIsExiting] = useState(false);
@@ -246,6 +252,78 @@ const RedstringMenu = ({
                                   <FileText size={16} style={{ marginRight: '8px', minWidth: '16px', flexShrink: 0 }} />
                                   Export as RDF/Turtle
                                 </div>
+                                <div
+                                  className="submenu-item"
+                                  onClick={() => onExportRdf?.('trig')}
+                                  style={{ cursor: 'pointer' }}
+                                >
+                                  <FileText size={16} style={{ marginRight: '8px', minWidth: '16px', flexShrink: 0 }} />
+                                  Export as RDF/TriG (per-graph)
+                                </div>
+                                <div
+                                  className="submenu-item"
+                                  onClick={() => onExportMarkdownVault?.()}
+                                  style={{ cursor: 'pointer' }}
+                                >
+                                  <FileText size={16} style={{ marginRight: '8px', minWidth: '16px', flexShrink: 0 }} />
+                                  Export as Markdown Vault
+                                </div>
+                                <div
+                                  className="submenu-item"
+                                  onClick={() => onImportMarkdownVault?.('folder')}
+                                  style={{ cursor: 'pointer' }}
+                                >
+                                  <FolderOpen size={16} style={{ marginRight: '8px', minWidth: '16px', flexShrink: 0 }} />
+                                  Import Markdown Vault Folder…
+                                </div>
+                                <div
+                                  className="submenu-item"
+                                  onClick={() => onImportMarkdownVault?.('zip')}
+                                  style={{ cursor: 'pointer' }}
+                                >
+                                  <FileText size={16} style={{ marginRight: '8px', minWidth: '16px', flexShrink: 0 }} />
+                                  Import Markdown Vault (.zip)…
+                                </div>
+                                <div
+                                  className="submenu-item"
+                                  onClick={() => onExportImage?.()}
+                                  style={{ cursor: 'pointer' }}
+                                >
+                                  <Image size={16} style={{ marginRight: '8px', minWidth: '16px', flexShrink: 0 }} />
+                                  Export View as SVG/PNG…
+                                </div>
+                                <div
+                                  className="submenu-item"
+                                  onClick={() => onImportTable?.()}
+                                  style={{ cursor: 'pointer' }}
+                                >
+                                  <Table size={16} style={{ marginRight: '8px', minWidth: '16px', flexShrink: 0 }} />
+                                  Import Spreadsheet (CSV/TSV/XLSX)…
+                                </div>
+                                <div
+                                  className="submenu-item"
+                                  onClick={() => onExportNetwork?.('graphml')}
+                                  style={{ cursor: 'pointer' }}
+                                >
+                                  <Network size={16} style={{ marginRight: '8px', minWidth: '16px', flexShrink: 0 }} />
+                                  Export as GraphML (yEd)
+                                </div>
+                                <div
+                                  className="submenu-item"
+                                  onClick={() => onExportNetwork?.('gexf')}
+                                  style={{ cursor: 'pointer' }}
+                                >
+                                  <Network size={16} style={{ marginRight: '8px', minWidth: '16px', flexShrink: 0 }} />
+                                  Export as GEXF (Gephi)
+                                </div>
+                                <div
+                                  className="submenu-item"
+                                  onClick={() => onImportNetwork?.()}
+                                  style={{ cursor: 'pointer' }}
+                                >
+                                  <Network size={16} style={{ marginRight: '8px', minWidth: '16px', flexShrink: 0 }} />
+                                  Import GraphML/GEXF…
+                                </div>
                                 <div
                                     className={`submenu-item has-submenu ${openSubmenu === 'RecentFiles' ? 'active-submenu-parent' : ''}`}
                                     onClick={() => onOpenUniverse?.()}
@@ -318,6 +396,33 @@ const RedstringMenu = ({
                                 >
                                   Merge Duplicates
                                 </div>
+                                <div
+                                  className="submenu-item"
+                                  onClick={() => {
+                                    // Opens the CommandPalette (also Ctrl/Cmd+K)
+                                    window.dispatchEvent(new Event('redstring:open-search'));
+                                  }}
+                                  style={{ cursor: 'pointer' }}
+                                >
+                                  Search Universe…
+                                </div>
+                                {[
+                                  { algorithm: 'force', label: 'Auto-Arrange: Force-Directed' },
+                                  { algorithm: 'layered', label: 'Auto-Arrange: Layered' },
+                                  { algorithm: 'radial', label: 'Auto-Arrange: Radial (around selection)' }
+                                ].map(({ algorithm, label }) => (
+                                  <div
+                                    key={algorithm}
+                                    className="submenu-item"
+                                    onClick={() => {
+                                      // Handled by NodeCanvas for the active graph
+                                      window.dispatchEvent(new CustomEvent('redstring:auto-arrange', { detail: { algorithm } }));
+                                    }}
+                                    style={{ cursor: 'pointer' }}
+                                  >
+                                    {label}
+                                  </div>
+                                ))}
                             </div>
                           )}
                       </div>
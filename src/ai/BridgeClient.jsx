@@ -1,6 +1,7 @@
 import { useEffect, useRef } from 'react';
 import useGraphStore from '../store/graphStore.jsx';
 import { bridgeEventSource, bridgeFetch } from '../services/bridgeConfig.js';
+import historyRecorder from '../services/historyRecorder.js';
 
 const MAX_LAYOUT_NODES = 400;
 const MAX_SUMMARY_EDGES = 600;
@@ -559,14 +560,14 @@ const BridgeClient = () => {
                     const b = await resp.json();
                     const p = Array.isArray(b.nodePrototypes) ? b.nodePrototypes.find(x => x.id === prototypeId) : null;
                     if (p) {
-                      st.addNodePrototype({
+                      historyRecorder.withActor('agent', () => st.addNodePrototype({
                         id: prototypeId,
                         name: p.name,
                         description: p.description || '',
                         color: p.color || '#3B82F6',
                         typeNodeId: p.typeNodeId || null,
                         definitionGraphIds: p.definitionGraphIds || []
-                      });
+                      }));
                       console.log('MCPBridge: ensurePrototype added missing prototype', p.name, prototypeId);
                       return true;
                     }
@@ -574,183 +575,187 @@ const BridgeClient = () => {
                   return false;
                 };
                 for (const op of (operations || [])) {
+                  // Fetch what an operation needs first, so the change itself runs synchronously
+                  // and is recorded as the agent's (see historyRecorder.withActor)
+                  if (op.type === 'addNodeInstance' && !useGraphStore.getState().nodePrototypes.has(op.prototypeId)) {
+                    await ensurePrototype(op.prototypeId);
+                  }
                   try {
-                    switch (op.type) {
-                      case 'addNodeInstance': {
-                        const st = useGraphStore.getState();
-                        let graph = st.graphs.get(op.graphId);
-                        let protoExists = st.nodePrototypes.has(op.prototypeId);
-                        if (!protoExists) {
-                          protoExists = await ensurePrototype(op.prototypeId);
-                        }
-                        if (!graph || !protoExists) {
-                          console.warn('MCPBridge: Skipping addNodeInstance due to missing graph/prototype', { graphExists: !!graph, protoExists, graphId: op.graphId, prototypeId: op.prototypeId });
-                          results.push({ type: op.type, ok: false, id: op.instanceId, error: 'Missing graph/prototype' });
+                    historyRecorder.withActor('agent', () => {
+                      switch (op.type) {
+                        case 'addNodeInstance': {
+                          const st = useGraphStore.getState();
+                          let graph = st.graphs.get(op.graphId);
+                          const protoExists = st.nodePrototypes.has(op.prototypeId);
+                          if (!graph || !protoExists) {
+                            console.warn('MCPBridge: Skipping addNodeInstance due to missing graph/prototype', { graphExists: !!graph, protoExists, graphId: op.graphId, prototypeId: op.prototypeId });
+                            results.push({ type: op.type, ok: false, id: op.instanceId, error: 'Missing graph/prototype' });
+                            break;
+                          }
+                          const beforeCount = (st.graphs.get(op.graphId)?.instances?.size) || 0;
+                          st.addNodeInstance(op.graphId, op.prototypeId, op.position, op.instanceId);
+                          try {
+                            const s2 = useGraphStore.getState();
+                            const g = s2.graphs.get(op.graphId);
+                            const proto = s2.nodePrototypes.get(op.prototypeId);
+                            const friendly = `Added "${proto?.name || 'Concept'}" to "${g?.name || 'Graph'}" at (${Math.round(op.position?.x ?? 0)}, ${Math.round(op.position?.y ?? 0)})`;
+                            window.dispatchEvent(new CustomEvent('rs-telemetry', { detail: [{ ts: Date.now(), type: 'info', name: 'applyMutations', message: friendly }] }));
+                            const afterCount = (g?.instances?.size) || 0;
+                            console.log('MCPBridge: addNodeInstance applied', { graphId: op.graphId, instanceId: op.instanceId, position: op.position, instanceCountBefore: beforeCount, instanceCountAfter: afterCount });
+                          } catch {}
+                          results.push({ type: op.type, ok: true, id: op.instanceId });
                           break;
                         }
-                        const beforeCount = (st.graphs.get(op.graphId)?.instances?.size) || 0;
-                        st.addNodeInstance(op.graphId, op.prototypeId, op.position, op.instanceId);
-                        try {
-                          const s2 = useGraphStore.getState();
-                          const g = s2.graphs.get(op.graphId);
-                          const proto = s2.nodePrototypes.get(op.prototypeId);
-                          const friendly = `Added "${proto?.name || 'Concept'}" to "${g?.name || 'Graph'}" at (${Math.round(op.position?.x ?? 0)}, ${Math.round(op.position?.y ?? 0)})`;
-                          window.dispatchEvent(new CustomEvent('rs-telemetry', { detail: [{ ts: Date.now(), type: 'info', name: 'applyMutations', message: friendly }] }));
-                          const afterCount = (g?.instances?.size) || 0;
-                          console.log('MCPBridge: addNodeInstance applied', { graphId: op.graphId, instanceId: op.instanceId, position: op.position, instanceCountBefore: beforeCount, instanceCountAfter: afterCount });
-                        } catch {}
-                        results.push({ type: op.type, ok: true, id: op.instanceId });
-                        break;
-                      }
-                      case 'addEdge': {
-                        const st = useGraphStore.getState();
-                        const g = st.graphs.get(op.graphId);
-                        const ok = !!(g && g.instances && g.instances.has(op.edgeData?.sourceId) && g.instances.has(op.edgeData?.destinationId));
-                        if (!ok) {
-                          results.push({ type: op.type, ok: false, id: op.edgeData?.id, error: 'Missing instances/graph' });
+                        case 'addEdge': {
+                          const st = useGraphStore.getState();
+                          const g = st.graphs.get(op.graphId);
+                          const ok = !!(g && g.instances && g.instances.has(op.edgeData?.sourceId) && g.instances.has(op.edgeData?.destinationId));
+                          if (!ok) {
+                            results.push({ type: op.type, ok: false, id: op.edgeData?.id, error: 'Missing instances/graph' });
+                            break;
+                          }
+                          st.addEdge(op.graphId, op.edgeData);
+                          try {
+                            const s2 = useGraphStore.getState();
+                            const gi = s2.graphs.get(op.graphId);
+                            const srcInst = gi?.instances?.get(op.edgeData?.sourceId);
+                            const dstInst = gi?.instances?.get(op.edgeData?.destinationId);
+                            const srcProto = srcInst ? s2.nodePrototypes.get(srcInst.prototypeId) : null;
+                            const dstProto = dstInst ? s2.nodePrototypes.get(dstInst.prototypeId) : null;
+                            const friendly = `Connected "${srcProto?.name || 'A'}" → "${dstProto?.name || 'B'}"`;
+                            window.dispatchEvent(new CustomEvent('rs-telemetry', { detail: [{ ts: Date.now(), type: 'info', name: 'applyMutations', message: friendly }] }));
+                          } catch {}
+                          results.push({ type: op.type, ok: true, id: op.edgeData?.id });
                           break;
                         }
-                        st.addEdge(op.graphId, op.edgeData);
-                        try {
-                          const s2 = useGraphStore.getState();
-                          const gi = s2.graphs.get(op.graphId);
-                          const srcInst = gi?.instances?.get(op.edgeData?.sourceId);
-                          const dstInst = gi?.instances?.get(op.edgeData?.destinationId);
-                          const srcProto = srcInst ? s2.nodePrototypes.get(srcInst.prototypeId) : null;
-                          const dstProto = dstInst ? s2.nodePrototypes.get(dstInst.prototypeId) : null;
-                          const friendly = `Connected "${srcProto?.name || 'A'}" → "${dstProto?.name || 'B'}"`;
-                          window.dispatchEvent(new CustomEvent('rs-telemetry', { detail: [{ ts: Date.now(), type: 'info', name: 'applyMutations', message: friendly }] }));
-                        } catch {}
-                        results.push({ type: op.type, ok: true, id: op.edgeData?.id });
-                        break;
-                      }
-                      case 'moveNodeInstance': {
-                        const st = useGraphStore.getState();
-                        const g = st.graphs.get(op.graphId);
-                        const exists = !!(g && g.instances && g.instances.get(op.instanceId));
-                        if (!exists) {
-                          results.push({ type: op.type, ok: false, id: op.instanceId, error: 'Missing instance/graph' });
+                        case 'moveNodeInstance': {
+                          const st = useGraphStore.getState();
+                          const g = st.graphs.get(op.graphId);
+                          const exists = !!(g && g.instances && g.instances.get(op.instanceId));
+                          if (!exists) {
+                            results.push({ type: op.type, ok: false, id: op.instanceId, error: 'Missing instance/graph' });
+                            break;
+                          }
+                          st.updateNodeInstance(op.graphId, op.instanceId, (inst) => { inst.x = op.position.x; inst.y = op.position.y; });
+                          try {
+                            const s2 = useGraphStore.getState();
+                            const g2 = s2.graphs.get(op.graphId);
+                            const inst2 = g2?.instances?.get(op.instanceId);
+                            const proto = inst2 ? s2.nodePrototypes.get(inst2.prototypeId) : null;
+                            const friendly = `Moved "${proto?.name || 'Concept'}" to (${Math.round(op.position?.x ?? 0)}, ${Math.round(op.position?.y ?? 0)})`;
+                            window.dispatchEvent(new CustomEvent('rs-telemetry', { detail: [{ ts: Date.now(), type: 'info', name: 'applyMutations', message: friendly }] }));
+                            console.log('MCPBridge: moveNodeInstance applied', { graphId: op.graphId, instanceId: op.instanceId, position: op.position, instanceCount: g2?.instances?.size });
+                          } catch {}
+                          results.push({ type: op.type, ok: true, id: op.instanceId });
                           break;
                         }
-                        st.updateNodeInstance(op.graphId, op.instanceId, (inst) => { inst.x = op.position.x; inst.y = op.position.y; });
-                        try {
-                          const s2 = useGraphStore.getState();
-                          const g2 = s2.graphs.get(op.graphId);
-                          const inst2 = g2?.instances?.get(op.instanceId);
-                          const proto = inst2 ? s2.nodePrototypes.get(inst2.prototypeId) : null;
-                          const friendly = `Moved "${proto?.name || 'Concept'}" to (${Math.round(op.position?.x ?? 0)}, ${Math.round(op.position?.y ?? 0)})`;
-                          window.dispatchEvent(new CustomEvent('rs-telemetry', { detail: [{ ts: Date.now(), type: 'info', name: 'applyMutations', message: friendly }] }));
-                          console.log('MCPBridge: moveNodeInstance applied', { graphId: op.graphId, instanceId: op.instanceId, position: op.position, instanceCount: g2?.instances?.size });
-                        } catch {}
-                        results.push({ type: op.type, ok: true, id: op.instanceId });
-                        break;
-                      }
-                      case 'updateEdgeDirectionality': {
-                        const st = useGraphStore.getState();
-                        const edgeExists = st.edges.has(op.edgeId);
-                        if (!edgeExists) {
-                          results.push({ type: op.type, ok: false, id: op.edgeId, error: 'Missing edge' });
+                        case 'updateEdgeDirectionality': {
+                          const st = useGraphStore.getState();
+                          const edgeExists = st.edges.has(op.edgeId);
+                          if (!edgeExists) {
+                            results.push({ type: op.type, ok: false, id: op.edgeId, error: 'Missing edge' });
+                            break;
+                          }
+                          st.updateEdge(op.edgeId, (edge) => {
+                            edge.directionality = { arrowsToward: new Set(Array.isArray(op.arrowsToward) ? op.arrowsToward : []) };
+                          });
+                          try {
+                            window.dispatchEvent(new CustomEvent('rs-telemetry', { detail: [{ ts: Date.now(), type: 'info', name: 'applyMutations', message: 'Updated connection direction' }] }));
+                          } catch {}
+                          results.push({ type: op.type, ok: true, id: op.edgeId });
                           break;
                         }
-                        st.updateEdge(op.edgeId, (edge) => {
-                          edge.directionality = { arrowsToward: new Set(Array.isArray(op.arrowsToward) ? op.arrowsToward : []) };
-                        });
-                        try {
-                          window.dispatchEvent(new CustomEvent('rs-telemetry', { detail: [{ ts: Date.now(), type: 'info', name: 'applyMutations', message: 'Updated connection direction' }] }));
-                        } catch {}
-                        results.push({ type: op.type, ok: true, id: op.edgeId });
-                        break;
-                      }
-                      case 'updateGraph': {
-                        const st = useGraphStore.getState();
-                        const g = st.graphs.get(op.graphId);
-                        if (!g) {
-                          results.push({ type: op.type, ok: false, id: op.graphId, error: 'Missing graph' });
+                        case 'updateGraph': {
+                          const st = useGraphStore.getState();
+                          const g = st.graphs.get(op.graphId);
+                          if (!g) {
+                            results.push({ type: op.type, ok: false, id: op.graphId, error: 'Missing graph' });
+                            break;
+                          }
+                          st.updateGraph(op.graphId, (graph) => {
+                            if (typeof op.updates?.name === 'string') graph.name = op.updates.name;
+                            if (typeof op.updates?.color === 'string') graph.color = op.updates.color;
+                          });
+                          try {
+                            const s2 = useGraphStore.getState();
+                            const g2 = s2.graphs.get(op.graphId);
+                            const friendly = `Updated graph "${g2?.name || op.graphId}"`;
+                            window.dispatchEvent(new CustomEvent('rs-telemetry', { detail: [{ ts: Date.now(), type: 'info', name: 'applyMutations', message: friendly }] }));
+                          } catch {}
+                          results.push({ type: op.type, ok: true, id: op.graphId });
                           break;
                         }
-                        st.updateGraph(op.graphId, (graph) => {
-                          if (typeof op.updates?.name === 'string') graph.name = op.updates.name;
-                          if (typeof op.updates?.color === 'string') graph.color = op.updates.color;
-                        });
-                        try {
-                          const s2 = useGraphStore.getState();
-                          const g2 = s2.graphs.get(op.graphId);
-                          const friendly = `Updated graph "${g2?.name || op.graphId}"`;
-                          window.dispatchEvent(new CustomEvent('rs-telemetry', { detail: [{ ts: Date.now(), type: 'info', name: 'applyMutations', message: friendly }] }));
-                        } catch {}
-                        results.push({ type: op.type, ok: true, id: op.graphId });
-                        break;
-                      }
-                      case 'updateNodePrototype': {
-                        const st = useGraphStore.getState();
-                        const exists = st.nodePrototypes.has(op.prototypeId);
-                        if (!exists) {
-                          results.push({ type: op.type, ok: false, id: op.prototypeId, error: 'Missing prototype' });
+                        case 'updateNodePrototype': {
+                          const st = useGraphStore.getState();
+                          const exists = st.nodePrototypes.has(op.prototypeId);
+                          if (!exists) {
+                            results.push({ type: op.type, ok: false, id: op.prototypeId, error: 'Missing prototype' });
+                            break;
+                          }
+                          st.updateNodePrototype(op.prototypeId, (prototype) => {
+                            if (typeof op.updates?.name === 'string') prototype.name = op.updates.name;
+                            if (typeof op.updates?.color === 'string') prototype.color = op.updates.color;
+                            if (typeof op.updates?.description === 'string') prototype.description = op.updates.description;
+                          });
+                          try {
+                            const s2 = useGraphStore.getState();
+                            const p2 = s2.nodePrototypes.get(op.prototypeId);
+                            const friendly = `Updated concept "${p2?.name || op.prototypeId}"`;
+                            window.dispatchEvent(new CustomEvent('rs-telemetry', { detail: [{ ts: Date.now(), type: 'info', name: 'applyMutations', message: friendly }] }));
+                          } catch {}
+                          results.push({ type: op.type, ok: true, id: op.prototypeId });
                           break;
                         }
-                        st.updateNodePrototype(op.prototypeId, (prototype) => {
-                          if (typeof op.updates?.name === 'string') prototype.name = op.updates.name;
-                          if (typeof op.updates?.color === 'string') prototype.color = op.updates.color;
-                          if (typeof op.updates?.description === 'string') prototype.description = op.updates.description;
-                        });
-                        try {
-                          const s2 = useGraphStore.getState();
-                          const p2 = s2.nodePrototypes.get(op.prototypeId);
-                          const friendly = `Updated concept "${p2?.name || op.prototypeId}"`;
-                          window.dispatchEvent(new CustomEvent('rs-telemetry', { detail: [{ ts: Date.now(), type: 'info', name: 'applyMutations', message: friendly }] }));
-                        } catch {}
-                        results.push({ type: op.type, ok: true, id: op.prototypeId });
-                        break;
-                      }
-                      case 'openRightPanelNodeTab':
-                        store.openRightPanelNodeTab(op.nodeId);
-                        results.push({ type: op.type, ok: true, id: op.nodeId });
-                        break;
-                      case 'addToAbstractionChain':
-                        store.addToAbstractionChain(op.nodeId, op.dimension, op.direction, op.newNodeId, op.insertRelativeToNodeId);
-                        results.push({ type: op.type, ok: true });
-                        break;
-                      case 'removeFromAbstractionChain':
-                        store.removeFromAbstractionChain(op.nodeId, op.dimension, op.nodeToRemove);
-                        results.push({ type: op.type, ok: true });
-                        break;
-                      case 'swapNodeInChain':
-                        store.swapNodeInChain(op.currentNodeId, op.newNodeId);
-                        results.push({ type: op.type, ok: true });
-                        break;
-                      case 'setNodeType':
-                        store.setNodeType(op.nodeId, op.typeNodeId);
-                        results.push({ type: op.type, ok: true });
-                        break;
-                      case 'closeGraphTab':
-                        store.closeGraphTab(op.graphId);
-                        results.push({ type: op.type, ok: true });
-                        break;
-                      case 'createNewGraph': {
-                        const init = op.initialData || {};
-                        if (init.id) {
-                          store.createGraphWithId(init.id, init);
-                          try { store.openGraphTab(init.id); } catch {}
-                        } else {
-                          store.createNewGraph(init);
+                        case 'openRightPanelNodeTab':
+                          store.openRightPanelNodeTab(op.nodeId);
+                          results.push({ type: op.type, ok: true, id: op.nodeId });
+                          break;
+                        case 'addToAbstractionChain':
+                          store.addToAbstractionChain(op.nodeId, op.dimension, op.direction, op.newNodeId, op.insertRelativeToNodeId);
+                          results.push({ type: op.type, ok: true });
+                          break;
+                        case 'removeFromAbstractionChain':
+                          store.removeFromAbstractionChain(op.nodeId, op.dimension, op.nodeToRemove);
+                          results.push({ type: op.type, ok: true });
+                          break;
+                        case 'swapNodeInChain':
+                          store.swapNodeInChain(op.currentNodeId, op.newNodeId);
+                          results.push({ type: op.type, ok: true });
+                          break;
+                        case 'setNodeType':
+                          store.setNodeType(op.nodeId, op.typeNodeId);
+                          results.push({ type: op.type, ok: true });
+                          break;
+                        case 'closeGraphTab':
+                          store.closeGraphTab(op.graphId);
+                          results.push({ type: op.type, ok: true });
+                          break;
+                        case 'createNewGraph': {
+                          const init = op.initialData || {};
+                          if (init.id) {
+                            store.createGraphWithId(init.id, init);
+                            try { store.openGraphTab(init.id); } catch {}
+                          } else {
+                            store.createNewGraph(init);
+                          }
+                          try {
+                            const s2 = useGraphStore.getState();
+                            const gid = s2.activeGraphId;
+                            const g = gid ? s2.graphs.get(gid) : null;
+                            const friendly = `Created graph "${g?.name || 'New Graph'}"`;
+                            window.dispatchEvent(new CustomEvent('rs-telemetry', { detail: [{ ts: Date.now(), type: 'info', name: 'applyMutations', message: friendly }] }));
+                          } catch {}
+                          results.push({ type: op.type, ok: true });
+                          break;
                         }
-                        try {
-                          const s2 = useGraphStore.getState();
-                          const gid = s2.activeGraphId;
-                          const g = gid ? s2.graphs.get(gid) : null;
-                          const friendly = `Created graph "${g?.name || 'New Graph'}"`;
-                          window.dispatchEvent(new CustomEvent('rs-telemetry', { detail: [{ ts: Date.now(), type: 'info', name: 'applyMutations', message: friendly }] }));
-                        } catch {}
-                        results.push({ type: op.type, ok: true });
-                        break;
+                        case 'createAndAssignGraphDefinition':
+                          store.createAndAssignGraphDefinition(op.prototypeId);
+                          results.push({ type: op.type, ok: true, id: op.prototypeId });
+                          break;
+                        default:
+                          results.push({ type: op.type, ok: false, error: 'Unknown operation type' });
                       }
-                      case 'createAndAssignGraphDefinition':
-                        store.createAndAssignGraphDefinition(op.prototypeId);
-                        results.push({ type: op.type, ok: true, id: op.prototypeId });
-                        break;
-                      default:
-                        results.push({ type: op.type, ok: false, error: 'Unknown operation type' });
-                    }
+                    });
                   } catch (err) {
                     results.push({ type: op.type, ok: false, error: String(err?.message || err) });
                   }
@@ -907,6 +912,8 @@ const BridgeClient = () => {
         // Mark as connected on successful initialization
         connectionStateRef.current.isConnected = true;
         connectionStateRef.current.lastSuccessfulConnection = Date.now();
+        // Persist store history to the daemon's event log from now on
+        historyRecorder.enableRemote();
         
         console.log('✅ MCP Bridge: Redstring store bridge established');
         console.log('✅ MCP Bridge: Store state:', {
@@ -971,6 +978,7 @@ const BridgeClient = () => {
         await sendStoreToServer();
         connectionStateRef.current.isConnected = true;
         connectionStateRef.current.lastSuccessfulConnection = Date.now();
+        historyRecorder.enableRemote();
         console.log('✅ MCP Bridge: Quick retry connected');
         clearInterval(quickRetryTimer);
       } catch {}
@@ -1180,11 +1188,11 @@ const BridgeClient = () => {
                   let result;
                   if (pendingAction.action === 'chat') {
                     const { message, context } = pendingAction.params;
-                    result = await window.redstringStoreActions[pendingAction.action](message, context);
+                    result = await historyRecorder.withActor('agent', () => window.redstringStoreActions[pendingAction.action](message, context));
                     console.log('✅ MCP Bridge: Chat message forwarded:', result);
                   } else {
                     // For other actions that use array parameters
-                    result = await window.redstringStoreActions[pendingAction.action](...(Array.isArray(pendingAction.params) ? pendingAction.params : [pendingAction.params]));
+                    result = await historyRecorder.withActor('agent', () => window.redstringStoreActions[pendingAction.action](...(Array.isArray(pendingAction.params) ? pendingAction.params : [pendingAction.params])));
                   }
                   console.log('✅ MCP Bridge: Action completed successfully:', pendingAction.action, result);
                   try {
@@ -64,8 +64,8 @@ const APIKeySetup = ({ onKeySet, onClose, inline = false }) => {
     setSuccess('');
 
     try {
-      // Validate the API key
-      if (!apiKeyManager.validateAPIKey(apiKey)) {
+      // Validate the API key (local model servers run without one)
+      if (apiKeyManager.requiresAPIKey(provider) && !apiKeyManager.validateAPIKey(apiKey)) {
         throw new Error('API key cannot be empty');
       }
 
@@ -351,7 +351,7 @@ const APIKeySetup = ({ onKeySet, onClose, inline = false }) => {
                   type={showKey ? 'text' : 'password'}
                   value={apiKey}
                   onChange={(e) => setApiKey(e.target.value)}
-                  placeholder="Enter your API key"
+                  placeholder={apiKeyManager.requiresAPIKey(provider) ? 'Enter your API key' : 'Optional for local servers'}
                   disabled={isLoading}
                   className="key-input"
                 />
@@ -383,7 +383,7 @@ const APIKeySetup = ({ onKeySet, onClose, inline = false }) => {
             <div className="form-actions">
               <button
                 type="submit"
-                disabled={isLoading || !apiKey.trim()}
+                disabled={isLoading || (apiKeyManager.requiresAPIKey(provider) && !apiKey.trim())}
                 className="submit-button"
               >
                 {isLoading ? 'Storing...' : 'Store API Key'}
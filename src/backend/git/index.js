@@ -5,6 +5,7 @@ export {
   SemanticProviderFactory,
   GitHubSemanticProvider,
   GiteaSemanticProvider,
+  GitLabSemanticProvider,
   SemanticProvider
 } from '../../services/gitNativeProvider.js';
 
@@ -1,6 +1,7 @@
 import {
   SCROLL_SENSITIVITY
 } from './constants';
+import { computeAutoLayout } from './services/autoLayout.js';
 
 // Log worker initialization
 console.log('Worker initialized');
@@ -150,54 +151,62 @@ const calculateZoom = (data) => {
   }
 };
 
-// Message handler with error handling
+// Message handler with error handling. Requests may carry an id, which every reply
+// (including errors) echoes so concurrent callers can tell their results apart.
 self.onmessage = (e) => {
+  const { type, data, id } = e.data || {};
+  const reply = (message) => self.postMessage(id === undefined ? message : { ...message, id });
   try {
-    const { type, data } = e.data;
-
     switch (type) {
       case 'TEST':
-        self.postMessage({ type: 'READY' });
+        reply({ type: 'READY' });
         break;
 
       case 'CALCULATE_PAN':
-        self.postMessage({
+        reply({
           type: 'PAN_RESULT',
           data: calculatePanOffset(data)
         });
         break;
 
       case 'CALCULATE_NODE_POSITIONS':
-        self.postMessage({
+        reply({
           type: 'NODE_POSITIONS_RESULT',
           data: calculateNodePositions(data)
         });
         break;
 
       case 'CALCULATE_SELECTION':
-        self.postMessage({
+        reply({
           type: 'SELECTION_RESULT',
           data: calculateSelectionRect(data)
         });
         break;
 
       case 'CALCULATE_ZOOM':
-        self.postMessage({
+        reply({
           type: 'ZOOM_RESULT',
           data: calculateZoom(data)
         });
         break;
 
+      case 'CALCULATE_LAYOUT':
+        reply({
+          type: 'LAYOUT_RESULT',
+          data: computeAutoLayout(data)
+        });
+        break;
+
       default:
         console.warn('Unknown message type:', type);
-        self.postMessage({
+        reply({
           type: 'ERROR',
           error: `Unknown message type: ${type}`
         });
     }
   } catch (error) {
     console.error('Worker message handling error:', error);
-    self.postMessage({
+    reply({
       type: 'ERROR',
       error: error.message
     });
@@ -0,0 +1,274 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Search, X, Circle, Layers, ArrowRight } from 'lucide-react';
+import useGraphStore from '../store/graphStore.jsx';
+import searchIndex from '../services/searchIndex.js';
+
+const MAX_FACET_VALUES = 8;
+
+const KIND_LABELS = { node: 'Things', graph: 'Webs', edge: 'Connections' };
+const KIND_ICONS = { node: Circle, graph: Layers, edge: ArrowRight };
+
+const chipStyle = (active) => ({
+  background: active ? '#260000' : 'none',
+  color: active ? '#bdb5b5' : '#260000',
+  border: '1px solid #260000',
+  borderRadius: '10px',
+  padding: '2px 8px',
+  fontSize: '0.7rem',
+  cursor: 'pointer',
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '4px',
+  fontFamily: "'EmOne', sans-serif",
+  whiteSpace: 'nowrap'
+});
+
+/**
+ * Universe-wide search (Ctrl/Cmd+K). Results come from the incremental search
+ * index; picking one opens its graph and asks the canvas to focus the instance.
+ */
+const CommandPalette = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [facets, setFacets] = useState({});
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+
+  // Selecting the data maps re-renders (and so re-searches) after every edit while open
+  const graphs = useGraphStore(state => state.graphs);
+  const nodePrototypes = useGraphStore(state => state.nodePrototypes);
+  const edges = useGraphStore(state => state.edges);
+  const activeGraphId = useGraphStore(state => state.activeGraphId);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setIsOpen(open => !open);
+      }
+    };
+    const onOpenSearch = () => setIsOpen(true);
+    window.addEventListener('keydown', onKeyDown, true);
+    window.addEventListener('redstring:open-search', onOpenSearch);
+    return () => {
+      window.removeEventListener('keydown', onKeyDown, true);
+      window.removeEventListener('redstring:open-search', onOpenSearch);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    searchIndex.attachToStore(useGraphStore);
+    setActiveIndex(0);
+    inputRef.current?.focus();
+    inputRef.current?.select();
+  }, [isOpen]);
+
+  const searchResult = useMemo(() => {
+    if (!isOpen) return null;
+    return searchIndex.search(query, { facets, activeGraphId, limit: 60 });
+    // The data maps are deps on purpose: the index re-syncs from the store when they change
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, query, facets, activeGraphId, graphs, nodePrototypes, edges]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query, facets]);
+
+  if (!isOpen || !searchResult) return null;
+
+  const { results, total, facets: facetCounts } = searchResult;
+
+  const close = () => setIsOpen(false);
+
+  const toggleFacet = (facet, value) => {
+    setFacets(prev => {
+      const next = { ...prev };
+      if (next[facet] === value) delete next[facet];
+      else next[facet] = value;
+      return next;
+    });
+  };
+
+  const jumpTo = (result) => {
+    const store = useGraphStore.getState();
+    close();
+
+    if (result.target) {
+      store.openGraphTabAndBringToTop(result.target.graphId);
+      if (result.target.instanceId) {
+        window.dispatchEvent(new CustomEvent('redstring:focus-instance', { detail: result.target }));
+      }
+      return;
+    }
+
+    // A thing not placed in any web: open its definition, or at least its details
+    const prototype = result.kind === 'node' ? store.nodePrototypes.get(result.refId) : null;
+    const definitionGraphId = prototype?.definitionGraphIds?.[0];
+    if (definitionGraphId) {
+      store.openGraphTabAndBringToTop(definitionGraphId, prototype.id);
+    } else if (prototype) {
+      store.openRightPanelNodeTab(prototype.id, prototype.name);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(i => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      jumpTo(results[activeIndex]);
+    }
+  };
+
+  const facetLabel = (facet, value) => {
+    if (facet === 'kind') return KIND_LABELS[value] || value;
+    if (facet === 'type') return nodePrototypes.get(value)?.name || 'Unknown type';
+    if (facet === 'graph') return graphs.get(value)?.name || 'Untitled Graph';
+    return value;
+  };
+
+  const countFor = (facet, value) => facetCounts[facet]?.find(entry => entry.value === value)?.count || 0;
+
+  const renderFacetRow = (facet, title) => {
+    const values = (facetCounts[facet] || []).slice(0, MAX_FACET_VALUES);
+    if (values.length === 0 && !facets[facet]) return null;
+    return (
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap' }}>
+        <span style={{ fontSize: '0.65rem', color: '#555', minWidth: '44px' }}>{title}</span>
+        {values.map(({ value, count }) => (
+          <button key={String(value)} onClick={() => toggleFacet(facet, value)} style={chipStyle(facets[facet] === value)}>
+            {facet === 'color' ? (
+              <span style={{ width: '10px', height: '10px', borderRadius: '50%', backgroundColor: value, border: '1px solid #260000' }} />
+            ) : facetLabel(facet, value)}
+            <span style={{ opacity: 0.7 }}>{count}</span>
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div
+      onMouseDown={(e) => { if (e.target === e.currentTarget) close(); }}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(0,0,0,0.35)',
+        zIndex: 10000,
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'flex-start',
+        paddingTop: '12vh'
+      }}
+    >
+      <div
+        role="dialog"
+        aria-label="Search universe"
+        onKeyDown={handleKeyDown}
+        style={{
+          width: 'min(640px, 92vw)',
+          maxHeight: '70vh',
+          display: 'flex',
+          flexDirection: 'column',
+          backgroundColor: '#bdb5b5',
+          border: '2px solid #260000',
+          borderRadius: '10px',
+          boxShadow: '0 12px 40px rgba(0,0,0,0.35)',
+          overflow: 'hidden',
+          fontFamily: "'EmOne', sans-serif",
+          color: '#260000'
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '10px 12px', borderBottom: '1px solid #979090' }}>
+          <Search size={16} />
+          <input
+            ref={inputRef}
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search things, webs and connections…"
+            style={{
+              flex: 1,
+              border: 'none',
+              outline: 'none',
+              background: 'transparent',
+              fontSize: '1rem',
+              color: '#260000',
+              fontFamily: "'EmOne', sans-serif"
+            }}
+          />
+          <span style={{ fontSize: '0.7rem', color: '#555' }}>{total}</span>
+          <button onClick={close} aria-label="Close search" style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#260000', padding: 0 }}>
+            <X size={16} />
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', padding: '8px 12px', borderBottom: '1px solid #979090' }}>
+          {renderFacetRow('kind', 'Kind')}
+          {renderFacetRow('type', 'Type')}
+          {renderFacetRow('graph', 'In web')}
+          {renderFacetRow('color', 'Color')}
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap' }}>
+            <span style={{ fontSize: '0.65rem', color: '#555', minWidth: '44px' }}>Has</span>
+            <button onClick={() => toggleFacet('hasDefinition', true)} style={chipStyle(facets.hasDefinition === true)}>
+              Definition <span style={{ opacity: 0.7 }}>{countFor('hasDefinition', true)}</span>
+            </button>
+            <button onClick={() => toggleFacet('externalLinked', true)} style={chipStyle(facets.externalLinked === true)}>
+              External links <span style={{ opacity: 0.7 }}>{countFor('externalLinked', true)}</span>
+            </button>
+          </div>
+        </div>
+
+        <div style={{ overflowY: 'auto', flex: 1 }}>
+          {results.length === 0 ? (
+            <div style={{ padding: '24px', textAlign: 'center', color: '#555', fontSize: '0.85rem' }}>
+              No matches
+            </div>
+          ) : results.map((result, index) => {
+            const Icon = KIND_ICONS[result.kind] || Circle;
+            const color = result.kind === 'node' ? nodePrototypes.get(result.refId)?.color : null;
+            const where = result.graphIds.map(id => graphs.get(id)?.name).filter(Boolean).join(', ');
+            return (
+              <div
+                key={result.id}
+                onMouseEnter={() => setActiveIndex(index)}
+                onClick={() => jumpTo(result)}
+                style={{
+                  display: 'flex',
+                  gap: '10px',
+                  alignItems: 'flex-start',
+                  padding: '8px 12px',
+                  cursor: 'pointer',
+                  backgroundColor: index === activeIndex ? '#979090' : 'transparent'
+                }}
+              >
+                <Icon size={14} style={{ marginTop: '3px', flexShrink: 0, color: color || '#260000', fill: color || 'none' }} />
+                <div style={{ minWidth: 0, flex: 1 }}>
+                  <div style={{ fontWeight: 'bold', fontSize: '0.9rem' }}>{result.name}</div>
+                  {result.preview && (
+                    <div style={{ fontSize: '0.72rem', color: '#444', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {result.preview}
+                    </div>
+                  )}
+                  {where && (
+                    <div style={{ fontSize: '0.65rem', color: '#7A0000' }}>{where}</div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
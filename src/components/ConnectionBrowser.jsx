@@ -386,8 +386,7 @@ const ConnectionBrowser = ({ nodeData, onMaterializeConnection, isUltraSlim = fa
           const discoveryResults = await discoverConnections(nodeData.name, {
             timeout: 12000, // 12 seconds (faster than old system)
             limit: 25,
-            minConfidence: 0.5,
-            sources: ['dbpedia', 'wikidata']
+            minConfidence: 0.5
           });
 
         // Convert discovery results to connection format with CLEAR LABELS
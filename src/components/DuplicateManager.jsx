@@ -10,7 +10,7 @@ const DuplicateManager = ({ onClose }) => {
   const [showDefinitionOptions, setShowDefinitionOptions] = useState(null); // { groupIndex, duplicateIndex, type: 'merge'|'reverse'|'create' }
   const [selectedNodes, setSelectedNodes] = useState(new Map()); // Map<groupIndex, nodeId>
   
-  const { findPotentialDuplicates, mergeNodePrototypes, addNodePrototype, mergeDefinitionGraphs } = useGraphStore();
+  const { findPotentialDuplicates, mergeNodePrototypes, addNodePrototype, mergeDefinitionGraphs, beginHistoryTransaction, commitHistoryTransaction } = useGraphStore();
 
   useEffect(() => {
     const loadDuplicates = () => {
@@ -73,10 +73,15 @@ const DuplicateManager = ({ onClose }) => {
       return;
     }
     
-    // No definition graphs, proceed with merge
-    nodesToMerge.forEach(nodeToMerge => {
-      mergeNodePrototypes(selectedNodeId, nodeToMerge.id);
-    });
+    // No definition graphs, proceed with merge (one undo step for the whole group)
+    beginHistoryTransaction('merge duplicates');
+    try {
+      nodesToMerge.forEach(nodeToMerge => {
+        mergeNodePrototypes(selectedNodeId, nodeToMerge.id);
+      });
+    } finally {
+      commitHistoryTransaction();
+    }
     
     // Refresh the duplicate list
     const groups = findPotentialDuplicates(threshold);
@@ -102,6 +107,8 @@ const DuplicateManager = ({ onClose }) => {
   const handleDefinitionMerge = (strategy, selections) => {
     const { isGroupMerge, groupIndex, primaryId, nodesToMerge } = showDefinitionOptions;
     
+    // Definition and prototype merges undo together as one step
+    beginHistoryTransaction('merge duplicates');
     try {
       if (isGroupMerge) {
         // Handle group merge - merge each node into the selected primary
@@ -130,6 +137,8 @@ const DuplicateManager = ({ onClose }) => {
       setDuplicateGroups(groups);
     } catch (error) {
       console.error('Error merging with definition options:', error);
+    } finally {
+      commitHistoryTransaction();
     }
   };
 
@@ -150,12 +150,33 @@ export default function GitFederationBootstrap({ enableEagerInit = false }) {
           case 'downloadGitUniverse':
             result = await backend.downloadGitUniverse(payload.universeSlug);
             break;
+          case 'listUniverseHistory':
+            result = await backend.listUniverseHistory(payload.universeSlug, payload.options);
+            break;
+          case 'loadUniverseAtCommit':
+            result = await backend.loadUniverseAtCommit(payload.universeSlug, payload.sha);
+            break;
+          case 'restoreUniverseVersion':
+            result = await backend.restoreUniverseVersion(payload.universeSlug, payload.sha);
+            break;
           case 'requestLocalFilePermission':
             result = await backend.requestLocalFilePermission(payload.universeSlug);
             break;
           case 'removeLocalFileLink':
             result = await backend.removeLocalFileLink(payload.universeSlug);
             break;
+          case 'setSourceOfTruth':
+            result = await backend.setSourceOfTruth(payload.universeSlug, payload.sourceType);
+            break;
+          case 'linkSolidPod':
+            result = await backend.linkSolidPod(payload.universeSlug, payload.options);
+            break;
+          case 'unlinkSolidPod':
+            result = await backend.unlinkSolidPod(payload.universeSlug);
+            break;
+          case 'listSolidPodUniverses':
+            result = await backend.listSolidPodUniverses(payload.containerUrl);
+            break;
           default:
             throw new Error(`Unknown command: ${command}`);
         }
@@ -204,5 +225,25 @@ export default function GitFederationBootstrap({ enableEagerInit = false }) {
     };
   }, []);
 
+  // Resume polling followed semantic spaces so accepted concepts stay current
+  useEffect(() => {
+    let hasSubscriptions = false;
+    try {
+      hasSubscriptions = !!localStorage.getItem('redstring_federation_subscriptions');
+    } catch {
+      hasSubscriptions = false;
+    }
+    if (!hasSubscriptions) return;
+
+    Promise.all([
+      import('../services/semanticFederation.js'),
+      import('../store/graphStore.jsx')
+    ]).then(([federationModule, storeModule]) => {
+      federationModule.getSemanticFederation().setGraphStore(storeModule.default);
+    }).catch(error => {
+      console.warn('[GitFederationBootstrap] Failed to resume federation subscriptions:', error);
+    });
+  }, []);
+
   return null;
 }
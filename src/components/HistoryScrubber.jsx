@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { History, RotateCcw, Bot, User } from 'lucide-react';
+import useGraphStore from '../store/graphStore.jsx';
+import historyRecorder from '../services/historyRecorder.js';
+import { replayUniverse, listGraphCheckpoints, mergeHistoryEvents } from '../services/eventHistory.js';
+import MaroonSlider from './MaroonSlider.jsx';
+
+// Store changes arrive on every drag frame; reload once things settle
+const RELOAD_DELAY_MS = 750;
+// Re-fetch a little before the newest event we hold: events from other tabs reach the daemon late
+const RELOAD_OVERLAP_MS = 10000;
+
+const nodeNames = (graph, prototypes) => {
+  if (!graph?.instances) return [];
+  return Array.from(graph.instances.values())
+    .map(instance => prototypes?.get(instance.prototypeId)?.name || 'Untitled')
+    .sort((a, b) => a.localeCompare(b));
+};
+
+// Multiset difference so repeated names are counted correctly
+const missingFrom = (names, others) => {
+  const remaining = [...others];
+  return names.filter(name => {
+    const index = remaining.indexOf(name);
+    if (index === -1) return true;
+    remaining.splice(index, 1);
+    return false;
+  });
+};
+
+const formatTime = (ts) => new Date(ts).toLocaleString();
+
+/**
+ * Browse the recorded history of a graph and restore an earlier state of it.
+ */
+const HistoryScrubber = ({ graphId }) => {
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [position, setPosition] = useState(null);
+
+  const currentGraph = useGraphStore(state => state.graphs.get(graphId));
+  const currentPrototypes = useGraphStore(state => state.nodePrototypes);
+  const restoreGraphFromHistory = useGraphStore(state => state.restoreGraphFromHistory);
+
+  useEffect(() => {
+    if (!graphId) return undefined;
+    let cancelled = false;
+    let held = [];
+    let reloadTimer = null;
+    setEvents([]);
+    setIsLoading(true);
+
+    // Only fetch what's new since the last load; snapshots are whole universes
+    const load = async () => {
+      const since = held.length > 0 ? Math.max(0, held[held.length - 1].ts - RELOAD_OVERLAP_MS) : 0;
+      const loaded = await historyRecorder.loadEvents({ graphId, since });
+      if (cancelled) return;
+      held = mergeHistoryEvents(held, loaded);
+      setEvents(held);
+      setIsLoading(false);
+    };
+    const scheduleReload = () => {
+      if (reloadTimer) clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        reloadTimer = null;
+        load();
+      }, RELOAD_DELAY_MS);
+    };
+
+    load();
+    const unsubscribe = historyRecorder.subscribe(scheduleReload);
+    return () => {
+      cancelled = true;
+      if (reloadTimer) clearTimeout(reloadTimer);
+      unsubscribe();
+    };
+  }, [graphId]);
+
+  const checkpoints = useMemo(() => listGraphCheckpoints(events, graphId), [events, graphId]);
+  const index = position == null ? checkpoints.length - 1 : Math.min(position, checkpoints.length - 1);
+  const checkpoint = checkpoints[index] || null;
+
+  // Reset to "now" when switching graphs
+  useEffect(() => { setPosition(null); }, [graphId]);
+
+  const past = useMemo(() => {
+    if (!checkpoint) return null;
+    const { state } = replayUniverse(events, checkpoint.ts, { sessionId: checkpoint.sessionId });
+    return { graph: state.graphs.get(graphId), prototypes: state.nodePrototypes };
+  }, [events, checkpoint, graphId]);
+
+  const diff = useMemo(() => {
+    if (!past) return null;
+    const pastNames = nodeNames(past.graph, past.prototypes);
+    const currentNames = nodeNames(currentGraph, currentPrototypes);
+    return {
+      pastNames,
+      added: missingFrom(currentNames, pastNames),
+      removed: missingFrom(pastNames, currentNames),
+      edgeDelta: (currentGraph?.edgeIds?.length || 0) - (past.graph?.edgeIds?.length || 0)
+    };
+  }, [past, currentGraph, currentPrototypes]);
+
+  if (!graphId) {
+    return <div className="panel-content-inner" style={{ padding: 15, color: '#666' }}>Open a graph to browse its history.</div>;
+  }
+  if (isLoading) {
+    return <div className="panel-content-inner" style={{ padding: 15, color: '#666' }}>Loading history...</div>;
+  }
+  if (checkpoints.length === 0) {
+    return <div className="panel-content-inner" style={{ padding: 15, color: '#666' }}>No recorded changes for this graph yet.</div>;
+  }
+
+  const isLatest = index === checkpoints.length - 1;
+
+  return (
+    <div className="panel-content-inner" style={{ padding: 15, display: 'flex', flexDirection: 'column', gap: 12, fontFamily: "'EmOne', sans-serif", color: '#260000' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontWeight: 'bold' }}>
+        <History size={18} /> History of {currentGraph?.name || 'this graph'}
+      </div>
+
+      <MaroonSlider
+        label="Point in time"
+        value={index + 1}
+        min={1}
+        max={checkpoints.length}
+        onChange={(value) => setPosition(value - 1)}
+        suffix={` / ${checkpoints.length}`}
+      />
+
+      <div style={{ fontSize: '0.85rem', display: 'flex', alignItems: 'center', gap: 6 }}>
+        {checkpoint.actor === 'agent' ? <Bot size={14} /> : <User size={14} />}
+        <span>{formatTime(checkpoint.ts)}</span>
+        <span style={{ color: '#666' }}>· {checkpoint.action}</span>
+      </div>
+
+      {past?.graph ? (
+        <div style={{ fontSize: '0.85rem', display: 'flex', flexDirection: 'column', gap: 6 }}>
+          <div>{diff.pastNames.length} nodes, {past.graph.edgeIds?.length || 0} connections</div>
+          <div style={{ color: '#444', maxHeight: 120, overflowY: 'auto' }}>{diff.pastNames.join(', ') || 'Empty'}</div>
+          {!isLatest && (
+            <div style={{ color: '#666' }}>
+              Since then: {diff.added.length > 0 ? `+${diff.added.join(', +')}` : 'no nodes added'}
+              {'; '}{diff.removed.length > 0 ? `-${diff.removed.join(', -')}` : 'no nodes removed'}
+              {diff.edgeDelta !== 0 ? `; ${diff.edgeDelta > 0 ? '+' : ''}${diff.edgeDelta} connections` : ''}
+            </div>
+          )}
+        </div>
+      ) : (
+        <div style={{ fontSize: '0.85rem', color: '#666' }}>This graph did not exist yet.</div>
+      )}
+
+      <button
+        disabled={isLatest || !past?.graph}
+        onClick={() => {
+          const { state } = replayUniverse(events, checkpoint.ts, { sessionId: checkpoint.sessionId });
+          if (restoreGraphFromHistory(graphId, state)) setPosition(null);
+        }}
+        style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 6, padding: '6px 10px', border: 'none', borderRadius: 6, backgroundColor: '#8B0000', color: '#bdb5b5', cursor: isLatest || !past?.graph ? 'default' : 'pointer', opacity: isLatest || !past?.graph ? 0.5 : 1, fontFamily: "'EmOne', sans-serif" }}
+      >
+        <RotateCcw size={14} /> Restore this version
+      </button>
+    </div>
+  );
+};
+
+export default HistoryScrubber;
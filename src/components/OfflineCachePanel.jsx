@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from 'react';
+import { Database, Trash2, Download } from 'lucide-react';
+import { getOfflineCache } from '../services/offlineCache/index.js';
+
+const NAMESPACE_LABELS = {
+  rdf: 'Resolved RDF',
+  sparql: 'SPARQL answers',
+  enrichment: 'Node enrichment',
+  orbits: 'Orbits',
+  sources: 'Source lookups'
+};
+
+const BACKEND_LABELS = {
+  indexeddb: 'saved in this browser',
+  file: 'saved to disk',
+  memory: 'this session only'
+};
+
+const buttonStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  gap: 6,
+  flex: 1,
+  padding: '6px 10px',
+  border: 'none',
+  borderRadius: 6,
+  backgroundColor: '#8B0000',
+  color: '#bdb5b5',
+  cursor: 'pointer',
+  fontFamily: "'EmOne', sans-serif",
+  fontSize: '0.8rem'
+};
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatAge = (timestamp) => {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)}h ago`;
+  return `${Math.round(minutes / (24 * 60))}d ago`;
+};
+
+/**
+ * What the offline cache holds for semantic web lookups, with purge controls.
+ */
+const OfflineCachePanel = () => {
+  const cache = getOfflineCache();
+  const [stats, setStats] = useState(() => cache.stats());
+  const [namespace, setNamespace] = useState(null);
+
+  useEffect(() => {
+    const refresh = () => setStats(cache.stats());
+    cache.ready.then(refresh);
+    return cache.onChange(refresh);
+  }, [cache]);
+
+  const entries = cache.list(namespace, { limit: 30 });
+  const namespaces = Object.entries(stats.namespaces).sort(([a], [b]) => a.localeCompare(b));
+  const staleCount = namespaces.reduce((sum, [, ns]) => sum + ns.stale, 0);
+
+  const handleExport = async () => {
+    const snapshot = await cache.snapshot();
+    const url = URL.createObjectURL(new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'redstring-lookup-cache.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div style={{ flex: 1, overflow: 'auto', display: 'flex', flexDirection: 'column', gap: 12, fontFamily: "'EmOne', sans-serif", color: '#260000' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontWeight: 'bold', fontSize: '0.9rem' }}>
+        <Database size={16} />
+        Lookup cache
+      </div>
+      <div style={{ fontSize: '0.8rem', color: '#666' }}>
+        {stats.totalEntries} entr{stats.totalEntries === 1 ? 'y' : 'ies'}, {formatBytes(stats.totalBytes)} of {formatBytes(stats.maxBytes)}, {BACKEND_LABELS[stats.backend] || stats.backend}.
+        Stored lookups keep enrichment and orbits working offline.
+      </div>
+
+      {namespaces.length === 0 ? (
+        <div style={{ fontSize: '0.85rem', color: '#666' }}>
+          Nothing cached yet. Lookups are stored here as you discover and enrich concepts.
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 6, fontSize: '0.8rem' }}>
+          {namespaces.map(([id, ns]) => (
+            <div
+              key={id}
+              onClick={() => setNamespace(namespace === id ? null : id)}
+              title={namespace === id ? 'Show all entries' : 'Show only these entries'}
+              style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '4px 6px', borderRadius: 4, cursor: 'pointer', backgroundColor: namespace === id ? 'rgba(139, 0, 0, 0.15)' : 'rgba(38, 0, 0, 0.05)' }}
+            >
+              <span style={{ flex: 1, minWidth: 0, fontWeight: 'bold' }}>{NAMESPACE_LABELS[id] || id}</span>
+              <span style={{ color: '#666' }}>
+                {ns.fresh} fresh{ns.stale > 0 ? `, ${ns.stale} stale` : ''} · {formatBytes(ns.bytes)}
+              </span>
+              <button
+                onClick={(e) => { e.stopPropagation(); cache.purge({ namespace: id }); }}
+                title={`Clear ${NAMESPACE_LABELS[id] || id}`}
+                style={{ display: 'flex', padding: 2, border: 'none', background: 'transparent', color: '#8B0000', cursor: 'pointer' }}
+              >
+                <Trash2 size={12} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {entries.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 2, fontSize: '0.75rem' }}>
+          <div style={{ fontWeight: 'bold', marginBottom: 2 }}>
+            Recent {namespace ? (NAMESPACE_LABELS[namespace] || namespace).toLowerCase() : 'entries'}
+          </div>
+          {entries.map(entry => (
+            <div key={`${entry.namespace}|${entry.key}`} style={{ display: 'flex', gap: 6, color: entry.stale ? '#999' : '#444' }}>
+              <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={entry.key}>
+                {entry.key}
+              </span>
+              <span style={{ flexShrink: 0 }}>{entry.stale ? 'stale, ' : ''}{formatAge(entry.storedAt)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: 6 }}>
+        <button onClick={() => cache.purge({ staleOnly: true })} disabled={staleCount === 0} style={{ ...buttonStyle, opacity: staleCount === 0 ? 0.5 : 1 }}>
+          Purge stale
+        </button>
+        <button onClick={() => cache.purge()} disabled={stats.totalEntries === 0} style={{ ...buttonStyle, opacity: stats.totalEntries === 0 ? 0.5 : 1 }}>
+          <Trash2 size={14} /> Clear all
+        </button>
+        <button onClick={handleExport} disabled={stats.totalEntries === 0} title="Download a snapshot, e.g. to seed tests" style={{ ...buttonStyle, flex: 'none', opacity: stats.totalEntries === 0 ? 0.5 : 1 }}>
+          <Download size={14} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OfflineCachePanel;
@@ -0,0 +1,181 @@
+import React, { useMemo, useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import useGraphStore from '../store/graphStore.jsx';
+import {
+  SHAPE_CONSTRAINT_KINDS,
+  SHAPE_SEVERITIES,
+  SHAPE_DATATYPES,
+  SHAPE_PROPERTY_PATHS,
+  createShapeConstraint,
+  describeConstraint
+} from '../services/shapeConstraints.js';
+
+const KIND_LABELS = {
+  [SHAPE_CONSTRAINT_KINDS.PROPERTY]: 'Required property',
+  [SHAPE_CONSTRAINT_KINDS.EDGE_ENDPOINTS]: 'Connection endpoints',
+  [SHAPE_CONSTRAINT_KINDS.MAX_PER_GRAPH]: 'Max per graph'
+};
+
+const SEVERITY_COLORS = { violation: '#8B0000', warning: '#B8860B', info: '#555' };
+
+const fieldStyle = {
+  padding: '4px 6px',
+  border: '1px solid #979090',
+  borderRadius: '4px',
+  backgroundColor: '#bdb5b5',
+  color: '#260000',
+  fontSize: '0.8rem',
+  fontFamily: "'EmOne', sans-serif",
+  minWidth: 0
+};
+
+const EMPTY_DRAFT = { path: '', minCount: '1', maxCount: '', datatype: '', sourceTypeId: '', destinationTypeId: '', max: '1', severity: 'violation' };
+
+/**
+ * Edit the shape constraints a type prototype imposes on things (and connections) of its type.
+ */
+const ShapeConstraintsEditor = ({ nodeData, isUltraSlim = false }) => {
+  const nodePrototypes = useGraphStore(state => state.nodePrototypes);
+  const setShapeConstraints = useGraphStore(state => state.setShapeConstraints);
+  const [kind, setKind] = useState(SHAPE_CONSTRAINT_KINDS.PROPERTY);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+
+  const prototype = nodePrototypes.get(nodeData?.id);
+  const constraints = prototype?.shapeConstraints || [];
+
+  const typeOptions = useMemo(() => Array.from(nodePrototypes.values())
+    .filter(p => p.id !== nodeData?.id)
+    .sort((a, b) => (a.name || '').localeCompare(b.name || '')), [nodePrototypes, nodeData?.id]);
+
+  if (!prototype) return null;
+
+  // Typed properties this type declares can be required too
+  const pathOptions = Array.from(new Set([...(prototype.propertySchema || []).map(entry => entry.key), ...SHAPE_PROPERTY_PATHS]));
+
+  const update = (field) => (e) => setDraft(prev => ({ ...prev, [field]: e.target.value }));
+
+  const fieldsForKind = () => {
+    if (kind === SHAPE_CONSTRAINT_KINDS.PROPERTY) {
+      return { path: draft.path, minCount: draft.minCount, maxCount: draft.maxCount, datatype: draft.datatype || null };
+    }
+    if (kind === SHAPE_CONSTRAINT_KINDS.EDGE_ENDPOINTS) {
+      return { sourceTypeId: draft.sourceTypeId || null, destinationTypeId: draft.destinationTypeId || null };
+    }
+    return { max: draft.max };
+  };
+
+  const candidate = createShapeConstraint(kind, { ...fieldsForKind(), severity: draft.severity });
+
+  const handleAdd = () => {
+    if (!candidate) return;
+    setShapeConstraints(prototype.id, [...constraints, candidate]);
+    setDraft(EMPTY_DRAFT);
+  };
+
+  const handleRemove = (constraintId) => {
+    setShapeConstraints(prototype.id, constraints.filter(c => c.id !== constraintId));
+  };
+
+  const handleSeverity = (constraintId, severity) => {
+    setShapeConstraints(prototype.id, constraints.map(c => (c.id === constraintId ? { ...c, severity } : c)));
+  };
+
+  return (
+    <div style={{ marginRight: '15px', display: 'flex', flexDirection: 'column', gap: '10px', fontFamily: "'EmOne', sans-serif", color: '#260000' }}>
+      <div style={{ fontSize: '0.75rem', color: '#555' }}>
+        Rules for everything typed as <strong>{prototype.name}</strong>, and for connections named by it.
+      </div>
+
+      {constraints.length === 0 ? (
+        <div style={{ fontSize: '0.85rem', color: '#999', paddingLeft: '4px' }}>No constraints.</div>
+      ) : constraints.map(constraint => (
+        <div key={constraint.id} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.8rem' }}>
+          <span style={{ width: '8px', height: '8px', borderRadius: '50%', flexShrink: 0, backgroundColor: SEVERITY_COLORS[constraint.severity] || SEVERITY_COLORS.violation }} />
+          <span style={{ flex: 1, minWidth: 0 }}>{describeConstraint(constraint, nodePrototypes, prototype.id)}</span>
+          <select value={constraint.severity} onChange={(e) => handleSeverity(constraint.id, e.target.value)} style={fieldStyle} aria-label="Severity">
+            {SHAPE_SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+          </select>
+          <button
+            onClick={() => handleRemove(constraint.id)}
+            title="Remove constraint"
+            style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#260000', padding: 0, display: 'flex' }}
+          >
+            <X size={14} />
+          </button>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', paddingTop: '8px', borderTop: '1px solid #979090' }}>
+        <div style={{ display: 'flex', gap: '6px', flexWrap: isUltraSlim ? 'wrap' : 'nowrap' }}>
+          <select value={kind} onChange={(e) => setKind(e.target.value)} style={{ ...fieldStyle, flex: 1 }}>
+            {Object.entries(KIND_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <select value={draft.severity} onChange={update('severity')} style={fieldStyle} aria-label="Severity">
+            {SHAPE_SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+          </select>
+        </div>
+
+        {kind === SHAPE_CONSTRAINT_KINDS.PROPERTY && (
+          <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+            <input list="shape-property-paths" placeholder="property" value={draft.path} onChange={update('path')} style={{ ...fieldStyle, flex: 2 }} />
+            <datalist id="shape-property-paths">
+              {pathOptions.map(path => <option key={path} value={path} />)}
+            </datalist>
+            <input type="number" min="0" placeholder="min" value={draft.minCount} onChange={update('minCount')} style={{ ...fieldStyle, width: '52px' }} />
+            <input type="number" min="0" placeholder="max" value={draft.maxCount} onChange={update('maxCount')} style={{ ...fieldStyle, width: '52px' }} />
+            <select value={draft.datatype} onChange={update('datatype')} style={fieldStyle} aria-label="Datatype">
+              <option value="">any value</option>
+              {Object.keys(SHAPE_DATATYPES).map(datatype => <option key={datatype} value={datatype}>{datatype}</option>)}
+            </select>
+          </div>
+        )}
+
+        {kind === SHAPE_CONSTRAINT_KINDS.EDGE_ENDPOINTS && (
+          <div style={{ display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap', fontSize: '0.8rem' }}>
+            from
+            <select value={draft.sourceTypeId} onChange={update('sourceTypeId')} style={{ ...fieldStyle, flex: 1 }}>
+              <option value="">anything</option>
+              {typeOptions.map(p => <option key={p.id} value={p.id}>{p.name || 'Untitled'}</option>)}
+            </select>
+            to
+            <select value={draft.destinationTypeId} onChange={update('destinationTypeId')} style={{ ...fieldStyle, flex: 1 }}>
+              <option value="">anything</option>
+              {typeOptions.map(p => <option key={p.id} value={p.id}>{p.name || 'Untitled'}</option>)}
+            </select>
+          </div>
+        )}
+
+        {kind === SHAPE_CONSTRAINT_KINDS.MAX_PER_GRAPH && (
+          <div style={{ display: 'flex', gap: '6px', alignItems: 'center', fontSize: '0.8rem' }}>
+            at most
+            <input type="number" min="0" value={draft.max} onChange={update('max')} style={{ ...fieldStyle, width: '60px' }} />
+            per graph
+          </div>
+        )}
+
+        <button
+          onClick={handleAdd}
+          disabled={!candidate}
+          style={{
+            alignSelf: 'flex-start',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '4px',
+            padding: '4px 10px',
+            border: '1px solid #260000',
+            borderRadius: '4px',
+            backgroundColor: candidate ? '#260000' : 'transparent',
+            color: candidate ? '#bdb5b5' : '#979090',
+            cursor: candidate ? 'pointer' : 'not-allowed',
+            fontSize: '0.8rem',
+            fontFamily: "'EmOne', sans-serif"
+          }}
+        >
+          <Plus size={12} /> Add constraint
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ShapeConstraintsEditor;
@@ -0,0 +1,148 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { ShieldCheck, ShieldAlert, Download, Upload } from 'lucide-react';
+import useGraphStore from '../store/graphStore.jsx';
+import { validateShapes, mergeShapeConstraints } from '../services/shapeConstraints.js';
+
+const SEVERITY_COLORS = { violation: '#8B0000', warning: '#B8860B', info: '#555' };
+const SEVERITY_ORDER = { violation: 0, warning: 1, info: 2 };
+
+const buttonStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  gap: 6,
+  flex: 1,
+  padding: '6px 10px',
+  border: 'none',
+  borderRadius: 6,
+  backgroundColor: '#8B0000',
+  color: '#bdb5b5',
+  cursor: 'pointer',
+  fontFamily: "'EmOne', sans-serif",
+  fontSize: '0.8rem'
+};
+
+/**
+ * Report of shape constraint violations in the active graph (or the whole universe),
+ * with SHACL import and export of the constraints themselves.
+ */
+const ShapeViolationsPanel = ({ graphId }) => {
+  const graphs = useGraphStore(state => state.graphs);
+  const nodePrototypes = useGraphStore(state => state.nodePrototypes);
+  const edges = useGraphStore(state => state.edges);
+  const [allGraphs, setAllGraphs] = useState(false);
+  const [importStatus, setImportStatus] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const report = useMemo(
+    () => validateShapes({ graphs, nodePrototypes, edges }, { graphId: allGraphs ? null : graphId }),
+    [graphs, nodePrototypes, edges, graphId, allGraphs]
+  );
+
+  const violations = useMemo(
+    () => [...report.violations].sort((a, b) => (SEVERITY_ORDER[a.severity] ?? 3) - (SEVERITY_ORDER[b.severity] ?? 3)),
+    [report]
+  );
+
+  const handleSelect = (violation) => {
+    const instanceId = violation.instanceIds?.[0];
+    if (violation.graphId && instanceId) {
+      useGraphStore.getState().openGraphTabAndBringToTop(violation.graphId);
+      window.dispatchEvent(new CustomEvent('redstring:focus-instance', { detail: { graphId: violation.graphId, instanceId } }));
+    } else if (violation.prototypeId) {
+      useGraphStore.getState().openRightPanelNodeTab(violation.prototypeId);
+    }
+  };
+
+  const handleExport = async () => {
+    const { downloadShaclFile } = await import('../formats/shacl.js');
+    downloadShaclFile(useGraphStore.getState());
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { parseShacl, resolveShaclShapes } = await import('../formats/shacl.js');
+      const store = useGraphStore.getState();
+      const { assignments, unresolved } = resolveShaclShapes(parseShacl(await file.text()), store);
+
+      let imported = 0;
+      store.beginHistoryTransaction('Import SHACL shapes');
+      try {
+        assignments.forEach((constraints, prototypeId) => {
+          const existing = useGraphStore.getState().nodePrototypes.get(prototypeId)?.shapeConstraints || [];
+          store.setShapeConstraints(prototypeId, mergeShapeConstraints(existing, constraints));
+          imported += constraints.length;
+        });
+      } finally {
+        store.commitHistoryTransaction();
+      }
+      setImportStatus({ imported, unresolved });
+    } catch (error) {
+      setImportStatus({ error: error.message });
+    }
+  };
+
+  const scopeName = allGraphs ? 'all graphs' : (graphs.get(graphId)?.name || 'this graph');
+
+  return (
+    <div className="panel-content-inner" style={{ padding: 15, display: 'flex', flexDirection: 'column', gap: 12, fontFamily: "'EmOne', sans-serif", color: '#260000' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontWeight: 'bold' }}>
+        {report.conforms ? <ShieldCheck size={18} /> : <ShieldAlert size={18} color={SEVERITY_COLORS.violation} />}
+        Constraints in {scopeName}
+      </div>
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: '0.8rem', cursor: 'pointer' }}>
+        <input type="checkbox" checked={allGraphs} onChange={(e) => setAllGraphs(e.target.checked)} />
+        Check every graph
+      </label>
+
+      {report.constraintCount === 0 ? (
+        <div style={{ fontSize: '0.85rem', color: '#666' }}>
+          No constraints yet. Add them to a type from its Constraints section, or import SHACL shapes.
+        </div>
+      ) : violations.length === 0 ? (
+        <div style={{ fontSize: '0.85rem', color: '#666' }}>
+          Everything conforms to {report.constraintCount} constraint{report.constraintCount === 1 ? '' : 's'}.
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 6, fontSize: '0.8rem' }}>
+          {violations.map(violation => (
+            <div
+              key={violation.id}
+              onClick={() => handleSelect(violation)}
+              title={violation.graphId ? 'Show in graph' : 'Open type'}
+              style={{ display: 'flex', alignItems: 'flex-start', gap: 6, padding: '4px 6px', borderRadius: 4, cursor: 'pointer', backgroundColor: 'rgba(38, 0, 0, 0.05)' }}
+            >
+              <span style={{ width: 8, height: 8, marginTop: 4, borderRadius: '50%', flexShrink: 0, backgroundColor: SEVERITY_COLORS[violation.severity] || SEVERITY_COLORS.violation }} />
+              <span style={{ flex: 1, minWidth: 0 }}>{violation.message}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: 6 }}>
+        <button onClick={handleExport} style={buttonStyle}>
+          <Download size={14} /> Export SHACL
+        </button>
+        <button onClick={() => fileInputRef.current?.click()} style={buttonStyle}>
+          <Upload size={14} /> Import SHACL…
+        </button>
+        <input ref={fileInputRef} type="file" accept=".ttl,text/turtle" onChange={handleImport} style={{ display: 'none' }} />
+      </div>
+
+      {importStatus && (
+        <div style={{ fontSize: '0.8rem', color: importStatus.error ? SEVERITY_COLORS.violation : '#444' }}>
+          {importStatus.error
+            ? `Could not read shapes: ${importStatus.error}`
+            : `Imported ${importStatus.imported} constraint${importStatus.imported === 1 ? '' : 's'}.`}
+          {importStatus.unresolved?.length > 0 && ` No matching type for: ${importStatus.unresolved.join(', ')}`}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShapeViolationsPanel;
@@ -0,0 +1,388 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Plus, X, Download, ChevronRight, ChevronDown } from 'lucide-react';
+import useGraphStore from '../store/graphStore.jsx';
+import {
+  PROPERTY_TYPES,
+  coercePropertyValue,
+  normalizePropertyKey,
+  propertyKeyToLabel,
+  getPropertySchema,
+  getEdgePropertySchema,
+  propertiesFromSparqlBindings
+} from '../services/typedProperties.js';
+import { discoverDBpediaProperties } from '../services/semanticWebQuery.js';
+
+const fieldStyle = {
+  padding: '4px 6px',
+  border: '1px solid #979090',
+  borderRadius: '4px',
+  backgroundColor: '#bdb5b5',
+  color: '#260000',
+  fontSize: '0.8rem',
+  fontFamily: "'EmOne', sans-serif",
+  minWidth: 0
+};
+
+const iconButtonStyle = { background: 'none', border: 'none', cursor: 'pointer', color: '#260000', padding: 0, display: 'flex' };
+
+const smallButtonStyle = (enabled = true) => ({
+  alignSelf: 'flex-start',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '4px',
+  padding: '4px 10px',
+  border: '1px solid #260000',
+  borderRadius: '4px',
+  backgroundColor: enabled ? '#260000' : 'transparent',
+  color: enabled ? '#bdb5b5' : '#979090',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontSize: '0.8rem',
+  fontFamily: "'EmOne', sans-serif"
+});
+
+const subheadingStyle = { fontSize: '0.75rem', fontWeight: 'bold', color: '#555', textTransform: 'uppercase', letterSpacing: '0.03em' };
+
+const INPUT_TYPES = { number: 'number', integer: 'number', date: 'date', dateTime: 'datetime-local', url: 'url' };
+
+/**
+ * One value of a property. Text-like values commit on blur or Enter, and only when valid.
+ */
+const ValueInput = ({ type, value, onCommit, nodePrototypes, referenceOptions }) => {
+  const [draft, setDraft] = useState(value ?? '');
+  useEffect(() => { setDraft(value ?? ''); }, [value]);
+
+  if (type === 'boolean') {
+    return <input type="checkbox" checked={!!value} onChange={(e) => onCommit(e.target.checked)} />;
+  }
+  if (type === 'reference') {
+    return (
+      <select value={value ?? ''} onChange={(e) => onCommit(e.target.value || null)} style={{ ...fieldStyle, flex: 1 }}>
+        <option value="">Choose a thing…</option>
+        {value && !nodePrototypes.has(value) && <option value={value}>Unknown</option>}
+        {referenceOptions.map(p => <option key={p.id} value={p.id}>{p.name || 'Untitled'}</option>)}
+      </select>
+    );
+  }
+
+  // datetime-local has no seconds or zone; keep what the stored value had
+  const shown = type === 'dateTime' ? String(draft).replace(/(:\d{2})(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/, '$1').slice(0, 16) : draft;
+  const commit = () => {
+    const raw = type === 'dateTime' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(draft) ? `${draft}:00` : draft;
+    if (String(raw) === String(value ?? '')) return;
+    if (String(raw).trim() === '') {
+      onCommit(null);
+      return;
+    }
+    const coerced = coercePropertyValue(type, raw);
+    if (coerced !== null) onCommit(coerced);
+  };
+  const invalid = String(draft).trim() !== '' && coercePropertyValue(type, type === 'dateTime' ? `${shown}:00` : draft) === null;
+
+  return (
+    <input
+      type={INPUT_TYPES[type] || 'text'}
+      step={type === 'number' ? 'any' : undefined}
+      value={shown}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+      style={{ ...fieldStyle, flex: 1, borderColor: invalid ? '#8B0000' : '#979090' }}
+    />
+  );
+};
+
+/**
+ * Rows for a set of typed properties: schema entries first (even when empty), then any others.
+ */
+const PropertyRows = ({ properties = {}, schema = [], onChange, nodePrototypes, excludeId, isUltraSlim }) => {
+  const [newLabel, setNewLabel] = useState('');
+  const [newType, setNewType] = useState('string');
+  const [pending, setPending] = useState([]);
+
+  const referenceOptions = useMemo(() => Array.from(nodePrototypes.values())
+    .filter(p => p.id !== excludeId)
+    .sort((a, b) => (a.name || '').localeCompare(b.name || '')), [nodePrototypes, excludeId]);
+
+  const rows = useMemo(() => {
+    const fromSchema = schema.map(entry => ({ ...entry, entry: properties[entry.key] }));
+    const known = new Set(schema.map(entry => entry.key));
+    const extra = Object.entries(properties)
+      .filter(([key]) => !known.has(key))
+      .map(([key, entry]) => ({ key, label: propertyKeyToLabel(key), type: entry.type, multiple: entry.values.length > 1, entry }));
+    const present = new Set([...known, ...Object.keys(properties)]);
+    return [...fromSchema, ...extra, ...pending.filter(row => !present.has(row.key))];
+  }, [properties, schema, pending]);
+
+  const setValues = (key, type, values) => {
+    const next = { ...properties };
+    const clean = values.filter(value => value !== null && value !== undefined);
+    if (clean.length > 0) next[key] = { type, values: clean };
+    else delete next[key];
+    onChange(next);
+  };
+
+  const newKey = normalizePropertyKey(newLabel);
+  const canAdd = !!newKey && !rows.some(row => row.key === newKey);
+  // A new property stays in the form until it gets its first value
+  const handleAdd = () => {
+    if (!canAdd) return;
+    setPending(prev => [...prev, { key: newKey, label: newLabel.trim(), type: newType, multiple: false }]);
+    setNewLabel('');
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      {rows.length === 0 && (
+        <div style={{ fontSize: '0.85rem', color: '#999', paddingLeft: '4px' }}>No properties.</div>
+      )}
+      {rows.map(({ key, label, type, multiple, entry, fromTypeId }) => {
+        const values = entry?.values?.length ? entry.values : [null];
+        // A stored value whose type differs from the schema keeps its own type
+        const valueType = entry?.type || type;
+        return (
+          <div key={key} style={{ display: 'flex', gap: '6px', alignItems: 'flex-start', flexWrap: isUltraSlim ? 'wrap' : 'nowrap', fontSize: '0.8rem' }}>
+            <div
+              title={fromTypeId ? `From ${nodePrototypes.get(fromTypeId)?.name || 'type'} · ${PROPERTY_TYPES[valueType]?.label}` : PROPERTY_TYPES[valueType]?.label}
+              style={{ width: isUltraSlim ? '100%' : '35%', paddingTop: '4px', fontWeight: fromTypeId ? 'bold' : 'normal', overflow: 'hidden', textOverflow: 'ellipsis' }}
+            >
+              {label}
+            </div>
+            <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '4px', minWidth: 0 }}>
+              {values.map((value, index) => (
+                <div key={index} style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                  <ValueInput
+                    type={valueType}
+                    value={value}
+                    nodePrototypes={nodePrototypes}
+                    referenceOptions={referenceOptions}
+                    onCommit={(next) => setValues(key, valueType, values.map((v, i) => (i === index ? next : v)))}
+                  />
+                  {value !== null && (
+                    <button onClick={() => setValues(key, valueType, values.filter((_, i) => i !== index))} title="Remove value" style={iconButtonStyle}>
+                      <X size={14} />
+                    </button>
+                  )}
+                </div>
+              ))}
+              {multiple && entry?.values?.length > 0 && (
+                <button
+                  onClick={() => setValues(key, valueType, [...entry.values, valueType === 'boolean' ? false : entry.values[entry.values.length - 1]])}
+                  style={{ ...iconButtonStyle, fontSize: '0.75rem', alignItems: 'center', gap: '2px', color: '#555' }}
+                >
+                  <Plus size={12} /> another
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      <div style={{ display: 'flex', gap: '6px', paddingTop: '6px', borderTop: '1px solid #979090', flexWrap: isUltraSlim ? 'wrap' : 'nowrap' }}>
+        <input
+          placeholder="New property"
+          value={newLabel}
+          onChange={(e) => setNewLabel(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleAdd(); }}
+          style={{ ...fieldStyle, flex: 2 }}
+        />
+        <select value={newType} onChange={(e) => setNewType(e.target.value)} style={{ ...fieldStyle, flex: 1 }} aria-label="Type">
+          {Object.entries(PROPERTY_TYPES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <button onClick={handleAdd} disabled={!canAdd} title="Add property" style={smallButtonStyle(canAdd)}>
+          <Plus size={12} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * The properties this type declares for the things (and connections) of its type.
+ */
+const PropertySchemaRows = ({ schema, onChange, isUltraSlim }) => {
+  const [label, setLabel] = useState('');
+  const [type, setType] = useState('string');
+  const [multiple, setMultiple] = useState(false);
+  const key = normalizePropertyKey(label);
+  const canAdd = !!key && !schema.some(entry => entry.key === key);
+
+  const handleAdd = () => {
+    if (!canAdd) return;
+    onChange([...schema, { key, label: label.trim(), type, multiple }]);
+    setLabel('');
+    setMultiple(false);
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+      {schema.map(entry => (
+        <div key={entry.key} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.8rem' }}>
+          <span style={{ flex: 1, minWidth: 0 }}>{entry.label}</span>
+          <select
+            value={entry.type}
+            onChange={(e) => onChange(schema.map(s => (s.key === entry.key ? { ...s, type: e.target.value } : s)))}
+            style={fieldStyle}
+            aria-label="Type"
+          >
+            {Object.entries(PROPERTY_TYPES).map(([value, definition]) => <option key={value} value={value}>{definition.label}</option>)}
+          </select>
+          <label title="Allow several values" style={{ display: 'flex', alignItems: 'center', gap: '2px', fontSize: '0.75rem' }}>
+            <input
+              type="checkbox"
+              checked={entry.multiple}
+              onChange={(e) => onChange(schema.map(s => (s.key === entry.key ? { ...s, multiple: e.target.checked } : s)))}
+            />
+            many
+          </label>
+          <button onClick={() => onChange(schema.filter(s => s.key !== entry.key))} title="Remove from schema" style={iconButtonStyle}>
+            <X size={14} />
+          </button>
+        </div>
+      ))}
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', flexWrap: isUltraSlim ? 'wrap' : 'nowrap' }}>
+        <input
+          placeholder="Property for this type"
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleAdd(); }}
+          style={{ ...fieldStyle, flex: 2 }}
+        />
+        <select value={type} onChange={(e) => setType(e.target.value)} style={{ ...fieldStyle, flex: 1 }} aria-label="Type">
+          {Object.entries(PROPERTY_TYPES).map(([value, definition]) => <option key={value} value={value}>{definition.label}</option>)}
+        </select>
+        <label title="Allow several values" style={{ display: 'flex', alignItems: 'center', gap: '2px', fontSize: '0.75rem' }}>
+          <input type="checkbox" checked={multiple} onChange={(e) => setMultiple(e.target.checked)} />
+          many
+        </label>
+        <button onClick={handleAdd} disabled={!canAdd} title="Add to schema" style={smallButtonStyle(canAdd)}>
+          <Plus size={12} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Edit the typed properties of a prototype, the schema it declares as a type,
+ * and the properties of its connections in the active graph.
+ */
+const TypedPropertiesEditor = ({ nodeData, isUltraSlim = false }) => {
+  const nodePrototypes = useGraphStore(state => state.nodePrototypes);
+  const graphs = useGraphStore(state => state.graphs);
+  const edges = useGraphStore(state => state.edges);
+  const activeGraphId = useGraphStore(state => state.activeGraphId);
+  const setPrototypeProperties = useGraphStore(state => state.setPrototypeProperties);
+  const setPropertySchema = useGraphStore(state => state.setPropertySchema);
+  const setEdgeProperties = useGraphStore(state => state.setEdgeProperties);
+  const [expandedEdgeId, setExpandedEdgeId] = useState(null);
+  const [fetchState, setFetchState] = useState(null);
+
+  const prototype = nodePrototypes.get(nodeData?.id);
+  const schema = useMemo(() => getPropertySchema(nodeData?.id, nodePrototypes), [nodeData?.id, nodePrototypes]);
+
+  // Connections leaving this thing in the active graph
+  const outgoingEdges = useMemo(() => {
+    const graph = graphs.get(activeGraphId);
+    if (!graph?.instances || !nodeData?.id) return [];
+    return (graph.edgeIds || [])
+      .map(id => edges.get(id))
+      .filter(edge => edge && graph.instances.get(edge.sourceId)?.prototypeId === nodeData.id)
+      .map(edge => {
+        const typeId = edge.definitionNodeIds?.[0] || edge.typeNodeId;
+        const destinationId = graph.instances.get(edge.destinationId)?.prototypeId;
+        return {
+          edge,
+          label: `${nodePrototypes.get(typeId)?.name || 'Connection'} → ${nodePrototypes.get(destinationId)?.name || 'Untitled'}`
+        };
+      });
+  }, [graphs, edges, activeGraphId, nodeData?.id, nodePrototypes]);
+
+  if (!prototype) return null;
+
+  const handleFetch = async () => {
+    setFetchState({ loading: true });
+    try {
+      const bindings = await discoverDBpediaProperties(prototype.name, { limit: 200 });
+      const fetched = propertiesFromSparqlBindings(bindings, nodePrototypes);
+      // Never overwrite what is already filled in
+      const current = useGraphStore.getState().nodePrototypes.get(prototype.id)?.properties || {};
+      const added = Object.keys(fetched).filter(key => !current[key]);
+      if (added.length > 0) {
+        setPrototypeProperties(prototype.id, { ...current, ...Object.fromEntries(added.map(key => [key, fetched[key]])) });
+      }
+      setFetchState({ added: added.length });
+    } catch (error) {
+      setFetchState({ error: error.message });
+    }
+  };
+
+  return (
+    <div style={{ marginRight: '15px', display: 'flex', flexDirection: 'column', gap: '14px', fontFamily: "'EmOne', sans-serif", color: '#260000' }}>
+      <PropertyRows
+        properties={prototype.properties}
+        schema={schema}
+        nodePrototypes={nodePrototypes}
+        excludeId={prototype.id}
+        isUltraSlim={isUltraSlim}
+        onChange={(next) => setPrototypeProperties(prototype.id, next)}
+      />
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <button onClick={handleFetch} disabled={!prototype.name || fetchState?.loading} style={smallButtonStyle(!!prototype.name && !fetchState?.loading)}>
+          <Download size={12} /> {fetchState?.loading ? 'Fetching…' : 'Fetch from DBpedia'}
+        </button>
+        {fetchState && !fetchState.loading && (
+          <span style={{ fontSize: '0.75rem', color: fetchState.error ? '#8B0000' : '#555' }}>
+            {fetchState.error ? `Failed: ${fetchState.error}` : `${fetchState.added} new propert${fetchState.added === 1 ? 'y' : 'ies'}`}
+          </span>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+        <div style={subheadingStyle}>As a type</div>
+        <div style={{ fontSize: '0.75rem', color: '#555' }}>
+          Properties every thing typed as <strong>{prototype.name}</strong> (and connections named by it) should have.
+        </div>
+        <PropertySchemaRows
+          schema={prototype.propertySchema || []}
+          isUltraSlim={isUltraSlim}
+          onChange={(next) => setPropertySchema(prototype.id, next)}
+        />
+      </div>
+
+      {outgoingEdges.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+          <div style={subheadingStyle}>Connections in this graph</div>
+          {outgoingEdges.map(({ edge, label }) => {
+            const isOpen = expandedEdgeId === edge.id;
+            const count = Object.keys(edge.properties || {}).length;
+            return (
+              <div key={edge.id} style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                <button
+                  onClick={() => setExpandedEdgeId(isOpen ? null : edge.id)}
+                  style={{ ...iconButtonStyle, alignItems: 'center', gap: '4px', fontSize: '0.8rem', fontFamily: "'EmOne', sans-serif", textAlign: 'left' }}
+                >
+                  {isOpen ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                  {label}{count > 0 ? ` (${count})` : ''}
+                </button>
+                {isOpen && (
+                  <div style={{ paddingLeft: '18px' }}>
+                    <PropertyRows
+                      properties={edge.properties}
+                      schema={getEdgePropertySchema(edge, nodePrototypes)}
+                      nodePrototypes={nodePrototypes}
+                      isUltraSlim={isUltraSlim}
+                      onChange={(next) => setEdgeProperties(edge.id, next)}
+                    />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TypedPropertiesEditor;
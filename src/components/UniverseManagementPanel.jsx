@@ -16,12 +16,15 @@ import {
   ExternalLink,
   Github,
   XCircle,
-  CheckCircle
+  CheckCircle,
+  Database
 } from 'lucide-react';
 
 import universeBackendBridge from '../services/universeBackendBridge.js';
 import RepositoryDropdown from './repositories/RepositoryDropdown.jsx';
 import { persistentAuth } from '../services/persistentAuth.js';
+import { solidAuth } from '../services/solidAuth.js';
+import { defaultPodResourceUrl } from '../services/solidPodProvider.js';
 import { formatUniverseNameFromRepo, buildUniqueUniverseName } from '../utils/universeNaming.js';
 
 // Simple device detection
@@ -63,6 +66,8 @@ const UniverseManagementPanel = ({
   });
   const [userRepositories, setUserRepositories] = useState(() => githubAppInstallation?.repositories || []);
   const [isRepoLoading, setIsRepoLoading] = useState(false);
+  const [podResourceDrafts, setPodResourceDrafts] = useState({}); // slug -> resource URL being edited
+  const [podListing, setPodListing] = useState(null); // { slug, urls } from browsing a pod container
 
   // UI state
   const containerRef = useRef(null);
@@ -475,6 +480,65 @@ const UniverseManagementPanel = ({
     }
   };
 
+  // Pod resource shown in the input: the user's edit, the linked resource, or a default in their pod
+  const podDraftFor = (universe) => {
+    if (podResourceDrafts[universe.slug] !== undefined) return podResourceDrafts[universe.slug];
+    if (universe.solidPod?.resourceUrl) return universe.solidPod.resourceUrl;
+    try {
+      const podUrl = solidAuth.extractPodUrl();
+      return podUrl ? defaultPodResourceUrl(podUrl, universe.slug) : '';
+    } catch {
+      return '';
+    }
+  };
+
+  const handleLinkSolidPod = async (universe) => {
+    const resourceUrl = podDraftFor(universe).trim();
+    if (!resourceUrl) {
+      setError('Enter the URL of a .redstring resource in your Solid pod.');
+      return;
+    }
+
+    try {
+      setSyncStatus({ type: 'info', status: 'Linking Solid pod...' });
+      const result = await bridge.linkSolidPod(universe.slug, { resourceUrl, makePrimary: true });
+      setPodResourceDrafts(prev => {
+        const next = { ...prev };
+        delete next[universe.slug];
+        return next;
+      });
+      setPodListing(null);
+      await loadUniverseData();
+      setSyncStatus({ type: 'success', status: result?.created ? 'Universe saved to Solid pod' : 'Linked Solid pod' });
+    } catch (linkError) {
+      console.error('[UniverseManagementPanel] Failed to link Solid pod:', linkError);
+      setError(`Failed to link Solid pod: ${linkError.message}`);
+      setSyncStatus({ type: 'error', status: `Pod link failed: ${linkError.message}` });
+    }
+  };
+
+  const handleUnlinkSolidPod = async (universe) => {
+    try {
+      await bridge.unlinkSolidPod(universe.slug);
+      await loadUniverseData();
+      setSyncStatus({ type: 'success', status: 'Solid pod unlinked' });
+    } catch (unlinkError) {
+      console.error('[UniverseManagementPanel] Failed to unlink Solid pod:', unlinkError);
+      setError(`Failed to unlink Solid pod: ${unlinkError.message}`);
+    }
+  };
+
+  const handleBrowseSolidPod = async (universe) => {
+    try {
+      const containerUrl = new URL('./', podDraftFor(universe)).toString();
+      const urls = await bridge.listSolidPodUniverses(containerUrl);
+      setPodListing({ slug: universe.slug, containerUrl, urls: urls || [] });
+    } catch (browseError) {
+      console.error('[UniverseManagementPanel] Failed to list pod universes:', browseError);
+      setError(`Failed to list pod universes: ${browseError.message}`);
+    }
+  };
+
   // Clear error after timeout
   useEffect(() => {
     if (error) {
@@ -839,6 +903,117 @@ const UniverseManagementPanel = ({
                   </div>
                 </div>
 
+                {/* Solid pod storage */}
+                <div>
+                  <div style={{ fontSize: '0.75rem', color: '#666', marginBottom: '4px' }}>Solid Pod</div>
+                  {universe.solidPod?.enabled && universe.solidPod?.resourceUrl ? (
+                    <div style={{
+                      backgroundColor: '#efe9e9',
+                      border: '1px solid #260000',
+                      borderRadius: '6px',
+                      padding: isSlim ? '6px' : '8px',
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      gap: '6px',
+                      flexWrap: 'wrap'
+                    }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '6px', minWidth: 0 }}>
+                        <Database size={14} color="#260000" />
+                        <span style={{ fontSize: '0.7rem', color: '#444', fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                          {universe.solidPod.resourceUrl}
+                        </span>
+                      </div>
+                      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+                        {universe.solidPod.lastSaved && (
+                          <span style={{ fontSize: '0.65rem', color: '#666' }} title={new Date(universe.solidPod.lastSaved).toLocaleString()}>
+                            saved {new Date(universe.solidPod.lastSaved).toLocaleTimeString()}
+                          </span>
+                        )}
+                        <button
+                          onClick={() => handleUnlinkSolidPod(universe)}
+                          style={{
+                            padding: '4px 8px',
+                            backgroundColor: 'transparent',
+                            color: '#d32f2f',
+                            border: '1px solid #d32f2f',
+                            borderRadius: '4px',
+                            fontSize: '0.7rem',
+                            cursor: 'pointer',
+                            fontWeight: 'bold'
+                          }}
+                        >
+                          Unlink
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div style={{ display: 'flex', flexDirection: isSlim ? 'column' : 'row', gap: '6px', alignItems: isSlim ? 'stretch' : 'center' }}>
+                      <input
+                        value={podDraftFor(universe)}
+                        onChange={(e) => setPodResourceDrafts(prev => ({ ...prev, [universe.slug]: e.target.value }))}
+                        placeholder="https://your-pod.example/redstring/universe.redstring"
+                        style={{
+                          flex: 1,
+                          fontSize: '0.75rem',
+                          padding: '5px 7px',
+                          borderRadius: '4px',
+                          background: '#fff',
+                          border: '1px solid #ddd',
+                          color: '#333',
+                          fontFamily: 'monospace'
+                        }}
+                      />
+                      <button
+                        onClick={() => handleBrowseSolidPod(universe)}
+                        disabled={!podDraftFor(universe)}
+                        style={{
+                          padding: '4px 8px',
+                          backgroundColor: 'transparent',
+                          color: '#260000',
+                          border: '1px solid #260000',
+                          borderRadius: '4px',
+                          fontSize: '0.7rem',
+                          cursor: podDraftFor(universe) ? 'pointer' : 'default',
+                          fontWeight: 'bold'
+                        }}
+                      >
+                        Browse
+                      </button>
+                      <button
+                        onClick={() => handleLinkSolidPod(universe)}
+                        style={{
+                          padding: '4px 8px',
+                          backgroundColor: '#260000',
+                          color: '#bdb5b5',
+                          border: 'none',
+                          borderRadius: '4px',
+                          fontSize: '0.7rem',
+                          cursor: 'pointer',
+                          fontWeight: 'bold'
+                        }}
+                      >
+                        Link Pod
+                      </button>
+                    </div>
+                  )}
+                  {podListing?.slug === universe.slug && !universe.solidPod?.enabled && (
+                    <div style={{ marginTop: '6px', fontSize: '0.7rem', color: '#444' }}>
+                      {podListing.urls.length === 0 ? (
+                        <span>No universes in {podListing.containerUrl}</span>
+                      ) : podListing.urls.map(url => (
+                        <div
+                          key={url}
+                          onClick={() => setPodResourceDrafts(prev => ({ ...prev, [universe.slug]: url }))}
+                          style={{ cursor: 'pointer', fontFamily: 'monospace', padding: '2px 0', textDecoration: url === podDraftFor(universe) ? 'underline' : 'none' }}
+                        >
+                          {decodeURIComponent(url.slice(podListing.containerUrl.length))}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
                 {/* Source of Truth Selection */}
                 <div style={{ display: 'flex', flexDirection: 'column', gap: isSlim ? '6px' : '8px' }}>
                   <div>
@@ -888,6 +1063,23 @@ const UniverseManagementPanel = ({
                       >
                         Git Repository
                       </button>
+                      {universe.solidPod?.enabled && (
+                        <button
+                          onClick={() => handleSetSourceOfTruth('solid')}
+                          style={{
+                            padding: isSlim ? '4px 8px' : '6px 10px',
+                            backgroundColor: activeUniverse?.sourceOfTruth === 'solid' ? '#260000' : 'transparent',
+                            color: activeUniverse?.sourceOfTruth === 'solid' ? '#bdb5b5' : '#260000',
+                            border: '1px solid #260000',
+                            borderRadius: '4px',
+                            fontSize: '0.7rem',
+                            cursor: 'pointer',
+                            fontWeight: 'bold'
+                          }}
+                        >
+                          Solid Pod
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
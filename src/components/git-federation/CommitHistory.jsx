@@ -0,0 +1,210 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { History, RefreshCw, RotateCcw } from 'lucide-react';
+import SectionCard from './shared/SectionCard.jsx';
+import { diffUniverses, summarizeUniverseDiff } from '../../services/universeDiff.js';
+
+function buttonStyle(variant = 'outline') {
+  const base = {
+    border: '1px solid #260000',
+    backgroundColor: 'transparent',
+    color: '#260000',
+    padding: '4px 10px',
+    borderRadius: 6,
+    cursor: 'pointer',
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    display: 'flex',
+    alignItems: 'center',
+    gap: 6,
+    transition: 'all 0.15s'
+  };
+
+  switch (variant) {
+    case 'solid':
+      return { ...base, backgroundColor: '#260000', color: '#fefefe' };
+    case 'disabled':
+      return { ...base, opacity: 0.5, cursor: 'not-allowed' };
+    default:
+      return base;
+  }
+}
+
+function formatDate(date) {
+  if (!date) return '';
+  try {
+    return new Date(date).toLocaleString();
+  } catch {
+    return String(date);
+  }
+}
+
+const DiffList = ({ title, items, render }) => {
+  if (!items || items.length === 0) return null;
+  return (
+    <div>
+      <div style={{ fontWeight: 600, fontSize: '0.75rem', marginBottom: 2 }}>{title} ({items.length})</div>
+      <ul style={{ margin: 0, paddingLeft: 18, fontSize: '0.75rem', color: '#333' }}>
+        {items.slice(0, 20).map((item, idx) => <li key={idx}>{render(item)}</li>)}
+        {items.length > 20 && <li>…and {items.length - 20} more</li>}
+      </ul>
+    </div>
+  );
+};
+
+const UniverseDiffView = ({ diff }) => {
+  if (diff.isEmpty) {
+    return <div style={{ fontSize: '0.8rem', color: '#444' }}>No semantic changes between these versions.</div>;
+  }
+  const position = (p) => `(${Math.round(p.x || 0)}, ${Math.round(p.y || 0)})`;
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+      <div style={{ fontSize: '0.8rem', fontWeight: 600 }}>{summarizeUniverseDiff(diff)}</div>
+      <DiffList title="Prototypes added" items={diff.prototypes.added} render={p => p.name} />
+      <DiffList title="Prototypes removed" items={diff.prototypes.removed} render={p => p.name} />
+      <DiffList title="Prototypes renamed" items={diff.prototypes.renamed} render={p => `${p.from} → ${p.to}`} />
+      <DiffList title="Instances added" items={diff.instances.added} render={i => `${i.name} in ${i.graphName}`} />
+      <DiffList title="Instances removed" items={diff.instances.removed} render={i => `${i.name} from ${i.graphName}`} />
+      <DiffList title="Instances moved" items={diff.instances.moved} render={i => `${i.name} ${position(i.from)} → ${position(i.to)}`} />
+      <DiffList title="Edges added" items={diff.edges.added} render={e => e.label + (e.name ? ` (${e.name})` : '')} />
+      <DiffList title="Edges removed" items={diff.edges.removed} render={e => e.label + (e.name ? ` (${e.name})` : '')} />
+      <DiffList title="Edges changed" items={diff.edges.changed} render={e => `${e.label}: ${e.fields.join(', ')}`} />
+    </div>
+  );
+};
+
+/**
+ * CommitHistory - Git commit timeline for the active universe
+ * Select two commits to compare them semantically; restore any commit as a new version.
+ */
+const CommitHistory = ({
+  universe,
+  onLoadHistory,
+  onLoadVersion,
+  onRestoreVersion,
+  isSlim = false
+}) => {
+  const [commits, setCommits] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState([]); // up to two shas
+  const [diff, setDiff] = useState(null);
+  const [isDiffing, setIsDiffing] = useState(false);
+
+  const slug = universe?.slug;
+
+  const loadHistory = useCallback(async () => {
+    if (!slug) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const list = await onLoadHistory(slug);
+      setCommits(Array.isArray(list) ? list : []);
+    } catch (err) {
+      setError(err.message);
+      setCommits([]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [slug, onLoadHistory]);
+
+  useEffect(() => {
+    setSelected([]);
+    setDiff(null);
+    loadHistory();
+  }, [loadHistory]);
+
+  useEffect(() => {
+    if (selected.length !== 2) {
+      setDiff(null);
+      return;
+    }
+    let cancelled = false;
+    // Compare older → newer regardless of click order
+    const ordered = [...selected].sort((x, y) => commits.findIndex(c => c.sha === y) - commits.findIndex(c => c.sha === x));
+    setIsDiffing(true);
+    Promise.all(ordered.map(sha => onLoadVersion(slug, sha)))
+      .then(([before, after]) => {
+        if (!cancelled) setDiff(diffUniverses(before, after));
+      })
+      .catch(err => {
+        if (!cancelled) setError(`Could not compare versions: ${err.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setIsDiffing(false);
+      });
+    return () => { cancelled = true; };
+  }, [selected, commits, slug, onLoadVersion]);
+
+  const toggleSelected = (sha) => {
+    setSelected(prev => {
+      if (prev.includes(sha)) return prev.filter(s => s !== sha);
+      return [...prev, sha].slice(-2);
+    });
+  };
+
+  return (
+    <SectionCard
+      title="History"
+      icon={<History size={18} />}
+      subtitle={isSlim ? null : 'Select two versions to compare them'}
+      actions={
+        <button onClick={loadHistory} style={buttonStyle(isLoading ? 'disabled' : 'outline')} disabled={isLoading}>
+          <RefreshCw size={12} /> Refresh
+        </button>
+      }
+    >
+      {error && <div style={{ fontSize: '0.75rem', color: '#c62828' }}>{error}</div>}
+      {!isLoading && commits.length === 0 && !error && (
+        <div style={{ fontSize: '0.8rem', color: '#444' }}>No commits for this universe yet.</div>
+      )}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 6, maxHeight: 260, overflowY: 'auto' }}>
+        {commits.map((commit, idx) => {
+          const isSelected = selected.includes(commit.sha);
+          return (
+            <div
+              key={commit.sha}
+              onClick={() => toggleSelected(commit.sha)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 8,
+                padding: '6px 8px',
+                borderRadius: 6,
+                border: `1px solid ${isSelected ? '#260000' : '#bdb5b5'}`,
+                backgroundColor: isSelected ? '#bdb5b5' : 'transparent',
+                cursor: 'pointer'
+              }}
+            >
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontSize: '0.8rem', fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {commit.message.split('\n')[0] || '(no message)'}
+                </div>
+                <div style={{ fontSize: '0.7rem', color: '#444' }}>
+                  <code>{commit.sha.slice(0, 7)}</code> · {commit.author} · {formatDate(commit.date)}
+                </div>
+              </div>
+              {idx > 0 && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onRestoreVersion(slug, commit);
+                  }}
+                  style={buttonStyle('outline')}
+                  title="Restore this version"
+                >
+                  <RotateCcw size={12} /> {isSlim ? '' : 'Restore'}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {isDiffing && <div style={{ fontSize: '0.8rem', color: '#444' }}>Comparing versions…</div>}
+      {diff && !isDiffing && <UniverseDiffView diff={diff} />}
+    </SectionCard>
+  );
+};
+
+export default CommitHistory;
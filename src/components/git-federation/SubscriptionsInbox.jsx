@@ -0,0 +1,262 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Inbox, RefreshCw, Plus, Check, X } from 'lucide-react';
+import SectionCard from './shared/SectionCard.jsx';
+import useGraphStore from '../../store/graphStore.jsx';
+import { getSemanticFederation } from '../../services/semanticFederation.js';
+
+function buttonStyle(variant = 'outline') {
+  const base = {
+    border: '1px solid #260000',
+    backgroundColor: 'transparent',
+    color: '#260000',
+    padding: '4px 10px',
+    borderRadius: 6,
+    cursor: 'pointer',
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    display: 'flex',
+    alignItems: 'center',
+    gap: 6,
+    transition: 'all 0.15s'
+  };
+
+  switch (variant) {
+    case 'solid':
+      return { ...base, backgroundColor: '#260000', color: '#fefefe' };
+    case 'danger':
+      return { ...base, borderColor: '#c62828', color: '#c62828' };
+    case 'disabled':
+      return { ...base, opacity: 0.5, cursor: 'not-allowed' };
+    default:
+      return base;
+  }
+}
+
+function formatDate(date) {
+  if (!date) return 'never';
+  try {
+    return new Date(date).toLocaleString();
+  } catch {
+    return String(date);
+  }
+}
+
+const describeUpdate = ({ subscription, newConcepts, changed, updated }) => {
+  const parts = [];
+  if (newConcepts.length) parts.push(`${newConcepts.length} new`);
+  if (changed.length) parts.push(`${changed.length} changed`);
+  if (updated.length) parts.push(`${updated.length} accepted concept${updated.length === 1 ? '' : 's'} updated`);
+  return `${subscription.name}: ${parts.join(', ')}`;
+};
+
+const InboxEntry = ({ entry, selected, onToggle }) => (
+  <label
+    style={{
+      display: 'flex',
+      gap: 8,
+      padding: '6px 8px',
+      borderRadius: 6,
+      border: `1px solid ${selected ? '#260000' : '#bdb5b5'}`,
+      backgroundColor: selected ? '#bdb5b5' : 'transparent',
+      cursor: 'pointer'
+    }}
+  >
+    <input type="checkbox" checked={selected} onChange={() => onToggle(entry.key)} style={{ marginTop: 3 }} />
+    <div style={{ flex: 1, minWidth: 0 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+        {entry.current.color && (
+          <span style={{ width: 10, height: 10, borderRadius: 2, backgroundColor: entry.current.color, flexShrink: 0 }} />
+        )}
+        <span style={{ fontSize: '0.8rem', fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          {entry.current.name || entry.conceptId}
+        </span>
+        <span style={{ fontSize: '0.65rem', fontWeight: 700, textTransform: 'uppercase', color: entry.change === 'new' ? '#2e7d32' : '#8B0000' }}>
+          {entry.change}
+        </span>
+      </div>
+      <div style={{ fontSize: '0.7rem', color: '#444' }}>{entry.spaceName}</div>
+      {entry.change === 'new' && entry.current.description && (
+        <div style={{ fontSize: '0.75rem', color: '#333', marginTop: 2 }}>{entry.current.description}</div>
+      )}
+      {entry.fields.length > 0 && (
+        <ul style={{ margin: '2px 0 0', paddingLeft: 18, fontSize: '0.75rem', color: '#333' }}>
+          {entry.fields.map(change => (
+            <li key={change.field}>
+              <strong>{change.field}</strong>: <span style={{ textDecoration: 'line-through' }}>{change.before || '(empty)'}</span> → {change.after || '(empty)'}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  </label>
+);
+
+/**
+ * SubscriptionsInbox - Follow external semantic spaces and review what changes in them
+ * New and changed concepts wait here until accepted into the active graph.
+ */
+const SubscriptionsInbox = ({ isSlim = false }) => {
+  const federation = getSemanticFederation();
+  const activeGraphId = useGraphStore(state => state.activeGraphId);
+  const activeGraphName = useGraphStore(state => state.graphs.get(state.activeGraphId)?.name);
+
+  const [subscriptions, setSubscriptions] = useState(() => federation.getSubscriptions());
+  const [inbox, setInbox] = useState(() => federation.getInbox());
+  const [selected, setSelected] = useState([]);
+  const [spaceUrl, setSpaceUrl] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const refresh = useCallback(() => {
+    setSubscriptions(federation.getSubscriptions());
+    const next = federation.getInbox();
+    setInbox(next);
+    setSelected(prev => prev.filter(key => next.some(entry => entry.key === key)));
+  }, [federation]);
+
+  useEffect(() => {
+    federation.setGraphStore(useGraphStore);
+    return federation.onSubscriptionUpdate((update) => {
+      setNotice(describeUpdate(update));
+      refresh();
+    });
+  }, [federation, refresh]);
+
+  const run = async (task) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await task();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+      refresh();
+    }
+  };
+
+  const handleSubscribe = () => run(async () => {
+    const url = spaceUrl.trim();
+    if (!url) return;
+    new URL(url); // Throws a readable error for anything that is not a URL
+    await federation.subscribeToSpace(url);
+    setSpaceUrl('');
+  });
+
+  const handleAccept = () => run(async () => {
+    const { prototypeIds } = federation.acceptInboxEntries(selected, { graphId: activeGraphId });
+    setNotice(`Accepted ${prototypeIds.length} concept${prototypeIds.length === 1 ? '' : 's'}${activeGraphName ? ` into ${activeGraphName}` : ''}`);
+    setSelected([]);
+  });
+
+  const handleDismiss = () => {
+    federation.dismissInboxEntries(selected);
+    setSelected([]);
+    refresh();
+  };
+
+  const toggleSelected = (key) => {
+    setSelected(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  const allSelected = inbox.length > 0 && selected.length === inbox.length;
+
+  return (
+    <SectionCard
+      title="Subscriptions"
+      icon={<Inbox size={18} />}
+      subtitle={isSlim ? null : 'Follow semantic spaces and accept their concepts into your graphs'}
+      actions={
+        <button
+          onClick={() => run(() => federation.pollSubscriptions())}
+          style={buttonStyle(isBusy || subscriptions.length === 0 ? 'disabled' : 'outline')}
+          disabled={isBusy || subscriptions.length === 0}
+          title="Check followed spaces now"
+        >
+          <RefreshCw size={12} /> {isSlim ? '' : 'Check now'}
+        </button>
+      }
+    >
+      <div style={{ display: 'flex', gap: 6 }}>
+        <input
+          type="url"
+          value={spaceUrl}
+          onChange={(e) => setSpaceUrl(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleSubscribe(); }}
+          placeholder="https://alice.github.io/semantic/"
+          style={{ flex: 1, minWidth: 0, padding: '4px 8px', borderRadius: 6, border: '1px solid #260000', fontSize: '0.8rem' }}
+        />
+        <button onClick={handleSubscribe} style={buttonStyle(isBusy || !spaceUrl.trim() ? 'disabled' : 'solid')} disabled={isBusy || !spaceUrl.trim()}>
+          <Plus size={12} /> Follow
+        </button>
+      </div>
+
+      {error && <div style={{ fontSize: '0.75rem', color: '#c62828' }}>{error}</div>}
+      {notice && <div style={{ fontSize: '0.75rem', color: '#260000' }}>{notice}</div>}
+
+      {subscriptions.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+          {subscriptions.map(subscription => (
+            <div key={subscription.url} style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: '0.75rem' }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={subscription.url}>
+                  {subscription.name}
+                </div>
+                <div style={{ color: '#444' }}>
+                  {subscription.concepts.size} concepts · checked {formatDate(subscription.lastChecked)}
+                </div>
+              </div>
+              <button
+                onClick={() => { federation.unsubscribeFromSpace(subscription.url); refresh(); }}
+                style={buttonStyle('danger')}
+                title="Stop following this space"
+              >
+                <X size={12} /> {isSlim ? '' : 'Unfollow'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {inbox.length === 0 ? (
+        <div style={{ fontSize: '0.8rem', color: '#444' }}>
+          {subscriptions.length === 0 ? 'Not following any spaces yet.' : 'Nothing new in the spaces you follow.'}
+        </div>
+      ) : (
+        <>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 6 }}>
+            <label style={{ fontSize: '0.75rem', display: 'flex', alignItems: 'center', gap: 4, cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={allSelected}
+                onChange={() => setSelected(allSelected ? [] : inbox.map(entry => entry.key))}
+              />
+              {inbox.length} in inbox
+            </label>
+            <div style={{ display: 'flex', gap: 6 }}>
+              <button onClick={handleDismiss} style={buttonStyle(selected.length === 0 ? 'disabled' : 'outline')} disabled={selected.length === 0}>
+                <X size={12} /> Dismiss
+              </button>
+              <button
+                onClick={handleAccept}
+                style={buttonStyle(isBusy || selected.length === 0 ? 'disabled' : 'solid')}
+                disabled={isBusy || selected.length === 0}
+                title={activeGraphName ? `Add to ${activeGraphName}` : 'Add to a new graph'}
+              >
+                <Check size={12} /> Accept{isSlim ? '' : (activeGraphName ? ` into ${activeGraphName}` : ' into new graph')}
+              </button>
+            </div>
+          </div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 6, maxHeight: 320, overflowY: 'auto' }}>
+            {inbox.map(entry => (
+              <InboxEntry key={entry.key} entry={entry} selected={selected.includes(entry.key)} onToggle={toggleSelected} />
+            ))}
+          </div>
+        </>
+      )}
+    </SectionCard>
+  );
+};
+
+export default SubscriptionsInbox;
@@ -1,11 +1,21 @@
-import React from 'react';
-import { AlertCircle, HardDrive, Github, Calendar, FileText } from 'lucide-react';
+import React, { useState } from 'react';
+import { AlertCircle, HardDrive, Github, Calendar, FileText, GitMerge } from 'lucide-react';
+
+const formatMergeValue = (value) => {
+  if (value === null) return 'Deleted';
+  if (value === undefined || value === '') return '(empty)';
+  if (typeof value === 'string') return value;
+  const text = JSON.stringify(value, (key, v) => (v instanceof Map || v instanceof Set ? Array.from(v) : v));
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
 
 /**
  * ConflictResolutionModal
  *
  * Shows when local file and Git repository have diverged,
  * allowing user to choose which version to keep.
+ * When a three-way merge is available only the fields both sides changed
+ * are listed, each resolved on its own.
  */
 const ConflictResolutionModal = ({
   isOpen,
@@ -15,10 +25,18 @@ const ConflictResolutionModal = ({
   localData,
   gitData,
   universeName,
-  requiresPrimarySelection = false
+  requiresPrimarySelection = false,
+  mergeConflicts = null,
+  onResolveMerge
 }) => {
+  const [choices, setChoices] = useState({});
+
   if (!isOpen) return null;
 
+  const isMerge = Array.isArray(mergeConflicts) && mergeConflicts.length > 0 && typeof onResolveMerge === 'function';
+  const choiceFor = (conflict) => choices[conflict.id] || 'local';
+  const chooseAll = (side) => setChoices(Object.fromEntries(mergeConflicts.map(conflict => [conflict.id, side])));
+
   const formatTimestamp = (timestamp) => {
     if (!timestamp) return 'Unknown';
     try {
@@ -52,8 +70,12 @@ const ConflictResolutionModal = ({
     color: isPrimary ? '#bdb5b5' : color
   });
 
-  const headerTitle = requiresPrimarySelection ? 'Select Primary Storage' : 'Data Conflict Detected';
-  const descriptionContent = requiresPrimarySelection ? (
+  const headerTitle = isMerge ? 'Merge Conflicts' : requiresPrimarySelection ? 'Select Primary Storage' : 'Data Conflict Detected';
+  const descriptionContent = isMerge ? (
+    <>
+      Local and Git changes to <strong>{universeName}</strong> were merged. {mergeConflicts.length === 1 ? 'One field was' : `${mergeConflicts.length} fields were`} changed differently on both sides. Choose which value to keep for each:
+    </>
+  ) : requiresPrimarySelection ? (
     <>
       The local file and Git repository for <strong>{universeName}</strong> are available, but no primary source has been set yet. Choose which storage should become the source of truth going forward.
     </>
@@ -144,114 +166,172 @@ const ConflictResolutionModal = ({
             {descriptionContent}
           </p>
 
-          {/* Comparison Cards */}
-          <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
-            {/* Local File Card */}
-            <div
-              style={{
-                border: '2px solid #260000',
-                borderRadius: 8,
-                backgroundColor: '#cfc6c6',
-                overflow: 'hidden'
-              }}
-            >
-              <div
-                style={{
-                  padding: '12px 16px',
-                  backgroundColor: '#979090',
-                  borderBottom: '1px solid #260000',
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: 10
-                }}
-              >
-                <HardDrive size={18} style={{ color: '#260000' }} />
-                <span style={{ fontWeight: 700, fontSize: '1rem', color: '#260000' }}>
-                  Local File
-                </span>
-              </div>
-              <div style={{ padding: 16 }}>
-                <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
-                  <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.8rem' }}>
-                    <FileText size={14} style={{ color: '#666' }} />
-                    <span style={{ fontWeight: 600, color: '#260000' }}>Nodes:</span>
-                    <span style={{ color: '#666' }}>{localData?.nodeCount || 0}</span>
+          {isMerge ? (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 10, maxHeight: '50vh', overflowY: 'auto' }}>
+              {mergeConflicts.map(conflict => (
+                <div
+                  key={conflict.id}
+                  style={{
+                    border: '2px solid #260000',
+                    borderRadius: 8,
+                    backgroundColor: '#cfc6c6',
+                    padding: '10px 12px',
+                    display: 'flex',
+                    flexDirection: 'column',
+                    gap: 8
+                  }}
+                >
+                  <div style={{ fontSize: '0.8rem', fontWeight: 700, color: '#260000' }}>
+                    {conflict.label}
+                    <span style={{ fontWeight: 400, color: '#666' }}>
+                      {' · '}{conflict.field === '*' ? 'deleted on one side, edited on the other' : conflict.field}
+                    </span>
+                  </div>
+                  <div style={{ display: 'flex', gap: 8 }}>
+                    {[['local', 'Local', HardDrive], ['remote', 'Git', Github]].map(([side, label, Icon]) => {
+                      const selected = choiceFor(conflict) === side;
+                      return (
+                        <button
+                          key={side}
+                          onClick={() => setChoices(prev => ({ ...prev, [conflict.id]: side }))}
+                          style={{
+                            flex: 1,
+                            minWidth: 0,
+                            textAlign: 'left',
+                            padding: '6px 10px',
+                            borderRadius: 6,
+                            cursor: 'pointer',
+                            fontFamily: "'EmOne', sans-serif",
+                            border: `2px solid ${selected ? '#260000' : '#979090'}`,
+                            backgroundColor: selected ? '#979090' : 'transparent',
+                            color: '#260000'
+                          }}
+                        >
+                          <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.72rem', fontWeight: 700 }}>
+                            <Icon size={12} /> {label}
+                          </div>
+                          <div style={{ fontSize: '0.75rem', color: '#444', overflowWrap: 'anywhere' }}>
+                            {formatMergeValue(conflict[side])}
+                          </div>
+                        </button>
+                      );
+                    })}
                   </div>
-                  <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.8rem' }}>
-                    <FileText size={14} style={{ color: '#666' }} />
-                    <span style={{ fontWeight: 600, color: '#260000' }}>Graphs:</span>
-                    <span style={{ color: '#666' }}>{localData?.graphCount || 0}</span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <>
+              {/* Comparison Cards */}
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+                {/* Local File Card */}
+                <div
+                  style={{
+                    border: '2px solid #260000',
+                    borderRadius: 8,
+                    backgroundColor: '#cfc6c6',
+                    overflow: 'hidden'
+                  }}
+                >
+                  <div
+                    style={{
+                      padding: '12px 16px',
+                      backgroundColor: '#979090',
+                      borderBottom: '1px solid #260000',
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: 10
+                    }}
+                  >
+                    <HardDrive size={18} style={{ color: '#260000' }} />
+                    <span style={{ fontWeight: 700, fontSize: '1rem', color: '#260000' }}>
+                      Local File
+                    </span>
+                  </div>
+                  <div style={{ padding: 16 }}>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.8rem' }}>
+                        <FileText size={14} style={{ color: '#666' }} />
+                        <span style={{ fontWeight: 600, color: '#260000' }}>Nodes:</span>
+                        <span style={{ color: '#666' }}>{localData?.nodeCount || 0}</span>
+                      </div>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.8rem' }}>
+                        <FileText size={14} style={{ color: '#666' }} />
+                        <span style={{ fontWeight: 600, color: '#260000' }}>Graphs:</span>
+                        <span style={{ color: '#666' }}>{localData?.graphCount || 0}</span>
+                      </div>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.78rem' }}>
+                        <Calendar size={14} style={{ color: '#666' }} />
+                        <span style={{ fontWeight: 600, color: '#260000' }}>Last Modified:</span>
+                        <span style={{ color: '#666' }}>{formatTimestamp(localData?.timestamp)}</span>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+
+                {/* Git Repository Card */}
+                <div
+                  style={{
+                    border: '2px solid #260000',
+                    borderRadius: 8,
+                    backgroundColor: '#cfc6c6',
+                    overflow: 'hidden'
+                  }}
+                >
+                  <div
+                    style={{
+                      padding: '12px 16px',
+                      backgroundColor: '#979090',
+                      borderBottom: '1px solid #260000',
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: 10
+                    }}
+                  >
+                    <Github size={18} style={{ color: '#260000' }} />
+                    <span style={{ fontWeight: 700, fontSize: '1rem', color: '#260000' }}>
+                      Git Repository
+                    </span>
                   </div>
-                  <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.78rem' }}>
-                    <Calendar size={14} style={{ color: '#666' }} />
-                    <span style={{ fontWeight: 600, color: '#260000' }}>Last Modified:</span>
-                    <span style={{ color: '#666' }}>{formatTimestamp(localData?.timestamp)}</span>
+                  <div style={{ padding: 16 }}>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.8rem' }}>
+                        <FileText size={14} style={{ color: '#666' }} />
+                        <span style={{ fontWeight: 600, color: '#260000' }}>Nodes:</span>
+                        <span style={{ color: '#666' }}>{gitData?.nodeCount || 0}</span>
+                      </div>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.8rem' }}>
+                        <FileText size={14} style={{ color: '#666' }} />
+                        <span style={{ fontWeight: 600, color: '#260000' }}>Graphs:</span>
+                        <span style={{ color: '#666' }}>{gitData?.graphCount || 0}</span>
+                      </div>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.78rem' }}>
+                        <Calendar size={14} style={{ color: '#666' }} />
+                        <span style={{ fontWeight: 600, color: '#260000' }}>Last Modified:</span>
+                        <span style={{ color: '#666' }}>{formatTimestamp(gitData?.timestamp)}</span>
+                      </div>
+                    </div>
                   </div>
                 </div>
               </div>
-            </div>
 
-            {/* Git Repository Card */}
-            <div
-              style={{
-                border: '2px solid #260000',
-                borderRadius: 8,
-                backgroundColor: '#cfc6c6',
-                overflow: 'hidden'
-              }}
-            >
+              {/* Warning */}
               <div
                 style={{
-                  padding: '12px 16px',
-                  backgroundColor: '#979090',
-                  borderBottom: '1px solid #260000',
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: 10
+                  marginTop: 16,
+                  padding: '10px 14px',
+                  backgroundColor: 'rgba(122, 0, 0, 0.1)',
+                  border: '1px solid #7A0000',
+                  borderRadius: 6,
+                  fontSize: '0.78rem',
+                  color: '#7A0000',
+                  lineHeight: 1.5
                 }}
               >
-                <Github size={18} style={{ color: '#260000' }} />
-                <span style={{ fontWeight: 700, fontSize: '1rem', color: '#260000' }}>
-                  Git Repository
-                </span>
-              </div>
-              <div style={{ padding: 16 }}>
-                <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
-                  <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.8rem' }}>
-                    <FileText size={14} style={{ color: '#666' }} />
-                    <span style={{ fontWeight: 600, color: '#260000' }}>Nodes:</span>
-                    <span style={{ color: '#666' }}>{gitData?.nodeCount || 0}</span>
-                  </div>
-                  <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.8rem' }}>
-                    <FileText size={14} style={{ color: '#666' }} />
-                    <span style={{ fontWeight: 600, color: '#260000' }}>Graphs:</span>
-                    <span style={{ color: '#666' }}>{gitData?.graphCount || 0}</span>
-                  </div>
-                  <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.78rem' }}>
-                    <Calendar size={14} style={{ color: '#666' }} />
-                    <span style={{ fontWeight: 600, color: '#260000' }}>Last Modified:</span>
-                    <span style={{ color: '#666' }}>{formatTimestamp(gitData?.timestamp)}</span>
-                  </div>
-                </div>
+                <strong>⚠ Warning:</strong> The version you don't choose will be overwritten. Make sure to save a backup if needed.
               </div>
-            </div>
-          </div>
-
-          {/* Warning */}
-          <div
-            style={{
-              marginTop: 16,
-              padding: '10px 14px',
-              backgroundColor: 'rgba(122, 0, 0, 0.1)',
-              border: '1px solid #7A0000',
-              borderRadius: 6,
-              fontSize: '0.78rem',
-              color: '#7A0000',
-              lineHeight: 1.5
-            }}
-          >
-            <strong>⚠ Warning:</strong> The version you don't choose will be overwritten. Make sure to save a backup if needed.
-          </div>
+            </>
+          )}
         </div>
 
         {/* Actions */}
@@ -283,42 +363,68 @@ const ConflictResolutionModal = ({
           >
             Cancel
           </button>
-          <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
-            <button
-              onClick={onSelectLocal}
-              style={{
-                ...buttonStyle(true, '#260000'),
-                padding: '8px 14px',
-                fontSize: '0.78rem'
-              }}
-              onMouseEnter={(e) => {
-                e.currentTarget.style.backgroundColor = '#1a0000';
-              }}
-              onMouseLeave={(e) => {
-                e.currentTarget.style.backgroundColor = '#260000';
-              }}
-            >
-              <HardDrive size={16} />
-              {localButtonLabel}
-            </button>
-            <button
-              onClick={onSelectGit}
-              style={{
-                ...buttonStyle(true, '#7A0000'),
-                padding: '8px 14px',
-                fontSize: '0.78rem'
-              }}
-              onMouseEnter={(e) => {
-                e.currentTarget.style.backgroundColor = '#5a0000';
-              }}
-              onMouseLeave={(e) => {
-                e.currentTarget.style.backgroundColor = '#7A0000';
-              }}
-            >
-              <Github size={16} />
-              {gitButtonLabel}
-            </button>
-          </div>
+          {isMerge ? (
+            <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
+              <button
+                onClick={() => chooseAll('local')}
+                style={{ ...buttonStyle(false, '#260000'), padding: '8px 14px', fontSize: '0.78rem' }}
+              >
+                <HardDrive size={16} />
+                All Local
+              </button>
+              <button
+                onClick={() => chooseAll('remote')}
+                style={{ ...buttonStyle(false, '#7A0000'), padding: '8px 14px', fontSize: '0.78rem' }}
+              >
+                <Github size={16} />
+                All Git
+              </button>
+              <button
+                onClick={() => onResolveMerge(Object.fromEntries(mergeConflicts.map(conflict => [conflict.id, choiceFor(conflict)])))}
+                style={{ ...buttonStyle(true, '#260000'), padding: '8px 14px', fontSize: '0.78rem' }}
+              >
+                <GitMerge size={16} />
+                Apply Merge
+              </button>
+            </div>
+          ) : (
+            <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
+              <button
+                onClick={onSelectLocal}
+                style={{
+                  ...buttonStyle(true, '#260000'),
+                  padding: '8px 14px',
+                  fontSize: '0.78rem'
+                }}
+                onMouseEnter={(e) => {
+                  e.currentTarget.style.backgroundColor = '#1a0000';
+                }}
+                onMouseLeave={(e) => {
+                  e.currentTarget.style.backgroundColor = '#260000';
+                }}
+              >
+                <HardDrive size={16} />
+                {localButtonLabel}
+              </button>
+              <button
+                onClick={onSelectGit}
+                style={{
+                  ...buttonStyle(true, '#7A0000'),
+                  padding: '8px 14px',
+                  fontSize: '0.78rem'
+                }}
+                onMouseEnter={(e) => {
+                  e.currentTarget.style.backgroundColor = '#5a0000';
+                }}
+                onMouseLeave={(e) => {
+                  e.currentTarget.style.backgroundColor = '#7A0000';
+                }}
+              >
+                <Github size={16} />
+                {gitButtonLabel}
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </div>
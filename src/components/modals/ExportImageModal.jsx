@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import Modal from '../shared/Modal.jsx';
+
+const SCALES = [1, 2, 3, 4];
+
+const optionButtonStyle = (active, disabled = false) => ({
+  flex: 1,
+  padding: '6px 10px',
+  border: '1px solid #260000',
+  borderRadius: '4px',
+  backgroundColor: active ? '#260000' : 'transparent',
+  color: active ? '#bdb5b5' : '#260000',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.5 : 1,
+  fontSize: '0.8rem',
+  fontWeight: 600,
+  fontFamily: "'EmOne', sans-serif"
+});
+
+const labelStyle = { fontSize: '0.75rem', fontWeight: 600, color: '#260000', marginBottom: '6px' };
+
+/**
+ * ExportImageModal
+ *
+ * Options for exporting the current graph view (or the selection) as SVG or PNG.
+ */
+const ExportImageModal = ({
+  isOpen,
+  onClose,
+  onExport,
+  graphName = '',
+  selectionCount = 0,
+  defaultShowEdgeNames = false
+}) => {
+  const [format, setFormat] = useState('png');
+  const [scope, setScope] = useState('graph');
+  const [scale, setScale] = useState(2);
+  const [background, setBackground] = useState('themed');
+  const [showEdgeNames, setShowEdgeNames] = useState(defaultShowEdgeNames);
+
+  const hasSelection = selectionCount > 0;
+  const effectiveScope = hasSelection ? scope : 'graph';
+
+  const handleExport = () => {
+    onExport?.({ format, scope: effectiveScope, scale, background, showEdgeNames });
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Export View as Image" size="small">
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '14px', padding: '12px', color: '#260000' }}>
+        <div style={{ fontSize: '0.78rem' }}>
+          {graphName ? <strong>{graphName}</strong> : 'Current graph'}
+        </div>
+
+        <div>
+          <div style={labelStyle}>Format</div>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button onClick={() => setFormat('png')} style={optionButtonStyle(format === 'png')}>PNG</button>
+            <button onClick={() => setFormat('svg')} style={optionButtonStyle(format === 'svg')}>SVG</button>
+          </div>
+        </div>
+
+        <div>
+          <div style={labelStyle}>Include</div>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button onClick={() => setScope('graph')} style={optionButtonStyle(effectiveScope === 'graph')}>Whole graph</button>
+            <button
+              onClick={() => hasSelection && setScope('selection')}
+              disabled={!hasSelection}
+              style={optionButtonStyle(effectiveScope === 'selection', !hasSelection)}
+            >
+              Selection{hasSelection ? ` (${selectionCount})` : ''}
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <div style={labelStyle}>Scale</div>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            {SCALES.map(value => (
+              <button key={value} onClick={() => setScale(value)} style={optionButtonStyle(scale === value)}>{value}×</button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <div style={labelStyle}>Background</div>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button onClick={() => setBackground('themed')} style={optionButtonStyle(background === 'themed')}>Canvas</button>
+            <button onClick={() => setBackground('transparent')} style={optionButtonStyle(background === 'transparent')}>Transparent</button>
+          </div>
+        </div>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.8rem', cursor: 'pointer' }}>
+          <input type="checkbox" checked={showEdgeNames} onChange={(e) => setShowEdgeNames(e.target.checked)} />
+          Show connection names
+        </label>
+
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', borderTop: '1px solid #979090', paddingTop: '12px' }}>
+          <button
+            onClick={onClose}
+            style={{
+              padding: '8px 16px',
+              border: '1px solid #979090',
+              borderRadius: '4px',
+              backgroundColor: 'transparent',
+              color: '#260000',
+              cursor: 'pointer',
+              fontSize: '0.8rem',
+              fontWeight: 600,
+              fontFamily: "'EmOne', sans-serif"
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            style={{
+              padding: '8px 16px',
+              border: '1px solid #7A0000',
+              borderRadius: '4px',
+              backgroundColor: '#7A0000',
+              color: '#fff',
+              cursor: 'pointer',
+              fontSize: '0.8rem',
+              fontWeight: 600,
+              fontFamily: "'EmOne', sans-serif",
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px'
+            }}
+          >
+            <Download size={14} />
+            Export
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default ExportImageModal;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import {
   Github,
+  Gitlab,
   Search,
   Plus,
   RefreshCw,
@@ -19,6 +20,16 @@ import {
 import Modal from '../shared/Modal.jsx';
 import { persistentAuth } from '../../services/persistentAuth.js';
 import { gitFederationService } from '../../services/gitFederationService.js';
+import { GitLabSemanticProvider } from '../../services/gitNativeProvider.js';
+
+const DEFAULT_GITLAB_ENDPOINT = 'https://gitlab.com';
+
+// Discovery/link config for a listed repository; GitLab projects carry their instance endpoint
+const repoProviderConfig = (repo) => (
+  repo?.provider === 'gitlab'
+    ? { type: 'gitlab', endpoint: repo.endpoint, authMethod: 'token' }
+    : { authMethod: 'oauth' }
+);
 
 const RepositorySelectionModal = ({
   isOpen,
@@ -44,6 +55,14 @@ const RepositorySelectionModal = ({
   const [newRepoPrivate, setNewRepoPrivate] = useState(true);
   const [creatingRepo, setCreatingRepo] = useState(false);
   const [createRepoError, setCreateRepoError] = useState(null);
+  const [repoSource, setRepoSource] = useState('github');
+  const [gitlabEndpoint, setGitlabEndpoint] = useState(
+    () => persistentAuth.getGitLabConnections?.()[0]?.endpoint || DEFAULT_GITLAB_ENDPOINT
+  );
+  const [gitlabTokenInput, setGitlabTokenInput] = useState('');
+  const [hasGitlabToken, setHasGitlabToken] = useState(
+    () => !!persistentAuth.getGitLabToken?.(gitlabEndpoint)
+  );
 
   const modalTitle = intent === 'import'
     ? 'Import From Repository'
@@ -104,10 +123,61 @@ const RepositorySelectionModal = ({
   }, [isOpen]);
 
   useEffect(() => {
-    if (isOpen && authStatus.hasOAuthTokens) {
+    if (!isOpen) return;
+    if (repoSource === 'gitlab') {
+      setRepositories([]);
+      if (hasGitlabToken) loadGitLabProjects();
+    } else if (authStatus.hasOAuthTokens) {
       loadRepositories();
     }
-  }, [isOpen, authStatus.hasOAuthTokens]);
+  }, [isOpen, authStatus.hasOAuthTokens, repoSource, hasGitlabToken]);
+
+  const loadGitLabProjects = async (token = persistentAuth.getGitLabToken(gitlabEndpoint)) => {
+    try {
+      setLoading(true);
+      setError(null);
+      if (!token) {
+        throw new Error('GitLab access token required to browse projects.');
+      }
+      const provider = new GitLabSemanticProvider({ endpoint: gitlabEndpoint, token });
+      const projects = await provider.listProjects();
+      setRepositories(projects);
+      return true;
+    } catch (err) {
+      console.error('Failed to load GitLab projects:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConnectGitLab = async () => {
+    const token = gitlabTokenInput.trim();
+    if (!token) {
+      setError('Enter a GitLab personal access token with the api scope.');
+      return;
+    }
+    // Only keep tokens the instance accepted
+    if (await loadGitLabProjects(token)) {
+      persistentAuth.storeGitLabToken(gitlabEndpoint, token);
+      setGitlabTokenInput('');
+      setHasGitlabToken(true);
+    }
+  };
+
+  const handleDisconnectGitLab = () => {
+    persistentAuth.clearGitLabToken(gitlabEndpoint);
+    setHasGitlabToken(false);
+    setRepositories([]);
+  };
+
+  const handleGitlabEndpointChange = (value) => {
+    setGitlabEndpoint(value);
+    setHasGitlabToken(!!persistentAuth.getGitLabToken(value));
+  };
+
+  const refreshRepositories = () => (repoSource === 'gitlab' ? loadGitLabProjects() : loadRepositories());
 
   const loadRepositories = async () => {
     try {
@@ -264,7 +334,7 @@ const RepositorySelectionModal = ({
             const universes = await gitFederationService.discoverUniverses({
               user: repo.owner.login,
               repo: repo.name,
-              authMethod: 'oauth'
+              ...repoProviderConfig(repo)
             });
 
             setDiscoveredUniverses(prev => ({
@@ -343,9 +413,113 @@ const RepositorySelectionModal = ({
     );
   };
 
-  if (!authStatus.hasOAuthTokens) {
+  const sourceTabs = (
+    <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+      {[
+        { key: 'github', label: 'GitHub', Icon: Github },
+        { key: 'gitlab', label: 'GitLab', Icon: Gitlab }
+      ].map(({ key, label, Icon }) => (
+        <button
+          key={key}
+          onClick={() => {
+            setRepoSource(key);
+            setError(null);
+            setExpandedRepos(new Set());
+            setShowCreateRepo(false);
+          }}
+          style={{
+            background: repoSource === key ? '#260000' : 'none',
+            color: repoSource === key ? '#bdb5b5' : '#260000',
+            border: '1px solid #260000',
+            padding: '3px 8px',
+            borderRadius: '3px',
+            cursor: 'pointer',
+            fontSize: '0.72rem',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '4px',
+            fontFamily: "'EmOne', sans-serif"
+          }}
+        >
+          <Icon size={11} />
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+
+  const gitlabInputStyle = {
+    padding: '6px 8px',
+    border: '1px solid #979090',
+    borderRadius: '4px',
+    fontSize: '0.75rem',
+    backgroundColor: '#979090',
+    color: '#260000',
+    boxSizing: 'border-box',
+    width: '100%'
+  };
+
+  const gitlabConnection = (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginBottom: '10px' }}>
+      <input
+        type="url"
+        value={gitlabEndpoint}
+        onChange={(e) => handleGitlabEndpointChange(e.target.value)}
+        placeholder={DEFAULT_GITLAB_ENDPOINT}
+        style={gitlabInputStyle}
+      />
+      {hasGitlabToken ? (
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.7rem', color: '#260000' }}>
+          <span>Connected with a stored access token</span>
+          <button
+            onClick={handleDisconnectGitLab}
+            style={{
+              background: 'none',
+              border: '1px solid #260000',
+              color: '#260000',
+              padding: '2px 6px',
+              borderRadius: '3px',
+              cursor: 'pointer',
+              fontSize: '0.7rem'
+            }}
+          >
+            Disconnect
+          </button>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <input
+            type="password"
+            value={gitlabTokenInput}
+            onChange={(e) => setGitlabTokenInput(e.target.value)}
+            placeholder="Personal access token (api scope)"
+            style={gitlabInputStyle}
+          />
+          <button
+            onClick={handleConnectGitLab}
+            disabled={loading}
+            style={{
+              background: '#260000',
+              color: '#bdb5b5',
+              border: '1px solid #260000',
+              padding: '4px 10px',
+              borderRadius: '4px',
+              fontSize: '0.7rem',
+              cursor: loading ? 'not-allowed' : 'pointer',
+              opacity: loading ? 0.6 : 1
+            }}
+          >
+            Connect
+          </button>
+        </div>
+      )}
+    </div>
+  );
+
+  if (!authStatus.hasOAuthTokens && repoSource === 'github') {
     return (
       <Modal isOpen={isOpen} onClose={onClose} title="Repository Selection" size="medium">
+        <div style={{ padding: '12px 12px 0' }}>{sourceTabs}</div>
         <div style={{
           flex: 1,
           display: 'flex',
@@ -379,6 +553,8 @@ const RepositorySelectionModal = ({
         backgroundColor: '#bdb5b5',
         flexShrink: 0
       }}>
+        {sourceTabs}
+        {repoSource === 'gitlab' && gitlabConnection}
         <div style={{ position: 'relative', marginBottom: '10px' }}>
           <Search
             size={14}
@@ -446,7 +622,7 @@ const RepositorySelectionModal = ({
               {filteredAndSortedRepos.length}
             </span>
             <button
-              onClick={loadRepositories}
+              onClick={refreshRepositories}
               disabled={loading}
               style={{
                 background: 'none',
@@ -461,27 +637,29 @@ const RepositorySelectionModal = ({
                 animation: loading ? 'spin 1s linear infinite' : 'none'
               }} />
             </button>
-            <button
-              onClick={() => {
-                setShowCreateRepo(prev => !prev);
-                setCreateRepoError(null);
-              }}
-              style={{
-                background: 'none',
-                border: '1px solid #260000',
-                color: '#260000',
-                padding: '2px 6px',
-                borderRadius: '3px',
-                cursor: 'pointer',
-                fontSize: '0.7rem',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '4px'
-              }}
-            >
-              <Plus size={10} />
-              New Repo
-            </button>
+            {repoSource === 'github' && (
+              <button
+                onClick={() => {
+                  setShowCreateRepo(prev => !prev);
+                  setCreateRepoError(null);
+                }}
+                style={{
+                  background: 'none',
+                  border: '1px solid #260000',
+                  color: '#260000',
+                  padding: '2px 6px',
+                  borderRadius: '3px',
+                  cursor: 'pointer',
+                  fontSize: '0.7rem',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '4px'
+                }}
+              >
+                <Plus size={10} />
+                New Repo
+              </button>
+            )}
           </div>
         </div>
 
@@ -677,7 +855,7 @@ const RepositorySelectionModal = ({
                   flex: 1,
                   minWidth: 0
                 }}>
-                  <Github size={14} />
+                  {repo.provider === 'gitlab' ? <Gitlab size={14} /> : <Github size={14} />}
                   <span style={{
                     fontWeight: 'bold',
                     fontSize: '0.85rem',
@@ -871,7 +1049,8 @@ const RepositorySelectionModal = ({
                         const displayName = universe.name || universe.slug || universe.fileName || `Universe ${index + 1}`;
                         const repoInfo = {
                           user: repo.owner?.login || repo.owner,
-                          repo: repo.name
+                          repo: repo.name,
+                          ...(repo.provider === 'gitlab' ? repoProviderConfig(repo) : {})
                         };
 
                         return (
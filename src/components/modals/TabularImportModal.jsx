@@ -0,0 +1,339 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Upload, ArrowLeft, ArrowRight, Check } from 'lucide-react';
+import Modal from '../shared/Modal.jsx';
+import useGraphStore from '../../store/graphStore.jsx';
+import {
+  readTable,
+  suggestMapping,
+  planTabularImport,
+  setPlanAction,
+  applyTabularImport
+} from '../../formats/tabularImport.js';
+
+const PREVIEW_ROWS = 5;
+
+const optionButtonStyle = (active, disabled = false) => ({
+  flex: 1,
+  padding: '6px 10px',
+  border: '1px solid #260000',
+  borderRadius: '4px',
+  backgroundColor: active ? '#260000' : 'transparent',
+  color: active ? '#bdb5b5' : '#260000',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.5 : 1,
+  fontSize: '0.8rem',
+  fontWeight: 600,
+  fontFamily: "'EmOne', sans-serif"
+});
+
+const footerButtonStyle = (primary, disabled = false) => ({
+  padding: '8px 16px',
+  border: `1px solid ${primary ? '#7A0000' : '#979090'}`,
+  borderRadius: '4px',
+  backgroundColor: primary ? '#7A0000' : 'transparent',
+  color: primary ? '#fff' : '#260000',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.5 : 1,
+  fontSize: '0.8rem',
+  fontWeight: 600,
+  fontFamily: "'EmOne', sans-serif",
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+});
+
+const fieldStyle = {
+  flex: 1,
+  padding: '4px 6px',
+  border: '1px solid #979090',
+  borderRadius: '4px',
+  backgroundColor: '#bdb5b5',
+  color: '#260000',
+  fontSize: '0.8rem',
+  fontFamily: "'EmOne', sans-serif",
+  minWidth: 0
+};
+
+const labelStyle = { fontSize: '0.75rem', fontWeight: 600, color: '#260000', marginBottom: '6px' };
+const cellStyle = { padding: '2px 6px', borderBottom: '1px solid #979090', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', maxWidth: '120px' };
+
+const ROLE_LABELS = {
+  nodes: { name: 'Name', type: 'Type', description: 'Description' },
+  edges: { source: 'Source', target: 'Target', relation: 'Relation' }
+};
+
+const ColumnSelect = ({ label, value, headers, onChange, optional = true }) => (
+  <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.8rem' }}>
+    <span style={{ width: '84px', flexShrink: 0 }}>{label}</span>
+    <select value={value ?? ''} onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))} style={fieldStyle}>
+      {optional && <option value="">(none)</option>}
+      {headers.map((header, index) => <option key={index} value={index}>{header}</option>)}
+    </select>
+  </label>
+);
+
+const PlanSection = ({ title, collection, entries, onToggle }) => {
+  if (entries.length === 0) return null;
+  return (
+    <div>
+      <div style={labelStyle}>{title} ({entries.length})</div>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '3px', fontSize: '0.78rem' }}>
+        {entries.map(entry => (
+          <div key={entry.key} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{entry.name}</span>
+            {entry.match ? (
+              <label
+                title={`Matches "${entry.match.name}" (${Math.round(entry.match.confidence * 100)}% confidence)`}
+                style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer', color: entry.match.needsReview ? '#B8860B' : '#260000' }}
+              >
+                <input
+                  type="checkbox"
+                  checked={entry.action === 'reuse'}
+                  onChange={(e) => onToggle(collection, entry.key, e.target.checked ? 'reuse' : 'create')}
+                />
+                use existing “{entry.match.name}”
+              </label>
+            ) : (
+              <span style={{ color: '#666' }}>new</span>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * TabularImportModal
+ *
+ * Wizard for importing a CSV, TSV or XLSX file as a new graph: choose the file,
+ * map its columns, review which rows reuse existing things, then import.
+ */
+const TabularImportModal = ({ isOpen, onClose }) => {
+  const [step, setStep] = useState('file');
+  const [file, setFile] = useState(null);
+  const [sheet, setSheet] = useState(0);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [graphName, setGraphName] = useState('');
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const table = useMemo(() => {
+    if (!file) return null;
+    try {
+      return readTable(file.content, file.name, { sheet, hasHeader });
+    } catch (readError) {
+      return { error: readError.message };
+    }
+  }, [file, sheet, hasHeader]);
+
+  const reset = () => {
+    setStep('file');
+    setFile(null);
+    setSheet(0);
+    setMapping(null);
+    setPlan(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose?.();
+  };
+
+  const handleFile = async (e) => {
+    const chosen = e.target.files?.[0];
+    e.target.value = '';
+    if (!chosen) return;
+    const isXlsx = /\.xlsx$/i.test(chosen.name);
+    const content = isXlsx ? new Uint8Array(await chosen.arrayBuffer()) : await chosen.text();
+    setFile({ name: chosen.name, content });
+    setSheet(0);
+    setMapping(null);
+    setPlan(null);
+    setError(null);
+    setGraphName(chosen.name.replace(/\.[^.]+$/, ''));
+  };
+
+  const currentMapping = mapping || (table?.headers ? suggestMapping(table.headers) : null);
+
+  const updateMapping = (changes) => setMapping({ ...currentMapping, ...changes });
+
+  const switchMode = (mode) => {
+    if (mode === currentMapping.mode) return;
+    const suggested = suggestMapping(table.headers);
+    setMapping(suggested.mode === mode ? suggested : mode === 'edges'
+      ? { mode, source: 0, target: Math.min(1, table.headers.length - 1), relation: null }
+      : { mode, name: 0, type: null, description: null, properties: [] });
+  };
+
+  const toggleProperty = (index) => {
+    const properties = currentMapping.properties || [];
+    updateMapping({ properties: properties.includes(index) ? properties.filter(i => i !== index) : [...properties, index].sort((a, b) => a - b) });
+  };
+
+  const goToPreview = () => {
+    try {
+      setPlan(planTabularImport(table, currentMapping, useGraphStore.getState()));
+      setError(null);
+      setStep('preview');
+    } catch (planError) {
+      setError(planError.message);
+    }
+  };
+
+  const handleToggle = (collection, key, action) => setPlan(prev => setPlanAction(prev, collection, key, action));
+
+  const handleImport = () => {
+    try {
+      applyTabularImport(plan, useGraphStore.getState(), { graphName: graphName.trim() || 'Imported Table' });
+      handleClose();
+    } catch (importError) {
+      setError(importError.message);
+    }
+  };
+
+  const roleColumns = currentMapping ? ROLE_LABELS[currentMapping.mode] : {};
+  const mappedColumns = currentMapping ? new Set(Object.keys(roleColumns).map(role => currentMapping[role]).filter(index => index !== null && index !== undefined)) : new Set();
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Import Spreadsheet" size="large">
+      <div style={{ flex: 1, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '14px', padding: '4px', color: '#260000' }}>
+        {step === 'file' && (
+          <>
+            <div style={{ fontSize: '0.8rem' }}>
+              Import a CSV, TSV or Excel (.xlsx) file as a new graph. Each row is either a thing
+              (name, type, description and properties) or a connection (source, target, relation).
+            </div>
+            <button onClick={() => fileInputRef.current?.click()} style={{ ...optionButtonStyle(false), display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '6px', flex: 'none' }}>
+              <Upload size={14} /> {file ? file.name : 'Choose file…'}
+            </button>
+            <input ref={fileInputRef} type="file" accept=".csv,.tsv,.tab,.txt,.xlsx,text/csv,text/tab-separated-values" onChange={handleFile} style={{ display: 'none' }} />
+
+            {table?.error && <div style={{ fontSize: '0.8rem', color: '#8B0000' }}>{table.error}</div>}
+
+            {table?.headers && (
+              <>
+                {table.sheetNames.length > 1 && (
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.8rem' }}>
+                    Sheet
+                    <select value={sheet} onChange={(e) => { setSheet(Number(e.target.value)); setMapping(null); }} style={fieldStyle}>
+                      {table.sheetNames.map((name, index) => <option key={index} value={index}>{name}</option>)}
+                    </select>
+                  </label>
+                )}
+                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.8rem', cursor: 'pointer' }}>
+                  <input type="checkbox" checked={hasHeader} onChange={(e) => { setHasHeader(e.target.checked); setMapping(null); }} />
+                  First row holds column names
+                </label>
+                <div style={{ overflowX: 'auto' }}>
+                  <table style={{ borderCollapse: 'collapse', fontSize: '0.72rem' }}>
+                    <thead>
+                      <tr>{table.headers.map((header, index) => <th key={index} style={{ ...cellStyle, textAlign: 'left' }}>{header}</th>)}</tr>
+                    </thead>
+                    <tbody>
+                      {table.rows.slice(0, PREVIEW_ROWS).map((row, rowIndex) => (
+                        <tr key={rowIndex}>{row.map((value, index) => <td key={index} style={cellStyle}>{value}</td>)}</tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div style={{ fontSize: '0.75rem', color: '#555' }}>{table.rows.length} row{table.rows.length === 1 ? '' : 's'}</div>
+              </>
+            )}
+          </>
+        )}
+
+        {step === 'mapping' && currentMapping && (
+          <>
+            <div>
+              <div style={labelStyle}>Each row is</div>
+              <div style={{ display: 'flex', gap: '6px' }}>
+                <button onClick={() => switchMode('nodes')} style={optionButtonStyle(currentMapping.mode === 'nodes')}>A thing</button>
+                <button onClick={() => switchMode('edges')} style={optionButtonStyle(currentMapping.mode === 'edges')}>A connection</button>
+              </div>
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+              {Object.entries(roleColumns).map(([role, label]) => (
+                <ColumnSelect
+                  key={role}
+                  label={label}
+                  value={currentMapping[role]}
+                  headers={table.headers}
+                  optional={!['name', 'source', 'target'].includes(role)}
+                  onChange={(value) => updateMapping({ [role]: value })}
+                />
+              ))}
+            </div>
+
+            {currentMapping.mode === 'nodes' && (
+              <div>
+                <div style={labelStyle}>Properties</div>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '3px', fontSize: '0.8rem' }}>
+                  {table.headers.map((header, index) => !mappedColumns.has(index) && (
+                    <label key={index} style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                      <input type="checkbox" checked={(currentMapping.properties || []).includes(index)} onChange={() => toggleProperty(index)} />
+                      {header}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
+        {step === 'preview' && plan && (
+          <>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.8rem' }}>
+              Graph name
+              <input value={graphName} onChange={(e) => setGraphName(e.target.value)} style={fieldStyle} />
+            </label>
+            <div style={{ fontSize: '0.78rem' }}>
+              {plan.nodes.length} thing{plan.nodes.length === 1 ? '' : 's'}
+              {plan.mode === 'edges' && `, ${plan.edges.length} connection${plan.edges.length === 1 ? '' : 's'}`}
+              {plan.skipped.length > 0 && ` · ${plan.skipped.length} row${plan.skipped.length === 1 ? '' : 's'} skipped`}
+            </div>
+            <PlanSection title="Things" collection="nodes" entries={plan.nodes} onToggle={handleToggle} />
+            <PlanSection title="Types" collection="types" entries={plan.types} onToggle={handleToggle} />
+            <PlanSection title="Relations" collection="relations" entries={plan.relations} onToggle={handleToggle} />
+          </>
+        )}
+
+        {error && <div style={{ fontSize: '0.8rem', color: '#8B0000' }}>{error}</div>}
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', borderTop: '1px solid #979090', paddingTop: '12px', marginTop: '8px' }}>
+        {step !== 'file' && (
+          <button onClick={() => setStep(step === 'preview' ? 'mapping' : 'file')} style={footerButtonStyle(false)}>
+            <ArrowLeft size={14} /> Back
+          </button>
+        )}
+        <button onClick={handleClose} style={footerButtonStyle(false)}>Cancel</button>
+        {step === 'file' && (
+          <button
+            onClick={() => setStep('mapping')}
+            disabled={!table?.headers || table.rows.length === 0}
+            style={footerButtonStyle(true, !table?.headers || table.rows.length === 0)}
+          >
+            Next <ArrowRight size={14} />
+          </button>
+        )}
+        {step === 'mapping' && (
+          <button onClick={goToPreview} style={footerButtonStyle(true)}>
+            Preview <ArrowRight size={14} />
+          </button>
+        )}
+        {step === 'preview' && (
+          <button onClick={handleImport} disabled={plan.nodes.length === 0} style={footerButtonStyle(true, plan.nodes.length === 0)}>
+            <Check size={14} /> Import
+          </button>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default TabularImportModal;
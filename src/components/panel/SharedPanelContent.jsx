@@ -6,6 +6,8 @@ import { NODE_CORNER_RADIUS, NODE_DEFAULT_COLOR, THUMBNAIL_MAX_DIMENSION } from
 import { generateThumbnail } from '../../utils.js';
 import CollapsibleSection from '../CollapsibleSection.jsx';
 import SemanticEditor from '../SemanticEditor.jsx';
+import ShapeConstraintsEditor from '../ShapeConstraintsEditor.jsx';
+import TypedPropertiesEditor from '../TypedPropertiesEditor.jsx';
 import ConnectionBrowser from '../ConnectionBrowser.jsx';
 import StandardDivider from '../StandardDivider.jsx';
 import { fastEnrichFromSemanticWeb } from '../../services/semanticWebQuery.js';
@@ -1421,6 +1423,21 @@ const SharedPanelContent = ({
         />
       </CollapsibleSection>
 
+      {/* Dividing line above Properties section */}
+      <StandardDivider margin="20px 0" />
+
+      {/* Properties Section - typed key/value data and the schema this node declares as a type */}
+      <CollapsibleSection 
+        title="Properties" 
+        count={Object.keys(nodeData.properties || {}).length || undefined}
+        defaultExpanded={false}
+      >
+        <TypedPropertiesEditor 
+          nodeData={nodeData}
+          isUltraSlim={isUltraSlim}
+        />
+      </CollapsibleSection>
+
       {/* Dividing line above Semantic Web section */}
       <StandardDivider margin="20px 0" />
       
@@ -1436,6 +1453,21 @@ const SharedPanelContent = ({
         />
       </CollapsibleSection>
 
+      {/* Dividing line above Constraints section */}
+      <StandardDivider margin="20px 0" />
+
+      {/* Constraints Section - SHACL-style shapes this node imposes as a type */}
+      <CollapsibleSection 
+        title="Constraints" 
+        count={nodeData.shapeConstraints?.length || undefined}
+        defaultExpanded={false}
+      >
+        <ShapeConstraintsEditor 
+          nodeData={nodeData}
+          isUltraSlim={isUltraSlim}
+        />
+      </CollapsibleSection>
+
       {/* Removed Semantic Profile section per requirements */}
     </div>
   );
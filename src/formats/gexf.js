@@ -0,0 +1,181 @@
+/**
+ * GEXF Import/Export
+ *
+ * GEXF 1.3 is Gephi's native format. Nodes and edges carry the same Redstring
+ * attributes as the GraphML export, declared as <attributes> and written as
+ * <attvalues>; colour and position use the viz extension. Graphs and groups
+ * are parent nodes that instances point at with pid, which Gephi shows as a
+ * hierarchy. Gephi's y axis points up, so y is flipped on the way out and
+ * back in.
+ */
+
+import {
+  EDGE_ATTRIBUTES,
+  NODE_ATTRIBUTES,
+  buildNetwork,
+  childElements,
+  escapeXml,
+  firstChild,
+  hexToRgb,
+  networkToState,
+  parseXml,
+  rgbToHex
+} from './networkExchange.js';
+
+const GEXF_NS = 'http://gexf.net/1.3';
+const VIZ_NS = 'http://gexf.net/1.3/viz';
+
+const attributeDeclarations = (domain, attributes, indent) => [
+  `${indent}<attributes class="${domain}">`,
+  ...attributes.map(([name, type]) => `${indent}  <attribute id="${name}" title="${name}" type="${type}"/>`),
+  `${indent}</attributes>`
+];
+
+const attvalues = (attributes, names, indent) => {
+  const present = names.filter(([name]) => attributes[name] !== undefined && attributes[name] !== null && attributes[name] !== '');
+  if (present.length === 0) return [];
+  return [
+    `${indent}<attvalues>`,
+    ...present.map(([name]) => `${indent}  <attvalue for="${name}" value="${escapeXml(attributes[name])}"/>`),
+    `${indent}</attvalues>`
+  ];
+};
+
+const vizColor = (color, indent) => {
+  const rgb = hexToRgb(color);
+  return rgb ? [`${indent}<viz:color r="${rgb.r}" g="${rgb.g}" b="${rgb.b}"/>`] : [];
+};
+
+/**
+ * Export store state (or part of it) as a GEXF document.
+ * @param {Object} storeState - { graphs, nodePrototypes, edges }
+ * @param {Object} [options]
+ * @param {string} [options.graphId] - Export only this graph
+ * @param {Date} [options.date] - Last-modified date written to <meta>
+ * @returns {string} GEXF XML
+ */
+export const exportToGEXF = (storeState, { graphId = null, date = new Date() } = {}) => {
+  const network = buildNetwork(storeState, { graphId });
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gexf xmlns="${GEXF_NS}" xmlns:viz="${VIZ_NS}" version="1.3">`,
+    `  <meta lastmodifieddate="${date.toISOString().slice(0, 10)}">`,
+    '    <creator>Redstring</creator>',
+    `    <description>${escapeXml(network.title)}</description>`,
+    '  </meta>',
+    '  <graph mode="static" defaultedgetype="undirected">',
+    ...attributeDeclarations('node', NODE_ATTRIBUTES, '    '),
+    ...attributeDeclarations('edge', EDGE_ATTRIBUTES, '    '),
+    '    <nodes>'
+  ];
+
+  network.nodes.forEach(node => {
+    const parent = node.parent ? ` pid="${escapeXml(node.parent)}"` : '';
+    lines.push(
+      `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}"${parent}>`,
+      ...attvalues(node.attributes, NODE_ATTRIBUTES, '        '),
+      ...vizColor(node.color, '        '),
+      ...(node.x !== null && node.x !== undefined
+        ? [`        <viz:position x="${node.x}" y="${-(node.y ?? 0)}" z="0"/>`]
+        : []),
+      '      </node>'
+    );
+  });
+  lines.push('    </nodes>', '    <edges>');
+
+  network.edges.forEach(edge => {
+    const label = edge.label ? ` label="${escapeXml(edge.label)}"` : '';
+    lines.push(
+      `      <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" type="${edge.directed ? 'directed' : 'undirected'}"${label}>`,
+      ...attvalues(edge.attributes, EDGE_ATTRIBUTES, '        '),
+      ...vizColor(edge.color, '        '),
+      '      </edge>'
+    );
+  });
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return `${lines.join('\n')}\n`;
+};
+
+const readColor = (element) => {
+  const color = firstChild(element, 'color');
+  if (!color) return null;
+  if (color.getAttribute('hex')) return color.getAttribute('hex');
+  return rgbToHex(color.getAttribute('r'), color.getAttribute('g'), color.getAttribute('b'));
+};
+
+const readAttvalues = (element, titles) => Object.fromEntries(
+  childElements(firstChild(element, 'attvalues'), 'attvalue').map(attvalue => {
+    const id = attvalue.getAttribute('for') ?? attvalue.getAttribute('id');
+    return [titles.get(id) || id, attvalue.getAttribute('value')];
+  })
+);
+
+/**
+ * Parse a GEXF document into the shared network shape. Hierarchy is read from
+ * pid attributes and from nodes nested inside nodes, so files from Gephi and
+ * older GEXF writers both work.
+ * @param {string} xml - GEXF text
+ * @returns {Object} { title, nodes, edges }
+ */
+export const parseGEXF = (xml) => {
+  const doc = parseXml(xml, 'GEXF');
+  const root = doc.documentElement;
+  if (root?.localName !== 'gexf') throw new Error('Invalid GEXF: missing <gexf> root element');
+  const graph = firstChild(root, 'graph');
+  if (!graph) throw new Error('Invalid GEXF: no <graph> element');
+
+  // Gephi writes numeric attribute ids with the readable name in title
+  const titlesFor = (domain) => new Map(childElements(graph, 'attributes')
+    .filter(block => (block.getAttribute('class') || 'node') === domain)
+    .flatMap(block => childElements(block, 'attribute'))
+    .map(attribute => [attribute.getAttribute('id'), attribute.getAttribute('title') || attribute.getAttribute('id')]));
+  const nodeTitles = titlesFor('node');
+  const edgeTitles = titlesFor('edge');
+
+  const nodes = [];
+  const readNodes = (container, parent) => {
+    childElements(container, 'node').forEach(element => {
+      const position = firstChild(element, 'position');
+      const x = position ? parseFloat(position.getAttribute('x')) : NaN;
+      const y = position ? parseFloat(position.getAttribute('y')) : NaN;
+      const node = {
+        id: element.getAttribute('id'),
+        parent: element.getAttribute('pid') || parent,
+        label: element.getAttribute('label') || '',
+        color: readColor(element),
+        x: Number.isFinite(x) ? x : null,
+        y: Number.isFinite(y) ? -y : null,
+        attributes: readAttvalues(element, nodeTitles)
+      };
+      nodes.push(node);
+      childElements(element, 'nodes').forEach(nested => readNodes(nested, node.id));
+    });
+  };
+  childElements(graph, 'nodes').forEach(block => readNodes(block, null));
+
+  const defaultDirected = graph.getAttribute('defaultedgetype') === 'directed';
+  const edges = childElements(graph, 'edges').flatMap(block => childElements(block, 'edge')).map((element, index) => {
+    const type = element.getAttribute('type');
+    const attributes = readAttvalues(element, edgeTitles);
+    return {
+      id: element.getAttribute('id') || `edge-${index}`,
+      source: element.getAttribute('source'),
+      target: element.getAttribute('target'),
+      directed: type ? type === 'directed' : defaultDirected,
+      label: element.getAttribute('label') || attributes.label || '',
+      color: readColor(element),
+      attributes
+    };
+  });
+
+  const meta = firstChild(root, 'meta');
+  const title = firstChild(meta, 'title')?.textContent || firstChild(meta, 'description')?.textContent || 'Imported GEXF';
+  return { title: title.trim(), nodes, edges };
+};
+
+/**
+ * Import a GEXF document as store collections.
+ * @param {string} xml - GEXF text
+ * @returns {Object} { graphs, nodePrototypes, edges } Maps (see networkToState)
+ */
+export const importFromGEXF = (xml, options = {}) => networkToState(parseGEXF(xml), options);
@@ -0,0 +1,251 @@
+/**
+ * GraphML Import/Export
+ *
+ * Writes Redstring graphs as GraphML for network tools such as yEd, Gephi and
+ * NetworkX. Instances are nodes carrying their prototype, type, colour and
+ * position as data attributes (plus yEd shape graphics so they open styled);
+ * Redstring graphs and groups are container nodes holding a nested <graph>,
+ * and edges carry their label and direction. The importer reads the same
+ * attributes back, and falls back to yEd's graphics or Gephi's r/g/b keys for
+ * files made elsewhere.
+ */
+
+import {
+  EDGE_ATTRIBUTES,
+  NODE_ATTRIBUTES,
+  buildNetwork,
+  childElements,
+  edgeEndpoints,
+  edgeLabel,
+  escapeXml,
+  firstChild,
+  hexToRgb,
+  parseXml,
+  rgbToHex
+} from './networkExchange.js';
+
+export { escapeXml, edgeLabel, edgeEndpoints };
+
+const GRAPHML_NS = 'http://graphml.graphdrawing.org/xmlns';
+const YFILES_NS = 'http://www.yworks.com/xml/graphml';
+
+// Key ids per attribute name; edge keys are prefixed so the ids stay unique
+const nodeKey = (name) => name;
+const edgeKey = (name) => `e_${name}`;
+
+// [id, for, attr.name, attr.type]
+const GRAPHML_KEYS = [
+  ['g_name', 'graph', 'name', 'string'],
+  ['g_description', 'graph', 'description', 'string'],
+  ['label', 'node', 'label', 'string'],
+  ['color', 'node', 'color', 'string'],
+  ['x', 'node', 'x', 'double'],
+  ['y', 'node', 'y', 'double'],
+  ...NODE_ATTRIBUTES.map(([name, type]) => [nodeKey(name), 'node', name, type]),
+  ['e_label', 'edge', 'label', 'string'],
+  ['e_color', 'edge', 'color', 'string'],
+  ...EDGE_ATTRIBUTES.map(([name, type]) => [edgeKey(name), 'edge', name, type])
+];
+
+const NODE_SIZE = { width: 160, height: 60 };
+
+const data = (key, value, indent) => (value === null || value === undefined || value === ''
+  ? []
+  : [`${indent}<data key="${key}">${escapeXml(value)}</data>`]);
+
+const shapeNodeGraphics = (node, indent) => {
+  const fill = hexToRgb(node.color) ? node.color.toUpperCase() : '#800000';
+  return [
+    `${indent}<data key="ng">`,
+    `${indent}  <y:ShapeNode>`,
+    `${indent}    <y:Geometry x="${node.x ?? 0}" y="${node.y ?? 0}" width="${NODE_SIZE.width}" height="${NODE_SIZE.height}"/>`,
+    `${indent}    <y:Fill color="${escapeXml(fill)}" transparent="false"/>`,
+    `${indent}    <y:NodeLabel textColor="#FFFFFF">${escapeXml(node.label)}</y:NodeLabel>`,
+    `${indent}    <y:Shape type="roundrectangle"/>`,
+    `${indent}  </y:ShapeNode>`,
+    `${indent}</data>`
+  ];
+};
+
+const edgeGraphics = (edge, indent) => [
+  `${indent}<data key="eg">`,
+  `${indent}  <y:PolyLineEdge>`,
+  `${indent}    <y:Arrows source="none" target="${edge.directed ? 'standard' : 'none'}"/>`,
+  ...(edge.label ? [`${indent}    <y:EdgeLabel>${escapeXml(edge.label)}</y:EdgeLabel>`] : []),
+  `${indent}  </y:PolyLineEdge>`,
+  `${indent}</data>`
+];
+
+const nodeElement = (node, childrenOf, indent) => {
+  const inner = `${indent}  `;
+  const children = childrenOf.get(node.id) || [];
+  const isContainer = node.attributes.kind === 'graph' || node.attributes.kind === 'group';
+  const lines = [`${indent}<node id="${escapeXml(node.id)}"${isContainer ? ' yfiles.foldertype="group"' : ''}>`];
+  lines.push(
+    ...data('label', node.label, inner),
+    ...data('color', node.color, inner),
+    ...data('x', node.x, inner),
+    ...data('y', node.y, inner),
+    ...NODE_ATTRIBUTES.flatMap(([name]) => data(nodeKey(name), node.attributes[name], inner))
+  );
+  if (!isContainer) lines.push(...shapeNodeGraphics(node, inner));
+  if (isContainer) {
+    const graphId = node.attributes.graphId || `${node.id}:`;
+    lines.push(`${inner}<graph id="${escapeXml(graphId)}" edgedefault="undirected">`);
+    if (node.attributes.kind === 'graph') {
+      lines.push(...data('g_name', node.label, `${inner}  `), ...data('g_description', node.attributes.description, `${inner}  `));
+    }
+    children.forEach(child => lines.push(...nodeElement(child, childrenOf, `${inner}  `)));
+    lines.push(`${inner}</graph>`);
+  }
+  lines.push(`${indent}</node>`);
+  return lines;
+};
+
+const edgeElement = (edge, indent) => {
+  const inner = `${indent}  `;
+  return [
+    `${indent}<edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" directed="${edge.directed}">`,
+    ...data('e_label', edge.label, inner),
+    ...data('e_color', edge.color, inner),
+    ...EDGE_ATTRIBUTES.flatMap(([name]) => data(edgeKey(name), edge.attributes[name], inner)),
+    ...edgeGraphics(edge, inner),
+    `${indent}</edge>`
+  ];
+};
+
+/**
+ * Export store state (or part of it) as a GraphML document.
+ * A whole universe is one root graph holding a container node per Redstring
+ * graph; a single graph is written as the root graph itself. Edges are
+ * declared at the root, which GraphML allows for nodes in nested graphs.
+ * @param {Object} storeState - { graphs, nodePrototypes, edges }
+ * @param {Object} [options]
+ * @param {string} [options.graphId] - Export only this graph
+ * @returns {string} GraphML XML
+ */
+export const exportToGraphML = (storeState, { graphId = null } = {}) => {
+  const network = buildNetwork(storeState, { graphId });
+  const childrenOf = new Map();
+  network.nodes.forEach(node => {
+    if (!childrenOf.has(node.parent)) childrenOf.set(node.parent, []);
+    childrenOf.get(node.parent).push(node);
+  });
+  const rootGraph = graphId ? storeState.graphs?.get(graphId) : null;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<graphml xmlns="${GRAPHML_NS}" xmlns:y="${YFILES_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${GRAPHML_NS} ${GRAPHML_NS}/1.0/graphml.xsd">`,
+    ...GRAPHML_KEYS.map(([id, domain, name, type]) => `  <key id="${id}" for="${domain}" attr.name="${name}" attr.type="${type}"/>`),
+    '  <key id="ng" for="node" yfiles.type="nodegraphics"/>',
+    '  <key id="eg" for="edge" yfiles.type="edgegraphics"/>',
+    `  <graph id="${escapeXml(graphId || 'redstring')}" edgedefault="undirected">`,
+    ...data('g_name', network.title, '    '),
+    ...data('g_description', rootGraph?.description, '    ')
+  ];
+  (childrenOf.get(null) || []).forEach(node => lines.push(...nodeElement(node, childrenOf, '    ')));
+  network.edges.forEach(edge => lines.push(...edgeElement(edge, '    ')));
+  lines.push('  </graph>', '</graphml>');
+  return `${lines.join('\n')}\n`;
+};
+
+const readNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// yEd keeps labels, fills and geometry in its graphics data rather than plain keys
+const readYedNode = (dataElement, node) => {
+  const shape = childElements(dataElement)[0];
+  if (!shape) return;
+  const label = childElements(shape, 'NodeLabel').map(element => element.textContent.trim()).find(Boolean);
+  const fill = firstChild(shape, 'Fill')?.getAttribute('color');
+  const geometry = firstChild(shape, 'Geometry');
+  if (!node.label && label) node.label = label;
+  if (!node.color && fill) node.color = fill.slice(0, 7);
+  if (node.x === null && geometry) node.x = readNumber(geometry.getAttribute('x'));
+  if (node.y === null && geometry) node.y = readNumber(geometry.getAttribute('y'));
+};
+
+const readYedEdge = (dataElement, edge) => {
+  const line = childElements(dataElement)[0];
+  const label = childElements(line, 'EdgeLabel').map(element => element.textContent.trim()).find(Boolean);
+  if (!edge.label && label) edge.label = label;
+};
+
+/**
+ * Parse a GraphML document into the shared network shape.
+ * @param {string} xml - GraphML text
+ * @returns {Object} { title, nodes, edges }
+ */
+export const parseGraphML = (xml) => {
+  const doc = parseXml(xml, 'GraphML');
+  const root = doc.documentElement;
+  if (root?.localName !== 'graphml') throw new Error('Invalid GraphML: missing <graphml> root element');
+
+  const keys = new Map(childElements(root, 'key').map(key => [key.getAttribute('id'), {
+    name: key.getAttribute('attr.name'),
+    yfiles: key.getAttribute('yfiles.type')
+  }]));
+  const topGraph = firstChild(root, 'graph');
+  if (!topGraph) throw new Error('Invalid GraphML: no <graph> element');
+
+  const graphData = (graph, name) => childElements(graph, 'data')
+    .find(element => keys.get(element.getAttribute('key'))?.name === name)?.textContent;
+
+  const nodes = [];
+  const edges = [];
+  const readGraph = (graph, parent) => {
+    const defaultDirected = graph.getAttribute('edgedefault') === 'directed';
+
+    childElements(graph, 'node').forEach(element => {
+      const node = { id: element.getAttribute('id'), parent, label: '', color: null, x: null, y: null, attributes: {} };
+      const rgb = {};
+      childElements(element, 'data').forEach(dataElement => {
+        const key = keys.get(dataElement.getAttribute('key')) || {};
+        const value = dataElement.textContent;
+        if (key.yfiles === 'nodegraphics') return readYedNode(dataElement, node);
+        if (!key.name) return;
+        const name = key.name.toLowerCase();
+        if (name === 'label' || name === 'name') node.label = value;
+        else if (name === 'color' || name === 'colour') node.color = value;
+        else if (name === 'x' || name === 'y') node[name] = readNumber(value);
+        else if (name === 'r' || name === 'g' || name === 'b') rgb[name] = value;
+        else node.attributes[key.name] = value;
+      });
+      if (!node.color && 'r' in rgb) node.color = rgbToHex(rgb.r, rgb.g, rgb.b);
+      nodes.push(node);
+
+      const nested = firstChild(element, 'graph');
+      if (nested) {
+        if (!node.label) node.label = graphData(nested, 'name') || '';
+        readGraph(nested, node.id);
+      }
+    });
+
+    childElements(graph, 'edge').forEach(element => {
+      const directedAttribute = element.getAttribute('directed');
+      const edge = {
+        id: element.getAttribute('id'),
+        source: element.getAttribute('source'),
+        target: element.getAttribute('target'),
+        directed: directedAttribute === null ? defaultDirected : directedAttribute === 'true',
+        label: '',
+        color: null,
+        attributes: {}
+      };
+      childElements(element, 'data').forEach(dataElement => {
+        const key = keys.get(dataElement.getAttribute('key')) || {};
+        if (key.yfiles === 'edgegraphics') return readYedEdge(dataElement, edge);
+        if (!key.name) return;
+        if (key.name === 'label') edge.label = dataElement.textContent;
+        else if (key.name === 'color') edge.color = dataElement.textContent;
+        else edge.attributes[key.name] = dataElement.textContent;
+      });
+      edges.push(edge);
+    });
+  };
+  readGraph(topGraph, null);
+
+  return { title: graphData(topGraph, 'name') || topGraph.getAttribute('id') || 'Imported GraphML', nodes, edges };
+};
@@ -0,0 +1,346 @@
+/**
+ * Image Export
+ * Renders a graph view (or just a selection of it) as a standalone SVG that
+ * mirrors the canvas: rounded node cards with wrapped names and thumbnails,
+ * edges clipped at the node borders with arrowheads from
+ * directionality.arrowsToward, connection names, and group outlines.
+ *
+ * PNG export rasterises the same SVG in the browser. Thumbnails are usually
+ * data URLs; remote images may be left out of a PNG by the browser.
+ */
+
+import { getNodeDimensions } from '../utils.js';
+import { NODE_CORNER_RADIUS, NODE_PADDING, NODE_DEFAULT_COLOR, AVERAGE_CHAR_WIDTH, LINE_HEIGHT_ESTIMATE } from '../constants.js';
+
+export const CANVAS_BACKGROUND = '#bdb5b5';
+
+const BASE_CONNECTION_ID = 'base-connection-prototype';
+const EXPORT_PADDING = 60;
+const FONT_FAMILY = "'EmOne', sans-serif";
+
+// Same spacing the canvas uses to draw groups around their members
+const GROUP_SPACING = {
+  memberBoundaryPadding: 24,
+  innerCanvasBorder: 32,
+  titleToCanvasGap: 24,
+  titlePaddingVertical: 12,
+  titlePaddingHorizontal: 32,
+  titleTopMargin: 24,
+  titleBottomMargin: 24,
+  nodeGroupCornerRadius: 24,
+  fontSize: 36
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const arrowSet = (edge) => {
+  const arrows = edge.directionality?.arrowsToward;
+  if (arrows instanceof Set) return arrows;
+  return new Set(Array.isArray(arrows) ? arrows : []);
+};
+
+// Greedy word wrap against the average glyph width the canvas uses for its estimates
+const wrapText = (text, maxWidth) => {
+  const maxChars = Math.max(1, Math.floor(maxWidth / AVERAGE_CHAR_WIDTH));
+  const lines = [];
+  let line = '';
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    while (word.length > maxChars) {
+      if (line) { lines.push(line); line = ''; }
+      lines.push(word.slice(0, maxChars));
+      word = word.slice(maxChars);
+    }
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length > maxChars && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines.length > 0 ? lines : [''];
+};
+
+// Point where the ray from a node's centre along (dirX, dirY) leaves its rectangle
+const borderPoint = (box, dirX, dirY) => {
+  const halfWidth = box.width / 2;
+  const halfHeight = box.height / 2;
+  const tx = dirX !== 0 ? halfWidth / Math.abs(dirX) : Infinity;
+  const ty = dirY !== 0 ? halfHeight / Math.abs(dirY) : Infinity;
+  const t = Math.min(tx, ty);
+  return { x: box.cx + dirX * t, y: box.cy + dirY * t };
+};
+
+/**
+ * Colour of an edge as drawn on the canvas: its definition node, then its
+ * type (the base connection is black), then the destination node.
+ */
+export const edgeColor = (edge, nodePrototypes, destinationColor) => {
+  const definition = edge.definitionNodeIds?.length ? nodePrototypes.get(edge.definitionNodeIds[0]) : null;
+  if (definition) return definition.color || NODE_DEFAULT_COLOR;
+  if (edge.typeNodeId === BASE_CONNECTION_ID) return '#000000';
+  const type = edge.typeNodeId ? nodePrototypes.get(edge.typeNodeId) : null;
+  if (type) return type.color || NODE_DEFAULT_COLOR;
+  return destinationColor || NODE_DEFAULT_COLOR;
+};
+
+const edgeName = (edge, nodePrototypes) => {
+  const definition = edge.definitionNodeIds?.length ? nodePrototypes.get(edge.definitionNodeIds[0]) : null;
+  if (definition) return definition.name || 'Connection';
+  return nodePrototypes.get(edge.typeNodeId)?.name || 'Connection';
+};
+
+const renderNode = (box) => {
+  const { node, dims } = box;
+  const textWidth = dims.currentWidth - 56;
+  const lines = wrapText(node.name || 'Untitled', textWidth);
+  const blockHeight = lines.length * LINE_HEIGHT_ESTIMATE;
+  const firstBaseline = node.y + (dims.textAreaHeight - blockHeight) / 2 + LINE_HEIGHT_ESTIMATE * 0.72;
+  const centreX = node.x + dims.currentWidth / 2;
+
+  const parts = [
+    `<rect x="${round(node.x + 6)}" y="${round(node.y + 6)}" width="${round(dims.currentWidth - 12)}" height="${round(dims.currentHeight - 12)}" rx="${NODE_CORNER_RADIUS - 6}" ry="${NODE_CORNER_RADIUS - 6}" fill="${escapeXml(node.color || 'maroon')}"/>`,
+    `<text x="${round(centreX)}" y="${round(firstBaseline)}" font-family="${escapeXml(FONT_FAMILY)}" font-size="20" font-weight="bold" fill="${CANVAS_BACKGROUND}" text-anchor="middle">`
+      + lines.map((line, index) => `<tspan x="${round(centreX)}" dy="${index === 0 ? 0 : LINE_HEIGHT_ESTIMATE}">${escapeXml(line)}</tspan>`).join('')
+      + '</text>'
+  ];
+
+  if (node.thumbnailSrc && dims.imageWidth > 0 && dims.calculatedImageHeight > 0) {
+    const imageY = node.y + dims.textAreaHeight;
+    parts.push(
+      `<clipPath id="${box.clipId}"><rect x="${round(node.x + NODE_PADDING - 1)}" y="${round(imageY - 1)}" width="${round(dims.imageWidth + 2)}" height="${round(dims.calculatedImageHeight + 2)}" rx="${NODE_CORNER_RADIUS}" ry="${NODE_CORNER_RADIUS}"/></clipPath>`,
+      `<image x="${round(node.x + NODE_PADDING)}" y="${round(imageY)}" width="${round(dims.imageWidth)}" height="${round(dims.calculatedImageHeight)}" href="${escapeXml(node.thumbnailSrc)}" preserveAspectRatio="xMidYMid slice" clip-path="url(#${box.clipId})"/>`
+    );
+  }
+
+  return `<g class="node"><title>${escapeXml(node.name)}</title>${parts.join('')}</g>`;
+};
+
+const renderEdge = (edge, boxes, nodePrototypes, showEdgeNames) => {
+  const from = boxes.get(edge.sourceId);
+  const to = boxes.get(edge.destinationId);
+  if (!from || !to || from === to) return null;
+
+  const dx = to.cx - from.cx;
+  const dy = to.cy - from.cy;
+  const length = Math.hypot(dx, dy);
+  if (length === 0) return null;
+  const ux = dx / length;
+  const uy = dy / length;
+
+  const color = edgeColor(edge, nodePrototypes, to.node.color);
+  const arrows = arrowSet(edge);
+  const start = borderPoint(from, ux, uy);
+  const end = borderPoint(to, -ux, -uy);
+  const strokeWidth = showEdgeNames ? 16 : 6;
+  const arrowPoints = showEdgeNames ? '-18,22 18,22 0,-22' : '-12,15 12,15 0,-15';
+  const arrowLength = showEdgeNames ? 22 : 15;
+
+  // Ends without an arrow run into the node centre (hidden under the card); arrow ends stop at the border
+  const lineStart = arrows.has(edge.sourceId) ? { x: start.x + ux * arrowLength, y: start.y + uy * arrowLength } : { x: from.cx, y: from.cy };
+  const lineEnd = arrows.has(edge.destinationId) ? { x: end.x - ux * arrowLength, y: end.y - uy * arrowLength } : { x: to.cx, y: to.cy };
+
+  const parts = [
+    `<line x1="${round(lineStart.x)}" y1="${round(lineStart.y)}" x2="${round(lineEnd.x)}" y2="${round(lineEnd.y)}" stroke="${escapeXml(color)}" stroke-width="${strokeWidth}" stroke-linecap="round"/>`
+  ];
+
+  const arrowAt = (point, towardX, towardY) => {
+    const angle = Math.atan2(towardY, towardX) * (180 / Math.PI) + 90;
+    // Tip sits on the node border, so the base is arrowLength back along the edge
+    const x = point.x - towardX * arrowLength;
+    const y = point.y - towardY * arrowLength;
+    return `<polygon points="${arrowPoints}" transform="translate(${round(x)}, ${round(y)}) rotate(${round(angle)})" fill="${escapeXml(color)}" stroke="${escapeXml(color)}" stroke-width="6" stroke-linejoin="round" stroke-linecap="round" paint-order="stroke fill"/>`;
+  };
+  if (arrows.has(edge.destinationId)) parts.push(arrowAt(end, ux, uy));
+  if (arrows.has(edge.sourceId)) parts.push(arrowAt(start, -ux, -uy));
+
+  if (showEdgeNames) {
+    const midX = (from.cx + to.cx) / 2;
+    const midY = (from.cy + to.cy) / 2;
+    const angle = Math.atan2(dy, dx) * (180 / Math.PI);
+    const readable = (angle > 90 || angle < -90) ? angle + 180 : angle;
+    parts.push(
+      `<text x="${round(midX)}" y="${round(midY)}" fill="${CANVAS_BACKGROUND}" font-family="${escapeXml(FONT_FAMILY)}" font-size="24" font-weight="bold" text-anchor="middle" dominant-baseline="middle" transform="rotate(${round(readable)}, ${round(midX)}, ${round(midY)})" stroke="${escapeXml(color)}" stroke-width="6" stroke-linecap="round" stroke-linejoin="round" paint-order="stroke fill">${escapeXml(edgeName(edge, nodePrototypes))}</text>`
+    );
+  }
+
+  return `<g class="edge">${parts.join('')}</g>`;
+};
+
+// Group geometry, including the name tag that sits above the member box
+const groupLayout = (group, boxes) => {
+  const members = group.memberInstanceIds.map(id => boxes.get(id)).filter(Boolean);
+  if (members.length === 0) return null;
+
+  const margin = GROUP_SPACING.memberBoundaryPadding;
+  const rectX = Math.min(...members.map(b => b.node.x)) - margin;
+  const rectY = Math.min(...members.map(b => b.node.y)) - margin;
+  const rectW = Math.max(...members.map(b => b.node.x + b.dims.currentWidth)) + margin - rectX;
+  const rectH = Math.max(...members.map(b => b.node.y + b.dims.currentHeight)) + margin - rectY;
+
+  const name = group.name || 'Group';
+  const fontSize = GROUP_SPACING.fontSize;
+  const labelWidth = Math.min(rectW * 0.75, Math.max(180, name.length * fontSize * 0.6 + GROUP_SPACING.titlePaddingHorizontal * 2 + 4));
+  const labelHeight = Math.max(80, fontSize * 1.4 + GROUP_SPACING.titlePaddingVertical * 2);
+  const labelX = rectX + (rectW - labelWidth) / 2;
+  const labelY = rectY - labelHeight - GROUP_SPACING.titleToCanvasGap;
+
+  return { name, rectX, rectY, rectW, rectH, labelX, labelY, labelWidth, labelHeight, top: labelY - GROUP_SPACING.titleTopMargin };
+};
+
+const renderGroup = (group, layout, nodePrototypes, background) => {
+  const { name, rectX, rectY, rectW, rectH, labelX, labelY, labelWidth, labelHeight } = layout;
+  const stroke = group.color || NODE_DEFAULT_COLOR;
+  const corner = GROUP_SPACING.nodeGroupCornerRadius;
+  const fontSize = GROUP_SPACING.fontSize;
+  const textX = labelX + labelWidth / 2;
+  const textY = labelY + labelHeight * 0.7 - 2;
+  const parts = [];
+
+  if (group.linkedNodePrototypeId) {
+    // Node-group: filled in the node's colour, with a canvas-coloured inner area
+    const fill = nodePrototypes.get(group.linkedNodePrototypeId)?.color || stroke;
+    const border = GROUP_SPACING.innerCanvasBorder;
+    const outerY = labelY - GROUP_SPACING.titleTopMargin;
+    const innerY = labelY + labelHeight + GROUP_SPACING.titleBottomMargin;
+    parts.push(
+      `<rect x="${round(rectX)}" y="${round(outerY)}" width="${round(rectW)}" height="${round(rectY + rectH - outerY)}" rx="${corner}" ry="${corner}" fill="${escapeXml(fill)}"/>`,
+      `<rect x="${round(rectX + border)}" y="${round(innerY)}" width="${round(rectW - border * 2)}" height="${round(rectY + rectH - innerY - border)}" rx="12" ry="12" fill="${escapeXml(background || CANVAS_BACKGROUND)}"/>`,
+      `<text x="${round(textX)}" y="${round(textY)}" font-family="${escapeXml(FONT_FAMILY)}" font-size="${fontSize}" font-weight="bold" fill="${CANVAS_BACKGROUND}" text-anchor="middle">${escapeXml(name)}</text>`
+    );
+  } else {
+    parts.push(
+      `<rect x="${round(rectX)}" y="${round(rectY)}" width="${round(rectW)}" height="${round(rectH)}" rx="${corner}" ry="${corner}" fill="none" stroke="${escapeXml(stroke)}" stroke-width="12" stroke-dasharray="16 12"/>`,
+      `<rect x="${round(labelX)}" y="${round(labelY)}" width="${round(labelWidth)}" height="${round(labelHeight)}" rx="20" ry="20" fill="${CANVAS_BACKGROUND}" stroke="${escapeXml(stroke)}" stroke-width="6"/>`,
+      `<text x="${round(textX)}" y="${round(textY)}" font-family="${escapeXml(FONT_FAMILY)}" font-size="${fontSize}" font-weight="bold" fill="${escapeXml(stroke)}" stroke="${CANVAS_BACKGROUND}" stroke-width="2" paint-order="stroke fill" text-anchor="middle">${escapeXml(name)}</text>`
+    );
+  }
+
+  return `<g class="${group.linkedNodePrototypeId ? 'node-group' : 'group'}">${parts.join('')}</g>`;
+};
+
+/**
+ * Render a graph as standalone SVG markup.
+ * @param {Object} state - Store state (graphs, nodePrototypes, edges)
+ * @param {string} graphId - Graph to render
+ * @param {Object} [options]
+ * @param {Iterable<string>} [options.instanceIds] - Only render these instances (and the edges and groups among them)
+ * @param {number} [options.scale=1] - Output pixels per canvas unit
+ * @param {'transparent'|'themed'|string} [options.background='themed'] - Transparent, the canvas colour, or any CSS colour
+ * @param {boolean} [options.showEdgeNames=false] - Draw connection names as the canvas does when they are switched on
+ * @param {number} [options.padding=60] - Margin around the content, in canvas units
+ * @param {Function} [options.dimensionsFor] - node -> getNodeDimensions-shaped result (defaults to the canvas measurement)
+ * @returns {{ svg: string, width: number, height: number } | null} null when there is nothing to draw
+ */
+export const renderGraphViewSvg = (state, graphId, options = {}) => {
+  const {
+    instanceIds = null,
+    scale = 1,
+    background = 'themed',
+    showEdgeNames = false,
+    padding = EXPORT_PADDING,
+    dimensionsFor = (node) => getNodeDimensions(node, false, null)
+  } = options;
+
+  const graph = state?.graphs?.get(graphId);
+  if (!graph?.instances) return null;
+  const { nodePrototypes, edges } = state;
+  const only = instanceIds ? new Set(instanceIds) : null;
+
+  const boxes = new Map();
+  graph.instances.forEach((instance, instanceId) => {
+    if (only && !only.has(instanceId)) return;
+    const prototype = nodePrototypes.get(instance.prototypeId);
+    if (!prototype) return;
+    const node = { ...prototype, ...instance, id: instanceId, name: prototype.name };
+    const dims = dimensionsFor(node);
+    boxes.set(instanceId, {
+      node,
+      dims,
+      cx: node.x + dims.currentWidth / 2,
+      cy: node.y + dims.currentHeight / 2,
+      width: dims.currentWidth,
+      height: dims.currentHeight,
+      clipId: `export-clip-${boxes.size}`
+    });
+  });
+  if (boxes.size === 0) return null;
+
+  const groups = Array.from(graph.groups?.values() || [])
+    .map(group => ({ group, layout: groupLayout(group, boxes) }))
+    .filter(({ layout }) => layout);
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  boxes.forEach(({ node, dims }) => {
+    minX = Math.min(minX, node.x);
+    minY = Math.min(minY, node.y);
+    maxX = Math.max(maxX, node.x + dims.currentWidth);
+    maxY = Math.max(maxY, node.y + dims.currentHeight);
+  });
+  groups.forEach(({ layout }) => {
+    minX = Math.min(minX, layout.rectX);
+    minY = Math.min(minY, layout.top);
+    maxX = Math.max(maxX, layout.rectX + layout.rectW);
+    maxY = Math.max(maxY, layout.rectY + layout.rectH);
+  });
+  minX -= padding;
+  minY -= padding;
+  const viewWidth = maxX - minX + padding;
+  const viewHeight = maxY - minY + padding;
+  const width = Math.max(1, Math.round(viewWidth * scale));
+  const height = Math.max(1, Math.round(viewHeight * scale));
+
+  const fill = background === 'themed' ? CANVAS_BACKGROUND : (background === 'transparent' ? null : background);
+  const edgeIds = Array.isArray(graph.edgeIds) ? graph.edgeIds : Array.from(graph.edgeIds || []);
+
+  const body = [
+    fill ? `<rect x="${round(minX)}" y="${round(minY)}" width="${round(viewWidth)}" height="${round(viewHeight)}" fill="${escapeXml(fill)}"/>` : '',
+    ...groups.map(({ group, layout }) => renderGroup(group, layout, nodePrototypes, fill)),
+    ...edgeIds.map(id => edges.get(id)).filter(Boolean).map(edge => renderEdge(edge, boxes, nodePrototypes, showEdgeNames)),
+    ...Array.from(boxes.values()).map(renderNode)
+  ].filter(Boolean);
+
+  const svg = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="${round(minX)} ${round(minY)} ${round(viewWidth)} ${round(viewHeight)}" role="img" aria-label="${escapeXml(graph.name || 'Graph')}">`,
+    ...body,
+    '</svg>'
+  ].join('\n');
+
+  return { svg, width, height };
+};
+
+/**
+ * Rasterise SVG markup to a PNG blob (browser only).
+ * @returns {Promise<Blob>}
+ */
+export const svgToPngBlob = (svg, width, height) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  image.onload = () => {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+    } catch (error) {
+      reject(error);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not render SVG for PNG export'));
+  };
+  image.src = url;
+});
@@ -5,6 +5,9 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import { REDSTRING_CONTEXT } from './redstringFormat.js';
+import { importMarkdownVault, readVaultZip, readVaultFiles } from './markdownVault.js';
+import { parseGraphML } from './graphml.js';
+import { networkToState } from './networkExchange.js';
 
 /**
  * Import from Obsidian Graph JSON Export
@@ -247,107 +250,14 @@ export const importCytoscape = (cytoscapeData) => {
 
 /**
  * Import from GraphML XML
- * Handles hierarchical data attributes and spatial positioning
+ * Reads nested graphs and groups, Redstring's own data attributes, and yEd or
+ * Gephi styling from files made elsewhere (see graphml.js for the mapping).
+ * @param {string} graphMLString - GraphML text
+ * @param {Object} [options] - { idFactory } for the ids of graphs that have none
+ * @returns {Promise<Object>} { graphs, nodePrototypes, edges } Maps, ready for applyImportedNetwork
  */
-export const importGraphML = async (graphMLString) => {
-  // Parse XML (this would need a proper XML parser in real implementation)
-  const parser = new DOMParser();
-  const xmlDoc = parser.parseFromString(graphMLString, "text/xml");
-  
-  const graphs = new Map();
-  const nodes = new Map();
-  const edges = new Map();
-  
-  // Create main graph
-  const mainGraphId = uuidv4();
-  graphs.set(mainGraphId, {
-    id: mainGraphId,
-    name: "GraphML Network",
-    description: "Imported from GraphML",
-    nodeIds: [],
-    edgeIds: [],
-    definingNodeIds: []
-  });
-  
-  // Extract nodes
-  const xmlNodes = xmlDoc.querySelectorAll('node');
-  xmlNodes.forEach(xmlNode => {
-    const nodeId = xmlNode.getAttribute('id');
-    
-    // Extract data attributes
-    const dataElements = xmlNode.querySelectorAll('data');
-    const nodeData = {};
-    dataElements.forEach(dataEl => {
-      const key = dataEl.getAttribute('key');
-      const value = dataEl.textContent;
-      nodeData[key] = value;
-    });
-    
-    const redstringNode = {
-      id: nodeId,
-      name: nodeData.label || nodeData.name || nodeId,
-      description: nodeData.description || "",
-      color: nodeData.color || "#800000",
-      x: parseFloat(nodeData.x) || Math.random() * 800,
-      y: parseFloat(nodeData.y) || Math.random() * 600,
-      scale: 1.0,
-      imageSrc: null,
-      thumbnailSrc: null,
-      imageAspectRatio: null,
-      parentDefinitionNodeId: null,
-      edgeIds: [],
-      definitionGraphIds: []
-    };
-    
-    nodes.set(nodeId, redstringNode);
-    graphs.get(mainGraphId).nodeIds.push(nodeId);
-  });
-  
-  // Extract edges
-  const xmlEdges = xmlDoc.querySelectorAll('edge');
-  xmlEdges.forEach(xmlEdge => {
-    const sourceId = xmlEdge.getAttribute('source');
-    const targetId = xmlEdge.getAttribute('target');
-    const edgeId = xmlEdge.getAttribute('id') || uuidv4();
-    
-    const dataElements = xmlEdge.querySelectorAll('data');
-    const edgeData = {};
-    dataElements.forEach(dataEl => {
-      const key = dataEl.getAttribute('key');
-      const value = dataEl.textContent;
-      edgeData[key] = value;
-    });
-    
-    const redstringEdge = {
-      id: edgeId,
-      sourceId,
-      destinationId: targetId,
-      name: edgeData.label || "connection",
-      description: edgeData.description || "",
-      color: edgeData.color || "#333",
-      definitionNodeIds: []
-    };
-    
-    edges.set(edgeId, redstringEdge);
-    graphs.get(mainGraphId).edgeIds.push(edgeId);
-    
-    // Update node edge references
-    const sourceNode = nodes.get(sourceId);
-    const targetNode = nodes.get(targetId);
-    if (sourceNode) sourceNode.edgeIds.push(edgeId);
-    if (targetNode) targetNode.edgeIds.push(edgeId);
-  });
-  
-  return {
-    graphs,
-    nodes,
-    edges,
-    openGraphIds: [mainGraphId],
-    activeGraphId: mainGraphId,
-    expandedGraphIds: [mainGraphId],
-    savedNodeIds: new Set()
-  };
-};
+export const importGraphML = async (graphMLString, options = {}) =>
+  networkToState(parseGraphML(graphMLString), options);
 
 /**
  * Import from JSON-LD with automatic semantic mapping
@@ -482,13 +392,21 @@ const getColorForType = (type) => {
 
 /**
  * Format Detection and Auto-Import
- * Automatically detects format and routes to appropriate importer
+ * Automatically detects format and routes to appropriate importer.
+ * Markdown vaults can be passed as a list of files (e.g. from a directory picker, with
+ * filename set to the folder name), as zip bytes, or as a single .md note.
  */
 export const autoImport = async (fileContent, filename) => {
   const extension = filename.split('.').pop().toLowerCase();
   
   try {
-    if (extension === 'json') {
+    if (Array.isArray(fileContent) || (typeof FileList !== 'undefined' && fileContent instanceof FileList)) {
+      return importMarkdownVault(await readVaultFiles(fileContent), { vaultName: filename });
+    } else if (extension === 'zip') {
+      return importMarkdownVault(readVaultZip(fileContent), { vaultName: filename.replace(/\.zip$/i, '') });
+    } else if (extension === 'md') {
+      return importMarkdownVault([{ path: filename, content: fileContent }]);
+    } else if (extension === 'json') {
       const data = JSON.parse(fileContent);
       
       // Detect format by structure
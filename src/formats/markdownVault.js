@@ -0,0 +1,538 @@
+/**
+ * Markdown Vault Import/Export
+ * Maps a folder of markdown notes (an Obsidian vault) to and from a Redstring universe.
+ *
+ * - Each note becomes a node prototype; its body becomes the description
+ * - [[wikilinks]] become edges; Dataview-style `relation:: [[Note]]` fields name the edge
+ * - Tags become types (nested tags like #place/city become a type chain); the first tag is the note's type
+ * - Folders become nodes whose definition graph holds the folder's notes. A note named like
+ *   its folder (Folder/Folder.md) is the folder's own note.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import yaml from 'js-yaml';
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { NODE_DEFAULT_COLOR } from '../constants.js';
+
+const THING_PROTOTYPE_ID = 'base-thing-prototype';
+const CONNECTION_PROTOTYPE_ID = 'base-connection-prototype';
+const GRID_SPACING = 250;
+
+// No timestamp type, so dates like 2024-01-01 stay strings and survive a round trip unchanged
+const YAML_OPTIONS = { schema: yaml.CORE_SCHEMA };
+
+// Frontmatter keys the importer maps onto Redstring fields; everything else is carried along as-is
+const MAPPED_FRONTMATTER_KEYS = new Set(['tags', 'tag', 'color']);
+
+const normalizePath = (path) => path.replace(/\\/g, '/').replace(/^\.?\/+/, '');
+
+const isHiddenPath = (path) => path.split('/').some(segment => segment.startsWith('.'));
+
+const baseName = (path) => path.split('/').pop().replace(/\.md$/i, '');
+
+const dirName = (path) => path.split('/').slice(0, -1).join('/');
+
+const compareNames = (a, b) => a.localeCompare(b);
+
+// File and folder names can't carry path separators or the characters Obsidian rejects
+const safeFileName = (name) => String(name || 'Untitled').replace(/[\\/:*?"<>|#^[\]]/g, '-').trim() || 'Untitled';
+
+/**
+ * Split YAML frontmatter from a note.
+ * @param {string} content - Raw markdown
+ * @returns {{ data: Object, body: string }}
+ */
+export const parseFrontmatter = (content) => {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) return { data: {}, body: text };
+  let data = {};
+  try {
+    const parsed = yaml.load(match[1], YAML_OPTIONS);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) data = parsed;
+  } catch (error) {
+    console.warn('[MarkdownVault] Ignoring invalid frontmatter:', error.message);
+  }
+  return { data, body: text.slice(match[0].length) };
+};
+
+// Code blocks and inline code never contain links or tags
+const stripCode = (body) => body.replace(/```[\s\S]*?```/g, '').replace(/`[^`\n]*`/g, '');
+
+/**
+ * Find the wikilinks in a note body.
+ * @param {string} body - Markdown without frontmatter
+ * @returns {Array<{ target: string, field: string|null }>} Link targets (without #heading or |alias)
+ */
+export const extractWikilinks = (body) => {
+  const links = [];
+  stripCode(body).split('\n').forEach(line => {
+    const fieldMatch = line.match(/^\s*(?:[-*+]\s+)?([^:[\]\n]+?)::\s*(.*)$/);
+    const field = fieldMatch ? fieldMatch[1].trim() : null;
+    const text = fieldMatch ? fieldMatch[2] : line;
+    for (const match of text.matchAll(/(!?)\[\[([^\]|#^]*)(?:[#^][^\]|]*)?(?:\|[^\]]*)?\]\]/g)) {
+      // ![[embeds]] are attachments, not references
+      if (match[1] === '!' || !match[2].trim()) continue;
+      links.push({ target: match[2].trim(), field });
+    }
+  });
+  return links;
+};
+
+/**
+ * Collect tags from frontmatter (`tags: [a, b]` or `tags: a, b`) and inline #tags.
+ * @returns {{ frontmatterTags: string[], inlineTags: string[] }}
+ */
+export const extractTags = (data, body) => {
+  const raw = data.tags ?? data.tag ?? [];
+  const frontmatterTags = (Array.isArray(raw) ? raw : String(raw).split(/[,\s]+/))
+    .map(tag => String(tag).trim().replace(/^#/, ''))
+    .filter(Boolean);
+  const inlineTags = [];
+  for (const match of stripCode(body).matchAll(/(?:^|\s)#([\p{L}\p{N}_/-]+)/gu)) {
+    // Obsidian requires at least one non-digit; #123 is not a tag
+    if (!/^\d+$/.test(match[1]) && !inlineTags.includes(match[1])) inlineTags.push(match[1]);
+  }
+  return { frontmatterTags, inlineTags };
+};
+
+const createGraph = (id, name, definingNodeId) => ({
+  id,
+  name,
+  description: '',
+  picture: null,
+  color: NODE_DEFAULT_COLOR,
+  directed: true,
+  instances: new Map(),
+  groups: new Map(),
+  edgeIds: [],
+  definingNodeIds: [definingNodeId],
+  panOffset: null,
+  zoomLevel: null
+});
+
+const createBasePrototypes = () => new Map([
+  [THING_PROTOTYPE_ID, { id: THING_PROTOTYPE_ID, name: 'Thing', description: 'The base type for all things.', color: '#8B0000', typeNodeId: null, definitionGraphIds: [] }],
+  [CONNECTION_PROTOTYPE_ID, { id: CONNECTION_PROTOTYPE_ID, name: 'Connection', description: 'The base type for all connections.', color: '#000000', typeNodeId: null, definitionGraphIds: [] }]
+]);
+
+// Folders in breadth-first order with siblings by name; the exporter walks graphs the same way
+const orderFolders = (folderPaths) => {
+  const children = new Map();
+  folderPaths.forEach(path => {
+    if (!path) return;
+    const parent = dirName(path);
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(path);
+  });
+  const order = new Map();
+  const queue = [''];
+  while (queue.length > 0) {
+    const path = queue.shift();
+    order.set(path, order.size);
+    (children.get(path) || [])
+      .sort((a, b) => compareNames(baseName(a), baseName(b)))
+      .forEach(child => queue.push(child));
+  }
+  return order;
+};
+
+/**
+ * Import a folder of markdown notes as a universe.
+ * @param {Array<{ path: string, content: string }>} files - Vault files with vault-relative paths
+ * @param {Object} [options]
+ * @param {string} [options.vaultName] - Name for the root node (defaults to the shared top folder)
+ * @returns {Object} Store state (graphs, nodePrototypes, edges, ...) ready for loadUniverseFromFile
+ */
+export const importMarkdownVault = (files, { vaultName } = {}) => {
+  let notes = files
+    .map(file => ({ path: normalizePath(file.path || file.name || ''), content: file.content }))
+    .filter(file => /\.md$/i.test(file.path) && !isHiddenPath(file.path) && typeof file.content === 'string');
+
+  // A zip or directory picker usually wraps everything in the vault's own folder
+  const topFolders = new Set(notes.map(note => note.path.split('/')[0]));
+  let name = vaultName;
+  if (topFolders.size === 1 && notes.every(note => note.path.includes('/'))) {
+    const [top] = topFolders;
+    name = name || top;
+    notes = notes.map(note => ({ ...note, path: note.path.slice(top.length + 1) }));
+  }
+  name = String(name || 'Vault').replace(/\.zip$/i, '').replace(/\/+$/, '') || 'Vault';
+
+  const nodePrototypes = createBasePrototypes();
+  const graphs = new Map();
+  const edges = new Map();
+
+  // Folders (including every ancestor of a note) become nodes with a definition graph
+  const folderPaths = new Set(['']);
+  notes.forEach(note => {
+    for (let dir = dirName(note.path); dir; dir = dirName(dir)) folderPaths.add(dir);
+  });
+  const folderOrder = orderFolders(folderPaths);
+  const folders = new Map(); // path -> { prototypeId, graphId }
+  Array.from(folderOrder.keys()).forEach(path => {
+    const prototypeId = uuidv4();
+    const graphId = uuidv4();
+    const folderName = path ? baseName(path) : name;
+    nodePrototypes.set(prototypeId, {
+      id: prototypeId,
+      name: folderName,
+      description: '',
+      color: NODE_DEFAULT_COLOR,
+      typeNodeId: null,
+      definitionGraphIds: [graphId]
+    });
+    graphs.set(graphId, createGraph(graphId, folderName, prototypeId));
+    folders.set(path, { prototypeId, graphId });
+  });
+
+  // Tags become types; nested tags chain to their parent tag's type
+  const typeIds = new Map();
+  const ensureType = (tag) => {
+    if (typeIds.has(tag)) return typeIds.get(tag);
+    const parent = tag.includes('/') ? ensureType(tag.slice(0, tag.lastIndexOf('/'))) : null;
+    const id = uuidv4();
+    nodePrototypes.set(id, {
+      id,
+      name: tag.split('/').pop(),
+      description: '',
+      color: NODE_DEFAULT_COLOR,
+      typeNodeId: parent,
+      definitionGraphIds: []
+    });
+    typeIds.set(tag, id);
+    return id;
+  };
+
+  // Every note and folder has a home folder; lookup keys follow Obsidian's case-insensitive resolution
+  const entities = [];
+  const byName = new Map();
+  const byPath = new Map();
+  const register = (entity, keys) => {
+    keys.forEach(key => {
+      if (!key) return;
+      const lower = key.toLowerCase();
+      if (!byName.has(lower)) byName.set(lower, entity);
+    });
+    byPath.set(entity.path.toLowerCase(), entity);
+    entities.push(entity);
+  };
+
+  Array.from(folders.entries()).forEach(([path, folder]) => {
+    if (!path) return;
+    register({ path, home: dirName(path), prototypeId: folder.prototypeId, links: [] }, [baseName(path)]);
+  });
+
+  notes.sort((a, b) => compareNames(a.path, b.path)).forEach(note => {
+    const { data, body } = parseFrontmatter(note.content);
+    const notePath = note.path.replace(/\.md$/i, '');
+    const noteName = baseName(note.path);
+    const folderPath = dirName(note.path);
+    const isFolderNote = folderPath && baseName(folderPath) === noteName;
+
+    const { frontmatterTags, inlineTags } = extractTags(data, body);
+    const [typeTag] = [...frontmatterTags, ...inlineTags];
+    [...frontmatterTags, ...inlineTags].forEach(ensureType);
+
+    const frontmatter = {};
+    Object.entries(data).forEach(([key, value]) => {
+      if (!MAPPED_FRONTMATTER_KEYS.has(key)) frontmatter[key] = value;
+    });
+    const extraTags = frontmatterTags.filter(tag => tag !== typeTag);
+    if (extraTags.length > 0) frontmatter.tags = extraTags;
+
+    const fields = {
+      description: body.trim(),
+      color: typeof data.color === 'string' ? data.color : NODE_DEFAULT_COLOR,
+      typeNodeId: typeTag ? typeIds.get(typeTag) : null,
+      ...(Object.keys(frontmatter).length > 0 ? { frontmatter } : {})
+    };
+
+    let entity;
+    if (isFolderNote) {
+      const prototypeId = folders.get(folderPath).prototypeId;
+      Object.assign(nodePrototypes.get(prototypeId), fields);
+      entity = entities.find(e => e.prototypeId === prototypeId);
+      entity.notePath = notePath;
+    } else {
+      const prototypeId = uuidv4();
+      nodePrototypes.set(prototypeId, { id: prototypeId, name: noteName, definitionGraphIds: [], ...fields });
+      entity = { path: notePath, home: folderPath, prototypeId, links: [] };
+      const aliases = Array.isArray(data.aliases) ? data.aliases : (data.aliases ? [data.aliases] : []);
+      register(entity, [noteName, ...aliases.map(String)]);
+    }
+    entity.links = extractWikilinks(body);
+  });
+
+  // Home instances, laid out on a grid per folder graph
+  const instanceIn = (graphId, prototypeId) => {
+    const graph = graphs.get(graphId);
+    for (const instance of graph.instances.values()) {
+      if (instance.prototypeId === prototypeId) return instance.id;
+    }
+    const index = graph.instances.size;
+    const id = uuidv4();
+    graph.instances.set(id, { id, prototypeId, x: (index % 6) * GRID_SPACING, y: Math.floor(index / 6) * GRID_SPACING, scale: 1 });
+    return id;
+  };
+  entities
+    .slice()
+    .sort((a, b) => compareNames(baseName(a.path), baseName(b.path)))
+    .forEach(entity => instanceIn(folders.get(entity.home).graphId, entity.prototypeId));
+
+  const resolve = (target) => {
+    const key = target.replace(/\.md$/i, '').toLowerCase();
+    return key.includes('/') ? byPath.get(key) : byName.get(key);
+  };
+
+  // A link lives in whichever endpoint's folder comes later, so no note shows up before its own folder
+  const seen = new Set();
+  entities.forEach(source => {
+    source.links.forEach(({ target, field }) => {
+      const destination = resolve(target);
+      if (!destination || destination === source) return;
+      const key = `${source.prototypeId}|${destination.prototypeId}|${field || ''}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const home = folderOrder.get(source.home) >= folderOrder.get(destination.home) ? source.home : destination.home;
+      const graphId = folders.get(home).graphId;
+      const sourceId = instanceIn(graphId, source.prototypeId);
+      const destinationId = instanceIn(graphId, destination.prototypeId);
+      const edgeId = uuidv4();
+      edges.set(edgeId, {
+        id: edgeId,
+        sourceId,
+        destinationId,
+        name: field || '',
+        description: '',
+        typeNodeId: CONNECTION_PROTOTYPE_ID,
+        definitionNodeIds: [],
+        directionality: { arrowsToward: new Set([destinationId]) }
+      });
+      graphs.get(graphId).edgeIds.push(edgeId);
+    });
+  });
+
+  const rootGraphId = folders.get('').graphId;
+  return {
+    graphs,
+    nodePrototypes,
+    edgePrototypes: new Map(),
+    edges,
+    openGraphIds: [rootGraphId],
+    activeGraphId: rootGraphId,
+    activeDefinitionNodeId: folders.get('').prototypeId,
+    expandedGraphIds: new Set([rootGraphId]),
+    rightPanelTabs: [{ type: 'home', isActive: true }],
+    savedNodeIds: new Set(),
+    savedGraphIds: new Set(),
+    showConnectionNames: false
+  };
+};
+
+const tagForType = (nodePrototypes, typeNodeId) => {
+  const names = [];
+  const visited = new Set();
+  let current = typeNodeId;
+  while (current && current !== THING_PROTOTYPE_ID && !visited.has(current) && nodePrototypes.has(current)) {
+    visited.add(current);
+    const type = nodePrototypes.get(current);
+    names.unshift(String(type.name || 'Type').trim().replace(/\s+/g, '-'));
+    current = type.typeNodeId;
+  }
+  return names.length > 0 ? names.join('/') : null;
+};
+
+/**
+ * Export a universe as a folder of markdown notes.
+ * Graphs are walked breadth-first from the root; a node lives in the folder of the first graph
+ * it appears in, and nodes whose definition graph is reached become folders.
+ * @param {Object} storeState - Store state (graphs, nodePrototypes, edges)
+ * @param {Object} [options]
+ * @param {string} [options.vaultName] - Overrides the vault name taken from the root graph
+ * @returns {{ vaultName: string, files: Array<{ path: string, content: string }> }}
+ */
+export const exportToMarkdownVault = (storeState, { vaultName } = {}) => {
+  const { graphs = new Map(), nodePrototypes = new Map(), edges = new Map() } = storeState;
+
+  const instanced = new Set();
+  graphs.forEach(graph => graph.instances?.forEach(instance => instanced.add(instance.prototypeId)));
+  const roots = Array.from(graphs.values())
+    .filter(graph => !instanced.has(graph.definingNodeIds?.[0]))
+    .sort((a, b) => compareNames(a.name || '', b.name || ''));
+
+  // A single root graph is the vault itself; several roots become top-level folders
+  const singleRoot = roots.length === 1 ? roots[0] : null;
+  const name = safeFileName(vaultName || singleRoot?.name || 'Redstring Vault');
+
+  const homes = new Map(); // prototypeId -> folder path
+  const folderOf = new Map(); // prototypeId -> folder path it defines
+  const visited = new Set();
+  const queue = singleRoot
+    ? [{ graph: singleRoot, path: '' }]
+    : roots.map(graph => {
+      const definingId = graph.definingNodeIds?.[0];
+      const path = safeFileName(graph.name);
+      if (definingId) {
+        homes.set(definingId, '');
+        folderOf.set(definingId, path);
+      }
+      return { graph, path };
+    });
+  if (singleRoot?.definingNodeIds?.[0]) folderOf.set(singleRoot.definingNodeIds[0], '');
+
+  while (queue.length > 0) {
+    const { graph, path } = queue.shift();
+    if (visited.has(graph.id)) continue;
+    visited.add(graph.id);
+    const prototypeIds = Array.from(new Set(Array.from(graph.instances?.values() || []).map(i => i.prototypeId)))
+      .filter(id => nodePrototypes.has(id) && !homes.has(id))
+      .sort((a, b) => compareNames(nodePrototypes.get(a).name || '', nodePrototypes.get(b).name || ''));
+    prototypeIds.forEach(id => {
+      homes.set(id, path);
+      const definitionGraph = graphs.get(nodePrototypes.get(id).definitionGraphIds?.[0]);
+      if (definitionGraph && !visited.has(definitionGraph.id)) {
+        const childPath = [path, safeFileName(nodePrototypes.get(id).name)].filter(Boolean).join('/');
+        folderOf.set(id, childPath);
+        queue.push({ graph: definitionGraph, path: childPath });
+      }
+    });
+  }
+
+  // Nodes that were never placed still get a note at the top, unless they only serve as types
+  const usedAsType = new Set(Array.from(nodePrototypes.values()).map(p => p.typeNodeId).filter(Boolean));
+  nodePrototypes.forEach((prototype, id) => {
+    if (homes.has(id) || folderOf.has(id) || id === THING_PROTOTYPE_ID || id === CONNECTION_PROTOTYPE_ID || usedAsType.has(id)) return;
+    homes.set(id, '');
+  });
+
+  // Assign file paths; folder nodes write Folder/Folder.md
+  const filePaths = new Map();
+  const takenPaths = new Set();
+  const claimPath = (id, desired) => {
+    let candidate = desired;
+    for (let n = 2; takenPaths.has(candidate.toLowerCase()); n++) candidate = `${desired} (${n})`;
+    takenPaths.add(candidate.toLowerCase());
+    filePaths.set(id, candidate);
+  };
+  Array.from(folderOf.entries())
+    .filter(([, path]) => path)
+    .forEach(([id, path]) => claimPath(id, `${path}/${baseName(path)}`));
+  Array.from(homes.entries())
+    .filter(([id]) => !folderOf.has(id))
+    .forEach(([id, path]) => claimPath(id, [path, safeFileName(nodePrototypes.get(id).name)].filter(Boolean).join('/')));
+
+  const nameCounts = new Map();
+  const byName = new Map();
+  const byPath = new Map();
+  filePaths.forEach((path, id) => {
+    const key = baseName(path).toLowerCase();
+    nameCounts.set(key, (nameCounts.get(key) || 0) + 1);
+    if (!byName.has(key)) byName.set(key, id);
+    byPath.set(path.toLowerCase(), id);
+  });
+  filePaths.forEach((path, id) => {
+    const aliases = nodePrototypes.get(id).frontmatter?.aliases;
+    (Array.isArray(aliases) ? aliases : aliases ? [aliases] : []).forEach(alias => {
+      if (!byName.has(String(alias).toLowerCase())) byName.set(String(alias).toLowerCase(), id);
+    });
+  });
+  const linkTo = (id) => {
+    const path = filePaths.get(id);
+    return nameCounts.get(baseName(path).toLowerCase()) > 1 ? path : baseName(path);
+  };
+  const resolve = (target) => {
+    const key = target.replace(/\.md$/i, '').toLowerCase();
+    return key.includes('/') ? byPath.get(key) : byName.get(key);
+  };
+
+  // Outgoing connections per node
+  const instancePrototypes = new Map();
+  graphs.forEach(graph => graph.instances?.forEach(instance => instancePrototypes.set(instance.id, instance.prototypeId)));
+  const outgoing = new Map();
+  edges.forEach(edge => {
+    const sourceId = instancePrototypes.get(edge.sourceId);
+    const destinationId = instancePrototypes.get(edge.destinationId);
+    if (!filePaths.has(sourceId) || !filePaths.has(destinationId) || sourceId === destinationId) return;
+    const typeName = edge.typeNodeId && edge.typeNodeId !== CONNECTION_PROTOTYPE_ID
+      ? nodePrototypes.get(edge.typeNodeId)?.name
+      : null;
+    const field = String(edge.name || typeName || '').replace(/[:[\]\n]/g, ' ').trim() || null;
+    if (!outgoing.has(sourceId)) outgoing.set(sourceId, []);
+    outgoing.get(sourceId).push({ destinationId, field });
+  });
+
+  const files = [];
+  filePaths.forEach((path, id) => {
+    const prototype = nodePrototypes.get(id);
+    const description = String(prototype.description || '').trim();
+    const isFolder = folderOf.has(id);
+    const links = outgoing.get(id) || [];
+
+    // Links already written in the text are kept where they are; the rest are appended
+    const written = new Set(extractWikilinks(description).map(link => `${resolve(link.target)}|${link.field || ''}`));
+    const missing = links.filter(link => !written.has(`${link.destinationId}|${link.field || ''}`));
+    const appended = Array.from(new Set(missing.map(link => link.field
+      ? `${link.field}:: [[${linkTo(link.destinationId)}]]`
+      : `- [[${linkTo(link.destinationId)}]]`)));
+
+    const data = {};
+    const tag = tagForType(nodePrototypes, prototype.typeNodeId);
+    const { inlineTags } = extractTags({}, description);
+    const extraTags = Array.isArray(prototype.frontmatter?.tags) ? prototype.frontmatter.tags : [];
+    const tags = [...(tag && !inlineTags.includes(tag) ? [tag] : []), ...extraTags.filter(t => t !== tag)];
+    if (tags.length > 0) data.tags = tags;
+    if (prototype.color && prototype.color !== NODE_DEFAULT_COLOR) data.color = prototype.color;
+    Object.entries(prototype.frontmatter || {}).forEach(([key, value]) => {
+      if (key !== 'tags') data[key] = value;
+    });
+
+    // Folders without anything to say don't need a folder note
+    if (isFolder && !description && appended.length === 0 && Object.keys(data).length === 0) return;
+
+    const frontmatter = Object.keys(data).length > 0 ? `---\n${yaml.dump(data, { ...YAML_OPTIONS, lineWidth: -1 })}---\n` : '';
+    const body = [description, appended.join('\n')].filter(Boolean).join('\n\n');
+    files.push({ path: `${path}.md`, content: `${frontmatter}${body}\n` });
+  });
+
+  files.sort((a, b) => compareNames(a.path, b.path));
+  return { vaultName: name, files };
+};
+
+/**
+ * Read the markdown files out of a zipped vault.
+ * @param {Uint8Array|ArrayBuffer} data - Zip archive bytes
+ * @returns {Array<{ path: string, content: string }>}
+ */
+export const readVaultZip = (data) => {
+  const entries = unzipSync(data instanceof Uint8Array ? data : new Uint8Array(data), {
+    filter: (file) => /\.md$/i.test(file.name)
+  });
+  return Object.entries(entries).map(([path, bytes]) => ({ path, content: strFromU8(bytes) }));
+};
+
+/**
+ * Zip vault files under a top-level folder named after the vault.
+ * @param {{ vaultName: string, files: Array<{ path: string, content: string }> }} vault - From exportToMarkdownVault
+ * @returns {Uint8Array} Zip archive bytes
+ */
+export const createVaultZip = ({ vaultName, files }) => {
+  const entries = {};
+  files.forEach(file => {
+    entries[`${vaultName}/${file.path}`] = strToU8(file.content);
+  });
+  return zipSync(entries);
+};
+
+/**
+ * Read browser File objects (from a directory picker or drop) into vault files.
+ * @param {FileList|Array<File|{ path: string, content: string }>} fileList
+ * @returns {Promise<Array<{ path: string, content: string }>>}
+ */
+export const readVaultFiles = async (fileList) => Promise.all(
+  Array.from(fileList).map(async (file) => {
+    if (typeof file.content === 'string') return file;
+    return { path: file.webkitRelativePath || file.path || file.name, content: await file.text() };
+  })
+);
@@ -0,0 +1,413 @@
+/**
+ * Network Exchange - the shared model behind the GraphML and GEXF formats
+ *
+ * Network tools think in flat nodes and edges with optional nesting, so the
+ * exporters first flatten store state into that shape: every instance is a
+ * node carrying its prototype's name, colour, type and position, and graphs
+ * and groups become container nodes that instances nest inside. The importers
+ * parse their XML back into the same shape and networkToState rebuilds
+ * graphs, prototypes, instances, groups and edges from it. Files from other
+ * tools (no Redstring attributes) come back as one graph with a prototype per
+ * node.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+export const BASE_CONNECTION_ID = 'base-connection-prototype';
+
+// Attributes written on nodes and edges besides label, colour and position, with their XML schema types
+export const NODE_ATTRIBUTES = [
+  ['kind', 'string'],
+  ['description', 'string'],
+  ['prototypeId', 'string'],
+  ['typeId', 'string'],
+  ['type', 'string'],
+  ['definitionGraphIds', 'string'],
+  ['groupIds', 'string'],
+  ['graphId', 'string'],
+  ['linkedPrototypeId', 'string']
+];
+
+export const EDGE_ATTRIBUTES = [
+  ['name', 'string'],
+  ['typeId', 'string'],
+  ['type', 'string'],
+  ['definitionId', 'string'],
+  ['relation', 'string']
+];
+
+export const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Parse an XML document, throwing on malformed input instead of returning a parsererror document.
+ */
+export const parseXml = (text, formatName) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`Invalid ${formatName}: the file is not well-formed XML`);
+  }
+  return doc;
+};
+
+// Child elements by local name, ignoring namespace prefixes
+export const childElements = (element, localName) => Array.from(element?.children || [])
+  .filter(child => !localName || child.localName === localName);
+
+export const firstChild = (element, localName) => childElements(element, localName)[0] || null;
+
+export const rgbToHex = (r, g, b) => {
+  const channels = [r, g, b].map(Number);
+  if (channels.some(channel => !Number.isFinite(channel))) return null;
+  return `#${channels.map(channel => Math.max(0, Math.min(255, Math.round(channel))).toString(16).padStart(2, '0')).join('')}`;
+};
+
+export const hexToRgb = (color) => {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color || '').trim());
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  return { r: parseInt(hex.slice(0, 2), 16), g: parseInt(hex.slice(2, 4), 16), b: parseInt(hex.slice(4, 6), 16) };
+};
+
+export const graphNodeId = (graphId) => `graph:${graphId}`;
+export const groupNodeId = (groupId) => `group:${groupId}`;
+
+const toMap = (value) => (value instanceof Map ? value : new Map(Object.entries(value || {})));
+
+const arrowsOf = (edge) => {
+  const arrows = edge.directionality?.arrowsToward;
+  if (!arrows) return [];
+  return arrows instanceof Set ? Array.from(arrows) : Array.from(arrows || []);
+};
+
+/**
+ * Label for an edge: its own name, else its definition, else its type (unless the base connection).
+ */
+export const edgeLabel = (edge, nodePrototypes) => {
+  if (edge.name) return edge.name;
+  const definitionId = edge.definitionNodeIds?.[0];
+  if (definitionId && nodePrototypes.get(definitionId)?.name) return nodePrototypes.get(definitionId).name;
+  if (edge.typeNodeId && edge.typeNodeId !== BASE_CONNECTION_ID) return nodePrototypes.get(edge.typeNodeId)?.name || '';
+  return '';
+};
+
+/**
+ * Source, target and whether the edge is directed. An edge whose only arrow
+ * points at its source is written reversed so source -> target holds.
+ */
+export const edgeEndpoints = (edge) => {
+  const arrows = arrowsOf(edge);
+  const towardSource = arrows.includes(edge.sourceId);
+  const towardDestination = arrows.includes(edge.destinationId);
+  if (towardSource && !towardDestination) {
+    return { source: edge.destinationId, target: edge.sourceId, directed: true };
+  }
+  return { source: edge.sourceId, target: edge.destinationId, directed: towardDestination && !towardSource };
+};
+
+const compact = (attributes) => Object.fromEntries(Object.entries(attributes).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+
+/**
+ * Flatten store state into { title, nodes, edges }.
+ * Nodes are { id, parent, label, color, x, y, attributes } in parent-before-child
+ * order; edges are { id, source, target, directed, label, color, attributes }.
+ * @param {Object} storeState - { graphs, nodePrototypes, edges }
+ * @param {Object} [options]
+ * @param {string} [options.graphId] - Only this graph, without a container node for it
+ */
+export const buildNetwork = (storeState, { graphId = null } = {}) => {
+  const graphs = storeState?.graphs || new Map();
+  const nodePrototypes = storeState?.nodePrototypes || new Map();
+  const allEdges = storeState?.edges || new Map();
+  const selected = graphId
+    ? [[graphId, graphs.get(graphId)]].filter(([, graph]) => graph)
+    : Array.from(graphs.entries());
+
+  const nodes = [];
+  const edges = [];
+
+  selected.forEach(([id, graph]) => {
+    const container = graphId ? null : graphNodeId(id);
+    if (container) {
+      nodes.push({
+        id: container,
+        parent: null,
+        label: graph.name || '',
+        color: graph.color || null,
+        attributes: compact({ kind: 'graph', graphId: id, description: graph.description, prototypeId: graph.definingNodeIds?.[0] })
+      });
+    }
+
+    const instances = toMap(graph.instances);
+    const groups = Array.from(toMap(graph.groups).values());
+    const groupsOf = new Map();
+    groups.forEach(group => {
+      nodes.push({
+        id: groupNodeId(group.id),
+        parent: container,
+        label: group.name || '',
+        color: group.color || null,
+        attributes: compact({ kind: 'group', linkedPrototypeId: group.linkedNodePrototypeId })
+      });
+      (group.memberInstanceIds || []).forEach(instanceId => {
+        if (!groupsOf.has(instanceId)) groupsOf.set(instanceId, []);
+        groupsOf.get(instanceId).push(group.id);
+      });
+    });
+
+    instances.forEach((instance, instanceId) => {
+      const prototype = nodePrototypes.get(instance.prototypeId) || {};
+      const typeId = prototype.typeNodeId && prototype.typeNodeId !== instance.prototypeId ? prototype.typeNodeId : null;
+      const memberOf = groupsOf.get(instanceId) || [];
+      nodes.push({
+        id: instanceId,
+        // Nested in its first group; any other memberships ride along as groupIds
+        parent: memberOf.length > 0 ? groupNodeId(memberOf[0]) : container,
+        label: prototype.name || '',
+        color: prototype.color || null,
+        x: Number.isFinite(instance.x) ? instance.x : null,
+        y: Number.isFinite(instance.y) ? instance.y : null,
+        attributes: compact({
+          kind: 'instance',
+          description: prototype.description,
+          prototypeId: instance.prototypeId,
+          typeId,
+          type: typeId ? nodePrototypes.get(typeId)?.name : null,
+          definitionGraphIds: (prototype.definitionGraphIds || []).join(' '),
+          groupIds: memberOf.length > 1 ? memberOf.join(' ') : null
+        })
+      });
+    });
+
+    (graph.edgeIds || []).forEach(edgeId => {
+      const edge = allEdges.get(edgeId);
+      if (!edge || !instances.has(edge.sourceId) || !instances.has(edge.destinationId)) return;
+      const { source, target, directed } = edgeEndpoints(edge);
+      const definitionId = edge.definitionNodeIds?.[0] || null;
+      edges.push({
+        id: edgeId,
+        source,
+        target,
+        directed,
+        label: edgeLabel(edge, nodePrototypes),
+        color: edge.color || null,
+        attributes: compact({
+          name: edge.name,
+          typeId: edge.typeNodeId && edge.typeNodeId !== BASE_CONNECTION_ID ? edge.typeNodeId : null,
+          type: edge.typeNodeId && edge.typeNodeId !== BASE_CONNECTION_ID ? nodePrototypes.get(edge.typeNodeId)?.name : null,
+          definitionId,
+          relation: definitionId ? nodePrototypes.get(definitionId)?.name : null
+        })
+      });
+    });
+  });
+
+  const title = graphId ? (graphs.get(graphId)?.name || 'Graph') : 'Redstring Universe';
+  return { title, nodes, edges };
+};
+
+/**
+ * Rebuild store collections from a parsed network.
+ * @param {Object} network - { title, nodes, edges } as produced by the GraphML/GEXF parsers
+ * @param {Object} [options]
+ * @param {Function} [options.idFactory] - Ids for prototypes and graphs the file does not name
+ * @returns {Object} { graphs, nodePrototypes, edges } Maps, ready for exportToRedstring or applyImportedNetwork
+ */
+export const networkToState = (network, { idFactory = uuidv4 } = {}) => {
+  const graphs = new Map();
+  const nodePrototypes = new Map();
+  const edges = new Map();
+  const nodesById = new Map(network.nodes.map(node => [node.id, node]));
+  const parentIds = new Set(network.nodes.map(node => node.parent).filter(Boolean));
+  // Foreign files have no kind; nodes that contain others become groups
+  const kindOf = (node) => node.attributes?.kind || (parentIds.has(node.id) ? 'group' : 'instance');
+
+  const typeIdsByName = new Map();
+  // Prototypes known only by reference so far (types, relations, graph definitions); a placed node fills them in
+  const placeholders = new Set();
+  const ensurePrototype = (id, fields) => {
+    if (!nodePrototypes.has(id)) {
+      nodePrototypes.set(id, { id, name: '', description: '', color: '#800000', typeNodeId: null, definitionGraphIds: [], ...fields });
+      placeholders.add(id);
+    }
+    return id;
+  };
+
+  const graphIdByContainer = new Map();
+  network.nodes.filter(node => kindOf(node) === 'graph').forEach(node => {
+    const id = node.attributes.graphId || node.id.replace(/^graph:/, '');
+    graphIdByContainer.set(node.id, id);
+    graphs.set(id, {
+      id,
+      name: node.label || 'Imported graph',
+      description: node.attributes.description || '',
+      color: node.color || undefined,
+      instances: new Map(),
+      groups: new Map(),
+      edgeIds: [],
+      definingNodeIds: node.attributes.prototypeId ? [node.attributes.prototypeId] : []
+    });
+    if (node.attributes.prototypeId) {
+      ensurePrototype(node.attributes.prototypeId, { name: node.label || '', description: node.attributes.description || '', definitionGraphIds: [id] });
+    }
+  });
+
+  // Files without graph containers land in a single graph
+  let defaultGraphId = null;
+  const graphFor = (node) => {
+    for (let current = node; current; current = nodesById.get(current.parent)) {
+      if (graphIdByContainer.has(current.id)) return graphIdByContainer.get(current.id);
+    }
+    if (!defaultGraphId) {
+      defaultGraphId = idFactory();
+      graphs.set(defaultGraphId, {
+        id: defaultGraphId,
+        name: network.title || 'Imported network',
+        description: '',
+        instances: new Map(),
+        groups: new Map(),
+        edgeIds: [],
+        definingNodeIds: []
+      });
+    }
+    return defaultGraphId;
+  };
+
+  const groupIdOf = (node) => node.id.replace(/^group:/, '');
+  network.nodes.filter(node => kindOf(node) === 'group').forEach(node => {
+    graphs.get(graphFor(node)).groups.set(groupIdOf(node), {
+      id: groupIdOf(node),
+      name: node.label || 'Group',
+      color: node.color || '#8B0000',
+      memberInstanceIds: [],
+      ...(node.attributes?.linkedPrototypeId ? { linkedNodePrototypeId: node.attributes.linkedPrototypeId } : {})
+    });
+  });
+
+  const instanceGraph = new Map();
+  network.nodes.filter(node => kindOf(node) === 'instance').forEach(node => {
+    const attributes = node.attributes || {};
+    const graph = graphs.get(graphFor(node));
+
+    let typeNodeId = null;
+    if (attributes.typeId) {
+      typeNodeId = ensurePrototype(attributes.typeId, { name: attributes.type || '' });
+    } else if (attributes.type) {
+      if (!typeIdsByName.has(attributes.type)) typeIdsByName.set(attributes.type, ensurePrototype(idFactory(), { name: attributes.type }));
+      typeNodeId = typeIdsByName.get(attributes.type);
+    }
+
+    const prototypeId = attributes.prototypeId || idFactory();
+    if (!nodePrototypes.has(prototypeId) || placeholders.has(prototypeId)) {
+      placeholders.delete(prototypeId);
+      nodePrototypes.set(prototypeId, {
+        id: prototypeId,
+        name: node.label || '',
+        description: attributes.description || '',
+        color: node.color || '#800000',
+        typeNodeId,
+        definitionGraphIds: attributes.definitionGraphIds ? attributes.definitionGraphIds.split(/\s+/).filter(Boolean) : []
+      });
+    }
+
+    graph.instances.set(node.id, {
+      id: node.id,
+      prototypeId,
+      x: Number.isFinite(node.x) ? node.x : 0,
+      y: Number.isFinite(node.y) ? node.y : 0,
+      scale: 1
+    });
+    instanceGraph.set(node.id, graph);
+
+    const parent = nodesById.get(node.parent);
+    const memberOf = attributes.groupIds
+      ? attributes.groupIds.split(/\s+/)
+      : (parent && kindOf(parent) === 'group' ? [groupIdOf(parent)] : []);
+    memberOf.forEach(groupId => graph.groups.get(groupId)?.memberInstanceIds.push(node.id));
+  });
+
+  network.edges.forEach((edge, index) => {
+    const graph = instanceGraph.get(edge.source);
+    if (!graph || !instanceGraph.has(edge.target)) return;
+    const attributes = edge.attributes || {};
+    const id = edge.id || `edge-${index}`;
+    const definitionId = attributes.definitionId
+      ? ensurePrototype(attributes.definitionId, { name: attributes.relation || edge.label || '' })
+      : null;
+    const name = attributes.name ?? (definitionId ? undefined : edge.label);
+    edges.set(id, {
+      id,
+      sourceId: edge.source,
+      destinationId: edge.target,
+      ...(name ? { name } : {}),
+      ...(edge.color ? { color: edge.color } : {}),
+      typeNodeId: attributes.typeId ? ensurePrototype(attributes.typeId, { name: attributes.type || '' }) : BASE_CONNECTION_ID,
+      definitionNodeIds: definitionId ? [definitionId] : [],
+      directionality: { arrowsToward: new Set(edge.directed ? [edge.target] : []) }
+    });
+    graph.edgeIds.push(id);
+  });
+
+  // Definitions only count when the defined graph came along
+  nodePrototypes.forEach(prototype => {
+    prototype.definitionGraphIds = prototype.definitionGraphIds.filter(id => graphs.has(id));
+  });
+  graphs.forEach(graph => {
+    graph.definingNodeIds = graph.definingNodeIds.filter(id => nodePrototypes.has(id));
+    graph.groups.forEach((group, groupId) => {
+      if (group.memberInstanceIds.length === 0) graph.groups.delete(groupId);
+    });
+  });
+
+  return { graphs, nodePrototypes, edges };
+};
+
+/**
+ * Add imported collections to the store as new graphs, in one undo step.
+ * Graph, instance, edge and group ids are fresh so re-importing never
+ * overwrites; prototypes keep their ids, so things the universe already has are reused.
+ * @param {Object} imported - Output of networkToState
+ * @param {Object} store - Graph store state with actions (useGraphStore.getState())
+ * @returns {string[]} Ids of the new graphs
+ */
+export const applyImportedNetwork = (imported, store, { label = 'Import network', idFactory = uuidv4 } = {}) => {
+  const graphIdMap = new Map(Array.from(imported.graphs.keys()).map(id => [id, idFactory()]));
+  const prototypes = Array.from(imported.nodePrototypes.values())
+    .filter(prototype => !store.nodePrototypes?.has(prototype.id))
+    .map(prototype => ({
+      ...prototype,
+      definitionGraphIds: prototype.definitionGraphIds.map(id => graphIdMap.get(id)).filter(Boolean)
+    }));
+
+  store.beginHistoryTransaction(label);
+  try {
+    imported.graphs.forEach((graph, oldGraphId) => {
+      const graphId = graphIdMap.get(oldGraphId);
+      const instanceIds = new Map(Array.from(graph.instances.keys()).map(id => [id, idFactory()]));
+      store.createGraphWithId(graphId, { name: graph.name, description: graph.description, color: graph.color });
+      store.pasteSelection(graphId, {
+        prototypes,
+        instances: Array.from(graph.instances.values()).map(instance => ({ ...instance, id: instanceIds.get(instance.id) })),
+        edges: graph.edgeIds.map(edgeId => imported.edges.get(edgeId)).filter(Boolean).map(edge => ({
+          ...edge,
+          id: idFactory(),
+          sourceId: instanceIds.get(edge.sourceId),
+          destinationId: instanceIds.get(edge.destinationId),
+          directionality: { arrowsToward: new Set(Array.from(edge.directionality.arrowsToward).map(id => instanceIds.get(id))) }
+        })),
+        groups: Array.from(graph.groups.values()).map(group => ({
+          ...group,
+          id: idFactory(),
+          memberInstanceIds: group.memberInstanceIds.map(id => instanceIds.get(id))
+        }))
+      });
+    });
+  } finally {
+    store.commitHistoryTransaction();
+  }
+  return Array.from(graphIdMap.values());
+};
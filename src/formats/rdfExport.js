@@ -1,11 +1,261 @@
 /**
  * RDF Export Handler
- * Handles export of the current graph state to RDF/Turtle format.
+ * Handles export of the current graph state to RDF/Turtle and TriG formats.
+ *
+ * The syntax is written by N3's Writer; this module decides what it is given, so that
+ * exported files diff cleanly in git:
+ * - Prefixes come from REDSTRING_CONTEXT (only the ones actually used are declared)
+ * - Graphs, subjects, predicates and objects are sorted
+ * - Blank nodes referenced once (spatial contexts, visual properties, ...) are nested
+ *   inline as [ ... ]; the rest get labels from their content, once per document
  */
 
-import { exportToRedstring } from './redstringFormat';
+import { exportToRedstring, REDSTRING_CONTEXT } from './redstringFormat.js';
 import jsonld from 'jsonld';
-import * as $rdf from 'rdflib';
+import { Writer, DataFactory, Term } from 'n3';
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+// Prefixes used by the exporter that the JSON-LD context expresses as full IRIs
+const EXTRA_PREFIXES = {
+  xsd: XSD,
+  dcterms: 'http://purl.org/dc/terms/'
+};
+
+// Literal datatypes the writer abbreviates, with the lexical forms it accepts
+const BARE_LITERAL_PATTERNS = {
+  [`${XSD}string`]: /^/,
+  [`${XSD}integer`]: /^[+-]?\d+$/,
+  [`${XSD}decimal`]: /^[+-]?\d*\.\d+$/,
+  [`${XSD}double`]: /^[+-]?(\d+\.\d*|\.?\d+)[eE][+-]?\d+$/,
+  [`${XSD}boolean`]: /^(true|false)$/
+};
+
+// Local names the writer will turn into prefixed names
+const LOCAL_NAME = /^[_a-zA-Z0-9][-_a-zA-Z0-9]*$/;
+
+// Characters N3's Writer leaves alone in IRIs but Turtle does not allow
+const isUnsafeIriChar = (ch) => ch <= ' ' || '<>"{}|^`\\'.includes(ch);
+const hasUnsafeIriChars = (iri) => Array.from(iri).some(isUnsafeIriChar);
+
+/**
+ * Collect namespace prefixes from REDSTRING_CONTEXT (entries mapping to an IRI ending in / or #).
+ * @returns {Object} prefix -> namespace IRI
+ */
+export const getRedstringPrefixes = () => {
+  const prefixes = { ...EXTRA_PREFIXES };
+  Object.entries(REDSTRING_CONTEXT).forEach(([key, value]) => {
+    if (key.startsWith('@') || typeof value !== 'string') return;
+    if (/^https?:\/\/.*[/#]$/.test(value)) {
+      prefixes[key] = value;
+    }
+  });
+  return prefixes;
+};
+
+const escapeIri = (iri) => Array.from(iri, (ch) => (isUnsafeIriChar(ch)
+  ? `\\u${ch.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`
+  : ch)).join('');
+
+const termKey = (term) => `${term.termType}:${term.value}`;
+
+const graphKeyOf = (quad) => (quad.graph && quad.graph.termType !== 'DefaultGraph' ? termKey(quad.graph) : '');
+
+// Only declare the prefixes some IRI in the output will be shortened with; longest namespace wins
+const usedPrefixes = (quads, prefixes) => {
+  const namespaces = Object.entries(prefixes)
+    .sort(([prefixA, nsA], [prefixB, nsB]) => (nsB.length - nsA.length) || prefixA.localeCompare(prefixB));
+  const used = {};
+  const visit = (iri) => {
+    if (hasUnsafeIriChars(iri)) return;
+    const match = namespaces.find(([, namespace]) => iri.startsWith(namespace) && LOCAL_NAME.test(iri.slice(namespace.length)));
+    if (match) used[match[0]] = match[1];
+  };
+  quads.forEach(quad => {
+    [quad.subject, quad.object, quad.graph].forEach(term => {
+      if (term?.termType === 'NamedNode') visit(term.value);
+    });
+    if (quad.predicate.value !== RDF_TYPE) visit(quad.predicate.value);
+    const datatype = quad.object.datatype?.value;
+    if (quad.object.termType === 'Literal' && !quad.object.language && datatype
+      && !BARE_LITERAL_PATTERNS[datatype]?.test(quad.object.value)) {
+      visit(datatype);
+    }
+  });
+  return Object.fromEntries(Object.keys(used).sort().map(prefix => [prefix, used[prefix]]));
+};
+
+/**
+ * Serialize RDF/JS-style quads with N3's Writer.
+ * @param {Array} quads - Quads as returned by jsonld.toRDF without a format
+ * @param {Object} prefixes - prefix -> namespace map
+ * @param {boolean} keepGraphs - Write named graphs as TriG blocks instead of merging them
+ * @returns {string}
+ */
+const writeDataset = (quads, prefixes, keepGraphs) => {
+  // graph -> subject -> triples; a triple asserted in several graphs is kept once per graph
+  const graphs = new Map();
+  const subjectGraphs = new Map();
+  const references = new Map();
+  const seen = new Set();
+  quads.forEach(quad => {
+    const graphKey = keepGraphs ? graphKeyOf(quad) : '';
+    const id = [graphKey, termKey(quad.subject), quad.predicate.value, termKey(quad.object),
+      quad.object.datatype?.value || '', quad.object.language || ''].join(' ');
+    if (seen.has(id)) return;
+    seen.add(id);
+
+    if (!graphs.has(graphKey)) graphs.set(graphKey, { graph: graphKey ? quad.graph : null, subjects: new Map() });
+    const { subjects } = graphs.get(graphKey);
+    const key = termKey(quad.subject);
+    if (!subjects.has(key)) subjects.set(key, { subject: quad.subject, triples: [] });
+    subjects.get(key).triples.push(quad);
+    if (!subjectGraphs.has(key)) subjectGraphs.set(key, new Set());
+    subjectGraphs.get(key).add(graphKey);
+    if (quad.object.termType === 'BlankNode') {
+      const objectKey = termKey(quad.object);
+      const reference = references.get(objectKey) || { count: 0, graphKey };
+      reference.count += 1;
+      references.set(objectKey, reference);
+    }
+  });
+
+  // Blank nodes referenced exactly once, and described only in that graph, are written inline
+  const nested = new Set();
+  references.forEach(({ count, graphKey }, key) => {
+    const describedIn = subjectGraphs.get(key);
+    if (count === 1 && (!describedIn || (describedIn.size === 1 && describedIn.has(graphKey)))) nested.add(key);
+  });
+  const triplesOf = (key) => {
+    const graphKey = references.get(key)?.graphKey ?? '';
+    return graphs.get(graphKey)?.subjects.get(key)?.triples || [];
+  };
+
+  // Nested blank nodes that form a cycle are unreachable from any top-level subject; label them
+  const reachable = new Set();
+  const visit = (triples) => triples.forEach(triple => {
+    const objectKey = termKey(triple.object);
+    if (nested.has(objectKey) && !reachable.has(objectKey)) {
+      reachable.add(objectKey);
+      visit(triplesOf(objectKey));
+    }
+  });
+  let pending = true;
+  while (pending) {
+    graphs.forEach(({ subjects }) => subjects.forEach(({ triples }, key) => {
+      if (!nested.has(key)) visit(triples);
+    }));
+    const unreachable = Array.from(nested).filter(key => subjectGraphs.has(key) && !reachable.has(key)).sort();
+    pending = unreachable.length > 0;
+    if (pending) nested.delete(unreachable[0]);
+  }
+
+  // Sort keys double as content signatures for labelling, so they ignore generated blank node ids
+  const labels = new Map();
+  const sortKey = (term) => {
+    if (term.termType === 'NamedNode') return `0<${term.value}>`;
+    if (term.termType === 'Literal') return `1"${term.value}"@${term.language || ''}^^${term.datatype?.value || ''}`;
+    const key = termKey(term);
+    if (nested.has(key)) return `2[${signature(triplesOf(key))}]`;
+    return `3${labels.get(key) || '_:?'}`;
+  };
+  const groupByPredicate = (triples) => {
+    const byPredicate = new Map();
+    triples.forEach(triple => {
+      if (!byPredicate.has(triple.predicate.value)) byPredicate.set(triple.predicate.value, []);
+      byPredicate.get(triple.predicate.value).push(triple.object);
+    });
+    return Array.from(byPredicate.keys())
+      .sort((a, b) => {
+        if (a === RDF_TYPE) return -1;
+        if (b === RDF_TYPE) return 1;
+        return a.localeCompare(b);
+      })
+      .map(predicate => ({
+        predicate,
+        objects: byPredicate.get(predicate)
+          .map(object => ({ object, key: sortKey(object) }))
+          .sort((a, b) => a.key.localeCompare(b.key))
+          .map(({ object }) => object)
+      }));
+  };
+  const signature = (triples) => groupByPredicate(triples)
+    .map(({ predicate, objects }) => `${predicate} ${objects.map(sortKey).join(', ')}`)
+    .join(' ; ');
+
+  // Every blank node that is not nested gets one label for the whole document
+  const labelled = new Set(Array.from(subjectGraphs.keys()).filter(key => key.startsWith('BlankNode:') && !nested.has(key)));
+  references.forEach((_, key) => {
+    if (!nested.has(key)) labelled.add(key);
+  });
+  Array.from(labelled)
+    .map(key => ({ key, signature: signature(Array.from(graphs.values()).flatMap(({ subjects }) => subjects.get(key)?.triples || [])) }))
+    .sort((a, b) => a.signature.localeCompare(b.signature) || a.key.localeCompare(b.key))
+    .forEach(({ key }, index) => labels.set(key, `b${index}`));
+
+  const writer = new Writer({ prefixes, format: keepGraphs ? 'application/trig' : 'text/turtle' });
+  const toN3 = (term) => {
+    if (term.termType === 'NamedNode') {
+      // Turtle has no way to write these characters raw; hand the writer an escaped IRI
+      return hasUnsafeIriChars(term.value) ? new Term(`<${escapeIri(term.value)}>`) : DataFactory.namedNode(term.value);
+    }
+    if (term.termType === 'Literal') {
+      return DataFactory.literal(term.value, term.language || (term.datatype ? DataFactory.namedNode(term.datatype.value) : undefined));
+    }
+    const key = termKey(term);
+    if (nested.has(key)) {
+      return writer.blank(groupByPredicate(triplesOf(key)).flatMap(({ predicate, objects }) =>
+        objects.map(object => ({ predicate: DataFactory.namedNode(predicate), object: toN3(object) }))
+      ));
+    }
+    return DataFactory.blankNode(labels.get(key));
+  };
+
+  Array.from(graphs.entries())
+    .map(([graphKey, entry]) => ({ ...entry, key: graphKey ? sortKey(entry.graph) : '' }))
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .forEach(({ graph, subjects }) => {
+      const graphTerm = graph ? toN3(graph) : DataFactory.defaultGraph();
+      Array.from(subjects.entries())
+        .filter(([key]) => !nested.has(key))
+        .map(([, entry]) => ({ ...entry, key: sortKey(entry.subject) }))
+        .sort((a, b) => a.key.localeCompare(b.key))
+        .forEach(({ subject, triples }) => {
+          const subjectTerm = toN3(subject);
+          groupByPredicate(triples).forEach(({ predicate, objects }) => {
+            objects.forEach(object => writer.addQuad(subjectTerm, DataFactory.namedNode(predicate), toN3(object), graphTerm));
+          });
+        });
+    });
+
+  // Writing to a string completes synchronously
+  let output = '';
+  writer.end((error, result) => {
+    if (error) throw error;
+    output = result;
+  });
+  return output;
+};
+
+/**
+ * Serialize RDF/JS-style quads to Turtle. Graph names are dropped (union of all graphs).
+ * @param {Array} quads - Quads as returned by jsonld.toRDF without a format
+ * @param {Object} [prefixes] - prefix -> namespace map (defaults to REDSTRING_CONTEXT prefixes)
+ * @returns {string}
+ */
+export const serializeTurtle = (quads, prefixes = getRedstringPrefixes()) =>
+  writeDataset(quads, usedPrefixes(quads, prefixes), false);
+
+/**
+ * Serialize RDF/JS-style quads to TriG, keeping named graphs as separate blocks.
+ * Blank node labels are shared by all blocks, since TriG scopes them to the document.
+ * @param {Array} quads - Quads as returned by jsonld.toRDF without a format
+ * @param {Object} [prefixes] - prefix -> namespace map (defaults to REDSTRING_CONTEXT prefixes)
+ * @returns {string}
+ */
+export const serializeTrig = (quads, prefixes = getRedstringPrefixes()) =>
+  writeDataset(quads, usedPrefixes(quads, prefixes), true);
 
 /**
  * Export current Zustand store state to RDF Turtle format
@@ -18,14 +268,30 @@ export const exportToRdfTurtle = async (storeState, userDomain = null) => {
     // 1. Get the data in our native JSON-LD format with dynamic URIs
     const redstringData = exportToRedstring(storeState, userDomain);
 
-    // 2. Convert JSON-LD to a canonical RDF dataset (N-Quads format)
-    const nquads = await jsonld.toRDF(redstringData, { format: 'application/n-quads' });
+    // 2. Convert JSON-LD to an RDF dataset
+    const quads = await jsonld.toRDF(redstringData);
 
-    // 3. For now, return the N-Quads format which is valid RDF
-    // We can enhance this later with proper Turtle serialization
-    return nquads;
+    // 3. Write it out as prefixed, sorted Turtle
+    return serializeTurtle(quads);
   } catch (error) {
     console.error("Error exporting to RDF:", error);
     throw error;
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Export current Zustand store state to TriG, preserving named graphs.
+ * @param {object} storeState - The current state from the Zustand store.
+ * @param {string} [userDomain] - User's domain for dynamic URI generation
+ * @returns {Promise<string>} A promise that resolves with the RDF data in TriG format.
+ */
+export const exportToRdfTrig = async (storeState, userDomain = null) => {
+  try {
+    const redstringData = exportToRedstring(storeState, userDomain);
+    const quads = await jsonld.toRDF(redstringData);
+    return serializeTrig(quads);
+  } catch (error) {
+    console.error("Error exporting to TriG:", error);
+    throw error;
+  }
+};
@@ -3,6 +3,7 @@
  * Handles import/export of .redstring files with JSON-LD context
  * 
  * VERSION HISTORY:
+ * - v3.1.0: Typed properties on prototypes and edges, property schemas on types
  * - v3.0.0: Added versioning system, validation, and migration support
  * - v2.0.0-semantic: Semantic web integration with JSON-LD
  * - v1.0.0: Legacy format
@@ -10,15 +11,30 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import uriGenerator from '../services/uriGenerator.js';
+import {
+  propertiesToJsonLd,
+  propertiesFromJsonLd,
+  propertySchemaToJsonLd,
+  propertySchemaFromJsonLd,
+  inferProperties
+} from '../services/typedProperties.js';
 
 // Current format version
-export const CURRENT_FORMAT_VERSION = '3.0.0';
+export const CURRENT_FORMAT_VERSION = '3.1.0';
 
 // Minimum supported version (older versions must be migrated)
 export const MIN_SUPPORTED_VERSION = '1.0.0';
 
 // Version history and breaking changes
 export const VERSION_HISTORY = {
+  '3.1.0': {
+    date: '2026-10',
+    changes: [
+      'Added typed properties on prototypes and edges as RDF literals with XSD datatypes',
+      'Added property schemas on type prototypes'
+    ],
+    breaking: false
+  },
   '3.0.0': {
     date: '2025-01',
     changes: [
@@ -197,6 +213,58 @@ export const migrateFormat = (redstringData, fromVersion, toVersion = CURRENT_FO
     // Update format string
     migrated.format = `redstring-v${CURRENT_FORMAT_VERSION}`;
   }
+
+  // Migration from v3.0.0 -> v3.1.0
+  if (compareVersions(fromVersion, '3.1.0') === -1) {
+    console.log('[Format Migration] Applying v3 -> v3.1 migration');
+    migrations.push('v3_to_v3_1');
+
+    // Untyped key/value `properties` (legacy nodes, hand-written or tool-written files)
+    // become typed properties with inferred datatypes
+    const liftProperties = (collection) => {
+      if (!collection || typeof collection !== 'object') return collection;
+      const lifted = {};
+      Object.entries(collection).forEach(([id, item]) => {
+        const plain = item?.properties;
+        if (!plain || typeof plain !== 'object' || Array.isArray(plain) || item['redstring:properties']) {
+          lifted[id] = item;
+          return;
+        }
+        const typed = propertiesToJsonLd(inferProperties(plain));
+        const next = { ...item };
+        delete next.properties;
+        if (Object.keys(typed).length > 0) next['redstring:properties'] = typed;
+        lifted[id] = next;
+      });
+      return lifted;
+    };
+
+    if (migrated.prototypeSpace?.prototypes) {
+      migrated.prototypeSpace = { ...migrated.prototypeSpace, prototypes: liftProperties(migrated.prototypeSpace.prototypes) };
+    }
+    if (migrated.relationships?.edges) {
+      migrated.relationships = { ...migrated.relationships, edges: liftProperties(migrated.relationships.edges) };
+    }
+    if (migrated.legacy) {
+      migrated.legacy = {
+        ...migrated.legacy,
+        nodePrototypes: liftProperties(migrated.legacy.nodePrototypes),
+        edges: liftProperties(migrated.legacy.edges)
+      };
+    }
+    if (migrated.nodePrototypes) migrated.nodePrototypes = liftProperties(migrated.nodePrototypes);
+    if (migrated.edges) migrated.edges = liftProperties(migrated.edges);
+
+    migrated.metadata = {
+      ...(migrated.metadata || {}),
+      version: CURRENT_FORMAT_VERSION,
+      migrated: true,
+      originalVersion: fromVersion,
+      migrationDate: new Date().toISOString(),
+      migrationsApplied: migrations
+    };
+    migrated.format = `redstring-v${CURRENT_FORMAT_VERSION}`;
+  }
   
   console.log(`[Format Migration] Applied ${migrations.length} migrations:`, migrations);
   return migrated;
@@ -363,6 +431,12 @@ export const REDSTRING_CONTEXT = {
   "externalLinks": "redstring:externalLinks",
   "citations": "redstring:citations",
   "typeNodeId": { "@id": "redstring:typeNodeId", "@type": "@id" },
+
+  // RedString Typed Properties
+  "xsd": "http://www.w3.org/2001/XMLSchema#",
+  "prop": "https://redstring.io/vocab/property/",
+  "properties": "redstring:properties",
+  "propertySchema": "redstring:propertySchema",
   
   // Temporal & Versioning
   "created": "http://purl.org/dc/terms/created",
@@ -690,6 +764,9 @@ export const exportToRedstring = (storeState, userDomain = null) => {
       "redstring:conjugation": prototype.conjugation,
       "redstring:typeNodeId": prototype.typeNodeId,
       "redstring:citations": prototype.citations || [],
+      ...(prototype.shapeConstraints?.length ? { "redstring:shapeConstraints": prototype.shapeConstraints } : {}),
+      ...(prototype.properties && Object.keys(prototype.properties).length ? { "redstring:properties": propertiesToJsonLd(prototype.properties) } : {}),
+      ...(prototype.propertySchema?.length ? { "redstring:propertySchema": propertySchemaToJsonLd(prototype.propertySchema) } : {}),
       
       // RedString cognitive properties
       "redstring:cognitiveProperties": (() => {
@@ -808,6 +885,7 @@ export const exportToRedstring = (storeState, userDomain = null) => {
       "typeNodeId": edge.typeNodeId,
       "definitionNodeIds": edge.definitionNodeIds,
       "directionality": serializedDirectionality,
+      ...(edge.properties && Object.keys(edge.properties).length ? { "redstring:properties": propertiesToJsonLd(edge.properties) } : {}),
       
       // RDF format (for semantic web integration)
       "rdfStatements": sourcePrototypeId && destinationPrototypeId && predicatePrototypeId ? (() => {
@@ -1276,6 +1354,18 @@ export const importFromRedstring = (redstringData, storeActions) => {
             convertedPrototype.definitionGraphIds = ensureArray(prototype['redstring:definitionGraphIds'] ?? prototype.definitionGraphIds).filter((value) => value !== undefined && value !== null && value !== '');
           }
 
+          if (hasOwn(prototype, 'redstring:shapeConstraints') || hasOwn(prototype, 'shapeConstraints')) {
+            convertedPrototype.shapeConstraints = ensureArray(prototype['redstring:shapeConstraints'] ?? prototype.shapeConstraints);
+          }
+
+          if (hasOwn(prototype, 'redstring:properties')) {
+            convertedPrototype.properties = propertiesFromJsonLd(prototype['redstring:properties']);
+          }
+
+          if (hasOwn(prototype, 'redstring:propertySchema') || hasOwn(prototype, 'propertySchema')) {
+            convertedPrototype.propertySchema = propertySchemaFromJsonLd(prototype['redstring:propertySchema'] ?? prototype.propertySchema);
+          }
+
           if (hasOwn(prototype, 'redstring:bio') || hasOwn(prototype, 'bio')) {
             convertedPrototype.bio = prototype['redstring:bio'] ?? prototype.bio;
           }
@@ -1312,8 +1402,11 @@ export const importFromRedstring = (redstringData, storeActions) => {
         } else {
           // Legacy format - handle old structure
           const { spatial = {}, media = {}, cognitive = {}, semantic = {}, ...nodeData } = prototype;
+          const typedProperties = nodeData['redstring:properties'] ?? nodeData.properties;
+          delete nodeData['redstring:properties'];
           convertedPrototype = {
             ...nodeData,
+            properties: typedProperties ? propertiesFromJsonLd(typedProperties) : undefined,
             id,
             x: spatial.x || 0,
             y: spatial.y || 0,
@@ -1343,6 +1436,14 @@ export const importFromRedstring = (redstringData, storeActions) => {
           convertedPrototype.citations = convertedPrototype.citations.map((value) => value);
         }
 
+        if (convertedPrototype.properties && Object.keys(convertedPrototype.properties).length === 0) {
+          delete convertedPrototype.properties;
+        }
+
+        if (convertedPrototype.propertySchema?.length === 0) {
+          delete convertedPrototype.propertySchema;
+        }
+
         Object.keys(convertedPrototype).forEach((key) => {
           if (convertedPrototype[key] === undefined) {
             delete convertedPrototype[key];
@@ -1418,6 +1519,14 @@ export const importFromRedstring = (redstringData, storeActions) => {
           };
         }
         
+        // Typed properties are stored as JSON-LD literals
+        if (edge['redstring:properties'] || edgeData.properties) {
+          const properties = propertiesFromJsonLd(edge['redstring:properties'] ?? edgeData.properties);
+          delete edgeData['redstring:properties'];
+          delete edgeData.properties;
+          if (Object.keys(properties).length > 0) edgeData.properties = properties;
+        }
+
         //console.log('[DEBUG] Final edge data:', edgeData);
         
         // Convert directionality.arrowsToward from Array back to Set if it exists
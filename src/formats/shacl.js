@@ -0,0 +1,302 @@
+/**
+ * SHACL Import/Export
+ * Writes the shape constraints on type prototypes as SHACL Turtle and reads
+ * SHACL back onto prototypes, so constraints interoperate with other RDF tooling.
+ *
+ * - Property constraints become sh:property shapes on a sh:targetClass node shape
+ * - Connection endpoint constraints become sh:targetSubjectsOf / sh:targetObjectsOf
+ *   shapes with sh:class, treating the connection type as a predicate
+ * - "At most N per graph" has no SHACL core equivalent and is written as
+ *   redstring:maxInstancesPerGraph on the node shape
+ *
+ * Classes use the prototype IRIs of the .redstring format (prototype:<id>) and
+ * carry rdfs:label, so shapes can be matched by name in another universe.
+ */
+
+import * as $rdf from 'rdflib';
+import { SHAPE_CONSTRAINT_KINDS, normalizeShapeConstraint } from '../services/shapeConstraints.js';
+import { serializeTurtle } from './rdfExport.js';
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const SH = 'http://www.w3.org/ns/shacl#';
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const RDFS_LABEL = 'http://www.w3.org/2000/01/rdf-schema#label';
+const REDSTRING = 'https://redstring.io/vocab/';
+const PROTOTYPE_IRI_PREFIX = 'prototype:';
+
+const SHACL_PREFIXES = {
+  sh: SH,
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  xsd: XSD,
+  redstring: REDSTRING
+};
+
+const namedNode = (value) => ({ termType: 'NamedNode', value });
+const literal = (value, datatype = `${XSD}string`) => ({ termType: 'Literal', value: String(value), datatype: namedNode(datatype) });
+const integer = (value) => literal(value, `${XSD}integer`);
+
+const prototypeIri = (id) => namedNode(`${PROTOTYPE_IRI_PREFIX}${encodeURI(id)}`);
+
+// Percent-encode the characters an IRI cannot hold (spaces, <, >, quotes, ...)
+const escapeIri = (iri) => Array.from(iri, ch => (ch <= ' ' || '<>"{}|^`\\'.includes(ch) ? encodeURIComponent(ch) : ch)).join('');
+
+// Plain names live in the redstring vocabulary; absolute IRIs are kept, anything else is encoded into the vocabulary
+const pathIri = (path) => {
+  if (/^[A-Za-z_][\w-]*$/.test(path)) return namedNode(`${REDSTRING}${path}`);
+  if (/^[A-Za-z][A-Za-z0-9+.-]*:/.test(path)) return namedNode(escapeIri(path));
+  return namedNode(`${REDSTRING}${encodeURIComponent(path)}`);
+};
+
+const shSeverity = (severity) => namedNode(`${SH}${severity.charAt(0).toUpperCase()}${severity.slice(1)}`);
+
+/**
+ * Write every shape constraint in the universe as SHACL Turtle.
+ * Classes are the prototype IRIs used by the .redstring format (prototype:<id>).
+ * The Turtle itself is written by rdfExport's serializer (N3's Writer), which escapes IRIs and literals.
+ */
+export const shapesToShacl = (state) => {
+  const nodePrototypes = state?.nodePrototypes || new Map();
+  const quads = [];
+  const referenced = new Set();
+  let blankCount = 0;
+
+  const add = (subject, predicate, object) => quads.push({ subject, predicate: namedNode(predicate), object });
+  const blank = () => ({ termType: 'BlankNode', value: `shape${blankCount++}` });
+  const addCommon = (subject, constraint) => {
+    add(subject, `${SH}severity`, shSeverity(constraint.severity));
+    if (constraint.message) add(subject, `${SH}message`, literal(constraint.message));
+    add(subject, `${REDSTRING}constraintId`, literal(constraint.id));
+  };
+
+  Array.from(nodePrototypes.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([ownerId, prototype]) => {
+      const constraints = (prototype.shapeConstraints || []).map(normalizeShapeConstraint).filter(Boolean);
+      if (constraints.length === 0) return;
+      referenced.add(ownerId);
+
+      const nodeShape = namedNode(`${PROTOTYPE_IRI_PREFIX}${encodeURI(ownerId)}#shape`);
+      let hasNodeShape = false;
+      constraints.forEach(constraint => {
+        if (constraint.kind === SHAPE_CONSTRAINT_KINDS.PROPERTY) {
+          const property = blank();
+          add(nodeShape, `${SH}property`, property);
+          add(property, `${SH}path`, pathIri(constraint.path));
+          if (constraint.minCount) add(property, `${SH}minCount`, integer(constraint.minCount));
+          if (constraint.maxCount !== null) add(property, `${SH}maxCount`, integer(constraint.maxCount));
+          if (constraint.datatype) add(property, `${SH}datatype`, namedNode(`${XSD}${constraint.datatype}`));
+          if (constraint.pattern) add(property, `${SH}pattern`, literal(constraint.pattern));
+          addCommon(property, constraint);
+          hasNodeShape = true;
+        } else if (constraint.kind === SHAPE_CONSTRAINT_KINDS.MAX_PER_GRAPH) {
+          const limit = blank();
+          add(nodeShape, `${REDSTRING}maxInstancesPerGraph`, limit);
+          add(limit, `${SH}maxCount`, integer(constraint.max));
+          addCommon(limit, constraint);
+          hasNodeShape = true;
+        } else if (constraint.kind === SHAPE_CONSTRAINT_KINDS.EDGE_ENDPOINTS) {
+          // Connections become predicates: their subjects and objects are checked with sh:class
+          [['source', `${SH}targetSubjectsOf`, constraint.sourceTypeId], ['destination', `${SH}targetObjectsOf`, constraint.destinationTypeId]]
+            .filter(([, , typeId]) => typeId)
+            .forEach(([end, target, typeId]) => {
+              referenced.add(typeId);
+              const shape = namedNode(`${PROTOTYPE_IRI_PREFIX}${encodeURI(ownerId)}#${encodeURI(constraint.id)}-${end}`);
+              add(shape, RDF_TYPE, namedNode(`${SH}NodeShape`));
+              add(shape, RDFS_LABEL, literal(`${prototype.name || ownerId} (${end})`));
+              add(shape, target, prototypeIri(ownerId));
+              add(shape, `${SH}class`, prototypeIri(typeId));
+              addCommon(shape, constraint);
+            });
+        }
+      });
+
+      if (hasNodeShape) {
+        add(nodeShape, RDF_TYPE, namedNode(`${SH}NodeShape`));
+        add(nodeShape, RDFS_LABEL, literal(`${prototype.name || ownerId} shape`));
+        add(nodeShape, `${SH}targetClass`, prototypeIri(ownerId));
+      }
+    });
+
+  // Label the classes so other universes can match them by name
+  referenced.forEach(id => {
+    add(prototypeIri(id), RDF_TYPE, namedNode('http://www.w3.org/2000/01/rdf-schema#Class'));
+    add(prototypeIri(id), RDFS_LABEL, literal(nodePrototypes.get(id)?.name || id));
+  });
+
+  return serializeTurtle(quads, SHACL_PREFIXES);
+};
+
+const decodeName = (name) => {
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
+  }
+};
+
+const localName = (iri) => {
+  if (iri.startsWith(REDSTRING)) return decodeName(iri.slice(REDSTRING.length));
+  const match = iri.match(/[#/:]([^#/:]+)$/);
+  return match ? decodeName(match[1]) : iri;
+};
+
+/**
+ * Read SHACL Turtle into shapes keyed by class IRI. Class references
+ * (targets and sh:class) stay IRIs; resolveShaclShapes() maps them onto prototypes.
+ * @returns {{ shapes: Array<{ targetIri, constraints }>, labels: Map<string, string> }}
+ * @throws {Error} When the Turtle does not parse
+ */
+export const parseShacl = (turtle, baseIri = 'https://redstring.io/shapes/') => {
+  const store = $rdf.graph();
+  $rdf.parse(turtle, store, baseIri, 'text/turtle');
+
+  const bySubject = new Map();
+  store.statements.forEach(({ subject, predicate, object }) => {
+    if (!bySubject.has(subject.value)) bySubject.set(subject.value, new Map());
+    const predicates = bySubject.get(subject.value);
+    if (!predicates.has(predicate.value)) predicates.set(predicate.value, []);
+    predicates.get(predicate.value).push(object);
+  });
+
+  const values = (subject, predicate) => bySubject.get(subject)?.get(predicate) || [];
+  const first = (subject, predicate) => values(subject, predicate)[0]?.value ?? null;
+
+  const labels = new Map();
+  bySubject.forEach((predicates, subject) => {
+    const label = predicates.get(RDFS_LABEL)?.[0]?.value;
+    if (label) labels.set(subject, label);
+  });
+
+  const severityOf = (subject, fallback = 'violation') => {
+    const iri = first(subject, `${SH}severity`);
+    return iri ? iri.replace(SH, '').toLowerCase() : fallback;
+  };
+  const commonOf = (subject, fallbackSeverity) => ({
+    id: first(subject, `${REDSTRING}constraintId`) || undefined,
+    severity: severityOf(subject, fallbackSeverity),
+    message: first(subject, `${SH}message`) || undefined
+  });
+
+  const shapes = new Map(); // targetIri -> constraints
+  const addConstraint = (targetIri, constraint) => {
+    if (!shapes.has(targetIri)) shapes.set(targetIri, []);
+    shapes.get(targetIri).push(constraint);
+  };
+  const endpointConstraints = new Map(); // key -> constraint being assembled
+
+  bySubject.forEach((predicates, subject) => {
+    const isShape = values(subject, RDF_TYPE).some(term => term.value === `${SH}NodeShape`)
+      || predicates.has(`${SH}targetClass`) || predicates.has(`${SH}targetSubjectsOf`) || predicates.has(`${SH}targetObjectsOf`);
+    if (!isShape) return;
+    const shapeSeverity = severityOf(subject);
+
+    values(subject, `${SH}targetClass`).forEach(target => {
+      values(subject, `${SH}property`).forEach(property => {
+        const path = first(property.value, `${SH}path`);
+        if (!path) return;
+        const datatype = first(property.value, `${SH}datatype`);
+        addConstraint(target.value, {
+          kind: SHAPE_CONSTRAINT_KINDS.PROPERTY,
+          ...commonOf(property.value, shapeSeverity),
+          path: localName(path),
+          minCount: first(property.value, `${SH}minCount`),
+          maxCount: first(property.value, `${SH}maxCount`),
+          datatype: datatype ? datatype.replace(XSD, '') : null,
+          pattern: first(property.value, `${SH}pattern`)
+        });
+      });
+      values(subject, `${REDSTRING}maxInstancesPerGraph`).forEach(limit => {
+        addConstraint(target.value, {
+          kind: SHAPE_CONSTRAINT_KINDS.MAX_PER_GRAPH,
+          ...commonOf(limit.value, shapeSeverity),
+          max: first(limit.value, `${SH}maxCount`)
+        });
+      });
+    });
+
+    const classIri = first(subject, `${SH}class`);
+    if (!classIri) return;
+    [[`${SH}targetSubjectsOf`, 'sourceClassIri'], [`${SH}targetObjectsOf`, 'destinationClassIri']].forEach(([predicate, field]) => {
+      values(subject, predicate).forEach(target => {
+        const common = commonOf(subject, shapeSeverity);
+        // The two ends of one constraint share its id; without one, pair them up per connection type
+        const key = `${target.value}|${common.id || ''}`;
+        if (!endpointConstraints.has(key)) {
+          const constraint = { kind: SHAPE_CONSTRAINT_KINDS.EDGE_ENDPOINTS, ...common };
+          endpointConstraints.set(key, constraint);
+          addConstraint(target.value, constraint);
+        }
+        endpointConstraints.get(key)[field] = classIri;
+      });
+    });
+  });
+
+  return {
+    shapes: Array.from(shapes.entries()).map(([targetIri, constraints]) => ({ targetIri, constraints })),
+    labels
+  };
+};
+
+/**
+ * Map parsed SHACL shapes onto prototypes: prototype:<id> IRIs resolve to that
+ * prototype when it exists, anything else by its label or local name.
+ * @returns {{ assignments: Map<string, Array>, unresolved: string[] }}
+ */
+export const resolveShaclShapes = (parsed, state) => {
+  const nodePrototypes = state?.nodePrototypes || new Map();
+  const byName = new Map();
+  nodePrototypes.forEach((prototype, id) => {
+    const key = String(prototype.name || '').trim().toLowerCase();
+    if (key && !byName.has(key)) byName.set(key, id);
+  });
+
+  const unresolved = new Set();
+  const resolve = (iri) => {
+    if (!iri) return null;
+    if (iri.startsWith(PROTOTYPE_IRI_PREFIX)) {
+      const id = decodeURI(iri.slice(PROTOTYPE_IRI_PREFIX.length)).split('#')[0];
+      if (nodePrototypes.has(id)) return id;
+    }
+    const name = (parsed.labels?.get(iri) || localName(iri)).trim().toLowerCase();
+    const id = byName.get(name) || null;
+    if (!id) unresolved.add(iri);
+    return id;
+  };
+
+  const assignments = new Map();
+  parsed.shapes.forEach(({ targetIri, constraints }) => {
+    const ownerId = resolve(targetIri);
+    if (!ownerId) return;
+    constraints.forEach(raw => {
+      const fields = { ...raw };
+      if (raw.kind === SHAPE_CONSTRAINT_KINDS.EDGE_ENDPOINTS) {
+        fields.sourceTypeId = resolve(raw.sourceClassIri);
+        fields.destinationTypeId = resolve(raw.destinationClassIri);
+        delete fields.sourceClassIri;
+        delete fields.destinationClassIri;
+      }
+      const constraint = normalizeShapeConstraint(fields);
+      if (!constraint) return;
+      if (!assignments.has(ownerId)) assignments.set(ownerId, []);
+      assignments.get(ownerId).push(constraint);
+    });
+  });
+
+  return { assignments, unresolved: Array.from(unresolved) };
+};
+
+/**
+ * Generate file download for the universe's shapes as SHACL Turtle
+ */
+export const downloadShaclFile = (storeState, filename = 'shapes.ttl') => {
+  const blob = new Blob([shapesToShacl(storeState)], { type: 'text/turtle' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,514 @@
+/**
+ * Tabular Import
+ *
+ * Reads CSV, TSV and XLSX spreadsheets and turns them into a new graph.
+ * A table is either a node list (one row per thing: name, type, description,
+ * any other columns become typed properties) or an edge list (source, target,
+ * relation columns). Names are matched against existing prototypes with
+ * entityMatching so an import reuses what the universe already knows.
+ *
+ * The flow is readTable -> suggestMapping -> planTabularImport (preview, the
+ * user may flip reuse/create per entry) -> applyTabularImport.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { unzipSync, strFromU8 } from 'fflate';
+import { calculateEntityMatchConfidence } from '../services/entityMatching.js';
+import { computeAutoLayout } from '../services/autoLayout.js';
+import {
+  coercePropertyValue,
+  inferPropertyType,
+  normalizePropertyKey,
+  propertyKeyToLabel
+} from '../services/typedProperties.js';
+
+export const TABULAR_EXTENSIONS = ['csv', 'tsv', 'tab', 'txt', 'xlsx'];
+
+// Names matching an existing prototype at least this well are reused by default;
+// weaker matches down to entityMatching's review band are offered but not applied
+export const DEFAULT_MATCH_THRESHOLD = 0.8;
+const SUGGEST_THRESHOLD = 0.65;
+
+const NODE_SPACING = { x: 240, y: 140 };
+const NODE_SIZE = { width: 160, height: 70 };
+const MAX_FORCE_LAYOUT_NODES = 300;
+
+const COLUMN_HINTS = {
+  name: ['name', 'label', 'title', 'node', 'entity', 'thing', 'id'],
+  type: ['type', 'kind', 'category', 'class'],
+  description: ['description', 'desc', 'summary', 'notes', 'comment', 'bio', 'abstract'],
+  source: ['source', 'from', 'subject', 'src', 'start', 'parent'],
+  target: ['target', 'to', 'object', 'destination', 'dest', 'dst', 'end', 'child'],
+  relation: ['relation', 'relationship', 'predicate', 'label', 'type', 'edge', 'link', 'verb']
+};
+
+/**
+ * Guess the delimiter of a delimited text file from its first lines.
+ */
+export const detectDelimiter = (text) => {
+  const sample = String(text || '').split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+  if (sample.length === 0) return ',';
+  let best = ',';
+  let bestScore = 0;
+  [',', '\t', ';', '|'].forEach(candidate => {
+    const counts = sample.map(line => line.split(candidate).length - 1);
+    // A delimiter should appear on every line, the same number of times
+    if (counts.some(count => count === 0)) return;
+    const consistent = counts.filter(count => count === counts[0]).length / counts.length;
+    const score = counts[0] * consistent;
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+/**
+ * Parse delimited text (RFC 4180 quoting: "a ""quoted"" value", embedded newlines).
+ * Returns an array of rows, each an array of strings. Blank lines are dropped.
+ */
+export const parseDelimited = (text, { delimiter } = {}) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    field = '';
+    if (row.some(cell => cell.trim() !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&amp;/g, '&');
+
+// Concatenate every <t> run, which covers plain and rich-text strings
+const textRuns = (xml) => decodeXml(Array.from(xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)).map(match => match[1]).join(''));
+
+const columnIndex = (reference) => {
+  const letters = (reference.match(/^[A-Z]+/i) || [''])[0].toUpperCase();
+  return letters.split('').reduce((index, letter) => index * 26 + (letter.charCodeAt(0) - 64), 0) - 1;
+};
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+/**
+ * Read the worksheets of an XLSX workbook.
+ * Cell values come back as strings; dates stay as Excel serial numbers since
+ * number formats are not interpreted.
+ * @param {Uint8Array|ArrayBuffer} data
+ * @returns {Array} [{ name, rows }]
+ */
+export const readXlsx = (data) => {
+  let entries;
+  try {
+    entries = unzipSync(data instanceof Uint8Array ? data : new Uint8Array(data));
+  } catch {
+    throw new Error('Not a valid XLSX file');
+  }
+  const read = (path) => (entries[path] ? strFromU8(entries[path]) : null);
+
+  const workbook = read('xl/workbook.xml');
+  if (!workbook) throw new Error('Not a valid XLSX file: xl/workbook.xml is missing');
+
+  const sharedStrings = Array.from((read('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g))
+    .map(match => textRuns(match[1]));
+
+  const targets = new Map();
+  Array.from((read('xl/_rels/workbook.xml.rels') || '').matchAll(/<Relationship\b[^>]*>/g)).forEach(([tag]) => {
+    const target = attribute(tag, 'Target') || '';
+    targets.set(attribute(tag, 'Id'), target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+  });
+
+  const sheets = Array.from(workbook.matchAll(/<sheet\b[^>]*>/g)).map(([tag], index) => ({
+    name: attribute(tag, 'name') || `Sheet${index + 1}`,
+    path: targets.get(attribute(tag, 'r:id')) || `xl/worksheets/sheet${index + 1}.xml`
+  }));
+
+  return sheets.map(({ name, path }) => {
+    const xml = read(path) || '';
+    const rows = [];
+    Array.from(xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)).forEach(([, rowXml]) => {
+      const row = [];
+      Array.from(rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)).forEach(([, attrs, body = '']) => {
+        const reference = attribute(attrs, 'r');
+        const index = reference ? columnIndex(reference) : row.length;
+        const type = attribute(attrs, 't');
+        const raw = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+        let value = '';
+        if (type === 's') value = sharedStrings[Number(raw)] ?? '';
+        else if (type === 'inlineStr') value = textRuns(body);
+        else if (type === 'b') value = raw === '1' ? 'true' : 'false';
+        else if (raw !== undefined) value = decodeXml(raw);
+        while (row.length < index) row.push('');
+        row[index] = value;
+      });
+      if (row.some(cell => String(cell).trim() !== '')) rows.push(row);
+    });
+    return { name, rows };
+  });
+};
+
+const extensionOf = (filename = '') => (filename.split('.').pop() || '').toLowerCase();
+
+/**
+ * Read a spreadsheet file into a header row and data rows.
+ * @param {string|ArrayBuffer|Uint8Array} content - Text for CSV/TSV, bytes for XLSX
+ * @param {string} filename
+ * @param {Object} [options]
+ * @param {number} [options.sheet] - Worksheet index for XLSX
+ * @param {boolean} [options.hasHeader] - Whether the first row holds column names
+ * @param {string} [options.delimiter] - Override delimiter detection
+ * @returns {Object} { headers, rows, sheetNames }
+ */
+export const readTable = (content, filename, { sheet = 0, hasHeader = true, delimiter } = {}) => {
+  const extension = extensionOf(filename);
+  let allRows;
+  let sheetNames = [];
+  if (extension === 'xlsx') {
+    const sheets = readXlsx(content);
+    sheetNames = sheets.map(entry => entry.name);
+    allRows = sheets[sheet]?.rows || [];
+  } else {
+    const text = typeof content === 'string' ? content : strFromU8(content instanceof Uint8Array ? content : new Uint8Array(content));
+    allRows = parseDelimited(text, { delimiter: delimiter || (extension === 'tsv' || extension === 'tab' ? '\t' : undefined) });
+  }
+
+  const width = allRows.reduce((max, row) => Math.max(max, row.length), 0);
+  const pad = (row) => Array.from({ length: width }, (_, index) => String(row[index] ?? '').trim());
+  const headers = hasHeader && allRows.length > 0
+    ? pad(allRows[0]).map((header, index) => header || `Column ${index + 1}`)
+    : Array.from({ length: width }, (_, index) => `Column ${index + 1}`);
+  const rows = (hasHeader ? allRows.slice(1) : allRows).map(pad);
+  return { headers, rows, sheetNames };
+};
+
+/**
+ * Guess a column mapping from the header names.
+ * An edge list is assumed when both a source and a target column are found.
+ * Columns are referenced by index; null means unmapped.
+ */
+export const suggestMapping = (headers = []) => {
+  const normalized = headers.map(header => String(header).toLowerCase().replace(/[^a-z]/g, ''));
+  const taken = new Set();
+  const find = (role) => {
+    for (const hint of COLUMN_HINTS[role]) {
+      const index = normalized.findIndex((header, i) => !taken.has(i) && (header === hint || (hint.length > 2 && (header.startsWith(hint) || header.endsWith(hint)))));
+      if (index !== -1) {
+        taken.add(index);
+        return index;
+      }
+    }
+    return null;
+  };
+
+  const source = find('source');
+  const target = find('target');
+  if (source !== null && target !== null) {
+    return { mode: 'edges', source, target, relation: find('relation') };
+  }
+
+  taken.clear();
+  const name = find('name') ?? (headers.length > 0 ? 0 : null);
+  if (name !== null) taken.add(name);
+  const type = find('type');
+  const description = find('description');
+  const properties = headers.map((_, index) => index).filter(index => !taken.has(index));
+  return { mode: 'nodes', name, type, description, properties };
+};
+
+// One type per column: integers widen to numbers, anything mixed is a string
+const inferColumnType = (values) => {
+  const types = new Set(values.filter(value => value !== '').map(inferPropertyType));
+  if (types.size === 0) return 'string';
+  if (types.size === 1) return [...types][0];
+  if (types.size === 2 && types.has('integer') && types.has('number')) return 'number';
+  return 'string';
+};
+
+const entityKey = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Find the existing prototype that best matches a name (and description).
+ * Returns { prototypeId, name, confidence, needsReview } or null.
+ */
+export const findBestMatch = (entity, nodePrototypes) => {
+  const key = entityKey(entity.name);
+  if (!key) return null;
+  let best = null;
+  nodePrototypes.forEach(prototype => {
+    const candidateKey = entityKey(prototype.name);
+    if (!candidateKey) return;
+    // Labels this different in length cannot clear the fuzzy-match bar, skip the edit distance
+    if (candidateKey !== key && Math.abs(candidateKey.length - key.length) / Math.max(candidateKey.length, key.length) > 0.15) return;
+    const { confidence, needsReview } = calculateEntityMatchConfidence(
+      { name: entity.name, description: entity.description },
+      { name: prototype.name, description: prototype.description }
+    );
+    if (confidence >= SUGGEST_THRESHOLD && (!best || confidence > best.confidence)) {
+      best = { prototypeId: prototype.id, name: prototype.name, confidence, needsReview };
+    }
+  });
+  return best;
+};
+
+const planEntry = (name, description, nodePrototypes, threshold) => {
+  const match = findBestMatch({ name, description }, nodePrototypes);
+  return {
+    key: entityKey(name),
+    name: String(name).trim(),
+    description: description || '',
+    match,
+    action: match && match.confidence >= threshold ? 'reuse' : 'create'
+  };
+};
+
+/**
+ * Work out what an import would create, without touching the store.
+ * @param {Object} table - { headers, rows } from readTable
+ * @param {Object} mapping - From suggestMapping, possibly edited
+ * @param {Object} state - Store state (nodePrototypes is used for matching)
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Confidence at which a match is reused by default
+ * @returns {Object} { mode, nodes, types, relations, edges, propertySchema, skipped }
+ */
+export const planTabularImport = (table, mapping, state, { threshold = DEFAULT_MATCH_THRESHOLD } = {}) => {
+  const nodePrototypes = state?.nodePrototypes || new Map();
+  const { headers = [], rows = [] } = table;
+  const cell = (row, index) => (index === null || index === undefined ? '' : String(row[index] ?? '').trim());
+
+  const nodes = new Map();
+  const types = new Map();
+  const relations = new Map();
+  const edges = [];
+  const skipped = [];
+
+  const addNamed = (collection, name, description = '') => {
+    const key = entityKey(name);
+    if (!collection.has(key)) collection.set(key, planEntry(name, description, nodePrototypes, threshold));
+    const entry = collection.get(key);
+    if (!entry.description && description) entry.description = description;
+    return entry;
+  };
+
+  let propertySchema = [];
+
+  if (mapping.mode === 'edges') {
+    if (mapping.source === null || mapping.source === undefined || mapping.target === null || mapping.target === undefined) {
+      throw new Error('An edge list needs a source and a target column');
+    }
+    rows.forEach((row, index) => {
+      const sourceName = cell(row, mapping.source);
+      const targetName = cell(row, mapping.target);
+      if (!sourceName || !targetName) {
+        skipped.push({ row: index, reason: 'Missing source or target' });
+        return;
+      }
+      const source = addNamed(nodes, sourceName);
+      const target = addNamed(nodes, targetName);
+      const relationName = cell(row, mapping.relation);
+      const relation = relationName ? addNamed(relations, relationName) : null;
+      edges.push({ sourceKey: source.key, targetKey: target.key, relationKey: relation?.key || null });
+    });
+  } else {
+    if (mapping.name === null || mapping.name === undefined) {
+      throw new Error('A node list needs a name column');
+    }
+    const propertyColumns = (mapping.properties || [])
+      .filter(index => index !== mapping.name && index !== mapping.type && index !== mapping.description)
+      .map(index => ({
+        index,
+        key: normalizePropertyKey(headers[index] || ''),
+        label: headers[index] || propertyKeyToLabel(normalizePropertyKey(headers[index] || '')),
+        type: inferColumnType(rows.map(row => cell(row, index)))
+      }))
+      .filter(column => column.key);
+    propertySchema = propertyColumns.map(({ key, label, type }) => ({ key, label, type, multiple: false }));
+
+    rows.forEach((row, index) => {
+      const name = cell(row, mapping.name);
+      if (!name) {
+        skipped.push({ row: index, reason: 'Missing name' });
+        return;
+      }
+      const entry = addNamed(nodes, name, cell(row, mapping.description));
+      const typeName = cell(row, mapping.type);
+      if (typeName && !entry.typeKey) entry.typeKey = addNamed(types, typeName).key;
+
+      propertyColumns.forEach(column => {
+        const value = coercePropertyValue(column.type, cell(row, column.index));
+        if (value === null || value === '') return;
+        entry.properties = entry.properties || {};
+        const existing = entry.properties[column.key] || { type: column.type, values: [] };
+        if (!existing.values.includes(value)) existing.values.push(value);
+        entry.properties[column.key] = existing;
+      });
+    });
+  }
+
+  return {
+    mode: mapping.mode === 'edges' ? 'edges' : 'nodes',
+    nodes: [...nodes.values()],
+    types: [...types.values()],
+    relations: [...relations.values()],
+    edges,
+    propertySchema,
+    skipped
+  };
+};
+
+/**
+ * Return a copy of the plan with one entry switched between 'reuse' and 'create'.
+ * @param {string} collection - 'nodes' | 'types' | 'relations'
+ */
+export const setPlanAction = (plan, collection, key, action) => ({
+  ...plan,
+  [collection]: plan[collection].map(entry => (entry.key === key && (action === 'create' || entry.match) ? { ...entry, action } : entry))
+});
+
+const gridPositions = (count) => {
+  const columns = Math.max(1, Math.ceil(Math.sqrt(count)));
+  return Array.from({ length: count }, (_, index) => ({
+    x: (index % columns) * NODE_SPACING.x,
+    y: Math.floor(index / columns) * NODE_SPACING.y
+  }));
+};
+
+/**
+ * Apply a plan as a new graph through the store's own actions, as one undo step.
+ * Reused prototypes are only placed, their data is left as it is.
+ * @param {Object} plan - From planTabularImport
+ * @param {Object} store - Graph store state with actions (useGraphStore.getState())
+ * @param {Object} [options]
+ * @param {string} [options.graphName]
+ * @param {Function} [options.idFactory]
+ * @returns {Object} { graphId, created, reused, edgeCount }
+ */
+export const applyTabularImport = (plan, store, { graphName = 'Imported Table', idFactory = uuidv4 } = {}) => {
+  const prototypes = [];
+  let created = 0;
+  let reused = 0;
+
+  const resolve = (entries, extra = () => ({})) => {
+    const ids = new Map();
+    entries.forEach(entry => {
+      if (entry.action === 'reuse' && entry.match) {
+        ids.set(entry.key, entry.match.prototypeId);
+        reused++;
+        return;
+      }
+      const id = idFactory();
+      ids.set(entry.key, id);
+      prototypes.push({
+        id,
+        name: entry.name,
+        description: entry.description || '',
+        typeNodeId: null,
+        definitionGraphIds: [],
+        ...extra(entry)
+      });
+      created++;
+    });
+    return ids;
+  };
+
+  const createdTypeKeys = new Set(plan.types.filter(entry => entry.action !== 'reuse' || !entry.match).map(entry => entry.key));
+  const typeIds = resolve(plan.types, (entry) => (plan.propertySchema.length > 0 && createdTypeKeys.has(entry.key)
+    ? { propertySchema: plan.propertySchema }
+    : {}));
+  const relationIds = resolve(plan.relations);
+  const nodeIds = resolve(plan.nodes, (entry) => ({
+    typeNodeId: entry.typeKey ? typeIds.get(entry.typeKey) : null,
+    ...(entry.properties ? { properties: entry.properties } : {})
+  }));
+
+  const instanceIds = new Map();
+  const grid = gridPositions(plan.nodes.length);
+  const instances = plan.nodes.map((entry, index) => {
+    const id = idFactory();
+    instanceIds.set(entry.key, id);
+    return { id, prototypeId: nodeIds.get(entry.key), x: grid[index].x, y: grid[index].y, scale: 1 };
+  });
+
+  const edges = plan.edges
+    .filter(edge => instanceIds.has(edge.sourceKey) && instanceIds.has(edge.targetKey))
+    .map(edge => {
+      const sourceId = instanceIds.get(edge.sourceKey);
+      const destinationId = instanceIds.get(edge.targetKey);
+      return {
+        id: idFactory(),
+        sourceId,
+        destinationId,
+        name: edge.relationKey ? plan.relations.find(entry => entry.key === edge.relationKey)?.name || '' : '',
+        typeNodeId: 'base-connection-prototype',
+        definitionNodeIds: edge.relationKey ? [relationIds.get(edge.relationKey)] : [],
+        directionality: { arrowsToward: new Set([destinationId]) }
+      };
+    });
+
+  if (edges.length > 0 && instances.length <= MAX_FORCE_LAYOUT_NODES) {
+    const positions = computeAutoLayout({
+      algorithm: 'force',
+      nodes: instances.map(instance => ({ id: instance.id, x: instance.x, y: instance.y, ...NODE_SIZE })),
+      edges
+    });
+    const byId = new Map(positions.map(position => [position.instanceId, position]));
+    instances.forEach(instance => {
+      instance.x = byId.get(instance.id).x;
+      instance.y = byId.get(instance.id).y;
+    });
+  }
+
+  const graphId = idFactory();
+  store.beginHistoryTransaction(`Import ${graphName}`);
+  try {
+    store.createGraphWithId(graphId, { name: graphName, description: `Imported from a ${plan.mode === 'edges' ? 'edge list' : 'table'}` });
+    store.pasteSelection(graphId, { prototypes, instances, edges });
+  } finally {
+    store.commitHistoryTransaction();
+  }
+
+  return { graphId, created, reused, edgeCount: edges.length };
+};
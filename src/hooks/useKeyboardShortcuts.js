@@ -1,7 +1,30 @@
 import { useRef, useEffect } from 'react';
+import useGraphStore from '../store/graphStore.jsx';
+
+/**
+ * Handles Ctrl/Cmd+Z (undo) and Ctrl/Cmd+Shift+Z or Ctrl+Y (redo) against the graph store.
+ * Returns true when the event was consumed.
+ */
+export const handleHistoryShortcut = (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return false;
+  const key = e.key && e.key.length === 1 ? e.key.toLowerCase() : e.key;
+  const isUndo = key === 'z' && !e.shiftKey;
+  const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey && !e.metaKey);
+  if (!isUndo && !isRedo) return false;
+
+  e.preventDefault();
+  const store = useGraphStore.getState();
+  if (isUndo) {
+    store.undo();
+  } else {
+    store.redo();
+  }
+  return true;
+};
 
 /**
  * Custom hook to track currently pressed keys.
+ * Also wires up the undo/redo shortcuts for the active graph tab.
  */
 export const useKeyboardShortcuts = () => {
   const keysPressed = useRef({});
@@ -23,6 +46,9 @@ export const useKeyboardShortcuts = () => {
       
       // Only track keys if not in a text input
       if (!isTextInput) {
+        // Undo/redo take precedence and should not register as held keys
+        if (handleHistoryShortcut(e)) return;
+
         // Normalize single-character keys to lowercase so Shift+W stores as 'w'
         const key = e.key && e.key.length === 1 ? e.key.toLowerCase() : e.key;
         keysPressed.current[key] = true;
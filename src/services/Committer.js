@@ -3,6 +3,7 @@
 
 import queueManager from './queue/Queue.js';
 import eventLog from './EventLog.js';
+import { GraphCommitLog, coalesceOps } from './patchMerge.js';
 
 // Coarse per-graph locks (in-process)
 const graphLocks = new Map();
@@ -24,15 +25,6 @@ function groupBy(arr, key) {
   return out;
 }
 
-function coalesceOps(patches) {
-  // Flatten ops and keep last-write-wins per entity for simple ops
-  const ops = [];
-  for (const p of patches) {
-    if (Array.isArray(p.ops)) ops.push(...p.ops);
-  }
-  return ops;
-}
-
 async function emitApplyMutations(ops) {
   try {
     const { bridgeFetch } = await import('./bridgeConfig.js');
@@ -48,11 +40,17 @@ async function emitApplyMutations(ops) {
   }
 }
 
-class CommitterService {
+export class CommitterService {
   constructor() {
     this.running = false;
     this.interval = null;
     this.idempotency = new Set(); // applied patchIds
+    this.commitLog = new GraphCommitLog();
+  }
+
+  // Head hash executors should stamp on patches as baseHash
+  getGraphHash(graphId) {
+    return this.commitLog.getHead(graphId);
   }
 
   start() {
@@ -82,16 +80,34 @@ class CommitterService {
           items.forEach(i => queueManager.ack('reviewQueue', i.leaseId));
           return;
         }
-        const mergeable = unseen.every(p => !p.baseHash || this._canMerge(p, graphId));
-        if (!mergeable) {
-          // Reject and emit events
-          for (const it of items) {
-            eventLog.append({ type: 'PATCH_REJECTED', graphId, reason: 'conflict', patches: it.patches || [it.patch] });
-            queueManager.ack('reviewQueue', it.leaseId);
+        // Merge each patch onto the head in arrival order; accepted patches become "ours" for the next
+        const accepted = [];
+        for (const patch of unseen) {
+          const result = this._mergePatch(patch, graphId);
+          if (!result.ok) {
+            eventLog.append({
+              type: 'PATCH_REJECTED',
+              graphId,
+              reason: result.reason,
+              patchId: patch.patchId,
+              threadId: patch.threadId,
+              baseHash: patch.baseHash || null,
+              headHash: result.headHash,
+              conflictingEntityIds: Array.from(new Set(result.conflicts.map(c => c.entityId))),
+              conflicts: result.conflicts,
+              patches: [patch]
+            });
+            this.idempotency.add(patch.patchId);
+            continue;
           }
+          this.idempotency.add(patch.patchId);
+          accepted.push({ patch, ops: result.ops });
+        }
+        if (accepted.length === 0) {
+          items.forEach(i => queueManager.ack('reviewQueue', i.leaseId));
           return;
         }
-        const ops = coalesceOps(unseen);
+        const ops = coalesceOps(accepted.flatMap(a => a.ops));
         // Emit to UI; UI will apply and persist via its Git engines
         await emitApplyMutations(ops);
         // If we created any graphs, enqueue openGraph to ensure UI switches to them
@@ -107,20 +123,26 @@ class CommitterService {
             });
           }
         } catch {}
-        // Mark ids
-        unseen.forEach(p => this.idempotency.add(p.patchId));
         // Persist via Git engine snapshot if available
         // Log event for SSE consumers
-        eventLog.append({ type: 'PATCH_APPLIED', graphId, opsCount: ops.length });
+        eventLog.append({ type: 'PATCH_APPLIED', graphId, actor: 'agent', ops, opsCount: ops.length, headHash: this.getGraphHash(graphId), patchIds: accepted.map(a => a.patch.patchId) });
         // Ack queue items
         items.forEach(i => queueManager.ack('reviewQueue', i.leaseId));
       });
     }
   }
 
-  _canMerge(_patch, _graphId) {
-    // Placeholder for smarter merges; for now, allow if baseHash missing
-    return true;
+  /**
+   * Three-way merge a patch onto the graph head and, if it applies, commit its rebased ops.
+   * Patches without a baseHash are treated as planned against the current head.
+   * @returns {{ ok: boolean, ops: Array, conflicts: Array, reason?: string, headHash: string }}
+   */
+  _mergePatch(patch, graphId) {
+    const result = this.commitLog.mergePatch(graphId, patch);
+    if (result.ok && result.ops.length > 0) {
+      this.commitLog.commit(graphId, result.ops);
+    }
+    return result;
   }
 }
 
@@ -2,6 +2,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { HISTORY_EVENT_TYPES, replayUniverse, eventsForGraph } from './eventHistory.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -46,7 +47,9 @@ class EventLog {
 
   // Replay events since a given timestamp (inclusive)
   replaySince(sinceTs = 0) {
-    const files = fs.readdirSync(this.rootDir).filter(f => f.endsWith('.jsonl')).sort();
+    // One file per day, so earlier days can't hold anything at or after sinceTs
+    const firstDay = sinceTs > 0 ? `${dayKey(sinceTs)}.jsonl` : '';
+    const files = fs.readdirSync(this.rootDir).filter(f => f.endsWith('.jsonl') && f >= firstDay).sort();
     const out = [];
     for (const file of files) {
       const full = path.join(this.rootDir, file);
@@ -61,6 +64,18 @@ class EventLog {
     return out.sort((a, b) => a.ts - b.ts);
   }
 
+  // Store history events (mutations and snapshots), optionally only what replaying one graph needs.
+  // Snapshots are always kept since replay needs them as a starting point.
+  historyEvents({ graphId = null, since = 0, until = Infinity } = {}) {
+    const events = this.replaySince(since).filter(e => HISTORY_EVENT_TYPES.includes(e.type) && e.ts <= until);
+    return graphId ? eventsForGraph(events, graphId) : events;
+  }
+
+  // Rebuild universe data (graphs, prototypes, edges) as it was at the given timestamp
+  replayUniverseAt(ts = Infinity, { sessionId } = {}) {
+    return replayUniverse(this.historyEvents({ until: ts }), ts, { sessionId });
+  }
+
   subscribe(listener) {
     this.listeners.add(listener);
     return () => this.listeners.delete(listener);
@@ -3,6 +3,7 @@
  * 
  * Coordinates between:
  * - Local file saves (FileStorage)
+ * - Solid pod and browser storage saves (via the universe backend)
  * - Git repository commits (GitSyncEngine)
  * 
  * Features:
@@ -260,6 +260,8 @@ class APIKeyManager {
       'openrouter': 'https://openrouter.ai/api/v1/chat/completions',
       'google': 'https://generativelanguage.googleapis.com/v1beta/models',
       'cohere': 'https://api.cohere.ai/v1/chat',
+      'ollama': 'http://localhost:11434/v1/chat/completions',
+      'llamacpp': 'http://localhost:8080/v1/chat/completions',
       'custom': ''
     };
     return endpoints[provider] || 'https://openrouter.ai/api/v1/chat/completions';
@@ -277,6 +279,8 @@ class APIKeyManager {
       'openrouter': 'anthropic/claude-3-sonnet', // Fixed: Use the correct model name
       'google': 'gemini-pro',
       'cohere': 'command-r',
+      'ollama': 'llama3.1',
+      'llamacpp': 'default',
       'custom': ''
     };
     return models[provider] || 'anthropic/claude-3-sonnet'; // Fixed: Use the correct model name
@@ -313,9 +317,20 @@ class APIKeyManager {
       { id: 'openai', name: 'OpenAI GPT' },
       { id: 'google', name: 'Google Gemini' },
       { id: 'cohere', name: 'Cohere' },
+      { id: 'ollama', name: 'Ollama (local)' },
+      { id: 'llamacpp', name: 'llama.cpp server (local)' },
       { id: 'custom', name: 'Custom Provider' }
     ];
   }
+
+  /**
+   * Whether a provider needs an API key; local model servers do not
+   * @param {string} provider - The provider name
+   * @returns {boolean}
+   */
+  requiresAPIKey(provider) {
+    return !['ollama', 'llamacpp'].includes(provider);
+  }
 }
 
 // Create and export a singleton instance
@@ -0,0 +1,489 @@
+/**
+ * Auto Layout Service
+ *
+ * Whole-graph layouts for the canvas "Auto-arrange" command: force-directed,
+ * layered (Sugiyama) for directed graphs, and radial around a chosen node.
+ *
+ * Pure functions with no DOM access so they can run inside canvasWorker.js.
+ * Callers pass real node sizes (from getNodeDimensions) and groups; group
+ * members are kept together as clusters by every algorithm.
+ */
+
+export const LAYOUT_ALGORITHMS = ['force', 'layered', 'radial'];
+
+export const AUTO_LAYOUT_CONFIG = {
+  nodeSpacing: 60, // Minimum gap between node boxes
+  layerSpacing: 140, // Vertical gap between layers (layered)
+  ringSpacing: 180, // Minimum gap between rings (radial)
+  forceIterations: 300,
+  crossingSweeps: 8,
+  groupAttraction: 0.5 // Pull of group members towards their group centre (force)
+};
+
+const centreOf = (node) => ({ x: node.x + node.width / 2, y: node.y + node.height / 2 });
+
+// Group lookup: instanceId -> groupId (first group wins when groups overlap)
+const groupIndex = (groups = []) => {
+  const byNode = new Map();
+  groups.forEach(group => {
+    (group.memberInstanceIds || []).forEach(id => {
+      if (!byNode.has(id)) byNode.set(id, group.id);
+    });
+  });
+  return byNode;
+};
+
+// Undirected adjacency over known nodes, ignoring self-loops
+const adjacencyOf = (nodes, edges) => {
+  const adjacency = new Map(nodes.map(node => [node.id, new Set()]));
+  edges.forEach(({ sourceId, destinationId }) => {
+    if (sourceId === destinationId || !adjacency.has(sourceId) || !adjacency.has(destinationId)) return;
+    adjacency.get(sourceId).add(destinationId);
+    adjacency.get(destinationId).add(sourceId);
+  });
+  return adjacency;
+};
+
+/**
+ * Push overlapping boxes apart along the axis of least overlap.
+ * Works on centre positions in place.
+ */
+const resolveOverlaps = (nodes, centres, spacing, iterations = 50) => {
+  for (let iter = 0; iter < iterations; iter++) {
+    let moved = false;
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = centres.get(nodes[i].id);
+        const b = centres.get(nodes[j].id);
+        const overlapX = (nodes[i].width + nodes[j].width) / 2 + spacing - Math.abs(a.x - b.x);
+        const overlapY = (nodes[i].height + nodes[j].height) / 2 + spacing - Math.abs(a.y - b.y);
+        if (overlapX <= 0 || overlapY <= 0) continue;
+        moved = true;
+        if (overlapX < overlapY) {
+          const shift = overlapX / 2 * (a.x <= b.x ? -1 : 1);
+          a.x += shift;
+          b.x -= shift;
+        } else {
+          const shift = overlapY / 2 * (a.y <= b.y ? -1 : 1);
+          a.y += shift;
+          b.y -= shift;
+        }
+      }
+    }
+    if (!moved) break;
+  }
+};
+
+/**
+ * Force-directed layout (Fruchterman-Reingold) starting from current positions.
+ * Repulsion uses node size so wide nodes get more room; group members are
+ * pulled towards their group centre.
+ */
+export const forceDirectedLayout = (nodes, edges, groups = [], config = {}) => {
+  const { nodeSpacing, forceIterations, groupAttraction } = { ...AUTO_LAYOUT_CONFIG, ...config };
+  const centres = new Map();
+  const seen = new Set();
+  nodes.forEach((node, index) => {
+    const centre = centreOf(node);
+    // Nodes stacked on the same spot start on a small spiral so forces can separate them
+    const key = `${Math.round(centre.x)},${Math.round(centre.y)}`;
+    if (seen.has(key)) {
+      centre.x += Math.cos(index) * (10 + index);
+      centre.y += Math.sin(index) * (10 + index);
+    }
+    seen.add(key);
+    centres.set(node.id, centre);
+  });
+  if (nodes.length < 2) return centres;
+
+  const sizeOf = (node) => Math.hypot(node.width, node.height) / 2;
+  const avgSize = nodes.reduce((sum, node) => sum + sizeOf(node), 0) / nodes.length;
+  const k = avgSize * 2 + nodeSpacing; // Ideal edge length
+  const adjacency = adjacencyOf(nodes, edges);
+  const groupOf = groupIndex(groups);
+  let temperature = k * 2;
+  const cooling = temperature / (forceIterations + 1);
+
+  for (let iter = 0; iter < forceIterations; iter++) {
+    const displacement = new Map(nodes.map(node => [node.id, { x: 0, y: 0 }]));
+
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = nodes[i];
+        const b = nodes[j];
+        const pa = centres.get(a.id);
+        const pb = centres.get(b.id);
+        let dx = pa.x - pb.x;
+        let dy = pa.y - pb.y;
+        let distance = Math.hypot(dx, dy);
+        if (distance < 0.01) {
+          dx = 0.01 * (i + 1);
+          dy = 0.01;
+          distance = Math.hypot(dx, dy);
+        }
+        // Nodes from different groups push harder so clusters stay apart
+        const separate = groupOf.has(a.id) && groupOf.get(a.id) !== groupOf.get(b.id) ? 1.5 : 1;
+        const reach = k + sizeOf(a) + sizeOf(b) - avgSize * 2;
+        const force = (reach * reach) / distance * separate;
+        const fx = (dx / distance) * force;
+        const fy = (dy / distance) * force;
+        displacement.get(a.id).x += fx;
+        displacement.get(a.id).y += fy;
+        displacement.get(b.id).x -= fx;
+        displacement.get(b.id).y -= fy;
+      }
+    }
+
+    adjacency.forEach((neighbours, id) => {
+      neighbours.forEach(otherId => {
+        if (otherId < id) return; // each undirected pair once
+        const pa = centres.get(id);
+        const pb = centres.get(otherId);
+        const dx = pa.x - pb.x;
+        const dy = pa.y - pb.y;
+        const distance = Math.max(Math.hypot(dx, dy), 0.01);
+        const force = (distance * distance) / k;
+        const fx = (dx / distance) * force;
+        const fy = (dy / distance) * force;
+        displacement.get(id).x -= fx;
+        displacement.get(id).y -= fy;
+        displacement.get(otherId).x += fx;
+        displacement.get(otherId).y += fy;
+      });
+    });
+
+    if (groupOf.size > 0) {
+      const groupCentres = new Map();
+      groupOf.forEach((groupId, id) => {
+        const position = centres.get(id);
+        if (!position) return;
+        const acc = groupCentres.get(groupId) || { x: 0, y: 0, count: 0 };
+        acc.x += position.x;
+        acc.y += position.y;
+        acc.count++;
+        groupCentres.set(groupId, acc);
+      });
+      groupOf.forEach((groupId, id) => {
+        const position = centres.get(id);
+        const group = groupCentres.get(groupId);
+        if (!position || !group) return;
+        // Spring towards the group centre, same shape as edge attraction
+        const dx = group.x / group.count - position.x;
+        const dy = group.y / group.count - position.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance < 0.01) return;
+        const force = (distance * distance) / k * groupAttraction;
+        displacement.get(id).x += (dx / distance) * force;
+        displacement.get(id).y += (dy / distance) * force;
+      });
+    }
+
+    nodes.forEach(node => {
+      const d = displacement.get(node.id);
+      const length = Math.hypot(d.x, d.y);
+      if (length === 0) return;
+      const step = Math.min(length, temperature);
+      const position = centres.get(node.id);
+      position.x += (d.x / length) * step;
+      position.y += (d.y / length) * step;
+    });
+    temperature = Math.max(temperature - cooling, 1);
+  }
+
+  resolveOverlaps(nodes, centres, nodeSpacing / 2);
+  return centres;
+};
+
+/**
+ * Layered (Sugiyama-style) layout for directed graphs, flowing top to bottom.
+ * Cycles are broken by reversing back edges, long edges get virtual nodes,
+ * crossings are reduced with barycenter sweeps, and group members stay
+ * contiguous within each layer.
+ */
+export const layeredLayout = (nodes, edges, groups = [], config = {}) => {
+  const { nodeSpacing, layerSpacing, crossingSweeps } = { ...AUTO_LAYOUT_CONFIG, ...config };
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const groupOf = groupIndex(groups);
+
+  // 1. Directed edges over known nodes, with back edges reversed (DFS order)
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  edges.forEach(({ sourceId, destinationId }) => {
+    if (sourceId !== destinationId && byId.has(sourceId) && byId.has(destinationId)) {
+      outgoing.get(sourceId).push(destinationId);
+    }
+  });
+  const state = new Map(); // id -> 'active' | 'done'
+  const dag = [];
+  const visit = (id) => {
+    state.set(id, 'active');
+    outgoing.get(id).forEach(target => {
+      if (state.get(target) === 'active') {
+        dag.push([target, id]); // back edge: reverse it
+      } else {
+        dag.push([id, target]);
+        if (!state.has(target)) visit(target);
+      }
+    });
+    state.set(id, 'done');
+  };
+  nodes.forEach(node => { if (!state.has(node.id)) visit(node.id); });
+
+  // 2. Longest-path layering
+  const parents = new Map(nodes.map(node => [node.id, []]));
+  dag.forEach(([from, to]) => parents.get(to).push(from));
+  const layerOf = new Map();
+  const assignLayer = (id, guard = new Set()) => {
+    if (layerOf.has(id)) return layerOf.get(id);
+    guard.add(id);
+    const layer = parents.get(id).reduce((max, parent) => (
+      guard.has(parent) ? max : Math.max(max, assignLayer(parent, guard) + 1)
+    ), 0);
+    guard.delete(id);
+    layerOf.set(id, layer);
+    return layer;
+  };
+  nodes.forEach(node => assignLayer(node.id));
+
+  // 3. Virtual nodes along edges spanning several layers
+  const virtualSize = { width: 0, height: 0 };
+  const links = []; // [upperId, lowerId] between adjacent layers
+  let virtualCount = 0;
+  dag.forEach(([from, to]) => {
+    let previous = from;
+    for (let layer = layerOf.get(from) + 1; layer < layerOf.get(to); layer++) {
+      const id = `__virtual_${virtualCount++}`;
+      layerOf.set(id, layer);
+      byId.set(id, { id, ...virtualSize, virtual: true });
+      links.push([previous, id]);
+      previous = id;
+    }
+    links.push([previous, to]);
+  });
+
+  const layerCount = Math.max(0, ...layerOf.values()) + 1;
+  const layers = Array.from({ length: layerCount }, () => []);
+  // Start from current x order so a re-run keeps the user's left/right habits
+  Array.from(byId.values())
+    .sort((a, b) => (a.virtual ? 0 : centreOf(a).x) - (b.virtual ? 0 : centreOf(b).x))
+    .forEach(node => layers[layerOf.get(node.id)].push(node.id));
+
+  const up = new Map(Array.from(byId.keys()).map(id => [id, []]));
+  const down = new Map(Array.from(byId.keys()).map(id => [id, []]));
+  links.forEach(([upper, lower]) => {
+    down.get(upper).push(lower);
+    up.get(lower).push(upper);
+  });
+
+  // 4. Crossing reduction: barycenter sweeps, keeping group members together
+  const orderLayer = (layer, neighboursOf, reference) => {
+    const position = new Map(reference.map((id, index) => [id, index]));
+    const current = new Map(layer.map((id, index) => [id, index]));
+    const barycenter = new Map(layer.map(id => {
+      const placed = neighboursOf.get(id).filter(n => position.has(n));
+      const value = placed.length > 0
+        ? placed.reduce((sum, n) => sum + position.get(n), 0) / placed.length
+        : current.get(id) * (reference.length / Math.max(layer.length, 1));
+      return [id, value];
+    }));
+    const clusterKey = new Map();
+    layer.forEach(id => {
+      const groupId = groupOf.get(id);
+      if (!groupId) return;
+      const acc = clusterKey.get(groupId) || { sum: 0, count: 0 };
+      acc.sum += barycenter.get(id);
+      acc.count++;
+      clusterKey.set(groupId, acc);
+    });
+    const keyOf = (id) => {
+      const groupId = groupOf.get(id);
+      return groupId ? clusterKey.get(groupId).sum / clusterKey.get(groupId).count : barycenter.get(id);
+    };
+    return [...layer].sort((a, b) => (
+      keyOf(a) - keyOf(b)
+      || String(groupOf.get(a) || '').localeCompare(String(groupOf.get(b) || ''))
+      || barycenter.get(a) - barycenter.get(b)
+      || current.get(a) - current.get(b)
+    ));
+  };
+  for (let sweep = 0; sweep < crossingSweeps; sweep++) {
+    if (sweep % 2 === 0) {
+      for (let i = 1; i < layers.length; i++) layers[i] = orderLayer(layers[i], up, layers[i - 1]);
+    } else {
+      for (let i = layers.length - 2; i >= 0; i--) layers[i] = orderLayer(layers[i], down, layers[i + 1]);
+    }
+  }
+
+  // 5. Coordinates: pack each layer, then pull nodes towards their parents' x
+  const x = new Map();
+  const gapAfter = (layer, index) => {
+    if (index >= layer.length - 1) return 0;
+    const a = byId.get(layer[index]);
+    const b = byId.get(layer[index + 1]);
+    const virtualGap = a.virtual || b.virtual ? nodeSpacing / 2 : nodeSpacing;
+    // Extra room between different clusters
+    const clusterGap = groupOf.get(a.id) !== groupOf.get(b.id) && (groupOf.has(a.id) || groupOf.has(b.id)) ? nodeSpacing : 0;
+    return virtualGap + clusterGap;
+  };
+  const pack = (layer, desired) => {
+    // Place left to right at desired positions without overlap, then centre the drift
+    let cursor = -Infinity;
+    const placed = layer.map((id, index) => {
+      const node = byId.get(id);
+      const left = Math.max(desired(id) - node.width / 2, cursor);
+      cursor = left + node.width + gapAfter(layer, index);
+      return left + node.width / 2;
+    });
+    const drift = layer.reduce((sum, id, index) => sum + (placed[index] - desired(id)), 0) / Math.max(layer.length, 1);
+    layer.forEach((id, index) => x.set(id, placed[index] - drift));
+  };
+  layers.forEach(layer => {
+    const total = layer.reduce((sum, id, index) => sum + byId.get(id).width + gapAfter(layer, index), 0);
+    let cursor = -total / 2;
+    layer.forEach((id, index) => {
+      x.set(id, cursor + byId.get(id).width / 2);
+      cursor += byId.get(id).width + gapAfter(layer, index);
+    });
+  });
+  const average = (ids) => ids.reduce((sum, id) => sum + x.get(id), 0) / ids.length;
+  for (let pass = 0; pass < 4; pass++) {
+    const downward = pass % 2 === 0;
+    const order = downward ? layers.slice(1) : layers.slice(0, -1).reverse();
+    const neighboursOf = downward ? up : down;
+    order.forEach(layer => pack(layer, id => {
+      const neighbours = neighboursOf.get(id);
+      return neighbours.length > 0 ? average(neighbours) : x.get(id);
+    }));
+  }
+
+  const centres = new Map();
+  let top = 0;
+  layers.forEach(layer => {
+    const height = Math.max(0, ...layer.map(id => byId.get(id).height));
+    layer.forEach(id => {
+      if (!byId.get(id).virtual) centres.set(id, { x: x.get(id), y: top + height / 2 });
+    });
+    top += height + layerSpacing;
+  });
+  return centres;
+};
+
+/**
+ * Radial layout around a root node: breadth-first rings, each child inside its
+ * parent's angular sector (sized by subtree), rings widened to fit real node
+ * widths. Unreachable nodes go on an outer ring.
+ */
+export const radialLayout = (nodes, edges, groups = [], rootId = null, config = {}) => {
+  const { nodeSpacing, ringSpacing } = { ...AUTO_LAYOUT_CONFIG, ...config };
+  const centres = new Map();
+  if (nodes.length === 0) return centres;
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const adjacency = adjacencyOf(nodes, edges);
+  const groupOf = groupIndex(groups);
+
+  const root = byId.has(rootId) ? rootId : nodes.reduce((best, node) => (
+    adjacency.get(node.id).size > adjacency.get(best).size ? node.id : best
+  ), nodes[0].id);
+
+  // BFS tree; siblings ordered by group so clusters share a sector
+  const children = new Map(nodes.map(node => [node.id, []]));
+  const depth = new Map([[root, 0]]);
+  const queue = [root];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    Array.from(adjacency.get(id))
+      .filter(next => !depth.has(next))
+      .sort((a, b) => String(groupOf.get(a) || '').localeCompare(String(groupOf.get(b) || '')) || String(a).localeCompare(String(b)))
+      .forEach(next => {
+        depth.set(next, depth.get(id) + 1);
+        children.get(id).push(next);
+        queue.push(next);
+      });
+  }
+  const unreached = nodes.map(node => node.id).filter(id => !depth.has(id));
+  if (unreached.length > 0) {
+    const outer = Math.max(...depth.values()) + 1;
+    unreached
+      .sort((a, b) => String(groupOf.get(a) || '').localeCompare(String(groupOf.get(b) || '')))
+      .forEach(id => {
+        depth.set(id, outer);
+        children.get(root).push(id);
+      });
+  }
+
+  const weight = new Map();
+  const measure = (id) => {
+    const own = byId.get(id).width + nodeSpacing;
+    const sum = children.get(id).reduce((total, child) => total + measure(child), 0);
+    weight.set(id, Math.max(own, sum));
+    return weight.get(id);
+  };
+  measure(root);
+
+  // Ring radius: far enough from the previous ring and wide enough to fit the ring's nodes
+  const ringCount = Math.max(...depth.values());
+  const radii = [0];
+  const rootNode = byId.get(root);
+  for (let ring = 1; ring <= ringCount; ring++) {
+    const members = nodes.filter(node => depth.get(node.id) === ring);
+    const circumference = members.reduce((sum, node) => sum + node.width + nodeSpacing, 0);
+    const tallest = Math.max(...members.map(node => node.height), rootNode.height);
+    const previous = radii[ring - 1] + (ring === 1 ? Math.max(rootNode.width, rootNode.height) / 2 : 0);
+    radii.push(Math.max(previous + ringSpacing + tallest / 2, circumference / (2 * Math.PI)));
+  }
+
+  const place = (id, start, end) => {
+    const ring = depth.get(id);
+    const angle = (start + end) / 2;
+    centres.set(id, { x: radii[ring] * Math.cos(angle), y: radii[ring] * Math.sin(angle) });
+    const kids = children.get(id);
+    const total = kids.reduce((sum, child) => sum + weight.get(child), 0);
+    let cursor = start;
+    kids.forEach(child => {
+      const span = (end - start) * (weight.get(child) / total);
+      place(child, cursor, cursor + span);
+      cursor += span;
+    });
+  };
+  place(root, -Math.PI / 2, Math.PI * 1.5);
+
+  resolveOverlaps(nodes, centres, nodeSpacing / 4, 20);
+  return centres;
+};
+
+/**
+ * Run a layout and return new top-left positions for the store.
+ * The result is translated so the graph stays centred where it was.
+ * @param {Object} params
+ * @param {string} params.algorithm - 'force' | 'layered' | 'radial'
+ * @param {Array} params.nodes - [{ id, x, y, width, height }] (x/y top-left, as stored on instances)
+ * @param {Array} params.edges - [{ sourceId, destinationId }]
+ * @param {Array} [params.groups] - [{ id, memberInstanceIds }]
+ * @param {string} [params.rootId] - Centre node for the radial layout (defaults to the most connected)
+ * @param {Object} [params.config] - Overrides for AUTO_LAYOUT_CONFIG
+ * @returns {Array} [{ instanceId, x, y }] for updateMultipleNodeInstancePositions
+ */
+export const computeAutoLayout = ({ algorithm, nodes = [], edges = [], groups = [], rootId = null, config = {} }) => {
+  if (!LAYOUT_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown layout algorithm: ${algorithm}`);
+  }
+  if (nodes.length === 0) return [];
+
+  const centres = algorithm === 'force' ? forceDirectedLayout(nodes, edges, groups, config)
+    : algorithm === 'layered' ? layeredLayout(nodes, edges, groups, config)
+      : radialLayout(nodes, edges, groups, rootId, config);
+
+  const mean = (points) => points.reduce((acc, p) => ({ x: acc.x + p.x / points.length, y: acc.y + p.y / points.length }), { x: 0, y: 0 });
+  const before = mean(nodes.map(centreOf));
+  const after = mean(nodes.map(node => centres.get(node.id)));
+  const dx = before.x - after.x;
+  const dy = before.y - after.y;
+
+  return nodes.map(node => {
+    const centre = centres.get(node.id);
+    return {
+      instanceId: node.id,
+      x: Math.round(centre.x + dx - node.width / 2),
+      y: Math.round(centre.y + dy - node.height / 2)
+    };
+  });
+};
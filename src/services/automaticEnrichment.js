@@ -8,13 +8,21 @@
 import { rdfResolver } from './rdfResolver.js';
 import { sparqlClient } from './sparqlClient.js';
 import { localSemanticQuery } from './localSemanticQuery.js';
+import { getOfflineCache, CACHE_TTLS } from './offlineCache/index.js';
+
+// Enrichment results are kept in the shared offline cache under this namespace
+const CACHE_NAMESPACE = 'enrichment';
 
 export class AutomaticEnrichment {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {OfflineCache} [options.cache] - Defaults to the shared offline cache
+   */
+  constructor({ cache = null } = {}) {
     this.enrichmentQueue = [];
     this.isProcessing = false;
-    this.enrichmentCache = new Map();
-    this.CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+    this._cache = cache;
+    this.CACHE_TTL = CACHE_TTLS.enrichment;
     this.enrichmentSources = [
       'wikidata',
       'dbpedia', 
@@ -23,6 +31,10 @@ export class AutomaticEnrichment {
     ];
   }
 
+  get cache() {
+    return this._cache || getOfflineCache();
+  }
+
   /**
    * Automatically enrich a node based on its title
    * @param {Object} nodeData - Node to enrich
@@ -44,15 +56,25 @@ export class AutomaticEnrichment {
     const nodeTitle = nodeData.name.trim();
     const cacheKey = `enrich_${nodeTitle.toLowerCase()}`;
 
-    // Check cache first
-    if (!forceRefresh && this.enrichmentCache.has(cacheKey)) {
-      const cached = this.enrichmentCache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.CACHE_TTL) {
-        console.log(`[Auto Enrichment] Using cached data for: ${nodeTitle}`);
-        return cached.data;
+    // An enrichment that found no external data (e.g. while offline) never
+    // replaces one that did; the stored result is returned instead
+    return this.cache.fetch(
+      CACHE_NAMESPACE,
+      cacheKey,
+      () => this._runEnrichment(nodeTitle, { includeExternalData, includeLocalConnections }),
+      {
+        ttl: this.CACHE_TTL,
+        refresh: forceRefresh,
+        isFallback: (result) => includeExternalData && result.externalData.length === 0
       }
-    }
+    );
+  }
 
+  /**
+   * Query every source for a node title
+   * @private
+   */
+  async _runEnrichment(nodeTitle, { includeExternalData, includeLocalConnections }) {
     console.log(`[Auto Enrichment] Starting enrichment for: ${nodeTitle}`);
 
     const enrichmentResults = {
@@ -165,12 +187,6 @@ export class AutomaticEnrichment {
         console.log(`[Auto Enrichment] No external or local data found for ${nodeTitle}, providing basic suggestions`);
       }
 
-      // 8. Cache the results
-      this.enrichmentCache.set(cacheKey, {
-        data: enrichmentResults,
-        timestamp: Date.now()
-      });
-
       console.log(`[Auto Enrichment] Completed enrichment for ${nodeTitle}:`, {
         sources: enrichmentResults.totalSources,
         externalData: enrichmentResults.totalExternalData,
@@ -485,23 +501,12 @@ export class AutomaticEnrichment {
    * @returns {Object} Cache statistics
    */
   getCacheStats() {
-    const now = Date.now();
-    let validEntries = 0;
-    let expiredEntries = 0;
-    
-    for (const [key, value] of this.enrichmentCache.entries()) {
-      if (now - value.timestamp < this.CACHE_TTL) {
-        validEntries++;
-      } else {
-        expiredEntries++;
-      }
-    }
-    
+    const stats = this.cache.stats().namespaces[CACHE_NAMESPACE];
     return {
-      totalEntries: this.enrichmentCache.size,
-      validEntries,
-      expiredEntries,
-      cacheSize: `${(this.enrichmentCache.size * 0.001).toFixed(2)} MB`
+      totalEntries: stats?.entries || 0,
+      validEntries: stats?.fresh || 0,
+      expiredEntries: stats?.stale || 0,
+      cacheSize: `${((stats?.bytes || 0) / (1024 * 1024)).toFixed(2)} MB`
     };
   }
 
@@ -511,11 +516,9 @@ export class AutomaticEnrichment {
    */
   clearCache(nodeTitle = null) {
     if (nodeTitle) {
-      const cacheKey = `enrich_${nodeTitle.toLowerCase()}`;
-      this.enrichmentCache.delete(cacheKey);
-    } else {
-      this.enrichmentCache.clear();
+      return this.cache.delete(CACHE_NAMESPACE, `enrich_${nodeTitle.trim().toLowerCase()}`);
     }
+    return this.cache.purge({ namespace: CACHE_NAMESPACE });
   }
 }
 
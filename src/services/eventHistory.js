@@ -0,0 +1,201 @@
+/**
+ * Event History - event-sourced record of universe changes
+ *
+ * Every store change is logged as a STORE_MUTATION event carrying the Immer
+ * patches it produced, who made it (actor) and when. UNIVERSE_SNAPSHOT events
+ * record a full baseline (on load, or when a change can't be expressed as
+ * patches). Replaying the last snapshot plus the mutations after it rebuilds
+ * the universe as of any timestamp.
+ *
+ * This module is shared by the browser (historyRecorder) and the daemon (EventLog),
+ * so it must stay free of Node and DOM APIs.
+ */
+
+import { applyPatches, enableMapSet, enablePatches } from 'immer';
+import { HISTORY_TRACKED_ROOTS } from '../store/undoHistory.js';
+
+enableMapSet();
+enablePatches();
+
+export const STORE_MUTATION = 'STORE_MUTATION';
+export const UNIVERSE_SNAPSHOT = 'UNIVERSE_SNAPSHOT';
+export const HISTORY_EVENT_TYPES = [STORE_MUTATION, UNIVERSE_SNAPSHOT];
+
+/**
+ * Encode Maps and Sets as tagged JSON so patches and snapshots survive JSON Lines.
+ * @param {*} value
+ * @returns {*} JSON-safe value
+ */
+export const encodeHistoryValue = (value) => {
+  if (value instanceof Map) {
+    return { $map: Array.from(value.entries()).map(([key, v]) => [key, encodeHistoryValue(v)]) };
+  }
+  if (value instanceof Set) {
+    return { $set: Array.from(value).map(encodeHistoryValue) };
+  }
+  if (Array.isArray(value)) return value.map(encodeHistoryValue);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const out = {};
+    Object.entries(value).forEach(([key, v]) => {
+      if (v !== undefined) out[key] = encodeHistoryValue(v);
+    });
+    return out;
+  }
+  return value;
+};
+
+/**
+ * Inverse of encodeHistoryValue.
+ * @param {*} value
+ * @returns {*}
+ */
+export const decodeHistoryValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeHistoryValue);
+  if (value && typeof value === 'object') {
+    if (Array.isArray(value.$map) && Object.keys(value).length === 1) {
+      return new Map(value.$map.map(([key, v]) => [key, decodeHistoryValue(v)]));
+    }
+    if (Array.isArray(value.$set) && Object.keys(value).length === 1) {
+      return new Set(value.$set.map(decodeHistoryValue));
+    }
+    const out = {};
+    Object.entries(value).forEach(([key, v]) => { out[key] = decodeHistoryValue(v); });
+    return out;
+  }
+  return value;
+};
+
+const pickTrackedRoots = (state) => {
+  const out = {};
+  HISTORY_TRACKED_ROOTS.forEach(root => { out[root] = state?.[root] || new Map(); });
+  return out;
+};
+
+const touchedGraphIds = (patches) => Array.from(new Set(
+  patches.filter(p => p.path[0] === 'graphs' && p.path.length > 1).map(p => p.path[1])
+));
+
+/**
+ * Build a STORE_MUTATION event from the patches of one store change.
+ * @param {Array} patches - Immer patches (only tracked roots are kept)
+ * @param {Object} meta - { actor, action, ts, sessionId }
+ * @returns {Object|null} Event, or null if nothing tracked changed
+ */
+export const createMutationEvent = (patches, { actor = 'user', action = 'unknown', ts = Date.now(), sessionId = null } = {}) => {
+  const tracked = patches.filter(p => HISTORY_TRACKED_ROOTS.includes(p.path[0]));
+  if (tracked.length === 0) return null;
+  return {
+    type: STORE_MUTATION,
+    ts,
+    actor,
+    action,
+    sessionId,
+    graphIds: touchedGraphIds(tracked),
+    patches: encodeHistoryValue(tracked)
+  };
+};
+
+/**
+ * Build a UNIVERSE_SNAPSHOT event holding the full universe data.
+ * @param {Object} state - Store state (only tracked roots are kept)
+ * @param {Object} meta - { actor, reason, ts, sessionId }
+ * @returns {Object}
+ */
+export const createSnapshotEvent = (state, { actor = 'user', reason = 'baseline', ts = Date.now(), sessionId = null } = {}) => ({
+  type: UNIVERSE_SNAPSHOT,
+  ts,
+  actor,
+  reason,
+  sessionId,
+  state: encodeHistoryValue(pickTrackedRoots(state))
+});
+
+const historyEventKey = (event) => `${event.sessionId}:${event.ts}:${event.type}`;
+
+/**
+ * Union of two event lists without duplicates, oldest first.
+ * @param {Array} existing - Events already held (win over duplicates in `incoming`)
+ * @param {Array} incoming
+ * @returns {Array}
+ */
+export const mergeHistoryEvents = (existing, incoming) => {
+  const byKey = new Map(existing.map(event => [historyEventKey(event), event]));
+  incoming.forEach(event => { if (!byKey.has(historyEventKey(event))) byKey.set(historyEventKey(event), event); });
+  return Array.from(byKey.values()).sort((a, b) => a.ts - b.ts);
+};
+
+/**
+ * The events needed to replay one graph: every snapshot, plus mutations cut
+ * down to that graph and the shared roots (prototypes, edges) its nodes use.
+ * Patches to other graphs are dropped so replay never trips over a graph it
+ * never saw created.
+ * @param {Array} events - History events
+ * @param {string} graphId
+ * @returns {Array}
+ */
+export const eventsForGraph = (events, graphId) => events.reduce((out, event) => {
+  if (event?.type === UNIVERSE_SNAPSHOT) {
+    out.push(event);
+  } else if (event?.type === STORE_MUTATION) {
+    const patches = (event.patches || []).filter(p => p.path[0] !== 'graphs' || p.path.length < 2 || p.path[1] === graphId);
+    if (patches.length === event.patches?.length) out.push(event);
+    else if (patches.length > 0) out.push({ ...event, patches });
+  }
+  return out;
+}, []);
+
+/**
+ * Rebuild universe data as of a timestamp.
+ * Starts from the last snapshot at or before `at` and applies the mutations after it.
+ * Only one session's events are replayed, since each session starts from its own
+ * baseline and its patches don't apply on top of another session's snapshot.
+ * @param {Array} events - History events in any order (other event types are ignored)
+ * @param {number} [at=Infinity] - Timestamp (inclusive)
+ * @param {Object} [options]
+ * @param {string|null} [options.sessionId] - Session to replay (defaults to the one that recorded the latest event up to `at`)
+ * @returns {{ state: Object, appliedEvents: number, snapshotTs: number|null }}
+ */
+export const replayUniverse = (events, at = Infinity, { sessionId } = {}) => {
+  const upTo = events
+    .filter(e => e && HISTORY_EVENT_TYPES.includes(e.type) && e.ts <= at)
+    .sort((a, b) => a.ts - b.ts);
+  const session = sessionId !== undefined ? sessionId : (upTo[upTo.length - 1]?.sessionId ?? null);
+  const relevant = upTo.filter(e => (e.sessionId ?? null) === session);
+
+  let start = 0;
+  for (let i = relevant.length - 1; i >= 0; i--) {
+    if (relevant[i].type === UNIVERSE_SNAPSHOT) {
+      start = i;
+      break;
+    }
+  }
+
+  const baseline = relevant[start]?.type === UNIVERSE_SNAPSHOT ? relevant[start] : null;
+  let state = baseline ? decodeHistoryValue(baseline.state) : pickTrackedRoots(null);
+  const mutations = relevant.slice(baseline ? start + 1 : 0);
+  let appliedEvents = 0;
+  mutations.forEach(event => {
+    try {
+      state = applyPatches(state, decodeHistoryValue(event.patches));
+      appliedEvents++;
+    } catch (error) {
+      // A gap in the log (e.g. events lost while offline); keep going from what we have
+      console.warn(`[EventHistory] Skipping event at ${event.ts}:`, error.message);
+    }
+  });
+  return { state, appliedEvents, snapshotTs: baseline ? baseline.ts : null };
+};
+
+/**
+ * Points in time where a graph changed, newest last.
+ * @param {Array} events - History events
+ * @param {string} graphId
+ * @returns {Array<{ ts: number, actor: string, action: string, type: string, sessionId: string|null }>}
+ */
+export const listGraphCheckpoints = (events, graphId) => events
+  .filter(e => e && (
+    (e.type === STORE_MUTATION && Array.isArray(e.graphIds) && e.graphIds.includes(graphId)) ||
+    e.type === UNIVERSE_SNAPSHOT
+  ))
+  .sort((a, b) => a.ts - b.ts)
+  .map(e => ({ ts: e.ts, actor: e.actor, action: e.type === UNIVERSE_SNAPSHOT ? `snapshot:${e.reason}` : e.action, type: e.type, sessionId: e.sessionId ?? null }));
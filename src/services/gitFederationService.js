@@ -433,17 +433,19 @@ export const gitFederationService = {
       throw new Error(`Universe not found: ${slug}`);
     }
 
+    const type = repoConfig.type || 'github';
     const repo = {
-      type: 'github',
+      type,
       user: repoConfig.user,
       repo: repoConfig.repo
     };
 
     const linkedRepo = {
-      type: 'github',
+      type,
       user: repoConfig.user,
       repo: repoConfig.repo,
-      authMethod: repoConfig.authMethod || 'oauth'
+      authMethod: repoConfig.authMethod || (type === 'gitlab' ? 'token' : 'oauth'),
+      ...(repoConfig.endpoint ? { endpoint: repoConfig.endpoint } : {})
     };
 
     // CRITICAL: Respect existing sourceOfTruth to support 2-slot system
@@ -466,9 +468,10 @@ export const gitFederationService = {
     await universeBackendBridge.updateUniverse(slug, {
       sources: this.mergeSources(universe.raw.sources, {
         id: `src_${Date.now().toString(36)}`,
-        type: 'github',
+        type,
         user: repo.user,
         repo: repo.repo,
+        ...(repoConfig.endpoint ? { endpoint: repoConfig.endpoint } : {}),
         name: `@${repo.user}/${repo.repo}`,
         addedAt: new Date().toISOString()
       })
@@ -485,7 +488,7 @@ export const gitFederationService = {
     }
 
     const sources = (universe.raw.sources || []).filter(src => {
-      if (src.type !== 'github') return true;
+      if (src.type !== (repo.type || 'github')) return true;
       const sameUser = src.user?.toLowerCase() === repo.user.toLowerCase();
       const sameRepo = src.repo?.toLowerCase() === repo.repo.toLowerCase();
       return !(sameUser && sameRepo);
@@ -523,7 +526,7 @@ export const gitFederationService = {
   },
 
   mergeSources(existing = [], next) {
-    const dedupeKey = src => src.type === 'github' ? `${src.type}:${src.user?.toLowerCase()}/${src.repo?.toLowerCase()}` : `${src.type}:${src.id}`;
+    const dedupeKey = src => (src.type === 'github' || src.type === 'gitlab') ? `${src.type}:${src.user?.toLowerCase()}/${src.repo?.toLowerCase()}` : `${src.type}:${src.id}`;
     const map = new Map();
     existing.forEach(item => {
       const key = dedupeKey(item);
@@ -536,20 +539,22 @@ export const gitFederationService = {
 
   async discoverUniverses(repoConfig) {
     const discovered = await universeBackendBridge.discoverUniversesInRepository({
-      type: 'github',
+      type: repoConfig.type || 'github',
       user: repoConfig.user,
       repo: repoConfig.repo,
-      authMethod: repoConfig.authMethod || 'oauth'
+      authMethod: repoConfig.authMethod || (repoConfig.type === 'gitlab' ? 'token' : 'oauth'),
+      ...(repoConfig.endpoint ? { endpoint: repoConfig.endpoint } : {})
     });
     return discovered;
   },
 
   async linkDiscoveredUniverse(discovered, repoConfig) {
     await universeBackendBridge.linkToDiscoveredUniverse(discovered, {
-      type: 'github',
+      type: repoConfig.type || 'github',
       user: repoConfig.user,
       repo: repoConfig.repo,
-      authMethod: repoConfig.authMethod || 'oauth'
+      authMethod: repoConfig.authMethod || (repoConfig.type === 'gitlab' ? 'token' : 'oauth'),
+      ...(repoConfig.endpoint ? { endpoint: repoConfig.endpoint } : {})
     });
     return this.getState();
   },
@@ -574,6 +579,19 @@ export const gitFederationService = {
     return this.refreshUniverses();
   },
 
+  async listUniverseHistory(slug, options = {}) {
+    return universeBackendBridge.listUniverseHistory(slug, options);
+  },
+
+  async loadUniverseAtCommit(slug, sha) {
+    return universeBackendBridge.loadUniverseAtCommit(slug, sha);
+  },
+
+  async restoreUniverseVersion(slug, sha) {
+    await universeBackendBridge.restoreUniverseVersion(slug, sha);
+    return this.refreshUniverses();
+  },
+
   async requestLocalFilePermission(slug) {
     const result = await universeBackendBridge.requestLocalFilePermission(slug);
     await this.refreshUniverses();
@@ -120,6 +120,26 @@ export class SemanticProvider {
   async readFileRaw(path) {
     throw new Error('readFileRaw() must be implemented by provider');
   }
+
+  /**
+   * List commits that touched a file, newest first
+   * @param {string} path - File path within the repository
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array<{ sha: string, message: string, author: string, date: string }>>}
+   */
+  async listCommits(path, options) {
+    throw new Error('listCommits() must be implemented by provider');
+  }
+
+  /**
+   * Read a file as it was at a given commit
+   * @param {string} path - File path within the repository
+   * @param {string} sha - Commit id
+   * @returns {Promise<string>} Raw file content
+   */
+  async readFileAtCommit(path, sha) {
+    throw new Error('readFileAtCommit() must be implemented by provider');
+  }
 }
 
 /**
@@ -747,6 +767,43 @@ This repository was automatically initialized by RedString UI React. You can now
     }
   }
 
+  async listCommits(path, { limit = 30 } = {}) {
+    const params = new URLSearchParams({ path, per_page: String(limit) });
+    const response = await fetch(`https://api.github.com/repos/${this.user}/${this.repo}/commits?${params.toString()}`, {
+      headers: {
+        'Authorization': this.getAuthHeader(),
+        'Accept': 'application/vnd.github.v3+json'
+      }
+    });
+    if (response.status === 404 || response.status === 409) {
+      return []; // Missing or empty repository
+    }
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    return (Array.isArray(data) ? data : []).map(item => ({
+      sha: item.sha,
+      message: item.commit?.message || '',
+      author: item.commit?.author?.name || item.author?.login || 'unknown',
+      date: item.commit?.author?.date || null
+    }));
+  }
+
+  async readFileAtCommit(path, sha) {
+    const response = await fetch(`${this.rootUrl}/${path}?ref=${encodeURIComponent(sha)}`, {
+      headers: {
+        'Authorization': this.getAuthHeader(),
+        'Accept': 'application/vnd.github.v3+json'
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`File not found: ${path}@${sha}`);
+    }
+    const fileInfo = await response.json();
+    return this.base64ToUtf8(fileInfo.content);
+  }
+
   async listSemanticFiles() {
     try {
       const response = await fetch(`${this.rootUrl}/${this.semanticPath}`, {
@@ -1015,6 +1072,41 @@ export class GiteaSemanticProvider extends SemanticProvider {
   }
 
   // Helper methods
+  async listCommits(path, { limit = 30 } = {}) {
+    const params = new URLSearchParams({ path, limit: String(limit) });
+    const response = await fetch(`${this.endpoint}/api/v1/repos/${this.user}/${this.repo}/commits?${params.toString()}`, {
+      headers: {
+        'Authorization': `token ${this.token}`
+      }
+    });
+    if (response.status === 404 || response.status === 409) {
+      return [];
+    }
+    if (!response.ok) {
+      throw new Error(`Gitea API error: ${response.status}`);
+    }
+    const data = await response.json();
+    return (Array.isArray(data) ? data : []).map(item => ({
+      sha: item.sha,
+      message: item.commit?.message || '',
+      author: item.commit?.author?.name || item.author?.login || 'unknown',
+      date: item.commit?.author?.date || item.created || null
+    }));
+  }
+
+  async readFileAtCommit(path, sha) {
+    const response = await fetch(`${this.rootUrl}/${path}?ref=${encodeURIComponent(sha)}`, {
+      headers: {
+        'Authorization': `token ${this.token}`
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`File not found: ${path}@${sha}`);
+    }
+    const fileInfo = await response.json();
+    return this.base64ToUtf8(fileInfo.content);
+  }
+
   async listSemanticFiles() {
     try {
       const response = await fetch(`${this.rootUrl}/${this.semanticPath}?ref=main`, {
@@ -1240,36 +1332,979 @@ acl:DefaultPermissions a acl:AccessControl ;
 }
 
 /**
- * Provider Factory
- * Creates provider instances based on configuration
+ * GitLab Semantic Provider Implementation
+ * Works with gitlab.com and self-hosted GitLab through the REST API (v4).
+ * Projects are addressed by their full path (`group/subgroup` as user, project as repo).
  */
-export class SemanticProviderFactory {
-  static createProvider(config) {
-    switch (config.type) {
-      case 'github':
-        return new GitHubSemanticProvider(config);
-      case 'gitea':
-        return new GiteaSemanticProvider(config);
-      default:
-        throw new Error(`Unknown provider type: ${config.type}`);
+export class GitLabSemanticProvider extends SemanticProvider {
+  constructor(config) {
+    const endpoint = (config.endpoint || 'https://gitlab.com').replace(/\/+$/, '');
+    const projectId = encodeURIComponent(config.projectId || `${config.user}/${config.repo}`);
+    super({
+      name: 'GitLab',
+      rootUrl: `${endpoint}/api/v4/projects/${projectId}/repository/files`,
+      authMechanism: 'token',
+      ...config
+    });
+
+    this.endpoint = endpoint;
+    this.apiUrl = `${endpoint}/api/v4`;
+    this.projectUrl = `${this.apiUrl}/projects/${projectId}`;
+    this.user = config.user;
+    this.repo = config.repo;
+    this.token = config.token;
+    this.authMethod = config.authMethod || 'token';
+    this.branch = config.branch || null; // Resolved from the project's default branch when unset
+    this.semanticPath = config.semanticPath || 'schema';
+    this.retryDelayMs = config.retryDelayMs ?? 1000;
+  }
+
+  // UTF-8 safe base64 helpers (match GitHub implementation)
+  utf8ToBase64(str) {
+    try {
+      const bytes = new TextEncoder().encode(str);
+      let binary = '';
+      for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+      if (typeof btoa !== 'undefined') return btoa(binary);
+      // eslint-disable-next-line no-undef
+      return Buffer.from(bytes).toString('base64');
+    } catch {
+      if (typeof btoa !== 'undefined') return btoa(str);
+      // eslint-disable-next-line no-undef
+      return Buffer.from(str, 'utf8').toString('base64');
     }
   }
 
-  static getAvailableProviders() {
-    return [
-      {
-        type: 'github',
-        name: 'GitHub',
-        description: 'GitHub-hosted semantic spaces',
-        authMechanism: 'oauth',
-        configFields: ['user', 'repo', 'token', 'semanticPath']
-      },
-      {
-        type: 'gitea',
-        name: 'Self-Host',
-        description: 'Self-hosted Gitea instance',
-        authMechanism: 'token',
-        configFields: ['endpoint', 'user', 'repo', 'token', 'semanticPath']
+  base64ToUtf8(b64) {
+    try {
+      let binary;
+      if (typeof atob !== 'undefined') {
+        binary = atob(b64);
+      } else {
+        // eslint-disable-next-line no-undef
+        binary = Buffer.from(b64, 'base64').toString('binary');
+      }
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+      return new TextDecoder().decode(bytes);
+    } catch {
+      // eslint-disable-next-line no-undef
+      return Buffer.from(b64, 'base64').toString('utf8');
+    }
+  }
+
+  // Personal/project access tokens use PRIVATE-TOKEN; OAuth tokens use Bearer
+  getAuthHeaders() {
+    if (!this.token) return {};
+    return this.authMethod === 'oauth'
+      ? { 'Authorization': `Bearer ${this.token}` }
+      : { 'PRIVATE-TOKEN': this.token };
+  }
+
+  fileUrl(path) {
+    return `${this.rootUrl}/${encodeURIComponent(path)}`;
+  }
+
+  async resolveBranch() {
+    if (this.branch) return this.branch;
+    try {
+      const response = await fetch(this.projectUrl, { headers: this.getAuthHeaders() });
+      if (response.ok) {
+        const project = await response.json();
+        this.branch = project.default_branch || 'main';
+        return this.branch;
+      }
+    } catch (error) {
+      console.warn('[GitLabSemanticProvider] Could not resolve default branch:', error.message);
+    }
+    return 'main';
+  }
+
+  async authenticate() {
+    if (!this.token) {
+      throw new Error('GitLab token required for authentication');
+    }
+    return { token: this.token, type: this.authMethod };
+  }
+
+  async createSemanticSpace(name) {
+    const spacePath = `${this.semanticPath}/${name}`;
+
+    // Create initial directory structure
+    const structure = this.generateStandardStructure(name);
+
+    for (const [path, content] of Object.entries(structure)) {
+      await this.writeSemanticFile(`${name}/${path}`, content);
+    }
+
+    const branch = await this.resolveBranch();
+    return {
+      name,
+      url: `${this.endpoint}/${this.user}/${this.repo}/-/tree/${branch}/${spacePath}`,
+      apiUrl: `${this.projectUrl}/repository/tree?path=${encodeURIComponent(spacePath)}`,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  async writeSemanticFile(path, ttlContent) {
+    // Don't add .ttl if the path already ends with it
+    const fullPath = path.endsWith('.ttl')
+      ? `${this.semanticPath}/${path}`
+      : `${this.semanticPath}/${path}.ttl`;
+    return this.writeFileRaw(fullPath, ttlContent);
+  }
+
+  async readSemanticFile(path) {
+    // Don't add .ttl if the path already ends with it
+    const fullPath = path.endsWith('.ttl')
+      ? `${this.semanticPath}/${path}`
+      : `${this.semanticPath}/${path}.ttl`;
+    return this.readFileRaw(fullPath);
+  }
+
+  async listDirectoryContents(dirPath = '') {
+    try {
+      const branch = await this.resolveBranch();
+      const entries = [];
+      let page = '1';
+      while (page) {
+        const params = new URLSearchParams({ ref: branch, per_page: '100', page });
+        if (dirPath) params.set('path', dirPath);
+        const response = await fetch(`${this.projectUrl}/repository/tree?${params.toString()}`, {
+          headers: this.getAuthHeaders()
+        });
+
+        if (response.status === 404) {
+          console.log(`[GitLabSemanticProvider] Directory '${dirPath || 'root'}' not found (expected during discovery)`);
+          return [];
+        }
+        if (!response.ok) {
+          throw new Error(`GitLab API error: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        (Array.isArray(data) ? data : []).forEach(item => entries.push({
+          name: item.name,
+          type: item.type === 'tree' ? 'dir' : 'file',
+          path: item.path,
+          size: 0,
+          sha: item.id
+        }));
+        page = response.headers.get('x-next-page') || '';
+      }
+      return entries;
+    } catch (error) {
+      console.error(`[GitLabSemanticProvider] Failed to list directory ${dirPath}:`, error);
+      return [];
+    }
+  }
+
+  async commitChanges(message, files) {
+    // GitLab commits on each file write
+    return Promise.resolve();
+  }
+
+  async exportFullGraph() {
+    const archive = {
+      provider: 'gitlab',
+      endpoint: this.endpoint,
+      user: this.user,
+      repo: this.repo,
+      exportedAt: new Date().toISOString(),
+      files: {}
+    };
+
+    const files = await this.listSemanticFiles();
+    for (const file of files) {
+      if (file.path.endsWith('.ttl')) {
+        archive.files[file.path] = await this.readFileRaw(file.path);
+      }
+    }
+
+    return archive;
+  }
+
+  async importFullGraph(archive) {
+    if (archive.provider !== 'gitlab') {
+      throw new Error('Archive is not from GitLab provider');
+    }
+
+    for (const [path, content] of Object.entries(archive.files)) {
+      await this.writeFileRaw(path, content);
+    }
+  }
+
+  async isAvailable() {
+    try {
+      const response = await fetch(this.projectUrl, { headers: this.getAuthHeaders() });
+      return response.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  async getStatus() {
+    const isAvailable = await this.isAvailable();
+    return {
+      provider: 'gitlab',
+      available: isAvailable,
+      endpoint: this.endpoint,
+      user: this.user,
+      repo: this.repo,
+      branch: this.branch,
+      semanticPath: this.semanticPath,
+      lastChecked: new Date().toISOString()
+    };
+  }
+
+  /**
+   * List projects the token's user is a member of, shaped like GitHub repositories
+   * so repository pickers can show both.
+   */
+  async listProjects({ search = '' } = {}) {
+    const params = new URLSearchParams({ membership: 'true', simple: 'true', per_page: '100', order_by: 'last_activity_at' });
+    if (search) params.set('search', search);
+    const response = await fetch(`${this.apiUrl}/projects?${params.toString()}`, { headers: this.getAuthHeaders() });
+    if (!response.ok) {
+      throw new Error(`GitLab API error: ${response.status} ${response.statusText}`);
+    }
+    const projects = await response.json();
+    return (Array.isArray(projects) ? projects : []).map(project => ({
+      id: `gitlab:${project.id}`,
+      provider: 'gitlab',
+      endpoint: this.endpoint,
+      name: project.path,
+      full_name: project.path_with_namespace,
+      description: project.description || '',
+      owner: { login: project.namespace?.full_path || project.path_with_namespace?.split('/').slice(0, -1).join('/') },
+      private: project.visibility ? project.visibility !== 'public' : true,
+      html_url: project.web_url,
+      default_branch: project.default_branch,
+      created_at: project.created_at,
+      updated_at: project.last_activity_at
+    }));
+  }
+
+  // Helper methods
+  async listCommits(path, { limit = 30 } = {}) {
+    const branch = await this.resolveBranch();
+    const params = new URLSearchParams({ path, ref_name: branch, per_page: String(limit) });
+    const response = await fetch(`${this.projectUrl}/repository/commits?${params.toString()}`, {
+      headers: this.getAuthHeaders()
+    });
+    if (response.status === 404) {
+      return []; // Missing project or empty repository
+    }
+    if (!response.ok) {
+      throw new Error(`GitLab API error: ${response.status}`);
+    }
+    const data = await response.json();
+    return (Array.isArray(data) ? data : []).map(item => ({
+      sha: item.id,
+      message: item.message || item.title || '',
+      author: item.author_name || 'unknown',
+      date: item.authored_date || item.created_at || null
+    }));
+  }
+
+  async readFileAtCommit(path, sha) {
+    const info = await this.getFileInfo(path, sha);
+    if (!info) {
+      throw new Error(`File not found: ${path}@${sha}`);
+    }
+    return this.base64ToUtf8(info.content);
+  }
+
+  async listSemanticFiles() {
+    try {
+      const branch = await this.resolveBranch();
+      const files = [];
+      let page = '1';
+      while (page) {
+        const params = new URLSearchParams({ path: this.semanticPath, ref: branch, recursive: 'true', per_page: '100', page });
+        const response = await fetch(`${this.projectUrl}/repository/tree?${params.toString()}`, {
+          headers: this.getAuthHeaders()
+        });
+        if (!response.ok) {
+          return [];
+        }
+        const data = await response.json();
+        (Array.isArray(data) ? data : [])
+          .filter(item => item.type === 'blob')
+          .forEach(item => files.push({ name: item.name, path: item.path, type: 'file', sha: item.id }));
+        page = response.headers.get('x-next-page') || '';
+      }
+      return files;
+    } catch {
+      return [];
+    }
+  }
+
+  async getFileInfo(path, ref = null) {
+    try {
+      const params = new URLSearchParams({ ref: ref || await this.resolveBranch() });
+      const response = await fetch(`${this.fileUrl(path)}?${params.toString()}`, {
+        headers: this.getAuthHeaders()
+      });
+      if (!response.ok) return null;
+      return await response.json();
+    } catch {
+      return null;
+    }
+  }
+
+  // GitLab reports a stale last_commit_id as 400 ("has changed since you started editing it"),
+  // a create racing another create as 400 ("already exists"); some versions use 409
+  isConflictResponse(status, text) {
+    return status === 409 || (status === 400 && /changed since|already exists/i.test(text));
+  }
+
+  async writeFileRaw(path, content) {
+    try {
+      // Rate limiting: Prevent identical content writes
+      const contentHash = this.generateContentHash(content);
+      const cacheKey = `${path}_${contentHash}`;
+      const lastWrite = this.lastWrites?.get?.(cacheKey);
+      const now = Date.now();
+
+      if (lastWrite && (now - lastWrite) < 1500) {
+        console.log(`[GitLabSemanticProvider] Redundant write prevented for ${path} (identical content within 1.5s)`);
+        return { message: 'Redundant write prevented' };
+      }
+
+      // Initialize lastWrites cache if needed
+      if (!this.lastWrites) {
+        this.lastWrites = new Map();
+      }
+
+      const branch = await this.resolveBranch();
+      const body = {
+        branch,
+        content: this.utf8ToBase64(content),
+        encoding: 'base64',
+        commit_message: `Update ${path}`
+      };
+
+      // POST creates, PUT updates; last_commit_id makes GitLab reject updates based on a stale version
+      const send = async (fileInfo) => {
+        const payload = fileInfo?.last_commit_id ? { ...body, last_commit_id: fileInfo.last_commit_id } : body;
+        return fetch(this.fileUrl(path), {
+          method: fileInfo ? 'PUT' : 'POST',
+          headers: {
+            ...this.getAuthHeaders(),
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(payload)
+        });
+      };
+
+      let response = await send(await this.getFileInfo(path));
+
+      if (!response.ok) {
+        const text = await response.text();
+
+        if (!this.isConflictResponse(response.status, text)) {
+          throw new Error(`GitLab write failed: ${response.status} ${text}`);
+        }
+
+        // Someone else committed in between: refetch the last commit id and retry with backoff
+        console.log(`[GitLabSemanticProvider] Conflict for ${path}, retrying with fresh last_commit_id...`);
+        for (let attempt = 1; attempt <= 3; attempt++) {
+          const backoffDelay = Math.min(this.retryDelayMs * Math.pow(3, attempt - 1), 9 * this.retryDelayMs);
+          await new Promise(resolve => setTimeout(resolve, backoffDelay));
+
+          response = await send(await this.getFileInfo(path));
+          if (response.ok) break;
+
+          const retryText = await response.text();
+          if (!this.isConflictResponse(response.status, retryText)) {
+            throw new Error(`GitLab write retry failed: ${response.status} ${retryText}`);
+          }
+          console.log(`[GitLabSemanticProvider] Attempt ${attempt} still conflicted for ${path}`);
+        }
+
+        if (!response.ok) {
+          throw new Error(`GitLab write failed after 3 retry attempts: ${path}`);
+        }
+      }
+
+      // Cache successful write
+      this.lastWrites.set(cacheKey, now);
+      return await response.json();
+    } catch (e) {
+      console.error('[GitLabSemanticProvider] writeFileRaw failed:', e);
+      throw e;
+    }
+  }
+
+  // Helper to generate content hash for redundancy prevention
+  generateContentHash(content) {
+    let hash = 0;
+    for (let i = 0; i < content.length; i++) {
+      const char = content.charCodeAt(i);
+      hash = ((hash << 5) - hash) + char;
+      hash = hash & hash; // Convert to 32-bit integer
+    }
+    return hash.toString(36);
+  }
+
+  async readFileRaw(path) {
+    const info = await this.getFileInfo(path);
+    if (!info) {
+      // File not found - this is expected for new files, so don't log as error
+      throw new Error(`File not found: ${path}`);
+    }
+    return this.base64ToUtf8(info.content);
+  }
+
+  generateStandardStructure(spaceName) {
+    return {
+      'profile/webid.ttl': `@prefix foaf: <http://xmlns.com/foaf/0.1/> .
+@prefix schema: <http://schema.org/> .
+
+<#me> a foaf:Person ;
+    foaf:name "${spaceName} Owner" ;
+    schema:url <${this.endpoint}/${this.user}/${this.repo}> .`,
+
+      'profile/preferences.ttl': `@prefix pref: <https://redstring.io/vocab/preferences/> .
+
+pref:DisplaySettings a pref:Settings ;
+    pref:theme "dark" ;
+    pref:language "en" .`,
+
+      'vocabulary/schemas/core-schema.ttl': `@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+
+<#Concept> a owl:Class ;
+    rdfs:label "Concept" ;
+    rdfs:comment "A semantic concept in the knowledge space" .`,
+
+      'federation/subscriptions.ttl': `@prefix fed: <https://redstring.io/vocab/federation/> .
+
+fed:Subscriptions a fed:SubscriptionList ;
+    fed:lastUpdated "${new Date().toISOString()}" .`,
+
+      'federation/permissions.ttl': `@prefix acl: <http://www.w3.org/ns/auth/acl#> .
+
+acl:DefaultPermissions a acl:AccessControl ;
+    acl:mode acl:Read ;
+    acl:agentClass foaf:Agent .`
+    };
+  }
+}
+
+// Commits to one repository run one at a time: each reads the branch head and then moves it.
+// Keyed by directory because several providers (e.g. the daemon's per-branch cache) can share a repository.
+const localRepoLocks = new Map();
+
+const withLocalRepoLock = (dir, fn) => {
+  const run = (localRepoLocks.get(dir) || Promise.resolve()).then(fn);
+  const settled = run.catch(() => {});
+  localRepoLocks.set(dir, settled);
+  settled.then(() => {
+    if (localRepoLocks.get(dir) === settled) localRepoLocks.delete(dir);
+  });
+  return run;
+};
+
+/**
+ * Local Git Provider Implementation
+ * Stores universes in a plain git repository on disk (working tree or bare) using isomorphic-git.
+ * Pass a Node-compatible `fs` to work on the repository directly (daemon, CLI, tests);
+ * without one, operations go through the bridge daemon, which owns the repository.
+ */
+export class LocalGitSemanticProvider extends SemanticProvider {
+  constructor(config) {
+    super({
+      name: 'Local Git',
+      rootUrl: `file://${config.dir}`,
+      authMechanism: 'none',
+      ...config
+    });
+
+    if (!config.dir) {
+      throw new Error('Local git provider requires a repository directory');
+    }
+    this.dir = config.dir.replace(/\/+$/, '');
+    this.fs = config.fs || null;
+    this.bare = !!config.bare;
+    this.branch = config.branch || 'main';
+    this.semanticPath = config.semanticPath || 'schema';
+    this.autoCommit = config.autoCommit !== false;
+    this.author = config.author || { name: 'Redstring', email: 'redstring@localhost' };
+    this.authMethod = 'local';
+    this.repoReady = null;
+    this.pendingPaths = new Set();
+  }
+
+  async git() {
+    const module = await import('isomorphic-git');
+    return module.default || module;
+  }
+
+  gitOptions() {
+    return this.bare ? { fs: this.fs, gitdir: this.dir } : { fs: this.fs, dir: this.dir };
+  }
+
+  normalizePath(path = '') {
+    const clean = String(path).replace(/\\/g, '/').split('/').filter(part => part && part !== '.');
+    if (clean.some(part => part === '..' || part === '.git')) {
+      throw new Error(`Invalid repository path: ${path}`);
+    }
+    return clean.join('/');
+  }
+
+  absolutePath(path) {
+    const relative = this.normalizePath(path);
+    return relative ? `${this.dir}/${relative}` : this.dir;
+  }
+
+  // Run an operation on the daemon's copy of the repository
+  async callBridge(op, payload = {}) {
+    const { bridgeFetch } = await import('./bridgeConfig.js');
+    const response = await bridgeFetch(`/api/local-git/${op}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ dir: this.dir, bare: this.bare, branch: this.branch, semanticPath: this.semanticPath, ...payload })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.ok === false) {
+      throw new Error(data.error || `Local git bridge error: ${response.status}`);
+    }
+    return data.result;
+  }
+
+  async ensureRepository() {
+    if (!this.repoReady) {
+      this.repoReady = (async () => {
+        const git = await this.git();
+        const headFile = this.bare ? `${this.dir}/HEAD` : `${this.dir}/.git/HEAD`;
+        try {
+          await this.fs.promises.stat(headFile);
+        } catch {
+          await this.fs.promises.mkdir(this.dir, { recursive: true });
+          await git.init({ ...this.gitOptions(), bare: this.bare, defaultBranch: this.branch });
+          console.log(`[LocalGitSemanticProvider] Initialized ${this.bare ? 'bare ' : ''}repository at ${this.dir}`);
+        }
+      })();
+      this.repoReady.catch(() => { this.repoReady = null; });
+    }
+    return this.repoReady;
+  }
+
+  async resolveHead() {
+    const git = await this.git();
+    try {
+      return await git.resolveRef({ ...this.gitOptions(), ref: this.branch });
+    } catch {
+      return null; // No commits yet
+    }
+  }
+
+  async authenticate() {
+    return { type: 'local' };
+  }
+
+  async createSemanticSpace(name) {
+    const spacePath = `${this.semanticPath}/${name}`;
+    const structure = this.generateStandardStructure(name);
+
+    for (const [path, content] of Object.entries(structure)) {
+      await this.writeFileRaw(`${spacePath}/${path}`, content, { autoCommit: false });
+    }
+    await this.commitChanges(`Create semantic space ${name}`, Object.keys(structure).map(path => `${spacePath}/${path}`));
+
+    return {
+      name,
+      url: `${this.rootUrl}/${spacePath}`,
+      apiUrl: `${this.rootUrl}/${spacePath}`,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  async writeSemanticFile(path, ttlContent) {
+    const fullPath = path.endsWith('.ttl') ? `${this.semanticPath}/${path}` : `${this.semanticPath}/${path}.ttl`;
+    return this.writeFileRaw(fullPath, ttlContent);
+  }
+
+  async readSemanticFile(path) {
+    const fullPath = path.endsWith('.ttl') ? `${this.semanticPath}/${path}` : `${this.semanticPath}/${path}.ttl`;
+    return this.readFileRaw(fullPath);
+  }
+
+  /**
+   * Write a file and, unless autoCommit is off for this call or the provider, commit it.
+   * Bare repositories have no working tree, so their writes are always committed.
+   */
+  async writeFileRaw(path, content, { autoCommit = this.autoCommit } = {}) {
+    if (!this.fs) {
+      return this.callBridge('write', { path, content, autoCommit });
+    }
+    const filepath = this.normalizePath(path);
+    await this.ensureRepository();
+
+    if (this.bare) {
+      // No working tree: every write is a commit
+      const commit = await this.commitTreeUpdate({ [filepath]: content }, `Update ${filepath}`);
+      return { path: filepath, commit };
+    }
+
+    const absolute = this.absolutePath(filepath);
+    await this.fs.promises.mkdir(absolute.slice(0, absolute.lastIndexOf('/')), { recursive: true });
+    await this.fs.promises.writeFile(absolute, content, 'utf8');
+    this.pendingPaths.add(filepath);
+    if (!autoCommit) {
+      return { path: filepath, commit: null };
+    }
+    const commit = await this.commitChanges(`Update ${filepath}`, [filepath]);
+    return { path: filepath, commit };
+  }
+
+  async readFileRaw(path) {
+    if (!this.fs) {
+      return this.callBridge('read', { path });
+    }
+    const filepath = this.normalizePath(path);
+    await this.ensureRepository();
+
+    if (this.bare) {
+      const git = await this.git();
+      const head = await this.resolveHead();
+      try {
+        if (!head) throw new Error('empty repository');
+        const { blob } = await git.readBlob({ ...this.gitOptions(), oid: head, filepath });
+        return new TextDecoder().decode(blob);
+      } catch {
+        throw new Error(`File not found: ${path}`);
+      }
+    }
+
+    try {
+      return await this.fs.promises.readFile(this.absolutePath(filepath), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+        throw new Error(`File not found: ${path}`);
+      }
+      throw error;
+    }
+  }
+
+  async listDirectoryContents(dirPath = '') {
+    if (!this.fs) {
+      return this.callBridge('list', { path: dirPath });
+    }
+    const relative = this.normalizePath(dirPath);
+    await this.ensureRepository();
+
+    if (this.bare) {
+      const git = await this.git();
+      const head = await this.resolveHead();
+      if (!head) return [];
+      try {
+        const { tree } = await git.readTree({ ...this.gitOptions(), oid: head, filepath: relative || undefined });
+        return tree.map(entry => ({
+          name: entry.path,
+          type: entry.type === 'tree' ? 'dir' : 'file',
+          path: relative ? `${relative}/${entry.path}` : entry.path,
+          size: undefined,
+          sha: entry.oid
+        }));
+      } catch {
+        return [];
+      }
+    }
+
+    let names;
+    try {
+      names = await this.fs.promises.readdir(this.absolutePath(relative));
+    } catch {
+      return []; // Directory doesn't exist
+    }
+    const entries = [];
+    for (const name of names.filter(n => n !== '.git').sort()) {
+      const path = relative ? `${relative}/${name}` : name;
+      const stats = await this.fs.promises.stat(this.absolutePath(path));
+      entries.push({ name, type: stats.isDirectory() ? 'dir' : 'file', path, size: stats.isDirectory() ? 0 : stats.size, sha: undefined });
+    }
+    return entries;
+  }
+
+  /**
+   * Stage the given files (or every change when none are given) and commit them.
+   * @returns {Promise<string|null>} Commit id, or null when there was nothing to commit
+   */
+  async commitChanges(message, files) {
+    if (!this.fs) {
+      return this.callBridge('commit', { message, files });
+    }
+    await this.ensureRepository();
+    if (this.bare) {
+      // Writes to a bare repository are committed as they happen
+      return null;
+    }
+    return withLocalRepoLock(this.dir, () => this.commitWorkingTree(message, files));
+  }
+
+  async commitWorkingTree(message, files) {
+    const git = await this.git();
+    // Stage our own writes explicitly: statusMatrix trusts cached stats, so a same-size
+    // rewrite within the same second would otherwise look unchanged
+    for (const filepath of this.pendingPaths) {
+      await git.add({ ...this.gitOptions(), filepath });
+    }
+    this.pendingPaths.clear();
+    const filepaths = Array.isArray(files) && files.length > 0 ? files.map(file => this.normalizePath(file)) : undefined;
+    const matrix = await git.statusMatrix({ ...this.gitOptions(), filepaths });
+    // Rows are [filepath, HEAD, WORKDIR, STAGE]; 1/1/1 means unchanged
+    const changed = matrix.filter(([, head, workdir, stage]) => !(head === 1 && workdir === 1 && stage === 1));
+    if (changed.length === 0) {
+      return null;
+    }
+    for (const [filepath, , workdir] of changed) {
+      if (workdir === 0) {
+        await git.remove({ ...this.gitOptions(), filepath });
+      } else {
+        await git.add({ ...this.gitOptions(), filepath });
+      }
+    }
+    return git.commit({ ...this.gitOptions(), ref: `refs/heads/${this.branch}`, message, author: this.author });
+  }
+
+  // Build new trees with the given files replaced and commit them on top of the branch
+  commitTreeUpdate(filesByPath, message) {
+    return withLocalRepoLock(this.dir, () => this.writeTreeCommit(filesByPath, message));
+  }
+
+  async writeTreeCommit(filesByPath, message) {
+    const git = await this.git();
+    const options = this.gitOptions();
+    const head = await this.resolveHead();
+
+    const readEntries = async (treeOid) => {
+      if (!treeOid) return [];
+      const { tree } = await git.readTree({ ...options, oid: treeOid });
+      return tree;
+    };
+
+    const writeInto = async (treeOid, segments, blobOid) => {
+      const current = await readEntries(treeOid);
+      const existing = current.find(entry => entry.path === segments[0]);
+      const entries = current.filter(entry => entry !== existing);
+      if (segments.length === 1) {
+        entries.push({ mode: '100644', path: segments[0], oid: blobOid, type: 'blob' });
+      } else {
+        const subtree = await writeInto(existing?.type === 'tree' ? existing.oid : null, segments.slice(1), blobOid);
+        entries.push({ mode: '040000', path: segments[0], oid: subtree, type: 'tree' });
+      }
+      return git.writeTree({ ...options, tree: entries });
+    };
+
+    let treeOid = head ? (await git.readCommit({ ...options, oid: head })).commit.tree : null;
+    for (const [filepath, content] of Object.entries(filesByPath)) {
+      const blobOid = await git.writeBlob({ ...options, blob: new TextEncoder().encode(content) });
+      treeOid = await writeInto(treeOid, filepath.split('/'), blobOid);
+    }
+
+    return git.commit({
+      ...options,
+      ref: `refs/heads/${this.branch}`,
+      message,
+      author: this.author,
+      tree: treeOid,
+      parent: head ? [head] : []
+    });
+  }
+
+  async listCommits(path, { limit = 30 } = {}) {
+    if (!this.fs) {
+      return this.callBridge('log', { path, limit });
+    }
+    await this.ensureRepository();
+    if (!(await this.resolveHead())) return [];
+    const git = await this.git();
+    let entries;
+    try {
+      entries = await git.log({ ...this.gitOptions(), ref: this.branch, filepath: this.normalizePath(path) });
+    } catch {
+      return []; // File never committed
+    }
+    // depth bounds the walk rather than the matches when filtering by path, so trim here
+    return entries.slice(0, limit).map(entry => ({
+      sha: entry.oid,
+      message: entry.commit.message.trim(),
+      author: entry.commit.author.name,
+      date: new Date(entry.commit.author.timestamp * 1000).toISOString()
+    }));
+  }
+
+  async readFileAtCommit(path, sha) {
+    if (!this.fs) {
+      return this.callBridge('readAt', { path, sha });
+    }
+    await this.ensureRepository();
+    const git = await this.git();
+    try {
+      const { blob } = await git.readBlob({ ...this.gitOptions(), oid: sha, filepath: this.normalizePath(path) });
+      return new TextDecoder().decode(blob);
+    } catch {
+      throw new Error(`File not found: ${path}@${sha}`);
+    }
+  }
+
+  async exportFullGraph() {
+    const archive = {
+      provider: 'local',
+      dir: this.dir,
+      exportedAt: new Date().toISOString(),
+      files: {}
+    };
+
+    const files = await this.listSemanticFiles();
+    for (const file of files) {
+      if (file.path.endsWith('.ttl')) {
+        archive.files[file.path] = await this.readFileRaw(file.path);
+      }
+    }
+
+    return archive;
+  }
+
+  async importFullGraph(archive) {
+    if (archive.provider !== 'local') {
+      throw new Error('Archive is not from Local Git provider');
+    }
+
+    for (const [path, content] of Object.entries(archive.files)) {
+      const relativePath = path.replace(`${this.semanticPath}/`, '').replace('.ttl', '');
+      await this.writeSemanticFile(relativePath, content);
+    }
+  }
+
+  async isAvailable() {
+    if (!this.fs) {
+      try {
+        return await this.callBridge('status') === true;
+      } catch {
+        return false;
+      }
+    }
+    try {
+      await this.ensureRepository();
+      return true;
+    } catch (error) {
+      console.warn(`[LocalGitSemanticProvider] Repository unavailable at ${this.dir}:`, error.message);
+      return false;
+    }
+  }
+
+  async getStatus() {
+    const isAvailable = await this.isAvailable();
+    return {
+      provider: 'local',
+      available: isAvailable,
+      dir: this.dir,
+      bare: this.bare,
+      branch: this.branch,
+      semanticPath: this.semanticPath,
+      lastChecked: new Date().toISOString()
+    };
+  }
+
+  // Helper methods
+  async listSemanticFiles() {
+    const walk = async (dirPath) => {
+      const entries = await this.listDirectoryContents(dirPath);
+      const nested = await Promise.all(entries.map(entry => (entry.type === 'dir' ? walk(entry.path) : [entry])));
+      return nested.flat();
+    };
+    return walk(this.semanticPath);
+  }
+
+  generateStandardStructure(spaceName) {
+    return {
+      'profile/webid.ttl': `@prefix foaf: <http://xmlns.com/foaf/0.1/> .
+@prefix schema: <http://schema.org/> .
+
+<#me> a foaf:Person ;
+    foaf:name "${spaceName} Owner" ;
+    schema:url <${this.rootUrl}> .`,
+
+      'profile/preferences.ttl': `@prefix pref: <https://redstring.io/vocab/preferences/> .
+
+pref:DisplaySettings a pref:Settings ;
+    pref:theme "dark" ;
+    pref:language "en" .`,
+
+      'vocabulary/schemas/core-schema.ttl': `@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+
+<#Concept> a owl:Class ;
+    rdfs:label "Concept" ;
+    rdfs:comment "A semantic concept in the knowledge space" .`,
+
+      'federation/subscriptions.ttl': `@prefix fed: <https://redstring.io/vocab/federation/> .
+
+fed:Subscriptions a fed:SubscriptionList ;
+    fed:lastUpdated "${new Date().toISOString()}" .`,
+
+      'federation/permissions.ttl': `@prefix acl: <http://www.w3.org/ns/auth/acl#> .
+
+acl:DefaultPermissions a acl:AccessControl ;
+    acl:mode acl:Read ;
+    acl:agentClass foaf:Agent .`
+    };
+  }
+}
+
+/**
+ * Provider Factory
+ * Creates provider instances based on configuration
+ */
+export class SemanticProviderFactory {
+  static createProvider(config) {
+    switch (config.type) {
+      case 'github':
+        return new GitHubSemanticProvider(config);
+      case 'gitea':
+        return new GiteaSemanticProvider(config);
+      case 'gitlab':
+        return new GitLabSemanticProvider(config);
+      case 'local':
+        return new LocalGitSemanticProvider(config);
+      default:
+        throw new Error(`Unknown provider type: ${config.type}`);
+    }
+  }
+
+  static getAvailableProviders() {
+    return [
+      {
+        type: 'github',
+        name: 'GitHub',
+        description: 'GitHub-hosted semantic spaces',
+        authMechanism: 'oauth',
+        configFields: ['user', 'repo', 'token', 'semanticPath']
+      },
+      {
+        type: 'gitea',
+        name: 'Self-Host',
+        description: 'Self-hosted Gitea instance',
+        authMechanism: 'token',
+        configFields: ['endpoint', 'user', 'repo', 'token', 'semanticPath']
+      },
+      {
+        type: 'gitlab',
+        name: 'GitLab',
+        description: 'gitlab.com or self-hosted GitLab',
+        authMechanism: 'token',
+        configFields: ['endpoint', 'user', 'repo', 'token', 'branch', 'semanticPath']
+      },
+      {
+        type: 'local',
+        name: 'Local Git',
+        description: 'Git repository on this machine, no remote needed',
+        authMechanism: 'none',
+        configFields: ['dir', 'bare', 'branch', 'semanticPath']
       }
     ];
   }
@@ -4,6 +4,7 @@
  */
 
 import { exportToRedstring } from '../formats/redstringFormat.js';
+import { mergeUniverses, resolveMergeConflicts } from './universeMerge.js';
 
 // Source of truth modes
 const SOURCE_OF_TRUTH = {
@@ -64,6 +65,11 @@ class GitSyncEngine {
     this.circuitBreakerTimeout = 60000; // Keep circuit breaker open for 60 seconds
     this.recentApiCalls = []; // Track recent API calls for rate limiting
     
+    // Three-way merge state: the commit our local state last matched is the merge base
+    this.lastSyncedSha = null;
+    this.pendingMerge = null; // Merge with unresolved conflicts; commits wait until it is resolved
+    this.mergeHandler = null;
+    
     // Optional UI status handler
     this.statusHandler = null;
     
@@ -91,6 +97,21 @@ class GitSyncEngine {
     this.statusHandler = typeof handler === 'function' ? handler : null;
   }
 
+  // Allow the backend to react to merges ('synced' | 'merged' | 'conflict')
+  onMergeEvent(handler) {
+    this.mergeHandler = typeof handler === 'function' ? handler : null;
+  }
+
+  notifyMerge(event) {
+    try {
+      if (this.mergeHandler) {
+        this.mergeHandler(event);
+      }
+    } catch (error) {
+      console.warn('[GitSyncEngine] Merge handler failed:', error);
+    }
+  }
+
   notifyStatus(type, status) {
     try {
       if (this.statusHandler) {
@@ -152,7 +173,8 @@ class GitSyncEngine {
   
   /**
    * Merge Git data with existing local content
-   * Behavior depends on source of truth setting
+   * Behavior depends on source of truth setting; diverged edits are merged
+   * three-way against the last-synced commit by reconcileWithRemote
    */
   mergeWithLocalContent(gitData, localState) {
     console.log(`[GitSyncEngine] Evaluating Git data against local RedString content (source: ${this.sourceOfTruth})...`);
@@ -562,8 +584,19 @@ class GitSyncEngine {
       this.notifyStatus('info', `Committing ${commitCount} update${commitCount === 1 ? '' : 's'}...`);
       
       // Get the most recent state (always use the latest, discard intermediate states)
-      const latestState = this.pendingCommits[this.pendingCommits.length - 1].data;
-      const latestHash = this.pendingCommits[this.pendingCommits.length - 1].hash;
+      let latestState = this.pendingCommits[this.pendingCommits.length - 1].data;
+      let latestHash = this.pendingCommits[this.pendingCommits.length - 1].hash;
+      
+      // Fold in commits made elsewhere since our last sync instead of overwriting them
+      const reconciled = await this.reconcileWithRemote(latestState);
+      if (reconciled.status === 'conflict') {
+        console.log('[GitSyncEngine] Merge conflicts pending, holding commits until resolved');
+        return;
+      }
+      if (reconciled.status === 'merged') {
+        latestState = reconciled.storeState;
+        latestHash = this.generateStateHash(latestState);
+      }
       
       // Export to RedString format (raw JSON write, not TTL)
       const redstringData = exportToRedstring(latestState);
@@ -578,7 +611,8 @@ class GitSyncEngine {
       
       for (let attempt = 1; attempt <= 3; attempt++) {
         try {
-          await this.provider.writeFileRaw(this.getLatestPath(), jsonString);
+          const writeResult = await this.provider.writeFileRaw(this.getLatestPath(), jsonString);
+          await this.recordSyncedCommit(writeResult);
           writeSuccess = true;
           break;
         } catch (writeError) {
@@ -677,9 +711,9 @@ class GitSyncEngine {
       }
       
       // Check for redundant commits - don't commit identical content
-      const redstringData = exportToRedstring(storeState);
-      const jsonString = JSON.stringify(redstringData, null, 2);
-      const currentHash = this.generateStateHash(storeState);
+      let redstringData = exportToRedstring(storeState);
+      let jsonString = JSON.stringify(redstringData, null, 2);
+      let currentHash = this.generateStateHash(storeState);
       
       if (this.lastCommittedHash === currentHash) {
         console.log('[GitSyncEngine] Redundant commit prevented - content unchanged');
@@ -706,6 +740,17 @@ class GitSyncEngine {
       }
       this.isCommitInProgress = true;
       
+      // Remote commits since our last sync are merged in rather than overwritten
+      const reconciled = await this.reconcileWithRemote(storeState);
+      if (reconciled.status === 'conflict') {
+        return false;
+      }
+      if (reconciled.status === 'merged') {
+        redstringData = exportToRedstring(reconciled.storeState);
+        jsonString = JSON.stringify(redstringData, null, 2);
+        currentHash = this.generateStateHash(reconciled.storeState);
+      }
+      
       console.log('[GitSyncEngine] Always overwrites - forcing commit regardless of any detection');
       
       // Try up to 5 times with exponential backoff for 409 conflicts
@@ -715,7 +760,8 @@ class GitSyncEngine {
           // Track API call for circuit breaker
           this.recentApiCalls.push(Date.now());
           
-          await this.provider.writeFileRaw(this.getLatestPath(), jsonString);
+          const writeResult = await this.provider.writeFileRaw(this.getLatestPath(), jsonString);
+          await this.recordSyncedCommit(writeResult);
           
           // Success! Update tracking
           this.lastCommittedHash = currentHash;
@@ -782,6 +828,10 @@ class GitSyncEngine {
       try {
         const redstringData = JSON.parse(content);
         console.log('[GitSyncEngine] Successfully parsed RedString data');
+        // A remembered base must survive loads: replacing it with HEAD would hide remote work from the next merge
+        if (!this.lastSyncedSha) {
+          await this.recordSyncedCommit();
+        }
         return redstringData;
       } catch (parseError) {
         console.warn('[GitSyncEngine] Failed to parse JSON, file may be corrupted:', parseError.message);
@@ -795,6 +845,113 @@ class GitSyncEngine {
     }
   }
   
+  /**
+   * Commits that touched this universe's file, newest first
+   */
+  async listHistory({ limit = 30 } = {}) {
+    if (typeof this.provider.listCommits !== 'function') {
+      return [];
+    }
+    return this.provider.listCommits(this.getLatestPath(), { limit });
+  }
+
+  /**
+   * Load the universe file as it was at a commit (parsed RedString data)
+   */
+  async loadFromCommit(sha) {
+    const content = await this.provider.readFileAtCommit(this.getLatestPath(), sha);
+    if (!content || content.trim() === '') {
+      return null;
+    }
+    return JSON.parse(content);
+  }
+
+  /**
+   * Latest commit that touched this universe's file, or null when unknown
+   */
+  async getRemoteHeadSha() {
+    if (typeof this.provider.listCommits !== 'function') {
+      return null;
+    }
+    try {
+      const [head] = await this.provider.listCommits(this.getLatestPath(), { limit: 1 });
+      return head?.sha || null;
+    } catch (error) {
+      console.warn('[GitSyncEngine] Could not read remote head:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Remember the commit our local state now matches (the next merge base)
+   */
+  async recordSyncedCommit(writeResult = null) {
+    const written = writeResult?.commit;
+    this.setSyncedCommit((typeof written === 'string' ? written : written?.sha) || await this.getRemoteHeadSha());
+  }
+
+  setSyncedCommit(sha) {
+    if (sha && sha !== this.lastSyncedSha) {
+      this.lastSyncedSha = sha;
+      this.notifyMerge({ type: 'synced', sha });
+    }
+  }
+
+  /**
+   * Three-way merge commits made elsewhere since the last sync into localState
+   * @returns {Promise<{ status: 'clean'|'merged'|'conflict', storeState?: Object, result?: Object }>}
+   */
+  async reconcileWithRemote(localState) {
+    if (this.pendingMerge) {
+      return { status: 'conflict', result: this.pendingMerge };
+    }
+    if (!this.lastSyncedSha) {
+      return { status: 'clean' };
+    }
+    const headSha = await this.getRemoteHeadSha();
+    if (!headSha || headSha === this.lastSyncedSha) {
+      return { status: 'clean' };
+    }
+
+    console.log(`[GitSyncEngine] Remote moved ${this.lastSyncedSha.slice(0, 7)} → ${headSha.slice(0, 7)}, merging`);
+    const [base, remote] = await Promise.all([
+      this.loadFromCommit(this.lastSyncedSha),
+      this.loadFromCommit(headSha)
+    ]);
+    const result = mergeUniverses(base, localState, remote);
+    result.remoteSha = headSha;
+
+    if (result.hasConflicts) {
+      this.pendingMerge = result;
+      this.notifyStatus('warning', `${result.conflicts.length} merge conflict${result.conflicts.length === 1 ? '' : 's'} with remote changes - resolve to continue syncing`);
+      this.notifyMerge({ type: 'conflict', result });
+      return { status: 'conflict', result };
+    }
+
+    // Our state now contains the remote head; it is the base from here on
+    this.setSyncedCommit(headSha);
+    this.notifyStatus('info', 'Merged remote changes');
+    // localState goes along so listeners can tell the remote changes from edits made meanwhile
+    this.notifyMerge({ type: 'merged', storeState: result.storeState, localState, result });
+    return { status: 'merged', storeState: result.storeState, result };
+  }
+
+  /**
+   * Apply the user's conflict choices to the pending merge
+   * @param {Object} choices - conflict id → 'local' | 'remote'
+   * @returns {Object} Merged store state, ready to load and commit
+   */
+  resolvePendingMerge(choices = {}) {
+    if (!this.pendingMerge) {
+      throw new Error('No pending merge to resolve');
+    }
+    const merge = this.pendingMerge;
+    const storeState = resolveMergeConflicts(merge, choices);
+    this.pendingMerge = null;
+    this.setSyncedCommit(merge.remoteSha);
+    return storeState;
+  }
+
   /**
    * Manually end dragging state (useful for edge cases)
    */
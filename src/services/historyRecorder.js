@@ -0,0 +1,226 @@
+/**
+ * History Recorder - feeds store mutations into the event-sourced history
+ *
+ * The graph store hands every data-changing patch set here. Events are kept in
+ * an in-memory ring buffer (so the scrubber works offline) and, once the bridge
+ * daemon is reachable, batched to its event log for persistence.
+ *
+ * Drag gestures are coalesced into a single event when the gesture ends, and a
+ * baseline snapshot is taken lazily before the first recorded mutation so the
+ * log can always be replayed from a known state.
+ */
+
+import { bridgeFetch } from './bridgeConfig.js';
+import {
+  createMutationEvent,
+  createSnapshotEvent,
+  replayUniverse,
+  listGraphCheckpoints,
+  mergeHistoryEvents,
+  eventsForGraph
+} from './eventHistory.js';
+
+const DEFAULT_BUFFER_SIZE = 5000;
+const FLUSH_DELAY_MS = 1000;
+const MAX_BATCH = 200;
+
+const isGestureUpdate =(context = {}) =>
+  context.isDragging === true || context.phase === 'start' || context.phase === 'move';
+
+export class HistoryRecorder {
+  constructor({ bufferSize = DEFAULT_BUFFER_SIZE } = {}) {
+    this.bufferSize = bufferSize;
+    this.events = [];
+    this.pending = [];
+    this.gesture = null; // { patches, context } while a drag is in progress
+    this.hasBaseline = false;
+    this.actor = 'user';
+    this.lastTs = 0;
+    this.remoteEnabled = false;
+    this.flushTimer = null;
+    this.sessionId = `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.listeners = new Set();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _notify() {
+    this.listeners.forEach(fn => {
+      try { fn(); } catch (error) {
+        console.warn('[HistoryRecorder] Listener error:', error);
+      }
+    });
+  }
+
+  // Timestamps must be strictly increasing so replay order matches record order
+  _nextTs() {
+    this.lastTs = Math.max(Date.now(), this.lastTs + 1);
+    return this.lastTs;
+  }
+
+  /**
+   * Run fn with mutations attributed to the given actor (e.g. 'agent').
+   * Only changes made synchronously inside fn are covered: once an async fn
+   * awaits, the user may be editing too, so code after an await has to wrap
+   * its own changes again.
+   */
+  withActor(actor, fn) {
+    const previous = this.actor;
+    this.actor = actor;
+    try {
+      return fn();
+    } finally {
+      this.actor = previous;
+    }
+  }
+
+  /**
+   * Record the patches of one store change.
+   * @param {Array} patches - Immer patches
+   * @param {Object} context - Store change context (type, actor, isDragging, phase)
+   * @param {Object} stateBefore - Store state before the change, used for the lazy baseline
+   */
+  record(patches, context = {}, stateBefore = null) {
+    if (!patches || patches.length === 0) return;
+    if (!this.hasBaseline && stateBefore) {
+      this._push(createSnapshotEvent(stateBefore, { actor: 'system', reason: 'baseline', ts: this._nextTs(), sessionId: this.sessionId }));
+    }
+    this.hasBaseline = true;
+
+    if (isGestureUpdate(context) || (this.gesture && context.phase === 'end')) {
+      if (!this.gesture) this.gesture = { patches: [], context };
+      this.gesture.patches.push(...patches);
+      if (context.phase !== 'end') return;
+      patches = this.gesture.patches;
+      context = { ...this.gesture.context, ...context };
+      this.gesture = null;
+    } else if (this.gesture) {
+      // Something else changed mid-gesture; close the gesture first to keep order
+      this._pushMutation(this.gesture.patches, this.gesture.context);
+      this.gesture = null;
+    }
+    this._pushMutation(patches, context);
+  }
+
+  /**
+   * Record a full snapshot (universe load, reset) so replay can start from it.
+   */
+  recordSnapshot(state, reason = 'load') {
+    this.gesture = null;
+    this.hasBaseline = true;
+    this._push(createSnapshotEvent(state, { actor: this.actor, reason, ts: this._nextTs(), sessionId: this.sessionId }));
+  }
+
+  _pushMutation(patches, context) {
+    const event = createMutationEvent(patches, {
+      actor: context.actor || this.actor,
+      action: context.type || 'unknown',
+      ts: this._nextTs(),
+      sessionId: this.sessionId
+    });
+    if (event) this._push(event);
+  }
+
+  _push(event) {
+    this.events.push(event);
+    if (this.events.length > this.bufferSize) {
+      this.events.splice(0, this.events.length - this.bufferSize);
+    }
+    if (this.remoteEnabled) {
+      this.pending.push(event);
+      this._scheduleFlush();
+    }
+    this._notify();
+  }
+
+  /**
+   * Start persisting events to the bridge daemon; anything recorded so far is sent too.
+   */
+  enableRemote() {
+    if (this.remoteEnabled) return;
+    this.remoteEnabled = true;
+    this.pending.push(...this.events);
+    this._scheduleFlush();
+  }
+
+  disableRemote() {
+    this.remoteEnabled = false;
+    if (this.flushTimer) clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+  }
+
+  _scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, FLUSH_DELAY_MS);
+  }
+
+  async flush() {
+    if (!this.remoteEnabled || this.pending.length === 0) return;
+    const batch = this.pending.splice(0, MAX_BATCH);
+    try {
+      const res = await bridgeFetch('/api/history/events', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events: batch })
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    } catch (error) {
+      // Keep the batch for the next attempt; the local buffer still has it
+      this.pending.unshift(...batch);
+      console.warn('[HistoryRecorder] Could not persist history events:', error.message);
+      return;
+    }
+    if (this.pending.length > 0) this._scheduleFlush();
+  }
+
+  /**
+   * History events, from the daemon when available, otherwise from the local buffer.
+   * With a graphId, only what replaying that graph needs (see eventsForGraph).
+   * @param {Object} options - { graphId, since, until }
+   */
+  async loadEvents({ graphId = null, since = 0, until = null } = {}) {
+    const inRange = this.events.filter(e => e.ts >= since && (until == null || e.ts <= until));
+    const local = graphId ? eventsForGraph(inRange, graphId) : inRange;
+    if (this.remoteEnabled) {
+      try {
+        const params = new URLSearchParams({ since: String(since) });
+        if (graphId) params.set('graphId', graphId);
+        if (until != null) params.set('until', String(until));
+        const res = await bridgeFetch(`/api/history/events?${params.toString()}`);
+        if (res.ok) {
+          const data = await res.json();
+          // Local events may not have been flushed yet
+          if (Array.isArray(data.events)) return mergeHistoryEvents(data.events, local);
+        }
+      } catch (error) {
+        console.warn('[HistoryRecorder] Falling back to local history:', error.message);
+      }
+    }
+    return local;
+  }
+
+  getCheckpoints(graphId) {
+    return listGraphCheckpoints(this.events, graphId);
+  }
+
+  replay(at = Infinity) {
+    return replayUniverse(this.events, at);
+  }
+
+  clear() {
+    this.events = [];
+    this.pending = [];
+    this.gesture = null;
+    this.hasBaseline = false;
+    this._notify();
+  }
+}
+
+const historyRecorder = new HistoryRecorder();
+export default historyRecorder;
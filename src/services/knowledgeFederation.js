@@ -7,6 +7,13 @@
 
 import { enrichFromSemanticWeb } from './semanticWebQuery.js';
 import { sparqlClient } from './sparqlClient.js';
+import { semanticSources } from './semanticSources/index.js';
+import {
+  queryConceptNet,
+  getConceptNetRelationships,
+  searchConceptNet,
+  extractConceptNetLabel
+} from './semanticSources/conceptnet.js';
 
 export class KnowledgeFederation {
   constructor(graphStore) {
@@ -37,6 +44,40 @@ export class KnowledgeFederation {
     this.importCache = new Map();
   }
 
+  /**
+   * Look up a source by name: the built-in ones above, then anything in the
+   * semantic source registry (user-added SPARQL endpoints, RDF files, fixtures)
+   * @param {string} sourceName - Source id
+   * @returns {Object|null} { name, endpoint, queryFn, relationshipFn }
+   */
+  getSource(sourceName) {
+    if (this.federatedSources.has(sourceName)) {
+      return this.federatedSources.get(sourceName);
+    }
+    const registered = semanticSources.get(sourceName);
+    if (!registered) return null;
+
+    const trust = semanticSources.getTrust(sourceName);
+    return {
+      name: registered.name,
+      endpoint: null,
+      queryFn: async (entityName) => {
+        if (!registered.lookup) return [];
+        const entity = await semanticSources.call(sourceName, 'lookup', entityName);
+        return entity ? [{
+          uri: entity.uri,
+          description: entity.description,
+          types: entity.types || [],
+          confidence: trust,
+          properties: {}
+        }] : [];
+      },
+      relationshipFn: (entityName, options = {}) => (registered.relationships
+        ? semanticSources.call(sourceName, 'relationships', entityName, options)
+        : Promise.resolve([]))
+    };
+  }
+
   /**
    * Import a knowledge cluster around a seed entity
    * @param {string} seedEntity - Starting entity name
@@ -194,7 +235,7 @@ export class KnowledgeFederation {
 
     // Query each source
     for (const sourceName of sources) {
-      const source = this.federatedSources.get(sourceName);
+      const source = this.getSource(sourceName);
       if (!source) continue;
 
       try {
@@ -271,7 +312,7 @@ export class KnowledgeFederation {
     const relationships = [];
 
     for (const sourceName of sources) {
-      const source = this.federatedSources.get(sourceName);
+      const source = this.getSource(sourceName);
       if (!source) continue;
 
       try {
@@ -302,7 +343,10 @@ export class KnowledgeFederation {
    */
   async federatedSearch(query, options = {}) {
     const { 
-      sources = Array.from(this.federatedSources.keys()),
+      sources = [
+        ...this.federatedSources.keys(),
+        ...semanticSources.enabledIds('search').filter(id => !this.federatedSources.has(id))
+      ],
       limit = 20,
       minConfidence = 0.5,
       includeSnippets = true
@@ -324,7 +368,7 @@ export class KnowledgeFederation {
 
     // Search each source in parallel
     for (const sourceName of sources) {
-      const source = this.federatedSources.get(sourceName);
+      const source = this.getSource(sourceName);
       if (!source) continue;
 
       searchPromises.push(
@@ -382,6 +426,14 @@ export class KnowledgeFederation {
       return await this.searchDBpedia(sanitizedQuery, { limit, includeSnippets });
     } else if (sourceName === 'conceptnet') {
       return await this.searchConceptNet(sanitizedQuery, { limit, includeSnippets });
+    } else if (semanticSources.get(sourceName)?.search) {
+      const entities = await semanticSources.call(sourceName, 'search', sanitizedQuery, { limit });
+      return entities.map(entity => ({
+        title: entity.label,
+        snippet: entity.description,
+        uri: entity.uri,
+        confidence: this.calculateSearchConfidence(sanitizedQuery, entity.label || '')
+      }));
     }
     
     return [];
@@ -534,42 +586,14 @@ export class KnowledgeFederation {
    * Query ConceptNet (REST API)
    */
   async queryConceptNet(entityName) {
-    try {
-      const response = await fetch(`/api/conceptnet/c/en/${entityName.toLowerCase().replace(/\s+/g, '_')}?limit=10`);
-      if (!response.ok) return [];
-      
-      const data = await response.json();
-      return [{
-        uri: data['@id'],
-        description: `ConceptNet concept: ${entityName}`,
-        types: ['concept'],
-        confidence: 0.7,
-        properties: {}
-      }];
-    } catch (error) {
-      return [];
-    }
+    return queryConceptNet(entityName);
   }
 
   /**
    * Get ConceptNet relationships
    */
   async getConceptNetRelationships(entityName, options = {}) {
-    const { limit = 10 } = options;
-    
-    try {
-      const response = await fetch(`/api/conceptnet/query?node=/c/en/${entityName.toLowerCase().replace(/\s+/g, '_')}&limit=${limit}`);
-      if (!response.ok) return [];
-      
-      const data = await response.json();
-      return data.edges.map(edge => ({
-        target: this.extractConceptNetLabel(edge.end),
-        relation: edge.rel?.label || 'related_to',
-        confidence: edge.weight || 0.5
-      }));
-    } catch (error) {
-      return [];
-    }
+    return getConceptNetRelationships(entityName, options);
   }
 
   // Search methods
@@ -642,22 +666,7 @@ export class KnowledgeFederation {
    * Search ConceptNet
    */
   async searchConceptNet(query, options = {}) {
-    const { limit = 10 } = options;
-    
-    try {
-      const response = await fetch(`/api/conceptnet/search?text=${encodeURIComponent(query)}&limit=${limit}`);
-      if (!response.ok) return [];
-      
-      const data = await response.json();
-      return data.edges.map(edge => ({
-        title: this.extractConceptNetLabel(edge.start),
-        snippet: `${edge.rel?.label || 'relates to'} ${this.extractConceptNetLabel(edge.end)}`,
-        uri: edge.start['@id'],
-        confidence: edge.weight || 0.5
-      }));
-    } catch (error) {
-      return [];
-    }
+    return searchConceptNet(query, options);
   }
 
   // Utility methods
@@ -768,16 +777,7 @@ export class KnowledgeFederation {
    * Extract readable label from ConceptNet URI
    */
   extractConceptNetLabel(conceptUri) {
-    if (typeof conceptUri === 'string') {
-      const parts = conceptUri.split('/');
-      return parts[parts.length - 1].replace(/_/g, ' ');
-    }
-    
-    if (conceptUri && conceptUri.label) {
-      return conceptUri.label;
-    }
-    
-    return 'unknown';
+    return extractConceptNetLabel(conceptUri);
   }
 }
 
@@ -0,0 +1,183 @@
+/**
+ * Anthropic Messages API adapter
+ */
+
+import { LLMProviderError, postJSON, readEventStream, parseToolArguments } from './http.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const STOP_REASONS = {
+  end_turn: 'end',
+  stop_sequence: 'end',
+  tool_use: 'tool_use',
+  max_tokens: 'max_tokens'
+};
+
+/**
+ * Translate neutral messages to Messages API turns. Tool results become
+ * user turns, and consecutive turns of one role are merged because the API
+ * requires user and assistant to alternate. Assistant turns with neither
+ * text nor tool calls are dropped, since the API rejects empty content.
+ * @throws {LLMProviderError} 400 for a role other than user, assistant or tool
+ */
+export function toAnthropicMessages(messages = []) {
+  const turns = [];
+  const push = (role, blocks) => {
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) last.content.push(...blocks);
+    else turns.push({ role, content: blocks });
+  };
+
+  messages.forEach(message => {
+    if (message.role === 'tool') {
+      push('user', [{
+        type: 'tool_result',
+        tool_use_id: message.toolCallId,
+        content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+      }]);
+    } else if (message.role === 'assistant') {
+      const blocks = message.content ? [{ type: 'text', text: message.content }] : [];
+      (message.toolCalls || []).forEach(call => {
+        blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} });
+      });
+      if (blocks.length > 0) push('assistant', blocks);
+    } else if (message.role === 'user') {
+      push('user', [{ type: 'text', text: String(message.content ?? '') }]);
+    } else {
+      throw new LLMProviderError(`Unsupported message role "${message.role}"`, { status: 400 });
+    }
+  });
+  return turns;
+}
+
+export const toAnthropicTools = (tools = []) => tools.map(tool => ({
+  name: tool.name,
+  description: tool.description || '',
+  input_schema: tool.parameters || { type: 'object', properties: {} }
+}));
+
+const fromUsage = (usage = {}) => ({ inputTokens: usage.input_tokens ?? null, outputTokens: usage.output_tokens ?? null });
+
+/**
+ * @param {Object} profile - From resolveLLMProfile
+ * @param {Object} options - { fetch }
+ * @returns {LLMProvider}
+ */
+export function createAnthropicProvider(profile, { fetch: fetchImpl }) {
+  const headers = {
+    'x-api-key': profile.apiKey || '',
+    'anthropic-version': ANTHROPIC_VERSION,
+    ...profile.headers
+  };
+
+  const buildBody = (request, stream) => {
+    const body = {
+      model: request.model || profile.model,
+      max_tokens: request.maxTokens ?? profile.settings.max_tokens,
+      temperature: request.temperature ?? profile.settings.temperature,
+      messages: toAnthropicMessages(request.messages)
+    };
+    if (request.system) body.system = request.system;
+    if (request.tools?.length) body.tools = toAnthropicTools(request.tools);
+    if (stream) body.stream = true;
+    return body;
+  };
+
+  const send = (request, stream) => postJSON(fetchImpl, profile.endpoint, {
+    provider: profile.provider,
+    headers,
+    body: buildBody(request, stream),
+    signal: request.signal
+  });
+
+  return {
+    id: profile.provider,
+    kind: 'anthropic',
+    model: profile.model,
+
+    async chat(request) {
+      const data = await (await send(request, false)).json();
+      const blocks = Array.isArray(data?.content) ? data.content : [];
+      return {
+        text: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+        toolCalls: blocks
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+        stopReason: STOP_REASONS[data?.stop_reason] || data?.stop_reason || 'end',
+        model: data?.model || request.model || profile.model,
+        usage: fromUsage(data?.usage)
+      };
+    },
+
+    async *stream(request) {
+      const response = await send(request, true);
+      const blocks = new Map(); // index -> { type, text | id, name, json }
+      let model = request.model || profile.model;
+      let stopReason = 'end';
+      let usage = {};
+
+      for await (const { data } of readEventStream(response.body)) {
+        let payload;
+        try {
+          payload = JSON.parse(data);
+        } catch {
+          continue;
+        }
+
+        switch (payload.type) {
+          case 'message_start':
+            model = payload.message?.model || model;
+            usage = { ...usage, ...payload.message?.usage };
+            break;
+          case 'content_block_start': {
+            const block = payload.content_block || {};
+            blocks.set(payload.index, block.type === 'tool_use'
+              ? { type: 'tool_use', id: block.id, name: block.name, json: '' }
+              : { type: 'text', text: block.text || '' });
+            if (block.text) yield { type: 'text', text: block.text };
+            break;
+          }
+          case 'content_block_delta': {
+            const block = blocks.get(payload.index);
+            if (payload.delta?.type === 'text_delta') {
+              if (block) block.text += payload.delta.text;
+              yield { type: 'text', text: payload.delta.text };
+            } else if (payload.delta?.type === 'input_json_delta' && block) {
+              block.json += payload.delta.partial_json;
+            }
+            break;
+          }
+          case 'content_block_stop': {
+            const block = blocks.get(payload.index);
+            if (block?.type === 'tool_use') {
+              yield { type: 'tool_call', toolCall: { id: block.id, name: block.name, arguments: parseToolArguments(block.json) } };
+            }
+            break;
+          }
+          case 'message_delta':
+            stopReason = STOP_REASONS[payload.delta?.stop_reason] || payload.delta?.stop_reason || stopReason;
+            usage = { ...usage, ...payload.usage };
+            break;
+          case 'error':
+            throw new LLMProviderError(`${profile.provider} stream failed: ${payload.error?.message || 'unknown error'}`, { provider: profile.provider });
+          default:
+            break;
+        }
+      }
+
+      const ordered = Array.from(blocks.entries()).sort(([a], [b]) => a - b).map(([, block]) => block);
+      yield {
+        type: 'done',
+        result: {
+          text: ordered.filter(block => block.type === 'text').map(block => block.text).join(''),
+          toolCalls: ordered
+            .filter(block => block.type === 'tool_use')
+            .map(block => ({ id: block.id, name: block.name, arguments: parseToolArguments(block.json) })),
+          stopReason,
+          model,
+          usage: fromUsage(usage)
+        }
+      };
+    }
+  };
+}
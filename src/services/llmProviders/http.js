@@ -0,0 +1,104 @@
+/**
+ * HTTP plumbing shared by the LLM provider adapters
+ */
+
+export class LLMProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.provider] - Provider id the request went to
+   * @param {number} [details.status] - HTTP status, when the provider answered
+   * @param {string} [details.body] - Response body, passed through to callers
+   */
+  constructor(message, { provider = null, status = null, body = null } = {}) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * POST a JSON body and return the response, throwing LLMProviderError on HTTP errors.
+ */
+export async function postJSON(fetchImpl, url, { provider, headers = {}, body, signal }) {
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (error) {
+    if (error?.name === 'AbortError') throw error;
+    throw new LLMProviderError(`${provider} is unreachable at ${url}: ${error.message}`, { provider });
+  }
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new LLMProviderError(`${provider} request failed: HTTP ${response.status}${text ? `: ${text.slice(0, 300)}` : ''}`, {
+      provider,
+      status: response.status,
+      body: text
+    });
+  }
+  return response;
+}
+
+/**
+ * Read a server-sent event stream.
+ * Accepts a WHATWG ReadableStream or any async iterable of chunks (node-fetch bodies).
+ * @returns {AsyncGenerator<{ event: string|null, data: string }>}
+ */
+export async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = null;
+  let data = [];
+
+  const chunks = typeof body?.getReader === 'function' && !body[Symbol.asyncIterator]
+    ? (async function* () {
+      const reader = body.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield value;
+      }
+    })()
+    : body;
+
+  for await (const chunk of chunks) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+
+      if (line === '') {
+        if (data.length) yield { event, data: data.join('\n') };
+        event = null;
+        data = [];
+      } else if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+  }
+  if (data.length) yield { event, data: data.join('\n') };
+}
+
+/**
+ * Parse tool arguments a model produced; models sometimes emit invalid JSON.
+ */
+export function parseToolArguments(text) {
+  if (!text) return {};
+  if (typeof text === 'object') return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { _raw: text };
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * LLM Providers
+ *
+ * One chat interface over the model APIs the bridge agent can talk to:
+ * Anthropic Messages, OpenAI-compatible chat completions (OpenAI,
+ * OpenRouter) and local servers speaking the same protocol (Ollama,
+ * llama.cpp), so teams can point the agent at an on-prem model.
+ *
+ * Adapters translate the neutral request below, including tool
+ * definitions, tool calls and tool results, to each provider's wire format
+ * and back, and can stream the answer.
+ *
+ * @typedef {Object} LLMMessage
+ * @property {string} role - 'user' | 'assistant' | 'tool'
+ * @property {string} [content]
+ * @property {LLMToolCall[]} [toolCalls] - On assistant messages
+ * @property {string} [toolCallId] - On tool messages, the call being answered
+ *
+ * @typedef {Object} LLMTool
+ * @property {string} name
+ * @property {string} [description]
+ * @property {Object} [parameters] - JSON Schema for the arguments
+ *
+ * @typedef {Object} LLMToolCall
+ * @property {string} id
+ * @property {string} name
+ * @property {Object} arguments
+ *
+ * @typedef {Object} LLMRequest
+ * @property {string} [system]
+ * @property {LLMMessage[]} messages
+ * @property {LLMTool[]} [tools]
+ * @property {string} [model] - Overrides the profile's model
+ * @property {number} [maxTokens]
+ * @property {number} [temperature]
+ * @property {AbortSignal} [signal]
+ *
+ * @typedef {Object} LLMResult
+ * @property {string} text
+ * @property {LLMToolCall[]} toolCalls
+ * @property {string} stopReason - 'end' | 'tool_use' | 'max_tokens' | provider-specific
+ * @property {string} model
+ * @property {{ inputTokens: number|null, outputTokens: number|null }} usage
+ *
+ * @typedef {Object} LLMProvider
+ * @property {string} id - Provider id from the profile
+ * @property {string} kind - 'anthropic' | 'openai'
+ * @property {string} model
+ * @property {Function} chat - (LLMRequest) => Promise<LLMResult>
+ * @property {Function} stream - (LLMRequest) => AsyncGenerator of
+ *   { type: 'text', text } | { type: 'tool_call', toolCall } | { type: 'done', result: LLMResult }
+ */
+
+import { createAnthropicProvider } from './anthropic.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { LLMProviderError } from './http.js';
+
+export { LLMProviderError, readEventStream } from './http.js';
+export { createAnthropicProvider, toAnthropicMessages, toAnthropicTools } from './anthropic.js';
+export { createOpenAICompatibleProvider, toOpenAIMessages, toOpenAITools } from './openaiCompatible.js';
+
+// Providers we know how to reach; anything else is treated as OpenAI-compatible
+export const PROVIDER_PRESETS = {
+  anthropic: {
+    name: 'Anthropic Claude',
+    kind: 'anthropic',
+    endpoint: 'https://api.anthropic.com/v1/messages',
+    model: 'claude-3-sonnet-20240229',
+    requiresKey: true
+  },
+  openai: {
+    name: 'OpenAI GPT',
+    kind: 'openai',
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+    model: 'gpt-4o',
+    requiresKey: true
+  },
+  openrouter: {
+    name: 'OpenRouter',
+    kind: 'openai',
+    endpoint: 'https://openrouter.ai/api/v1/chat/completions',
+    model: 'anthropic/claude-3-sonnet-20240229',
+    requiresKey: true,
+    headers: { 'HTTP-Referer': 'http://localhost:4000', 'X-Title': 'Redstring Knowledge Graph' }
+  },
+  ollama: {
+    name: 'Ollama (local)',
+    kind: 'openai',
+    endpoint: 'http://localhost:11434/v1/chat/completions',
+    model: 'llama3.1',
+    requiresKey: false
+  },
+  llamacpp: {
+    name: 'llama.cpp server (local)',
+    kind: 'openai',
+    endpoint: 'http://localhost:8080/v1/chat/completions',
+    model: 'default',
+    requiresKey: false
+  }
+};
+
+const DEFAULT_PROVIDER = 'openrouter';
+const DEFAULT_SETTINGS = { temperature: 0.7, max_tokens: 1000 };
+
+const isLocalEndpoint = (endpoint) => {
+  try {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(endpoint).hostname);
+  } catch {
+    return false;
+  }
+};
+
+const readEnv = (env, key) => {
+  const value = env?.[key];
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+};
+
+/**
+ * Work out which provider, endpoint and model a request should use.
+ *
+ * In order of precedence: the caller's profile (apiKeyManager's apiConfig),
+ * the server defaults in REDSTRING_LLM_PROVIDER / _ENDPOINT / _MODEL /
+ * _API_KEY, then the provider implied by the key's prefix.
+ *
+ * The caller may only name an endpoint the server already knows (its
+ * provider's preset or REDSTRING_LLM_ENDPOINT) unless the operator sets
+ * REDSTRING_LLM_ALLOW_CUSTOM_ENDPOINTS. REDSTRING_LLM_API_KEY is only ever
+ * sent to the server's own endpoint.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.apiConfig] - { provider, endpoint, model, settings }
+ * @param {string} [options.apiKey] - From the Authorization header
+ * @param {string} [options.model] - Model asked for on this request
+ * @param {Object} [options.env] - Environment to read server defaults from
+ * @returns {Object} Profile for createLLMProvider
+ * @throws {LLMProviderError} 403 when the caller names an endpoint that isn't allowed
+ */
+export function resolveLLMProfile({ apiConfig = null, apiKey = '', model = null, env = {} } = {}) {
+  const server = {
+    provider: readEnv(env, 'REDSTRING_LLM_PROVIDER'),
+    endpoint: readEnv(env, 'REDSTRING_LLM_ENDPOINT'),
+    model: readEnv(env, 'REDSTRING_LLM_MODEL'),
+    apiKey: readEnv(env, 'REDSTRING_LLM_API_KEY')
+  };
+  const useServer = !apiConfig?.provider && Boolean(server.provider || server.endpoint);
+
+  let provider = apiConfig?.provider || (useServer ? server.provider : null);
+  if (!provider) {
+    provider = apiKey.startsWith('claude-') || apiKey.startsWith('sk-ant-') ? 'anthropic' : DEFAULT_PROVIDER;
+  }
+
+  const preset = PROVIDER_PRESETS[provider];
+  const serverEndpoint = (useServer ? server.endpoint : null) || preset?.endpoint || '';
+  const callerEndpoint = typeof apiConfig?.endpoint === 'string' ? apiConfig.endpoint.trim() : '';
+  const allowCustom = /^(1|true|yes)$/i.test(readEnv(env, 'REDSTRING_LLM_ALLOW_CUSTOM_ENDPOINTS') || '');
+  if (callerEndpoint && callerEndpoint !== serverEndpoint && !allowCustom) {
+    throw new LLMProviderError(
+      `Endpoint ${callerEndpoint} is not allowed for "${provider}"; set REDSTRING_LLM_ALLOW_CUSTOM_ENDPOINTS on the bridge to use custom endpoints`,
+      { provider, status: 403 }
+    );
+  }
+  const endpoint = callerEndpoint || serverEndpoint;
+  const kind = preset?.kind || (/\/v1\/messages\/?$/.test(endpoint) ? 'anthropic' : 'openai');
+
+  return {
+    provider,
+    kind,
+    endpoint,
+    model: model || apiConfig?.model || (useServer ? server.model : null) || preset?.model || '',
+    apiKey: apiKey || (useServer && endpoint === serverEndpoint ? server.apiKey : null) || '',
+    requiresKey: preset ? preset.requiresKey : !isLocalEndpoint(endpoint),
+    headers: { ...preset?.headers },
+    settings: { ...DEFAULT_SETTINGS, ...apiConfig?.settings }
+  };
+}
+
+/**
+ * @param {Object} profile - From resolveLLMProfile
+ * @param {Object} [options]
+ * @param {Function} [options.fetch] - Defaults to the global fetch
+ * @returns {LLMProvider}
+ */
+export function createLLMProvider(profile, { fetch: fetchImpl = globalThis.fetch } = {}) {
+  if (!profile?.endpoint) {
+    throw new LLMProviderError(`No endpoint configured for provider "${profile?.provider}"`, { provider: profile?.provider });
+  }
+  if (profile.requiresKey && !profile.apiKey) {
+    throw new LLMProviderError(`Provider "${profile.provider}" needs an API key`, { provider: profile.provider, status: 401 });
+  }
+  return profile.kind === 'anthropic'
+    ? createAnthropicProvider(profile, { fetch: fetchImpl })
+    : createOpenAICompatibleProvider(profile, { fetch: fetchImpl });
+}
+
+export default createLLMProvider;
@@ -0,0 +1,157 @@
+/**
+ * OpenAI-compatible chat completions adapter
+ *
+ * Covers OpenAI, OpenRouter and the local servers that speak the same
+ * protocol (Ollama's /v1 API, llama.cpp server, vLLM, LM Studio).
+ */
+
+import { postJSON, readEventStream, parseToolArguments } from './http.js';
+
+const STOP_REASONS = {
+  stop: 'end',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  length: 'max_tokens'
+};
+
+/**
+ * Translate neutral messages to chat completion messages.
+ */
+export function toOpenAIMessages(system, messages = []) {
+  const result = system ? [{ role: 'system', content: system }] : [];
+  messages.forEach(message => {
+    if (message.role === 'tool') {
+      result.push({
+        role: 'tool',
+        tool_call_id: message.toolCallId,
+        content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+      });
+    } else if (message.role === 'assistant' && message.toolCalls?.length) {
+      result.push({
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      });
+    } else if (message.role === 'user' || message.role === 'assistant') {
+      result.push({ role: message.role, content: String(message.content ?? '') });
+    }
+  });
+  return result;
+}
+
+export const toOpenAITools = (tools = []) => tools.map(tool => ({
+  type: 'function',
+  function: {
+    name: tool.name,
+    description: tool.description || '',
+    parameters: tool.parameters || { type: 'object', properties: {} }
+  }
+}));
+
+const fromUsage = (usage = {}) => ({ inputTokens: usage?.prompt_tokens ?? null, outputTokens: usage?.completion_tokens ?? null });
+
+/**
+ * @param {Object} profile - From resolveLLMProfile
+ * @param {Object} options - { fetch }
+ * @returns {LLMProvider}
+ */
+export function createOpenAICompatibleProvider(profile, { fetch: fetchImpl }) {
+  const headers = {
+    ...(profile.apiKey ? { Authorization: `Bearer ${profile.apiKey}` } : {}),
+    ...profile.headers
+  };
+
+  const buildBody = (request, stream) => {
+    const body = {
+      model: request.model || profile.model,
+      messages: toOpenAIMessages(request.system, request.messages),
+      max_tokens: request.maxTokens ?? profile.settings.max_tokens,
+      temperature: request.temperature ?? profile.settings.temperature
+    };
+    if (request.tools?.length) body.tools = toOpenAITools(request.tools);
+    if (stream) body.stream = true;
+    return body;
+  };
+
+  const send = (request, stream) => postJSON(fetchImpl, profile.endpoint, {
+    provider: profile.provider,
+    headers,
+    body: buildBody(request, stream),
+    signal: request.signal
+  });
+
+  return {
+    id: profile.provider,
+    kind: 'openai',
+    model: profile.model,
+
+    async chat(request) {
+      const data = await (await send(request, false)).json();
+      const choice = data?.choices?.[0] || {};
+      return {
+        text: choice.message?.content || '',
+        toolCalls: (choice.message?.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function?.name,
+          arguments: parseToolArguments(call.function?.arguments)
+        })),
+        stopReason: STOP_REASONS[choice.finish_reason] || choice.finish_reason || 'end',
+        model: data?.model || request.model || profile.model,
+        usage: fromUsage(data?.usage)
+      };
+    },
+
+    async *stream(request) {
+      const response = await send(request, true);
+      const calls = new Map(); // index -> { id, name, json }
+      let text = '';
+      let model = request.model || profile.model;
+      let stopReason = 'end';
+      let usage = null;
+
+      for await (const { data } of readEventStream(response.body)) {
+        if (data === '[DONE]') break;
+        let payload;
+        try {
+          payload = JSON.parse(data);
+        } catch {
+          continue;
+        }
+
+        model = payload.model || model;
+        usage = payload.usage || usage;
+        const choice = payload.choices?.[0];
+        if (!choice) continue;
+
+        if (choice.delta?.content) {
+          text += choice.delta.content;
+          yield { type: 'text', text: choice.delta.content };
+        }
+        // Tool calls arrive in fragments keyed by index; only the first carries id and name
+        (choice.delta?.tool_calls || []).forEach(fragment => {
+          const index = fragment.index ?? calls.size;
+          const call = calls.get(index) || { id: null, name: '', json: '' };
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.name += fragment.function.name;
+          if (fragment.function?.arguments) call.json += fragment.function.arguments;
+          calls.set(index, call);
+        });
+        if (choice.finish_reason) {
+          stopReason = STOP_REASONS[choice.finish_reason] || choice.finish_reason;
+        }
+      }
+
+      const toolCalls = Array.from(calls.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([index, call]) => ({ id: call.id || `call_${index}`, name: call.name, arguments: parseToolArguments(call.json) }));
+      for (const toolCall of toolCalls) {
+        yield { type: 'tool_call', toolCall };
+      }
+      yield { type: 'done', result: { text, toolCalls, stopReason, model, usage: fromUsage(usage) } };
+    }
+  };
+}
@@ -0,0 +1,443 @@
+/**
+ * Offline Cache
+ *
+ * One cache for everything Redstring looks up on the semantic web: resolved
+ * RDF documents, SPARQL answers, enrichment results and orbit candidates.
+ * Entries live in memory and are written through to a persistent backend
+ * (IndexedDB in the browser, a JSON file in Node) so lookups keep working
+ * across reloads and without a network.
+ *
+ * Each entry belongs to a namespace ('rdf', 'sparql', ...) and has a TTL.
+ * fetch() serves fresh entries directly, serves stale ones while refreshing
+ * them in the background, and falls back to whatever it has when the
+ * network fails.
+ *
+ * @typedef {Object} CacheEntry
+ * @property {string} id - `${namespace}|${key}`
+ * @property {string} namespace
+ * @property {string} key
+ * @property {*} value - Anything JSON can represent
+ * @property {number} storedAt
+ * @property {number|null} expiresAt - null never expires
+ * @property {number} bytes - Approximate serialized size
+ *
+ * @typedef {Object} CacheBackend
+ * @property {Function} loadAll - () => Promise<CacheEntry[]>
+ * @property {Function} put - (entry) => Promise
+ * @property {Function} delete - (ids) => Promise
+ * @property {Function} clear - () => Promise
+ * @property {Function} [flush] - () => Promise, for backends that batch writes
+ */
+
+export const SNAPSHOT_VERSION = 1;
+
+const DEFAULT_MAX_ENTRIES = 5000;
+const DEFAULT_MAX_BYTES = 25 * 1024 * 1024; // 25 MB
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+const entryId = (namespace, key) => `${namespace}|${key}`;
+
+const sizeOf = (value) => {
+  try {
+    return JSON.stringify(value)?.length || 0;
+  } catch {
+    return 0;
+  }
+};
+
+/**
+ * Backend that keeps nothing beyond the page; used where no storage exists.
+ * @returns {CacheBackend}
+ */
+export function createMemoryBackend() {
+  const entries = new Map();
+  return {
+    kind: 'memory',
+    loadAll: async () => Array.from(entries.values()),
+    put: async (entry) => { entries.set(entry.id, entry); },
+    delete: async (ids) => { ids.forEach(id => entries.delete(id)); },
+    clear: async () => { entries.clear(); }
+  };
+}
+
+export class OfflineCache {
+  /**
+   * @param {Object} [options]
+   * @param {CacheBackend} [options.backend] - Where entries persist (memory only by default)
+   * @param {number} [options.maxEntries] - Least recently used entries are evicted past this
+   * @param {number} [options.maxBytes] - ...or past this approximate total size
+   * @param {Function} [options.now] - Clock, for deterministic tests
+   */
+  constructor({ backend = createMemoryBackend(), maxEntries = DEFAULT_MAX_ENTRIES, maxBytes = DEFAULT_MAX_BYTES, now = () => Date.now() } = {}) {
+    this.backend = backend;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.now = now;
+
+    this.entries = new Map(); // id -> CacheEntry, in least-recently-used order
+    this.totalBytes = 0;
+    this.inflight = new Map(); // id -> Promise of a running load
+    this.background = new Set(); // revalidations and writes not awaited by callers
+    this.listeners = new Set();
+
+    this.hydrated = false;
+    this.ready = this.hydrate();
+  }
+
+  /**
+   * Load persisted entries; anything set meanwhile wins over them.
+   * @private
+   */
+  async hydrate() {
+    try {
+      const persisted = await this.backend.loadAll();
+      persisted
+        .sort((a, b) => a.storedAt - b.storedAt)
+        .forEach(entry => {
+          if (!this.entries.has(entry.id)) this.remember(entry);
+        });
+      this.evict();
+    } catch (error) {
+      console.warn('[OfflineCache] Could not load persisted entries:', error);
+    }
+    this.hydrated = true;
+  }
+
+  /** @private */
+  remember(entry) {
+    const previous = this.entries.get(entry.id);
+    if (previous) {
+      this.totalBytes -= previous.bytes;
+      this.entries.delete(entry.id);
+    }
+    this.entries.set(entry.id, entry);
+    this.totalBytes += entry.bytes;
+  }
+
+  /** @private */
+  forget(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    this.entries.delete(id);
+    this.totalBytes -= entry.bytes;
+    return true;
+  }
+
+  /** @private */
+  touch(entry) {
+    // Re-inserting moves the entry to the most recently used end
+    this.entries.delete(entry.id);
+    this.entries.set(entry.id, entry);
+  }
+
+  /**
+   * Drop least recently used entries until within limits.
+   * @private
+   */
+  evict() {
+    const evicted = [];
+    for (const id of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.totalBytes <= this.maxBytes) break;
+      this.forget(id);
+      evicted.push(id);
+    }
+    if (evicted.length) this.persist(() => this.backend.delete(evicted));
+  }
+
+  /**
+   * Run a backend write without making callers wait for it.
+   * @private
+   */
+  persist(write) {
+    this.track(Promise.resolve().then(write).catch(error => {
+      console.warn('[OfflineCache] Could not persist cache change:', error);
+    }));
+  }
+
+  /** @private */
+  track(promise) {
+    this.background.add(promise);
+    promise.finally(() => this.background.delete(promise));
+    return promise;
+  }
+
+  /** @private */
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.warn('[OfflineCache] Listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to changes (for inspection UIs).
+   * @returns {Function} Unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  isFresh(entry) {
+    return entry.expiresAt === null || this.now() < entry.expiresAt;
+  }
+
+  /**
+   * Read an entry without waiting for persisted entries to load.
+   * @returns {{ value: *, stale: boolean, storedAt: number }|null}
+   */
+  peek(namespace, key) {
+    const entry = this.entries.get(entryId(namespace, key));
+    return entry ? { value: entry.value, stale: !this.isFresh(entry), storedAt: entry.storedAt } : null;
+  }
+
+  /**
+   * Read an entry, fresh or stale.
+   * @returns {Promise<{ value: *, stale: boolean, storedAt: number }|null>}
+   */
+  async get(namespace, key) {
+    await this.ready;
+    const entry = this.entries.get(entryId(namespace, key));
+    if (!entry) return null;
+    this.touch(entry);
+    return { value: entry.value, stale: !this.isFresh(entry), storedAt: entry.storedAt };
+  }
+
+  /**
+   * Store a value.
+   * @param {string} namespace
+   * @param {string} key
+   * @param {*} value - Anything JSON can represent
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - ms until stale; Infinity never expires
+   */
+  async set(namespace, key, value, { ttl = DEFAULT_TTL } = {}) {
+    await this.ready;
+    const storedAt = this.now();
+    const entry = {
+      id: entryId(namespace, key),
+      namespace,
+      key,
+      value,
+      storedAt,
+      expiresAt: Number.isFinite(ttl) ? storedAt + ttl : null,
+      bytes: key.length + sizeOf(value)
+    };
+    this.remember(entry);
+    this.persist(() => this.backend.put(entry));
+    this.evict();
+    this.notify();
+    return value;
+  }
+
+  /**
+   * Get a value, loading it when missing or stale.
+   *
+   * - fresh: returned as is
+   * - stale, within staleWhileRevalidate: returned now, refreshed in the background
+   * - older or missing: loaded; if loading fails the stale value is returned instead
+   *
+   * @param {string} namespace
+   * @param {string} key
+   * @param {Function} loader - () => Promise of the value
+   * @param {Object} [options]
+   * @param {number} [options.ttl]
+   * @param {number} [options.staleWhileRevalidate] - How long past its TTL an entry is served while refreshing (defaults to the TTL)
+   * @param {boolean} [options.refresh] - Load even if a fresh entry exists
+   * @param {Function} [options.isFallback] - Marks placeholder answers (e.g. "offline, no data");
+   *   these never replace a stored value, which is returned instead
+   */
+  async fetch(namespace, key, loader, { ttl = DEFAULT_TTL, staleWhileRevalidate = ttl, refresh = false, isFallback = null } = {}) {
+    await this.ready;
+    const id = entryId(namespace, key);
+    const entry = this.entries.get(id);
+
+    if (entry && !refresh) {
+      this.touch(entry);
+      if (this.isFresh(entry)) return entry.value;
+      if (this.now() < entry.expiresAt + staleWhileRevalidate) {
+        this.track(this.load(id, namespace, key, loader, { ttl, isFallback }).catch(() => {}));
+        return entry.value;
+      }
+    }
+
+    try {
+      return await this.load(id, namespace, key, loader, { ttl, isFallback });
+    } catch (error) {
+      const previous = this.entries.get(id);
+      if (previous) {
+        console.warn(`[OfflineCache] Using stored ${namespace} entry for "${key}" after load failed:`, error.message);
+        return previous.value;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run a loader once per entry at a time and store what it returns.
+   * @private
+   */
+  load(id, namespace, key, loader, { ttl, isFallback }) {
+    if (this.inflight.has(id)) return this.inflight.get(id);
+
+    const loading = (async () => {
+      const value = await loader();
+      const previous = this.entries.get(id);
+      if (previous && isFallback && isFallback(value)) {
+        return previous.value;
+      }
+      return this.set(namespace, key, value, { ttl });
+    })();
+
+    this.inflight.set(id, loading);
+    loading.then(() => this.inflight.delete(id), () => this.inflight.delete(id));
+    return loading;
+  }
+
+  /**
+   * Remove one entry.
+   */
+  async delete(namespace, key) {
+    await this.ready;
+    const id = entryId(namespace, key);
+    if (!this.forget(id)) return false;
+    this.persist(() => this.backend.delete([id]));
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Remove entries in bulk.
+   * @param {Object} [filter]
+   * @param {string} [filter.namespace] - Only this namespace
+   * @param {string} [filter.keyPrefix] - Only keys starting with this
+   * @param {boolean} [filter.staleOnly] - Only entries past their TTL
+   * @returns {Promise<number>} How many were removed
+   */
+  async purge(filter = {}) {
+    // Once loaded, purge synchronously so callers that do not await see the result at once
+    if (!this.hydrated) await this.ready;
+    return this.purgeLoaded(filter);
+  }
+
+  /** @private */
+  purgeLoaded({ namespace = null, keyPrefix = null, staleOnly = false }) {
+    if (!namespace && !keyPrefix && !staleOnly) {
+      const count = this.entries.size;
+      this.entries.clear();
+      this.totalBytes = 0;
+      this.persist(() => this.backend.clear());
+      this.notify();
+      return count;
+    }
+
+    const removed = Array.from(this.entries.values())
+      .filter(entry => (!namespace || entry.namespace === namespace)
+        && (!keyPrefix || entry.key.startsWith(keyPrefix))
+        && (!staleOnly || !this.isFresh(entry)))
+      .map(entry => entry.id);
+    removed.forEach(id => this.forget(id));
+    if (removed.length) {
+      this.persist(() => this.backend.delete(removed));
+      this.notify();
+    }
+    return removed.length;
+  }
+
+  /**
+   * Sizes and freshness, overall and per namespace.
+   * Reflects the entries loaded so far.
+   */
+  stats() {
+    const namespaces = {};
+    this.entries.forEach(entry => {
+      const ns = namespaces[entry.namespace] || (namespaces[entry.namespace] = {
+        entries: 0, fresh: 0, stale: 0, bytes: 0, oldest: null, newest: null
+      });
+      ns.entries += 1;
+      ns.bytes += entry.bytes;
+      if (this.isFresh(entry)) ns.fresh += 1;
+      else ns.stale += 1;
+      ns.oldest = ns.oldest === null ? entry.storedAt : Math.min(ns.oldest, entry.storedAt);
+      ns.newest = ns.newest === null ? entry.storedAt : Math.max(ns.newest, entry.storedAt);
+    });
+    return {
+      backend: this.backend.kind || 'custom',
+      totalEntries: this.entries.size,
+      totalBytes: this.totalBytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      namespaces
+    };
+  }
+
+  /**
+   * Describe entries for inspection, most recently stored first.
+   * @param {string} [namespace]
+   * @param {Object} [options] - { limit }
+   */
+  list(namespace = null, { limit = 100 } = {}) {
+    return Array.from(this.entries.values())
+      .filter(entry => !namespace || entry.namespace === namespace)
+      .sort((a, b) => b.storedAt - a.storedAt)
+      .slice(0, limit)
+      .map(({ namespace: ns, key, storedAt, expiresAt, bytes }) => ({
+        namespace: ns,
+        key,
+        storedAt,
+        expiresAt,
+        bytes,
+        stale: expiresAt !== null && this.now() >= expiresAt
+      }));
+  }
+
+  /**
+   * Everything in the cache as plain JSON, e.g. to seed tests.
+   */
+  async snapshot() {
+    await this.ready;
+    return {
+      version: SNAPSHOT_VERSION,
+      entries: Array.from(this.entries.values()).map(({ namespace, key, value, storedAt, expiresAt }) => ({
+        namespace, key, value, storedAt, expiresAt
+      }))
+    };
+  }
+
+  /**
+   * Load entries from a snapshot, keeping their timestamps so tests see
+   * exactly the same freshness every run.
+   * @param {Object} snapshot - From snapshot()
+   * @param {Object} [options] - { replace: drop existing entries first }
+   */
+  async seed(snapshot, { replace = false } = {}) {
+    if (snapshot?.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.entries)) {
+      throw new Error('Not an offline cache snapshot');
+    }
+    await this.ready;
+    if (replace) await this.purge();
+    snapshot.entries.forEach(({ namespace, key, value, storedAt, expiresAt = null }) => {
+      const entry = { id: entryId(namespace, key), namespace, key, value, storedAt, expiresAt, bytes: key.length + sizeOf(value) };
+      this.remember(entry);
+      this.persist(() => this.backend.put(entry));
+    });
+    this.evict();
+    this.notify();
+  }
+
+  /**
+   * Wait for background refreshes and writes to settle.
+   */
+  async idle() {
+    await this.ready;
+    while (this.background.size) {
+      await Promise.allSettled(Array.from(this.background));
+    }
+    await this.backend.flush?.();
+  }
+}
+
+export default OfflineCache;
@@ -0,0 +1,101 @@
+/**
+ * File backend for the offline cache (Node)
+ *
+ * Keeps every entry in one JSON file. Writes are batched and replace the
+ * file atomically, so a crash never leaves a half-written cache behind.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import process from 'process';
+import { configureOfflineCache } from './index.js';
+
+const FILE_VERSION = 1;
+
+// Shared by the daemon, the CLI and the semantic server; REDSTRING_CACHE_FILE moves it
+export const DEFAULT_CACHE_FILE = path.join(os.homedir(), '.redstring', 'lookup-cache.json');
+
+/**
+ * @param {string} filePath - Where the cache lives, e.g. ~/.redstring/lookup-cache.json
+ * @param {Object} [options]
+ * @param {number} [options.writeDelay] - ms to gather changes before writing
+ * @returns {Object} CacheBackend
+ */
+export function createFileBackend(filePath, { writeDelay = 250 } = {}) {
+  const entries = new Map();
+  let loaded = null;
+  let timer = null;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    loaded = loaded || (async () => {
+      try {
+        const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        if (data?.version === FILE_VERSION && Array.isArray(data.entries)) {
+          data.entries.forEach(entry => entries.set(entry.id, entry));
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`[OfflineCache] Ignoring unreadable cache file ${filePath}:`, error.message);
+        }
+      }
+    })();
+    return loaded;
+  };
+
+  const write = async () => {
+    const body = JSON.stringify({ version: FILE_VERSION, entries: Array.from(entries.values()) });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, body, 'utf8');
+    await fs.rename(tempPath, filePath);
+  };
+
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+      writing = writing.then(write, write);
+    }
+    return writing;
+  };
+
+  const scheduleWrite = () => {
+    if (timer) return;
+    timer = setTimeout(flush, writeDelay);
+    timer.unref?.();
+  };
+
+  // Unref'd timers do not hold the process open, so write what is left on the way out
+  process.once('beforeExit', () => { flush(); });
+
+  const change = async (apply) => {
+    await load();
+    apply();
+    scheduleWrite();
+  };
+
+  return {
+    kind: 'file',
+    filePath,
+    loadAll: async () => {
+      await load();
+      return Array.from(entries.values());
+    },
+    put: (entry) => change(() => entries.set(entry.id, entry)),
+    delete: (ids) => change(() => ids.forEach(id => entries.delete(id))),
+    clear: () => change(() => entries.clear()),
+    flush
+  };
+}
+
+/**
+ * Point the shared offline cache at a file, so lookups survive restarts of a Node process.
+ * Call once at startup, before anything is looked up.
+ * @param {string} [filePath]
+ * @returns {OfflineCache}
+ */
+export function configureFileCache(filePath = process.env.REDSTRING_CACHE_FILE || DEFAULT_CACHE_FILE) {
+  return configureOfflineCache({ backend: createFileBackend(filePath) });
+}
@@ -0,0 +1,59 @@
+/**
+ * Offline cache - the shared instance every lookup service reads through
+ *
+ * In the browser entries persist to IndexedDB. Node has no default store;
+ * the daemon, the CLI and the semantic server call configureFileCache() from
+ * fileBackend.js at startup (imported directly so the browser bundle never
+ * pulls in fs).
+ */
+
+import { OfflineCache, createMemoryBackend } from './cache.js';
+import { createIndexedDbBackend } from './indexedDbBackend.js';
+
+export { OfflineCache, createMemoryBackend, SNAPSHOT_VERSION } from './cache.js';
+export { createIndexedDbBackend } from './indexedDbBackend.js';
+
+// How long each kind of lookup stays fresh
+export const CACHE_TTLS = {
+  rdf: 24 * 60 * 60 * 1000, // 24 hours
+  sparql: 60 * 60 * 1000, // 1 hour
+  enrichment: 24 * 60 * 60 * 1000, // 24 hours
+  orbits: 6 * 60 * 60 * 1000, // 6 hours
+  sources: 60 * 60 * 1000 // 1 hour
+};
+
+const defaultBackend = () => {
+  try {
+    if (typeof indexedDB !== 'undefined' && indexedDB) {
+      return createIndexedDbBackend();
+    }
+  } catch {
+    // Storage can be blocked (private windows, sandboxed frames)
+  }
+  return createMemoryBackend();
+};
+
+let sharedCache = null;
+
+/**
+ * The shared offline cache, created on first use.
+ * @returns {OfflineCache}
+ */
+export function getOfflineCache() {
+  if (!sharedCache) {
+    sharedCache = new OfflineCache({ backend: defaultBackend() });
+  }
+  return sharedCache;
+}
+
+/**
+ * Replace the shared cache, e.g. with a file-backed one in Node or a seeded one in tests.
+ * @param {Object|OfflineCache} options - An OfflineCache, or options for a new one
+ * @returns {OfflineCache}
+ */
+export function configureOfflineCache(options = {}) {
+  sharedCache = options instanceof OfflineCache ? options : new OfflineCache(options);
+  return sharedCache;
+}
+
+export default getOfflineCache;
@@ -0,0 +1,63 @@
+/**
+ * IndexedDB backend for the offline cache (browser)
+ */
+
+const DB_NAME = 'RedstringLookupCache';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * @param {Object} [options]
+ * @param {IDBFactory} [options.indexedDB] - Defaults to the global one
+ * @param {string} [options.dbName]
+ * @returns {Object} CacheBackend
+ */
+export function createIndexedDbBackend({ indexedDB: factory = globalThis.indexedDB, dbName = DB_NAME } = {}) {
+  let dbPromise = null;
+
+  const openDB = () => {
+    dbPromise = dbPromise || new Promise((resolve, reject) => {
+      const request = factory.open(dbName, DB_VERSION);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('namespace', 'namespace', { unique: false });
+        }
+      };
+    });
+    // Let a later call retry if opening failed
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  };
+
+  const withStore = async (mode, work) => {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_NAME], mode);
+      const result = work(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    kind: 'indexeddb',
+    loadAll: async () => {
+      const db = await openDB();
+      const transaction = db.transaction([STORE_NAME], 'readonly');
+      return (await promisify(transaction.objectStore(STORE_NAME).getAll())) || [];
+    },
+    put: (entry) => withStore('readwrite', store => { store.put(entry); }),
+    delete: (ids) => withStore('readwrite', store => { ids.forEach(id => store.delete(id)); }),
+    clear: () => withStore('readwrite', store => { store.clear(); })
+  };
+}
@@ -2,6 +2,10 @@ import queueManager from '../queue/Queue.js';
 // Avoid calling UI store from the daemon; generate ops directly here
 import toolValidator from '../toolValidator.js';
 import { RolePrompts, ToolAllowlists } from '../roles.js';
+import committer from '../Committer.js';
+
+// Head of the graph a task targets at planning time, so the Committer can detect edits made while it waited
+const planningHash = (task) => task.baseHash || committer.getGraphHash(task.args?.graph_id || 'unknown');
 
 // Planner: consumes goals and enqueues tasks (simple passthrough here; DAG may be produced by LLM elsewhere)
 export async function runPlannerOnce() {
@@ -12,10 +16,11 @@ export async function runPlannerOnce() {
   const dag = item.dag || { tasks: [] };
   if (Array.isArray(dag.tasks) && dag.tasks.length > 0) {
     for (const t of dag.tasks) {
-      queueManager.enqueue('taskQueue', { ...t, threadId: t.threadId || item.threadId, partitionKey: t.threadId || item.threadId || 'default' });
+      queueManager.enqueue('taskQueue', { ...t, baseHash: planningHash(t), threadId: t.threadId || item.threadId, partitionKey: t.threadId || item.threadId || 'default' });
     }
   } else {
-    queueManager.enqueue('taskQueue', { toolName: 'verify_state', args: {}, threadId: item.threadId, partitionKey: item.threadId || 'default' });
+    const task = { toolName: 'verify_state', args: {} };
+    queueManager.enqueue('taskQueue', { ...task, baseHash: planningHash(task), threadId: item.threadId, partitionKey: item.threadId || 'default' });
   }
   queueManager.ack('goalQueue', item.leaseId);
 }
@@ -40,11 +45,13 @@ export async function runExecutorOnce() {
       ops.push({ type: 'createNewGraph', initialData: { id: newGraphId, name: validation.sanitized.name, description: validation.sanitized.description || '', color: validation.sanitized.color || '#4A90E2' } });
     }
     // Fallback: executor could be richer; keep empty ops acceptable
+    const graphId = validation.sanitized.graph_id || 'unknown';
     const patch = {
       patchId: `patch-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
       threadId: task.threadId,
-      graphId: validation.sanitized.graph_id || 'unknown',
-      baseHash: null,
+      graphId,
+      // Head the planner recorded; the Committer treats a missing one as the current head
+      baseHash: task.baseHash || null,
       ops
     };
     queueManager.enqueue('patchQueue', patch, { partitionKey: patch.threadId || 'default' });
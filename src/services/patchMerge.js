@@ -0,0 +1,212 @@
+// Patch merging for the Committer: per-graph commit heads and per-entity three-way merge of ops
+//
+// Every committed batch of ops advances the graph head hash. Executors stamp patches with the
+// head they planned against (baseHash). When the head has moved on, the ops committed since the
+// base ("ours") are compared with the patch ops ("theirs") entity by entity; patches that only
+// touch other entities (or agree with what was committed) are rebased onto the head.
+
+const DEFAULT_HISTORY_LIMIT = 500;
+
+// FNV-1a, 32-bit; enough to tell heads apart without pulling crypto into shared code
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// JSON with sorted keys so equal ops always hash and compare the same
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+}
+
+export function hashOps(prevHash, ops) {
+  return fnv1a(`${prevHash}|${stableStringify(ops)}`);
+}
+
+export function initialGraphHash(graphId) {
+  return fnv1a(`graph:${graphId}`);
+}
+
+/**
+ * Describe what an op changes, keyed by entity.
+ * @param {Object} op - Mutation op as produced by the executor
+ * @returns {{ entityId: string, entityType: string, key: string, fields: Object }|null}
+ *   fields maps each written field to its new value; null for ops we do not track
+ */
+export function describeOpEffect(op) {
+  if (!op || typeof op !== 'object') return null;
+  switch (op.type) {
+    case 'addNodeInstance':
+      return {
+        entityType: 'instance',
+        entityId: op.instanceId,
+        key: `instance:${op.graphId}:${op.instanceId}`,
+        fields: { created: true, prototypeId: op.prototypeId, position: op.position }
+      };
+    case 'moveNodeInstance':
+      return {
+        entityType: 'instance',
+        entityId: op.instanceId,
+        key: `instance:${op.graphId}:${op.instanceId}`,
+        fields: { position: op.position }
+      };
+    case 'updateNodePrototype':
+      return {
+        entityType: 'prototype',
+        entityId: op.prototypeId,
+        key: `prototype:${op.prototypeId}`,
+        fields: { ...(op.updates || {}) }
+      };
+    case 'addEdge': {
+      const edge = op.edgeData || {};
+      return {
+        entityType: 'edge',
+        entityId: edge.id,
+        key: `edge:${edge.id}`,
+        fields: { created: true, sourceId: edge.sourceId, destinationId: edge.destinationId, typeNodeId: edge.typeNodeId }
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Three-way merge of a patch's ops against the ops committed since its base.
+ * A conflict is the same field of the same entity written to different values by both sides.
+ * Ops that repeat a committed write exactly are dropped as already applied.
+ * @param {Array} committedOps - Ops committed after the patch's baseHash, in order
+ * @param {Array} patchOps - The patch's ops
+ * @returns {{ ops: Array, conflicts: Array<{ entityId, entityType, opType, fields }> }}
+ */
+export function mergeOps(committedOps, patchOps) {
+  const ours = new Map(); // entity key -> { field -> stringified value }
+  for (const op of committedOps) {
+    const effect = describeOpEffect(op);
+    if (!effect || !effect.entityId) continue;
+    if (!ours.has(effect.key)) ours.set(effect.key, new Map());
+    const fields = ours.get(effect.key);
+    Object.entries(effect.fields).forEach(([field, value]) => fields.set(field, stableStringify(value)));
+  }
+
+  const ops = [];
+  const conflicts = [];
+  for (const op of patchOps || []) {
+    const effect = describeOpEffect(op);
+    const committed = effect && effect.entityId ? ours.get(effect.key) : null;
+    if (!committed) {
+      ops.push(op);
+      continue;
+    }
+    const written = Object.entries(effect.fields).filter(([field]) => committed.has(field));
+    const conflicting = written
+      .filter(([field, value]) => committed.get(field) !== stableStringify(value))
+      .map(([field]) => field);
+    if (conflicting.length > 0) {
+      conflicts.push({ entityId: effect.entityId, entityType: effect.entityType, opType: op.type, fields: conflicting });
+    } else if (written.length < Object.keys(effect.fields).length) {
+      // Touches fields the other side left alone: keep it
+      ops.push(op);
+    }
+  }
+  return { ops, conflicts };
+}
+
+/**
+ * Collapse ops that the UI would otherwise apply one after another: later moves of an instance
+ * replace earlier ones and prototype updates are folded into one op per prototype.
+ * @param {Array} ops
+ * @returns {Array}
+ */
+export function coalesceOps(ops) {
+  const out = [];
+  const lastMove = new Map();
+  const lastUpdate = new Map();
+  for (const op of ops) {
+    if (op && op.type === 'moveNodeInstance') {
+      const key = `${op.graphId}:${op.instanceId}`;
+      if (lastMove.has(key)) out[lastMove.get(key)] = null;
+      lastMove.set(key, out.length);
+      out.push(op);
+    } else if (op && op.type === 'updateNodePrototype' && lastUpdate.has(op.prototypeId)) {
+      const index = lastUpdate.get(op.prototypeId);
+      out[index] = { ...out[index], updates: { ...out[index].updates, ...op.updates } };
+    } else {
+      if (op && op.type === 'updateNodePrototype') lastUpdate.set(op.prototypeId, out.length);
+      out.push(op);
+    }
+  }
+  return out.filter(Boolean);
+}
+
+/**
+ * Per-graph commit heads with a bounded log of committed ops, used to merge stale patches.
+ */
+export class GraphCommitLog {
+  constructor({ limit = DEFAULT_HISTORY_LIMIT } = {}) {
+    this.limit = limit;
+    this.graphs = new Map(); // graphId -> { head, commits: [{ baseHash, hash, ops }] }
+  }
+
+  _graph(graphId) {
+    if (!this.graphs.has(graphId)) {
+      this.graphs.set(graphId, { head: initialGraphHash(graphId), commits: [] });
+    }
+    return this.graphs.get(graphId);
+  }
+
+  getHead(graphId) {
+    return this._graph(graphId).head;
+  }
+
+  /**
+   * Ops committed after baseHash, or null when baseHash is not (or no longer) known.
+   */
+  opsSince(graphId, baseHash) {
+    const graph = this._graph(graphId);
+    if (!baseHash || baseHash === graph.head) return [];
+    const index = graph.commits.findIndex(c => c.hash === baseHash);
+    if (index === -1) {
+      const first = graph.commits[0];
+      if (first && first.baseHash === baseHash) return graph.commits.flatMap(c => c.ops);
+      return null;
+    }
+    return graph.commits.slice(index + 1).flatMap(c => c.ops);
+  }
+
+  commit(graphId, ops) {
+    const graph = this._graph(graphId);
+    const hash = hashOps(graph.head, ops);
+    graph.commits.push({ baseHash: graph.head, hash, ops });
+    if (graph.commits.length > this.limit) graph.commits.splice(0, graph.commits.length - this.limit);
+    graph.head = hash;
+    return hash;
+  }
+
+  /**
+   * Merge a patch onto the current head of its graph.
+   * @returns {{ ok: boolean, ops: Array, conflicts: Array, reason?: string, headHash: string }}
+   */
+  mergePatch(graphId, patch) {
+    const headHash = this.getHead(graphId);
+    const committed = this.opsSince(graphId, patch.baseHash);
+    if (committed === null) {
+      // Base fell out of the log (or never existed): we cannot tell what changed, so every entity is suspect
+      const conflicts = (patch.ops || [])
+        .map(describeOpEffect)
+        .filter(effect => effect && effect.entityId)
+        .map(effect => ({ entityId: effect.entityId, entityType: effect.entityType, opType: null, fields: Object.keys(effect.fields) }));
+      return { ok: false, ops: [], conflicts, reason: 'unknown-base', headHash };
+    }
+    const { ops, conflicts } = mergeOps(committed, patch.ops || []);
+    if (conflicts.length > 0) {
+      return { ok: false, ops: [], conflicts, reason: 'conflict', headHash };
+    }
+    return { ok: true, ops, conflicts: [], headHash };
+  }
+}
@@ -31,6 +31,9 @@ const LOCAL_STORAGE_KEYS = {
     permissions: 'github_app_permissions',
     lastUpdated: 'github_app_last_updated',
     tokenExpiresAt: 'github_app_token_expires'
+  },
+  gitlab: {
+    tokens: 'gitlab_access_tokens'
   }
 };
 
@@ -57,6 +60,10 @@ function safeParseJSON(raw) {
   }
 }
 
+function normalizeGitLabEndpoint(endpoint) {
+  return String(endpoint || 'https://gitlab.com').trim().replace(/\/+$/, '');
+}
+
 export class PersistentAuth {
   constructor() {
     console.log('[PersistentAuth] Constructor called - UPDATED');
@@ -1045,6 +1052,46 @@ export class PersistentAuth {
     this.dispatchAuthEvent('github-app', { hasInstallation: false });
   }
 
+  /**
+   * GitLab tokens are kept per instance endpoint so gitlab.com and
+   * self-hosted servers can be used side by side.
+   */
+  readGitLabTokens() {
+    const storage = getLocalStorageHandle();
+    return safeParseJSON(storage?.getItem(LOCAL_STORAGE_KEYS.gitlab.tokens)) || {};
+  }
+
+  storeGitLabToken(endpoint, token, userData = null) {
+    const storage = getLocalStorageHandle();
+    if (!storage || !endpoint || !token) return;
+    const tokens = this.readGitLabTokens();
+    tokens[normalizeGitLabEndpoint(endpoint)] = { token, user: userData, storedAt: Date.now() };
+    storage.setItem(LOCAL_STORAGE_KEYS.gitlab.tokens, JSON.stringify(tokens));
+    this.dispatchAuthEvent('gitlab', { endpoint, hasToken: true });
+  }
+
+  getGitLabToken(endpoint) {
+    if (!endpoint) return null;
+    return this.readGitLabTokens()[normalizeGitLabEndpoint(endpoint)]?.token || null;
+  }
+
+  getGitLabConnections() {
+    return Object.entries(this.readGitLabTokens()).map(([endpoint, entry]) => ({
+      endpoint,
+      user: entry?.user || null,
+      storedAt: entry?.storedAt || null
+    }));
+  }
+
+  clearGitLabToken(endpoint) {
+    const storage = getLocalStorageHandle();
+    if (!storage) return;
+    const tokens = this.readGitLabTokens();
+    delete tokens[normalizeGitLabEndpoint(endpoint)];
+    storage.setItem(LOCAL_STORAGE_KEYS.gitlab.tokens, JSON.stringify(tokens));
+    this.dispatchAuthEvent('gitlab', { endpoint, hasToken: false });
+  }
+
   /**
    * Get comprehensive authentication status including GitHub App
    */
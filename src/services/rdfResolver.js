@@ -8,6 +8,7 @@
 import N3Parser from '@rdfjs/parser-n3';
 import JsonLDParser from '@rdfjs/parser-jsonld';
 import jsonld from 'jsonld';
+import { getOfflineCache, CACHE_TTLS } from './offlineCache/index.js';
 
 // RDF format priorities for content negotiation
 const RDF_FORMATS = [
@@ -17,12 +18,16 @@ const RDF_FORMATS = [
   { mimeType: 'application/n-triples', priority: 4, parser: 'ntriples' }
 ];
 
-// Cache for resolved RDF data
-const rdfCache = new Map();
-const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+// Resolved RDF data is kept in the shared offline cache under this namespace
+const CACHE_NAMESPACE = 'rdf';
 
 export class RDFResolver {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {OfflineCache} [options.cache] - Defaults to the shared offline cache
+   */
+  constructor({ cache = null } = {}) {
+    this._cache = cache;
     this.parsers = {
       turtle: new N3Parser(),
       jsonld: new JsonLDParser()
@@ -34,6 +39,10 @@ export class RDFResolver {
     };
   }
 
+  get cache() {
+    return this._cache || getOfflineCache();
+  }
+
   /**
    * Resolve a URI to RDF data
    * @param {string} uri - The URI to resolve
@@ -42,26 +51,13 @@ export class RDFResolver {
    */
   async resolveURI(uri, options = {}) {
     const cacheKey = this._getCacheKey(uri, options);
-    
-    // Check cache first
-    if (rdfCache.has(cacheKey)) {
-      const cached = rdfCache.get(cacheKey);
-      if (Date.now() - cached.timestamp < CACHE_TTL) {
-        return cached.data;
-      }
-      rdfCache.delete(cacheKey);
-    }
 
     try {
-      const result = await this._fetchAndParse(uri, options);
-      
-      // Cache the result
-      rdfCache.set(cacheKey, {
-        data: result,
-        timestamp: Date.now()
+      // Stored documents keep resolving offline; CORS placeholders never replace them
+      return await this.cache.fetch(CACHE_NAMESPACE, cacheKey, () => this._fetchAndParse(uri, options), {
+        ttl: CACHE_TTLS.rdf,
+        isFallback: (result) => Boolean(result?.metadata?.corsBlocked)
       });
-      
-      return result;
     } catch (error) {
       console.error(`[RDF Resolver] Failed to resolve ${uri}:`, error);
       throw error;
@@ -310,17 +306,7 @@ export class RDFResolver {
    * @param {string} uri - Optional URI to clear specific cache entry
    */
   clearCache(uri = null) {
-    if (uri) {
-      // Clear specific URI cache entries
-      for (const key of rdfCache.keys()) {
-        if (key.startsWith(uri + ':')) {
-          rdfCache.delete(key);
-        }
-      }
-    } else {
-      // Clear all cache
-      rdfCache.clear();
-    }
+    return this.cache.purge({ namespace: CACHE_NAMESPACE, keyPrefix: uri ? `${uri}:` : null });
   }
 
   /**
@@ -328,38 +314,15 @@ export class RDFResolver {
    * @returns {Object} Cache statistics
    */
   getCacheStats() {
-    const now = Date.now();
-    let validEntries = 0;
-    let expiredEntries = 0;
-    
-    for (const [key, value] of rdfCache.entries()) {
-      if (now - value.timestamp < CACHE_TTL) {
-        validEntries++;
-      } else {
-        expiredEntries++;
-      }
-    }
-    
+    const stats = this.cache.stats().namespaces[CACHE_NAMESPACE];
     return {
-      totalEntries: rdfCache.size,
-      validEntries,
-      expiredEntries,
-      cacheSize: this._getCacheSize()
+      totalEntries: stats?.entries || 0,
+      validEntries: stats?.fresh || 0,
+      expiredEntries: stats?.stale || 0,
+      cacheSize: stats?.bytes || 0
     };
   }
 
-  /**
-   * Get approximate cache size in bytes
-   * @private
-   */
-  _getCacheSize() {
-    let size = 0;
-    for (const [key, value] of rdfCache.entries()) {
-      size += key.length + JSON.stringify(value).length;
-    }
-    return size;
-  }
-
   /**
    * Check if URI is known to have CORS issues
    * @private
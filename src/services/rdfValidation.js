@@ -7,6 +7,7 @@
 
 import { rdfResolver } from './rdfResolver.js';
 import { sparqlClient } from './sparqlClient.js';
+import { validateShapes } from './shapeConstraints.js';
 
 // Validation rule types
 const RULE_TYPES = {
@@ -75,6 +76,13 @@ export class RDFValidation {
       validate: this._validateExternalLinkResolution.bind(this)
     });
 
+    this.addValidationRule('shape_constraints', {
+      type: RULE_TYPES.ONTOLOGY,
+      severity: SEVERITY.ERROR,
+      description: 'Check shape constraints defined on type prototypes',
+      validate: this._validateShapeConstraints.bind(this)
+    });
+
     this.addValidationRule('equivalent_class_consistency', {
       type: RULE_TYPES.SEMANTIC,
       severity: SEVERITY.INFO,
@@ -496,6 +504,30 @@ export class RDFValidation {
     return { issues };
   }
 
+  /**
+   * Validate shape constraints attached to type prototypes.
+   * Needs the store state (graphs, nodePrototypes, edges) as graphData.state or options.state.
+   * @private
+   */
+  async _validateShapeConstraints(graphData, options) {
+    const state = options?.state || graphData.state;
+    if (!state) return { issues: [] };
+
+    const severityMap = { violation: SEVERITY.ERROR, warning: SEVERITY.WARNING, info: SEVERITY.INFO };
+    const { violations } = validateShapes(state, { graphId: options?.allGraphs ? null : graphData.id });
+    const issues = violations.map(violation => ({
+      severity: severityMap[violation.severity] || SEVERITY.ERROR,
+      message: violation.message,
+      nodeId: violation.prototypeId,
+      edgeId: violation.edgeId,
+      instanceIds: violation.instanceIds,
+      constraintId: violation.constraintId,
+      rule: 'shape_constraints'
+    }));
+
+    return { issues };
+  }
+
   /**
    * Generate validation report
    * @param {Object} validationResults - Validation results
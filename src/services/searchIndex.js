@@ -0,0 +1,438 @@
+/**
+ * Search Index - incremental full-text index over the whole universe
+ *
+ * Prototype names, descriptions, bios and citations, edge labels and graph
+ * names are tokenized into one inverted index. Store updates are structurally
+ * shared (immer), so syncing only re-indexes the prototypes, graphs and edges
+ * whose object identity changed since the last sync.
+ *
+ * Queries are ranked with field weights, prefix and typo-tolerant term
+ * matching, and can be narrowed with facets (kind, type, graph, color,
+ * hasDefinition, externalLinked) whose counts come back with the results.
+ */
+
+const FIELD_WEIGHTS = {
+  name: 4,
+  label: 3,
+  bio: 1.5,
+  description: 1,
+  citations: 0.75
+};
+
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.75,
+  typo: [1, 0.5, 0.3] // by edit distance
+};
+
+export const SEARCH_FACETS = ['kind', 'type', 'graph', 'color', 'hasDefinition', 'externalLinked'];
+
+const PREVIEW_LENGTH = 140;
+
+/**
+ * Lower-case, accent-folded word tokens.
+ */
+export const tokenize = (text) => String(text ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+/**
+ * Levenshtein distance, giving up (returning max + 1) once it exceeds max.
+ */
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Short tokens only match exactly or by prefix; longer ones tolerate typos
+const allowedTypos = (token) => (token.length <= 3 ? 0 : token.length <= 6 ? 1 : 2);
+
+const citationText = (citation) => {
+  if (!citation) return '';
+  if (typeof citation === 'string') return citation;
+  return [citation.title, citation.author, citation.authors, citation.source, citation.year]
+    .flat()
+    .filter(Boolean)
+    .join(' ');
+};
+
+export const edgeLabel = (edge, nodePrototypes) => {
+  if (edge.name) return edge.name;
+  const definitionId = edge.definitionNodeIds?.[0] || edge.typeNodeId;
+  return nodePrototypes?.get(definitionId)?.name || '';
+};
+
+const preview = (...texts) => {
+  const text = texts.find(t => typeof t === 'string' && t.trim()) || '';
+  return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text;
+};
+
+// Calls mark(id) for every entry added, removed or replaced between two maps
+const diffMap = (previous, next, mark) => {
+  next.forEach((value, id) => {
+    if (previous.get(id) !== value) mark(id);
+  });
+  previous.forEach((_, id) => {
+    if (!next.has(id)) mark(id);
+  });
+};
+
+const hasFilterValue = (value) => value !== undefined && value !== null && value !== '';
+
+export class SearchIndex {
+  constructor() {
+    this.store = null;
+    this.unsubscribe = null;
+    this.clear();
+  }
+
+  clear() {
+    this.docs = new Map(); // docId -> { id, kind, refId, name, preview, terms, facets }
+    this.postings = new Map(); // term -> Map(docId -> weight)
+    this.sources = { graphs: new Map(), nodePrototypes: new Map(), edges: new Map() };
+    this.locations = new Map(); // prototypeId -> Map(instanceId -> graphId)
+    this.graphMembers = new Map(); // graphId -> { instances: Map(instanceId -> prototypeId), edgeIds }
+    this.edgeGraphs = new Map(); // edgeId -> graphId
+    this.edgeTypeRefs = new Map(); // prototypeId -> Set(edgeId) whose label comes from that prototype
+    this.edgeRefs = new Map(); // edgeId -> { sourceId, typeRefs }
+    this.stale = false;
+  }
+
+  /**
+   * Bring the index up to date with a store state. Returns true when anything changed.
+   */
+  sync(state) {
+    const graphs = state?.graphs || new Map();
+    const nodePrototypes = state?.nodePrototypes || new Map();
+    const edges = state?.edges || new Map();
+
+    const dirtyGraphs = new Set();
+    const dirtyPrototypes = new Set();
+    const dirtyEdges = new Set();
+    diffMap(this.sources.graphs, graphs, id => dirtyGraphs.add(id));
+    diffMap(this.sources.nodePrototypes, nodePrototypes, id => dirtyPrototypes.add(id));
+    diffMap(this.sources.edges, edges, id => dirtyEdges.add(id));
+
+    this.sources = { graphs, nodePrototypes, edges };
+    this.stale = false;
+    if (dirtyGraphs.size === 0 && dirtyPrototypes.size === 0 && dirtyEdges.size === 0) {
+      return false;
+    }
+
+    dirtyGraphs.forEach(id => this._indexGraph(id, graphs.get(id)));
+    dirtyPrototypes.forEach(id => {
+      // Unnamed edges are labelled by their type prototype
+      this.edgeTypeRefs.get(id)?.forEach(edgeId => dirtyEdges.add(edgeId));
+      this._indexPrototype(id, nodePrototypes.get(id));
+    });
+    dirtyEdges.forEach(id => this._indexEdge(id, edges.get(id), nodePrototypes));
+    return true;
+  }
+
+  /**
+   * Keep the index in step with a zustand store. Mutations only mark the index
+   * stale; the re-index happens on the next search so drags cost nothing.
+   */
+  attachToStore(store) {
+    if (this.store === store) return;
+    this.detach();
+    this.store = store;
+    this.sync(store.getState());
+    this.unsubscribe = store.subscribe((state, previous) => {
+      if (!previous || state.graphs !== previous.graphs || state.nodePrototypes !== previous.nodePrototypes || state.edges !== previous.edges) {
+        this.stale = true;
+      }
+    });
+  }
+
+  detach() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.store = null;
+  }
+
+  _addDoc(doc, fields) {
+    const terms = new Map();
+    Object.entries(fields).forEach(([field, text]) => {
+      const weight = FIELD_WEIGHTS[field] || 1;
+      tokenize(text).forEach(term => terms.set(term, (terms.get(term) || 0) + weight));
+    });
+    doc.terms = terms;
+    this.docs.set(doc.id, doc);
+    terms.forEach((weight, term) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(doc.id, weight);
+    });
+  }
+
+  _removeDoc(docId) {
+    const doc = this.docs.get(docId);
+    if (!doc) return;
+    doc.terms.forEach((_, term) => {
+      const posting = this.postings.get(term);
+      posting?.delete(docId);
+      if (posting && posting.size === 0) this.postings.delete(term);
+    });
+    this.docs.delete(docId);
+  }
+
+  _indexGraph(graphId, graph) {
+    this._removeDoc(`graph:${graphId}`);
+
+    // Drop the previous membership before recording the current one
+    const previous = this.graphMembers.get(graphId);
+    previous?.instances.forEach((prototypeId, instanceId) => {
+      const located = this.locations.get(prototypeId);
+      located?.delete(instanceId);
+      if (located && located.size === 0) this.locations.delete(prototypeId);
+    });
+    previous?.edgeIds.forEach(edgeId => {
+      if (this.edgeGraphs.get(edgeId) === graphId) this.edgeGraphs.delete(edgeId);
+    });
+    this.graphMembers.delete(graphId);
+    if (!graph) return;
+
+    const instances = new Map();
+    graph.instances?.forEach((instance, instanceId) => {
+      instances.set(instanceId, instance.prototypeId);
+      if (!this.locations.has(instance.prototypeId)) this.locations.set(instance.prototypeId, new Map());
+      this.locations.get(instance.prototypeId).set(instanceId, graphId);
+    });
+    const edgeIds = [...(graph.edgeIds || [])];
+    edgeIds.forEach(edgeId => this.edgeGraphs.set(edgeId, graphId));
+    this.graphMembers.set(graphId, { instances, edgeIds });
+
+    this._addDoc({
+      id: `graph:${graphId}`,
+      kind: 'graph',
+      refId: graphId,
+      name: graph.name || 'Untitled Graph',
+      preview: preview(graph.description),
+      facets: {
+        kind: 'graph',
+        type: null,
+        color: graph.color || null,
+        hasDefinition: (graph.definingNodeIds || []).length > 0,
+        externalLinked: false
+      }
+    }, { name: graph.name, description: graph.description });
+  }
+
+  _indexPrototype(prototypeId, prototype) {
+    this._removeDoc(`node:${prototypeId}`);
+    if (!prototype) return;
+
+    const citations = (prototype.citations || []).map(citationText).join(' ');
+    this._addDoc({
+      id: `node:${prototypeId}`,
+      kind: 'node',
+      refId: prototypeId,
+      name: prototype.name || 'Untitled',
+      preview: preview(prototype.description, prototype.bio),
+      facets: {
+        kind: 'node',
+        type: prototype.typeNodeId || null,
+        color: prototype.color || null,
+        hasDefinition: (prototype.definitionGraphIds || []).length > 0,
+        externalLinked: (prototype.externalLinks || []).length > 0
+      }
+    }, {
+      name: prototype.name,
+      description: prototype.description,
+      bio: prototype.bio,
+      citations
+    });
+  }
+
+  _indexEdge(edgeId, edge, nodePrototypes) {
+    this._removeDoc(`edge:${edgeId}`);
+    const previous = this.edgeRefs.get(edgeId);
+    previous?.typeRefs.forEach(prototypeId => {
+      const edgeIds = this.edgeTypeRefs.get(prototypeId);
+      if (edgeIds?.delete(edgeId) && edgeIds.size === 0) this.edgeTypeRefs.delete(prototypeId);
+    });
+    this.edgeRefs.delete(edgeId);
+    if (!edge) return;
+
+    const typeRefs = [edge.typeNodeId, ...(edge.definitionNodeIds || [])].filter(Boolean);
+    typeRefs.forEach(prototypeId => {
+      if (!this.edgeTypeRefs.has(prototypeId)) this.edgeTypeRefs.set(prototypeId, new Set());
+      this.edgeTypeRefs.get(prototypeId).add(edgeId);
+    });
+    this.edgeRefs.set(edgeId, { sourceId: edge.sourceId, typeRefs });
+
+    const label = edgeLabel(edge, nodePrototypes);
+    if (!label) return;
+
+    this._addDoc({
+      id: `edge:${edgeId}`,
+      kind: 'edge',
+      refId: edgeId,
+      name: label,
+      preview: preview(edge.description),
+      facets: {
+        kind: 'edge',
+        type: edge.definitionNodeIds?.[0] || edge.typeNodeId || null,
+        color: null,
+        hasDefinition: (edge.definitionNodeIds || []).length > 0,
+        externalLinked: false
+      }
+    }, { label, description: edge.description });
+  }
+
+  // Graphs a document shows up in; the graph facet and jump targets use this
+  _docGraphIds(doc) {
+    if (doc.kind === 'graph') return [doc.refId];
+    if (doc.kind === 'edge') {
+      const graphId = this.edgeGraphs.get(doc.refId);
+      return graphId ? [graphId] : [];
+    }
+    return Array.from(new Set(this.locations.get(doc.refId)?.values() || []));
+  }
+
+  _facetValues(doc, facet) {
+    if (facet === 'graph') return this._docGraphIds(doc);
+    const value = doc.facets[facet];
+    return value === null || value === undefined ? [] : [value];
+  }
+
+  _matchesFacets(doc, filters, skip = null) {
+    return Object.entries(filters).every(([facet, wanted]) => {
+      if (facet === skip || !hasFilterValue(wanted)) return true;
+      return this._facetValues(doc, facet).some(value => value === wanted);
+    });
+  }
+
+  // Best score per document for one query token across exact, prefix and typo matches
+  _scoreToken(token) {
+    const scores = new Map();
+    const maxTypos = allowedTypos(token);
+    this.postings.forEach((posting, term) => {
+      let quality = 0;
+      if (term === token) {
+        quality = MATCH_SCORES.exact;
+      } else if (term.startsWith(token)) {
+        quality = MATCH_SCORES.prefix;
+      } else if (maxTypos > 0) {
+        // Compare against the same-length prefix too, so typos in partial words still match
+        const distance = Math.min(
+          editDistance(token, term, maxTypos),
+          term.length > token.length ? editDistance(token, term.slice(0, token.length), maxTypos) : Infinity
+        );
+        if (distance <= maxTypos) quality = MATCH_SCORES.typo[distance];
+      }
+      if (quality === 0) return;
+      posting.forEach((weight, docId) => {
+        const score = quality * weight;
+        if (score > (scores.get(docId) || 0)) scores.set(docId, score);
+      });
+    });
+    return scores;
+  }
+
+  _target(doc, graphIds, { graph, activeGraphId }) {
+    if (doc.kind === 'graph') return { graphId: doc.refId, instanceId: null };
+    if (doc.kind === 'edge') {
+      return graphIds[0] ? { graphId: graphIds[0], instanceId: this.edgeRefs.get(doc.refId)?.sourceId || null } : null;
+    }
+    const located = Array.from(this.locations.get(doc.refId)?.entries() || []);
+    if (located.length === 0) return null;
+    const preferred = located.find(([, graphId]) => graphId === graph)
+      || located.find(([, graphId]) => graphId === activeGraphId)
+      || located[0];
+    return { graphId: preferred[1], instanceId: preferred[0] };
+  }
+
+  /**
+   * Ranked search. Every query token has to match; an empty query lists
+   * everything that passes the facet filters, alphabetically.
+   *
+   * Facet counts are computed over the query matches with every other facet
+   * filter applied, so the counts show what picking a value would return.
+   */
+  search(query = '', { facets = {}, limit = 50, activeGraphId = null } = {}) {
+    if (this.stale && this.store) {
+      this.sync(this.store.getState());
+    }
+
+    const tokens = Array.from(new Set(tokenize(query)));
+    let matched;
+    if (tokens.length === 0) {
+      matched = new Map(Array.from(this.docs.keys(), id => [id, 0]));
+    } else {
+      const perToken = tokens.map(token => this._scoreToken(token));
+      matched = new Map();
+      perToken[0].forEach((score, docId) => {
+        let total = score;
+        for (let i = 1; i < perToken.length; i++) {
+          const next = perToken[i].get(docId);
+          if (next === undefined) return;
+          total += next;
+        }
+        matched.set(docId, total);
+      });
+
+      // Whole-name matches outrank documents that only mention the words
+      const phrase = tokens.join(' ');
+      matched.forEach((score, docId) => {
+        const name = tokenize(this.docs.get(docId).name).join(' ');
+        if (name === phrase) matched.set(docId, score + 10);
+        else if (name.startsWith(phrase)) matched.set(docId, score + 3);
+      });
+    }
+
+    const matchedDocs = Array.from(matched.keys(), id => this.docs.get(id));
+    const facetCounts = {};
+    SEARCH_FACETS.forEach(facet => {
+      const counts = new Map();
+      matchedDocs.forEach(doc => {
+        if (!this._matchesFacets(doc, facets, facet)) return;
+        new Set(this._facetValues(doc, facet)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      });
+      facetCounts[facet] = Array.from(counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+    });
+
+    const results = matchedDocs
+      .filter(doc => this._matchesFacets(doc, facets))
+      .map(doc => {
+        const graphIds = this._docGraphIds(doc);
+        return {
+          id: doc.id,
+          kind: doc.kind,
+          refId: doc.refId,
+          name: doc.name,
+          preview: doc.preview,
+          score: matched.get(doc.id),
+          graphIds,
+          target: this._target(doc, graphIds, { graph: facets.graph, activeGraphId })
+        };
+      })
+      .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+    return {
+      total: results.length,
+      results: results.slice(0, limit),
+      facets: facetCounts
+    };
+  }
+}
+
+export const searchIndex = new SearchIndex();
+
+export default searchIndex;
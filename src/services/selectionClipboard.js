@@ -0,0 +1,213 @@
+/**
+ * Selection Clipboard - copy/cut/paste of node selections
+ *
+ * A copied selection is a self-contained JSON payload: the selected instances,
+ * the edges running between them, their (trimmed) group memberships and every
+ * prototype they reference. Because it travels as text/plain it can be pasted
+ * into another graph, another universe, or another browser window.
+ *
+ * Pasting plans fresh ids for everything and either reuses the prototypes
+ * (same universe) or deep-copies them as new prototypes.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+export const CLIPBOARD_FORMAT = 'redstring/selection';
+export const CLIPBOARD_VERSION = 1;
+
+// Where a paste lands when there is no cursor position: offset from the originals
+const PASTE_OFFSET = 40;
+
+const plainPrototype = (prototype) => ({
+  ...prototype,
+  // Definition graphs are not part of the selection
+  definitionGraphIds: []
+});
+
+const arrowsOf = (edge) => {
+  const arrows = edge.directionality?.arrowsToward;
+  if (!arrows) return [];
+  return Array.from(arrows instanceof Set ? arrows : Array.isArray(arrows) ? arrows : []);
+};
+
+/**
+ * Build the clipboard payload for some instances of a graph.
+ * Returns null when nothing in the selection exists.
+ */
+export const serializeSelection = (state, graphId, instanceIds) => {
+  const graph = state?.graphs?.get(graphId);
+  if (!graph?.instances) return null;
+
+  const selected = new Set(Array.from(instanceIds || []).filter(id => graph.instances.has(id)));
+  if (selected.size === 0) return null;
+
+  const instances = Array.from(selected, id => {
+    const { prototypeId, x, y, scale } = graph.instances.get(id);
+    return { id, prototypeId, x, y, scale: scale ?? 1 };
+  });
+
+  const edges = (graph.edgeIds || [])
+    .map(edgeId => state.edges?.get(edgeId))
+    .filter(edge => edge && selected.has(edge.sourceId) && selected.has(edge.destinationId))
+    .map(edge => ({
+      ...edge,
+      directionality: { arrowsToward: arrowsOf(edge).filter(id => selected.has(id)) }
+    }));
+
+  const groups = Array.from(graph.groups?.values() || [])
+    .map(group => {
+      // The RDF metadata is rebuilt when the group is recreated
+      const copy = { ...group, memberInstanceIds: (group.memberInstanceIds || []).filter(id => selected.has(id)) };
+      delete copy.semanticMetadata;
+      return copy;
+    })
+    .filter(group => group.memberInstanceIds.length > 0);
+
+  // Every prototype the selection refers to, so the paste works in a universe that lacks them
+  const prototypeIds = new Set();
+  instances.forEach(instance => prototypeIds.add(instance.prototypeId));
+  edges.forEach(edge => [edge.typeNodeId, ...(edge.definitionNodeIds || [])].forEach(id => id && prototypeIds.add(id)));
+  groups.forEach(group => group.linkedNodePrototypeId && prototypeIds.add(group.linkedNodePrototypeId));
+  Array.from(prototypeIds).forEach(id => {
+    const typeId = state.nodePrototypes?.get(id)?.typeNodeId;
+    if (typeId) prototypeIds.add(typeId);
+  });
+
+  const prototypes = {};
+  prototypeIds.forEach(id => {
+    const prototype = state.nodePrototypes?.get(id);
+    if (prototype) prototypes[id] = plainPrototype(prototype);
+  });
+
+  return {
+    format: CLIPBOARD_FORMAT,
+    version: CLIPBOARD_VERSION,
+    sourceGraphId: graphId,
+    copiedAt: new Date().toISOString(),
+    instances,
+    edges,
+    groups,
+    prototypes
+  };
+};
+
+export const selectionToText = (payload) => JSON.stringify(payload);
+
+/**
+ * Read a payload back from clipboard text. Anything that is not a Redstring
+ * selection (ordinary copied text) gives null.
+ */
+export const parseSelectionText = (text) => {
+  if (typeof text !== 'string' || !text.includes(CLIPBOARD_FORMAT)) return null;
+  try {
+    const payload = JSON.parse(text);
+    if (payload?.format !== CLIPBOARD_FORMAT || !Array.isArray(payload.instances)) return null;
+    if (payload.version > CLIPBOARD_VERSION) {
+      console.warn(`[SelectionClipboard] Clipboard version ${payload.version} is newer than supported (${CLIPBOARD_VERSION})`);
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    console.warn('[SelectionClipboard] Ignoring malformed clipboard data:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Work out what a paste adds to the target graph.
+ *
+ * - position: canvas point for the centre of the pasted selection; without it
+ *   the copy lands slightly offset from the originals.
+ * - deepCopy: create new prototypes for the pasted instances instead of
+ *   reusing them. Referenced types are still reused.
+ *
+ * Returns { prototypes, instances, edges, groups, instanceIdMap } with every id fresh.
+ */
+export const planPaste = (payload, state, { position = null, deepCopy = false, idFactory = uuidv4 } = {}) => {
+  const existing = state?.nodePrototypes || new Map();
+  const available = payload.prototypes || {};
+  const prototypeIdMap = new Map();
+  const prototypes = [];
+
+  const instancePrototypeIds = new Set(payload.instances.map(instance => instance.prototypeId));
+  const resolvePrototype = (id) => {
+    if (!id) return null;
+    if (prototypeIdMap.has(id)) return prototypeIdMap.get(id);
+
+    let resolved = null;
+    if (deepCopy && instancePrototypeIds.has(id) && (available[id] || existing.has(id))) {
+      resolved = idFactory();
+      prototypeIdMap.set(id, resolved);
+      const source = { ...(available[id] || existing.get(id)) };
+      delete source.createdAt;
+      const typeNodeId = source.typeNodeId && source.typeNodeId !== id ? resolvePrototype(source.typeNodeId) : null;
+      prototypes.push({ ...source, id: resolved, typeNodeId, definitionGraphIds: [] });
+      return resolved;
+    }
+    if (existing.has(id)) {
+      resolved = id;
+    } else if (available[id]) {
+      // Pasting into a universe that does not know this prototype: bring it along under its own id
+      resolved = id;
+      prototypeIdMap.set(id, resolved);
+      const typeNodeId = available[id].typeNodeId && available[id].typeNodeId !== id
+        ? resolvePrototype(available[id].typeNodeId)
+        : null;
+      prototypes.push({ ...available[id], typeNodeId, definitionGraphIds: [] });
+      return resolved;
+    }
+    prototypeIdMap.set(id, resolved);
+    return resolved;
+  };
+
+  const xs = payload.instances.map(instance => instance.x);
+  const ys = payload.instances.map(instance => instance.y);
+  const centre = { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+  const shift = position
+    ? { x: position.x - centre.x, y: position.y - centre.y }
+    : { x: PASTE_OFFSET, y: PASTE_OFFSET };
+
+  const instanceIdMap = new Map();
+  const instances = [];
+  payload.instances.forEach(instance => {
+    const prototypeId = resolvePrototype(instance.prototypeId);
+    if (!prototypeId) return; // Nothing to instantiate
+    const id = idFactory();
+    instanceIdMap.set(instance.id, id);
+    instances.push({
+      id,
+      prototypeId,
+      x: instance.x + shift.x,
+      y: instance.y + shift.y,
+      scale: instance.scale ?? 1
+    });
+  });
+
+  const edges = (payload.edges || [])
+    .filter(edge => instanceIdMap.has(edge.sourceId) && instanceIdMap.has(edge.destinationId))
+    .map(edge => ({
+      ...edge,
+      id: idFactory(),
+      sourceId: instanceIdMap.get(edge.sourceId),
+      destinationId: instanceIdMap.get(edge.destinationId),
+      typeNodeId: resolvePrototype(edge.typeNodeId) || 'base-connection-prototype',
+      definitionNodeIds: (edge.definitionNodeIds || []).map(resolvePrototype).filter(Boolean),
+      directionality: {
+        arrowsToward: new Set((edge.directionality?.arrowsToward || []).map(id => instanceIdMap.get(id)).filter(Boolean))
+      }
+    }));
+
+  const groups = (payload.groups || [])
+    .map(({ linkedNodePrototypeId, ...group }) => {
+      const linked = resolvePrototype(linkedNodePrototypeId);
+      return {
+        ...group,
+        id: idFactory(),
+        memberInstanceIds: group.memberInstanceIds.map(id => instanceIdMap.get(id)).filter(Boolean),
+        ...(linked ? { linkedNodePrototypeId: linked } : {})
+      };
+    })
+    .filter(group => group.memberInstanceIds.length > 0);
+
+  return { prototypes, instances, edges, groups, instanceIdMap };
+};
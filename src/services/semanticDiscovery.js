@@ -5,298 +5,21 @@
  * with clear relationship labels and confidence scoring.
  */
 
-import { sparqlClient } from './sparqlClient.js';
+import { semanticSources } from './semanticSources/index.js';
 
-/**
- * Property importance weights for different relationship types
- * Higher scores = more semantically meaningful connections
- */
-const PROPERTY_WEIGHTS = {
-  // DBpedia ontology properties (dbo:)
-  'dbo:series': 0.95,
-  'dbo:developer': 0.90,
-  'dbo:publisher': 0.90,
-  'dbo:creator': 0.90,
-  'dbo:author': 0.90,
-  'dbo:genre': 0.85,
-  'dbo:platform': 0.85,
-  'dbo:engine': 0.80,
-  'dbo:composer': 0.80,
-  'dbo:designer': 0.80,
-  'dbo:director': 0.80,
-  'dbo:producer': 0.75,
-  'dbo:influencedBy': 0.75,
-  'dbo:influenced': 0.75,
-  'dbo:subsequentWork': 0.70,
-  'dbo:previousWork': 0.70,
-  'dbo:related': 0.60,
-  'dbo:wikiPageWikiLink': 0.30, // Weak - just mentions
-
-  // Wikidata properties (P-codes)
-  'wdt:P123': 0.90, // publisher
-  'wdt:P178': 0.90, // developer
-  'wdt:P57': 0.90,  // director
-  'wdt:P170': 0.90, // creator
-  'wdt:P50': 0.90,  // author
-  'wdt:P136': 0.85, // genre
-  'wdt:P400': 0.85, // platform
-  'wdt:P144': 0.80, // based on
-  'wdt:P737': 0.75, // influenced by
-  'wdt:P156': 0.70, // followed by
-  'wdt:P155': 0.70, // follows
-
-  // Default fallbacks
-  'default': 0.50
-};
-
-/**
- * Human-readable labels for property URIs
- */
-const PROPERTY_LABELS = {
-  'dbo:series': 'part of series',
-  'dbo:developer': 'developed by',
-  'dbo:publisher': 'published by',
-  'dbo:creator': 'created by',
-  'dbo:author': 'authored by',
-  'dbo:genre': 'genre',
-  'dbo:platform': 'platform',
-  'dbo:engine': 'uses engine',
-  'dbo:composer': 'music by',
-  'dbo:designer': 'designed by',
-  'dbo:director': 'directed by',
-  'dbo:producer': 'produced by',
-  'dbo:influencedBy': 'influenced by',
-  'dbo:influenced': 'influenced',
-  'dbo:subsequentWork': 'followed by',
-  'dbo:previousWork': 'preceded by',
-  'dbo:related': 'related to',
-  'dbo:wikiPageWikiLink': 'mentioned in',
-
-  'wdt:P123': 'publisher',
-  'wdt:P178': 'developer',
-  'wdt:P57': 'director',
-  'wdt:P170': 'creator',
-  'wdt:P50': 'author',
-  'wdt:P136': 'genre',
-  'wdt:P400': 'platform',
-  'wdt:P144': 'based on',
-  'wdt:P737': 'influenced by',
-  'wdt:P156': 'followed by',
-  'wdt:P155': 'follows',
-};
-
-/**
- * Get property weight (confidence score for relationship type)
- */
-function getPropertyWeight(propertyUri) {
-  if (!propertyUri) return PROPERTY_WEIGHTS.default;
-
-  // Extract short form (e.g., "dbo:series" from full URI)
-  const shortForm = propertyUri.includes('/')
-    ? propertyUri.split('/').pop()
-    : propertyUri;
-
-  // Check exact matches first
-  for (const [key, weight] of Object.entries(PROPERTY_WEIGHTS)) {
-    if (propertyUri.includes(key) || shortForm === key) {
-      return weight;
-    }
-  }
-
-  return PROPERTY_WEIGHTS.default;
-}
-
-/**
- * Get human-readable property label
- */
-function getPropertyLabel(propertyUri) {
-  if (!propertyUri) return 'related to';
-
-  const shortForm = propertyUri.includes('/')
-    ? propertyUri.split('/').pop()
-    : propertyUri;
-
-  for (const [key, label] of Object.entries(PROPERTY_LABELS)) {
-    if (propertyUri.includes(key) || shortForm === key) {
-      return label;
-    }
-  }
-
-  // Generate fallback label from URI
-  return shortForm
-    .replace(/([A-Z])/g, ' $1')
-    .toLowerCase()
-    .trim();
-}
-
-/**
- * Discover relationships using property-path queries (FAST!)
- * @param {string} entityName - Entity to find relationships for
- * @param {Object} options - Query options
- * @returns {Promise<Array>} Connections with clear relationship labels
- */
-export async function discoverDBpediaConnections(entityName, options = {}) {
-  const { timeout = 15000, limit = 30 } = options;
-
-  if (!entityName || typeof entityName !== 'string' || entityName.trim() === '') {
-    console.warn('[SemanticDiscovery] Invalid entityName for DBpedia connections:', entityName);
-    return [];
-  }
-
-  const sanitizedEntityName = entityName.trim();
-  const resourceUri = `http://dbpedia.org/resource/${sanitizedEntityName.replace(/\s+/g, '_')}`;
-
-  // High-value properties to query (most semantically meaningful)
-  const importantProperties = [
-    'dbo:series', 'dbo:developer', 'dbo:publisher', 'dbo:creator', 'dbo:author',
-    'dbo:genre', 'dbo:platform', 'dbo:engine', 'dbo:composer', 'dbo:designer',
-    'dbo:director', 'dbo:producer', 'dbo:influencedBy', 'dbo:influenced',
-    'dbo:subsequentWork', 'dbo:previousWork'
-  ].join('|');
-
-  // Property-path query (uses indexes - very fast!)
-  const query = `
-    PREFIX dbo: <http://dbpedia.org/ontology/>
-    PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
-
-    SELECT DISTINCT ?property ?target ?targetLabel ?targetComment WHERE {
-      # Start from our entity
-      <${resourceUri}> ?property ?target .
-
-      # Filter to important properties only
-      FILTER(?property IN (${importantProperties.split('|').map(p => `dbo:${p.split(':')[1]}`).join(', ')}))
-
-      # Get target label and description
-      OPTIONAL { ?target rdfs:label ?targetLabel . FILTER(LANG(?targetLabel) = "en") }
-      OPTIONAL { ?target rdfs:comment ?targetComment . FILTER(LANG(?targetComment) = "en") }
-
-      # Ensure target is a resource (not literal)
-      FILTER(isIRI(?target))
-    } LIMIT ${limit}
-  `;
-
-  try {
-    const results = await sparqlClient.executeQuery('dbpedia', query, { timeout });
-
-    return results.map(binding => {
-      const propertyUri = binding.property?.value;
-      const targetUri = binding.target?.value;
-      const targetLabel = binding.targetLabel?.value || targetUri?.split('/').pop();
-      const targetComment = binding.targetComment?.value;
-
-      const propertyWeight = getPropertyWeight(propertyUri);
-      const propertyLabel = getPropertyLabel(propertyUri);
-
-      return {
-        source: sanitizedEntityName,
-        target: targetLabel,
-        targetUri: targetUri,
-        relation: propertyLabel,
-        relationUri: propertyUri,
-        description: targetComment ? targetComment.substring(0, 200) : null,
-        confidence: propertyWeight,
-        distance: 1, // Direct connection
-        provider: 'dbpedia'
-      };
-    }).sort((a, b) => b.confidence - a.confidence);
-
-  } catch (error) {
-    console.warn('[SemanticDiscovery] DBpedia property-path query failed:', error);
-    return [];
-  }
-}
-
-/**
- * Discover Wikidata relationships using property IDs
- * @param {string} entityName - Entity to find relationships for
- * @param {Object} options - Query options
- * @returns {Promise<Array>} Connections with relationship labels
- */
-export async function discoverWikidataConnections(entityName, options = {}) {
-  const { timeout = 15000, limit = 30 } = options;
-
-  if (!entityName || typeof entityName !== 'string' || entityName.trim() === '') {
-    console.warn('[SemanticDiscovery] Invalid entityName for Wikidata connections:', entityName);
-    return [];
-  }
-
-  const sanitizedEntityName = entityName.trim();
-
-  // First, find the entity ID
-  const entityQuery = `
-    SELECT ?item WHERE {
-      ?item rdfs:label "${sanitizedEntityName}"@en .
-    } LIMIT 1
-  `;
-
-  try {
-    const entityResults = await sparqlClient.executeQuery('wikidata', entityQuery, { timeout: timeout * 0.3 });
-
-    if (!entityResults || entityResults.length === 0) {
-      return [];
-    }
-
-    const entityUri = entityResults[0].item?.value;
-
-    // Now get relationships using important properties
-    const relationQuery = `
-      PREFIX wdt: <http://www.wikidata.org/prop/direct/>
-      PREFIX wd: <http://www.wikidata.org/entity/>
-
-      SELECT ?property ?target ?targetLabel WHERE {
-        <${entityUri}> ?property ?target .
-
-        # Filter to important properties
-        FILTER(?property IN (
-          wdt:P123, wdt:P178, wdt:P57, wdt:P170, wdt:P50,
-          wdt:P136, wdt:P400, wdt:P144, wdt:P737, wdt:P156, wdt:P155
-        ))
-
-        # Get labels
-        SERVICE wikibase:label { bd:serviceParam wikibase:language "en" }
-      } LIMIT ${limit}
-    `;
-
-    const results = await sparqlClient.executeQuery('wikidata', relationQuery, { timeout: timeout * 0.7 });
-
-    return results.map(binding => {
-      const propertyUri = binding.property?.value;
-      const targetUri = binding.target?.value;
-      const targetLabel = binding.targetLabel?.value;
-
-      const propertyWeight = getPropertyWeight(propertyUri);
-      const propertyLabel = getPropertyLabel(propertyUri);
-
-      return {
-        source: sanitizedEntityName,
-        target: targetLabel,
-        targetUri: targetUri,
-        relation: propertyLabel,
-        relationUri: propertyUri,
-        description: null,
-        confidence: propertyWeight,
-        distance: 1,
-        provider: 'wikidata'
-      };
-    }).sort((a, b) => b.confidence - a.confidence);
-
-  } catch (error) {
-    console.warn('[SemanticDiscovery] Wikidata property-path query failed:', error);
-    return [];
-  }
-}
+export { discoverDBpediaConnections, discoverWikidataConnections } from './semanticSources/index.js';
 
 /**
  * Combined federated discovery from multiple sources
  * @param {string} entityName - Entity to discover connections for
- * @param {Object} options - Discovery options
+ * @param {Object} options - Discovery options ({ timeout, limit, sources: source ids, minConfidence })
  * @returns {Promise<Object>} Structured discovery results
  */
 export async function discoverConnections(entityName, options = {}) {
   const {
     timeout = 20000,
     limit = 50,
-    sources = ['dbpedia', 'wikidata'],
+    sources = semanticSources.enabledIds('relationships'),
     minConfidence = 0.5
   } = options;
 
@@ -330,39 +53,9 @@ export async function discoverConnections(entityName, options = {}) {
   };
 
   try {
-    const queries = [];
-
-    // Query DBpedia if enabled
-    if (sources.includes('dbpedia')) {
-      queries.push(
-        discoverDBpediaConnections(sanitizedEntityName, {
-          timeout: timeout * 0.6,
-          limit: Math.floor(limit * 0.6)
-        })
-      );
-      results.metadata.sources.push('dbpedia');
-    }
-
-    // Query Wikidata if enabled
-    if (sources.includes('wikidata')) {
-      queries.push(
-        discoverWikidataConnections(sanitizedEntityName, {
-          timeout: timeout * 0.4,
-          limit: Math.floor(limit * 0.4)
-        })
-      );
-      results.metadata.sources.push('wikidata');
-    }
-
-    // Execute all queries in parallel
-    const allResults = await Promise.allSettled(queries);
-
-    // Collect all connections
-    for (const result of allResults) {
-      if (result.status === 'fulfilled' && Array.isArray(result.value)) {
-        results.connections.push(...result.value);
-      }
-    }
+    // Every source is asked in parallel; one failing only drops its answers
+    results.connections = await semanticSources.relationships(sanitizedEntityName, { sources, timeout, limit });
+    results.metadata.sources = sources.filter(id => semanticSources.has(id));
 
     // Filter by minimum confidence
     results.connections = results.connections.filter(conn =>
@@ -2,20 +2,106 @@
  * Semantic Federation Engine
  * Handles cross-domain discovery, subscriptions, and real-time federation
  * Enables informal knowledge pools through TTL-based linking
+ *
+ * Polling compares each followed space with the last version we saw. New and
+ * changed concepts wait in an inbox until the user accepts them into a graph
+ * as prototypes linked back to the source (owl:sameAs, stored in
+ * externalLinks); later changes to accepted concepts flow into those
+ * prototypes unless the user has edited the same field locally.
  */
 
+import { v4 as uuidv4 } from 'uuid';
+import { NODE_DEFAULT_COLOR } from '../constants.js';
+
+const STORAGE_KEY = 'redstring_federation_subscriptions';
+
+// Concept fields mirrored onto accepted prototypes
+export const FEDERATED_FIELDS = ['name', 'description', 'color'];
+
+// Discovery entries may carry one of these; when it is unchanged we skip refetching the concept
+const VERSION_KEYS = ['lastModified', 'updated', 'version', 'etag', 'hash'];
+
+const conceptVersion = (concept) => {
+  const key = VERSION_KEYS.find(name => concept?.[name]);
+  return key ? String(concept[key]) : null;
+};
+
+const relationshipList = (data) => Object.entries(data?.relationships || {})
+  .flatMap(([type, targets]) => (targets || []).map(target => `${type} → ${target}`))
+  .sort();
+
+const fingerprint = (data) => JSON.stringify([
+  ...FEDERATED_FIELDS.map(field => data?.[field] || ''),
+  relationshipList(data)
+]);
+
+/**
+ * Field-level differences between two versions of an external concept.
+ * @param {Object|null} before - Concept data we saw previously
+ * @param {Object} after - Concept data now
+ * @returns {Array<{field: string, before: string, after: string}>}
+ */
+export const diffConceptData = (before, after) => {
+  const changes = FEDERATED_FIELDS
+    .filter(field => (before?.[field] || '') !== (after?.[field] || ''))
+    .map(field => ({ field, before: before?.[field] || '', after: after?.[field] || '' }));
+  const beforeRelations = relationshipList(before).join(', ');
+  const afterRelations = relationshipList(after).join(', ');
+  if (beforeRelations !== afterRelations) {
+    changes.push({ field: 'relationships', before: beforeRelations, after: afterRelations });
+  }
+  return changes;
+};
+
+/**
+ * Prototypes that were accepted from (are owl:sameAs) an external concept.
+ * @param {Map} nodePrototypes - Store prototypes
+ * @param {string} conceptUri - External concept URI
+ */
+export const findLinkedPrototypes = (nodePrototypes, conceptUri) => Array.from(nodePrototypes?.values() || [])
+  .filter(prototype => (prototype.externalLinks || []).includes(conceptUri));
+
 export class SemanticFederation {
-  constructor(syncEngine) {
+  /**
+   * @param {Object} syncEngine - Local semantic sync engine
+   * @param {Object} [options]
+   * @param {Storage} [options.storage] - Where subscriptions and the inbox survive reloads
+   */
+  constructor(syncEngine, options = {}) {
     this.syncEngine = syncEngine;
     this.subscriptions = new Map(); // URL -> SubscriptionInfo
     this.externalConcepts = new Map(); // URI -> CachedConcept
     this.discoveryCache = new Map(); // URL -> DiscoveryInfo
+    this.inbox = new Map(); // `${spaceUrl}#${conceptId}` -> InboxEntry
+    this.updateListeners = new Set();
+    this.graphStore = options.graphStore || null; // Zustand store that accepted concepts live in
+    this.storage = options.storage || null;
     this.pollingInterval = 30000; // 30 seconds
     this.cacheExpiry = 300000; // 5 minutes
-    
+    this.isPolling = false;
+
+    this.restore();
     this.startPolling();
   }
 
+  /**
+   * Attach the graph store so accepted concepts can be kept up to date while polling.
+   * @param {Object} graphStore - Zustand store (useGraphStore)
+   */
+  setGraphStore(graphStore) {
+    this.graphStore = graphStore;
+  }
+
+  /**
+   * Listen for subscription updates (new, changed and auto-updated concepts)
+   * @param {Function} listener - Receives { subscription, newConcepts, changed, updated, inboxSize }
+   * @returns {Function} Unsubscribe
+   */
+  onSubscriptionUpdate(listener) {
+    this.updateListeners.add(listener);
+    return () => this.updateListeners.delete(listener);
+  }
+
   /**
    * Subscribe to an external semantic space
    * @param {string} spaceUrl - URL of the semantic space
@@ -34,16 +120,22 @@ export class SemanticFederation {
         lastChecked: new Date().toISOString(),
         lastUpdate: null,
         concepts: new Set(),
+        snapshots: new Map(), // conceptId -> last version seen
         autoImport: options.autoImport || false,
         active: true
       };
 
-      // Initial discovery of concepts
-      await this.discoverConcepts(spaceUrl, subscription);
+      // Initial discovery of concepts; they all start out in the inbox
+      const changes = await this.discoverConcepts(spaceUrl, subscription);
       
       this.subscriptions.set(spaceUrl, subscription);
       
       console.log(`[SemanticFederation] Subscribed to ${spaceUrl}: ${subscription.concepts.size} concepts found`);
+
+      if (changes?.newConcepts.length > 0) {
+        this.notifySubscriptionUpdate(subscription, changes.newConcepts);
+      }
+      this.persist();
       
       return subscription;
       
@@ -62,6 +154,10 @@ export class SemanticFederation {
     if (subscription) {
       subscription.active = false;
       this.subscriptions.delete(spaceUrl);
+      Array.from(this.inbox.values())
+        .filter(entry => entry.spaceUrl === spaceUrl)
+        .forEach(entry => this.inbox.delete(entry.key));
+      this.persist();
       console.log(`[SemanticFederation] Unsubscribed from ${spaceUrl}`);
     }
   }
@@ -69,11 +165,13 @@ export class SemanticFederation {
   /**
    * Discover a semantic space structure
    * @param {string} spaceUrl - URL of the semantic space
+   * @param {Object} [options]
+   * @param {boolean} [options.fresh] - Ignore the discovery cache
    * @returns {Promise<DiscoveryInfo>} Discovery information
    */
-  async discoverSpace(spaceUrl) {
+  async discoverSpace(spaceUrl, { fresh = false } = {}) {
     const cacheKey = `discovery:${spaceUrl}`;
-    const cached = this.getCachedDiscovery(cacheKey);
+    const cached = fresh ? null : this.getCachedDiscovery(cacheKey);
     if (cached) return cached;
 
     try {
@@ -162,27 +260,304 @@ export class SemanticFederation {
    * Discover concepts in a subscribed space
    * @param {string} spaceUrl - URL of the semantic space
    * @param {SubscriptionInfo} subscription - Subscription information
+   * @returns {Promise<Object|undefined>} Changes found, see reconcileConcepts
    */
   async discoverConcepts(spaceUrl, subscription) {
     try {
       const discoveryInfo = await this.discoverSpace(spaceUrl);
-      
-      for (const concept of discoveryInfo.concepts) {
-        subscription.concepts.add(concept.id);
-        
-        // Cache the concept if auto-import is enabled
-        if (subscription.autoImport) {
-          await this.cacheExternalConcept(concept.url, spaceUrl);
-        }
-      }
+      const changes = await this.reconcileConcepts(spaceUrl, subscription, discoveryInfo);
       
       subscription.lastChecked = new Date().toISOString();
+      return changes;
       
     } catch (error) {
       console.error(`[SemanticFederation] Concept discovery failed for ${spaceUrl}:`, error);
     }
   }
 
+  /**
+   * URI an external concept is known by; accepted prototypes link to it.
+   * @param {string} spaceUrl - URL of the semantic space
+   * @param {Object} concept - Discovery entry
+   */
+  conceptUri(spaceUrl, concept) {
+    if (concept.url) return concept.url;
+    const base = spaceUrl.endsWith('/') ? spaceUrl : `${spaceUrl}/`;
+    return `${base}${encodeURIComponent(concept.id)}`;
+  }
+
+  /**
+   * Current data for a discovered concept, from its TTL file when it has one.
+   * @param {Object} concept - Discovery entry
+   * @param {string} spaceUrl - Source space URL
+   * @param {boolean} refetch - Bypass the concept cache (new concept, or its version changed)
+   */
+  async readConceptData(concept, spaceUrl, refetch) {
+    const fromEntry = {
+      name: concept.name || concept.id,
+      description: concept.description || '',
+      color: concept.color || '',
+      relationships: {}
+    };
+    if (!concept.url) return fromEntry;
+
+    try {
+      const cached = refetch
+        ? await this.cacheExternalConcept(concept.url, spaceUrl)
+        : await this.getExternalConcept(concept.url);
+      const data = cached?.data;
+      return data ? { ...data, name: data.name || fromEntry.name } : fromEntry;
+    } catch {
+      return fromEntry;
+    }
+  }
+
+  /**
+   * Compare a space's concepts with the versions we last saw. New and changed
+   * concepts go to the inbox; changes to accepted concepts are applied to
+   * their prototypes.
+   * @param {string} spaceUrl - URL of the semantic space
+   * @param {SubscriptionInfo} subscription - Subscription information
+   * @param {DiscoveryInfo} discoveryInfo - Fresh discovery of the space
+   * @returns {Promise<Object>} { newConcepts, changed, updated }
+   */
+  async reconcileConcepts(spaceUrl, subscription, discoveryInfo) {
+    if (!subscription.snapshots) subscription.snapshots = new Map();
+    const newConcepts = [];
+    const changed = [];
+    const updated = [];
+
+    for (const concept of discoveryInfo.concepts || []) {
+      const isNew = !subscription.concepts.has(concept.id);
+      const previous = subscription.snapshots.get(concept.id) || null;
+      const version = conceptVersion(concept);
+      if (!isNew && previous && version && previous.version === version) continue;
+
+      subscription.concepts.add(concept.id);
+      // Unversioned concepts are refetched once their cache entry expires
+      const data = await this.readConceptData(concept, spaceUrl, isNew || Boolean(version));
+      const snapshot = {
+        uri: this.conceptUri(spaceUrl, concept),
+        version,
+        data,
+        fingerprint: fingerprint(data)
+      };
+      subscription.snapshots.set(concept.id, snapshot);
+
+      if (isNew) {
+        newConcepts.push(concept);
+        this.queueInboxEntry(subscription, concept.id, snapshot, null);
+        continue;
+      }
+      // Without a previous version there is nothing to compare against yet
+      if (!previous || previous.fingerprint === snapshot.fingerprint) continue;
+
+      const applied = this.applyToAcceptedPrototypes(snapshot.uri, previous.data, data);
+      if (applied.length > 0) {
+        updated.push({ conceptId: concept.id, name: data.name, prototypes: applied });
+      } else {
+        changed.push(this.queueInboxEntry(subscription, concept.id, snapshot, previous.data));
+      }
+    }
+
+    return { newConcepts, changed, updated };
+  }
+
+  /**
+   * Add or refresh an inbox entry for a new or changed concept.
+   * @returns {Object} The inbox entry
+   */
+  queueInboxEntry(subscription, conceptId, snapshot, previousData) {
+    const key = `${subscription.url}#${conceptId}`;
+    const existing = this.inbox.get(key);
+    // Keep comparing against what the user last saw, however many times it changed since
+    const isNew = previousData === null || existing?.change === 'new';
+    const before = isNew ? null : (existing ? existing.previous : previousData);
+    const entry = {
+      key,
+      spaceUrl: subscription.url,
+      spaceName: subscription.name,
+      conceptId,
+      conceptUri: snapshot.uri,
+      change: isNew ? 'new' : 'changed',
+      previous: before,
+      current: snapshot.data,
+      fields: isNew ? [] : diffConceptData(before, snapshot.data),
+      detectedAt: new Date().toISOString()
+    };
+    this.inbox.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Carry a concept's changes into the prototypes accepted from it. A field
+   * the user has edited locally keeps the local value.
+   * @returns {Array} { prototypeId, fields, kept } per linked prototype
+   */
+  applyToAcceptedPrototypes(conceptUri, previousData, data) {
+    const store = this.graphStore?.getState?.();
+    if (!store) return [];
+
+    return findLinkedPrototypes(store.nodePrototypes, conceptUri).map(prototype => {
+      const changes = {};
+      const kept = [];
+      FEDERATED_FIELDS.forEach(field => {
+        const before = previousData?.[field] || '';
+        const after = data?.[field] || '';
+        if (before === after || (field === 'color' && !after)) return;
+        const local = prototype[field] || '';
+        if (local === before || !local) changes[field] = after;
+        else if (local !== after) kept.push(field);
+      });
+      if (Object.keys(changes).length > 0) {
+        store.updateNodePrototype(prototype.id, draft => { Object.assign(draft, changes); });
+      }
+      return { prototypeId: prototype.id, fields: Object.keys(changes), kept };
+    });
+  }
+
+  /**
+   * Inbox entries awaiting review, newest first.
+   * @returns {Array} Inbox entries
+   */
+  getInbox() {
+    return Array.from(this.inbox.values())
+      .sort((a, b) => (b.detectedAt || '').localeCompare(a.detectedAt || '') || a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Drop inbox entries without accepting them.
+   * @param {string[]} keys - Inbox entry keys
+   */
+  dismissInboxEntries(keys) {
+    keys.forEach(key => this.inbox.delete(key));
+    this.persist();
+  }
+
+  /**
+   * Accept inbox entries into a graph as prototypes linked to their source.
+   * Concepts already accepted elsewhere reuse their prototype; relationships
+   * between accepted concepts become edges.
+   * @param {string[]} keys - Inbox entry keys
+   * @param {Object} [options]
+   * @param {string} [options.graphId] - Target graph (defaults to the active graph, or a new one)
+   * @param {Object} [options.store] - Store state with actions (defaults to the attached store)
+   * @param {Function} [options.idFactory]
+   * @returns {Object} { graphId, prototypeIds }
+   */
+  acceptInboxEntries(keys, { graphId = null, store = this.graphStore?.getState?.(), idFactory = uuidv4 } = {}) {
+    if (!store) {
+      throw new Error('No graph store to accept concepts into');
+    }
+    const entries = keys.map(key => this.inbox.get(key)).filter(Boolean);
+    if (entries.length === 0) return { graphId: null, prototypeIds: [] };
+
+    let targetGraphId = graphId || store.activeGraphId;
+    const graph = targetGraphId ? store.graphs.get(targetGraphId) : null;
+    const instances = Array.from(graph?.instances?.values() || []);
+    const instanceFor = (prototypeId) => instances.find(instance => instance.prototypeId === prototypeId)?.id || null;
+
+    // New nodes go in rows below whatever is already in the graph
+    const top = instances.length > 0 ? Math.max(...instances.map(instance => instance.y || 0)) + 200 : 0;
+    const left = instances.length > 0 ? Math.min(...instances.map(instance => instance.x || 0)) : 0;
+    let placed = 0;
+    const nextPosition = () => {
+      const position = { x: left + (placed % 4) * 220, y: top + Math.floor(placed / 4) * 160 };
+      placed += 1;
+      return position;
+    };
+
+    const prototypes = [];
+    const newInstances = [];
+    const updates = [];
+    const instanceByUri = new Map();
+    const prototypeIds = [];
+
+    entries.forEach(entry => {
+      const { current, conceptUri } = entry;
+      const existing = findLinkedPrototypes(store.nodePrototypes, conceptUri)[0];
+      let prototypeId;
+      if (existing) {
+        prototypeId = existing.id;
+        // Accepting a change means taking the source's values
+        updates.push([prototypeId, FEDERATED_FIELDS.reduce((fields, field) => {
+          if (current[field] || field !== 'color') fields[field] = current[field] || '';
+          return fields;
+        }, {})]);
+      } else {
+        prototypeId = idFactory();
+        prototypes.push({
+          id: prototypeId,
+          name: current.name || entry.conceptId,
+          description: current.description || '',
+          color: current.color || NODE_DEFAULT_COLOR,
+          typeNodeId: null,
+          definitionGraphIds: [],
+          externalLinks: [conceptUri]
+        });
+      }
+      prototypeIds.push(prototypeId);
+
+      let instanceId = graph ? instanceFor(prototypeId) : null;
+      if (!instanceId) {
+        instanceId = idFactory();
+        newInstances.push({ id: instanceId, prototypeId, ...nextPosition(), scale: 1 });
+      }
+      instanceByUri.set(conceptUri, instanceId);
+    });
+
+    // Relationships to concepts that are (now) in the graph become edges
+    const existingEdges = new Set((graph?.edgeIds || []).map(edgeId => {
+      const edge = store.edges.get(edgeId);
+      return edge ? `${edge.sourceId}|${edge.destinationId}|${edge.name}` : null;
+    }));
+    const edges = [];
+    entries.forEach(entry => {
+      const subscription = this.subscriptions.get(entry.spaceUrl);
+      const sourceId = instanceByUri.get(entry.conceptUri);
+      Object.entries(entry.current.relationships || {}).forEach(([relation, targets]) => {
+        (targets || []).forEach(targetConceptId => {
+          const targetUri = subscription?.snapshots?.get(targetConceptId)?.uri;
+          if (!targetUri) return;
+          const destinationId = instanceByUri.get(targetUri)
+            || (graph && findLinkedPrototypes(store.nodePrototypes, targetUri).map(prototype => instanceFor(prototype.id)).find(Boolean));
+          const signature = `${sourceId}|${destinationId}|${relation}`;
+          if (!destinationId || existingEdges.has(signature)) return;
+          existingEdges.add(signature);
+          edges.push({
+            id: idFactory(),
+            sourceId,
+            destinationId,
+            name: relation,
+            description: '',
+            typeNodeId: 'base-connection-prototype',
+            definitionNodeIds: [],
+            directionality: { arrowsToward: new Set([destinationId]) }
+          });
+        });
+      });
+    });
+
+    store.beginHistoryTransaction?.('Accept federated concepts');
+    try {
+      if (!graph) {
+        targetGraphId = idFactory();
+        store.createGraphWithId(targetGraphId, { name: entries[0].spaceName || 'Federated concepts' });
+      }
+      updates.forEach(([prototypeId, fields]) => {
+        store.updateNodePrototype(prototypeId, draft => { Object.assign(draft, fields); });
+      });
+      store.pasteSelection(targetGraphId, { prototypes, instances: newInstances, edges });
+    } finally {
+      store.commitHistoryTransaction?.();
+    }
+
+    entries.forEach(entry => this.inbox.delete(entry.key));
+    this.persist();
+    console.log(`[SemanticFederation] Accepted ${entries.length} concepts into graph ${targetGraphId}`);
+    return { graphId: targetGraphId, prototypeIds };
+  }
+
   /**
    * Cache an external concept
    * @param {string} conceptUrl - URL of the concept TTL file
@@ -346,40 +721,35 @@ export class SemanticFederation {
    * Poll all active subscriptions for updates
    */
   async pollSubscriptions() {
-    for (const [url, subscription] of this.subscriptions) {
-      if (!subscription.active) continue;
+    if (this.isPolling) return; // A slow poll is still running
+    this.isPolling = true;
 
-      try {
-        const discoveryInfo = await this.discoverSpace(url);
-        
-        // Check for new concepts
-        const newConcepts = discoveryInfo.concepts.filter(concept => 
-          !subscription.concepts.has(concept.id)
-        );
+    try {
+      for (const [url, subscription] of this.subscriptions) {
+        if (!subscription.active) continue;
 
-        if (newConcepts.length > 0) {
-          console.log(`[SemanticFederation] Found ${newConcepts.length} new concepts in ${url}`);
-          
-          // Add new concepts to subscription
-          for (const concept of newConcepts) {
-            subscription.concepts.add(concept.id);
+        try {
+          // Skip the discovery cache, otherwise changes only show up once it expires
+          const discoveryInfo = await this.discoverSpace(url, { fresh: true });
+          const { newConcepts, changed, updated } = await this.reconcileConcepts(url, subscription, discoveryInfo);
+
+          if (newConcepts.length > 0 || changed.length > 0 || updated.length > 0) {
+            console.log(`[SemanticFederation] ${url}: ${newConcepts.length} new, ${changed.length} changed, ${updated.length} updated concepts`);
+            subscription.lastUpdate = new Date().toISOString();
             
-            if (subscription.autoImport) {
-              await this.cacheExternalConcept(concept.url, url);
-            }
+            // Notify about updates
+            this.notifySubscriptionUpdate(subscription, newConcepts, { changed, updated });
           }
 
-          subscription.lastUpdate = new Date().toISOString();
+          subscription.lastChecked = new Date().toISOString();
           
-          // Notify about updates
-          this.notifySubscriptionUpdate(subscription, newConcepts);
+        } catch (error) {
+          console.error(`[SemanticFederation] Polling failed for ${url}:`, error);
         }
-
-        subscription.lastChecked = new Date().toISOString();
-        
-      } catch (error) {
-        console.error(`[SemanticFederation] Polling failed for ${url}:`, error);
       }
+    } finally {
+      this.isPolling = false;
+      this.persist();
     }
   }
 
@@ -387,10 +757,32 @@ export class SemanticFederation {
    * Notify about subscription updates
    * @param {SubscriptionInfo} subscription - Subscription information
    * @param {Array} newConcepts - New concepts found
+   * @param {Object} [details] - { changed: inbox entries, updated: accepted concepts brought up to date }
    */
-  notifySubscriptionUpdate(subscription, newConcepts) {
-    // This would integrate with the UI notification system
+  notifySubscriptionUpdate(subscription, newConcepts, { changed = [], updated = [] } = {}) {
     console.log(`[SemanticFederation] ${subscription.name} has ${newConcepts.length} new concepts`);
+
+    const update = { subscription, newConcepts, changed, updated, inboxSize: this.inbox.size };
+    this.updateListeners.forEach(listener => {
+      try {
+        listener(update);
+      } catch (error) {
+        console.warn('[SemanticFederation] Update listener error:', error);
+      }
+    });
+
+    if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+      window.dispatchEvent(new CustomEvent('redstring:federation-update', {
+        detail: {
+          spaceUrl: subscription.url,
+          name: subscription.name,
+          newCount: newConcepts.length,
+          changedCount: changed.length,
+          updatedCount: updated.length,
+          inboxSize: this.inbox.size
+        }
+      }));
+    }
   }
 
   /**
@@ -417,6 +809,44 @@ export class SemanticFederation {
     };
   }
 
+  /**
+   * Save subscriptions, what we last saw of them and the inbox.
+   */
+  persist() {
+    if (!this.storage) return;
+    try {
+      const subscriptions = Array.from(this.subscriptions.values()).map(subscription => ({
+        ...subscription,
+        concepts: Array.from(subscription.concepts || []),
+        snapshots: Array.from(subscription.snapshots?.entries() || [])
+      }));
+      this.storage.setItem(STORAGE_KEY, JSON.stringify({ subscriptions, inbox: Array.from(this.inbox.values()) }));
+    } catch (error) {
+      console.warn('[SemanticFederation] Failed to save subscriptions:', error);
+    }
+  }
+
+  /**
+   * Load what persist() saved.
+   */
+  restore() {
+    if (!this.storage) return;
+    try {
+      const saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || 'null');
+      if (!saved) return;
+      (saved.subscriptions || []).forEach(subscription => {
+        this.subscriptions.set(subscription.url, {
+          ...subscription,
+          concepts: new Set(subscription.concepts || []),
+          snapshots: new Map(subscription.snapshots || [])
+        });
+      });
+      (saved.inbox || []).forEach(entry => this.inbox.set(entry.key, entry));
+    } catch (error) {
+      console.warn('[SemanticFederation] Failed to restore subscriptions:', error);
+    }
+  }
+
   // Helper methods
 
   /**
@@ -542,4 +972,18 @@ export class SemanticFederation {
 
     return concept;
   }
-} 
\ No newline at end of file
+} 
+
+let sharedFederation = null;
+
+/**
+ * The app-wide federation, with subscriptions kept in localStorage.
+ * @returns {SemanticFederation}
+ */
+export const getSemanticFederation = () => {
+  if (!sharedFederation) {
+    const storage = typeof localStorage !== 'undefined' ? localStorage : null;
+    sharedFederation = new SemanticFederation(null, { storage });
+  }
+  return sharedFederation;
+};
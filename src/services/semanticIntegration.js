@@ -25,7 +25,7 @@ export async function exploreEntity(entityName, options = {}) {
     minConfidence = 0.6,
     enableDeduplication = true,
     generateLayout = true,
-    sources = ['dbpedia', 'wikidata']
+    sources // Every enabled semantic source unless narrowed
   } = options;
 
   console.log(`[SemanticIntegration] Exploring "${entityName}" with maxDepth=${maxDepth}`);
@@ -201,7 +201,7 @@ export async function deepExplore(entityName, options = {}) {
  * Find similar entities for comparison
  */
 export async function findSimilarEntities(entityName, candidateNames, options = {}) {
-  const { timeout = 10000, sources = ['dbpedia', 'wikidata'] } = options;
+  const { timeout = 10000, sources } = options;
 
   // Fetch data for all candidates
   const fetchPromises = [entityName, ...candidateNames].map(name =>
@@ -0,0 +1,114 @@
+/**
+ * ConceptNet source - common-sense relations through the /api/conceptnet proxy
+ */
+
+const conceptPath = (entityName) => `/c/en/${entityName.toLowerCase().replace(/\s+/g, '_')}`;
+
+/**
+ * Extract readable label from ConceptNet URI
+ */
+export function extractConceptNetLabel(conceptUri) {
+  if (typeof conceptUri === 'string') {
+    const parts = conceptUri.split('/');
+    return parts[parts.length - 1].replace(/_/g, ' ');
+  }
+
+  if (conceptUri && conceptUri.label) {
+    return conceptUri.label;
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Query ConceptNet (REST API)
+ */
+export async function queryConceptNet(entityName) {
+  try {
+    const response = await fetch(`/api/conceptnet${conceptPath(entityName)}?limit=10`);
+    if (!response.ok) return [];
+
+    const data = await response.json();
+    return [{
+      uri: data['@id'],
+      description: `ConceptNet concept: ${entityName}`,
+      types: ['concept'],
+      confidence: 0.7,
+      properties: {}
+    }];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Get ConceptNet relationships
+ */
+export async function getConceptNetRelationships(entityName, options = {}) {
+  const { limit = 10 } = options;
+
+  try {
+    const response = await fetch(`/api/conceptnet/query?node=${conceptPath(entityName)}&limit=${limit}`);
+    if (!response.ok) return [];
+
+    const data = await response.json();
+    return data.edges.map(edge => ({
+      target: extractConceptNetLabel(edge.end),
+      relation: edge.rel?.label || 'related_to',
+      confidence: edge.weight || 0.5
+    }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Search ConceptNet
+ */
+export async function searchConceptNet(query, options = {}) {
+  const { limit = 10 } = options;
+
+  try {
+    const response = await fetch(`/api/conceptnet/search?text=${encodeURIComponent(query)}&limit=${limit}`);
+    if (!response.ok) return [];
+
+    const data = await response.json();
+    return data.edges.map(edge => ({
+      title: extractConceptNetLabel(edge.start),
+      snippet: `${edge.rel?.label || 'relates to'} ${extractConceptNetLabel(edge.end)}`,
+      uri: edge.start['@id'],
+      confidence: edge.weight || 0.5
+    }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * ConceptNet as a registry source
+ * @returns {Object} SemanticSource
+ */
+export function createConceptNetSource() {
+  return {
+    id: 'conceptnet',
+    name: 'ConceptNet',
+    kind: 'builtin',
+    search: async (term, options = {}) => (await searchConceptNet(term, options)).map(result => ({
+      uri: result.uri,
+      label: result.title,
+      description: result.snippet,
+      types: ['concept']
+    })),
+    relationships: async (term, options = {}) => (await getConceptNetRelationships(term, options)).map(rel => ({
+      source: term,
+      target: rel.target,
+      targetUri: null,
+      relation: rel.relation,
+      relationUri: null,
+      description: null,
+      confidence: rel.confidence,
+      distance: 1,
+      provider: 'conceptnet'
+    }))
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * DBpedia source - label lookup and property-path relationships
+ */
+
+import { sparqlClient } from '../sparqlClient.js';
+import { getPropertyWeight, getPropertyLabel } from './propertyLabels.js';
+
+/**
+ * Simple DBpedia query for fast enrichment - just basic entity lookup
+ * @param {string} entityName - Entity name to search for
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} DBpedia results
+ */
+export async function simpleQueryDBpedia(entityName, options = {}) {
+  const { timeout = 15000, limit = 5, throwOnError = false } = options;
+  
+  const query = `
+    SELECT DISTINCT ?resource ?comment WHERE {
+      ?resource rdfs:label "${entityName}"@en .
+      OPTIONAL { ?resource rdfs:comment ?comment . FILTER(LANG(?comment) = "en") }
+    } LIMIT ${limit}
+  `;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch('https://dbpedia.org/sparql', {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/sparql-results+json',
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': 'RedString-SemanticWeb/1.0'
+      },
+      body: `query=${encodeURIComponent(query)}`,
+      signal: controller.signal
+    });
+
+    clearTimeout(timeoutId);
+
+    if (!response.ok) {
+      throw new Error(`DBpedia HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    
+    if (data.results && data.results.bindings) {
+      return data.results.bindings.map(binding => ({
+        resource: binding.resource,
+        comment: binding.comment
+      }));
+    }
+    
+    return [];
+
+  } catch (error) {
+    clearTimeout(timeoutId);
+    if (throwOnError) throw error;
+    console.warn('[SemanticWebQuery] Simple DBpedia query failed:', error);
+    return [];
+  }
+}
+
+
+/**
+ * Discover relationships using property-path queries (FAST!)
+ * @param {string} entityName - Entity to find relationships for
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} Connections with clear relationship labels
+ */
+export async function discoverDBpediaConnections(entityName, options = {}) {
+  const { timeout = 15000, limit = 30, throwOnError = false } = options;
+
+  if (!entityName || typeof entityName !== 'string' || entityName.trim() === '') {
+    console.warn('[SemanticDiscovery] Invalid entityName for DBpedia connections:', entityName);
+    return [];
+  }
+
+  const sanitizedEntityName = entityName.trim();
+  const resourceUri = `http://dbpedia.org/resource/${sanitizedEntityName.replace(/\s+/g, '_')}`;
+
+  // High-value properties to query (most semantically meaningful)
+  const importantProperties = [
+    'dbo:series', 'dbo:developer', 'dbo:publisher', 'dbo:creator', 'dbo:author',
+    'dbo:genre', 'dbo:platform', 'dbo:engine', 'dbo:composer', 'dbo:designer',
+    'dbo:director', 'dbo:producer', 'dbo:influencedBy', 'dbo:influenced',
+    'dbo:subsequentWork', 'dbo:previousWork'
+  ].join('|');
+
+  // Property-path query (uses indexes - very fast!)
+  const query = `
+    PREFIX dbo: <http://dbpedia.org/ontology/>
+    PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+    SELECT DISTINCT ?property ?target ?targetLabel ?targetComment WHERE {
+      # Start from our entity
+      <${resourceUri}> ?property ?target .
+
+      # Filter to important properties only
+      FILTER(?property IN (${importantProperties.split('|').map(p => `dbo:${p.split(':')[1]}`).join(', ')}))
+
+      # Get target label and description
+      OPTIONAL { ?target rdfs:label ?targetLabel . FILTER(LANG(?targetLabel) = "en") }
+      OPTIONAL { ?target rdfs:comment ?targetComment . FILTER(LANG(?targetComment) = "en") }
+
+      # Ensure target is a resource (not literal)
+      FILTER(isIRI(?target))
+    } LIMIT ${limit}
+  `;
+
+  try {
+    const results = await sparqlClient.executeQuery('dbpedia', query, { timeout });
+
+    return results.map(binding => {
+      const propertyUri = binding.property?.value;
+      const targetUri = binding.target?.value;
+      const targetLabel = binding.targetLabel?.value || targetUri?.split('/').pop();
+      const targetComment = binding.targetComment?.value;
+
+      const propertyWeight = getPropertyWeight(propertyUri);
+      const propertyLabel = getPropertyLabel(propertyUri);
+
+      return {
+        source: sanitizedEntityName,
+        target: targetLabel,
+        targetUri: targetUri,
+        relation: propertyLabel,
+        relationUri: propertyUri,
+        description: targetComment ? targetComment.substring(0, 200) : null,
+        confidence: propertyWeight,
+        distance: 1, // Direct connection
+        provider: 'dbpedia'
+      };
+    }).sort((a, b) => b.confidence - a.confidence);
+
+  } catch (error) {
+    if (throwOnError) throw error;
+    console.warn('[SemanticDiscovery] DBpedia property-path query failed:', error);
+    return [];
+  }
+}
+
+
+/**
+ * DBpedia as a registry source
+ * @returns {Object} SemanticSource
+ */
+export function createDBpediaSource() {
+  const toEntity = (binding) => ({
+    uri: binding.resource?.value,
+    label: binding.resource?.value?.split('/').pop().replace(/_/g, ' '),
+    description: binding.comment?.value || null,
+    types: []
+  });
+
+  return {
+    id: 'dbpedia',
+    name: 'DBpedia',
+    kind: 'builtin',
+    rateLimit: 500,
+    search: async (term, options = {}) =>
+      (await simpleQueryDBpedia(term, { ...options, throwOnError: true })).map(toEntity),
+    lookup: async (term, options = {}) => {
+      const [first] = await simpleQueryDBpedia(term, { ...options, limit: 1, throwOnError: true });
+      return first ? toEntity(first) : null;
+    },
+    relationships: (term, options = {}) => discoverDBpediaConnections(term, { ...options, throwOnError: true })
+  };
+}
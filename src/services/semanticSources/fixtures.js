@@ -0,0 +1,87 @@
+/**
+ * Fixture sources - replay recorded answers instead of calling the network
+ *
+ * A fixture set maps each capability to the answers for each term:
+ *
+ *   {
+ *     search: { apple: [{ uri, label, description }] },
+ *     lookup: { apple: { uri, label, description } },
+ *     relationships: { apple: [{ target, relation, confidence, ... }] }
+ *   }
+ *
+ * Register a fixture source under a built-in id ('wikidata', 'dbpedia', ...)
+ * to run enrichment and discovery offline, e.g. in tests. recordFixtures()
+ * wraps a live source and captures what it returns in the same shape.
+ */
+
+import { SOURCE_CAPABILITIES } from './registry.js';
+
+const EMPTY_ANSWER = { search: [], lookup: null, relationships: [] };
+
+const normalizeTerm = (term) => String(term).trim().toLowerCase();
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Create a source that answers from recorded fixtures.
+ * @param {Object} config
+ * @param {string} config.id - Registry id; reuse a built-in id to stand in for it
+ * @param {Object} config.fixtures - { search, lookup, relationships } keyed by term
+ * @param {string} [config.name]
+ * @param {number} [config.trust]
+ * @param {boolean} [config.strict] - Throw for terms without a recording instead of answering empty
+ * @returns {Object} SemanticSource
+ */
+export function createFixtureSource({ id, fixtures = {}, name = id, trust, strict = false } = {}) {
+  if (!id) {
+    throw new Error('A fixture source needs an id');
+  }
+
+  const recordings = {};
+  SOURCE_CAPABILITIES.forEach(capability => {
+    recordings[capability] = new Map(
+      Object.entries(fixtures[capability] || {}).map(([term, answer]) => [normalizeTerm(term), answer])
+    );
+  });
+
+  const replay = (capability) => async (term) => {
+    const key = normalizeTerm(term);
+    if (recordings[capability].has(key)) {
+      return clone(recordings[capability].get(key));
+    }
+    if (strict) {
+      throw new Error(`No ${capability} fixture for "${term}" in source "${id}"`);
+    }
+    return clone(EMPTY_ANSWER[capability]);
+  };
+
+  const source = { id, name, kind: 'fixture', trust, rateLimit: 0 };
+  SOURCE_CAPABILITIES
+    .filter(capability => fixtures[capability])
+    .forEach(capability => { source[capability] = replay(capability); });
+  return source;
+}
+
+/**
+ * Wrap a live source so every answer it gives is also recorded.
+ * @param {Object} source - Any SemanticSource
+ * @returns {{ source: Object, fixtures: Object }} The wrapped source to register and
+ *   the fixtures it fills, ready for JSON.stringify and createFixtureSource
+ */
+export function recordFixtures(source) {
+  const fixtures = {};
+  const recording = { ...source };
+
+  SOURCE_CAPABILITIES
+    .filter(capability => typeof source[capability] === 'function')
+    .forEach(capability => {
+      fixtures[capability] = {};
+      recording[capability] = async (term, options) => {
+        const answer = await source[capability](term, options);
+        fixtures[capability][normalizeTerm(term)] = clone(answer);
+        return answer;
+      };
+    });
+
+  return { source: recording, fixtures };
+}
@@ -0,0 +1,53 @@
+/**
+ * Semantic sources - the shared registry with the built-in knowledge bases
+ * and whatever endpoints or RDF files the user has added.
+ */
+
+import { SemanticSourceRegistry } from './registry.js';
+import { createWikipediaSource } from './wikipedia.js';
+import { createWikidataSource } from './wikidata.js';
+import { createDBpediaSource } from './dbpedia.js';
+import { createConceptNetSource } from './conceptnet.js';
+import { createSparqlEndpointSource } from './sparqlEndpoint.js';
+import { createRdfFileSource } from './rdfFile.js';
+
+export { SemanticSourceRegistry, DEFAULT_SOURCE_TRUST, SOURCE_CAPABILITIES } from './registry.js';
+export { createWikipediaSource, simpleQueryWikipedia } from './wikipedia.js';
+export { createWikidataSource, simpleQueryWikidata, discoverWikidataConnections } from './wikidata.js';
+export { createDBpediaSource, simpleQueryDBpedia, discoverDBpediaConnections } from './dbpedia.js';
+export { createConceptNetSource } from './conceptnet.js';
+export { createSparqlEndpointSource } from './sparqlEndpoint.js';
+export { createRdfFileSource, rdfFormatFromFileName } from './rdfFile.js';
+export { createFixtureSource, recordFixtures } from './fixtures.js';
+
+/**
+ * Register the built-in sources on a registry. ConceptNet goes through a
+ * local proxy that is not always running, so it starts switched off.
+ * @param {SemanticSourceRegistry} registry
+ */
+export function registerBuiltinSources(registry) {
+  registry.register(createWikipediaSource());
+  registry.register(createWikidataSource());
+  registry.register(createDBpediaSource());
+  registry.register({ ...createConceptNetSource(), enabledByDefault: false });
+  return registry;
+}
+
+const getStorage = () => {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+};
+
+export const semanticSources = registerBuiltinSources(new SemanticSourceRegistry({
+  storage: getStorage(),
+  factories: {
+    sparql: createSparqlEndpointSource,
+    'rdf-file': createRdfFileSource
+  }
+}));
+semanticSources.restore();
+
+export default semanticSources;
@@ -0,0 +1,125 @@
+/**
+ * Relationship weights and labels shared by the Wikidata and DBpedia sources
+ */
+
+/**
+ * Property importance weights for different relationship types
+ * Higher scores = more semantically meaningful connections
+ */
+const PROPERTY_WEIGHTS = {
+  // DBpedia ontology properties (dbo:)
+  'dbo:series': 0.95,
+  'dbo:developer': 0.90,
+  'dbo:publisher': 0.90,
+  'dbo:creator': 0.90,
+  'dbo:author': 0.90,
+  'dbo:genre': 0.85,
+  'dbo:platform': 0.85,
+  'dbo:engine': 0.80,
+  'dbo:composer': 0.80,
+  'dbo:designer': 0.80,
+  'dbo:director': 0.80,
+  'dbo:producer': 0.75,
+  'dbo:influencedBy': 0.75,
+  'dbo:influenced': 0.75,
+  'dbo:subsequentWork': 0.70,
+  'dbo:previousWork': 0.70,
+  'dbo:related': 0.60,
+  'dbo:wikiPageWikiLink': 0.30, // Weak - just mentions
+
+  // Wikidata properties (P-codes)
+  'wdt:P123': 0.90, // publisher
+  'wdt:P178': 0.90, // developer
+  'wdt:P57': 0.90,  // director
+  'wdt:P170': 0.90, // creator
+  'wdt:P50': 0.90,  // author
+  'wdt:P136': 0.85, // genre
+  'wdt:P400': 0.85, // platform
+  'wdt:P144': 0.80, // based on
+  'wdt:P737': 0.75, // influenced by
+  'wdt:P156': 0.70, // followed by
+  'wdt:P155': 0.70, // follows
+
+  // Default fallbacks
+  'default': 0.50
+};
+
+/**
+ * Human-readable labels for property URIs
+ */
+const PROPERTY_LABELS = {
+  'dbo:series': 'part of series',
+  'dbo:developer': 'developed by',
+  'dbo:publisher': 'published by',
+  'dbo:creator': 'created by',
+  'dbo:author': 'authored by',
+  'dbo:genre': 'genre',
+  'dbo:platform': 'platform',
+  'dbo:engine': 'uses engine',
+  'dbo:composer': 'music by',
+  'dbo:designer': 'designed by',
+  'dbo:director': 'directed by',
+  'dbo:producer': 'produced by',
+  'dbo:influencedBy': 'influenced by',
+  'dbo:influenced': 'influenced',
+  'dbo:subsequentWork': 'followed by',
+  'dbo:previousWork': 'preceded by',
+  'dbo:related': 'related to',
+  'dbo:wikiPageWikiLink': 'mentioned in',
+
+  'wdt:P123': 'publisher',
+  'wdt:P178': 'developer',
+  'wdt:P57': 'director',
+  'wdt:P170': 'creator',
+  'wdt:P50': 'author',
+  'wdt:P136': 'genre',
+  'wdt:P400': 'platform',
+  'wdt:P144': 'based on',
+  'wdt:P737': 'influenced by',
+  'wdt:P156': 'followed by',
+  'wdt:P155': 'follows',
+};
+
+/**
+ * Get property weight (confidence score for relationship type)
+ */
+export function getPropertyWeight(propertyUri) {
+  if (!propertyUri) return PROPERTY_WEIGHTS.default;
+
+  // Extract short form (e.g., "dbo:series" from full URI)
+  const shortForm = propertyUri.includes('/')
+    ? propertyUri.split('/').pop()
+    : propertyUri;
+
+  // Check exact matches first
+  for (const [key, weight] of Object.entries(PROPERTY_WEIGHTS)) {
+    if (propertyUri.includes(key) || shortForm === key) {
+      return weight;
+    }
+  }
+
+  return PROPERTY_WEIGHTS.default;
+}
+
+/**
+ * Get human-readable property label
+ */
+export function getPropertyLabel(propertyUri) {
+  if (!propertyUri) return 'related to';
+
+  const shortForm = /[/#]/.test(propertyUri)
+    ? propertyUri.split(/[/#]/).pop()
+    : propertyUri;
+
+  for (const [key, label] of Object.entries(PROPERTY_LABELS)) {
+    if (propertyUri.includes(key) || shortForm === key) {
+      return label;
+    }
+  }
+
+  // Generate fallback label from URI
+  return shortForm
+    .replace(/([A-Z])/g, ' $1')
+    .toLowerCase()
+    .trim();
+}
@@ -0,0 +1,194 @@
+/**
+ * Local RDF file source
+ *
+ * Parses a Turtle, N-Triples, N-Quads, RDF/XML or JSON-LD document once and
+ * answers search, lookup and relationships from it in memory, so a private
+ * vocabulary can take part in enrichment without any server.
+ */
+
+import * as $rdf from 'rdflib';
+import { getPropertyWeight, getPropertyLabel } from './propertyLabels.js';
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+
+const LABEL_PREDICATES = [
+  'http://www.w3.org/2000/01/rdf-schema#label',
+  'http://www.w3.org/2004/02/skos/core#prefLabel',
+  'http://schema.org/name',
+  'https://schema.org/name',
+  'http://xmlns.com/foaf/0.1/name',
+  'http://purl.org/dc/terms/title'
+];
+
+const DESCRIPTION_PREDICATES = [
+  'http://www.w3.org/2000/01/rdf-schema#comment',
+  'http://www.w3.org/2004/02/skos/core#definition',
+  'http://schema.org/description',
+  'https://schema.org/description',
+  'http://purl.org/dc/terms/description'
+];
+
+const FORMATS_BY_EXTENSION = {
+  ttl: 'text/turtle',
+  turtle: 'text/turtle',
+  nt: 'application/n-triples',
+  nq: 'application/n-quads',
+  rdf: 'application/rdf+xml',
+  owl: 'application/rdf+xml',
+  xml: 'application/rdf+xml',
+  jsonld: 'application/ld+json',
+  json: 'application/ld+json'
+};
+
+/**
+ * Guess an RDF media type from a file name.
+ * @param {string} fileName
+ * @returns {string|null}
+ */
+export function rdfFormatFromFileName(fileName = '') {
+  const extension = String(fileName).split('.').pop().toLowerCase();
+  return FORMATS_BY_EXTENSION[extension] || null;
+}
+
+const localName = (uri) => uri.split(/[/#]/).filter(Boolean).pop() || uri;
+
+/**
+ * Parse RDF text into a list of { subject, predicate, object, isLiteral } triples.
+ * @private
+ */
+async function parseTriples(text, format, baseIri) {
+  // N-Triples is a subset of Turtle, which rdflib parses directly
+  const type = format === 'application/n-triples' ? 'text/turtle' : format;
+  const store = $rdf.graph();
+  await new Promise((resolve, reject) => {
+    $rdf.parse(text, store, baseIri, type, (error) => (error ? reject(error) : resolve()));
+  });
+  return store.statements.map(statement => ({
+    subject: statement.subject.value,
+    predicate: statement.predicate.value,
+    object: statement.object.value,
+    isLiteral: statement.object.termType === 'Literal',
+    language: statement.object.language || ''
+  }));
+}
+
+/**
+ * Index triples by subject for the three source capabilities.
+ * @private
+ */
+function buildIndex(triples) {
+  const resources = new Map(); // uri -> { uri, label, description, types, links }
+  const resourceFor = (uri) => {
+    if (!resources.has(uri)) {
+      resources.set(uri, { uri, label: null, description: null, types: [], links: [] });
+    }
+    return resources.get(uri);
+  };
+  // Prefer English or untagged literals when a resource has several
+  const better = (current, triple) => !current || (triple.language === '' || triple.language.startsWith('en'));
+
+  triples.forEach(triple => {
+    const resource = resourceFor(triple.subject);
+    if (triple.isLiteral) {
+      if (LABEL_PREDICATES.includes(triple.predicate) && better(resource.label, triple)) {
+        resource.label = triple.object;
+      } else if (DESCRIPTION_PREDICATES.includes(triple.predicate) && better(resource.description, triple)) {
+        resource.description = triple.object;
+      }
+    } else if (triple.predicate === RDF_TYPE) {
+      resource.types.push(triple.object);
+    } else {
+      resource.links.push({ predicate: triple.predicate, object: triple.object });
+    }
+  });
+
+  resources.forEach(resource => {
+    resource.label = resource.label || localName(resource.uri);
+  });
+  return resources;
+}
+
+/**
+ * Create a source that answers from an RDF document.
+ * @param {Object} config
+ * @param {string} config.id - Registry id
+ * @param {string} config.text - The document
+ * @param {string} [config.format] - Media type; guessed from fileName when omitted
+ * @param {string} [config.fileName]
+ * @param {string} [config.name]
+ * @param {number} [config.trust]
+ * @param {string} [config.baseIri] - Resolves relative IRIs in the document
+ * @returns {Object} SemanticSource
+ */
+export function createRdfFileSource({ id, text, format, fileName, name = fileName || id, trust, baseIri } = {}) {
+  if (!id || typeof text !== 'string') {
+    throw new Error('An RDF file source needs an id and the file text');
+  }
+  const mediaType = format || rdfFormatFromFileName(fileName) || 'text/turtle';
+  const base = baseIri || `urn:redstring:source:${encodeURIComponent(id)}:`;
+
+  let indexPromise = null;
+  const index = () => {
+    indexPromise = indexPromise || parseTriples(text, mediaType, base).then(buildIndex);
+    return indexPromise;
+  };
+
+  const toEntity = (resource) => ({
+    uri: resource.uri,
+    label: resource.label,
+    description: resource.description,
+    types: resource.types
+  });
+
+  const find = async (term) => {
+    const resources = await index();
+    if (resources.has(term)) return resources.get(term);
+    const wanted = String(term).trim().toLowerCase();
+    return Array.from(resources.values()).find(resource => resource.label.toLowerCase() === wanted) || null;
+  };
+
+  return {
+    id,
+    name,
+    kind: 'rdf-file',
+    trust,
+    rateLimit: 0,
+    cacheTtl: 0, // answered from memory, nothing to gain from caching
+
+    search: async (term, { limit = 10 } = {}) => {
+      const wanted = String(term).trim().toLowerCase();
+      const resources = Array.from((await index()).values());
+      return resources
+        .filter(resource => resource.label.toLowerCase().includes(wanted))
+        .slice(0, limit)
+        .map(toEntity);
+    },
+
+    lookup: async (term) => {
+      const resource = await find(term);
+      return resource ? toEntity(resource) : null;
+    },
+
+    relationships: async (term, { limit = 30 } = {}) => {
+      const resource = await find(term);
+      if (!resource) return [];
+      const resources = await index();
+      return resource.links
+        .map(link => ({
+          source: resource.label,
+          target: resources.get(link.object)?.label || localName(link.object),
+          targetUri: link.object,
+          relation: getPropertyLabel(link.predicate),
+          relationUri: link.predicate,
+          description: resources.get(link.object)?.description?.substring(0, 200) || null,
+          confidence: getPropertyWeight(link.predicate),
+          distance: 1,
+          provider: id
+        }))
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, limit);
+    },
+
+    toConfig: () => ({ id, name, text, format: mediaType, fileName, trust, baseIri })
+  };
+}
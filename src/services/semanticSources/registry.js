@@ -0,0 +1,362 @@
+/**
+ * Semantic Source Registry
+ *
+ * One interface over every place Redstring looks things up: the built-in
+ * public knowledge bases, SPARQL endpoints the user adds, local RDF files
+ * and recorded fixtures. Each source implements any of search, lookup and
+ * relationships; the registry adds per-source trust, rate limiting and
+ * caching, and fans queries out across the enabled sources.
+ *
+ * @typedef {Object} SemanticEntity
+ * @property {string} uri
+ * @property {string} label
+ * @property {string|null} description
+ * @property {string[]} [types]
+ * @property {string[]} [externalLinks]
+ * @property {string} [thumbnail]
+ *
+ * @typedef {Object} SemanticConnection - Same shape semanticDiscovery has always returned
+ * @property {string} source - Label of the entity we started from
+ * @property {string} target
+ * @property {string|null} targetUri
+ * @property {string} relation
+ * @property {string|null} relationUri
+ * @property {string|null} description
+ * @property {number} confidence
+ * @property {number} distance
+ * @property {string} provider - Source id
+ *
+ * @typedef {Object} SemanticSource
+ * @property {string} id
+ * @property {string} name
+ * @property {string} kind - 'builtin' | 'sparql' | 'rdf-file' | 'fixture'
+ * @property {number} [trust] - 0..1, defaults to DEFAULT_SOURCE_TRUST
+ * @property {number} [rateLimit] - Minimum ms between calls
+ * @property {number} [cacheTtl] - How long answers are reused, in ms; 0 never caches them
+ * @property {boolean} [enabledByDefault] - false keeps it out of fan-outs until switched on
+ * @property {Function} [search] - (term, options) => Promise<SemanticEntity[]>
+ * @property {Function} [lookup] - (term, options) => Promise<SemanticEntity|null>
+ * @property {Function} [relationships] - (term, options) => Promise<SemanticConnection[]>
+ * @property {Function} [toConfig] - Serializable config, for sources the user added
+ */
+
+import { getOfflineCache, CACHE_TTLS } from '../offlineCache/index.js';
+
+const STORAGE_KEY = 'redstring_semantic_sources';
+// Answers are kept in the offline cache under this namespace, keyed `${id}:${method}:${term}:${limit}`
+const CACHE_NAMESPACE = 'sources';
+
+export const SOURCE_CAPABILITIES = ['search', 'lookup', 'relationships'];
+
+// Nominal trust per source; user-added sources set their own
+export const DEFAULT_SOURCE_TRUST = {
+  wikipedia: 0.95,
+  wikidata: 0.95,
+  dbpedia: 0.85,
+  schemaorg: 0.8,
+  crossref: 0.8,
+  musicbrainz: 0.85,
+  conceptnet: 0.7,
+  external: 0.7,
+};
+
+const FALLBACK_TRUST = 0.75;
+const DEFAULT_RATE_LIMIT = 250; // ms
+
+export class SemanticSourceRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {Storage} [options.storage] - Where user-added sources are remembered
+   * @param {Object} [options.factories] - kind -> (config) => SemanticSource, to rebuild saved sources
+   * @param {OfflineCache} [options.cache] - Defaults to the shared offline cache
+   */
+  constructor({ storage = null, factories = {}, cache = null } = {}) {
+    this.sources = new Map(); // id -> SemanticSource
+    this.enabledOverrides = new Map(); // id -> boolean the user chose
+    this._cache = cache;
+    this.lastCall = new Map(); // id -> Promise of the previous call's slot
+    this.storage = storage;
+    this.factories = factories;
+  }
+
+  get cache() {
+    return this._cache || getOfflineCache();
+  }
+
+  /**
+   * Add or replace a source.
+   * @param {SemanticSource} source
+   * @returns {SemanticSource}
+   */
+  register(source) {
+    if (!source?.id) {
+      throw new Error('A semantic source needs an id');
+    }
+    if (!SOURCE_CAPABILITIES.some(capability => typeof source[capability] === 'function')) {
+      throw new Error(`Semantic source "${source.id}" implements none of ${SOURCE_CAPABILITIES.join(', ')}`);
+    }
+    if (source.toConfig && this.sources.get(source.id)?.kind === 'builtin') {
+      throw new Error(`"${source.id}" is a built-in source; choose another id`);
+    }
+    // Answers stored for a source that is being replaced no longer apply
+    if (this.sources.has(source.id)) this.clearCache(source.id);
+    this.sources.set(source.id, { kind: 'builtin', name: source.id, ...source });
+    if (source.toConfig) this.persist();
+    return this.sources.get(source.id);
+  }
+
+  /**
+   * Remove a source.
+   * @param {string} id
+   */
+  unregister(id) {
+    const source = this.sources.get(id);
+    if (!source) return;
+    this.sources.delete(id);
+    this.enabledOverrides.delete(id);
+    this.clearCache(id);
+    source.dispose?.();
+    if (source.toConfig) this.persist();
+  }
+
+  get(id) {
+    return this.sources.get(id) || null;
+  }
+
+  has(id) {
+    return this.sources.has(id);
+  }
+
+  /**
+   * Describe the registered sources.
+   * @returns {Array} { id, name, kind, trust, enabled, capabilities }
+   */
+  list() {
+    return Array.from(this.sources.values()).map(source => ({
+      id: source.id,
+      name: source.name,
+      kind: source.kind,
+      trust: this.getTrust(source.id),
+      enabled: this.isEnabled(source.id),
+      capabilities: SOURCE_CAPABILITIES.filter(capability => typeof source[capability] === 'function')
+    }));
+  }
+
+  isEnabled(id) {
+    const source = this.sources.get(id);
+    if (!source) return false;
+    return this.enabledOverrides.get(id) ?? source.enabledByDefault !== false;
+  }
+
+  setEnabled(id, enabled) {
+    this.enabledOverrides.set(id, Boolean(enabled));
+    this.persist();
+  }
+
+  /**
+   * Enabled sources that can answer a capability, in registration order.
+   * @param {string} capability - 'search' | 'lookup' | 'relationships'
+   * @returns {string[]}
+   */
+  enabledIds(capability) {
+    return Array.from(this.sources.values())
+      .filter(source => this.isEnabled(source.id) && typeof source[capability] === 'function')
+      .map(source => source.id);
+  }
+
+  /**
+   * How much a source's answers are trusted, 0..1.
+   * @param {string} id - Source id (unknown ids get a neutral value)
+   */
+  getTrust(id) {
+    const key = String(id).toLowerCase();
+    const trust = this.sources.get(id)?.trust;
+    return typeof trust === 'number' ? trust : (DEFAULT_SOURCE_TRUST[key] ?? FALLBACK_TRUST);
+  }
+
+  /**
+   * Call one source, respecting its rate limit and reusing cached answers.
+   * @param {string} id - Source id
+   * @param {string} method - Capability to call
+   * @param {string} term - Search term, label or URI
+   * @param {Object} [options] - Passed to the source; `cache: false` skips the cache
+   */
+  async call(id, method, term, options = {}) {
+    const source = this.sources.get(id);
+    if (!source || typeof source[method] !== 'function') {
+      throw new Error(`Semantic source "${id}" does not support ${method}`);
+    }
+
+    const { cache = true, ...sourceOptions } = options;
+    const load = async () => {
+      await this.waitForSlot(id, source.rateLimit ?? DEFAULT_RATE_LIMIT);
+      return source[method](term, sourceOptions);
+    };
+
+    const ttl = source.cacheTtl ?? CACHE_TTLS.sources;
+    if (ttl <= 0) return load();
+
+    const cacheKey = `${id}:${method}:${String(term).trim().toLowerCase()}:${sourceOptions.limit ?? ''}`;
+    return this.cache.fetch(CACHE_NAMESPACE, cacheKey, load, { ttl, refresh: !cache });
+  }
+
+  /**
+   * Space calls to one source at least `interval` ms apart.
+   * @private
+   */
+  async waitForSlot(id, interval) {
+    const previous = this.lastCall.get(id) || Promise.resolve(0);
+    const slot = previous.then(async (lastTime) => {
+      const wait = lastTime + interval - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      return Date.now();
+    });
+    this.lastCall.set(id, slot);
+    await slot;
+  }
+
+  /**
+   * Run a capability on several sources in parallel; failures only drop that source.
+   * @private
+   * @returns {Promise<Array>} { id, value, error } per source
+   */
+  async fanOut(capability, term, { sources = this.enabledIds(capability), ...options } = {}) {
+    const ids = sources.filter(id => typeof this.sources.get(id)?.[capability] === 'function');
+    const settled = await Promise.allSettled(ids.map(id => this.call(id, capability, term, options)));
+    return settled.map((result, index) => ({
+      id: ids[index],
+      value: result.status === 'fulfilled' ? result.value : null,
+      error: result.status === 'rejected' ? (result.reason?.message || String(result.reason)) : null
+    }));
+  }
+
+  /**
+   * Search every enabled source.
+   * @param {string} term
+   * @param {Object} [options] - { sources, limit, timeout }
+   * @returns {Promise<Array>} Entities with source and sourceTrust, most trusted first
+   */
+  async search(term, options = {}) {
+    const answers = await this.fanOut('search', term, options);
+    return answers
+      .flatMap(({ id, value }) => (value || []).map(entity => ({ ...entity, source: id, sourceTrust: this.getTrust(id) })))
+      .sort((a, b) => b.sourceTrust - a.sourceTrust);
+  }
+
+  /**
+   * Look a term up in every enabled source.
+   * @param {string} term
+   * @param {Object} [options] - { sources, timeout }
+   * @returns {Promise<Object>} { bySource: id -> { found, entity, error }, best }
+   */
+  async lookup(term, options = {}) {
+    const answers = await this.fanOut('lookup', term, options);
+    const bySource = {};
+    let best = null;
+    answers.forEach(({ id, value, error }) => {
+      bySource[id] = { found: !!value, entity: value, error };
+      if (value && (!best || this.getTrust(id) > best.sourceTrust)) {
+        best = { ...value, source: id, sourceTrust: this.getTrust(id) };
+      }
+    });
+    return { bySource, best };
+  }
+
+  /**
+   * Relationships of a term across every enabled source.
+   * @param {string} term
+   * @param {Object} [options] - { sources, limit, timeout }
+   * @returns {Promise<SemanticConnection[]>} With sourceTrust, highest confidence first
+   */
+  async relationships(term, options = {}) {
+    const answers = await this.fanOut('relationships', term, options);
+    return answers
+      .flatMap(({ id, value }) => (value || []).map(connection => ({
+        ...connection,
+        provider: connection.provider || id,
+        sourceTrust: this.getTrust(id)
+      })))
+      .sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+  }
+
+  /**
+   * Enrichment suggestions for a node: links from every source that knows the
+   * term and the description from the most trusted one.
+   * @param {string} term
+   * @param {Object} [options] - { sources, timeout }
+   * @returns {Promise<Object>} { sources: id -> { found, results, result, error }, suggestions }
+   */
+  async enrich(term, options = {}) {
+    const { bySource } = await this.lookup(term, options);
+    const sources = {};
+    const suggestions = { externalLinks: [], description: null, equivalentClasses: [], confidence: 0 };
+
+    Object.entries(bySource)
+      .sort(([a], [b]) => this.getTrust(b) - this.getTrust(a))
+      .forEach(([id, { found, entity, error }]) => {
+        sources[id] = found ? { found: true, results: [entity], result: entity } : { found: false, error };
+        if (!found) return;
+        if (entity.uri) suggestions.externalLinks.push(entity.uri);
+        (entity.externalLinks || []).forEach(link => suggestions.externalLinks.push(link));
+        (entity.types || []).forEach(type => suggestions.equivalentClasses.push(type));
+        if (entity.description && !suggestions.description) {
+          suggestions.description = entity.description;
+          suggestions.confidence = this.getTrust(id);
+        }
+      });
+
+    suggestions.externalLinks = [...new Set(suggestions.externalLinks)];
+    suggestions.equivalentClasses = [...new Set(suggestions.equivalentClasses)];
+    return { sources, suggestions };
+  }
+
+  /**
+   * Forget cached answers.
+   * @param {string} [id] - Only this source's
+   */
+  clearCache(id = null) {
+    return this.cache.purge({ namespace: CACHE_NAMESPACE, keyPrefix: id ? `${id}:` : null });
+  }
+
+  /**
+   * Remember user-added sources and which sources the user switched on or off.
+   */
+  persist() {
+    if (!this.storage) return;
+    try {
+      const custom = Array.from(this.sources.values())
+        .filter(source => typeof source.toConfig === 'function')
+        .map(source => ({ kind: source.kind, ...source.toConfig() }));
+      const enabled = Object.fromEntries(this.enabledOverrides);
+      this.storage.setItem(STORAGE_KEY, JSON.stringify({ custom, enabled }));
+    } catch (error) {
+      console.warn('[SemanticSources] Failed to save sources:', error);
+    }
+  }
+
+  /**
+   * Rebuild the sources persist() saved, using the registered factories.
+   */
+  restore() {
+    if (!this.storage) return;
+    try {
+      const saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || 'null');
+      if (!saved) return;
+      Object.entries(saved.enabled || {}).forEach(([id, enabled]) => this.enabledOverrides.set(id, enabled));
+      (saved.custom || []).forEach(config => {
+        const factory = this.factories[config.kind];
+        if (!factory) return;
+        try {
+          const source = factory(config);
+          this.sources.set(source.id, { kind: config.kind, name: source.id, ...source });
+        } catch (error) {
+          console.warn(`[SemanticSources] Could not restore source ${config.id}:`, error);
+        }
+      });
+    } catch (error) {
+      console.warn('[SemanticSources] Failed to restore sources:', error);
+    }
+  }
+}
+
+export default SemanticSourceRegistry;
@@ -0,0 +1,112 @@
+/**
+ * Custom SPARQL endpoint source
+ *
+ * Any endpoint that speaks SPARQL 1.1 and labels its resources with
+ * rdfs:label can be searched, looked up and traversed. Queries go through
+ * sparqlClient, which registers the endpoint and handles its HTTP details.
+ */
+
+import { sparqlClient } from '../sparqlClient.js';
+import { getPropertyWeight, getPropertyLabel } from './propertyLabels.js';
+
+const PREFIXES = `
+  PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+  PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+`;
+
+const escapeLiteral = (value) => String(value).replace(/["\\]/g, '\\$&').replace(/\n/g, '\\n');
+const isUri = (value) => /^https?:\/\//.test(value);
+
+/**
+ * Graph pattern binding ?s to the resource a term names: the URI itself,
+ * or anything whose label matches it case-insensitively.
+ */
+const subjectPattern = (term) => (isUri(term)
+  ? `BIND(<${term}> AS ?s)`
+  : `?s rdfs:label ?label . FILTER(LCASE(STR(?label)) = LCASE("${escapeLiteral(term)}"))`);
+
+/**
+ * Create a source backed by a SPARQL endpoint.
+ * @param {Object} config
+ * @param {string} config.id - Registry id, also the sparqlClient endpoint key
+ * @param {string} config.url - Endpoint URL
+ * @param {string} [config.name]
+ * @param {number} [config.trust]
+ * @param {Object} [config.headers] - Extra request headers, e.g. authorization
+ * @param {number} [config.timeout]
+ * @returns {Object} SemanticSource
+ */
+export function createSparqlEndpointSource({ id, url, name = id, trust, headers = {}, timeout, rateLimit } = {}) {
+  if (!id || !url) {
+    throw new Error('A SPARQL endpoint source needs an id and a url');
+  }
+  new URL(url); // Throws a readable error for anything that is not a URL
+
+  sparqlClient.addEndpoint(id, { name, url, headers, timeout, rateLimit, description: 'Custom SPARQL endpoint' });
+
+  const select = (query) => sparqlClient.executeQuery(id, `${PREFIXES}${query}`);
+
+  const toEntity = (binding) => ({
+    uri: binding.s?.value,
+    label: binding.label?.value || binding.s?.value,
+    description: binding.comment?.value || null,
+    types: binding.type?.value ? [binding.type.value] : []
+  });
+
+  return {
+    id,
+    name,
+    kind: 'sparql',
+    trust,
+    rateLimit: 0, // sparqlClient already spaces requests per endpoint
+
+    search: async (term, { limit = 10 } = {}) => {
+      const results = await select(`
+        SELECT DISTINCT ?s ?label ?comment WHERE {
+          ?s rdfs:label ?label .
+          FILTER(CONTAINS(LCASE(STR(?label)), LCASE("${escapeLiteral(term)}")))
+          OPTIONAL { ?s rdfs:comment ?comment }
+        } LIMIT ${limit}
+      `);
+      return results.map(toEntity);
+    },
+
+    lookup: async (term) => {
+      const [first] = await select(`
+        SELECT ?s ?label ?comment ?type WHERE {
+          ${subjectPattern(term)}
+          OPTIONAL { ?s rdfs:label ?label }
+          OPTIONAL { ?s rdfs:comment ?comment }
+          OPTIONAL { ?s rdf:type ?type }
+        } LIMIT 1
+      `);
+      return first ? toEntity(first) : null;
+    },
+
+    relationships: async (term, { limit = 30 } = {}) => {
+      const results = await select(`
+        SELECT ?p ?o ?oLabel ?oComment WHERE {
+          ${subjectPattern(term)}
+          ?s ?p ?o .
+          FILTER(isIRI(?o) && ?p != rdf:type)
+          OPTIONAL { ?o rdfs:label ?oLabel }
+          OPTIONAL { ?o rdfs:comment ?oComment }
+        } LIMIT ${limit}
+      `);
+      return results.map(binding => ({
+        source: term,
+        target: binding.oLabel?.value || binding.o.value.split(/[/#]/).pop(),
+        targetUri: binding.o.value,
+        relation: getPropertyLabel(binding.p.value),
+        relationUri: binding.p.value,
+        description: binding.oComment?.value?.substring(0, 200) || null,
+        confidence: getPropertyWeight(binding.p.value),
+        distance: 1,
+        provider: id
+      })).sort((a, b) => b.confidence - a.confidence);
+    },
+
+    toConfig: () => ({ id, name, url, trust, headers, timeout, rateLimit }),
+    dispose: () => sparqlClient.removeEndpoint(id)
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * Wikidata source - label lookup and property-path relationships
+ */
+
+import { sparqlClient } from '../sparqlClient.js';
+import { getPropertyWeight, getPropertyLabel } from './propertyLabels.js';
+
+/**
+ * Simple Wikidata query for fast enrichment - just basic entity lookup
+ * @param {string} entityName - Entity name to search for
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} Wikidata results
+ */
+export async function simpleQueryWikidata(entityName, options = {}) {
+  const { timeout = 15000, limit = 5, throwOnError = false } = options;
+  
+  const query = `
+    SELECT DISTINCT ?item ?itemLabel ?itemDescription WHERE {
+      ?item rdfs:label "${entityName}"@en .
+      SERVICE wikibase:label { bd:serviceParam wikibase:language "en" }
+    } LIMIT ${limit}
+  `;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch('https://query.wikidata.org/sparql', {
+      method: 'POST', 
+      headers: {
+        'Accept': 'application/sparql-results+json',
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': 'RedString-SemanticWeb/1.0'
+      },
+      body: `query=${encodeURIComponent(query)}`,
+      signal: controller.signal
+    });
+
+    clearTimeout(timeoutId);
+
+    if (!response.ok) {
+      throw new Error(`Wikidata HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    
+    if (data.results && data.results.bindings) {
+      return data.results.bindings.map(binding => ({
+        item: binding.item,
+        itemLabel: binding.itemLabel,
+        itemDescription: binding.itemDescription
+      }));
+    }
+    
+    return [];
+
+  } catch (error) {
+    clearTimeout(timeoutId);
+    if (throwOnError) throw error;
+    console.warn('[SemanticWebQuery] Simple Wikidata query failed:', error);
+    return [];
+  }
+}
+
+
+/**
+ * Discover Wikidata relationships using property IDs
+ * @param {string} entityName - Entity to find relationships for
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} Connections with relationship labels
+ */
+export async function discoverWikidataConnections(entityName, options = {}) {
+  const { timeout = 15000, limit = 30, throwOnError = false } = options;
+
+  if (!entityName || typeof entityName !== 'string' || entityName.trim() === '') {
+    console.warn('[SemanticDiscovery] Invalid entityName for Wikidata connections:', entityName);
+    return [];
+  }
+
+  const sanitizedEntityName = entityName.trim();
+
+  // First, find the entity ID
+  const entityQuery = `
+    SELECT ?item WHERE {
+      ?item rdfs:label "${sanitizedEntityName}"@en .
+    } LIMIT 1
+  `;
+
+  try {
+    const entityResults = await sparqlClient.executeQuery('wikidata', entityQuery, { timeout: timeout * 0.3 });
+
+    if (!entityResults || entityResults.length === 0) {
+      return [];
+    }
+
+    const entityUri = entityResults[0].item?.value;
+
+    // Now get relationships using important properties
+    const relationQuery = `
+      PREFIX wdt: <http://www.wikidata.org/prop/direct/>
+      PREFIX wd: <http://www.wikidata.org/entity/>
+
+      SELECT ?property ?target ?targetLabel WHERE {
+        <${entityUri}> ?property ?target .
+
+        # Filter to important properties
+        FILTER(?property IN (
+          wdt:P123, wdt:P178, wdt:P57, wdt:P170, wdt:P50,
+          wdt:P136, wdt:P400, wdt:P144, wdt:P737, wdt:P156, wdt:P155
+        ))
+
+        # Get labels
+        SERVICE wikibase:label { bd:serviceParam wikibase:language "en" }
+      } LIMIT ${limit}
+    `;
+
+    const results = await sparqlClient.executeQuery('wikidata', relationQuery, { timeout: timeout * 0.7 });
+
+    return results.map(binding => {
+      const propertyUri = binding.property?.value;
+      const targetUri = binding.target?.value;
+      const targetLabel = binding.targetLabel?.value;
+
+      const propertyWeight = getPropertyWeight(propertyUri);
+      const propertyLabel = getPropertyLabel(propertyUri);
+
+      return {
+        source: sanitizedEntityName,
+        target: targetLabel,
+        targetUri: targetUri,
+        relation: propertyLabel,
+        relationUri: propertyUri,
+        description: null,
+        confidence: propertyWeight,
+        distance: 1,
+        provider: 'wikidata'
+      };
+    }).sort((a, b) => b.confidence - a.confidence);
+
+  } catch (error) {
+    if (throwOnError) throw error;
+    console.warn('[SemanticDiscovery] Wikidata property-path query failed:', error);
+    return [];
+  }
+}
+
+
+/**
+ * Wikidata as a registry source
+ * @returns {Object} SemanticSource
+ */
+export function createWikidataSource() {
+  const toEntity = (binding) => ({
+    uri: binding.item?.value,
+    label: binding.itemLabel?.value,
+    description: binding.itemDescription?.value || null,
+    types: []
+  });
+
+  return {
+    id: 'wikidata',
+    name: 'Wikidata',
+    kind: 'builtin',
+    rateLimit: 500,
+    search: async (term, options = {}) =>
+      (await simpleQueryWikidata(term, { ...options, throwOnError: true })).map(toEntity),
+    lookup: async (term, options = {}) => {
+      const [first] = await simpleQueryWikidata(term, { ...options, limit: 1, throwOnError: true });
+      return first ? toEntity(first) : null;
+    },
+    relationships: (term, options = {}) => discoverWikidataConnections(term, { ...options, throwOnError: true })
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Wikipedia source - page summaries for descriptions and thumbnails
+ */
+
+/**
+ * Simple Wikipedia query for fast enrichment - just basic entity lookup
+ * @param {string} entityName - Entity name to search for
+ * @param {Object} options - Query options
+ * @returns {Promise<Object|null>} Wikipedia result
+ */
+export async function simpleQueryWikipedia(entityName, options = {}) {
+  const { timeout = 15000, throwOnError = false } = options;
+  
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    // First try direct page summary
+    const summaryResponse = await fetch(
+      `https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(entityName)}`,
+      { signal: controller.signal }
+    );
+
+    if (summaryResponse.ok) {
+      const summaryData = await summaryResponse.json();
+      clearTimeout(timeoutId);
+      
+      return {
+        title: summaryData.title,
+        description: summaryData.extract,
+        url: summaryData.content_urls?.desktop?.page,
+        thumbnail: summaryData.thumbnail?.source,
+        source: 'wikipedia'
+      };
+    }
+
+    // Fallback to search API
+    const searchResponse = await fetch(
+      `https://en.wikipedia.org/api/rest_v1/page/search?q=${encodeURIComponent(entityName)}&limit=1`,
+      { signal: controller.signal }
+    );
+
+    if (searchResponse.ok) {
+      const searchData = await searchResponse.json();
+      if (searchData.pages && searchData.pages.length > 0) {
+        const page = searchData.pages[0];
+        clearTimeout(timeoutId);
+        
+        return {
+          title: page.title,
+          description: page.excerpt,
+          url: `https://en.wikipedia.org/wiki/${encodeURIComponent(page.title)}`,
+          thumbnail: page.thumbnail?.source,
+          source: 'wikipedia'
+        };
+      }
+    }
+
+    clearTimeout(timeoutId);
+    return null;
+
+  } catch (error) {
+    clearTimeout(timeoutId);
+    if (throwOnError) throw error;
+    console.warn('[SemanticWebQuery] Simple Wikipedia query failed:', error);
+    return null;
+  }
+}
+
+
+/**
+ * Wikipedia as a registry source (lookup only)
+ * @returns {Object} SemanticSource
+ */
+export function createWikipediaSource() {
+  return {
+    id: 'wikipedia',
+    name: 'Wikipedia',
+    kind: 'builtin',
+    rateLimit: 200,
+    lookup: async (term, options = {}) => {
+      const page = await simpleQueryWikipedia(term, { ...options, throwOnError: true });
+      return page ? {
+        uri: page.url,
+        label: page.title,
+        description: page.description || null,
+        types: [],
+        thumbnail: page.thumbnail
+      } : null;
+    }
+  };
+}
@@ -5,180 +5,9 @@
  * for immediate semantic web data access
  */
 
-/**
- * Simple Wikidata query for fast enrichment - just basic entity lookup
- * @param {string} entityName - Entity name to search for
- * @param {Object} options - Query options
- * @returns {Promise<Array>} Wikidata results
- */
-export async function simpleQueryWikidata(entityName, options = {}) {
-  const { timeout = 15000, limit = 5 } = options;
-  
-  const query = `
-    SELECT DISTINCT ?item ?itemLabel ?itemDescription WHERE {
-      ?item rdfs:label "${entityName}"@en .
-      SERVICE wikibase:label { bd:serviceParam wikibase:language "en" }
-    } LIMIT ${limit}
-  `;
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-  try {
-    const response = await fetch('https://query.wikidata.org/sparql', {
-      method: 'POST', 
-      headers: {
-        'Accept': 'application/sparql-results+json',
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'User-Agent': 'RedString-SemanticWeb/1.0'
-      },
-      body: `query=${encodeURIComponent(query)}`,
-      signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`Wikidata HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    
-    if (data.results && data.results.bindings) {
-      return data.results.bindings.map(binding => ({
-        item: binding.item,
-        itemLabel: binding.itemLabel,
-        itemDescription: binding.itemDescription
-      }));
-    }
-    
-    return [];
-
-  } catch (error) {
-    clearTimeout(timeoutId);
-    console.warn('[SemanticWebQuery] Simple Wikidata query failed:', error);
-    return [];
-  }
-}
-
-/**
- * Simple DBpedia query for fast enrichment - just basic entity lookup
- * @param {string} entityName - Entity name to search for
- * @param {Object} options - Query options
- * @returns {Promise<Array>} DBpedia results
- */
-export async function simpleQueryDBpedia(entityName, options = {}) {
-  const { timeout = 15000, limit = 5 } = options;
-  
-  const query = `
-    SELECT DISTINCT ?resource ?comment WHERE {
-      ?resource rdfs:label "${entityName}"@en .
-      OPTIONAL { ?resource rdfs:comment ?comment . FILTER(LANG(?comment) = "en") }
-    } LIMIT ${limit}
-  `;
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-  try {
-    const response = await fetch('https://dbpedia.org/sparql', {
-      method: 'POST',
-      headers: {
-        'Accept': 'application/sparql-results+json',
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'User-Agent': 'RedString-SemanticWeb/1.0'
-      },
-      body: `query=${encodeURIComponent(query)}`,
-      signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`DBpedia HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    
-    if (data.results && data.results.bindings) {
-      return data.results.bindings.map(binding => ({
-        resource: binding.resource,
-        comment: binding.comment
-      }));
-    }
-    
-    return [];
-
-  } catch (error) {
-    clearTimeout(timeoutId);
-    console.warn('[SemanticWebQuery] Simple DBpedia query failed:', error);
-    return [];
-  }
-}
-
-/**
- * Simple Wikipedia query for fast enrichment - just basic entity lookup
- * @param {string} entityName - Entity name to search for
- * @param {Object} options - Query options
- * @returns {Promise<Object|null>} Wikipedia result
- */
-export async function simpleQueryWikipedia(entityName, options = {}) {
-  const { timeout = 15000 } = options;
-  
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-  try {
-    // First try direct page summary
-    const summaryResponse = await fetch(
-      `https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(entityName)}`,
-      { signal: controller.signal }
-    );
-
-    if (summaryResponse.ok) {
-      const summaryData = await summaryResponse.json();
-      clearTimeout(timeoutId);
-      
-      return {
-        title: summaryData.title,
-        description: summaryData.extract,
-        url: summaryData.content_urls?.desktop?.page,
-        thumbnail: summaryData.thumbnail?.source,
-        source: 'wikipedia'
-      };
-    }
-
-    // Fallback to search API
-    const searchResponse = await fetch(
-      `https://en.wikipedia.org/api/rest_v1/page/search?q=${encodeURIComponent(entityName)}&limit=1`,
-      { signal: controller.signal }
-    );
+import { semanticSources } from './semanticSources/index.js';
 
-    if (searchResponse.ok) {
-      const searchData = await searchResponse.json();
-      if (searchData.pages && searchData.pages.length > 0) {
-        const page = searchData.pages[0];
-        clearTimeout(timeoutId);
-        
-        return {
-          title: page.title,
-          description: page.excerpt,
-          url: `https://en.wikipedia.org/wiki/${encodeURIComponent(page.title)}`,
-          thumbnail: page.thumbnail?.source,
-          source: 'wikipedia'
-        };
-      }
-    }
-
-    clearTimeout(timeoutId);
-    return null;
-
-  } catch (error) {
-    clearTimeout(timeoutId);
-    console.warn('[SemanticWebQuery] Simple Wikipedia query failed:', error);
-    return null;
-  }
-}
+export { simpleQueryWikidata, simpleQueryDBpedia, simpleQueryWikipedia } from './semanticSources/index.js';
 
 /**
  * Query Wikidata directly using fetch
@@ -545,13 +374,13 @@ export async function queryWikipedia(entityName, options = {}) {
 
 /**
  * Fast semantic web enrichment - optimized for speed and simplicity
- * This is the original fast version that just finds the main entity
+ * Just finds the main entity in each registered semantic source
  * @param {string} entityName - Entity name to enrich
- * @param {Object} options - Enrichment options
+ * @param {Object} options - Enrichment options ({ timeout, sources: source ids to ask })
  * @returns {Promise<Object>} Enrichment results
  */
 export async function fastEnrichFromSemanticWeb(entityName, options = {}) {
-  const { timeout = 15000 } = options;
+  const { timeout = 15000, sources } = options;
   
   // Validate input to prevent malformed queries
   if (!entityName || typeof entityName !== 'string' || entityName.trim() === '') {
@@ -586,108 +415,12 @@ export async function fastEnrichFromSemanticWeb(entityName, options = {}) {
 
   try {
     console.log(`[SemanticWebQuery] Starting fast enrichment for "${sanitizedEntityName}" with timeout: ${timeout}ms`);
-    
-    // Query all sources in parallel with simple timeouts
-    const [wikidataResults, dbpediaResults, wikipediaResult] = await Promise.allSettled([
-      simpleQueryWikidata(sanitizedEntityName, { timeout }),
-      simpleQueryDBpedia(sanitizedEntityName, { timeout }), 
-      simpleQueryWikipedia(sanitizedEntityName, { timeout })
-    ]);
-
-    console.log(`[SemanticWebQuery] Fast enrichment results for "${sanitizedEntityName}":`, {
-      wikidata: wikidataResults.status,
-      dbpedia: dbpediaResults.status,
-      wikipedia: wikipediaResult.status
-    });
-
-    // Process results with Wikipedia prioritization
-    // First, collect all sources without applying any data
-    const sourceData = {
-      wikidata: null,
-      dbpedia: null,
-      wikipedia: null
-    };
-
-    // Process Wikidata results
-    if (wikidataResults.status === 'fulfilled' && wikidataResults.value.length > 0) {
-      const wdResult = wikidataResults.value[0];
-      results.sources.wikidata = {
-        found: true,
-        results: wikidataResults.value
-      };
-      sourceData.wikidata = {
-        externalLink: wdResult.item?.value,
-        description: wdResult.itemDescription?.value,
-        confidence: 0.9
-      };
-    } else {
-      results.sources.wikidata = {
-        found: false,
-        error: wikidataResults.reason?.message
-      };
-    }
 
-    // Process DBpedia results
-    if (dbpediaResults.status === 'fulfilled' && dbpediaResults.value.length > 0) {
-      const dbResult = dbpediaResults.value[0];
-      results.sources.dbpedia = {
-        found: true,
-        results: dbpediaResults.value
-      };
-      sourceData.dbpedia = {
-        externalLink: dbResult.resource?.value,
-        description: dbResult.comment?.value,
-        confidence: 0.8
-      };
-    } else {
-      results.sources.dbpedia = {
-        found: false,
-        error: dbpediaResults.reason?.message
-      };
-    }
-
-    // Process Wikipedia results
-    if (wikipediaResult.status === 'fulfilled' && wikipediaResult.value) {
-      const wpResult = wikipediaResult.value;
-      results.sources.wikipedia = {
-        found: true,
-        result: wpResult
-      };
-      sourceData.wikipedia = {
-        externalLink: wpResult.url,
-        description: wpResult.description,
-        confidence: 0.95 // Highest confidence for Wikipedia definitions
-      };
-    } else {
-      results.sources.wikipedia = {
-        found: false,
-        error: wikipediaResult.reason?.message
-      };
-    }
-
-    // Apply results with Wikipedia-first prioritization
-    // Priority order: Wikipedia > DBpedia > Wikidata
-    const sources = ['wikipedia', 'dbpedia', 'wikidata'];
-    
-    for (const sourceName of sources) {
-      const data = sourceData[sourceName];
-      if (!data) continue;
-      
-      // Add external links (all sources)
-      if (data.externalLink) {
-        results.suggestions.externalLinks.push(data.externalLink);
-      }
-      
-      // Set description only if we don't have one yet (Wikipedia gets first chance)
-      if (data.description && !results.suggestions.description) {
-        results.suggestions.description = data.description;
-        results.suggestions.confidence = Math.max(results.suggestions.confidence, data.confidence);
-        console.log(`[SemanticWebQuery] Using ${sourceName} description for "${sanitizedEntityName}": "${data.description.substring(0, 100)}..."`);
-      }
-    }
-
-    // Remove duplicates from external links
-    results.suggestions.externalLinks = [...new Set(results.suggestions.externalLinks)];
+    // Every enabled source is asked in parallel; the most trusted one that
+    // knows the entity supplies the description
+    const { sources: bySource, suggestions } = await semanticSources.enrich(sanitizedEntityName, { timeout, sources });
+    results.sources = bySource;
+    results.suggestions = suggestions;
 
     console.log(`[SemanticWebQuery] Fast enriched "${entityName}" with ${results.suggestions.externalLinks.length} links, confidence: ${results.suggestions.confidence}`);
     
@@ -1159,7 +892,11 @@ export async function discoverDBpediaProperties(entityName, options = {}) {
       return data.results.bindings.map(binding => ({
         property: binding.property?.value,
         value: binding.value?.value,
-        valueLabel: binding.valueLabel?.value
+        valueLabel: binding.valueLabel?.value,
+        // Kept so literals can be stored as typed properties
+        valueType: binding.value?.type,
+        datatype: binding.value?.datatype,
+        lang: binding.value?.['xml:lang']
       }));
     }
 
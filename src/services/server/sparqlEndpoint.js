@@ -0,0 +1,183 @@
+/**
+ * SPARQL Endpoint - read-only SPARQL 1.1 query support for published universes
+ *
+ * Builds an in-memory Oxigraph dataset from the same JSON-LD -> N-Quads
+ * conversion the semantic server uses for /universe.nq, then answers
+ * SELECT, ASK, CONSTRUCT and DESCRIBE queries with standard result formats.
+ */
+
+import jsonld from 'jsonld';
+import oxigraph from 'oxigraph';
+
+// Prefixes declared implicitly, like the public endpoints sparqlClient.js talks to
+const DEFAULT_PREFIXES = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  owl: 'http://www.w3.org/2002/07/owl#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  schema: 'http://schema.org/',
+  dcterms: 'http://purl.org/dc/terms/',
+  redstring: 'https://redstring.io/vocab/'
+};
+
+// Result media types in order of preference (first is the default)
+export const SOLUTION_MEDIA_TYPES = [
+  'application/sparql-results+json',
+  'application/sparql-results+xml',
+  'text/csv',
+  'text/tab-separated-values'
+];
+
+export const GRAPH_MEDIA_TYPES = [
+  'text/turtle',
+  'application/n-triples',
+  'application/rdf+xml',
+  'application/ld+json'
+];
+
+// Generic media types clients commonly send, mapped to the concrete format we produce
+const MEDIA_TYPE_ALIASES = {
+  'application/json': 'application/sparql-results+json',
+  'application/xml': 'application/sparql-results+xml',
+  'text/xml': 'application/sparql-results+xml'
+};
+
+export class SparqlQueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SparqlQueryError';
+    this.status = status;
+  }
+}
+
+/**
+ * Determine the query form (SELECT, ASK, CONSTRUCT, DESCRIBE) by skipping the prologue.
+ * @param {string} query - SPARQL query string
+ * @returns {string|null} Upper-case query form, or null if it is not a query
+ */
+export function getQueryForm(query) {
+  let rest = String(query || '');
+  const prologue = /^\s*(?:#[^\n]*\n|PREFIX\s+[\w.-]*:\s*<[^>]*>|BASE\s*<[^>]*>)/i;
+  while (prologue.test(rest)) {
+    rest = rest.replace(prologue, '');
+  }
+  const match = rest.match(/^\s*(SELECT|ASK|CONSTRUCT|DESCRIBE)\b/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Add PREFIX declarations for well-known prefixes the query uses but does not declare.
+ * @param {string} query - SPARQL query string
+ * @returns {string} Query with the missing prefixes prepended
+ */
+export function withDefaultPrefixes(query) {
+  const declared = new Set(
+    Array.from(query.matchAll(/PREFIX\s+([\w.-]*):/gi)).map(match => match[1])
+  );
+  const missing = Object.entries(DEFAULT_PREFIXES).filter(([prefix]) =>
+    !declared.has(prefix) && new RegExp(`(^|[\\s({,;/^!|])${prefix}:`).test(query)
+  );
+  if (missing.length === 0) return query;
+  return missing.map(([prefix, iri]) => `PREFIX ${prefix}: <${iri}>`).join('\n') + '\n' + query;
+}
+
+/**
+ * Build an in-memory RDF dataset from universe JSON-LD.
+ * @param {Object} universeJson - Parsed .redstring (JSON-LD) document
+ * @returns {Promise<Object>} Oxigraph store
+ */
+export async function buildUniverseDataset(universeJson) {
+  const nquads = await jsonld.toRDF(universeJson, { format: 'application/n-quads' });
+  const store = new oxigraph.Store();
+  if (nquads) {
+    store.load(nquads, { format: 'application/n-quads' });
+  }
+  return store;
+}
+
+/**
+ * Pick the response media type for a query form given an Accept header.
+ * @param {string} queryForm - Result of getQueryForm
+ * @param {function} accepts - Negotiator such as express req.accepts(types)
+ * @returns {string|null} Chosen media type, or null if nothing acceptable
+ */
+export function negotiateResultType(queryForm, accepts) {
+  const isGraphResult = queryForm === 'CONSTRUCT' || queryForm === 'DESCRIBE';
+  const offered = isGraphResult
+    ? GRAPH_MEDIA_TYPES
+    : [...SOLUTION_MEDIA_TYPES, ...Object.keys(MEDIA_TYPE_ALIASES)];
+  const chosen = accepts(offered);
+  if (!chosen) return null;
+  return MEDIA_TYPE_ALIASES[chosen] || chosen;
+}
+
+/**
+ * Run a read-only SPARQL query against a dataset.
+ * @param {Object} store - Dataset from buildUniverseDataset
+ * @param {string} query - SPARQL query string
+ * @param {Object} options - { resultType, defaultGraphUris, namedGraphUris, baseIri }
+ * @returns {{ queryForm: string, contentType: string, body: string }}
+ */
+export function executeSparqlQuery(store, query, options = {}) {
+  if (!query || typeof query !== 'string') {
+    throw new SparqlQueryError('Missing SPARQL query');
+  }
+
+  const queryForm = getQueryForm(query);
+  if (!queryForm) {
+    throw new SparqlQueryError('Only SELECT, ASK, CONSTRUCT and DESCRIBE queries are supported');
+  }
+
+  const isGraphResult = queryForm === 'CONSTRUCT' || queryForm === 'DESCRIBE';
+  const resultType = options.resultType || (isGraphResult ? GRAPH_MEDIA_TYPES[0] : SOLUTION_MEDIA_TYPES[0]);
+
+  const queryOptions = { results_format: resultType };
+  if (options.baseIri) queryOptions.base_iri = options.baseIri;
+  if (Array.isArray(options.defaultGraphUris) && options.defaultGraphUris.length > 0) {
+    queryOptions.default_graph = options.defaultGraphUris.map(uri => oxigraph.namedNode(uri));
+  } else {
+    // Universes keep their content in named graphs; expose it all by default
+    queryOptions.use_default_graph_as_union = true;
+  }
+  if (Array.isArray(options.namedGraphUris) && options.namedGraphUris.length > 0) {
+    queryOptions.named_graphs = options.namedGraphUris.map(uri => oxigraph.namedNode(uri));
+  }
+
+  let body;
+  try {
+    body = store.query(withDefaultPrefixes(query), queryOptions);
+  } catch (error) {
+    throw new SparqlQueryError(`Malformed query: ${error.message}`);
+  }
+
+  const contentType = resultType.startsWith('text/') || resultType.endsWith('+xml')
+    ? `${resultType}; charset=utf-8`
+    : resultType;
+  return { queryForm, contentType, body };
+}
+
+/**
+ * Cache of datasets keyed by slug, invalidated when the universe file changes.
+ */
+export class UniverseDatasetCache {
+  constructor({ loadUniverseJson, statUniverse }) {
+    this.loadUniverseJson = loadUniverseJson;
+    this.statUniverse = statUniverse;
+    this.entries = new Map();
+  }
+
+  async get(slug) {
+    const stats = await this.statUniverse(slug);
+    const cached = this.entries.get(slug);
+    if (cached && cached.mtimeMs === stats.mtimeMs) {
+      return cached.store;
+    }
+    const store = await buildUniverseDataset(await this.loadUniverseJson(slug));
+    this.entries.set(slug, { mtimeMs: stats.mtimeMs, store });
+    return store;
+  }
+
+  invalidate(slug) {
+    this.entries.delete(slug);
+  }
+}
@@ -0,0 +1,479 @@
+/**
+ * Static Site Publisher - render a universe as a browsable static website
+ *
+ * One HTML page per node prototype and per graph, plus an index. Pages show
+ * the description, bio, citations and external links, an SVG rendering of
+ * each graph, and backlinks, and embed their data as JSON-LD using the same
+ * REDSTRING_CONTEXT as the .redstring format. Output is a plain
+ * { path: content } map so the CLI can write it to disk and the semantic
+ * server can serve it straight from memory.
+ */
+
+import { importFromRedstring, REDSTRING_CONTEXT } from '../../formats/redstringFormat.js';
+
+const NODE_HEIGHT = 60;
+const NODE_MIN_WIDTH = 120;
+const CHAR_WIDTH = 9;
+const SVG_PADDING = 40;
+const DEFAULT_NODE_COLOR = '#800000';
+
+const STYLESHEET = `body { font-family: Georgia, 'Times New Roman', serif; margin: 0; background: #bdb5b5; color: #260000; }
+header { background: #260000; color: #bdb5b5; padding: 12px 24px; }
+header a { color: #bdb5b5; text-decoration: none; font-weight: bold; }
+main { max-width: 960px; margin: 0 auto; padding: 24px; }
+h1 { margin-top: 0; }
+section { margin-bottom: 28px; }
+.swatch { display: inline-block; width: 14px; height: 14px; border-radius: 3px; vertical-align: middle; margin-right: 8px; }
+.graph-svg { width: 100%; height: auto; background: #dedada; border: 1px solid #260000; border-radius: 8px; }
+.graph-svg a text { pointer-events: none; }
+ul { padding-left: 20px; }
+li { margin: 4px 0; }
+a { color: #8b0000; }
+.muted { color: #555; font-style: italic; }
+`;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Keep <\/script> and friends out of the embedded JSON-LD block
+const escapeScriptJson = (value) => JSON.stringify(value, null, 2).replace(/</g, '\\u003c');
+
+// Reversible, so distinct ids never share a page: every UTF-8 byte outside
+// [a-zA-Z0-9-] (including '_' itself) becomes _XX
+const fileSafeId = (id) => Array.from(new TextEncoder().encode(String(id)), (byte) => {
+  const char = String.fromCharCode(byte);
+  return /[a-zA-Z0-9-]/.test(char) ? char : `_${byte.toString(16).padStart(2, '0')}`;
+}).join('');
+
+export const prototypePagePath = (id) => `nodes/${fileSafeId(id)}.html`;
+export const graphPagePath = (id) => `graphs/${fileSafeId(id)}.html`;
+
+const isUrl = (value) => /^https?:\/\//i.test(String(value));
+
+// Colours end up in style and fill attributes, so only hex and named colours pass
+const safeColor = (value) => (/^(#[0-9a-f]{3,4}|#[0-9a-f]{6}|#[0-9a-f]{8}|[a-z]+)$/i.test(String(value ?? '').trim())
+  ? String(value).trim()
+  : DEFAULT_NODE_COLOR);
+
+const byName = (a, b) => String(a.name || a.id).localeCompare(String(b.name || b.id));
+
+const paragraphs = (text) => String(text).split(/\n\s*\n/)
+  .map(block => block.trim())
+  .filter(Boolean)
+  .map(block => `<p>${escapeHtml(block).replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+// Citations are free-form: plain strings or objects with title/url/author/year
+const renderCitation = (citation) => {
+  if (!citation || typeof citation !== 'object') {
+    return isUrl(citation) ? `<a href="${escapeHtml(citation)}">${escapeHtml(citation)}</a>` : escapeHtml(citation);
+  }
+  const title = citation.title || citation.name || citation.url || citation.id || 'Untitled source';
+  const label = isUrl(citation.url) ? `<a href="${escapeHtml(citation.url)}">${escapeHtml(title)}</a>` : escapeHtml(title);
+  const details = [citation.author || citation.authors, citation.year || citation.date, citation.publisher]
+    .flat()
+    .filter(Boolean)
+    .map(escapeHtml);
+  return details.length > 0 ? `${label} <span class="muted">(${details.join(', ')})</span>` : label;
+};
+
+const renderExternalLink = (link) => {
+  const href = typeof link === 'object' ? link?.url || link?.['@id'] : link;
+  if (!href) return null;
+  return isUrl(href) ? `<a href="${escapeHtml(href)}">${escapeHtml(href)}</a>` : `<code>${escapeHtml(href)}</code>`;
+};
+
+const renderList = (items, emptyText) => (items.length === 0
+  ? `<p class="muted">${escapeHtml(emptyText)}</p>`
+  : `<ul>\n${items.map(item => `<li>${item}</li>`).join('\n')}\n</ul>`);
+
+const pageLink = (href, name) => `<a href="${escapeHtml(href)}">${escapeHtml(name)}</a>`;
+
+// Edges show their own name, else the name of the prototype that defines their type
+const edgeLabel = (edge, nodePrototypes) => {
+  if (edge.name) return edge.name;
+  const definitionId = edge.definitionNodeIds?.[0] || edge.typeNodeId;
+  return nodePrototypes.get(definitionId)?.name || '';
+};
+
+/**
+ * Build lookup tables for names and backlinks from a store state.
+ */
+const indexUniverse = (storeState) => {
+  const { graphs, nodePrototypes, edges } = storeState;
+  const instanceOwners = new Map(); // instanceId -> { graphId, prototypeId }
+  const appearsIn = new Map(); // prototypeId -> Set(graphId)
+  const definedBy = new Map(); // graphId -> Set(prototypeId)
+  const typedBy = new Map(); // type prototypeId -> Set(prototypeId)
+
+  const add = (map, key, value) => {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(value);
+  };
+
+  graphs.forEach((graph, graphId) => {
+    graph.instances?.forEach((instance, instanceId) => {
+      instanceOwners.set(instanceId, { graphId, prototypeId: instance.prototypeId });
+      add(appearsIn, instance.prototypeId, graphId);
+    });
+    (graph.definingNodeIds || []).forEach(prototypeId => add(definedBy, graphId, prototypeId));
+  });
+
+  nodePrototypes.forEach((prototype, prototypeId) => {
+    (prototype.definitionGraphIds || []).forEach(graphId => add(definedBy, graphId, prototypeId));
+    if (prototype.typeNodeId && prototype.typeNodeId !== prototypeId) add(typedBy, prototype.typeNodeId, prototypeId);
+  });
+
+  const prototypeName = (id) => nodePrototypes.get(id)?.name || id;
+
+  // Connections between prototypes, seen from either end
+  const connections = new Map(); // prototypeId -> [{ otherId, label, outgoing, graphId }]
+  edges.forEach(edge => {
+    const source = instanceOwners.get(edge.sourceId);
+    const target = instanceOwners.get(edge.destinationId);
+    if (!source || !target) return;
+    const label = edgeLabel(edge, nodePrototypes);
+    if (!connections.has(source.prototypeId)) connections.set(source.prototypeId, []);
+    if (!connections.has(target.prototypeId)) connections.set(target.prototypeId, []);
+    connections.get(source.prototypeId).push({ otherId: target.prototypeId, label, outgoing: true, graphId: source.graphId });
+    if (source.prototypeId !== target.prototypeId) {
+      connections.get(target.prototypeId).push({ otherId: source.prototypeId, label, outgoing: false, graphId: source.graphId });
+    }
+  });
+
+  return { appearsIn, definedBy, typedBy, connections, prototypeName };
+};
+
+const nodeWidth = (name, scale = 1) => Math.max(NODE_MIN_WIDTH, String(name).length * CHAR_WIDTH + 40) * scale;
+
+/**
+ * Render a graph as a standalone SVG: instances as labelled rounded rects at
+ * their canvas positions, edges as lines between centres with arrowheads and
+ * optional labels. Nodes link to their prototype pages via hrefFor.
+ * @param {Object} graph - Store graph (instances Map, edgeIds)
+ * @param {Object} storeState - Store state holding nodePrototypes and edges
+ * @param {Object} [options]
+ * @param {Function} [options.hrefFor] - prototypeId -> link target (no links when omitted)
+ * @param {boolean} [options.showEdgeNames=true] - Draw edge labels
+ * @returns {string} SVG markup
+ */
+export const renderGraphSvg = (graph, storeState, { hrefFor = null, showEdgeNames = true } = {}) => {
+  const { nodePrototypes, edges } = storeState;
+  const boxes = new Map();
+
+  graph.instances?.forEach((instance, instanceId) => {
+    const prototype = nodePrototypes.get(instance.prototypeId) || {};
+    const name = prototype.name || instance.prototypeId;
+    const scale = instance.scale || 1;
+    boxes.set(instanceId, {
+      x: Number(instance.x) || 0,
+      y: Number(instance.y) || 0,
+      width: nodeWidth(name, scale),
+      height: NODE_HEIGHT * scale,
+      name,
+      color: safeColor(prototype.color),
+      prototypeId: instance.prototypeId
+    });
+  });
+
+  if (boxes.size === 0) {
+    return '<svg xmlns="http://www.w3.org/2000/svg" class="graph-svg" viewBox="0 0 400 80" role="img" aria-label="Empty graph">'
+      + '<text x="200" y="45" text-anchor="middle" font-style="italic" fill="#555">Empty graph</text></svg>';
+  }
+
+  const all = Array.from(boxes.values());
+  const minX = Math.min(...all.map(b => b.x)) - SVG_PADDING;
+  const minY = Math.min(...all.map(b => b.y)) - SVG_PADDING;
+  const maxX = Math.max(...all.map(b => b.x + b.width)) + SVG_PADDING;
+  const maxY = Math.max(...all.map(b => b.y + b.height)) + SVG_PADDING;
+  const round = (n) => Math.round(n * 10) / 10;
+  const centre = (box) => ({ x: box.x + box.width / 2, y: box.y + box.height / 2 });
+
+  const edgeIds = Array.isArray(graph.edgeIds) ? graph.edgeIds : Array.from(graph.edgeIds || []);
+  const lines = edgeIds.map(edgeId => {
+    const edge = edges.get(edgeId);
+    const from = edge && boxes.get(edge.sourceId);
+    const to = edge && boxes.get(edge.destinationId);
+    if (!from || !to) return '';
+    const a = centre(from);
+    const b = centre(to);
+    const toward = edge.directionality?.arrowsToward;
+    const has = (id) => (toward instanceof Set ? toward.has(id) : Array.isArray(toward) && toward.includes(id));
+    const markers = [
+      has(edge.destinationId) ? ' marker-end="url(#arrow)"' : '',
+      has(edge.sourceId) ? ' marker-start="url(#arrow)"' : ''
+    ].join('');
+    const label = showEdgeNames ? edgeLabel(edge, nodePrototypes) : '';
+    const text = label
+      ? `<text x="${round((a.x + b.x) / 2)}" y="${round((a.y + b.y) / 2 - 6)}" text-anchor="middle" font-size="13" fill="#260000">${escapeHtml(label)}</text>`
+      : '';
+    return `<g class="edge"><line x1="${round(a.x)}" y1="${round(a.y)}" x2="${round(b.x)}" y2="${round(b.y)}" stroke="#260000" stroke-width="3"${markers}/>${text}</g>`;
+  }).filter(Boolean);
+
+  const nodes = Array.from(boxes.values()).map(box => {
+    const shape = `<rect x="${round(box.x)}" y="${round(box.y)}" width="${round(box.width)}" height="${round(box.height)}" rx="12" fill="${escapeHtml(box.color)}"/>`
+      + `<text x="${round(box.x + box.width / 2)}" y="${round(box.y + box.height / 2 + 6)}" text-anchor="middle" font-size="18" font-weight="bold" fill="#bdb5b5">${escapeHtml(box.name)}</text>`;
+    const href = hrefFor ? hrefFor(box.prototypeId) : null;
+    return href
+      ? `<g class="node"><a href="${escapeHtml(href)}"><title>${escapeHtml(box.name)}</title>${shape}</a></g>`
+      : `<g class="node"><title>${escapeHtml(box.name)}</title>${shape}</g>`;
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" class="graph-svg" viewBox="${round(minX)} ${round(minY)} ${round(maxX - minX)} ${round(maxY - minY)}" role="img" aria-label="${escapeHtml(graph.name || 'Graph')}">`,
+    '<defs><marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="#260000"/></marker></defs>',
+    ...lines,
+    ...nodes,
+    '</svg>'
+  ].join('\n');
+};
+
+const renderPage = ({ title, siteTitle, root, jsonLd, body }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · ${escapeHtml(siteTitle)}</title>
+<link rel="stylesheet" href="${root}style.css">
+<script type="application/ld+json">
+${escapeScriptJson(jsonLd)}
+</script>
+</head>
+<body>
+<header><a href="${root}index.html">${escapeHtml(siteTitle)}</a></header>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+
+const absoluteId = (baseUrl, pagePath) => (baseUrl ? `${baseUrl.replace(/\/$/, '')}/${pagePath}` : pagePath);
+
+const prototypeJsonLd = (prototype, baseUrl, storeState) => ({
+  '@context': REDSTRING_CONTEXT,
+  '@id': absoluteId(baseUrl, prototypePagePath(prototype.id)),
+  '@type': 'Prototype',
+  name: prototype.name,
+  description: prototype.description || undefined,
+  color: prototype.color || undefined,
+  bio: prototype.bio || undefined,
+  citations: prototype.citations?.length ? prototype.citations : undefined,
+  externalLinks: prototype.externalLinks?.length ? prototype.externalLinks : undefined,
+  sameAs: (prototype.externalLinks || []).filter(isUrl).length ? prototype.externalLinks.filter(isUrl) : undefined,
+  hasDefinition: (prototype.definitionGraphIds || [])
+    .filter(graphId => storeState.graphs.has(graphId))
+    .map(graphId => absoluteId(baseUrl, graphPagePath(graphId)))
+});
+
+const graphJsonLd = (graph, baseUrl, storeState, definers) => ({
+  '@context': REDSTRING_CONTEXT,
+  '@id': absoluteId(baseUrl, graphPagePath(graph.id)),
+  '@type': 'Graph',
+  name: graph.name,
+  description: graph.description || undefined,
+  definedBy: Array.from(definers).map(id => absoluteId(baseUrl, prototypePagePath(id))),
+  contains: Array.from(new Set(Array.from(graph.instances?.values() || []).map(instance => instance.prototypeId)))
+    .filter(id => storeState.nodePrototypes.has(id))
+    .map(id => absoluteId(baseUrl, prototypePagePath(id)))
+});
+
+const renderPrototypePage = (prototype, storeState, index, options) => {
+  const root = '../';
+  const { appearsIn, typedBy, connections, prototypeName } = index;
+  const graphs = storeState.graphs;
+  const protoLink = (id) => pageLink(`${root}${prototypePagePath(id)}`, prototypeName(id));
+  const graphLink = (id) => pageLink(`${root}${graphPagePath(id)}`, graphs.get(id)?.name || id);
+  const hrefFor = (id) => (storeState.nodePrototypes.has(id) ? `${root}${prototypePagePath(id)}` : null);
+
+  const definitions = (prototype.definitionGraphIds || []).filter(id => graphs.has(id));
+  const definitionSections = definitions.map(graphId => {
+    const graph = graphs.get(graphId);
+    return `<h3>${graphLink(graphId)}</h3>\n${renderGraphSvg(graph, storeState, { hrefFor })}`;
+  }).join('\n');
+
+  const typeLine = prototype.typeNodeId && storeState.nodePrototypes.has(prototype.typeNodeId)
+    ? `<p>Type: ${protoLink(prototype.typeNodeId)}</p>`
+    : '';
+
+  const links = (connections.get(prototype.id) || [])
+    .filter(c => storeState.nodePrototypes.has(c.otherId))
+    .map(c => {
+      const label = c.label ? ` <span class="muted">${escapeHtml(c.label)}</span> ` : ' ';
+      return c.outgoing ? `→${label}${protoLink(c.otherId)}` : `${protoLink(c.otherId)}${label}→`;
+    });
+
+  const body = [
+    `<h1><span class="swatch" style="background:${escapeHtml(safeColor(prototype.color))}"></span>${escapeHtml(prototype.name || prototype.id)}</h1>`,
+    typeLine,
+    `<section><h2>Description</h2>\n${prototype.description ? paragraphs(prototype.description) : '<p class="muted">No description.</p>'}</section>`,
+    prototype.bio ? `<section><h2>Bio</h2>\n${paragraphs(prototype.bio)}</section>` : '',
+    `<section><h2>Citations</h2>\n${renderList((prototype.citations || []).map(renderCitation), 'No citations.')}</section>`,
+    `<section><h2>External Links</h2>\n${renderList((prototype.externalLinks || []).map(renderExternalLink).filter(Boolean), 'No external links.')}</section>`,
+    definitions.length > 0 ? `<section><h2>Definitions</h2>\n${definitionSections}</section>` : '',
+    '<section><h2>Backlinks</h2>',
+    '<h3>Appears in</h3>',
+    renderList(Array.from(appearsIn.get(prototype.id) || []).map(graphLink), 'Not placed in any graph.'),
+    '<h3>Connections</h3>',
+    renderList(links, 'No connections.'),
+    typedBy.has(prototype.id) ? `<h3>Used as type by</h3>\n${renderList(Array.from(typedBy.get(prototype.id)).map(protoLink), '')}` : '',
+    '</section>'
+  ].filter(Boolean).join('\n');
+
+  return renderPage({
+    title: prototype.name || prototype.id,
+    siteTitle: options.title,
+    root,
+    jsonLd: prototypeJsonLd(prototype, options.baseUrl, storeState),
+    body
+  });
+};
+
+const renderGraphPage = (graph, storeState, index, options) => {
+  const root = '../';
+  const { definedBy, prototypeName } = index;
+  const definers = Array.from(definedBy.get(graph.id) || []).filter(id => storeState.nodePrototypes.has(id));
+  const protoLink = (id) => pageLink(`${root}${prototypePagePath(id)}`, prototypeName(id));
+  const hrefFor = (id) => (storeState.nodePrototypes.has(id) ? `${root}${prototypePagePath(id)}` : null);
+
+  const members = Array.from(new Set(Array.from(graph.instances?.values() || []).map(instance => instance.prototypeId)))
+    .filter(id => storeState.nodePrototypes.has(id))
+    .map(id => storeState.nodePrototypes.get(id))
+    .sort(byName);
+
+  const body = [
+    `<h1>${escapeHtml(graph.name || graph.id)}</h1>`,
+    graph.description ? `<section>${paragraphs(graph.description)}</section>` : '',
+    `<section>\n${renderGraphSvg(graph, storeState, { hrefFor })}\n</section>`,
+    `<section><h2>Nodes</h2>\n${renderList(members.map(p => protoLink(p.id)), 'No nodes.')}</section>`,
+    `<section><h2>Backlinks</h2>\n<h3>Defines</h3>\n${renderList(definers.map(protoLink), 'Not the definition of any node.')}</section>`
+  ].filter(Boolean).join('\n');
+
+  return renderPage({
+    title: graph.name || graph.id,
+    siteTitle: options.title,
+    root,
+    jsonLd: graphJsonLd(graph, options.baseUrl, storeState, definers),
+    body
+  });
+};
+
+const renderIndexPage = (storeState, options) => {
+  const graphs = Array.from(storeState.graphs.values()).sort(byName);
+  const prototypes = Array.from(storeState.nodePrototypes.values()).sort(byName);
+  const body = [
+    `<h1>${escapeHtml(options.title)}</h1>`,
+    options.description ? `<section>${paragraphs(options.description)}</section>` : '',
+    `<section><h2>Graphs</h2>\n${renderList(graphs.map(g => pageLink(graphPagePath(g.id), g.name || g.id)), 'No graphs.')}</section>`,
+    `<section><h2>Nodes</h2>\n${renderList(prototypes.map(p => pageLink(prototypePagePath(p.id), p.name || p.id)), 'No nodes.')}</section>`
+  ].filter(Boolean).join('\n');
+
+  return renderPage({
+    title: 'Index',
+    siteTitle: options.title,
+    root: '',
+    jsonLd: {
+      '@context': REDSTRING_CONTEXT,
+      '@id': absoluteId(options.baseUrl, 'index.html'),
+      '@type': 'CognitiveSpace',
+      name: options.title,
+      contains: [
+        ...graphs.map(g => absoluteId(options.baseUrl, graphPagePath(g.id))),
+        ...prototypes.map(p => absoluteId(options.baseUrl, prototypePagePath(p.id)))
+      ]
+    },
+    body
+  });
+};
+
+/**
+ * Publish a universe as a static website.
+ * @param {Object} data - Parsed .redstring file or store state
+ * @param {Object} [options]
+ * @param {string} [options.title] - Site title (defaults to the universe metadata title)
+ * @param {string} [options.description] - Intro text for the index page
+ * @param {string} [options.baseUrl] - Public URL the site will live at; makes JSON-LD ids absolute
+ * @returns {Object} Map of relative file path -> file content
+ */
+export const publishStaticSite = (data, options = {}) => {
+  const storeState = data?.graphs instanceof Map ? data : importFromRedstring(data).storeState;
+  const siteOptions = {
+    title: options.title || data?.metadata?.title || data?.metadata?.name || 'Redstring Universe',
+    description: options.description ?? data?.metadata?.description ?? '',
+    baseUrl: options.baseUrl || ''
+  };
+  const index = indexUniverse(storeState);
+
+  const files = {
+    'index.html': renderIndexPage(storeState, siteOptions),
+    'style.css': STYLESHEET
+  };
+  storeState.nodePrototypes.forEach((prototype, id) => {
+    files[prototypePagePath(id)] = renderPrototypePage({ ...prototype, id }, storeState, index, siteOptions);
+  });
+  storeState.graphs.forEach((graph, id) => {
+    files[graphPagePath(id)] = renderGraphPage({ ...graph, id }, storeState, index, siteOptions);
+  });
+  return files;
+};
+
+/**
+ * Cache of published sites keyed by slug and base URL, rebuilt when the
+ * universe file changes.
+ */
+export class PublishedSiteCache {
+  constructor({ loadUniverseJson, statUniverse }) {
+    this.loadUniverseJson = loadUniverseJson;
+    this.statUniverse = statUniverse;
+    this.entries = new Map(); // slug -> { mtimeMs, sites: Map(baseUrl -> files) }
+  }
+
+  async get(slug, options = {}) {
+    const stats = await this.statUniverse(slug);
+    let entry = this.entries.get(slug);
+    if (!entry || entry.mtimeMs !== stats.mtimeMs) {
+      entry = { mtimeMs: stats.mtimeMs, sites: new Map() };
+      this.entries.set(slug, entry);
+    }
+    const key = options.baseUrl || '';
+    if (!entry.sites.has(key)) {
+      entry.sites.set(key, publishStaticSite(await this.loadUniverseJson(slug), options));
+    }
+    return entry.sites.get(key);
+  }
+
+  invalidate(slug) {
+    this.entries.delete(slug);
+  }
+}
+
+/**
+ * Content type for a published file, by extension.
+ * @param {string} filePath
+ * @returns {string}
+ */
+export const siteContentType = (filePath) => (filePath.endsWith('.css')
+  ? 'text/css; charset=utf-8'
+  : 'text/html; charset=utf-8');
+
+/**
+ * Write a published site to a directory.
+ * @param {Object} files - Output of publishStaticSite
+ * @param {string} outDir - Target directory (created if missing)
+ * @param {Object} deps - { fs, path } (node modules, injected so this file stays browser-safe)
+ * @returns {Promise<string[]>} Written file paths
+ */
+export const writeStaticSite = async (files, outDir, { fs, path }) => {
+  const written = [];
+  for (const [relativePath, content] of Object.entries(files)) {
+    const target = path.join(outDir, relativePath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content, 'utf8');
+    written.push(target);
+  }
+  return written;
+};
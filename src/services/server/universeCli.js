@@ -0,0 +1,514 @@
+/**
+ * Universe CLI - headless operations on .redstring files
+ *
+ * The commands behind scripts/redstring.js: convert, validate, migrate, stats,
+ * merge and query. Everything here works on parsed files and store state, and
+ * file access goes through the io object handed to runCli so it can be driven
+ * from tests without touching disk.
+ */
+
+import jsonld from 'jsonld';
+import {
+  exportToRedstring,
+  importFromRedstring,
+  migrateFormat,
+  validateFormatVersion,
+  CURRENT_FORMAT_VERSION
+} from '../../formats/redstringFormat.js';
+import { serializeTurtle, serializeTrig } from '../../formats/rdfExport.js';
+import { exportToGraphML } from '../../formats/graphml.js';
+import { exportToGEXF } from '../../formats/gexf.js';
+import { RDFValidation } from '../rdfValidation.js';
+import { mergeUniverses, resolveMergeConflicts } from '../universeMerge.js';
+import { buildUniverseDataset, executeSparqlQuery, getQueryForm } from './sparqlEndpoint.js';
+
+export const CONVERT_FORMATS = {
+  redstring: { extensions: ['redstring'], description: 'Redstring universe (JSON-LD with the Redstring context)' },
+  jsonld: { extensions: ['jsonld', 'json'], description: 'Expanded JSON-LD' },
+  nquads: { extensions: ['nq', 'nquads'], description: 'N-Quads' },
+  turtle: { extensions: ['ttl'], description: 'Turtle (named graphs merged)' },
+  trig: { extensions: ['trig'], description: 'TriG (named graphs kept)' },
+  graphml: { extensions: ['graphml'], description: 'GraphML' },
+  gexf: { extensions: ['gexf'], description: 'GEXF (Gephi)' }
+};
+
+const QUERY_RESULT_TYPES = {
+  json: 'application/sparql-results+json',
+  xml: 'application/sparql-results+xml',
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values',
+  turtle: 'text/turtle',
+  ntriples: 'application/n-triples',
+  rdfxml: 'application/rdf+xml',
+  jsonld: 'application/ld+json'
+};
+
+export const USAGE = `Usage: redstring <command> [options]
+
+Commands:
+  convert <in.redstring> [-o out] [--to format] [--graph id]
+      Convert a universe to ${Object.keys(CONVERT_FORMATS).join(', ')}.
+      The format defaults to the output file's extension.
+  validate <file...> [--strict] [--resolve-links] [--json]
+      Check format version, references, shape constraints and RDF rules.
+      Exits 1 when any file has errors (or warnings, with --strict).
+  migrate <in.redstring> [-o out] [--check]
+      Upgrade a universe to format ${CURRENT_FORMAT_VERSION}. With --check, only report
+      whether migration is needed (exit 1 if it is).
+  stats <file> [--json]
+      Print counts, per-graph sizes and the most connected things.
+  merge <base> <local> <remote> [-o out] [--prefer local|remote] [--json]
+      Three-way merge. Exits 1 on conflicts unless --prefer picks a side.
+  query <file> <sparql | --file query.rq> [--format ${Object.keys(QUERY_RESULT_TYPES).join('|')}]
+      Run a read-only SPARQL query over the universe.
+
+Output goes to stdout when -o is not given.`;
+
+export class CliError extends Error {
+  constructor(message, exitCode = 2) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Parse a command line into { command, positional, options }.
+ * Flags listed in valueFlags take the next argument; everything else is boolean.
+ */
+export const parseCliArgs = (argv) => {
+  const valueFlags = new Set(['-o', '--out', '--to', '--graph', '--prefer', '--file', '--format']);
+  const aliases = { '-o': 'out', '-h': 'help' };
+  const [command, ...rest] = argv;
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg.startsWith('-') && arg !== '-') {
+      const name = aliases[arg] || arg.replace(/^--/, '').replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+      if (valueFlags.has(arg)) {
+        if (i + 1 >= rest.length) throw new CliError(`${arg} needs a value`);
+        options[name] = rest[++i];
+      } else {
+        options[name] = true;
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { command: command === '-h' || command === '--help' ? 'help' : command, positional, options };
+};
+
+const looksLikeUniverse = (data) => Boolean(data && typeof data === 'object'
+  && (data.prototypeSpace || data.nodePrototypes || data.graphs || data.legacy));
+
+/**
+ * Parse .redstring text and load it into store state.
+ * @returns {Object} { data, storeState, version }
+ */
+export const readUniverse = (text, filename = 'input') => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new CliError(`${filename}: not valid JSON (${error.message})`, 1);
+  }
+  if (!looksLikeUniverse(data)) {
+    throw new CliError(`${filename}: not a Redstring universe`, 1);
+  }
+  const { storeState, errors, version } = importFromRedstring(data);
+  if (errors?.length > 0) throw new CliError(`${filename}: ${errors.join('; ')}`, 1);
+  return { data, storeState, version };
+};
+
+const formatFromFilename = (filename) => {
+  const extension = (filename || '').split('.').pop().toLowerCase();
+  return Object.keys(CONVERT_FORMATS).find(format => CONVERT_FORMATS[format].extensions.includes(extension)) || null;
+};
+
+/**
+ * Serialize store state in one of CONVERT_FORMATS.
+ * @returns {Promise<string>}
+ */
+export const convertUniverse = async (storeState, format, { graphId = null } = {}) => {
+  if (format === 'graphml') return exportToGraphML(storeState, { graphId });
+  if (format === 'gexf') return exportToGEXF(storeState, { graphId });
+  if (graphId) throw new CliError('--graph only applies to GraphML and GEXF output');
+
+  const redstring = exportToRedstring(storeState);
+  switch (format) {
+    case 'redstring':
+      return `${JSON.stringify(redstring, null, 2)}\n`;
+    case 'jsonld':
+      return `${JSON.stringify(await jsonld.expand(redstring), null, 2)}\n`;
+    case 'nquads':
+      return jsonld.toRDF(redstring, { format: 'application/n-quads' });
+    case 'turtle':
+      return serializeTurtle(await jsonld.toRDF(redstring));
+    case 'trig':
+      return serializeTrig(await jsonld.toRDF(redstring));
+    default:
+      throw new CliError(`Unknown format "${format}". Use one of: ${Object.keys(CONVERT_FORMATS).join(', ')}`);
+  }
+};
+
+// Always present in a running store, so a file may reference them without defining them
+const BUILT_IN_PROTOTYPE_IDS = new Set(['base-thing-prototype', 'base-connection-prototype']);
+
+// Prototypes, instances and edges that point at things that are not there
+const checkReferences = (storeState) => {
+  const { graphs, nodePrototypes, edges } = storeState;
+  const issues = [];
+  const instanceGraph = new Map();
+
+  graphs.forEach((graph, graphId) => {
+    (graph.instances || new Map()).forEach((instance, instanceId) => {
+      instanceGraph.set(instanceId, graphId);
+      if (!nodePrototypes.has(instance.prototypeId) && !BUILT_IN_PROTOTYPE_IDS.has(instance.prototypeId)) {
+        issues.push({ severity: 'error', rule: 'references', message: `Instance ${instanceId} in graph "${graph.name || graphId}" uses missing prototype ${instance.prototypeId}` });
+      }
+    });
+    (graph.edgeIds || []).forEach(edgeId => {
+      if (!edges.has(edgeId)) {
+        issues.push({ severity: 'error', rule: 'references', message: `Graph "${graph.name || graphId}" lists missing edge ${edgeId}` });
+      }
+    });
+  });
+
+  edges.forEach((edge, edgeId) => {
+    [edge.sourceId, edge.destinationId].forEach(instanceId => {
+      if (!instanceGraph.has(instanceId)) {
+        issues.push({ severity: 'error', rule: 'references', message: `Edge ${edgeId} connects missing instance ${instanceId}` });
+      }
+    });
+  });
+
+  nodePrototypes.forEach((prototype, prototypeId) => {
+    if (prototype.typeNodeId && prototype.typeNodeId !== prototypeId && !nodePrototypes.has(prototype.typeNodeId) && !BUILT_IN_PROTOTYPE_IDS.has(prototype.typeNodeId)) {
+      issues.push({ severity: 'warning', rule: 'references', message: `"${prototype.name || prototypeId}" is typed by missing prototype ${prototype.typeNodeId}` });
+    }
+    (prototype.definitionGraphIds || []).forEach(graphId => {
+      if (!graphs.has(graphId)) {
+        issues.push({ severity: 'warning', rule: 'references', message: `"${prototype.name || prototypeId}" is defined by missing graph ${graphId}` });
+      }
+    });
+  });
+
+  return issues;
+};
+
+/**
+ * Validate a parsed universe file.
+ * @param {Object} data - Parsed .redstring JSON
+ * @param {Object} [options]
+ * @param {boolean} [options.resolveLinks] - Also check external links resolve (needs network)
+ * @returns {Promise<Object>} { valid, version, needsMigration, issues: [{ severity, rule, message }] }
+ */
+export const validateUniverse = async (data, { resolveLinks = false } = {}) => {
+  const versionCheck = validateFormatVersion(data);
+  if (!versionCheck.valid) {
+    return { valid: false, version: versionCheck.version, needsMigration: false, issues: [{ severity: 'error', rule: 'format_version', message: versionCheck.error }] };
+  }
+
+  const issues = [];
+  if (versionCheck.needsMigration) {
+    issues.push({ severity: 'info', rule: 'format_version', message: `Format ${versionCheck.version} will be migrated to ${CURRENT_FORMAT_VERSION} on load` });
+  }
+
+  const { storeState, errors } = importFromRedstring(data);
+  if (errors?.length > 0) {
+    return { valid: false, version: versionCheck.version, needsMigration: versionCheck.needsMigration, issues: [...issues, ...errors.map(message => ({ severity: 'error', rule: 'import', message }))] };
+  }
+  issues.push(...checkReferences(storeState));
+
+  const validator = new RDFValidation();
+  validator.setRuleEnabled('external_link_resolution', resolveLinks);
+  const results = await validator.validateGraph({
+    id: 'universe',
+    nodes: Array.from(storeState.nodePrototypes.values()),
+    edges: Array.from(storeState.edges.values()),
+    state: storeState
+  }, { state: storeState, allGraphs: true });
+  results.rules.forEach(rule => {
+    if (rule.error) issues.push({ severity: 'warning', rule: rule.ruleId, message: `Rule could not run: ${rule.error}` });
+    (rule.issues || []).forEach(issue => issues.push({ severity: issue.severity, rule: rule.ruleId, message: issue.message }));
+  });
+
+  return {
+    valid: !issues.some(issue => issue.severity === 'error'),
+    version: versionCheck.version,
+    needsMigration: versionCheck.needsMigration,
+    issues
+  };
+};
+
+/**
+ * Upgrade parsed universe data to the current format.
+ * @returns {Object} { data, from, to, migrations, needsMigration }
+ */
+export const migrateUniverse = (data) => {
+  const versionCheck = validateFormatVersion(data);
+  if (!versionCheck.valid) throw new CliError(versionCheck.error, 1);
+  if (!versionCheck.needsMigration) {
+    return { data, from: versionCheck.version, to: versionCheck.version, migrations: [], needsMigration: false };
+  }
+  const migrated = migrateFormat(data, versionCheck.version, CURRENT_FORMAT_VERSION);
+  const { storeState } = importFromRedstring(migrated);
+  const output = exportToRedstring(storeState);
+  // Keep the original title and the migration record rather than export defaults
+  output.metadata = {
+    ...output.metadata,
+    ...(data.metadata?.title ? { title: data.metadata.title } : {}),
+    ...(data.metadata?.created ? { created: data.metadata.created } : {}),
+    migrated: true,
+    originalVersion: versionCheck.version,
+    migrationsApplied: migrated.metadata?.migrationsApplied || []
+  };
+  return {
+    data: output,
+    from: versionCheck.version,
+    to: CURRENT_FORMAT_VERSION,
+    migrations: migrated.metadata?.migrationsApplied || [],
+    needsMigration: true
+  };
+};
+
+/**
+ * Counts and shape of a universe.
+ * @param {Object} storeState
+ * @returns {Object}
+ */
+export const universeStats = (storeState) => {
+  const { graphs, nodePrototypes, edges } = storeState;
+  const placed = new Map();
+  const degree = new Map();
+  const instancePrototype = new Map();
+  let instanceCount = 0;
+
+  const perGraph = Array.from(graphs.entries()).map(([graphId, graph]) => {
+    const instances = graph.instances || new Map();
+    instances.forEach((instance, instanceId) => {
+      instancePrototype.set(instanceId, instance.prototypeId);
+      placed.set(instance.prototypeId, (placed.get(instance.prototypeId) || 0) + 1);
+    });
+    instanceCount += instances.size;
+    const edgeCount = (graph.edgeIds || []).filter(edgeId => edges.has(edgeId)).length;
+    const possible = instances.size * (instances.size - 1) / 2;
+    return {
+      id: graphId,
+      name: graph.name || graphId,
+      instances: instances.size,
+      edges: edgeCount,
+      density: possible > 0 ? Number((edgeCount / possible).toFixed(3)) : 0
+    };
+  });
+
+  edges.forEach(edge => {
+    [edge.sourceId, edge.destinationId].forEach(instanceId => {
+      const prototypeId = instancePrototype.get(instanceId);
+      if (prototypeId) degree.set(prototypeId, (degree.get(prototypeId) || 0) + 1);
+    });
+  });
+
+  const typeIds = new Set(Array.from(nodePrototypes.values()).map(prototype => prototype.typeNodeId).filter(Boolean));
+  const unplaced = Array.from(nodePrototypes.values())
+    .filter(prototype => !placed.has(prototype.id) && !typeIds.has(prototype.id) && !(prototype.definitionGraphIds || []).length);
+
+  const mostConnected = Array.from(degree.entries())
+    .sort((a, b) => b[1] - a[1] || String(nodePrototypes.get(a[0])?.name).localeCompare(String(nodePrototypes.get(b[0])?.name)))
+    .slice(0, 10)
+    .map(([id, count]) => ({ id, name: nodePrototypes.get(id)?.name || id, connections: count }));
+
+  return {
+    graphs: graphs.size,
+    prototypes: nodePrototypes.size,
+    types: typeIds.size,
+    instances: instanceCount,
+    edges: edges.size,
+    unplacedPrototypes: unplaced.length,
+    perGraph: perGraph.sort((a, b) => b.instances - a.instances || a.name.localeCompare(b.name)),
+    mostConnected
+  };
+};
+
+const formatStats = (stats, version) => {
+  const lines = [
+    `Format      ${version}`,
+    `Graphs      ${stats.graphs}`,
+    `Prototypes  ${stats.prototypes} (${stats.types} used as types, ${stats.unplacedPrototypes} never placed)`,
+    `Instances   ${stats.instances}`,
+    `Edges       ${stats.edges}`
+  ];
+  if (stats.perGraph.length > 0) {
+    lines.push('', 'Graphs by size:');
+    stats.perGraph.forEach(graph => lines.push(`  ${graph.name}  ${graph.instances} nodes, ${graph.edges} edges, density ${graph.density}`));
+  }
+  if (stats.mostConnected.length > 0) {
+    lines.push('', 'Most connected:');
+    stats.mostConnected.forEach(entry => lines.push(`  ${entry.name}  ${entry.connections}`));
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+const formatIssues = (filename, result) => {
+  const lines = [`${result.valid ? '✓' : '✗'} ${filename} (format ${result.version})`];
+  result.issues.forEach(issue => lines.push(`  ${issue.severity.padEnd(7)} [${issue.rule}] ${issue.message}`));
+  return `${lines.join('\n')}\n`;
+};
+
+const requirePositional = (positional, count, usage) => {
+  if (positional.length < count) throw new CliError(`Usage: ${usage}`);
+};
+
+/**
+ * Run a CLI command.
+ * @param {string[]} argv - Arguments after the program name
+ * @param {Object} io - { readFile(path): Promise<string>, writeFile(path, text): Promise, stdout(text), stderr(text) }
+ * @returns {Promise<number>} Exit code: 0 ok, 1 validation/conflict failure, 2 usage or I/O error
+ */
+export const runCli = async (argv, io) => {
+  const emit = async (text, out) => {
+    if (out) {
+      await io.writeFile(out, text);
+      io.stderr(`Wrote ${out}\n`);
+    } else {
+      io.stdout(text);
+    }
+  };
+  const load = async (filename) => readUniverse(await io.readFile(filename), filename);
+
+  try {
+    const { command, positional, options } = parseCliArgs(argv);
+
+    switch (command) {
+      case undefined:
+      case 'help':
+        io.stdout(`${USAGE}\n`);
+        return command ? 0 : 2;
+
+      case 'convert': {
+        requirePositional(positional, 1, 'redstring convert <in.redstring> [-o out] [--to format]');
+        const format = options.to || formatFromFilename(options.out) || 'redstring';
+        const { storeState } = await load(positional[0]);
+        await emit(await convertUniverse(storeState, format, { graphId: options.graph || null }), options.out);
+        return 0;
+      }
+
+      case 'validate': {
+        requirePositional(positional, 1, 'redstring validate <file...> [--strict]');
+        let failed = false;
+        const reports = [];
+        for (const filename of positional) {
+          let result;
+          try {
+            const text = await io.readFile(filename);
+            let data;
+            try {
+              data = JSON.parse(text);
+            } catch (error) {
+              throw new CliError(`not valid JSON (${error.message})`, 1);
+            }
+            if (!looksLikeUniverse(data)) throw new CliError('not a Redstring universe', 1);
+            result = await validateUniverse(data, { resolveLinks: Boolean(options.resolveLinks) });
+          } catch (error) {
+            result = { valid: false, version: 'unknown', issues: [{ severity: 'error', rule: 'read', message: error.message }] };
+          }
+          if (options.strict && result.issues.some(issue => issue.severity === 'warning')) result.valid = false;
+          failed = failed || !result.valid;
+          reports.push({ file: filename, ...result });
+          if (!options.json) io.stdout(formatIssues(filename, result));
+        }
+        if (options.json) io.stdout(`${JSON.stringify(reports, null, 2)}\n`);
+        return failed ? 1 : 0;
+      }
+
+      case 'migrate': {
+        requirePositional(positional, 1, 'redstring migrate <in.redstring> [-o out] [--check]');
+        const text = await io.readFile(positional[0]);
+        let data;
+        try {
+          data = JSON.parse(text);
+        } catch (error) {
+          throw new CliError(`${positional[0]}: not valid JSON (${error.message})`, 1);
+        }
+        const result = migrateUniverse(data);
+        if (options.check) {
+          io.stdout(result.needsMigration
+            ? `${positional[0]}: format ${result.from} needs migration to ${result.to}\n`
+            : `${positional[0]}: already at format ${result.from}\n`);
+          return result.needsMigration ? 1 : 0;
+        }
+        io.stderr(result.needsMigration
+          ? `Migrated ${result.from} -> ${result.to} (${result.migrations.join(', ')})\n`
+          : `Already at format ${result.from}\n`);
+        await emit(`${JSON.stringify(result.data, null, 2)}\n`, options.out);
+        return 0;
+      }
+
+      case 'stats': {
+        requirePositional(positional, 1, 'redstring stats <file> [--json]');
+        const { storeState, version } = await load(positional[0]);
+        const stats = universeStats(storeState);
+        io.stdout(options.json
+          ? `${JSON.stringify({ version: version?.imported, ...stats }, null, 2)}\n`
+          : formatStats(stats, version?.imported || CURRENT_FORMAT_VERSION));
+        return 0;
+      }
+
+      case 'merge': {
+        requirePositional(positional, 3, 'redstring merge <base> <local> <remote> [-o out] [--prefer local|remote]');
+        if (options.prefer && !['local', 'remote'].includes(options.prefer)) {
+          throw new CliError('--prefer must be "local" or "remote"');
+        }
+        const [base, local, remote] = await Promise.all(positional.slice(0, 3).map(load));
+        const result = mergeUniverses(base.data, local.data, remote.data);
+
+        if (result.hasConflicts && !options.prefer) {
+          if (options.json) {
+            io.stdout(`${JSON.stringify(result.conflicts.map(({ id, kind, entityId, field, label }) => ({ id, kind, entityId, field, label })), null, 2)}\n`);
+          } else {
+            io.stderr(`${result.conflicts.length} conflict${result.conflicts.length === 1 ? '' : 's'}:\n`);
+            result.conflicts.forEach(conflict => io.stderr(`  ${conflict.label}${conflict.field && conflict.field !== '*' ? ` (${conflict.field})` : ''}\n`));
+            io.stderr('Re-run with --prefer local or --prefer remote to resolve them.\n');
+          }
+          return 1;
+        }
+
+        const choices = {};
+        if (options.prefer) result.conflicts.forEach(conflict => { choices[conflict.id] = options.prefer; });
+        const merged = result.hasConflicts ? resolveMergeConflicts(result, choices) : result.storeState;
+        if (result.hasConflicts) io.stderr(`Resolved ${result.conflicts.length} conflict(s) in favour of ${options.prefer}\n`);
+        await emit(`${JSON.stringify(exportToRedstring(merged), null, 2)}\n`, options.out);
+        return 0;
+      }
+
+      case 'query': {
+        requirePositional(positional, options.file ? 1 : 2, 'redstring query <file> <sparql | --file query.rq> [--format type]');
+        const query = options.file ? await io.readFile(options.file) : positional[1];
+        const { storeState } = await load(positional[0]);
+        const queryForm = getQueryForm(query);
+        const isGraphResult = queryForm === 'CONSTRUCT' || queryForm === 'DESCRIBE';
+        const format = options.format || (isGraphResult ? 'turtle' : queryForm === 'ASK' ? 'json' : 'tsv');
+        if (!QUERY_RESULT_TYPES[format]) {
+          throw new CliError(`Unknown result format "${format}". Use one of: ${Object.keys(QUERY_RESULT_TYPES).join(', ')}`);
+        }
+        const store = await buildUniverseDataset(exportToRedstring(storeState));
+        let result;
+        try {
+          result = executeSparqlQuery(store, query, { resultType: QUERY_RESULT_TYPES[format] });
+        } catch (error) {
+          throw new CliError(error.message, 1);
+        }
+        const body = String(result.body);
+        io.stdout(body.endsWith('\n') ? body : `${body}\n`);
+        return 0;
+      }
+
+      default:
+        throw new CliError(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+  } catch (error) {
+    io.stderr(`${error instanceof CliError ? '' : 'Error: '}${error.message}\n`);
+    return error instanceof CliError ? error.exitCode : 2;
+  }
+};
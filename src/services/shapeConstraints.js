@@ -0,0 +1,328 @@
+/**
+ * Shape Constraints - SHACL-style constraints attached to type prototypes
+ *
+ * A type prototype (the node other prototypes point at through typeNodeId,
+ * or the node that names a connection) can carry `shapeConstraints`:
+ *
+ * - property:      things of this type must have a value for `path`
+ *                  (minCount / maxCount / datatype / pattern)
+ * - edgeEndpoints: connections of this type must run from a thing of
+ *                  sourceTypeId to a thing of destinationTypeId
+ * - maxPerGraph:   at most `max` things of this type in any one graph
+ *
+ * validateShapes() checks a universe (or one graph) and returns violations
+ * pointing at instances and edges so the canvas can badge them. SHACL
+ * Turtle import/export lives in formats/shacl.js.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+export const SHAPE_CONSTRAINT_KINDS = {
+  PROPERTY: 'property',
+  EDGE_ENDPOINTS: 'edgeEndpoints',
+  MAX_PER_GRAPH: 'maxPerGraph'
+};
+
+export const SHAPE_SEVERITIES = ['violation', 'warning', 'info'];
+
+// Lexical checks for the datatypes a property constraint can require
+export const SHAPE_DATATYPES = {
+  string: () => true,
+  integer: (value) => /^[+-]?\d+$/.test(String(value)),
+  decimal: (value) => /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(String(value)),
+  boolean: (value) => typeof value === 'boolean' || /^(true|false)$/.test(String(value)),
+  date: (value) => /^-?\d{4,}-\d{2}-\d{2}(Z|[+-]\d{2}:\d{2})?$/.test(String(value)),
+  dateTime: (value) => /^-?\d{4,}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.test(String(value)),
+  anyURI: (value) => /^[a-z][a-z0-9+.-]*:\S+$/i.test(String(value))
+};
+
+// Prototype fields a property constraint can point at directly
+export const SHAPE_PROPERTY_PATHS = ['description', 'bio', 'conjugation', 'externalLinks', 'citations', 'color', 'thumbnailSrc'];
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? Math.floor(number) : null;
+};
+
+/**
+ * Normalise a constraint, filling in an id and severity. Returns null when
+ * the constraint is not one we understand.
+ */
+export const normalizeShapeConstraint = (constraint) => {
+  if (!constraint || typeof constraint !== 'object') return null;
+  const base = {
+    id: constraint.id || uuidv4(),
+    kind: constraint.kind,
+    severity: SHAPE_SEVERITIES.includes(constraint.severity) ? constraint.severity : 'violation',
+    ...(constraint.message ? { message: String(constraint.message) } : {})
+  };
+
+  switch (constraint.kind) {
+    case SHAPE_CONSTRAINT_KINDS.PROPERTY: {
+      const path = String(constraint.path || '').trim();
+      if (!path) return null;
+      return {
+        ...base,
+        path,
+        minCount: toNumber(constraint.minCount),
+        maxCount: toNumber(constraint.maxCount),
+        datatype: SHAPE_DATATYPES[constraint.datatype] ? constraint.datatype : null,
+        pattern: constraint.pattern ? String(constraint.pattern) : null
+      };
+    }
+    case SHAPE_CONSTRAINT_KINDS.EDGE_ENDPOINTS:
+      if (!constraint.sourceTypeId && !constraint.destinationTypeId) return null;
+      return {
+        ...base,
+        sourceTypeId: constraint.sourceTypeId || null,
+        destinationTypeId: constraint.destinationTypeId || null
+      };
+    case SHAPE_CONSTRAINT_KINDS.MAX_PER_GRAPH: {
+      const max = toNumber(constraint.max);
+      if (max === null) return null;
+      return { ...base, max };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Create a new constraint of the given kind.
+ */
+export const createShapeConstraint = (kind, fields = {}) => normalizeShapeConstraint({ ...fields, kind, id: uuidv4() });
+
+/**
+ * Values a prototype holds for a property path, as a flat list with empty values dropped.
+ * Typed properties (prototype.properties) are checked before the prototype's own fields.
+ */
+export const getPropertyValues = (prototype, path) => {
+  if (!prototype || !path) return [];
+  const raw = prototype.properties?.[path] ? prototype.properties[path].values : prototype[path];
+  const list = Array.isArray(raw) ? raw : [raw];
+  return list.filter(value => value !== undefined && value !== null && !(typeof value === 'string' && value.trim() === ''));
+};
+
+/**
+ * Whether a prototype is (directly or through its type chain) of the given type.
+ */
+export const isOfType = (prototypeId, typeId, nodePrototypes) => {
+  const visited = new Set();
+  let current = nodePrototypes.get(prototypeId)?.typeNodeId;
+  while (current && !visited.has(current)) {
+    if (current === typeId) return true;
+    visited.add(current);
+    current = nodePrototypes.get(current)?.typeNodeId;
+  }
+  return false;
+};
+
+// The prototype that names a connection: its definition node, else its type
+const edgeTypeIds = (edge) => [edge.definitionNodeIds?.[0], edge.typeNodeId].filter(Boolean);
+
+const edgeHasType = (edge, typeId, nodePrototypes) =>
+  edgeTypeIds(edge).some(id => id === typeId || isOfType(id, typeId, nodePrototypes));
+
+const nameOf = (nodePrototypes, id) => nodePrototypes.get(id)?.name || 'Unknown';
+
+/**
+ * Plain-language description of a constraint, used in the editor and as the default violation message.
+ */
+export const describeConstraint = (constraint, nodePrototypes, ownerId) => {
+  const owner = nameOf(nodePrototypes, ownerId);
+  switch (constraint.kind) {
+    case SHAPE_CONSTRAINT_KINDS.PROPERTY: {
+      const parts = [];
+      if (constraint.minCount) parts.push(`at least ${constraint.minCount}`);
+      if (constraint.maxCount !== null && constraint.maxCount !== undefined) parts.push(`at most ${constraint.maxCount}`);
+      const count = parts.length > 0 ? `${parts.join(' and ')} ` : '';
+      const datatype = constraint.datatype ? ` (${constraint.datatype})` : '';
+      return `${owner} must have ${count}"${constraint.path}"${datatype}`;
+    }
+    case SHAPE_CONSTRAINT_KINDS.EDGE_ENDPOINTS: {
+      const from = constraint.sourceTypeId ? nameOf(nodePrototypes, constraint.sourceTypeId) : 'anything';
+      const to = constraint.destinationTypeId ? nameOf(nodePrototypes, constraint.destinationTypeId) : 'anything';
+      return `${owner} connections go from ${from} to ${to}`;
+    }
+    case SHAPE_CONSTRAINT_KINDS.MAX_PER_GRAPH:
+      return `At most ${constraint.max} ${owner} per graph`;
+    default:
+      return 'Unknown constraint';
+  }
+};
+
+// User-supplied patterns are compiled once and reused across validation runs
+const compiledPatterns = new Map(); // pattern -> RegExp, or null when it does not compile
+const MAX_COMPILED_PATTERNS = 500;
+
+const compilePattern = (pattern) => {
+  if (compiledPatterns.has(pattern)) return compiledPatterns.get(pattern);
+  let regex = null;
+  try {
+    regex = new RegExp(pattern);
+  } catch {
+    regex = null;
+  }
+  if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) compiledPatterns.clear();
+  compiledPatterns.set(pattern, regex);
+  return regex;
+};
+
+const checkPropertyValues = (constraint, values) => {
+  const problems = [];
+  if (constraint.minCount && values.length < constraint.minCount) {
+    problems.push(values.length === 0 ? `is missing "${constraint.path}"` : `has ${values.length} "${constraint.path}" (needs ${constraint.minCount})`);
+  }
+  if (constraint.maxCount !== null && constraint.maxCount !== undefined && values.length > constraint.maxCount) {
+    problems.push(`has ${values.length} "${constraint.path}" (at most ${constraint.maxCount})`);
+  }
+  if (constraint.datatype) {
+    const check = SHAPE_DATATYPES[constraint.datatype];
+    if (values.some(value => !check(value))) problems.push(`has a "${constraint.path}" that is not a ${constraint.datatype}`);
+  }
+  if (constraint.pattern) {
+    const regex = compilePattern(constraint.pattern);
+    if (regex && values.some(value => !regex.test(String(value)))) {
+      problems.push(`has a "${constraint.path}" that does not match ${constraint.pattern}`);
+    }
+  }
+  return problems;
+};
+
+/**
+ * Check every shape constraint in the universe.
+ * @param {Object} state - Store state (graphs, nodePrototypes, edges)
+ * @param {Object} [options]
+ * @param {string} [options.graphId] - Only check what appears in this graph
+ * @returns {{ conforms: boolean, violations: Array, constraintCount: number }}
+ *   Each violation: { id, severity, message, shapeId, constraintId, kind, graphId, prototypeId?, instanceIds?, edgeId? }
+ */
+export const validateShapes = (state, { graphId = null } = {}) => {
+  const nodePrototypes = state?.nodePrototypes || new Map();
+  const graphs = state?.graphs || new Map();
+  const edges = state?.edges || new Map();
+  const violations = [];
+
+  const shapes = [];
+  nodePrototypes.forEach((prototype, ownerId) => {
+    (prototype.shapeConstraints || []).forEach(raw => {
+      const constraint = normalizeShapeConstraint(raw);
+      if (constraint) shapes.push({ ownerId, constraint });
+    });
+  });
+  if (shapes.length === 0) return { conforms: true, violations, constraintCount: 0 };
+
+  const graphEntries = graphId
+    ? (graphs.has(graphId) ? [[graphId, graphs.get(graphId)]] : [])
+    : Array.from(graphs.entries());
+
+  // Instances of each prototype, per graph
+  const placements = new Map(); // prototypeId -> [{ graphId, instanceId }]
+  graphEntries.forEach(([id, graph]) => {
+    graph.instances?.forEach((instance, instanceId) => {
+      if (!placements.has(instance.prototypeId)) placements.set(instance.prototypeId, []);
+      placements.get(instance.prototypeId).push({ graphId: id, instanceId });
+    });
+  });
+
+  const push = (ownerId, constraint, detail, fields) => {
+    violations.push({
+      id: `${constraint.id}:${fields.edgeId || fields.prototypeId || ''}:${fields.graphId || ''}`,
+      severity: constraint.severity,
+      kind: constraint.kind,
+      shapeId: ownerId,
+      constraintId: constraint.id,
+      message: constraint.message ? `${constraint.message} (${detail})` : detail,
+      ...fields
+    });
+  };
+
+  shapes.forEach(({ ownerId, constraint }) => {
+    const owner = nameOf(nodePrototypes, ownerId);
+
+    if (constraint.kind === SHAPE_CONSTRAINT_KINDS.PROPERTY) {
+      nodePrototypes.forEach((prototype, prototypeId) => {
+        if (!isOfType(prototypeId, ownerId, nodePrototypes)) return;
+        const placed = placements.get(prototypeId) || [];
+        if (graphId && placed.length === 0) return;
+        const problems = checkPropertyValues(constraint, getPropertyValues(prototype, constraint.path));
+        if (problems.length === 0) return;
+        push(ownerId, constraint, `${prototype.name || 'Untitled'} (${owner}) ${problems.join(', ')}`, {
+          prototypeId,
+          graphId,
+          instanceIds: placed.map(p => p.instanceId)
+        });
+      });
+    } else if (constraint.kind === SHAPE_CONSTRAINT_KINDS.EDGE_ENDPOINTS) {
+      graphEntries.forEach(([id, graph]) => {
+        (graph.edgeIds || []).forEach(edgeId => {
+          const edge = edges.get(edgeId);
+          if (!edge || !edgeHasType(edge, ownerId, nodePrototypes)) return;
+          const sourcePrototypeId = graph.instances?.get(edge.sourceId)?.prototypeId;
+          const destinationPrototypeId = graph.instances?.get(edge.destinationId)?.prototypeId;
+          const problems = [];
+          if (constraint.sourceTypeId && !isOfType(sourcePrototypeId, constraint.sourceTypeId, nodePrototypes)) {
+            problems.push(`${nameOf(nodePrototypes, sourcePrototypeId)} is not ${nameOf(nodePrototypes, constraint.sourceTypeId)}`);
+          }
+          if (constraint.destinationTypeId && !isOfType(destinationPrototypeId, constraint.destinationTypeId, nodePrototypes)) {
+            problems.push(`${nameOf(nodePrototypes, destinationPrototypeId)} is not ${nameOf(nodePrototypes, constraint.destinationTypeId)}`);
+          }
+          if (problems.length === 0) return;
+          push(ownerId, constraint, `${owner} connection: ${problems.join(', ')}`, {
+            edgeId,
+            graphId: id,
+            instanceIds: [edge.sourceId, edge.destinationId]
+          });
+        });
+      });
+    } else if (constraint.kind === SHAPE_CONSTRAINT_KINDS.MAX_PER_GRAPH) {
+      graphEntries.forEach(([id, graph]) => {
+        const members = [];
+        graph.instances?.forEach((instance, instanceId) => {
+          if (isOfType(instance.prototypeId, ownerId, nodePrototypes)) members.push(instanceId);
+        });
+        if (members.length <= constraint.max) return;
+        push(ownerId, constraint, `${members.length} ${owner} in ${graph.name || 'this graph'} (at most ${constraint.max})`, {
+          graphId: id,
+          instanceIds: members
+        });
+      });
+    }
+  });
+
+  const conforms = !violations.some(violation => violation.severity === 'violation');
+  return { conforms, violations, constraintCount: shapes.length };
+};
+
+/**
+ * Group violations by the instance and edge ids they point at.
+ * @returns {Map<string, Array>} id -> violations
+ */
+export const violationsBySubject = (violations) => {
+  const bySubject = new Map();
+  const add = (id, violation) => {
+    if (!id) return;
+    if (!bySubject.has(id)) bySubject.set(id, []);
+    bySubject.get(id).push(violation);
+  };
+  violations.forEach(violation => {
+    if (violation.edgeId) {
+      add(violation.edgeId, violation);
+    } else {
+      (violation.instanceIds || []).forEach(id => add(id, violation));
+    }
+  });
+  return bySubject;
+};
+
+/**
+ * Merge imported constraints into a prototype's existing list: same ids are replaced, new ones appended.
+ */
+export const mergeShapeConstraints = (existing = [], incoming = []) => {
+  const merged = existing.map(constraint => incoming.find(next => next.id === constraint.id) || constraint);
+  incoming.forEach(constraint => {
+    if (!merged.some(current => current.id === constraint.id)) merged.push(constraint);
+  });
+  return merged;
+};
@@ -0,0 +1,258 @@
+/**
+ * Solid Pod Provider - a universe stored as one resource in a Solid pod
+ *
+ * Reads and writes the .redstring file with plain LDP requests so it works
+ * against any Solid server (Community Solid Server, ESS, NSS) through the
+ * authenticated fetch from solidAuth. Writes are conditional on the ETag of
+ * the version we last saw: when someone else has written the resource in
+ * the meantime the server answers 412, and sync() three-way merges their
+ * version with ours (like GitSyncEngine does for a moved branch head)
+ * instead of overwriting it.
+ */
+
+import { exportToRedstring } from '../formats/redstringFormat.js';
+import { mergeUniverses, resolveMergeConflicts } from './universeMerge.js';
+
+export const SOLID_POD_CONFLICT = 'SOLID_POD_CONFLICT';
+
+const LDP_CONTAINS = 'http://www.w3.org/ns/ldp#contains';
+
+export class SolidPodError extends Error {
+  constructor(message, { status = null, code = null } = {}) {
+    super(message);
+    this.name = 'SolidPodError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Where a universe lives in a pod unless the user picks another resource.
+ * @param {string} podUrl - Pod root, e.g. https://alice.solidcommunity.net/
+ * @param {string} slug - Universe slug
+ */
+export const defaultPodResourceUrl = (podUrl, slug) => new URL(`redstring/${slug}.redstring`, podUrl).toString();
+
+export const isPodResourceUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return (url.protocol === 'https:' || url.protocol === 'http:') && !url.pathname.endsWith('/');
+  } catch {
+    return false;
+  }
+};
+
+const describeFailure = (response, url) => {
+  if (response.status === 401 || response.status === 403) {
+    return new SolidPodError(`Not allowed to access ${url} - log in to the pod or check its access rules`, { status: response.status });
+  }
+  return new SolidPodError(`Pod responded ${response.status} ${response.statusText || ''}`.trim() + ` for ${url}`, { status: response.status });
+};
+
+export class SolidPodProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.resourceUrl - URL of the .redstring resource
+   * @param {Function} [options.fetch] - Authenticated fetch (solidAuth.getAuthenticatedFetch())
+   */
+  constructor({ resourceUrl, fetch: fetchImpl = globalThis.fetch } = {}) {
+    if (!isPodResourceUrl(resourceUrl)) {
+      throw new SolidPodError(`Not a pod resource URL: ${resourceUrl}`);
+    }
+    this.resourceUrl = resourceUrl;
+    this.fetch = fetchImpl;
+    this.etag = null; // ETag of the version our state descends from
+    this.baseData = null; // That version's content, the base for merges
+    this.loaded = false; // Whether etag/baseData reflect a version we have read or written
+    this.pendingMerge = null;
+    this.syncQueue = Promise.resolve(); // Syncs run one at a time so each sees the last one's ETag
+  }
+
+  /**
+   * Current ETag on the server, or null when the resource does not exist.
+   */
+  async head() {
+    const response = await this.fetch(this.resourceUrl, { method: 'HEAD', cache: 'no-store' });
+    if (response.status === 404) return null;
+    if (!response.ok) throw describeFailure(response, this.resourceUrl);
+    return response.headers.get('etag');
+  }
+
+  /**
+   * Read the resource without touching our sync position.
+   * @returns {Promise<Object|null>} { data, etag } or null when the resource does not exist
+   */
+  async fetchRemote() {
+    const response = await this.fetch(this.resourceUrl, {
+      method: 'GET',
+      cache: 'no-store',
+      headers: { Accept: 'application/json' }
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) throw describeFailure(response, this.resourceUrl);
+
+    const text = await response.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new SolidPodError(`Pod resource is not a Redstring file: ${error.message}`);
+    }
+    return { data, etag: response.headers.get('etag') };
+  }
+
+  /**
+   * Load the universe and make it the base for the next save.
+   * @returns {Promise<Object|null>} Parsed .redstring data, or null when the pod has none yet
+   */
+  async load() {
+    const remote = await this.fetchRemote();
+    this.etag = remote?.etag || null;
+    this.baseData = remote?.data || null;
+    this.loaded = true;
+    return remote?.data || null;
+  }
+
+  /**
+   * Write the universe, only if the pod still holds the version we last saw.
+   * @param {Object} redstringData - Output of exportToRedstring
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Overwrite whatever is there
+   * @returns {Promise<Object>} { etag, created }
+   * @throws {SolidPodError} code SOLID_POD_CONFLICT when the resource changed underneath us
+   */
+  async save(redstringData, { force = false } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (!force) {
+      // Without a version we have read, only create: never blindly replace a universe
+      if (this.etag) headers['If-Match'] = this.etag;
+      else if (!this.baseData) headers['If-None-Match'] = '*';
+    }
+
+    const response = await this.fetch(this.resourceUrl, {
+      method: 'PUT',
+      headers,
+      body: JSON.stringify(redstringData, null, 2)
+    });
+    if (response.status === 412) {
+      throw new SolidPodError(`${this.resourceUrl} was changed by someone else since it was loaded`, {
+        status: 412,
+        code: SOLID_POD_CONFLICT
+      });
+    }
+    if (!response.ok) throw describeFailure(response, this.resourceUrl);
+
+    // Not every server returns the new ETag from PUT
+    this.etag = response.headers.get('etag') || await this.head();
+    this.baseData = redstringData;
+    this.loaded = true;
+    return { etag: this.etag, created: response.status === 201 };
+  }
+
+  /**
+   * Save local state, merging in concurrent changes from the pod.
+   * @param {Object} storeState - Local store state
+   * @param {Object} [redstringData] - Its export, when the caller already has it
+   * @returns {Promise<Object>} { status: 'saved' } | { status: 'merged', storeState } | { status: 'conflict', result }
+   */
+  sync(storeState, redstringData = exportToRedstring(storeState)) {
+    const run = this.syncQueue.then(() => this.syncNow(storeState, redstringData));
+    this.syncQueue = run.catch(() => {});
+    return run;
+  }
+
+  async syncNow(storeState, redstringData) {
+    if (this.pendingMerge) {
+      return { status: 'conflict', result: this.pendingMerge };
+    }
+    if (!this.loaded) {
+      // No sync position yet (the universe came from another source this
+      // session): start from what the pod holds now, so our state replaces
+      // it instead of being merged against an empty base
+      await this.load();
+    }
+    try {
+      await this.save(redstringData);
+      return { status: 'saved' };
+    } catch (error) {
+      if (error.code !== SOLID_POD_CONFLICT) throw error;
+    }
+
+    const remote = await this.fetchRemote();
+    if (!remote) {
+      // Deleted on the pod since we saw it; put ours back
+      this.etag = null;
+      this.baseData = null;
+      await this.save(redstringData);
+      return { status: 'saved' };
+    }
+
+    const result = mergeUniverses(this.baseData, storeState, remote.data);
+    result.remoteEtag = remote.etag;
+    result.remoteData = remote.data;
+
+    if (result.hasConflicts) {
+      this.pendingMerge = result;
+      return { status: 'conflict', result };
+    }
+
+    // The merge contains the pod's version, so save on top of it
+    this.etag = remote.etag;
+    this.baseData = remote.data;
+    await this.save(exportToRedstring(result.storeState));
+    return { status: 'merged', storeState: result.storeState, result };
+  }
+
+  /**
+   * Apply the user's conflict choices; the result descends from the pod's version.
+   * @param {Object} choices - conflict id → 'local' | 'remote'
+   * @returns {Object} Merged store state, ready to load and save
+   */
+  resolvePendingMerge(choices = {}) {
+    if (!this.pendingMerge) {
+      throw new Error('No pending merge to resolve');
+    }
+    const merge = this.pendingMerge;
+    const storeState = resolveMergeConflicts(merge, choices);
+    this.pendingMerge = null;
+    this.etag = merge.remoteEtag;
+    this.baseData = merge.remoteData;
+    return storeState;
+  }
+
+  /**
+   * List the .redstring resources in a pod container.
+   * @param {string} containerUrl - Container URL (ending in /)
+   * @param {Function} [fetchImpl]
+   * @returns {Promise<string[]>} Resource URLs
+   */
+  static async listUniverses(containerUrl, fetchImpl = globalThis.fetch) {
+    const response = await fetchImpl(containerUrl, {
+      method: 'GET',
+      cache: 'no-store',
+      headers: { Accept: 'application/ld+json' }
+    });
+    if (response.status === 404) return [];
+    if (!response.ok) throw describeFailure(response, containerUrl);
+
+    const found = new Set();
+    const visit = (node) => {
+      if (Array.isArray(node)) return node.forEach(visit);
+      if (!node || typeof node !== 'object') return;
+      Object.entries(node).forEach(([key, value]) => {
+        if (key === LDP_CONTAINS || key === 'ldp:contains' || key === 'contains') {
+          [].concat(value).forEach(entry => {
+            const id = typeof entry === 'string' ? entry : entry?.['@id'];
+            if (id) found.add(new URL(id, containerUrl).toString());
+          });
+        } else if (typeof value === 'object') {
+          visit(value);
+        }
+      });
+    };
+    visit(await response.json());
+    return Array.from(found).filter(url => url.endsWith('.redstring')).sort();
+  }
+}
+
+export default SolidPodProvider;
@@ -5,6 +5,10 @@
  */
 
 import { SimpleClient as SparqlHttpClient } from 'sparql-http-client';
+import { getOfflineCache, CACHE_TTLS } from './offlineCache/index.js';
+
+// SELECT results are kept in the shared offline cache under this namespace
+const CACHE_NAMESPACE = 'sparql';
 
 // Predefined SPARQL endpoints for major knowledge bases
 const PREDEFINED_ENDPOINTS = {
@@ -42,12 +46,20 @@ const PREDEFINED_ENDPOINTS = {
 };
 
 export class SPARQLClient {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {OfflineCache} [options.cache] - Defaults to the shared offline cache
+   */
+  constructor({ cache = null } = {}) {
     this.endpoints = new Map(Object.entries(PREDEFINED_ENDPOINTS));
     this.clients = new Map();
     this.lastRequestTime = new Map();
-    this.queryCache = new Map();
-    this.CACHE_TTL = 60 * 60 * 1000; // 1 hour
+    this._cache = cache;
+    this.CACHE_TTL = CACHE_TTLS.sparql;
+  }
+
+  get cache() {
+    return this._cache || getOfflineCache();
   }
 
   /**
@@ -105,6 +117,7 @@ export class SPARQLClient {
    * @param {string} endpointKey - Endpoint identifier
    * @param {string} query - SPARQL query string
    * @param {Object} options - Query options
+   * @param {boolean} options.refresh - Skip the cache and query the endpoint
    * @returns {Promise<Array>} Query results as bindings array
    */
   async executeQuery(endpointKey, query, options = {}) {
@@ -113,18 +126,22 @@ export class SPARQLClient {
       throw new Error(`Unknown endpoint: ${endpointKey}`);
     }
 
-    // Check rate limiting
-    await this._checkRateLimit(endpointKey, endpoint.rateLimit);
+    // Cached results (even stale ones) are served without touching the network
+    // or the rate limit; a failed query falls back to the last stored result.
+    // Keyed by the full query: the cache persists, so a hash collision would serve another query's results
+    const cacheKey = `${endpointKey}:${query}`;
+    return this.cache.fetch(CACHE_NAMESPACE, cacheKey, () => this._fetchBindings(endpointKey, endpoint, query, options), {
+      ttl: this.CACHE_TTL,
+      refresh: Boolean(options.refresh)
+    });
+  }
 
-    // Check cache
-    const cacheKey = `${endpointKey}:${this._hashQuery(query)}`;
-    if (this.queryCache.has(cacheKey)) {
-      const cached = this.queryCache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.CACHE_TTL) {
-        return cached.data;
-      }
-      this.queryCache.delete(cacheKey);
-    }
+  /**
+   * Run a SELECT query against the endpoint
+   * @private
+   */
+  async _fetchBindings(endpointKey, endpoint, query, options) {
+    await this._checkRateLimit(endpointKey, endpoint.rateLimit);
 
     try {
       console.log(`[SPARQL Client] Direct fetch query to ${endpointKey}:`, query.substring(0, 100) + '...');
@@ -156,15 +173,7 @@ export class SPARQLClient {
       });
 
       // Extract just the bindings array
-      const bindings = jsonData?.results?.bindings || [];
-      
-      // Cache the result
-      this.queryCache.set(cacheKey, {
-        data: bindings,
-        timestamp: Date.now()
-      });
-
-      return bindings;
+      return jsonData?.results?.bindings || [];
     } catch (error) {
       console.error(`[SPARQL Client] Direct fetch query failed for ${endpointKey}:`, error);
       throw new Error(`SPARQL query failed: ${error.message}`);
@@ -634,36 +643,12 @@ export class SPARQLClient {
     }
   }
 
-  /**
-   * Hash a query string for caching
-   * @private
-   */
-  _hashQuery(query) {
-    let hash = 0;
-    for (let i = 0; i < query.length; i++) {
-      const char = query.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return hash.toString();
-  }
-
   /**
    * Clear query cache
    * @param {string} endpointKey - Optional endpoint to clear specific cache
    */
   clearCache(endpointKey = null) {
-    if (endpointKey) {
-      // Clear specific endpoint cache
-      for (const key of this.queryCache.keys()) {
-        if (key.startsWith(endpointKey + ':')) {
-          this.queryCache.delete(key);
-        }
-      }
-    } else {
-      // Clear all cache
-      this.queryCache.clear();
-    }
+    return this.cache.purge({ namespace: CACHE_NAMESPACE, keyPrefix: endpointKey ? `${endpointKey}:` : null });
   }
 
   /**
@@ -671,22 +656,11 @@ export class SPARQLClient {
    * @returns {Object} Cache statistics
    */
   getCacheStats() {
-    const now = Date.now();
-    let validEntries = 0;
-    let expiredEntries = 0;
-    
-    for (const [key, value] of this.queryCache.entries()) {
-      if (now - value.timestamp < this.CACHE_TTL) {
-        validEntries++;
-      } else {
-        expiredEntries++;
-      }
-    }
-    
+    const stats = this.cache.stats().namespaces[CACHE_NAMESPACE];
     return {
-      totalEntries: this.queryCache.size,
-      validEntries,
-      expiredEntries
+      totalEntries: stats?.entries || 0,
+      validEntries: stats?.fresh || 0,
+      expiredEntries: stats?.stale || 0
     };
   }
 }
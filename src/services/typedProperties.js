@@ -0,0 +1,386 @@
+/**
+ * Typed Properties - structured key/value data on node prototypes and edges
+ *
+ * Prototypes and edges can carry `properties`, keyed by a property key:
+ *
+ *   { birthDate: { type: 'date', values: ['1815-12-10'] },
+ *     influencedBy: { type: 'reference', values: ['<prototypeId>'] } }
+ *
+ * Values are always a list so a property can hold several. A type prototype
+ * can declare a `propertySchema` ([{ key, label, type, multiple }]) that the
+ * things (and connections) of its type inherit, so the editor knows which
+ * properties to offer and what kind of value each takes.
+ *
+ * In the .redstring file properties are written as JSON-LD value objects with
+ * XSD datatypes (references as @id links to other prototypes), so they read as
+ * proper RDF literals.
+ */
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+export const PROPERTY_IRI_PREFIX = 'prop:';
+export const PROPERTY_VOCAB = 'https://redstring.io/vocab/property/';
+
+const isValidDate = (value) => /^-?\d{4,}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value.replace(/^-/, '')));
+const isValidDateTime = (value) => /^-?\d{4,}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/.test(value);
+const isValidUrl = (value) => /^[a-z][a-z0-9+.-]*:\S+$/i.test(value);
+
+/**
+ * The kinds of value a property can hold. `coerce` turns raw input into the
+ * stored value, or null when the input is not a valid value of that kind.
+ */
+export const PROPERTY_TYPES = {
+  string: {
+    label: 'Text',
+    xsd: 'string',
+    coerce: (raw) => (raw === null || raw === undefined || String(raw).trim() === '' ? null : String(raw))
+  },
+  number: {
+    label: 'Number',
+    xsd: 'decimal',
+    coerce: (raw) => {
+      if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+      const number = Number(raw);
+      return Number.isFinite(number) ? number : null;
+    }
+  },
+  integer: {
+    label: 'Whole number',
+    xsd: 'integer',
+    coerce: (raw) => {
+      if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+      const number = Number(raw);
+      return Number.isInteger(number) ? number : null;
+    }
+  },
+  boolean: {
+    label: 'Yes / no',
+    xsd: 'boolean',
+    coerce: (raw) => {
+      if (typeof raw === 'boolean') return raw;
+      const text = String(raw ?? '').trim().toLowerCase();
+      if (text === 'true' || text === '1' || text === 'yes') return true;
+      if (text === 'false' || text === '0' || text === 'no') return false;
+      return null;
+    }
+  },
+  date: {
+    label: 'Date',
+    xsd: 'date',
+    coerce: (raw) => {
+      const text = String(raw ?? '').trim();
+      return isValidDate(text) ? text : null;
+    }
+  },
+  dateTime: {
+    label: 'Date and time',
+    xsd: 'dateTime',
+    coerce: (raw) => {
+      const text = String(raw ?? '').trim();
+      return isValidDateTime(text) ? text : null;
+    }
+  },
+  url: {
+    label: 'Link',
+    xsd: 'anyURI',
+    coerce: (raw) => {
+      const text = String(raw ?? '').trim();
+      return isValidUrl(text) ? text : null;
+    }
+  },
+  reference: {
+    label: 'Thing',
+    xsd: null,
+    coerce: (raw) => (raw === null || raw === undefined || String(raw).trim() === '' ? null : String(raw))
+  }
+};
+
+const XSD_TO_TYPE = Object.fromEntries(
+  Object.entries(PROPERTY_TYPES)
+    .filter(([, definition]) => definition.xsd)
+    .map(([type, definition]) => [definition.xsd, type])
+);
+// Other numeric XSD types read back as the closest kind we store
+['int', 'long', 'short', 'nonNegativeInteger', 'positiveInteger', 'nonPositiveInteger', 'negativeInteger', 'gYear']
+  .forEach(xsd => { XSD_TO_TYPE[xsd] = 'integer'; });
+['double', 'float'].forEach(xsd => { XSD_TO_TYPE[xsd] = 'number'; });
+
+/**
+ * Turn a label like "Date of birth" into a property key ("dateOfBirth").
+ */
+export const normalizePropertyKey = (label) => {
+  const words = String(label || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  if (words.length === 0) return '';
+  const key = words
+    .map((word, index) => (index === 0
+      ? word.charAt(0).toLowerCase() + word.slice(1)
+      : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('');
+  return /^\d/.test(key) ? `p${key}` : key;
+};
+
+/**
+ * Turn a property key back into a readable label ("dateOfBirth" -> "Date of birth").
+ */
+export const propertyKeyToLabel = (key) => {
+  const spaced = String(key || '').replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+};
+
+/**
+ * Coerce a raw value to a property type, or null when it does not fit.
+ */
+export const coercePropertyValue = (type, raw) => (PROPERTY_TYPES[type] ? PROPERTY_TYPES[type].coerce(raw) : null);
+
+/**
+ * Guess the type of an untyped value (used for migration and pasted data).
+ */
+export const inferPropertyType = (raw) => {
+  if (typeof raw === 'boolean') return 'boolean';
+  if (typeof raw === 'number') return Number.isInteger(raw) ? 'integer' : 'number';
+  const text = String(raw ?? '').trim();
+  if (/^[+-]?\d+$/.test(text)) return 'integer';
+  if (/^[+-]?(\d+\.\d*|\.\d+)$/.test(text)) return 'number';
+  if (/^(true|false)$/i.test(text)) return 'boolean';
+  if (isValidDate(text)) return 'date';
+  if (isValidDateTime(text)) return 'dateTime';
+  if (/^https?:\/\/\S+$/i.test(text)) return 'url';
+  return 'string';
+};
+
+/**
+ * Normalise a properties object: valid keys and types, values coerced, empty properties dropped.
+ * Returns an empty object for anything unusable.
+ */
+export const normalizeProperties = (properties) => {
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) return {};
+  const normalized = {};
+  Object.entries(properties).forEach(([rawKey, entry]) => {
+    const key = rawKey.trim();
+    if (!key || !entry || typeof entry !== 'object' || !PROPERTY_TYPES[entry.type]) return;
+    const rawValues = Array.isArray(entry.values) ? entry.values : [entry.values];
+    const values = rawValues
+      .map(value => coercePropertyValue(entry.type, value))
+      .filter(value => value !== null);
+    if (values.length > 0) normalized[key] = { type: entry.type, values };
+  });
+  return normalized;
+};
+
+/**
+ * Normalise a property schema: one entry per key, with a label and a known type.
+ */
+export const normalizePropertySchema = (schema) => {
+  if (!Array.isArray(schema)) return [];
+  const seen = new Set();
+  return schema
+    .map(entry => {
+      const key = String(entry?.key || '').trim() || normalizePropertyKey(entry?.label);
+      if (!key || seen.has(key)) return null;
+      seen.add(key);
+      return {
+        key,
+        label: String(entry.label || '').trim() || propertyKeyToLabel(key),
+        type: PROPERTY_TYPES[entry.type] ? entry.type : 'string',
+        multiple: !!entry.multiple
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * The property schema that applies to a prototype, collected up its type chain
+ * (nearest type first; a nearer type's entry wins for the same key).
+ */
+export const getPropertySchema = (prototypeId, nodePrototypes) => {
+  const schema = [];
+  const seen = new Set();
+  const visited = new Set();
+  let current = nodePrototypes?.get(prototypeId)?.typeNodeId;
+  while (current && !visited.has(current)) {
+    visited.add(current);
+    const type = nodePrototypes.get(current);
+    normalizePropertySchema(type?.propertySchema).forEach(entry => {
+      if (seen.has(entry.key)) return;
+      seen.add(entry.key);
+      schema.push({ ...entry, fromTypeId: current });
+    });
+    current = type?.typeNodeId;
+  }
+  return schema;
+};
+
+/**
+ * The property schema for a connection: the schema of the prototype that names it.
+ */
+export const getEdgePropertySchema = (edge, nodePrototypes) => {
+  const typeId = edge?.definitionNodeIds?.[0] || edge?.typeNodeId;
+  const type = typeId ? nodePrototypes?.get(typeId) : null;
+  return normalizePropertySchema(type?.propertySchema).map(entry => ({ ...entry, fromTypeId: typeId }));
+};
+
+/**
+ * A value as display text; references show the referenced prototype's name.
+ */
+export const formatPropertyValue = (type, value, nodePrototypes) => {
+  if (type === 'reference') return nodePrototypes?.get(value)?.name || 'Unknown';
+  if (type === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+const toLexical = (type, value) => (type === 'boolean' ? (value ? 'true' : 'false') : String(value));
+
+/**
+ * Properties as JSON-LD: { "prop:<key>": [{ "@value", "@type": "xsd:..." } | { "@id": "prototype:<id>" }] }
+ */
+export const propertiesToJsonLd = (properties) => {
+  const jsonLd = {};
+  Object.entries(normalizeProperties(properties)).forEach(([key, { type, values }]) => {
+    jsonLd[`${PROPERTY_IRI_PREFIX}${encodeURIComponent(key)}`] = values.map(value => (type === 'reference'
+      ? { '@id': `prototype:${value}` }
+      : { '@value': toLexical(type, value), '@type': `xsd:${PROPERTY_TYPES[type].xsd}` }));
+  });
+  return jsonLd;
+};
+
+const datatypeOf = (iri) => {
+  if (!iri) return null;
+  const local = String(iri).replace(XSD, '').replace(/^xsd:/, '');
+  return XSD_TO_TYPE[local] || null;
+};
+
+const keyFromIri = (iri) => {
+  const text = String(iri);
+  const local = text.startsWith(PROPERTY_IRI_PREFIX)
+    ? text.slice(PROPERTY_IRI_PREFIX.length)
+    : text.startsWith(PROPERTY_VOCAB) ? text.slice(PROPERTY_VOCAB.length) : text;
+  try {
+    return decodeURIComponent(local);
+  } catch {
+    return local;
+  }
+};
+
+// Append a value to a property; a property keeps the type of its first value
+const addValue = (properties, key, type, value) => {
+  if (value === null || value === undefined) return;
+  if (!properties[key]) properties[key] = { type, values: [] };
+  const coerced = properties[key].type === type ? value : coercePropertyValue(properties[key].type, value);
+  if (coerced !== null) properties[key].values.push(coerced);
+};
+
+/**
+ * Read properties written by propertiesToJsonLd. Plain (untyped) values are
+ * accepted too and given an inferred type.
+ */
+export const propertiesFromJsonLd = (jsonLd) => {
+  if (!jsonLd || typeof jsonLd !== 'object' || Array.isArray(jsonLd)) return {};
+  const properties = {};
+  Object.entries(jsonLd).forEach(([iri, rawValues]) => {
+    if (iri.startsWith('@')) return;
+    const key = keyFromIri(iri);
+    const list = Array.isArray(rawValues) ? rawValues : [rawValues];
+    list.forEach(item => {
+      let type;
+      let value;
+      if (item && typeof item === 'object' && item['@id']) {
+        type = 'reference';
+        value = String(item['@id']).replace(/^prototype:/, '');
+      } else if (item && typeof item === 'object' && '@value' in item) {
+        type = datatypeOf(item['@type']) || inferPropertyType(item['@value']);
+        value = item['@value'];
+      } else if (item && typeof item === 'object' && item.type && 'values' in item) {
+        // Already in store shape (e.g. a hand-written file)
+        const entry = normalizeProperties({ [key]: item })[key];
+        if (entry) entry.values.forEach(v => addValue(properties, key, entry.type, v));
+        return;
+      } else {
+        type = inferPropertyType(item);
+        value = item;
+      }
+      addValue(properties, key, type, coercePropertyValue(type, value));
+    });
+  });
+  return properties;
+};
+
+/**
+ * Lift untyped key/value data ({ key: value | value[] }) into typed properties.
+ */
+export const inferProperties = (plain) => {
+  if (!plain || typeof plain !== 'object' || Array.isArray(plain)) return {};
+  const properties = {};
+  Object.entries(plain).forEach(([rawKey, raw]) => {
+    const key = normalizePropertyKey(rawKey);
+    if (!key) return;
+    (Array.isArray(raw) ? raw : [raw]).forEach(value => {
+      if (value === null || value === undefined || typeof value === 'object') return;
+      const type = properties[key]?.type || inferPropertyType(value);
+      addValue(properties, key, type, coercePropertyValue(type, value));
+    });
+  });
+  return properties;
+};
+
+/**
+ * The property schema as JSON-LD rdf:Property descriptions.
+ */
+export const propertySchemaToJsonLd = (schema) => normalizePropertySchema(schema).map(entry => ({
+  '@id': `${PROPERTY_IRI_PREFIX}${encodeURIComponent(entry.key)}`,
+  '@type': 'rdf:Property',
+  'rdfs:label': entry.label,
+  'rdfs:range': { '@id': entry.type === 'reference' ? 'redstring:Prototype' : `xsd:${PROPERTY_TYPES[entry.type].xsd}` },
+  'redstring:multiple': entry.multiple
+}));
+
+export const propertySchemaFromJsonLd = (jsonLd) => normalizePropertySchema((Array.isArray(jsonLd) ? jsonLd : []).map(entry => {
+  if (!entry || typeof entry !== 'object') return null;
+  if (!entry['@id']) return entry; // Store shape
+  const range = entry['rdfs:range']?.['@id'] || entry['rdfs:range'];
+  return {
+    key: keyFromIri(entry['@id']),
+    label: entry['rdfs:label'],
+    type: range === 'redstring:Prototype' ? 'reference' : (datatypeOf(range) || 'string'),
+    multiple: !!entry['redstring:multiple']
+  };
+}));
+
+// DBpedia/Wikidata predicates that describe the page rather than the thing
+const IGNORED_PREDICATES = /(wikiPage|abstract|thumbnail|depiction|comment|label|sameAs|isPrimaryTopicOf|wasDerivedFrom|#type$|\/type$)/i;
+
+/**
+ * Turn SPARQL result bindings ({ property, value, valueLabel, datatype, valueType, lang })
+ * about one entity into typed properties. Literals keep their XSD datatype; links to
+ * things already in the universe (through their external links) become references.
+ */
+export const propertiesFromSparqlBindings = (bindings, nodePrototypes = new Map(), { language = 'en' } = {}) => {
+  const byExternalLink = new Map();
+  nodePrototypes.forEach((prototype, id) => {
+    (prototype.externalLinks || []).forEach(link => {
+      if (typeof link === 'string' && !byExternalLink.has(link)) byExternalLink.set(link, id);
+    });
+  });
+
+  const properties = {};
+  (bindings || []).forEach(binding => {
+    if (!binding?.property || binding.value === undefined || binding.value === null) return;
+    if (IGNORED_PREDICATES.test(binding.property)) return;
+    if (binding.lang && binding.lang !== language) return;
+
+    const key = normalizePropertyKey(binding.propertyLabel || binding.property.split(/[/#]/).pop());
+    if (!key) return;
+
+    if (binding.valueType === 'uri') {
+      const referenceId = byExternalLink.get(binding.value);
+      if (referenceId) addValue(properties, key, 'reference', referenceId);
+      else addValue(properties, key, 'url', coercePropertyValue('url', binding.value));
+      return;
+    }
+    const type = datatypeOf(binding.datatype) || 'string';
+    addValue(properties, key, type, coercePropertyValue(type, binding.value));
+  });
+  return properties;
+};
@@ -33,6 +33,8 @@ import {
   removeFileHandleMetadata
 } from './fileHandlePersistence.js';
 import { discoverUniversesWithStats, createUniverseConfigFromDiscovered } from './universeDiscovery.js';
+import { mergeUniverses, resolveMergeConflicts, remoteChangesSince } from './universeMerge.js';
+import { SolidPodProvider, SOLID_POD_CONFLICT, isPodResourceUrl } from './solidPodProvider.js';
 
 const GF_TAG = '[GF-DEBUG]';
 const { log: __gfNativeLog, warn: __gfNativeWarn, error: __gfNativeError } = console;
@@ -51,7 +53,8 @@ const STORAGE_KEYS = {
 const SOURCE_OF_TRUTH = {
   LOCAL: 'local',
   GIT: 'git',
-  BROWSER: 'browser'
+  BROWSER: 'browser',
+  SOLID: 'solid'
 };
 
 const LOCAL_FILE_ERROR = {
@@ -75,6 +78,7 @@ class UniverseBackend {
     // File and Git engine management
     this.fileHandles = new Map(); // slug -> FileSystemFileHandle
     this.gitSyncEngines = new Map(); // slug -> GitSyncEngine
+    this.solidPodProviders = new Map(); // slug -> SolidPodProvider
 
     // Status and initialization
     this.statusHandlers = new Set();
@@ -251,6 +255,7 @@ class UniverseBackend {
       localFile: incomingLocalFile = {},
       gitRepo: incomingGitRepo = {},
       browserStorage: incomingBrowserStorage = {},
+      solidPod: incomingSolidPod = {},
       metadata: incomingMetadata = {},
       sources: incomingSources,
       created: createdAt,
@@ -312,6 +317,16 @@ class UniverseBackend {
       key: resolvedBrowserStorage.key || `universe_${slug}`
     };
 
+    const resolvedSolidPod = typeof incomingSolidPod === 'object' && incomingSolidPod !== null
+      ? incomingSolidPod
+      : {};
+
+    const normalizedSolidPod = {
+      enabled: resolvedSolidPod.enabled ?? false,
+      resourceUrl: resolvedSolidPod.resourceUrl || null,
+      lastSaved: resolvedSolidPod.lastSaved || null
+    };
+
     const resolvedMetadata = typeof incomingMetadata === 'object' && incomingMetadata !== null
       ? incomingMetadata
       : {};
@@ -347,6 +362,11 @@ class UniverseBackend {
         ...resolvedBrowserStorage,
         ...normalizedBrowserStorage
       },
+      solidPod: {
+        ...(rawBase.solidPod || {}),
+        ...resolvedSolidPod,
+        ...normalizedSolidPod
+      },
       metadata: {
         ...(rawBase.metadata || {}),
         ...resolvedMetadata,
@@ -372,6 +392,7 @@ class UniverseBackend {
       localFile: normalizedLocalFile,
       gitRepo: normalizedGitRepo,
       browserStorage: normalizedBrowserStorage,
+      solidPod: normalizedSolidPod,
       metadata: normalizedMetadata,
       sources,
       created,
@@ -1254,6 +1275,10 @@ class UniverseBackend {
       this.notifyStatus(status.type, `${universeName}: ${status.status}`);
     });
 
+    // Resume three-way merges from the commit this device last synced
+    engine.lastSyncedSha = universe.metadata?.lastSyncedCommit || null;
+    engine.onMergeEvent((event) => this.handleMergeEvent(universeSlug, event));
+
     // Register engine
     this.gitSyncEngines.set(universeSlug, engine);
 
@@ -1322,6 +1347,34 @@ class UniverseBackend {
     const linkedRepo = universe.gitRepo.linkedRepo;
     let user, repo;
 
+    // Local repositories need no authentication; the bridge daemon owns them
+    if (linkedRepo && typeof linkedRepo === 'object' && linkedRepo.type === 'local') {
+      return SemanticProviderFactory.createProvider({
+        type: 'local',
+        dir: linkedRepo.dir || linkedRepo.repo,
+        bare: !!linkedRepo.bare,
+        branch: linkedRepo.branch,
+        semanticPath: universe.gitRepo.schemaPath || 'schema'
+      });
+    }
+
+    // GitLab projects authenticate with a per-instance access token
+    if (linkedRepo && typeof linkedRepo === 'object' && linkedRepo.type === 'gitlab') {
+      const token = persistentAuth.getGitLabToken?.(linkedRepo.endpoint || 'https://gitlab.com');
+      if (!token) {
+        throw new Error(`Authentication required for Git operations: no GitLab token for ${linkedRepo.endpoint || 'https://gitlab.com'}`);
+      }
+      return SemanticProviderFactory.createProvider({
+        type: 'gitlab',
+        endpoint: linkedRepo.endpoint,
+        user: linkedRepo.user,
+        repo: linkedRepo.repo,
+        branch: linkedRepo.branch,
+        token,
+        semanticPath: universe.gitRepo.schemaPath || 'schema'
+      });
+    }
+
     if (typeof linkedRepo === 'string') {
       const parts = linkedRepo.split('/');
       user = parts[0];
@@ -1559,6 +1612,26 @@ class UniverseBackend {
     try {
       gfLog(`[UniverseBackend] Discovering universes in ${repoConfig.user}/${repoConfig.repo}...`);
 
+      if (repoConfig.type === 'gitlab') {
+        const token = repoConfig.token || persistentAuth.getGitLabToken?.(repoConfig.endpoint || 'https://gitlab.com');
+        if (!token) {
+          throw new Error('Authentication required to discover universes');
+        }
+        const provider = SemanticProviderFactory.createProvider({
+          type: 'gitlab',
+          endpoint: repoConfig.endpoint,
+          user: repoConfig.user,
+          repo: repoConfig.repo,
+          branch: repoConfig.branch,
+          token,
+          semanticPath: repoConfig.semanticPath || 'schema'
+        });
+        const { universes: discovered, stats } = await discoverUniversesWithStats(provider);
+        gfLog(`[UniverseBackend] Discovered ${discovered.length} universes in GitLab project`);
+        this.notifyStatus('info', `Discovery: ${discovered.length} found • scanned ${stats.scannedDirs} dirs • ${stats.valid} valid • ${stats.invalid} invalid`);
+        return discovered;
+      }
+
       const resolveDiscoveryAuth = async (preferredMethod = null) => {
         if (!preferredMethod || preferredMethod === 'github-app') {
           const appToken = await this.ensureGitHubAppAccessToken(preferredMethod === 'github-app');
@@ -1890,6 +1963,7 @@ class UniverseBackend {
       skipGit = false,
       skipLocal = false,
       skipBrowser = false,
+      skipSolid = false,
       suppressNotification = false
     } = options || {};
 
@@ -1897,6 +1971,7 @@ class UniverseBackend {
       skipGit,
       skipLocal,
       skipBrowser,
+      skipSolid,
       suppressNotification
     });
 
@@ -1933,6 +2008,19 @@ class UniverseBackend {
       errors.push('Git: Sync engine not ready');
     }
 
+    // Save to the Solid pod if linked; autosaves from SaveCoordinator come through here too
+    if (!skipSolid && universe.solidPod?.enabled && universe.solidPod.resourceUrl) {
+      try {
+        await this.saveToSolidPod(universe, storeState, redstringData);
+        results.push('solid');
+      } catch (error) {
+        gfError('[UniverseBackend] Solid pod save failed:', error);
+        errors.push(`Solid: ${error.message}`);
+      }
+    } else if (skipSolid && universe.solidPod?.enabled) {
+      gfLog('[UniverseBackend] Solid pod save skipped by options');
+    }
+
     // Save to browser storage if enabled (always try as fallback)
     if (!skipBrowser && (universe.browserStorage.enabled || results.length === 0)) {
       try {
@@ -2417,11 +2505,25 @@ class UniverseBackend {
     const primaryDefined = sourceOfTruth === SOURCE_OF_TRUTH.LOCAL || sourceOfTruth === SOURCE_OF_TRUTH.GIT;
 
     // If both local and Git are enabled, check for conflicts or missing primary selection
-    if (!skipConflictDetection && hasLocal && hasGit) {
+    // (a pod as source of truth outranks both, so there is nothing to choose between)
+    if (!skipConflictDetection && hasLocal && hasGit && sourceOfTruth !== SOURCE_OF_TRUTH.SOLID) {
       try {
         let conflict = await this.detectSlotConflict(universe, {
           forcePrompt: !primaryDefined
         });
+        if (conflict?.merge && !conflict.merge.hasConflicts && !conflict.requiresPrimarySelection) {
+          // Both slots changed different things since the last sync: keep both
+          const merged = conflict.merge.storeState;
+          gfLog('[UniverseBackend] Slots diverged without conflicts, using three-way merge');
+          this.gitSyncEngines.get(universe.slug)?.setSyncedCommit(conflict.merge.remoteSha);
+          await this.syncSecondaryStorage(universe, merged, {
+            source: sourceOfTruth,
+            force: true,
+            throttleMs: 0
+          });
+          this.notifyStatus('info', `Merged local and Git changes for ${universe.name || universe.slug}`);
+          return merged;
+        }
         if (conflict) {
           // Only auto-resolve when data are identical. Never auto-overwrite non-identical data.
           const canAutoResolve = primaryDefined && conflict.areIdentical === true && conflict.riskOverwriteEmptyPrimary !== true;
@@ -2483,6 +2585,18 @@ class UniverseBackend {
     }
 
     // Try primary source first
+    if (sourceOfTruth === SOURCE_OF_TRUTH.SOLID && universe.solidPod?.enabled) {
+      try {
+        const podData = await this.loadFromSolidPod(universe);
+        if (podData) return this.syncAndReturn(universe, podData, {
+          force: true,
+          source: SOURCE_OF_TRUTH.SOLID
+        });
+      } catch (error) {
+        gfWarn('[UniverseBackend] Solid pod load failed, trying fallback:', error);
+      }
+    }
+
     if (sourceOfTruth === SOURCE_OF_TRUTH.GIT && universe.gitRepo.enabled) {
       try {
         const gitData = await this.loadFromGit(universe);
@@ -2557,6 +2671,18 @@ class UniverseBackend {
       }
     }
 
+    if (sourceOfTruth !== SOURCE_OF_TRUTH.SOLID && universe.solidPod?.enabled) {
+      try {
+        const podData = await this.loadFromSolidPod(universe);
+        if (podData) return this.syncAndReturn(universe, podData, {
+          source: SOURCE_OF_TRUTH.SOLID,
+          throttleMs: 0
+        });
+      } catch (error) {
+        gfWarn('[UniverseBackend] Solid pod fallback failed:', error);
+      }
+    }
+
     // Browser storage fallback for mobile
     if (universe.browserStorage.enabled) {
       try {
@@ -2622,6 +2748,9 @@ class UniverseBackend {
       git: gitInfo
     });
 
+    // With a known merge base, merge both slots instead of making the user pick one
+    const merge = isDifferent ? await this.mergeSlots(universe, localData, gitData) : null;
+
     // Build conflict object
     let primaryData;
     if (universe.sourceOfTruth === SOURCE_OF_TRUTH.LOCAL) {
@@ -2660,16 +2789,42 @@ class UniverseBackend {
       primaryData,
       requiresPrimarySelection,
       areIdentical,
-      riskOverwriteEmptyPrimary
+      riskOverwriteEmptyPrimary,
+      merge,
+      mergeConflicts: merge?.conflicts || null
     };
   }
 
+  /**
+   * Three-way merge the local file and Git slots against the last-synced commit
+   * @returns {Promise<Object|null>} mergeUniverses result, or null without a usable base
+   */
+  async mergeSlots(universe, localData, gitData) {
+    const engine = this.gitSyncEngines.get(universe.slug);
+    const baseSha = engine?.lastSyncedSha || universe.metadata?.lastSyncedCommit;
+    if (!engine || !baseSha) return null;
+
+    try {
+      const [base, remoteSha] = await Promise.all([
+        engine.loadFromCommit(baseSha),
+        engine.getRemoteHeadSha()
+      ]);
+      if (!base) return null;
+      const result = mergeUniverses(base, localData, gitData);
+      result.remoteSha = remoteSha;
+      return result;
+    } catch (error) {
+      gfWarn('[UniverseBackend] Three-way slot merge unavailable:', error);
+      return null;
+    }
+  }
+
   requiresPrimarySelection(universe) {
     if (!universe) return false;
     const localEnabled = !!universe.localFile?.enabled;
     const gitEnabled = !!universe.gitRepo?.enabled;
     const source = universe.sourceOfTruth;
-    const hasValidSource = source === SOURCE_OF_TRUTH.LOCAL || source === SOURCE_OF_TRUTH.GIT;
+    const hasValidSource = source === SOURCE_OF_TRUTH.LOCAL || source === SOURCE_OF_TRUTH.GIT || source === SOURCE_OF_TRUTH.SOLID;
     return localEnabled && gitEnabled && !hasValidSource;
   }
 
@@ -2845,6 +3000,98 @@ class UniverseBackend {
     return chosenData;
   }
 
+  /**
+   * Bring the store up to a merge made in the background. The store kept changing while the
+   * merge waited on the network, so only the remote side is applied (edits made meanwhile win)
+   * and the undo history is kept.
+   * @param {Object} snapshot - The store state the merge started from
+   * @param {Object} mergedState - The merge result
+   */
+  applyMergedState(snapshot, mergedState) {
+    const current = this.storeOperations?.getState?.();
+    if (!snapshot || typeof current?.applyRemoteChanges !== 'function') {
+      this.storeOperations?.loadUniverseFromFile?.(mergedState);
+      return;
+    }
+    current.applyRemoteChanges(remoteChangesSince(snapshot, mergedState, current));
+  }
+
+  /**
+   * React to GitSyncEngine merges: persist the merge base, apply merged state, surface conflicts
+   */
+  handleMergeEvent(universeSlug, event) {
+    if (event.type === 'synced') {
+      const resolved = this.resolveUniverseEntry(universeSlug);
+      if (!resolved) return;
+      const { key, universe } = resolved;
+      this.universes.set(key, this.safeNormalizeUniverse({
+        ...universe,
+        metadata: { ...(universe.metadata || {}), lastSyncedCommit: event.sha }
+      }));
+      this.saveToStorage();
+      return;
+    }
+
+    if (event.type === 'merged') {
+      if (this.getActiveUniverse()?.slug === universeSlug) {
+        this.applyMergedState(event.localState, event.storeState);
+      }
+      return;
+    }
+
+    if (event.type === 'conflict') {
+      const universe = this.getUniverse(universeSlug);
+      this.pendingConflict = {
+        universeSlug,
+        universeName: universe?.name || universeSlug,
+        sourceOfTruth: universe?.sourceOfTruth,
+        merge: event.result,
+        mergeConflicts: event.result.conflicts
+      };
+      if (typeof window !== 'undefined') {
+        window.dispatchEvent(new CustomEvent('redstring:slot-conflict', {
+          detail: this.pendingConflict
+        }));
+      }
+    }
+  }
+
+  /**
+   * Finish a three-way merge with the user's per-field choices and save the result
+   * @param {string} universeSlug
+   * @param {Object} choices - conflict id → 'local' | 'remote'
+   */
+  async resolveMergeConflict(universeSlug, choices = {}) {
+    const conflict = this.pendingConflict;
+    if (!conflict?.merge || conflict.universeSlug !== universeSlug) {
+      throw new Error('No pending merge for this universe');
+    }
+
+    const engine = this.gitSyncEngines.get(universeSlug);
+    const podProvider = this.solidPodProviders.get(universeSlug);
+    let storeState;
+    if (conflict.source === SOURCE_OF_TRUTH.SOLID && podProvider?.pendingMerge === conflict.merge) {
+      storeState = podProvider.resolvePendingMerge(choices);
+    } else if (engine?.pendingMerge === conflict.merge) {
+      storeState = engine.resolvePendingMerge(choices);
+    } else {
+      storeState = resolveMergeConflicts(conflict.merge, choices);
+      // The result already contains the Git side, so it is the base for later merges
+      engine?.setSyncedCommit(conflict.merge.remoteSha);
+    }
+
+    this.pendingConflict = null;
+    this.pendingPrimarySelection.delete(universeSlug);
+
+    if (this.getActiveUniverse()?.slug === universeSlug) {
+      this.storeOperations?.loadUniverseFromFile?.(storeState);
+    }
+    await this.forceSave(universeSlug, storeState);
+
+    this.notifyStatus('success', `Merged ${conflict.merge.conflicts.length} conflict${conflict.merge.conflicts.length === 1 ? '' : 's'}`);
+    return storeState;
+  }
+
   /**
    * Load from Git repository
    */
@@ -3100,6 +3347,188 @@ class UniverseBackend {
     }
   }
 
+  /**
+   * Fetch for pod requests: authenticated when logged in to Solid, plain otherwise (public or local pods)
+   */
+  async getSolidPodFetch() {
+    try {
+      const { solidAuth } = await import('./solidAuth.js');
+      if (solidAuth.isLoggedIn()) {
+        return solidAuth.getAuthenticatedFetch();
+      }
+    } catch (error) {
+      gfWarn('[UniverseBackend] Solid authentication unavailable, using unauthenticated fetch:', error);
+    }
+    return globalThis.fetch.bind(globalThis);
+  }
+
+  /**
+   * Get (or create) the pod provider for a universe, keeping its ETag between saves
+   */
+  async ensureSolidPodProvider(universe) {
+    const resourceUrl = universe.solidPod?.resourceUrl;
+    if (!universe.solidPod?.enabled || !resourceUrl) {
+      throw new Error(`No Solid pod linked to ${universe.name || universe.slug}`);
+    }
+
+    const existing = this.solidPodProviders.get(universe.slug);
+    if (existing?.resourceUrl === resourceUrl) {
+      return existing;
+    }
+
+    const provider = new SolidPodProvider({
+      resourceUrl,
+      // Resolved per request, so logging in to Solid later takes effect
+      fetch: async (...args) => (await this.getSolidPodFetch())(...args)
+    });
+    this.solidPodProviders.set(universe.slug, provider);
+    return provider;
+  }
+
+  /**
+   * Save to the linked Solid pod. Concurrent edits on the pod are merged in;
+   * conflicting ones are surfaced like Git merge conflicts.
+   */
+  async saveToSolidPod(universe, storeState, redstringData = exportToRedstring(storeState)) {
+    const provider = await this.ensureSolidPodProvider(universe);
+    const outcome = await provider.sync(storeState, redstringData);
+
+    if (outcome.status === 'conflict') {
+      this.pendingConflict = {
+        universeSlug: universe.slug,
+        universeName: universe.name || universe.slug,
+        sourceOfTruth: universe.sourceOfTruth,
+        source: SOURCE_OF_TRUTH.SOLID,
+        merge: outcome.result,
+        mergeConflicts: outcome.result.conflicts
+      };
+      if (typeof window !== 'undefined') {
+        window.dispatchEvent(new CustomEvent('redstring:slot-conflict', {
+          detail: this.pendingConflict
+        }));
+      }
+      const error = new Error(`${outcome.result.conflicts.length} conflicting change${outcome.result.conflicts.length === 1 ? '' : 's'} on the Solid pod - resolve to continue syncing`);
+      error.code = SOLID_POD_CONFLICT;
+      throw error;
+    }
+
+    if (outcome.status === 'merged') {
+      gfLog('[UniverseBackend] Merged concurrent Solid pod changes');
+      if (this.getActiveUniverse()?.slug === universe.slug) {
+        this.applyMergedState(storeState, outcome.storeState);
+      }
+      this.notifyStatus('info', `Merged changes from the Solid pod into ${universe.name || universe.slug}`);
+    }
+
+    const resolved = this.resolveUniverseEntry(universe.slug);
+    if (resolved) {
+      this.universes.set(resolved.key, this.safeNormalizeUniverse({
+        ...resolved.universe,
+        solidPod: { ...resolved.universe.solidPod, lastSaved: new Date().toISOString() }
+      }));
+      this.saveToStorage();
+    }
+    return outcome;
+  }
+
+  /**
+   * Load from the linked Solid pod
+   */
+  async loadFromSolidPod(universe) {
+    const provider = await this.ensureSolidPodProvider(universe);
+    const data = await provider.load();
+    if (!data) return null;
+
+    const { storeState } = importFromRedstring(data);
+    return storeState;
+  }
+
+  /**
+   * Link a universe to a resource in a Solid pod.
+   * An existing universe at that location is loaded when the pod becomes the
+   * source of truth; otherwise the current state is written there.
+   * @param {string} universeSlug
+   * @param {Object} options
+   * @param {string} options.resourceUrl - URL of the .redstring resource in the pod
+   * @param {boolean} [options.makePrimary=true] - Use the pod as source of truth
+   */
+  async linkSolidPod(universeSlug, { resourceUrl, makePrimary = true } = {}) {
+    await this.initialize();
+
+    const universe = this.getUniverse(universeSlug);
+    if (!universe) {
+      throw new Error(`Universe ${universeSlug} not found`);
+    }
+    if (!isPodResourceUrl(resourceUrl)) {
+      throw new Error('Enter the full URL of a .redstring resource in your pod');
+    }
+
+    this.solidPodProviders.delete(universeSlug);
+    await this.updateUniverse(universeSlug, {
+      solidPod: { ...universe.solidPod, enabled: true, resourceUrl },
+      ...(makePrimary ? { sourceOfTruth: SOURCE_OF_TRUTH.SOLID } : {})
+    });
+
+    const linked = this.getUniverse(universeSlug);
+    const provider = await this.ensureSolidPodProvider(linked);
+    // Autosaves reach the pod through SaveCoordinator -> saveActiveUniverse
+    await this.ensureSaveCoordinator();
+    const existing = await provider.load();
+    const isActive = this.getActiveUniverse()?.slug === universeSlug;
+
+    if (existing && makePrimary) {
+      if (isActive) {
+        this.storeOperations?.loadUniverseFromFile?.(importFromRedstring(existing).storeState);
+      }
+      this.notifyStatus('success', `Loaded ${linked.name || universeSlug} from the Solid pod`);
+      return { success: true, created: false };
+    }
+
+    if (isActive) {
+      const storeState = this.storeOperations?.getState?.();
+      if (storeState) {
+        await this.saveToSolidPod(linked, storeState);
+      }
+    }
+    this.notifyStatus('success', `Linked ${linked.name || universeSlug} to the Solid pod`);
+    return { success: true, created: !existing };
+  }
+
+  /**
+   * Stop storing a universe in its Solid pod (the pod copy is left in place)
+   */
+  async unlinkSolidPod(universeSlug) {
+    await this.initialize();
+
+    const universe = this.getUniverse(universeSlug);
+    if (!universe) {
+      throw new Error(`Universe ${universeSlug} not found`);
+    }
+
+    this.solidPodProviders.delete(universeSlug);
+    const updates = { solidPod: { ...universe.solidPod, enabled: false } };
+    if (universe.sourceOfTruth === SOURCE_OF_TRUTH.SOLID) {
+      if (universe.localFile?.enabled) {
+        updates.sourceOfTruth = SOURCE_OF_TRUTH.LOCAL;
+      } else if (universe.gitRepo?.enabled && universe.gitRepo?.linkedRepo) {
+        updates.sourceOfTruth = SOURCE_OF_TRUTH.GIT;
+      } else {
+        updates.sourceOfTruth = SOURCE_OF_TRUTH.BROWSER;
+      }
+    }
+
+    await this.updateUniverse(universeSlug, updates);
+    this.notifyStatus('info', `Unlinked Solid pod from ${universe.name || universeSlug}`);
+    return { success: true };
+  }
+
+  /**
+   * List .redstring resources in a pod container, for picking an existing universe
+   */
+  async listSolidPodUniverses(containerUrl) {
+    return SolidPodProvider.listUniverses(containerUrl, await this.getSolidPodFetch());
+  }
+
   /**
    * Create new universe
    */
@@ -3429,11 +3858,12 @@ class UniverseBackend {
         gfLog('[UniverseBackend] Skipping Git save (skipGit flag set)');
       }
 
-      // Always save to browser storage as backup/cache (skip local/git to avoid duplicate writes)
+      // Always save to browser storage as backup/cache, and to a linked Solid pod (skip local/git to avoid duplicate writes)
       gfLog(`[UniverseBackend] Saving to browser storage`);
       try {
-        await this.saveActiveUniverse(storeState, { skipLocal: true, skipGit: true });
+        const savedSlots = await this.saveActiveUniverse(storeState, { skipLocal: true, skipGit: true });
         results.browser = { success: true };
+        if (savedSlots?.includes('solid')) results.solid = { success: true };
         hasAnySuccess = true;
         gfLog(`[UniverseBackend] ✓ Browser storage saved`);
       } catch (error) {
@@ -3445,6 +3875,7 @@ class UniverseBackend {
       const savedTo = [];
       if (results.localFile?.success) savedTo.push(`local file (${results.localFile.fileName})`);
       if (results.git?.success) savedTo.push('Git repository');
+      if (results.solid?.success) savedTo.push('Solid pod');
       if (results.browser?.success && savedTo.length === 0) savedTo.push('browser storage');
 
       if (hasAnySuccess) {
@@ -3615,6 +4046,56 @@ class UniverseBackend {
     }
   }
 
+  /**
+   * List Git commits of a universe file, newest first
+   */
+  async listUniverseHistory(universeSlug, options = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+    const engine = await this.ensureGitSyncEngine(universeSlug);
+    return engine.listHistory(options);
+  }
+
+  /**
+   * Read a universe as it was at a Git commit (parsed RedString data, not loaded into the store)
+   */
+  async loadUniverseAtCommit(universeSlug, sha) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+    const engine = await this.ensureGitSyncEngine(universeSlug);
+    return engine.loadFromCommit(sha);
+  }
+
+  /**
+   * Restore a prior version: load it into the store and save it through the normal save path,
+   * which commits it as a new version on top of the history
+   */
+  async restoreUniverseVersion(universeSlug, sha) {
+    const universe = this.getUniverse(universeSlug);
+    if (!universe) {
+      throw new Error(`Universe ${universeSlug} not found`);
+    }
+    if (this.getActiveUniverse()?.slug !== universeSlug) {
+      throw new Error('Switch to the universe before restoring one of its versions');
+    }
+
+    const redstringData = await this.loadUniverseAtCommit(universeSlug, sha);
+    if (!redstringData) {
+      throw new Error(`Version ${sha.slice(0, 7)} has no universe data`);
+    }
+    const { storeState, errors } = importFromRedstring(redstringData);
+    if (errors?.length) {
+      gfWarn('[UniverseBackend] Restored version imported with errors:', errors);
+    }
+
+    this.storeOperations?.loadUniverseFromFile?.(storeState);
+    await this.forceSave(universeSlug, storeState);
+    this.notifyStatus('success', `Restored version ${sha.slice(0, 7)}`);
+    return { success: true, sha };
+  }
+
   /**
    * Upload/Import universe from local .redstring file
    */
@@ -3936,6 +4417,8 @@ class UniverseBackend {
     if (universe.sourceOfTruth === SOURCE_OF_TRUTH.LOCAL) {
       if (universe.gitRepo?.enabled && universe.gitRepo?.linkedRepo) {
         updates.sourceOfTruth = SOURCE_OF_TRUTH.GIT;
+      } else if (universe.solidPod?.enabled && universe.solidPod?.resourceUrl) {
+        updates.sourceOfTruth = SOURCE_OF_TRUTH.SOLID;
       } else {
         updates.sourceOfTruth = SOURCE_OF_TRUTH.BROWSER;
       }
@@ -4023,7 +4506,7 @@ class UniverseBackend {
   }
 
   /**
-   * Set the source of truth for a universe (git or local)
+   * Set the source of truth for a universe (git, local or solid)
    */
   async setSourceOfTruth(universeSlug, sourceType) {
     await this.initialize();
@@ -4046,8 +4529,12 @@ class UniverseBackend {
     });
 
     // Validate source type
-    if (sourceType !== 'git' && sourceType !== 'local') {
-      throw new Error('Source type must be "git" or "local"');
+    if (sourceType !== 'git' && sourceType !== 'local' && sourceType !== SOURCE_OF_TRUTH.SOLID) {
+      throw new Error('Source type must be "git", "local" or "solid"');
+    }
+
+    if (sourceType === SOURCE_OF_TRUTH.SOLID && !(universe.solidPod?.enabled && universe.solidPod?.resourceUrl)) {
+      throw new Error('Cannot set the Solid pod as source of truth - no pod resource linked');
     }
 
     // Check if the requested source is available - check both universe and universe.raw
@@ -4076,7 +4563,8 @@ class UniverseBackend {
       timestamp: new Date().toISOString()
     });
 
-    this.notifyStatus('success', `Set ${sourceType === 'git' ? 'repository' : 'local file'} as primary source for ${universe.name || universeSlug}`);
+    const sourceLabel = { git: 'repository', local: 'local file', solid: 'Solid pod' }[sourceType];
+    this.notifyStatus('success', `Set ${sourceLabel} as primary source for ${universe.name || universeSlug}`);
 
     if (sourceType === 'local' && !localConfig.hadFileHandle) {
       this.notifyStatus('warning', 'Local file is primary but no persistent file handle is linked. Use "Pick File" to enable auto-save.');
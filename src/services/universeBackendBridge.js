@@ -287,6 +287,34 @@ class UniverseBackendBridge {
   reloadUniverse(universeSlug) {
     return this.sendCommand('reloadUniverse', { universeSlug });
   }
+
+  listUniverseHistory(universeSlug, options) {
+    return this.sendCommand('listUniverseHistory', { universeSlug, options });
+  }
+
+  loadUniverseAtCommit(universeSlug, sha) {
+    return this.sendCommand('loadUniverseAtCommit', { universeSlug, sha });
+  }
+
+  restoreUniverseVersion(universeSlug, sha) {
+    return this.sendCommand('restoreUniverseVersion', { universeSlug, sha });
+  }
+
+  setSourceOfTruth(universeSlug, sourceType) {
+    return this.sendCommand('setSourceOfTruth', { universeSlug, sourceType });
+  }
+
+  linkSolidPod(universeSlug, options) {
+    return this.sendCommand('linkSolidPod', { universeSlug, options });
+  }
+
+  unlinkSolidPod(universeSlug) {
+    return this.sendCommand('unlinkSolidPod', { universeSlug });
+  }
+
+  listSolidPodUniverses(containerUrl) {
+    return this.sendCommand('listSolidPodUniverses', { containerUrl });
+  }
 }
 
 const bridgeInstance = new UniverseBackendBridge();
@@ -313,7 +341,14 @@ const universeBackendBridge = {
   requestLocalFilePermission: (universeSlug) => bridgeInstance.requestLocalFilePermission(universeSlug),
   removeLocalFileLink: (universeSlug) => bridgeInstance.removeLocalFileLink(universeSlug),
   uploadLocalFile: (file, targetUniverseSlug) => bridgeInstance.uploadLocalFile(file, targetUniverseSlug),
-  reloadUniverse: (universeSlug) => bridgeInstance.reloadUniverse(universeSlug)
+  reloadUniverse: (universeSlug) => bridgeInstance.reloadUniverse(universeSlug),
+  listUniverseHistory: (universeSlug, options) => bridgeInstance.listUniverseHistory(universeSlug, options),
+  loadUniverseAtCommit: (universeSlug, sha) => bridgeInstance.loadUniverseAtCommit(universeSlug, sha),
+  restoreUniverseVersion: (universeSlug, sha) => bridgeInstance.restoreUniverseVersion(universeSlug, sha),
+  setSourceOfTruth: (universeSlug, sourceType) => bridgeInstance.setSourceOfTruth(universeSlug, sourceType),
+  linkSolidPod: (universeSlug, options) => bridgeInstance.linkSolidPod(universeSlug, options),
+  unlinkSolidPod: (universeSlug) => bridgeInstance.unlinkSolidPod(universeSlug),
+  listSolidPodUniverses: (containerUrl) => bridgeInstance.listSolidPodUniverses(containerUrl)
 };
 
 export default universeBackendBridge;
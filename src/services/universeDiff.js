@@ -0,0 +1,155 @@
+/**
+ * Universe Diff - semantic comparison of two universe versions
+ *
+ * Works on parsed .redstring files (or already-imported store states), so the
+ * result talks about prototypes, instances and edges rather than JSON lines:
+ * what was added, removed or renamed, which instances moved, which edges changed.
+ */
+
+import { importFromRedstring } from '../formats/redstringFormat.js';
+
+// Positions closer than this are treated as unchanged (float noise from drags/serialization)
+const MOVE_TOLERANCE = 0.5;
+
+const toStoreState = (data) => {
+  if (!data) {
+    return { graphs: new Map(), nodePrototypes: new Map(), edges: new Map() };
+  }
+  if (data.graphs instanceof Map) return data;
+  const { storeState } = importFromRedstring(data);
+  return storeState;
+};
+
+const prototypeName = (state, id) => state.nodePrototypes.get(id)?.name || id;
+
+// Where every edge lives and what its endpoints are called
+const describeEdges = (state) => {
+  const described = new Map();
+  state.graphs.forEach(graph => {
+    (graph.edgeIds || []).forEach(edgeId => {
+      const edge = state.edges.get(edgeId);
+      if (!edge) return;
+      const endpointName = (instanceId) => {
+        const instance = graph.instances?.get(instanceId);
+        return instance ? prototypeName(state, instance.prototypeId) : instanceId;
+      };
+      described.set(edgeId, {
+        edge,
+        graphId: graph.id,
+        label: `${endpointName(edge.sourceId)} → ${endpointName(edge.destinationId)}`
+      });
+    });
+  });
+  return described;
+};
+
+const arrowsKey = (edge) => {
+  const arrows = edge.directionality?.arrowsToward;
+  const list = arrows instanceof Set ? Array.from(arrows) : (Array.isArray(arrows) ? arrows : []);
+  return list.slice().sort().join(',');
+};
+
+const EDGE_FIELDS = [
+  ['name', edge => edge.name || ''],
+  ['description', edge => edge.description || ''],
+  ['type', edge => edge.typeNodeId || ''],
+  ['source', edge => edge.sourceId],
+  ['destination', edge => edge.destinationId],
+  ['direction', arrowsKey]
+];
+
+/**
+ * Compare two universe versions.
+ * @param {Object} before - Parsed .redstring data or store state (older version)
+ * @param {Object} after - Parsed .redstring data or store state (newer version)
+ * @returns {Object} { prototypes: { added, removed, renamed }, instances: { added, removed, moved },
+ *   edges: { added, removed, changed }, isEmpty }
+ */
+export const diffUniverses = (before, after) => {
+  const a = toStoreState(before);
+  const b = toStoreState(after);
+
+  const prototypes = { added: [], removed: [], renamed: [] };
+  b.nodePrototypes.forEach((proto, id) => {
+    const old = a.nodePrototypes.get(id);
+    if (!old) {
+      prototypes.added.push({ id, name: proto.name });
+    } else if ((old.name || '') !== (proto.name || '')) {
+      prototypes.renamed.push({ id, from: old.name, to: proto.name });
+    }
+  });
+  a.nodePrototypes.forEach((proto, id) => {
+    if (!b.nodePrototypes.has(id)) prototypes.removed.push({ id, name: proto.name });
+  });
+
+  const instances = { added: [], removed: [], moved: [] };
+  const describeInstance = (state, graph, instance) => ({
+    graphId: graph.id,
+    graphName: graph.name,
+    instanceId: instance.id,
+    prototypeId: instance.prototypeId,
+    name: prototypeName(state, instance.prototypeId)
+  });
+  b.graphs.forEach((graph, graphId) => {
+    const oldInstances = a.graphs.get(graphId)?.instances || new Map();
+    (graph.instances || new Map()).forEach((instance, instanceId) => {
+      const old = oldInstances.get(instanceId);
+      if (!old) {
+        instances.added.push(describeInstance(b, graph, instance));
+      } else if (Math.abs((old.x || 0) - (instance.x || 0)) > MOVE_TOLERANCE || Math.abs((old.y || 0) - (instance.y || 0)) > MOVE_TOLERANCE) {
+        instances.moved.push({
+          ...describeInstance(b, graph, instance),
+          from: { x: old.x, y: old.y },
+          to: { x: instance.x, y: instance.y }
+        });
+      }
+    });
+  });
+  a.graphs.forEach((graph, graphId) => {
+    const newInstances = b.graphs.get(graphId)?.instances || new Map();
+    (graph.instances || new Map()).forEach((instance, instanceId) => {
+      if (!newInstances.has(instanceId)) instances.removed.push(describeInstance(a, graph, instance));
+    });
+  });
+
+  const edges = { added: [], removed: [], changed: [] };
+  const oldEdges = describeEdges(a);
+  const newEdges = describeEdges(b);
+  newEdges.forEach(({ edge, graphId, label }, id) => {
+    const old = oldEdges.get(id);
+    if (!old) {
+      edges.added.push({ id, graphId, label, name: edge.name || '' });
+      return;
+    }
+    const fields = EDGE_FIELDS
+      .filter(([, read]) => read(old.edge) !== read(edge))
+      .map(([field]) => field);
+    if (old.graphId !== graphId) fields.push('graph');
+    if (fields.length > 0) edges.changed.push({ id, graphId, label, fields });
+  });
+  oldEdges.forEach(({ edge, graphId, label }, id) => {
+    if (!newEdges.has(id)) edges.removed.push({ id, graphId, label, name: edge.name || '' });
+  });
+
+  const isEmpty = [prototypes, instances, edges].every(group => Object.values(group).every(list => list.length === 0));
+  return { prototypes, instances, edges, isEmpty };
+};
+
+/**
+ * One-line summary of a diff, e.g. "+2 prototypes, 1 renamed, 3 moved".
+ */
+export const summarizeUniverseDiff = (diff) => {
+  if (!diff || diff.isEmpty) return 'No changes';
+  const parts = [];
+  const push = (count, label) => { if (count > 0) parts.push(`${count} ${label}`); };
+  push(diff.prototypes.added.length, 'prototypes added');
+  push(diff.prototypes.removed.length, 'prototypes removed');
+  push(diff.prototypes.renamed.length, 'renamed');
+  push(diff.instances.added.length, 'instances added');
+  push(diff.instances.removed.length, 'instances removed');
+  push(diff.instances.moved.length, 'moved');
+  push(diff.edges.added.length, 'edges added');
+  push(diff.edges.removed.length, 'edges removed');
+  push(diff.edges.changed.length, 'edges changed');
+  return parts.join(', ');
+};
@@ -349,7 +349,8 @@ export const createUniverseConfigFromDiscovered = (discoveredUniverse, repoConfi
         type: repoConfig.type,
         user: repoConfig.user,
         repo: repoConfig.repo,
-        authMethod: repoConfig.authMethod
+        authMethod: repoConfig.authMethod,
+        ...(repoConfig.endpoint ? { endpoint: repoConfig.endpoint } : {})
       },
       // Keep semantic schema at default; universes live outside schema
       schemaPath: 'schema',
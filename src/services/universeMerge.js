@@ -0,0 +1,305 @@
+/**
+ * Universe Merge - three-way semantic merge of universe versions
+ *
+ * Merges two descendants of a common base (the last-synced commit) entity by
+ * entity, keyed on graph, prototype, instance and edge IDs. Changes to
+ * different entities or different fields merge on their own; only a field both
+ * sides changed differently becomes a conflict for the user to decide.
+ */
+
+import { exportToRedstring, importFromRedstring } from '../formats/redstringFormat.js';
+
+// Per-view state: never worth a conflict, the local value wins
+const VIEW_FIELDS = new Set(['panOffset', 'zoomLevel']);
+
+// Fields that change together and conflict as one (an instance moved on both sides is one conflict)
+const FIELD_GROUPS = {
+  position: ['x', 'y']
+};
+
+const emptyState = () => ({ graphs: new Map(), nodePrototypes: new Map(), edges: new Map() });
+
+// Pass every side through the same export/import so representation noise
+// (defaults, key order, Sets vs arrays) never reads as a change
+const normalize = (data) => {
+  if (!data) return emptyState();
+  const redstring = data.graphs instanceof Map ? exportToRedstring(data) : data;
+  return importFromRedstring(redstring).storeState;
+};
+
+const canonical = (value) => JSON.stringify(value === undefined ? null : value, (key, v) => {
+  if (v instanceof Map) return Array.from(v.entries()).sort(([a], [b]) => String(a).localeCompare(String(b)));
+  if (v instanceof Set) return Array.from(v).map(item => canonical(item)).sort();
+  if (v && typeof v === 'object' && !Array.isArray(v)) {
+    return Object.keys(v).sort().reduce((acc, k) => {
+      acc[k] = v[k];
+      return acc;
+    }, {});
+  }
+  return v;
+});
+
+const same = (a, b) => canonical(a) === canonical(b);
+
+// Lists merge as sets: keep local order, drop what either side removed, append what remote added
+const mergeList = (base = [], local = [], remote = []) => {
+  const keyed = (list) => new Map(list.map(item => [canonical(item), item]));
+  const b = keyed(base);
+  const l = keyed(local);
+  const r = keyed(remote);
+  const merged = [];
+  l.forEach((item, key) => {
+    if (b.has(key) && !r.has(key)) return; // removed remotely
+    merged.push(item);
+  });
+  r.forEach((item, key) => {
+    if (!l.has(key) && !b.has(key)) merged.push(item); // added remotely
+  });
+  return merged;
+};
+
+const cloneValue = (value) => {
+  if (value instanceof Map) return new Map(Array.from(value.entries()).map(([k, v]) => [k, cloneValue(v)]));
+  if (value instanceof Set) return new Set(value);
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((acc, k) => {
+      acc[k] = cloneValue(value[k]);
+      return acc;
+    }, {});
+  }
+  return value;
+};
+
+const conflictId = ({ kind, graphId, entityId, field }) => [kind, graphId, entityId, field].filter(Boolean).join(':');
+
+/**
+ * Merge the fields of one entity present on all three sides.
+ * Conflicting fields take the local value until resolved.
+ */
+const mergeFields = (base, local, remote, { skip = [], onConflict }) => {
+  const merged = {};
+  const pick = (field, b, l, r) => {
+    if (same(l, r) || same(b, r) || VIEW_FIELDS.has(field)) return l;
+    if (same(b, l)) return r;
+    if (Array.isArray(l) && Array.isArray(r)) return mergeList(Array.isArray(b) ? b : [], l, r);
+    onConflict(field, b, l, r);
+    return l;
+  };
+
+  const grouped = new Set();
+  Object.entries(FIELD_GROUPS).forEach(([group, members]) => {
+    if (!members.some(field => field in local || field in remote)) return;
+    const slice = (entity) => members.reduce((acc, field) => {
+      if (entity[field] !== undefined) acc[field] = entity[field];
+      return acc;
+    }, {});
+    Object.assign(merged, cloneValue(pick(group, slice(base), slice(local), slice(remote))));
+    members.forEach(field => grouped.add(field));
+  });
+
+  const fields = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)]);
+  fields.forEach(field => {
+    if (skip.includes(field) || grouped.has(field)) return;
+    const value = pick(field, base[field], local[field], remote[field]);
+    if (value !== undefined) merged[field] = cloneValue(value);
+  });
+  return merged;
+};
+
+/**
+ * Merge one keyed collection (prototypes, edges, or a graph's instances).
+ * Deleting an entity the other side edited is a conflict on the whole entity ('*').
+ */
+const mergeCollection = (baseMap, localMap, remoteMap, { kind, graphId, skip, describe, conflicts, mergeEntity }) => {
+  const merged = new Map();
+  const ids = new Set([...localMap.keys(), ...remoteMap.keys(), ...baseMap.keys()]);
+  ids.forEach(id => {
+    const b = baseMap.get(id);
+    const l = localMap.get(id);
+    const r = remoteMap.get(id);
+    const record = (field, base, local, remote) => conflicts.push({
+      kind,
+      graphId,
+      entityId: id,
+      field,
+      label: describe(l || r || b),
+      base: cloneValue(base),
+      local: cloneValue(local),
+      remote: cloneValue(remote)
+    });
+
+    if (!l && !r) return;
+    if (l && r) {
+      const entity = mergeFields(b || {}, l, r, { skip, onConflict: record });
+      merged.set(id, mergeEntity ? mergeEntity(entity, b, l, r) : entity);
+      return;
+    }
+    const survivor = l || r;
+    if (!b) {
+      merged.set(id, cloneValue(survivor)); // added on one side
+      return;
+    }
+    if (same(b, survivor)) return; // deleted on one side, untouched on the other
+    // Deleted on one side, edited on the other: keep local's choice until resolved
+    record('*', b, l || null, r || null);
+    if (l) merged.set(id, cloneValue(l));
+  });
+  return merged;
+};
+
+// Drop edges whose endpoints no longer exist and edge ids pointing at nothing
+const pruneDangling = (state) => {
+  const instanceIds = new Set();
+  state.graphs.forEach(graph => graph.instances?.forEach((_, id) => instanceIds.add(id)));
+  state.edges.forEach((edge, id) => {
+    if (!instanceIds.has(edge.sourceId) || !instanceIds.has(edge.destinationId)) state.edges.delete(id);
+  });
+  state.graphs.forEach(graph => {
+    graph.edgeIds = (graph.edgeIds || []).filter(id => state.edges.has(id));
+  });
+};
+
+/**
+ * Three-way merge of universe versions.
+ * @param {Object|null} base - Common ancestor (parsed .redstring data or store state)
+ * @param {Object} local - Our version
+ * @param {Object} remote - Their version
+ * @returns {Object} { storeState, conflicts, hasConflicts } - storeState holds local values for
+ *   conflicting fields; pass it to resolveMergeConflicts with the user's choices
+ */
+export const mergeUniverses = (base, local, remote) => {
+  const b = normalize(base);
+  const l = normalize(local);
+  const r = normalize(remote);
+  const conflicts = [];
+
+  const nodePrototypes = mergeCollection(b.nodePrototypes, l.nodePrototypes, r.nodePrototypes, {
+    kind: 'prototype',
+    describe: proto => `Prototype "${proto.name || proto.id}"`,
+    conflicts
+  });
+
+  const nameOf = (prototypeId) => (
+    nodePrototypes.get(prototypeId) || l.nodePrototypes.get(prototypeId) || r.nodePrototypes.get(prototypeId)
+  )?.name || prototypeId;
+
+  const graphs = mergeCollection(b.graphs, l.graphs, r.graphs, {
+    kind: 'graph',
+    skip: ['instances'],
+    describe: graph => `Graph "${graph.name || graph.id}"`,
+    conflicts,
+    mergeEntity: (graph, baseGraph, localGraph, remoteGraph) => ({
+      ...graph,
+      instances: mergeCollection(
+        baseGraph?.instances || new Map(),
+        localGraph.instances || new Map(),
+        remoteGraph.instances || new Map(),
+        {
+          kind: 'instance',
+          graphId: localGraph.id,
+          describe: instance => `"${nameOf(instance.prototypeId)}" in ${localGraph.name || localGraph.id}`,
+          conflicts
+        }
+      )
+    })
+  });
+
+  const instanceName = (instanceId) => {
+    for (const state of [l, r, b]) {
+      for (const graph of state.graphs.values()) {
+        const instance = graph.instances?.get(instanceId);
+        if (instance) return nameOf(instance.prototypeId);
+      }
+    }
+    return instanceId;
+  };
+
+  const edges = mergeCollection(b.edges, l.edges, r.edges, {
+    kind: 'edge',
+    describe: edge => `Edge ${instanceName(edge.sourceId)} → ${instanceName(edge.destinationId)}`,
+    conflicts
+  });
+
+  const storeState = { ...l, graphs, nodePrototypes, edges };
+  // With conflicts pending, a resolution may bring back an instance whose
+  // edges we would otherwise drop now; resolveMergeConflicts prunes instead
+  if (conflicts.length === 0) pruneDangling(storeState);
+
+  conflicts.forEach(conflict => { conflict.id = conflictId(conflict); });
+  return { storeState, conflicts, hasConflicts: conflicts.length > 0 };
+};
+
+/**
+ * Apply the user's per-conflict choices to a merge result.
+ * @param {Object} result - Output of mergeUniverses
+ * @param {Object} choices - conflict id → 'local' | 'remote' (unlisted conflicts keep local)
+ * @returns {Object} Resolved store state
+ */
+export const resolveMergeConflicts = (result, choices = {}) => {
+  const state = {
+    ...result.storeState,
+    graphs: cloneValue(result.storeState.graphs),
+    nodePrototypes: cloneValue(result.storeState.nodePrototypes),
+    edges: cloneValue(result.storeState.edges)
+  };
+
+  result.conflicts.forEach(conflict => {
+    if (choices[conflict.id] !== 'remote') return;
+    const collection = conflict.kind === 'prototype' ? state.nodePrototypes
+      : conflict.kind === 'edge' ? state.edges
+        : conflict.kind === 'graph' ? state.graphs
+          : state.graphs.get(conflict.graphId)?.instances;
+    if (!collection) return;
+
+    if (conflict.field === '*') {
+      if (conflict.remote) {
+        const restored = cloneValue(conflict.remote);
+        // A restored graph keeps whatever instances survived the merge
+        if (conflict.kind === 'graph' && !(restored.instances instanceof Map)) restored.instances = new Map();
+        collection.set(conflict.entityId, restored);
+      } else {
+        collection.delete(conflict.entityId);
+      }
+      return;
+    }
+
+    const entity = collection.get(conflict.entityId);
+    if (!entity) return;
+    const value = cloneValue(conflict.remote);
+    if (FIELD_GROUPS[conflict.field]) {
+      FIELD_GROUPS[conflict.field].forEach(field => { delete entity[field]; });
+      Object.assign(entity, value);
+    } else if (value === undefined) {
+      delete entity[conflict.field];
+    } else {
+      entity[conflict.field] = value;
+    }
+  });
+
+  pruneDangling(state);
+  return state;
+};
+
+/**
+ * Work out what a store has to change to take in a merge that was computed from
+ * an earlier snapshot of it. Edits made to the store since the snapshot win over
+ * the merge, so applying the result never undoes them.
+ * @param {Object} snapshot - The local state the merge started from
+ * @param {Object} merged - The merge result (the snapshot plus the remote changes)
+ * @param {Object} current - The store state now
+ * @returns {Object} For graphs, nodePrototypes and edges: { set: Map(id → entity), deleted: [id] }
+ */
+export const remoteChangesSince = (snapshot, merged, current) => {
+  const now = normalize(current);
+  const target = resolveMergeConflicts(mergeUniverses(snapshot, now, merged));
+  return ['graphs', 'nodePrototypes', 'edges'].reduce((changes, key) => {
+    const set = new Map();
+    target[key].forEach((entity, id) => {
+      if (!same(entity, now[key].get(id))) set.set(id, entity);
+    });
+    const deleted = Array.from(now[key].keys()).filter(id => !target[key].has(id));
+    changes[key] = { set, deleted };
+    return changes;
+  }, {});
+};
@@ -215,6 +215,10 @@ class URIGeneratorService {
       "subject": { "@id": "rdf:subject", "@type": "@id" },
       "predicate": { "@id": "rdf:predicate", "@type": "@id" },
       "object": { "@id": "rdf:object", "@type": "@id" },
+
+      // Typed property values and their keys
+      "xsd": "http://www.w3.org/2001/XMLSchema#",
+      "prop": `${uris.vocab}property/`,
       
       // Spatial & UI State
       "x": "redstring:xCoordinate",
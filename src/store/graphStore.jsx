@@ -1,12 +1,33 @@
 import { create } from 'zustand';
-import { produce, enableMapSet } from 'immer';
+import { produceWithPatches, applyPatches, enableMapSet, enablePatches } from 'immer';
 import { v4 as uuidv4 } from 'uuid';
 import { NODE_WIDTH, NODE_HEIGHT, NODE_DEFAULT_COLOR } from '../constants.js';
 import { getFileStatus, restoreLastSession, clearSession, notifyChanges } from './fileStorage.js';
 import { importFromRedstring } from '../formats/redstringFormat.js';
+import undoHistory, { GLOBAL_HISTORY_SCOPE } from './undoHistory.js';
+import historyRecorder from '../services/historyRecorder.js';
+import { normalizeShapeConstraint } from '../services/shapeConstraints.js';
+import { normalizeProperties, normalizePropertySchema } from '../services/typedProperties.js';
 
 // Enable Immer Map/Set plugin support
 enableMapSet();
+// Enable Immer patches so every mutation can feed the undo history
+enablePatches();
+
+// Patches captured by the most recent produce() call, picked up by the middleware
+let capturedPatches = null;
+
+// Drop-in replacement for Immer's curried produce that also captures patches
+const produce = (recipe) => (base) => {
+  const [nextState, patches, inversePatches] = produceWithPatches(base, recipe);
+  if (capturedPatches) {
+    capturedPatches.patches.push(...patches);
+    capturedPatches.inversePatches.unshift(...inversePatches);
+  } else {
+    capturedPatches = { patches, inversePatches };
+  }
+  return nextState;
+};
 
 // String similarity calculation using Levenshtein distance
 const calculateStringSimilarity = (str1, str2) => {
@@ -124,8 +145,19 @@ const saveCoordinatorMiddleware = (config) => {
   return (set, get, api) => {
     // Enhance the set function to track change context
     const enhancedSet = (...args) => {
+      const stateBefore = get();
+      const activeGraphId = stateBefore?.activeGraphId ?? null;
+      capturedPatches = null;
       set(...args);
 
+      // Feed data-changing patches into the undo history and the persistent event history
+      const captured = capturedPatches;
+      capturedPatches = null;
+      if (captured && captured.patches.length > 0) {
+        undoHistory.record(captured.patches, captured.inversePatches, { activeGraphId, context: changeContext });
+        historyRecorder.record(captured.patches, changeContext, stateBefore);
+      }
+
       // Batch multiple rapid state changes into a single notification
       // This prevents excessive hash calculations during rapid operations
       if (pendingNotification) {
@@ -134,6 +166,8 @@ const saveCoordinatorMiddleware = (config) => {
 
       // Merge context from multiple rapid changes
       batchedContext = { ...batchedContext, ...changeContext };
+      // Context applies to this change only; the batch keeps the merged copy
+      changeContext = { type: 'unknown' };
 
       // Notify SaveCoordinator of state changes with micro-batching
       pendingNotification = setTimeout(async () => {
@@ -198,6 +232,29 @@ const useGraphStore = create(saveCoordinatorMiddleware((set, get, api) => {
   
   // Start the timer initially
   startCleanupTimer();
+
+  // Apply undo/redo patches without recording them as undo steps, then drop UI references to removed graphs.
+  // The event history still logs them: an undo is a change like any other when replaying.
+  const applyHistoryPatches = (patches, scope, changeType) => {
+    try {
+      const stateBefore = get();
+      api.setChangeContext({ type: changeType, target: 'history', finalize: true });
+      undoHistory.withoutRecording(() => set((state) => {
+        const next = applyPatches(state, patches);
+        const openGraphIds = next.openGraphIds.filter(id => next.graphs.has(id));
+        if (openGraphIds.length === next.openGraphIds.length) return next;
+        const activeGraphId = next.graphs.has(next.activeGraphId) ? next.activeGraphId : (openGraphIds[0] || null);
+        return { ...next, openGraphIds, activeGraphId };
+      }));
+      historyRecorder.record(patches, { type: changeType }, stateBefore);
+      return true;
+    } catch (error) {
+      // The store was changed outside the history (e.g. a reload), so this scope is stale
+      console.warn(`[GraphStore] Could not apply history for ${scope}, clearing it:`, error);
+      undoHistory.clear(scope);
+      return false;
+    }
+  };
   
   // Return both initial state and actions
   return {
@@ -935,6 +992,61 @@ const useGraphStore = create(saveCoordinatorMiddleware((set, get, api) => {
   }));
   },
 
+  // Adds a pasted selection (see services/selectionClipboard.js planPaste) in one change,
+  // so a paste is a single undo step
+  pasteSelection: (graphId, plan, contextOptions = {}) => {
+    api.setChangeContext({ type: 'selection_paste', target: 'instance', finalize: true, ...contextOptions });
+    return set(produce((draft) => {
+      const graph = draft.graphs.get(graphId);
+      if (!graph) {
+        console.error(`[pasteSelection] Graph ${graphId} not found.`);
+        return;
+      }
+
+      const now = new Date().toISOString();
+      (plan.prototypes || []).forEach(prototype => {
+        if (!draft.nodePrototypes.has(prototype.id)) {
+          draft.nodePrototypes.set(prototype.id, { ...prototype, createdAt: prototype.createdAt || now });
+        }
+      });
+
+      if (!graph.instances) graph.instances = new Map();
+      (plan.instances || []).forEach(instance => {
+        if (draft.nodePrototypes.has(instance.prototypeId)) {
+          graph.instances.set(instance.id, { ...instance });
+        }
+      });
+
+      if (!graph.edgeIds) graph.edgeIds = [];
+      (plan.edges || []).forEach(edge => {
+        if (!graph.instances.has(edge.sourceId) || !graph.instances.has(edge.destinationId) || draft.edges.has(edge.id)) return;
+        draft.edges.set(edge.id, { ...edge, directionality: normalizeEdgeDirectionality(edge.directionality) });
+        graph.edgeIds.push(edge.id);
+      });
+
+      if ((plan.groups || []).length > 0 && !graph.groups) graph.groups = new Map();
+      (plan.groups || []).forEach(group => {
+        const memberInstanceIds = group.memberInstanceIds.filter(id => graph.instances.has(id));
+        if (memberInstanceIds.length === 0) return;
+        graph.groups.set(group.id, {
+          ...group,
+          memberInstanceIds,
+          semanticMetadata: {
+            type: 'Group',
+            relationships: memberInstanceIds.map(memberId => ({
+              predicate: 'memberOf',
+              subject: memberId,
+              object: group.id,
+              source: 'redstring-grouping'
+            })),
+            createdAt: now,
+            lastModified: now
+          }
+        });
+      });
+    }));
+  },
+
   // Remove instance immediately (hard delete) and clean up connected edges
   removeNodeInstance: (graphId, instanceId) => set(produce((draft) => {
     const graph = draft.graphs.get(graphId);
@@ -1235,6 +1347,78 @@ const useGraphStore = create(saveCoordinatorMiddleware((set, get, api) => {
     console.log(`setNodeType: Set type of node ${nodeId} to ${typeNodeId || 'null'}.`);
   })),
 
+  // Replace the shape constraints (services/shapeConstraints.js) a type prototype imposes on things of its type
+  setShapeConstraints: (prototypeId, constraints, contextOptions = {}) => {
+    api.setChangeContext({ type: 'prototype_change', target: 'prototype', finalize: true, ...contextOptions });
+    return set(produce((draft) => {
+      const prototype = draft.nodePrototypes.get(prototypeId);
+      if (!prototype) {
+        console.warn(`setShapeConstraints: Node prototype ${prototypeId} not found.`);
+        return;
+      }
+      const normalized = (constraints || []).map(normalizeShapeConstraint).filter(Boolean);
+      if (normalized.length > 0) {
+        prototype.shapeConstraints = normalized;
+      } else {
+        delete prototype.shapeConstraints;
+      }
+    }));
+  },
+
+  // Replace the typed properties of a node prototype
+  setPrototypeProperties: (prototypeId, properties, contextOptions = {}) => {
+    api.setChangeContext({ type: 'prototype_change', target: 'prototype', finalize: true, ...contextOptions });
+    return set(produce((draft) => {
+      const prototype = draft.nodePrototypes.get(prototypeId);
+      if (!prototype) {
+        console.warn(`setPrototypeProperties: Node prototype ${prototypeId} not found.`);
+        return;
+      }
+      const normalized = normalizeProperties(properties);
+      if (Object.keys(normalized).length > 0) {
+        prototype.properties = normalized;
+      } else {
+        delete prototype.properties;
+      }
+    }));
+  },
+
+  // Replace the property schema a type prototype declares for things of its type
+  setPropertySchema: (prototypeId, schema, contextOptions = {}) => {
+    api.setChangeContext({ type: 'prototype_change', target: 'prototype', finalize: true, ...contextOptions });
+    return set(produce((draft) => {
+      const prototype = draft.nodePrototypes.get(prototypeId);
+      if (!prototype) {
+        console.warn(`setPropertySchema: Node prototype ${prototypeId} not found.`);
+        return;
+      }
+      const normalized = normalizePropertySchema(schema);
+      if (normalized.length > 0) {
+        prototype.propertySchema = normalized;
+      } else {
+        delete prototype.propertySchema;
+      }
+    }));
+  },
+
+  // Replace the typed properties of a connection
+  setEdgeProperties: (edgeId, properties, contextOptions = {}) => {
+    api.setChangeContext({ type: 'edge_update', target: 'edge', finalize: true, ...contextOptions });
+    return set(produce((draft) => {
+      const edge = draft.edges.get(edgeId);
+      if (!edge) {
+        console.warn(`setEdgeProperties: Edge ${edgeId} not found.`);
+        return;
+      }
+      const normalized = normalizeProperties(properties);
+      if (Object.keys(normalized).length > 0) {
+        edge.properties = normalized;
+      } else {
+        delete edge.properties;
+      }
+    }));
+  },
+
   // Edge prototype management
   addEdgePrototype: (prototypeData) => set(produce((draft) => {
     const prototypeId = prototypeData.id || uuidv4();
@@ -1315,6 +1499,91 @@ const useGraphStore = create(saveCoordinatorMiddleware((set, get, api) => {
   },
 
 
+  // --- History Actions --- (Undo/redo scoped to the active graph tab)
+  undo: (graphId = null) => {
+    const scope = graphId || get().activeGraphId || GLOBAL_HISTORY_SCOPE;
+    const entry = undoHistory.undo(scope);
+    if (!entry) return false;
+    return applyHistoryPatches(entry.inversePatches, entry.scope, 'history_undo');
+  },
+
+  redo: (graphId = null) => {
+    const scope = graphId || get().activeGraphId || GLOBAL_HISTORY_SCOPE;
+    const entry = undoHistory.redo(scope);
+    if (!entry) return false;
+    return applyHistoryPatches(entry.patches, entry.scope, 'history_redo');
+  },
+
+  canUndo: (graphId = null) => undoHistory.canUndo(graphId || get().activeGraphId || GLOBAL_HISTORY_SCOPE),
+  canRedo: (graphId = null) => undoHistory.canRedo(graphId || get().activeGraphId || GLOBAL_HISTORY_SCOPE),
+
+  // Group every mutation until commitHistoryTransaction into a single undo step
+  beginHistoryTransaction: (label = 'change') => {
+    undoHistory.beginTransaction(label, get().activeGraphId || null);
+  },
+
+  commitHistoryTransaction: () => {
+    undoHistory.commitTransaction();
+  },
+
+  clearHistory: (graphId = null) => {
+    undoHistory.clear(graphId);
+  },
+
+  // Put a graph back the way it was in a replayed universe (see services/eventHistory.js).
+  // Recorded like any other change, so the restore itself can be undone.
+  restoreGraphFromHistory: (graphId, pastState) => {
+    const pastGraph = pastState?.graphs?.get(graphId);
+    if (!pastGraph) {
+      console.warn(`[Store restoreGraphFromHistory] Graph ${graphId} did not exist at that point in history.`);
+      return false;
+    }
+    api.setChangeContext({ type: 'history_restore', target: 'graph', finalize: true });
+    set(produce((draft) => {
+      const currentGraph = draft.graphs.get(graphId);
+      (currentGraph?.edgeIds || []).forEach(edgeId => draft.edges.delete(edgeId));
+
+      const restorePrototype = (prototypeId) => {
+        if (!prototypeId || draft.nodePrototypes.has(prototypeId)) return;
+        const prototype = pastState.nodePrototypes?.get(prototypeId);
+        if (prototype) draft.nodePrototypes.set(prototypeId, prototype);
+      };
+
+      pastGraph.instances?.forEach(instance => restorePrototype(instance.prototypeId));
+      (pastGraph.edgeIds || []).forEach(edgeId => {
+        const edge = pastState.edges?.get(edgeId);
+        if (!edge) return;
+        draft.edges.set(edgeId, edge);
+        restorePrototype(edge.typeNodeId);
+        if (edge.typeNodeId && !draft.edgePrototypes.has(edge.typeNodeId) && pastState.edgePrototypes?.has(edge.typeNodeId)) {
+          draft.edgePrototypes.set(edge.typeNodeId, pastState.edgePrototypes.get(edge.typeNodeId));
+        }
+      });
+      draft.graphs.set(graphId, pastGraph);
+    }));
+    return true;
+  },
+
+  // Take in changes merged from a remote copy (see remoteChangesSince in services/universeMerge.js).
+  // Unlike loadUniverseFromFile this keeps the undo history; the changes are not undo steps themselves.
+  applyRemoteChanges: (changes) => {
+    api.setChangeContext({ type: 'remote_merge', target: 'universe', finalize: true });
+    undoHistory.withoutRecording(() => set(produce((draft) => {
+      ['graphs', 'nodePrototypes', 'edges'].forEach(key => {
+        const { set: updated = new Map(), deleted = [] } = changes?.[key] || {};
+        deleted.forEach(id => draft[key].delete(id));
+        updated.forEach((entity, id) => {
+          if (key === 'edges') entity = { ...entity, directionality: normalizeEdgeDirectionality(entity.directionality) };
+          draft[key].set(id, entity);
+        });
+      });
+      draft.openGraphIds = draft.openGraphIds.filter(id => draft.graphs.has(id));
+      if (draft.activeGraphId && !draft.graphs.has(draft.activeGraphId)) {
+        draft.activeGraphId = draft.openGraphIds[0] || null;
+      }
+    })));
+  },
+
   // --- Tab Management Actions --- (Unaffected by prototype change)
     openGraphTab: (graphId, definitionNodeId = null) => set(produce((draft) => {
     console.log(`[Store openGraphTab] Called with graphId: ${graphId}, definitionNodeId: ${definitionNodeId}`);
@@ -2292,6 +2561,9 @@ const useGraphStore = create(saveCoordinatorMiddleware((set, get, api) => {
         console.warn('[graphStore] Failed to sanitize saved sets during load:', e);
       }
 
+      // A freshly loaded universe starts with an empty undo history and a new replay baseline
+      undoHistory.clear();
+      historyRecorder.recordSnapshot(storeState, 'load');
       set({
         ...storeState,
         isUniverseLoaded: true,
@@ -2433,24 +2705,28 @@ const useGraphStore = create(saveCoordinatorMiddleware((set, get, api) => {
     console.log(`Swapping ${currentNodeId} with ${newNodeId}`);
   })),
 
-  clearUniverse: () => set(() => ({
-    graphs: new Map(),
-    nodePrototypes: new Map(),
-    edges: new Map(),
-    pendingDeletions: new Map(),
-    gracePeriodMs: 5 * 60 * 1000, // Reset to default
-    openGraphIds: [],
-    activeGraphId: null,
-    activeDefinitionNodeId: null,
-    rightPanelTabs: [{ type: 'home', isActive: true }],
-    expandedGraphIds: new Set(),
-    savedNodeIds: new Set(),
-    savedGraphIds: new Set(),
-    isUniverseLoaded: false,
-    isUniverseLoading: false,
-    universeLoadingError: null,
-    hasUniverseFile: false,
-  })),
+  clearUniverse: () => set(() => {
+    undoHistory.clear();
+    historyRecorder.recordSnapshot({}, 'clear');
+    return {
+      graphs: new Map(),
+      nodePrototypes: new Map(),
+      edges: new Map(),
+      pendingDeletions: new Map(),
+      gracePeriodMs: 5 * 60 * 1000, // Reset to default
+      openGraphIds: [],
+      activeGraphId: null,
+      activeDefinitionNodeId: null,
+      rightPanelTabs: [{ type: 'home', isActive: true }],
+      expandedGraphIds: new Set(),
+      savedNodeIds: new Set(),
+      savedGraphIds: new Set(),
+      isUniverseLoaded: false,
+      isUniverseLoading: false,
+      universeLoadingError: null,
+      hasUniverseFile: false,
+    };
+  }),
 
   setUniverseConnected: (hasFile = true) => set(state => ({
     ...state,
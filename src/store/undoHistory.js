@@ -0,0 +1,286 @@
+/**
+ * Undo History - transactional undo/redo built on Immer patches
+ *
+ * The graph store runs every mutation through produceWithPatches and hands the
+ * resulting patches here. Only patches touching universe data (graphs,
+ * prototypes, edges) are kept; UI state such as tabs or selection is ignored.
+ *
+ * Features:
+ * - Separate undo/redo stacks per graph tab (scope), plus a global scope for
+ *   changes that touch no graph (e.g. prototype edits), reachable from every tab
+ * - Explicit transactions (begin/commit) to group several actions into one step
+ * - Drag gestures (isDragging / phase: 'start' | 'move' | 'end') coalesce automatically
+ * - Repeated replace patches on the same path are compacted so long drags stay small
+ */
+
+export const HISTORY_TRACKED_ROOTS = ['graphs', 'nodePrototypes', 'edgePrototypes', 'edges'];
+export const GLOBAL_HISTORY_SCOPE = '__global__';
+
+const DEFAULT_LIMIT = 100;
+
+const isTrackedPatch = (patch) => HISTORY_TRACKED_ROOTS.includes(patch.path[0]);
+
+// Keep only the last write per path. Sound for replace-only sequences because the
+// final value of a path is decided by the last write to it (or to an ancestor).
+const compactReplacePatches = (patches) => {
+  const byPath = new Map();
+  patches.forEach(patch => {
+    const key = JSON.stringify(patch.path);
+    byPath.delete(key);
+    byPath.set(key, patch);
+  });
+  return Array.from(byPath.values());
+};
+
+const mergeEntries = (earlier, later) => {
+  const patches = [...earlier.patches, ...later.patches];
+  const inversePatches = [...later.inversePatches, ...earlier.inversePatches];
+  const replaceOnly = patches.every(p => p.op === 'replace') && inversePatches.every(p => p.op === 'replace');
+  return {
+    ...earlier,
+    patches: replaceOnly ? compactReplacePatches(patches) : patches,
+    inversePatches: replaceOnly ? compactReplacePatches(inversePatches) : inversePatches,
+    timestamp: later.timestamp
+  };
+};
+
+// Work out which graph tab a change belongs to: the single graph it touched, the global
+// scope when it only touched prototypes, or the active tab
+const resolveScope = (patches, activeGraphId) => {
+  const touchedGraphs = new Set(
+    patches.filter(p => p.path[0] === 'graphs' && p.path.length > 1).map(p => p.path[1])
+  );
+  if (touchedGraphs.size === 1) return Array.from(touchedGraphs)[0];
+  if (touchedGraphs.size === 0 && patches.every(p => p.path[0] === 'nodePrototypes' || p.path[0] === 'edgePrototypes')) {
+    return GLOBAL_HISTORY_SCOPE;
+  }
+  return activeGraphId || GLOBAL_HISTORY_SCOPE;
+};
+
+export class UndoHistory {
+  constructor({ limit = DEFAULT_LIMIT } = {}) {
+    this.limit = limit;
+    this.stacks = new Map(); // scope -> { undo: Entry[], redo: Entry[] }
+    this.transaction = null; // { label, activeGraphId, entry }
+    this.gesture = null; // { scope, entry } while a drag is in progress
+    this.sequence = 0; // stamps entries so a tab can tell whether its own or a global entry is newer
+    this.suspended = 0;
+    this.listeners = new Set();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _notify() {
+    this.listeners.forEach(fn => {
+      try { fn(); } catch (error) {
+        console.warn('[UndoHistory] Listener error:', error);
+      }
+    });
+  }
+
+  _stackFor(scope) {
+    if (!this.stacks.has(scope)) {
+      this.stacks.set(scope, { undo: [], redo: [] });
+    }
+    return this.stacks.get(scope);
+  }
+
+  _push(scope, entry) {
+    const stack = this._stackFor(scope);
+    entry.scope = scope;
+    entry.sequence = ++this.sequence;
+    stack.undo.push(entry);
+    if (stack.undo.length > this.limit) {
+      stack.undo.splice(0, stack.undo.length - this.limit);
+    }
+    stack.redo = [];
+    // A new edit in a tab also ends the global redo that tab could reach
+    if (scope !== GLOBAL_HISTORY_SCOPE && this.stacks.has(GLOBAL_HISTORY_SCOPE)) {
+      this.stacks.get(GLOBAL_HISTORY_SCOPE).redo = [];
+    }
+    this._notify();
+  }
+
+  // The stack of a scope or of the global scope whose top entry is the most recent one
+  _latestStack(scope, kind) {
+    const candidates = [scope, GLOBAL_HISTORY_SCOPE]
+      .map(key => this.stacks.get(key))
+      .filter(stack => stack && stack[kind].length > 0);
+    if (candidates.length === 0) return null;
+    const top = stack => stack[kind][stack[kind].length - 1].sequence;
+    return candidates.reduce((latest, stack) => (top(stack) > top(latest) ? stack : latest));
+  }
+
+  /**
+   * Run fn without recording anything (used while applying undo/redo).
+   */
+  withoutRecording(fn) {
+    this.suspended++;
+    try {
+      return fn();
+    } finally {
+      this.suspended--;
+    }
+  }
+
+  get isRecording() {
+    return this.suspended === 0;
+  }
+
+  /**
+   * Record the patches produced by one store mutation.
+   * @param {Array} patches - Immer forward patches
+   * @param {Array} inversePatches - Immer inverse patches
+   * @param {Object} options - { activeGraphId, context } where context is the store change context
+   */
+  record(patches, inversePatches, { activeGraphId = null, context = {} } = {}) {
+    if (!this.isRecording) return;
+
+    const tracked = patches.filter(isTrackedPatch);
+    const trackedInverse = inversePatches.filter(isTrackedPatch);
+    if (tracked.length === 0 && trackedInverse.length === 0) return;
+
+    const entry = {
+      label: context.type || 'change',
+      patches: tracked,
+      inversePatches: trackedInverse,
+      timestamp: Date.now()
+    };
+
+    if (this.transaction) {
+      this.transaction.entry = this.transaction.entry
+        ? mergeEntries(this.transaction.entry, entry)
+        : { ...entry, label: this.transaction.label || entry.label };
+      if (!this.transaction.activeGraphId) {
+        this.transaction.activeGraphId = activeGraphId;
+      }
+      return;
+    }
+
+    const isGestureStep = context.isDragging === true || context.phase === 'start' || context.phase === 'move';
+    const isGestureEnd = context.phase === 'end';
+
+    if (isGestureStep || (isGestureEnd && this.gesture)) {
+      if (this.gesture && (isGestureEnd || !this.gesture.ended)) {
+        const stack = this._stackFor(this.gesture.scope);
+        const top = stack.undo[stack.undo.length - 1];
+        if (top === this.gesture.entry) {
+          this.gesture.entry = mergeEntries(top, entry);
+          stack.undo[stack.undo.length - 1] = this.gesture.entry;
+          // Drag end is delivered once per dragged instance, so keep absorbing end
+          // steps until a new drag or an unrelated change arrives.
+          this.gesture.ended = this.gesture.ended || isGestureEnd;
+          return;
+        }
+      }
+      const scope = resolveScope(tracked, activeGraphId);
+      const gestureEntry = { ...entry, label: 'move' };
+      this._push(scope, gestureEntry);
+      this.gesture = { scope, entry: gestureEntry, ended: isGestureEnd };
+      return;
+    }
+
+    this.gesture = null;
+    this._push(resolveScope(tracked, activeGraphId), entry);
+  }
+
+  /**
+   * Start grouping every following mutation into a single undo step.
+   * Nested calls join the outer transaction. The step's scope is worked out from
+   * all of its patches on commit, falling back to the given tab.
+   */
+  beginTransaction(label = 'change', activeGraphId = null) {
+    if (this.transaction) {
+      this.transaction.depth++;
+      return;
+    }
+    this.gesture = null;
+    this.transaction = { label, activeGraphId, entry: null, depth: 1 };
+  }
+
+  commitTransaction() {
+    if (!this.transaction) return;
+    this.transaction.depth--;
+    if (this.transaction.depth > 0) return;
+    const { activeGraphId, entry } = this.transaction;
+    this.transaction = null;
+    if (entry) {
+      this._push(resolveScope(entry.patches, activeGraphId), entry);
+    }
+  }
+
+  /**
+   * Drop the open transaction without recording it. Returns its inverse patches
+   * so the caller can roll the store back.
+   */
+  abortTransaction() {
+    if (!this.transaction) return [];
+    const { entry } = this.transaction;
+    this.transaction = null;
+    return entry ? entry.inversePatches : [];
+  }
+
+  canUndo(scope = GLOBAL_HISTORY_SCOPE) {
+    return this._latestStack(scope, 'undo') !== null;
+  }
+
+  canRedo(scope = GLOBAL_HISTORY_SCOPE) {
+    return this._latestStack(scope, 'redo') !== null;
+  }
+
+  /**
+   * Pop the latest entry for a scope (or the global scope, if its entry is newer)
+   * and move it to the redo stack.
+   * @returns {Object|null} entry whose inversePatches should be applied; entry.scope names its stack
+   */
+  undo(scope = GLOBAL_HISTORY_SCOPE) {
+    const stack = this._latestStack(scope, 'undo');
+    if (!stack) return null;
+    this.gesture = null;
+    const entry = stack.undo.pop();
+    entry.sequence = ++this.sequence;
+    stack.redo.push(entry);
+    this._notify();
+    return entry;
+  }
+
+  /**
+   * Pop the latest undone entry for a scope (or the global scope) and move it back to the undo stack.
+   * @returns {Object|null} entry whose patches should be applied; entry.scope names its stack
+   */
+  redo(scope = GLOBAL_HISTORY_SCOPE) {
+    const stack = this._latestStack(scope, 'redo');
+    if (!stack) return null;
+    this.gesture = null;
+    const entry = stack.redo.pop();
+    entry.sequence = ++this.sequence;
+    stack.undo.push(entry);
+    this._notify();
+    return entry;
+  }
+
+  clear(scope = null) {
+    if (scope) {
+      this.stacks.delete(scope);
+    } else {
+      this.stacks.clear();
+      this.transaction = null;
+    }
+    this.gesture = null;
+    this._notify();
+  }
+
+  getSummary(scope = GLOBAL_HISTORY_SCOPE) {
+    const stack = this.stacks.get(scope);
+    return {
+      undo: stack ? stack.undo.map(e => e.label) : [],
+      redo: stack ? stack.redo.map(e => e.label) : []
+    };
+  }
+}
+
+const undoHistory = new UndoHistory();
+export default undoHistory;
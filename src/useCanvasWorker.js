@@ -1,10 +1,30 @@
 import { useState, useRef, useEffect } from 'react';
+import { computeAutoLayout } from './services/autoLayout.js';
+
+// A layout the worker has not answered by then is given up on
+const LAYOUT_TIMEOUT_MS = 30000;
+
+// Settle a layout request once, whichever of reply, error or timeout comes first
+const settleLayout = (pendingLayouts, id, settle) => {
+  const pending = pendingLayouts.get(id);
+  if (!pending) return;
+  pendingLayouts.delete(id);
+  clearTimeout(pending.timer);
+  settle(pending);
+};
+
+const rejectPendingLayouts = (pendingLayouts, error) => {
+  Array.from(pendingLayouts.keys()).forEach(id => settleLayout(pendingLayouts, id, ({ reject }) => reject(error)));
+};
 
 export const useCanvasWorker = () => {
   const [workerReady, setWorkerReady] = useState(false);
   const workerRef = useRef(null);
+  const nextRequestIdRef = useRef(0);
+  const pendingLayoutsRef = useRef(new Map()); // id -> { resolve, reject, timer }
 
   useEffect(() => {
+    const pendingLayouts = pendingLayoutsRef.current;
     try {
       const worker = new Worker(
         new URL('./canvasWorker.js', import.meta.url),
@@ -13,6 +33,12 @@ export const useCanvasWorker = () => {
 
       worker.onerror = (error) => {
         console.error('Worker error:', error);
+        // Layouts in flight will never get a reply
+        rejectPendingLayouts(pendingLayouts, new Error(`Canvas worker failed: ${error?.message || 'unknown error'}`));
+      };
+
+      worker.onmessageerror = () => {
+        rejectPendingLayouts(pendingLayouts, new Error('Canvas worker sent a message that could not be read'));
       };
 
       worker.onmessage = (e) => {
@@ -27,6 +53,8 @@ export const useCanvasWorker = () => {
       return () => {
         console.log('Terminating worker');
         worker.terminate();
+        workerRef.current = null;
+        rejectPendingLayouts(pendingLayouts, new Error('Canvas worker was terminated'));
       };
     } catch (error) {
       console.error('Worker initialization failed:', error);
@@ -196,10 +224,41 @@ export const useCanvasWorker = () => {
     });
   };
 
+  const calculateLayout = async (data) => {
+    if (!workerReady || !workerRef.current) {
+      // Fallback: run the layout on the main thread
+      return computeAutoLayout(data);
+    }
+
+    // Layouts can overlap (and other requests can fail meanwhile), so only take the reply to this one
+    const id = ++nextRequestIdRef.current;
+    const worker = workerRef.current;
+    return new Promise((resolve, reject) => {
+      const handler = (e) => {
+        if (e.data.id !== id) return;
+        settleLayout(pendingLayoutsRef.current, id, (pending) => {
+          if (e.data.type === 'ERROR') pending.reject(new Error(e.data.error));
+          else pending.resolve(e.data.data);
+        });
+      };
+      const timer = setTimeout(() => {
+        settleLayout(pendingLayoutsRef.current, id, (pending) => pending.reject(new Error(`Layout timed out after ${LAYOUT_TIMEOUT_MS / 1000}s`)));
+      }, LAYOUT_TIMEOUT_MS);
+      pendingLayoutsRef.current.set(id, {
+        resolve: (value) => { worker.removeEventListener('message', handler); resolve(value); },
+        reject: (error) => { worker.removeEventListener('message', handler); reject(error); },
+        timer
+      });
+      worker.addEventListener('message', handler);
+      worker.postMessage({ type: 'CALCULATE_LAYOUT', data, id });
+    });
+  };
+
   return {
     calculatePan,
     calculateNodePositions,
     calculateZoom,
-    calculateSelection
+    calculateSelection,
+    calculateLayout
   };
 };
\ No newline at end of file
@@ -0,0 +1,226 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { exportToGraphML } from '../../src/formats/graphml.js';
+import { exportToGEXF, importFromGEXF } from '../../src/formats/gexf.js';
+import { applyImportedNetwork } from '../../src/formats/networkExchange.js';
+import { exportToRedstring, importFromRedstring } from '../../src/formats/redstringFormat.js';
+import { importGraphML } from '../../src/formats/importAdapters.js';
+import useGraphStore from '../../src/store/graphStore.jsx';
+
+/**
+ * GraphML / GEXF Round-Trip Tests
+ *
+ * Exporting to a network format and importing back should keep names,
+ * colours, positions, types, edge labels and direction, groups and graphs.
+ */
+
+const createState = () => ({
+  graphs: new Map([
+    ['g1', {
+      id: 'g1',
+      name: 'Solar System',
+      description: 'Planets & <moons>',
+      instances: new Map([
+        ['i1', { id: 'i1', prototypeId: 'p1', x: -120.5, y: 40, scale: 1 }],
+        ['i2', { id: 'i2', prototypeId: 'p2', x: 300, y: 100, scale: 1 }],
+        ['i3', { id: 'i3', prototypeId: 'p3', x: 500, y: 220, scale: 1 }]
+      ]),
+      groups: new Map([
+        ['grp1', { id: 'grp1', name: 'Inner planets', color: '#336699', memberInstanceIds: ['i2', 'i3'] }]
+      ]),
+      edgeIds: ['e1', 'e2', 'e3'],
+      definingNodeIds: ['p5']
+    }],
+    ['g2', {
+      id: 'g2',
+      name: 'Earth detail',
+      description: '',
+      instances: new Map([
+        ['i4', { id: 'i4', prototypeId: 'p2', x: 10, y: 20, scale: 1 }]
+      ]),
+      edgeIds: [],
+      definingNodeIds: ['p2']
+    }]
+  ]),
+  nodePrototypes: new Map([
+    ['p1', { id: 'p1', name: 'Sun', description: 'A star', color: '#ff8800', definitionGraphIds: [] }],
+    ['p2', { id: 'p2', name: 'Earth', description: '', color: '#0000ff', typeNodeId: 'p4', definitionGraphIds: ['g2'] }],
+    ['p3', { id: 'p3', name: 'Mars', description: '', color: '#aa0000', typeNodeId: 'p4', definitionGraphIds: [] }],
+    ['p4', { id: 'p4', name: 'Planet', description: 'Orbits a star', color: '#800000', definitionGraphIds: [] }],
+    ['p5', { id: 'p5', name: 'Solar System', description: '', color: '#222222', definitionGraphIds: ['g1'] }],
+    ['r1', { id: 'r1', name: 'Neighbour of', description: '', color: '#000000', definitionGraphIds: [] }]
+  ]),
+  edges: new Map([
+    // Drawn from the Sun with the arrow pointing back at it
+    ['e1', { id: 'e1', sourceId: 'i1', destinationId: 'i2', name: 'orbited by', directionality: { arrowsToward: new Set(['i1']) } }],
+    ['e2', { id: 'e2', sourceId: 'i3', destinationId: 'i1', name: 'orbits', directionality: { arrowsToward: new Set(['i1']) } }],
+    ['e3', { id: 'e3', sourceId: 'i2', destinationId: 'i3', definitionNodeIds: ['r1'], directionality: { arrowsToward: new Set() } }]
+  ])
+});
+
+const byName = (state) => new Map(Array.from(state.nodePrototypes.values()).map(prototype => [prototype.name, prototype]));
+const graphByName = (state, name) => Array.from(state.graphs.values()).find(graph => graph.name === name);
+
+const expectFaithful = (imported) => {
+  const prototypes = byName(imported);
+  expect(prototypes.get('Sun')).toMatchObject({ id: 'p1', description: 'A star', color: '#ff8800' });
+  expect(prototypes.get('Earth').typeNodeId).toBe('p4');
+  expect(prototypes.get('Earth').definitionGraphIds).toEqual(['g2']);
+  expect(prototypes.get('Planet')).toMatchObject({ id: 'p4' });
+
+  const solar = imported.graphs.get('g1');
+  expect(solar).toMatchObject({ name: 'Solar System', description: 'Planets & <moons>', definingNodeIds: ['p5'] });
+  expect(solar.instances.get('i1')).toMatchObject({ prototypeId: 'p1', x: -120.5, y: 40 });
+  expect(solar.instances.get('i3')).toMatchObject({ prototypeId: 'p3', x: 500, y: 220 });
+  expect(Array.from(solar.groups.values())).toEqual([
+    expect.objectContaining({ name: 'Inner planets', color: '#336699', memberInstanceIds: ['i2', 'i3'] })
+  ]);
+  expect(imported.graphs.get('g2').instances.get('i4').prototypeId).toBe('p2');
+
+  const edges = imported.edges;
+  expect(edges.get('e1')).toMatchObject({ name: 'orbited by', sourceId: 'i2', destinationId: 'i1' });
+  expect(Array.from(edges.get('e1').directionality.arrowsToward)).toEqual(['i1']);
+  expect(Array.from(edges.get('e2').directionality.arrowsToward)).toEqual(['i1']);
+  expect(edges.get('e3').definitionNodeIds).toEqual(['r1']);
+  expect(edges.get('e3').name).toBeUndefined();
+  expect(edges.get('e3').directionality.arrowsToward.size).toBe(0);
+  expect(prototypes.get('Neighbour of').id).toBe('r1');
+};
+
+describe('GraphML round trip', () => {
+  it('nests graphs and groups as subgraphs with labelled, directed edges', () => {
+    const xml = exportToGraphML(createState());
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+
+    const group = doc.querySelector('node[id="group:grp1"]');
+    expect(group.parentElement.getAttribute('id')).toBe('g1');
+    expect(Array.from(group.querySelector('graph').children).map(node => node.getAttribute('id'))).toEqual(['i2', 'i3']);
+    expect(xml).toMatch(/<edge id="e1" source="i2" target="i1" directed="true">\s*<data key="e_label">orbited by<\/data>/);
+    expect(xml).toMatch(/<edge id="e3" source="i2" target="i3" directed="false">\s*<data key="e_label">Neighbour of<\/data>/);
+    expect(xml).toContain('<y:NodeLabel textColor="#FFFFFF">Sun</y:NodeLabel>');
+  });
+
+  it('imports its own export without losing structure', async () => {
+    expectFaithful(await importGraphML(exportToGraphML(createState())));
+  });
+
+  it('exports a single graph as the root graph', async () => {
+    const imported = await importGraphML(exportToGraphML(createState(), { graphId: 'g1' }), { idFactory: () => 'new-graph' });
+    expect(Array.from(imported.graphs.keys())).toEqual(['new-graph']);
+    expect(imported.graphs.get('new-graph')).toMatchObject({ name: 'Solar System' });
+    expect(imported.graphs.get('new-graph').instances.size).toBe(3);
+    expect(imported.edges.size).toBe(3);
+  });
+
+  it('reads yEd graphics and default edge direction from foreign files', async () => {
+    const xml = `<?xml version="1.0"?>
+      <graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:y="http://www.yworks.com/xml/graphml">
+        <key id="d0" for="node" yfiles.type="nodegraphics"/>
+        <key id="d1" for="node" attr.name="type" attr.type="string"/>
+        <graph id="G" edgedefault="directed">
+          <node id="n0"><data key="d1">Person</data><data key="d0"><y:ShapeNode><y:Geometry x="10" y="20" width="30" height="30"/><y:Fill color="#FFCC00FF"/><y:NodeLabel>Ada</y:NodeLabel></y:ShapeNode></data></node>
+          <node id="n1"><data key="d1">Person</data><data key="d0"><y:ShapeNode><y:NodeLabel>Charles</y:NodeLabel></y:ShapeNode></data></node>
+          <edge source="n0" target="n1"/>
+        </graph>
+      </graphml>`;
+    const imported = await importGraphML(xml);
+    const prototypes = byName(imported);
+    expect(prototypes.get('Ada')).toMatchObject({ color: '#FFCC00' });
+    expect(prototypes.get('Ada').typeNodeId).toBe(prototypes.get('Person').id);
+    expect(prototypes.get('Charles').typeNodeId).toBe(prototypes.get('Person').id);
+    expect(graphByName(imported, 'G').instances.get('n0')).toMatchObject({ x: 10, y: 20 });
+    const [edge] = imported.edges.values();
+    expect(Array.from(edge.directionality.arrowsToward)).toEqual(['n1']);
+  });
+
+  it('rejects malformed XML', async () => {
+    await expect(importGraphML('<graphml><graph>')).rejects.toThrow(/not well-formed/);
+  });
+});
+
+describe('GEXF round trip', () => {
+  it('writes viz colours, flipped positions and parent ids', () => {
+    const xml = exportToGEXF(createState(), { date: new Date('2026-01-02T00:00:00Z') });
+    expect(xml).toContain('<meta lastmodifieddate="2026-01-02">');
+    expect(xml).toContain('<node id="i2" label="Earth" pid="group:grp1">');
+    expect(xml).toContain('<viz:color r="255" g="136" b="0"/>');
+    expect(xml).toContain('<viz:position x="-120.5" y="-40" z="0"/>');
+    expect(xml).toContain('<edge id="e1" source="i2" target="i1" type="directed" label="orbited by">');
+    expect(xml).toContain('<edge id="e3" source="i2" target="i3" type="undirected" label="Neighbour of">');
+  });
+
+  it('imports its own export without losing structure', () => {
+    expectFaithful(importFromGEXF(exportToGEXF(createState())));
+  });
+
+  it('reads Gephi attribute titles, hex colours and nested nodes', () => {
+    const xml = `<?xml version="1.0"?>
+      <gexf xmlns="http://gexf.net/1.2draft" xmlns:viz="http://gexf.net/1.2draft/viz" version="1.2">
+        <meta><description>Karate club</description></meta>
+        <graph defaultedgetype="directed">
+          <attributes class="node"><attribute id="0" title="type" type="string"/></attributes>
+          <nodes>
+            <node id="club" label="Club">
+              <nodes>
+                <node id="a" label="Mr Hi"><attvalues><attvalue for="0" value="Instructor"/></attvalues><viz:color hex="#123456"/><viz:position x="5" y="-7"/></node>
+                <node id="b" label="John A"/>
+              </nodes>
+            </node>
+          </nodes>
+          <edges><edge id="x" source="a" target="b" label="rivals" type="undirected"/></edges>
+        </graph>
+      </gexf>`;
+    const imported = importFromGEXF(xml);
+    const graph = graphByName(imported, 'Karate club');
+    const prototypes = byName(imported);
+    expect(prototypes.get('Mr Hi')).toMatchObject({ color: '#123456' });
+    expect(prototypes.get('Instructor')).toBeDefined();
+    expect(graph.instances.get('a')).toMatchObject({ x: 5, y: 7 });
+    expect(Array.from(graph.groups.values())).toEqual([expect.objectContaining({ name: 'Club', memberInstanceIds: ['a', 'b'] })]);
+    expect(imported.edges.get('x')).toMatchObject({ name: 'rivals' });
+    expect(imported.edges.get('x').directionality.arrowsToward.size).toBe(0);
+  });
+
+  it('survives the Redstring format after import', () => {
+    const imported = importFromGEXF(exportToGEXF(createState()));
+    const { storeState } = importFromRedstring(exportToRedstring(imported));
+    expect(storeState.graphs.get('g1').instances.size).toBe(3);
+    expect(storeState.edges.get('e2')).toMatchObject({ sourceId: 'i3', destinationId: 'i1' });
+  });
+});
+
+describe('applying an imported network', () => {
+  beforeEach(() => {
+    useGraphStore.setState({
+      graphs: new Map(),
+      nodePrototypes: new Map(),
+      edges: new Map(),
+      openGraphIds: [],
+      activeGraphId: null,
+      activeDefinitionNodeId: null,
+      rightPanelTabs: [{ type: 'home', isActive: true }],
+      expandedGraphIds: new Set(),
+      savedNodeIds: new Set(),
+      savedGraphIds: new Set()
+    });
+  });
+
+  it('adds new graphs with fresh ids and keeps prototype ids', async () => {
+    const imported = await importGraphML(exportToGraphML(createState()));
+    let counter = 0;
+    const graphIds = applyImportedNetwork(imported, useGraphStore.getState(), { idFactory: () => `id-${++counter}` });
+
+    const state = useGraphStore.getState();
+    expect(graphIds).toHaveLength(2);
+    const solar = state.graphs.get(graphIds[0]);
+    expect(solar.name).toBe('Solar System');
+    expect(solar.instances.size).toBe(3);
+    expect(solar.edgeIds).toHaveLength(3);
+    expect(Array.from(solar.groups.values())[0].memberInstanceIds).toHaveLength(2);
+    expect(state.nodePrototypes.get('p2').definitionGraphIds).toEqual([graphIds[1]]);
+
+    const sunInstance = Array.from(solar.instances.values()).find(instance => instance.prototypeId === 'p1');
+    const orbits = solar.edgeIds.map(id => state.edges.get(id)).find(edge => edge.name === 'orbits');
+    expect(Array.from(orbits.directionality.arrowsToward)).toEqual([sunInstance.id]);
+  });
+});
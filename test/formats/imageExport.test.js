@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { renderGraphViewSvg, edgeColor, CANVAS_BACKGROUND } from '../../src/formats/imageExport.js';
+
+const fixedDimensions = (node) => ({
+  currentWidth: node.thumbnailSrc ? 300 : 150,
+  currentHeight: node.thumbnailSrc ? 330 : 100,
+  textAreaHeight: 100,
+  imageWidth: node.thumbnailSrc ? 240 : 0,
+  calculatedImageHeight: node.thumbnailSrc ? 200 : 0
+});
+
+const buildState = () => ({
+  nodePrototypes: new Map([
+    ['p-a', { id: 'p-a', name: 'Sun & Moon', color: '#8B0000' }],
+    ['p-b', { id: 'p-b', name: 'Earth', color: '#004400', thumbnailSrc: 'data:image/png;base64,AAAA' }],
+    ['p-c', { id: 'p-c', name: 'Mars', color: '#440044' }],
+    ['p-orbit', { id: 'p-orbit', name: 'orbits', color: '#123456' }],
+    ['p-system', { id: 'p-system', name: 'System', color: '#654321' }]
+  ]),
+  edges: new Map([
+    ['e-1', { id: 'e-1', sourceId: 'i-a', destinationId: 'i-b', typeNodeId: 'p-orbit', definitionNodeIds: [], directionality: { arrowsToward: new Set(['i-b']) } }],
+    ['e-2', { id: 'e-2', sourceId: 'i-b', destinationId: 'i-c', typeNodeId: 'base-connection-prototype', definitionNodeIds: [], directionality: { arrowsToward: new Set() } }]
+  ]),
+  graphs: new Map([
+    ['g-1', {
+      id: 'g-1',
+      name: 'Solar',
+      instances: new Map([
+        ['i-a', { id: 'i-a', prototypeId: 'p-a', x: 0, y: 0 }],
+        ['i-b', { id: 'i-b', prototypeId: 'p-b', x: 400, y: 0 }],
+        ['i-c', { id: 'i-c', prototypeId: 'p-c', x: 400, y: 600 }]
+      ]),
+      edgeIds: ['e-1', 'e-2'],
+      groups: new Map([
+        ['grp-1', { id: 'grp-1', name: 'Inner', color: '#aa0000', memberInstanceIds: ['i-a', 'i-b'] }],
+        ['grp-2', { id: 'grp-2', name: 'Outer', color: '#aa0000', memberInstanceIds: ['i-c'], linkedNodePrototypeId: 'p-system' }]
+      ])
+    }]
+  ])
+});
+
+const render = (options = {}) => renderGraphViewSvg(buildState(), 'g-1', { dimensionsFor: fixedDimensions, ...options });
+
+describe('imageExport', () => {
+  it('renders nodes, thumbnails, edges and escaped names', () => {
+    const { svg } = render();
+
+    expect(svg.startsWith('<?xml')).toBe(true);
+    expect((svg.match(/<g class="node">/g) || []).length).toBe(3);
+    expect((svg.match(/<g class="edge">/g) || []).length).toBe(2);
+    expect(svg).toContain('Sun &amp; Moon');
+    expect(svg).toContain('href="data:image/png;base64,AAAA"');
+    expect(svg).toContain('fill="#8B0000"');
+  });
+
+  it('draws arrowheads only toward the nodes in arrowsToward', () => {
+    const { svg } = render();
+    expect((svg.match(/<polygon/g) || []).length).toBe(1);
+    // The base connection is drawn black
+    expect(svg).toContain('stroke="#000000"');
+  });
+
+  it('draws connection names only when asked', () => {
+    expect(render().svg).not.toContain('>orbits</text>');
+    expect(render({ showEdgeNames: true }).svg).toContain('>orbits</text>');
+  });
+
+  it('outlines groups and fills node-groups', () => {
+    const { svg } = render();
+    expect(svg).toContain('<g class="group">');
+    expect(svg).toContain('stroke-dasharray="16 12"');
+    expect(svg).toContain('<g class="node-group">');
+    expect(svg).toContain('fill="#654321"');
+    expect(svg).toContain('>Inner</text>');
+  });
+
+  it('exports only the selection with its own edges and groups', () => {
+    const { svg } = render({ instanceIds: ['i-a', 'i-b'] });
+    expect((svg.match(/<g class="node">/g) || []).length).toBe(2);
+    expect((svg.match(/<g class="edge">/g) || []).length).toBe(1);
+    expect(svg).not.toContain('>Mars</tspan>');
+    expect(svg).not.toContain('node-group');
+  });
+
+  it('applies scale and background options', () => {
+    const themed = render();
+    const doubled = render({ scale: 2 });
+    expect(doubled.width).toBe(themed.width * 2);
+    expect(doubled.height).toBe(themed.height * 2);
+    expect(themed.svg).toContain(`fill="${CANVAS_BACKGROUND}"/>`);
+
+    const transparent = render({ background: 'transparent' });
+    const firstShape = transparent.svg.split('\n')[2];
+    expect(firstShape.startsWith('<g class="group">') || firstShape.startsWith('<g class="node-group">')).toBe(true);
+
+    expect(render({ background: '#ffffff' }).svg).toContain('fill="#ffffff"');
+  });
+
+  it('measures nodes with the canvas dimensions by default', () => {
+    const rendered = renderGraphViewSvg(buildState(), 'g-1');
+    expect(rendered.width).toBeGreaterThan(0);
+    expect((rendered.svg.match(/<g class="node">/g) || []).length).toBe(3);
+  });
+
+  it('returns null when there is nothing to draw', () => {
+    expect(render({ instanceIds: [] })).toBeNull();
+    expect(renderGraphViewSvg(buildState(), 'missing')).toBeNull();
+  });
+
+  it('colours edges by definition, then type, then destination', () => {
+    const prototypes = buildState().nodePrototypes;
+    expect(edgeColor({ definitionNodeIds: ['p-c'], typeNodeId: 'p-orbit' }, prototypes, '#999')).toBe('#440044');
+    expect(edgeColor({ definitionNodeIds: [], typeNodeId: 'p-orbit' }, prototypes, '#999')).toBe('#123456');
+    expect(edgeColor({ definitionNodeIds: [], typeNodeId: 'unknown' }, prototypes, '#999')).toBe('#999');
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  importMarkdownVault,
+  exportToMarkdownVault,
+  createVaultZip,
+  parseFrontmatter,
+  extractWikilinks,
+  extractTags
+} from '../../src/formats/markdownVault.js';
+import { autoImport } from '../../src/formats/importAdapters.js';
+import { applyImportedNetwork } from '../../src/formats/networkExchange.js';
+import useGraphStore from '../../src/store/graphStore.jsx';
+
+const vaultFiles = () => [
+  { path: 'Vault/Index.md', content: '---\ntags: [moc]\naliases: [Home]\n---\nWelcome. See [[Sun]] and [[Planets/Earth|our home]].\n' },
+  { path: 'Vault/Planets/Planets.md', content: "---\ncolor: '#336699'\n---\nAll the planets.\n" },
+  { path: 'Vault/Planets/Earth.md', content: '---\ntags:\n  - body/planet\ncreated: 2024-01-01\n---\nThird rock.\norbits:: [[Sun]]\n' },
+  { path: 'Vault/Planets/Mars.md', content: 'Red planet #body/planet, next to [[Earth#Orbit]].\n' },
+  { path: 'Vault/Stars/Sun.md', content: '---\ntags: [body/star]\n---\nOur star. ![[sun.png]]\n```\n[[Not a link]]\n```\n' },
+  { path: 'Vault/.obsidian/workspace.md', content: 'ignored' }
+];
+
+const byName = (state, name) => Array.from(state.nodePrototypes.values()).find(p => p.name === name);
+
+const graphMembers = (state, graphId) => Array.from(state.graphs.get(graphId).instances.values())
+  .map(instance => state.nodePrototypes.get(instance.prototypeId).name)
+  .sort();
+
+const edgeSummary = (state) => Array.from(state.edges.values()).map(edge => {
+  const graph = Array.from(state.graphs.values()).find(g => g.edgeIds.includes(edge.id));
+  const name = (instanceId) => state.nodePrototypes.get(graph.instances.get(instanceId).prototypeId).name;
+  return `${graph.name}: ${name(edge.sourceId)} -${edge.name}-> ${name(edge.destinationId)}`;
+}).sort();
+
+// Notes compared by meaning: frontmatter as data, body as text
+const parsedNotes = (files) => Object.fromEntries(files.map(file => {
+  const { data, body } = parseFrontmatter(file.content);
+  return [file.path.replace(/^Vault\//, ''), { data, body: body.trim() }];
+}));
+
+describe('markdown vault parsing', () => {
+  it('reads wikilinks with fields, headings and aliases but skips embeds and code', () => {
+    const links = extractWikilinks('See [[A]] and [[B#Part|b]].\n- related:: [[C]], [[D]]\n![[pic.png]]\n`[[E]]`');
+    expect(links).toEqual([
+      { target: 'A', field: null },
+      { target: 'B', field: null },
+      { target: 'C', field: 'related' },
+      { target: 'D', field: 'related' }
+    ]);
+  });
+
+  it('reads tags from frontmatter and text', () => {
+    const { data, body } = parseFrontmatter('---\ntags: a, b/c\n---\nText #inline and #123 and a#notatag\n');
+    expect(extractTags(data, body)).toEqual({ frontmatterTags: ['a', 'b/c'], inlineTags: ['inline'] });
+  });
+});
+
+describe('importMarkdownVault', () => {
+  it('maps notes, folders, tags and links onto the universe', () => {
+    const state = importMarkdownVault(vaultFiles());
+
+    const root = state.graphs.get(state.activeGraphId);
+    expect(root.name).toBe('Vault');
+    expect(graphMembers(state, root.id)).toEqual(['Index', 'Planets', 'Stars']);
+    expect(byName(state, 'workspace')).toBeUndefined();
+
+    const planets = byName(state, 'Planets');
+    expect(planets).toMatchObject({ description: 'All the planets.', color: '#336699' });
+    expect(graphMembers(state, planets.definitionGraphIds[0])).toEqual(['Earth', 'Index', 'Mars']);
+
+    const earth = byName(state, 'Earth');
+    expect(earth.description).toBe('Third rock.\norbits:: [[Sun]]');
+    expect(earth.frontmatter).toEqual({ created: '2024-01-01' });
+    const planetType = state.nodePrototypes.get(earth.typeNodeId);
+    expect(planetType.name).toBe('planet');
+    expect(state.nodePrototypes.get(planetType.typeNodeId).name).toBe('body');
+    expect(byName(state, 'Mars').typeNodeId).toBe(earth.typeNodeId);
+    expect(byName(state, 'Index').frontmatter).toEqual({ aliases: ['Home'] });
+
+    // Cross-folder links are drawn in the later folder, so each note's first appearance is its own folder
+    expect(edgeSummary(state)).toEqual([
+      'Planets: Index --> Earth',
+      'Planets: Mars --> Earth',
+      'Stars: Earth -orbits-> Sun',
+      'Stars: Index --> Sun'
+    ]);
+  });
+
+  it('is reachable through autoImport as a zip or a file list', async () => {
+    const zip = createVaultZip({ vaultName: 'Zipped', files: vaultFiles().map(f => ({ ...f, path: f.path.replace(/^Vault\//, '') })) });
+    const fromZip = await autoImport(zip, 'Zipped.zip');
+    expect(fromZip.graphs.get(fromZip.activeGraphId).name).toBe('Zipped');
+    expect(fromZip.edges.size).toBe(4);
+
+    const fromList = await autoImport(vaultFiles(), 'Vault');
+    expect(fromList.nodePrototypes.size).toBe(fromZip.nodePrototypes.size);
+  });
+});
+
+describe('exportToMarkdownVault', () => {
+  it('round-trips a vault', () => {
+    const original = vaultFiles().filter(file => !file.path.includes('.obsidian'));
+    const exported = exportToMarkdownVault(importMarkdownVault(original));
+
+    expect(exported.vaultName).toBe('Vault');
+    expect(parsedNotes(exported.files)).toEqual(parsedNotes(original));
+
+    const again = exportToMarkdownVault(importMarkdownVault(exported.files, { vaultName: exported.vaultName }));
+    expect(again.files).toEqual(exported.files);
+  });
+
+  it('writes connections made in Redstring as links', () => {
+    const state = importMarkdownVault(vaultFiles());
+    const stars = state.graphs.get(byName(state, 'Stars').definitionGraphIds[0]);
+    const sunInstance = Array.from(stars.instances.values()).find(i => i.prototypeId === byName(state, 'Sun').id);
+    const earthInstance = Array.from(stars.instances.values()).find(i => i.prototypeId === byName(state, 'Earth').id);
+    state.edges.set('e-new', { id: 'e-new', sourceId: sunInstance.id, destinationId: earthInstance.id, name: 'warms', typeNodeId: 'base-connection-prototype' });
+    stars.edgeIds.push('e-new');
+    byName(state, 'Sun').color = '#ffcc00';
+
+    const sun = exportToMarkdownVault(state).files.find(file => file.path === 'Stars/Sun.md');
+    expect(sun.content).toBe("---\ntags:\n  - body/star\ncolor: '#ffcc00'\n---\nOur star. ![[sun.png]]\n```\n[[Not a link]]\n```\n\nwarms:: [[Earth]]\n");
+  });
+
+  it('exports a universe that was not imported from a vault', () => {
+    const state = {
+      graphs: new Map([['g1', {
+        id: 'g1',
+        name: 'Universe',
+        instances: new Map([['i1', { id: 'i1', prototypeId: 'p1' }], ['i2', { id: 'i2', prototypeId: 'p2' }]]),
+        edgeIds: ['e1'],
+        definingNodeIds: ['root']
+      }]]),
+      nodePrototypes: new Map([
+        ['root', { id: 'root', name: 'Universe', definitionGraphIds: ['g1'] }],
+        ['p1', { id: 'p1', name: 'A/B', description: 'Slash in name', definitionGraphIds: [] }],
+        ['p2', { id: 'p2', name: 'C', description: '', definitionGraphIds: [] }],
+        ['p3', { id: 'p3', name: 'Loose', description: 'Not placed anywhere', definitionGraphIds: [] }]
+      ]),
+      edges: new Map([['e1', { id: 'e1', sourceId: 'i1', destinationId: 'i2', name: '' }]])
+    };
+
+    const { vaultName, files } = exportToMarkdownVault(state);
+    expect(vaultName).toBe('Universe');
+    expect(files).toEqual([
+      { path: 'A-B.md', content: 'Slash in name\n\n- [[C]]\n' },
+      { path: 'C.md', content: '\n' },
+      { path: 'Loose.md', content: 'Not placed anywhere\n' }
+    ]);
+  });
+});
+
+describe('adding an imported vault to the universe', () => {
+  beforeEach(() => {
+    useGraphStore.setState({
+      graphs: new Map(),
+      nodePrototypes: new Map(),
+      edges: new Map(),
+      openGraphIds: [],
+      activeGraphId: null,
+      activeDefinitionNodeId: null,
+      rightPanelTabs: [{ type: 'home', isActive: true }],
+      expandedGraphIds: new Set(),
+      savedNodeIds: new Set(),
+      savedGraphIds: new Set()
+    });
+  });
+
+  it('adds the vault like any imported network', async () => {
+    const imported = await autoImport([
+      { path: 'Notes/Index.md', content: 'See [[Planets/Earth]].\n' },
+      { path: 'Notes/Planets/Earth.md', content: 'Third rock.\n' }
+    ], 'Notes');
+    const graphIds = applyImportedNetwork(imported, useGraphStore.getState());
+
+    const state = useGraphStore.getState();
+    expect(graphIds).toHaveLength(2);
+    expect(state.graphs.get(graphIds[0]).name).toBe('Notes');
+    expect(state.edges.size).toBe(1);
+    // The folder node still opens its own graph
+    const planets = Array.from(state.nodePrototypes.values()).find(prototype => prototype.name === 'Planets');
+    expect(planets.definitionGraphIds).toEqual([graphIds[1]]);
+    const members = Array.from(state.graphs.get(graphIds[1]).instances.values())
+      .map(instance => state.nodePrototypes.get(instance.prototypeId).name);
+    expect(members).toContain('Earth');
+  });
+});
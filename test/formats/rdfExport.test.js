@@ -0,0 +1,187 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import jsonld from 'jsonld';
+import oxigraph from 'oxigraph';
+import { exportToRedstring } from '../../src/formats/redstringFormat.js';
+import {
+  exportToRdfTurtle,
+  exportToRdfTrig,
+  serializeTurtle,
+  serializeTrig,
+  getRedstringPrefixes
+} from '../../src/formats/rdfExport.js';
+
+const createState = () => ({
+  graphs: new Map([
+    ['g1', {
+      id: 'g1',
+      name: 'Solar System',
+      description: '',
+      instances: new Map([
+        ['i1', { id: 'i1', prototypeId: 'p1', x: 1, y: 2, scale: 1 }],
+        ['i2', { id: 'i2', prototypeId: 'p2', x: 5.5, y: -2, scale: 1 }]
+      ]),
+      edgeIds: ['e1'],
+      definingNodeIds: []
+    }]
+  ]),
+  nodePrototypes: new Map([
+    ['p1', { id: 'p1', name: 'Sun', description: 'A "bright"\nstar', color: '#ff0000', definitionGraphIds: [] }],
+    ['p2', { id: 'p2', name: 'Earth', description: 'A planet', color: '#0000ff', definitionGraphIds: [] }]
+  ]),
+  edgePrototypes: new Map(),
+  edges: new Map([
+    ['e1', { id: 'e1', sourceId: 'i1', destinationId: 'i2', name: 'orbits', typeNodeId: 'base-connection-prototype', directionality: { arrowsToward: new Set(['i2']) } }]
+  ]),
+  openGraphIds: [],
+  activeGraphId: null,
+  expandedGraphIds: new Set(),
+  savedNodeIds: new Set(),
+  savedGraphIds: new Set(),
+  rightPanelTabs: []
+});
+
+const namedNode = (value) => ({ termType: 'NamedNode', value });
+const blankNode = (value) => ({ termType: 'BlankNode', value });
+const literal = (value, datatype) => ({
+  termType: 'Literal',
+  value,
+  datatype: namedNode(datatype || 'http://www.w3.org/2001/XMLSchema#string')
+});
+const defaultGraph = { termType: 'DefaultGraph', value: '' };
+const quad = (subject, predicate, object, graph = defaultGraph) => ({ subject, predicate: namedNode(predicate), object, graph });
+
+// Triples without blank nodes, as N-Triples lines, for comparing datasets across syntaxes
+const groundTriples = (store) => store.match()
+  .filter(q => q.subject.termType !== 'BlankNode' && q.object.termType !== 'BlankNode')
+  .map(q => `${q.subject.value} ${q.predicate.value} ${q.object.termType}:${q.object.value}`)
+  .sort();
+
+describe('rdfExport', () => {
+  it('writes Turtle that parses to the same dataset as the JSON-LD export', async () => {
+    const state = createState();
+    const turtle = await exportToRdfTurtle(state);
+
+    expect(turtle).toMatch(/^@prefix /);
+    expect(turtle).toContain('@prefix schema: <http://schema.org/>.');
+    expect(turtle).toContain('schema:name "Sun"');
+    expect(turtle).toContain('schema:description "A \\"bright\\"\\nstar"');
+    // Only the document root is left as a labelled blank node
+    expect(turtle.match(/_:b\d+/g)).toEqual(['_:b0']);
+
+    const fromTurtle = new oxigraph.Store();
+    fromTurtle.load(turtle, { format: 'text/turtle' });
+
+    const nquads = await jsonld.toRDF(exportToRedstring(state), { format: 'application/n-quads' });
+    const fromNquads = new oxigraph.Store();
+    fromNquads.load(nquads, { format: 'application/n-quads' });
+
+    expect(fromTurtle.size).toBe(fromNquads.size);
+    // Timestamps differ between the two exports, so compare everything else
+    const withoutTimestamps = (triples) => triples.filter(t => !/(lastViewed|created|modified|computedAt)/.test(t));
+    expect(withoutTimestamps(groundTriples(fromTurtle))).toEqual(withoutTimestamps(groundTriples(fromNquads)));
+  });
+
+  it('nests spatial contexts as blank node property lists', async () => {
+    const turtle = await exportToRdfTurtle(createState());
+    expect(turtle).toMatch(/redstring:spatialContext \[\n\s+redstring:spatialScale 1;\n\s+redstring:xCoordinate 5\.5E0;\n\s+redstring:yCoordinate -2\n\s*\]/);
+  });
+
+  it('is independent of input order', async () => {
+    const quads = await jsonld.toRDF(exportToRedstring(createState()));
+    const shuffled = [...quads].reverse();
+    expect(serializeTurtle(shuffled)).toBe(serializeTurtle(quads));
+  });
+
+  it('only declares prefixes it uses and abbreviates typed literals', () => {
+    const turtle = serializeTurtle([
+      quad(namedNode('http://schema.org/Alpha'), 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type', namedNode('http://www.w3.org/2002/07/owl#Class')),
+      quad(namedNode('http://schema.org/Alpha'), 'https://redstring.io/vocab/count', literal('3', 'http://www.w3.org/2001/XMLSchema#integer')),
+      quad(namedNode('http://schema.org/Alpha'), 'https://redstring.io/vocab/flag', literal('true', 'http://www.w3.org/2001/XMLSchema#boolean')),
+      quad(namedNode('http://schema.org/Alpha'), 'https://redstring.io/vocab/born', literal('1990-01-01', 'http://www.w3.org/2001/XMLSchema#date')),
+      quad(namedNode('http://schema.org/Alpha'), 'https://redstring.io/vocab/odd', namedNode('http://example.org/has space'))
+    ]);
+
+    expect(turtle).toBe([
+      '@prefix owl: <http://www.w3.org/2002/07/owl#>.',
+      '@prefix redstring: <https://redstring.io/vocab/>.',
+      '@prefix schema: <http://schema.org/>.',
+      '@prefix xsd: <http://www.w3.org/2001/XMLSchema#>.',
+      '',
+      'schema:Alpha a owl:Class;',
+      '    redstring:born "1990-01-01"^^xsd:date;',
+      '    redstring:count 3;',
+      '    redstring:flag true;',
+      '    redstring:odd <http://example.org/has\\u0020space>.',
+      ''
+    ].join('\n'));
+  });
+
+  it('labels shared blank nodes deterministically', () => {
+    const shared = blankNode('_:x9');
+    const turtle = serializeTurtle([
+      quad(namedNode('http://schema.org/A'), 'http://schema.org/knows', shared),
+      quad(namedNode('http://schema.org/B'), 'http://schema.org/knows', shared),
+      quad(shared, 'http://schema.org/name', literal('Shared'))
+    ]);
+    expect(turtle).toContain('schema:A schema:knows _:b0.');
+    expect(turtle).toContain('_:b0 schema:name "Shared".');
+
+    const store = new oxigraph.Store();
+    store.load(turtle, { format: 'text/turtle' });
+    expect(store.size).toBe(3);
+  });
+
+  it('keeps named graphs in TriG output', () => {
+    const graphA = namedNode('https://redstring.io/vocab/graphA');
+    const trig = serializeTrig([
+      quad(namedNode('http://schema.org/A'), 'http://schema.org/name', literal('Default')),
+      quad(namedNode('http://schema.org/A'), 'http://schema.org/name', literal('In A'), graphA),
+      quad(namedNode('http://schema.org/A'), 'http://schema.org/position', blankNode('_:p'), graphA),
+      quad(blankNode('_:p'), 'https://redstring.io/vocab/x', literal('1', 'http://www.w3.org/2001/XMLSchema#integer'), graphA)
+    ]);
+
+    expect(trig).toContain('redstring:graphA {\nschema:A schema:name "In A";');
+    const store = new oxigraph.Store();
+    store.load(trig, { format: 'application/trig' });
+    expect(store.size).toBe(4);
+    expect(store.match(null, null, null, oxigraph.namedNode(graphA.value)).length).toBe(3);
+  });
+
+  it('labels blank nodes once across TriG graph blocks', () => {
+    const graphA = namedNode('https://redstring.io/vocab/graphA');
+    const graphB = namedNode('https://redstring.io/vocab/graphB');
+    const shared = blankNode('_:s');
+    const trig = serializeTrig([
+      quad(namedNode('http://schema.org/A'), 'http://schema.org/knows', shared, graphA),
+      quad(namedNode('http://schema.org/B'), 'http://schema.org/knows', shared, graphB),
+      quad(shared, 'http://schema.org/name', literal('Shared'), graphB),
+      quad(namedNode('http://schema.org/B'), 'http://schema.org/knows', blankNode('_:other'), graphB),
+      quad(blankNode('_:other'), 'http://schema.org/name', literal('Other'), graphA)
+    ]);
+
+    expect(trig).toContain('redstring:graphA {\nschema:A schema:knows _:b1.\n_:b0 schema:name "Other"\n}');
+    expect(trig).toContain('redstring:graphB {\nschema:B schema:knows _:b0, _:b1.\n_:b1 schema:name "Shared"\n}');
+    const store = new oxigraph.Store();
+    store.load(trig, { format: 'application/trig' });
+    const [fromA] = store.match(null, null, null, oxigraph.namedNode(graphA.value))
+      .filter(q => q.predicate.value === 'http://schema.org/knows');
+    const [namedInB] = store.match(null, oxigraph.namedNode('http://schema.org/name'), oxigraph.literal('Shared'), oxigraph.namedNode(graphB.value));
+    expect(fromA.object.equals(namedInB.subject)).toBe(true);
+  });
+
+  it('exports a universe as TriG', async () => {
+    const trig = await exportToRdfTrig(createState());
+    const store = new oxigraph.Store();
+    store.load(trig, { format: 'application/trig' });
+    expect(store.size).toBeGreaterThan(0);
+  });
+
+  it('derives prefixes from the Redstring JSON-LD context', () => {
+    const prefixes = getRedstringPrefixes();
+    expect(prefixes.redstring).toBe('https://redstring.io/vocab/');
+    expect(prefixes.rdfs).toBe('http://www.w3.org/2000/01/rdf-schema#');
+    expect(prefixes.xsd).toBe('http://www.w3.org/2001/XMLSchema#');
+    expect(prefixes['@vocab']).toBeUndefined();
+  });
+});
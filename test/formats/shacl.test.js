@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { shapesToShacl, parseShacl, resolveShaclShapes } from '../../src/formats/shacl.js';
+import { createShapeConstraint } from '../../src/services/shapeConstraints.js';
+
+const buildState = () => ({
+  nodePrototypes: new Map([
+    ['person', {
+      id: 'person',
+      name: 'Person',
+      shapeConstraints: [
+        createShapeConstraint('property', { path: 'description', minCount: 1, maxCount: 2, datatype: 'string', message: 'Say "who"' }),
+        createShapeConstraint('maxPerGraph', { max: 3, severity: 'warning' })
+      ]
+    }],
+    ['place', { id: 'place', name: 'Place' }],
+    ['bornIn', {
+      id: 'bornIn',
+      name: 'born in',
+      shapeConstraints: [createShapeConstraint('edgeEndpoints', { sourceTypeId: 'person', destinationTypeId: 'place', severity: 'info' })]
+    }]
+  ]),
+  graphs: new Map(),
+  edges: new Map()
+});
+
+describe('SHACL import/export', () => {
+  it('writes node shapes with sh:targetClass and labelled classes', () => {
+    const turtle = shapesToShacl(buildState());
+    expect(turtle).toContain('@prefix sh: <http://www.w3.org/ns/shacl#>.');
+    expect(turtle).toContain('sh:targetClass <prototype:person>');
+    expect(turtle).toContain('sh:path redstring:description');
+    expect(turtle).toContain('sh:datatype xsd:string');
+    expect(turtle).toContain('sh:targetSubjectsOf <prototype:bornIn>');
+    expect(turtle).toContain('rdfs:label "Place"');
+  });
+
+  it('round-trips every constraint onto the same prototypes', () => {
+    const state = buildState();
+    const { assignments, unresolved } = resolveShaclShapes(parseShacl(shapesToShacl(state)), state);
+
+    expect(unresolved).toEqual([]);
+    expect(assignments.get('person')).toEqual(state.nodePrototypes.get('person').shapeConstraints);
+    expect(assignments.get('bornIn')).toEqual(state.nodePrototypes.get('bornIn').shapeConstraints);
+  });
+
+  it('escapes paths and messages that are not safe to write raw', () => {
+    const state = {
+      nodePrototypes: new Map([
+        ['person', {
+          id: 'person',
+          name: 'Person',
+          shapeConstraints: [
+            createShapeConstraint('property', { path: 'home town> ; a <x', message: 'Line one\nLine "two"' }),
+            createShapeConstraint('property', { path: 'http://example.com/has name>' })
+          ]
+        }]
+      ])
+    };
+    const turtle = shapesToShacl(state);
+    expect(turtle).not.toContain('<http://example.com/has name>');
+
+    const { assignments } = resolveShaclShapes(parseShacl(turtle), state);
+    expect(assignments.get('person').map(constraint => constraint.path)).toEqual(['home town> ; a <x', 'has name>']);
+    expect(assignments.get('person')[0].message).toBe('Line one\nLine "two"');
+  });
+
+  it('matches shapes from another universe by class label', () => {
+    const source = buildState();
+    const target = {
+      nodePrototypes: new Map([
+        ['p-1', { id: 'p-1', name: 'person' }],
+        ['p-2', { id: 'p-2', name: 'Place' }],
+        ['p-3', { id: 'p-3', name: 'Born In' }]
+      ])
+    };
+    const { assignments, unresolved } = resolveShaclShapes(parseShacl(shapesToShacl(source)), target);
+    expect(unresolved).toEqual([]);
+    expect(assignments.get('p-1')).toHaveLength(2);
+    expect(assignments.get('p-3')[0]).toMatchObject({ sourceTypeId: 'p-1', destinationTypeId: 'p-2' });
+  });
+
+  it('reads SHACL written by other tools', () => {
+    const turtle = `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix schema: <http://schema.org/> .
+      @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+      schema:PersonShape a sh:NodeShape ;
+        sh:targetClass schema:Person ;
+        sh:severity sh:Warning ;
+        sh:property [ sh:path schema:birthDate ; sh:maxCount 1 ; sh:datatype xsd:date ] .
+      schema:ThingShape a sh:NodeShape ;
+        sh:targetClass schema:Thing ;
+        sh:property [ sh:path schema:name ; sh:minCount 1 ] .
+    `;
+    const state = { nodePrototypes: new Map([['p-1', { id: 'p-1', name: 'Person' }]]) };
+    const { assignments, unresolved } = resolveShaclShapes(parseShacl(turtle), state);
+
+    expect(assignments.get('p-1')).toEqual([
+      expect.objectContaining({ kind: 'property', path: 'birthDate', maxCount: 1, datatype: 'date', severity: 'warning' })
+    ]);
+    expect(unresolved).toEqual(['http://schema.org/Thing']);
+  });
+
+  it('throws on Turtle that does not parse', () => {
+    expect(() => parseShacl('this is not turtle')).toThrow();
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { zipSync, strToU8 } from 'fflate';
+import useGraphStore from '../../src/store/graphStore.jsx';
+import {
+  detectDelimiter,
+  parseDelimited,
+  readXlsx,
+  readTable,
+  suggestMapping,
+  planTabularImport,
+  setPlanAction,
+  applyTabularImport
+} from '../../src/formats/tabularImport.js';
+
+const sequentialIds = () => {
+  let next = 0;
+  return () => `new-${++next}`;
+};
+
+const resetStore = (prototypes = []) => {
+  useGraphStore.setState({
+    graphs: new Map(),
+    nodePrototypes: new Map(prototypes.map(prototype => [prototype.id, prototype])),
+    edges: new Map(),
+    openGraphIds: [],
+    activeGraphId: null,
+    activeDefinitionNodeId: null,
+    rightPanelTabs: [{ type: 'home', isActive: true }],
+    expandedGraphIds: new Set(),
+    savedNodeIds: new Set(),
+    savedGraphIds: new Set()
+  });
+};
+
+const buildXlsx = () => zipSync({
+  'xl/workbook.xml': strToU8('<workbook><sheets><sheet name="People" sheetId="1" r:id="rId1"/></sheets></workbook>'),
+  'xl/_rels/workbook.xml.rels': strToU8('<Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/></Relationships>'),
+  'xl/sharedStrings.xml': strToU8('<sst><si><t>Name</t></si><si><t>Age</t></si><si><r><t>Ada </t></r><r><t>Lovelace</t></r></si></sst>'),
+  'xl/worksheets/sheet1.xml': strToU8(
+    '<worksheet><sheetData>'
+    + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="D1" t="inlineStr"><is><t>Fan &amp; friend</t></is></c></row>'
+    + '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2"><v>36</v></c><c r="C2"/><c r="D2" t="b"><v>1</v></c></row>'
+    + '</sheetData></worksheet>'
+  )
+});
+
+describe('tabularImport', () => {
+  beforeEach(() => resetStore());
+
+  it('parses quoted CSV fields and detects tab and semicolon delimiters', () => {
+    const rows = parseDelimited('name,notes\n"Smith, Jane","said ""hi""\nthen left"\r\n\nBob,\n');
+    expect(rows).toEqual([
+      ['name', 'notes'],
+      ['Smith, Jane', 'said "hi"\nthen left'],
+      ['Bob', '']
+    ]);
+    expect(detectDelimiter('a\tb\tc\n1\t2\t3')).toBe('\t');
+    expect(detectDelimiter('a;b\n1;2,5')).toBe(';');
+  });
+
+  it('reads XLSX worksheets with shared, rich, inline and boolean cells', () => {
+    const [sheet] = readXlsx(buildXlsx());
+    expect(sheet.name).toBe('People');
+    expect(sheet.rows).toEqual([
+      ['Name', 'Age', '', 'Fan & friend'],
+      ['Ada Lovelace', '36', '', 'true']
+    ]);
+
+    const table = readTable(buildXlsx(), 'people.xlsx');
+    expect(table.sheetNames).toEqual(['People']);
+    expect(table.headers).toEqual(['Name', 'Age', 'Column 3', 'Fan & friend']);
+    expect(() => readXlsx(strToU8('not a zip'))).toThrow(/XLSX/);
+  });
+
+  it('suggests node and edge list mappings from headers', () => {
+    expect(suggestMapping(['Title', 'Category', 'Summary', 'Born'])).toEqual({
+      mode: 'nodes', name: 0, type: 1, description: 2, properties: [3]
+    });
+    expect(suggestMapping(['From', 'Relationship', 'To'])).toEqual({
+      mode: 'edges', source: 0, target: 2, relation: 1
+    });
+  });
+
+  it('plans nodes with typed property columns and dedupes names within the table', () => {
+    const table = readTable('name,type,born,score\nAda,Person,1815-12-10,1\nada,Person,,2.5\nBabbage,Person,1791-12-26,3', 'people.csv');
+    const plan = planTabularImport(table, suggestMapping(table.headers), useGraphStore.getState());
+
+    expect(plan.nodes.map(node => node.name)).toEqual(['Ada', 'Babbage']);
+    expect(plan.types.map(type => type.name)).toEqual(['Person']);
+    expect(plan.propertySchema).toEqual([
+      { key: 'born', label: 'born', type: 'date', multiple: false },
+      { key: 'score', label: 'score', type: 'number', multiple: false }
+    ]);
+    expect(plan.nodes[0].properties).toEqual({
+      born: { type: 'date', values: ['1815-12-10'] },
+      score: { type: 'number', values: [1, 2.5] }
+    });
+  });
+
+  it('matches existing prototypes and lets the preview switch an entry back to create', () => {
+    resetStore([
+      { id: 'p-ada', name: 'Ada Lovelace', description: '', definitionGraphIds: [] },
+      { id: 'p-engine', name: 'Analytical Engin', description: '', definitionGraphIds: [] }
+    ]);
+    const table = readTable('source,target,relation\nAda Lovelace,Analytical Engine,wrote about', 'edges.csv');
+    const plan = planTabularImport(table, suggestMapping(table.headers), useGraphStore.getState());
+
+    const ada = plan.nodes.find(node => node.name === 'Ada Lovelace');
+    const engine = plan.nodes.find(node => node.name === 'Analytical Engine');
+    expect(ada).toMatchObject({ action: 'reuse', match: { prototypeId: 'p-ada' } });
+    // A near miss is offered for review but not applied
+    expect(engine.match).toMatchObject({ prototypeId: 'p-engine', needsReview: true });
+    expect(engine.action).toBe('create');
+
+    const switched = setPlanAction(plan, 'nodes', ada.key, 'create');
+    expect(switched.nodes.find(node => node.key === ada.key).action).toBe('create');
+    expect(plan.nodes.find(node => node.key === ada.key).action).toBe('reuse');
+  });
+
+  it('applies an edge list as a new graph in one undo step', () => {
+    resetStore([{ id: 'p-ada', name: 'Ada Lovelace', description: '', definitionGraphIds: [] }]);
+    const table = readTable('source\ttarget\trelation\nAda Lovelace\tCharles Babbage\tworked with\nCharles Babbage\tDifference Engine\tdesigned\nBad row\t\t', 'edges.tsv');
+    const plan = planTabularImport(table, suggestMapping(table.headers), useGraphStore.getState());
+    expect(plan.skipped).toEqual([{ row: 2, reason: 'Missing source or target' }]);
+
+    const result = applyTabularImport(plan, useGraphStore.getState(), { graphName: 'Engines', idFactory: sequentialIds() });
+    expect(result).toMatchObject({ created: 4, reused: 1, edgeCount: 2 });
+
+    const state = useGraphStore.getState();
+    const graph = state.graphs.get(result.graphId);
+    expect(graph.name).toBe('Engines');
+    expect(state.activeGraphId).toBe(result.graphId);
+    expect(graph.instances.size).toBe(3);
+    expect([...graph.instances.values()].some(instance => instance.prototypeId === 'p-ada')).toBe(true);
+
+    const edges = graph.edgeIds.map(id => state.edges.get(id));
+    const designed = edges.find(edge => edge.name === 'designed');
+    expect(state.nodePrototypes.get(designed.definitionNodeIds[0]).name).toBe('designed');
+    expect(designed.directionality.arrowsToward.has(designed.destinationId)).toBe(true);
+  });
+
+  it('gives newly created types the property schema of the table', () => {
+    resetStore([{ id: 'p-person', name: 'Person', description: '', definitionGraphIds: [] }]);
+    const table = readTable('name,type,born\nAda,Person,1815\nEngine,Machine,1837', 'things.csv');
+    const plan = planTabularImport(table, suggestMapping(table.headers), useGraphStore.getState());
+    applyTabularImport(plan, useGraphStore.getState(), { idFactory: sequentialIds() });
+
+    const prototypes = [...useGraphStore.getState().nodePrototypes.values()];
+    const ada = prototypes.find(prototype => prototype.name === 'Ada');
+    const machine = prototypes.find(prototype => prototype.name === 'Machine');
+    expect(ada.typeNodeId).toBe('p-person');
+    expect(ada.properties).toEqual({ born: { type: 'integer', values: [1815] } });
+    expect(machine.propertySchema).toEqual([{ key: 'born', label: 'born', type: 'integer', multiple: false }]);
+    expect(useGraphStore.getState().nodePrototypes.get('p-person').propertySchema).toBeUndefined();
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { exportToRedstring, importFromRedstring, migrateFormat, CURRENT_FORMAT_VERSION } from '../../src/formats/redstringFormat.js';
+
+const buildState = () => ({
+  graphs: new Map([
+    ['g-1', {
+      id: 'g-1',
+      name: 'People',
+      instances: new Map([
+        ['i-ada', { id: 'i-ada', prototypeId: 'ada', x: 0, y: 0 }],
+        ['i-charles', { id: 'i-charles', prototypeId: 'charles', x: 200, y: 0 }]
+      ]),
+      edgeIds: ['e-1']
+    }]
+  ]),
+  nodePrototypes: new Map([
+    ['person', {
+      id: 'person',
+      name: 'Person',
+      propertySchema: [{ key: 'born', label: 'Born', type: 'date', multiple: false }]
+    }],
+    ['ada', {
+      id: 'ada',
+      name: 'Ada',
+      typeNodeId: 'person',
+      properties: {
+        born: { type: 'date', values: ['1815-12-10'] },
+        languages: { type: 'string', values: ['English', 'French'] },
+        mentor: { type: 'reference', values: ['charles'] }
+      }
+    }],
+    ['charles', { id: 'charles', name: 'Charles', typeNodeId: 'person' }],
+    ['corresponded', { id: 'corresponded', name: 'corresponded with' }]
+  ]),
+  edges: new Map([
+    ['e-1', {
+      id: 'e-1',
+      sourceId: 'i-ada',
+      destinationId: 'i-charles',
+      definitionNodeIds: ['corresponded'],
+      directionality: { arrowsToward: new Set(['i-charles']) },
+      properties: { since: { type: 'integer', values: [1833] } }
+    }]
+  ])
+});
+
+describe('typed properties in the .redstring format', () => {
+  it('exports properties as RDF literals with datatypes', () => {
+    const data = exportToRedstring(buildState());
+    const ada = data.prototypeSpace.prototypes.ada;
+    expect(data['@context'].xsd).toBe('http://www.w3.org/2001/XMLSchema#');
+    expect(ada['redstring:properties']['prop:born']).toEqual([{ '@value': '1815-12-10', '@type': 'xsd:date' }]);
+    expect(ada['redstring:properties']['prop:mentor']).toEqual([{ '@id': 'prototype:charles' }]);
+    expect(data.prototypeSpace.prototypes.person['redstring:propertySchema'][0]['rdfs:range']).toEqual({ '@id': 'xsd:date' });
+    expect(data.relationships.edges['e-1']['redstring:properties']['prop:since']).toEqual([{ '@value': '1833', '@type': 'xsd:integer' }]);
+    expect(data.prototypeSpace.prototypes.charles['redstring:properties']).toBeUndefined();
+  });
+
+  it('round-trips properties on prototypes and edges and schemas on types', () => {
+    const state = buildState();
+    const { storeState } = importFromRedstring(exportToRedstring(state));
+    expect(storeState.nodePrototypes.get('ada').properties).toEqual(state.nodePrototypes.get('ada').properties);
+    expect(storeState.nodePrototypes.get('person').propertySchema).toEqual(state.nodePrototypes.get('person').propertySchema);
+    expect(storeState.edges.get('e-1').properties).toEqual(state.edges.get('e-1').properties);
+    expect(storeState.nodePrototypes.get('charles').properties).toBeUndefined();
+  });
+
+  it('migrates untyped properties in older files to typed ones', () => {
+    const data = exportToRedstring(buildState());
+    data.format = 'redstring-v3.0.0';
+    data.metadata.version = '3.0.0';
+    delete data.prototypeSpace.prototypes.ada['redstring:properties'];
+    data.prototypeSpace.prototypes.ada.properties = { 'Born on': '1815-12-10', children: 3 };
+
+    const migrated = migrateFormat(data, '3.0.0');
+    expect(migrated.metadata.version).toBe(CURRENT_FORMAT_VERSION);
+    expect(migrated.metadata.migrationsApplied).toContain('v3_to_v3_1');
+    expect(migrated.prototypeSpace.prototypes.ada.properties).toBeUndefined();
+
+    const { storeState, version } = importFromRedstring(data);
+    expect(version.migrated).toBe(true);
+    expect(storeState.nodePrototypes.get('ada').properties).toEqual({
+      bornOn: { type: 'date', values: ['1815-12-10'] },
+      children: { type: 'integer', values: [3] }
+    });
+    expect(storeState.edges.get('e-1').properties).toEqual({ since: { type: 'integer', values: [1833] } });
+  });
+
+  it('migrates untyped properties on legacy v1 prototypes', () => {
+    const legacy = {
+      nodePrototypes: { n1: { name: 'Ada', properties: { born: '1815-12-10' } } },
+      graphs: {},
+      edges: {}
+    };
+    const { storeState } = importFromRedstring(legacy);
+    expect(storeState.nodePrototypes.get('n1').properties).toEqual({ born: { type: 'date', values: ['1815-12-10'] } });
+  });
+});
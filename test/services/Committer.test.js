@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const reviewItems = [];
+const appended = [];
+const enqueued = [];
+const queues = new Map();
+
+vi.mock('../../src/services/queue/Queue.js', () => ({
+  default: {
+    pullBatch: vi.fn(() => reviewItems.splice(0)),
+    pull: vi.fn((name, { max = 1 } = {}) => (queues.get(name) || []).splice(0, max)),
+    enqueue: vi.fn((name, item) => {
+      if (!queues.has(name)) queues.set(name, []);
+      queues.get(name).push({ ...item, leaseId: `lease-${queues.get(name).length}` });
+    }),
+    ack: vi.fn(),
+    nack: vi.fn()
+  }
+}));
+
+vi.mock('../../src/services/EventLog.js', () => ({
+  default: { append: vi.fn(event => { appended.push(event); }) }
+}));
+
+vi.mock('../../src/services/bridgeConfig.js', () => ({
+  bridgeFetch: vi.fn(async (_url, init) => {
+    enqueued.push(JSON.parse(init.body));
+    return { ok: true, text: async () => '' };
+  })
+}));
+
+const { default: sharedCommitter, CommitterService } = await import('../../src/services/Committer.js');
+const { runPlannerOnce, runExecutorOnce } = await import('../../src/services/orchestrator/roleRunners.js');
+
+const review = (patch) => ({ graphId: patch.graphId, leaseId: `lease-${patch.patchId}`, patch });
+const move = (instanceId, x) => ({ type: 'moveNodeInstance', graphId: 'g1', instanceId, position: { x, y: 0 } });
+
+// The graph lock runs the async body without awaiting it; let it finish
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Committer', () => {
+  let committer;
+
+  beforeEach(() => {
+    appended.length = 0;
+    enqueued.length = 0;
+    committer = new CommitterService();
+  });
+
+  it('applies concurrent patches on different entities and rejects the conflicting one', async () => {
+    const base = committer.getGraphHash('g1');
+    reviewItems.push(
+      review({ patchId: 'p-a', threadId: 't1', graphId: 'g1', baseHash: base, ops: [move('a', 10)] }),
+      review({ patchId: 'p-b', threadId: 't2', graphId: 'g1', baseHash: base, ops: [move('b', 20)] }),
+      review({ patchId: 'p-c', threadId: 't3', graphId: 'g1', baseHash: base, ops: [move('a', 30)] })
+    );
+
+    await committer._tick();
+    await flush();
+
+    const rejected = appended.filter(e => e.type === 'PATCH_REJECTED');
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0]).toMatchObject({ patchId: 'p-c', threadId: 't3', reason: 'conflict', baseHash: base, conflictingEntityIds: ['a'] });
+
+    const applied = appended.find(e => e.type === 'PATCH_APPLIED');
+    expect(applied).toMatchObject({ graphId: 'g1', patchIds: ['p-a', 'p-b'], headHash: committer.getGraphHash('g1') });
+    expect(enqueued[0].actions[0]).toEqual({ action: 'applyMutations', params: [[move('a', 10), move('b', 20)]] });
+  });
+
+  it('does not apply a patch twice', async () => {
+    reviewItems.push(review({ patchId: 'p-a', graphId: 'g1', ops: [move('a', 99)] }));
+    await committer._tick();
+    await flush();
+    expect(appended.map(e => e.type)).toEqual(['PATCH_APPLIED']);
+
+    appended.length = 0;
+    enqueued.length = 0;
+    reviewItems.push(review({ patchId: 'p-a', graphId: 'g1', ops: [move('a', 99)] }));
+    await committer._tick();
+    await flush();
+    expect(appended).toEqual([]);
+    expect(enqueued).toEqual([]);
+  });
+});
+
+describe('orchestrator role runners', () => {
+  beforeEach(() => {
+    queues.clear();
+  });
+
+  it('stamps the head the planner saw, not the one at execution time', async () => {
+    const task = { toolName: 'create_node_instance', args: { graph_id: 'g-plan', prototype_id: 'proto-1', x: 0, y: 0 } };
+    queues.set('goalQueue', [{ leaseId: 'goal-1', threadId: 't1', dag: { tasks: [task] } }]);
+    const plannedHash = sharedCommitter.getGraphHash('g-plan');
+
+    await runPlannerOnce();
+    expect(queues.get('taskQueue')[0].baseHash).toBe(plannedHash);
+
+    // Someone else edits the graph before the executor picks the task up
+    sharedCommitter.commitLog.commit('g-plan', [{ type: 'moveNodeInstance', graphId: 'g-plan', instanceId: 'x', position: { x: 1, y: 1 } }]);
+    expect(sharedCommitter.getGraphHash('g-plan')).not.toBe(plannedHash);
+
+    await runExecutorOnce();
+    expect(queues.get('patchQueue')[0].baseHash).toBe(plannedHash);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { computeAutoLayout, layeredLayout, radialLayout, forceDirectedLayout } from '../../src/services/autoLayout.js';
+
+const node = (id, x = 0, y = 0, width = 150, height = 80) => ({ id, x, y, width, height });
+const edge = (sourceId, destinationId) => ({ sourceId, destinationId });
+
+const overlaps = (nodes, positions) => {
+  const byId = new Map(positions.map(p => [p.instanceId, p]));
+  const boxes = nodes.map(n => ({ ...byId.get(n.instanceId || n.id), width: n.width, height: n.height }));
+  for (let i = 0; i < boxes.length; i++) {
+    for (let j = i + 1; j < boxes.length; j++) {
+      const a = boxes[i];
+      const b = boxes[j];
+      if (a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height) return true;
+    }
+  }
+  return false;
+};
+
+// A small tree with a cross link: a -> b, a -> c, b -> d, c -> d, d -> e
+const dag = () => ({
+  nodes: [node('a', 0, 0), node('b', 10, 0), node('c', 20, 0, 300, 80), node('d', 30, 0), node('e', 40, 0, 150, 120)],
+  edges: [edge('a', 'b'), edge('a', 'c'), edge('b', 'd'), edge('c', 'd'), edge('d', 'e')]
+});
+
+describe('computeAutoLayout', () => {
+  it('returns store position updates without overlaps for every algorithm', () => {
+    const { nodes, edges } = dag();
+    ['force', 'layered', 'radial'].forEach(algorithm => {
+      const positions = computeAutoLayout({ algorithm, nodes, edges });
+      expect(positions.map(p => p.instanceId)).toEqual(['a', 'b', 'c', 'd', 'e']);
+      positions.forEach(p => {
+        expect(Number.isFinite(p.x)).toBe(true);
+        expect(Number.isFinite(p.y)).toBe(true);
+      });
+      expect(overlaps(nodes, positions)).toBe(false);
+    });
+  });
+
+  it('keeps the graph centred where it was', () => {
+    const nodes = [node('a', 1000, 1000), node('b', 1400, 1000)];
+    const positions = computeAutoLayout({ algorithm: 'force', nodes, edges: [edge('a', 'b')] });
+    const centre = positions.reduce((acc, p) => acc + p.x + 75, 0) / positions.length;
+    expect(Math.abs(centre - 1275)).toBeLessThan(1);
+  });
+
+  it('rejects unknown algorithms and handles empty graphs', () => {
+    expect(() => computeAutoLayout({ algorithm: 'spiral', nodes: [node('a')] })).toThrow('Unknown layout algorithm');
+    expect(computeAutoLayout({ algorithm: 'layered', nodes: [] })).toEqual([]);
+  });
+});
+
+describe('layeredLayout', () => {
+  it('puts every edge source above its target', () => {
+    const { nodes, edges } = dag();
+    const centres = layeredLayout(nodes, edges);
+    edges.forEach(({ sourceId, destinationId }) => {
+      expect(centres.get(sourceId).y).toBeLessThan(centres.get(destinationId).y);
+    });
+    // Layers are spaced by the tallest node in each
+    expect(centres.get('b').y).toBe(centres.get('c').y);
+  });
+
+  it('breaks cycles instead of looping', () => {
+    const nodes = [node('a'), node('b'), node('c')];
+    const centres = layeredLayout(nodes, [edge('a', 'b'), edge('b', 'c'), edge('c', 'a')]);
+    expect(new Set(Array.from(centres.values()).map(c => c.y)).size).toBe(3);
+  });
+
+  it('keeps group members next to each other within a layer', () => {
+    const nodes = ['root', 'x1', 'y1', 'x2', 'y2'].map((id, i) => node(id, i * 10, 0));
+    const edges = ['x1', 'y1', 'x2', 'y2'].map(id => edge('root', id));
+    const groups = [{ id: 'gx', memberInstanceIds: ['x1', 'x2'] }, { id: 'gy', memberInstanceIds: ['y1', 'y2'] }];
+    const centres = layeredLayout(nodes, edges, groups);
+    const order = ['x1', 'y1', 'x2', 'y2'].sort((a, b) => centres.get(a).x - centres.get(b).x);
+    const groupOf = (id) => id[0];
+    expect(groupOf(order[0])).toBe(groupOf(order[1]));
+    expect(groupOf(order[2])).toBe(groupOf(order[3]));
+  });
+});
+
+describe('radialLayout', () => {
+  it('centres the chosen root and rings its neighbours around it', () => {
+    const nodes = [node('hub'), node('n1'), node('n2'), node('n3'), node('far')];
+    const edges = [edge('hub', 'n1'), edge('hub', 'n2'), edge('hub', 'n3'), edge('n1', 'far')];
+    const centres = radialLayout(nodes, edges, [], 'hub');
+    expect(centres.get('hub')).toEqual({ x: 0, y: 0 });
+    const distance = (id) => Math.hypot(centres.get(id).x, centres.get(id).y);
+    expect(distance('n1')).toBeCloseTo(distance('n2'), 0);
+    expect(distance('far')).toBeGreaterThan(distance('n1'));
+  });
+
+  it('defaults to the most connected node and places unreachable nodes outside', () => {
+    const nodes = [node('a'), node('hub'), node('b'), node('island')];
+    const centres = radialLayout(nodes, [edge('hub', 'a'), edge('hub', 'b')]);
+    expect(centres.get('hub')).toEqual({ x: 0, y: 0 });
+    expect(Math.hypot(centres.get('island').x, centres.get('island').y))
+      .toBeGreaterThan(Math.hypot(centres.get('a').x, centres.get('a').y));
+  });
+});
+
+describe('forceDirectedLayout', () => {
+  it('separates nodes that start on the same spot and keeps groups close', () => {
+    const nodes = ['a1', 'a2', 'a3', 'b1', 'b2', 'b3'].map(id => node(id));
+    const groups = [{ id: 'A', memberInstanceIds: ['a1', 'a2', 'a3'] }, { id: 'B', memberInstanceIds: ['b1', 'b2', 'b3'] }];
+    const centres = forceDirectedLayout(nodes, [], groups);
+    const mean = (ids) => ids.reduce((acc, id) => ({ x: acc.x + centres.get(id).x / ids.length, y: acc.y + centres.get(id).y / ids.length }), { x: 0, y: 0 });
+    const spread = (ids) => {
+      const c = mean(ids);
+      return Math.max(...ids.map(id => Math.hypot(centres.get(id).x - c.x, centres.get(id).y - c.y)));
+    };
+    const a = mean(['a1', 'a2', 'a3']);
+    const b = mean(['b1', 'b2', 'b3']);
+    expect(Math.hypot(a.x - b.x, a.y - b.y)).toBeGreaterThan(spread(['a1', 'a2', 'a3']));
+    expect(new Set(Array.from(centres.values()).map(c => `${Math.round(c.x)},${Math.round(c.y)}`)).size).toBe(6);
+  });
+});
@@ -0,0 +1,200 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import useGraphStore from '../../src/store/graphStore.jsx';
+import undoHistory from '../../src/store/undoHistory.js';
+import historyRecorder from '../../src/services/historyRecorder.js';
+import {
+  encodeHistoryValue,
+  decodeHistoryValue,
+  createMutationEvent,
+  createSnapshotEvent,
+  replayUniverse,
+  listGraphCheckpoints,
+  eventsForGraph,
+  mergeHistoryEvents
+} from '../../src/services/eventHistory.js';
+
+const resetStore = () => {
+  useGraphStore.setState({
+    graphs: new Map(),
+    nodePrototypes: new Map(),
+    edges: new Map(),
+    openGraphIds: [],
+    activeGraphId: null,
+    activeDefinitionNodeId: null,
+    rightPanelTabs: [{ type: 'home', isActive: true }],
+    expandedGraphIds: new Set(),
+    savedNodeIds: new Set(),
+    savedGraphIds: new Set(),
+  });
+  undoHistory.clear();
+  historyRecorder.clear();
+};
+
+const createGraph = (name) => {
+  useGraphStore.getState().createNewGraph({ name });
+  return useGraphStore.getState().activeGraphId;
+};
+
+// JSON Lines round trip, as the daemon's event log stores them
+const persisted = (events) => JSON.parse(JSON.stringify(events));
+
+const instanceIds = (state, graphId) => Array.from(state.graphs.get(graphId).instances.keys()).sort();
+
+describe('event history encoding', () => {
+  it('round-trips Maps and Sets through JSON', () => {
+    const value = { graphs: new Map([['g', { instances: new Map([['i', { x: 1 }]]), tags: new Set(['a']) }]]) };
+    const decoded = decodeHistoryValue(JSON.parse(JSON.stringify(encodeHistoryValue(value))));
+    expect(decoded).toEqual(value);
+    expect(decoded.graphs.get('g').tags).toBeInstanceOf(Set);
+  });
+
+  it('keeps only universe data in mutation events', () => {
+    const event = createMutationEvent([
+      { op: 'replace', path: ['activeGraphId'], value: 'g' },
+      { op: 'add', path: ['graphs', 'g'], value: { id: 'g', instances: new Map() } }
+    ], { actor: 'agent', action: 'graph_create', ts: 5 });
+    expect(event).toMatchObject({ type: 'STORE_MUTATION', actor: 'agent', action: 'graph_create', ts: 5, graphIds: ['g'] });
+    expect(event.patches).toHaveLength(1);
+    expect(createMutationEvent([{ op: 'replace', path: ['activeGraphId'], value: 'g' }])).toBeNull();
+  });
+});
+
+describe('replayUniverse', () => {
+  it('starts from the latest snapshot before the requested time', () => {
+    const events = persisted([
+      createSnapshotEvent({ graphs: new Map([['old', { id: 'old' }]]) }, { ts: 1 }),
+      createMutationEvent([{ op: 'add', path: ['graphs', 'a'], value: { id: 'a' } }], { ts: 2 }),
+      createSnapshotEvent({ graphs: new Map([['b', { id: 'b' }]]) }, { ts: 3, reason: 'load' }),
+      createMutationEvent([{ op: 'add', path: ['graphs', 'c'], value: { id: 'c' } }], { ts: 4 })
+    ]);
+    expect(Array.from(replayUniverse(events, 2).state.graphs.keys())).toEqual(['old', 'a']);
+    expect(Array.from(replayUniverse(events, 3).state.graphs.keys())).toEqual(['b']);
+    expect(replayUniverse(events).state.graphs.size).toBe(2);
+    expect(replayUniverse(events, 0).state.graphs.size).toBe(0);
+  });
+});
+
+describe('replayUniverse across sessions', () => {
+  // Two tabs: each records its own baseline and patches against it
+  const events = persisted([
+    createSnapshotEvent({ graphs: new Map([['a', { id: 'a' }]]) }, { ts: 1, sessionId: 'A' }),
+    createSnapshotEvent({ graphs: new Map([['b', { id: 'b' }]]) }, { ts: 2, sessionId: 'B' }),
+    createMutationEvent([{ op: 'add', path: ['graphs', 'c'], value: { id: 'c' } }], { ts: 3, sessionId: 'A' }),
+    createMutationEvent([{ op: 'remove', path: ['graphs', 'b'] }], { ts: 4, sessionId: 'B' })
+  ]);
+
+  it('replays one session on top of its own snapshot', () => {
+    expect(Array.from(replayUniverse(events, 3).state.graphs.keys())).toEqual(['a', 'c']);
+    expect(Array.from(replayUniverse(events, 3, { sessionId: 'B' }).state.graphs.keys())).toEqual(['b']);
+    expect(replayUniverse(events).state.graphs.size).toBe(0);
+    expect(listGraphCheckpoints(events, 'c')[2]).toMatchObject({ ts: 3, sessionId: 'A' });
+  });
+
+  it('merges event lists without duplicates', () => {
+    const merged = mergeHistoryEvents(events.slice(0, 3), events.slice(1));
+    expect(merged.map(e => e.ts)).toEqual([1, 2, 3, 4]);
+  });
+});
+
+describe('eventsForGraph', () => {
+  it('keeps snapshots and cuts mutations down to the graph and shared data', () => {
+    const events = persisted([
+      createSnapshotEvent({ graphs: new Map() }, { ts: 1 }),
+      createMutationEvent([
+        { op: 'add', path: ['graphs', 'g1'], value: { id: 'g1', instances: new Map() } },
+        { op: 'add', path: ['graphs', 'g2'], value: { id: 'g2', instances: new Map() } },
+        { op: 'add', path: ['nodePrototypes', 'p1'], value: { id: 'p1', name: 'Alpha' } }
+      ], { ts: 2 }),
+      createMutationEvent([{ op: 'replace', path: ['graphs', 'g2', 'name'], value: 'Other' }], { ts: 3 }),
+      createMutationEvent([{ op: 'replace', path: ['nodePrototypes', 'p1', 'name'], value: 'Beta' }], { ts: 4 })
+    ]);
+
+    const forG1 = eventsForGraph(events, 'g1');
+    expect(forG1.map(e => e.ts)).toEqual([1, 2, 4]);
+    expect(forG1[1].patches.map(p => p.path.join('/'))).toEqual(['graphs/g1', 'nodePrototypes/p1']);
+
+    const { state } = replayUniverse(forG1);
+    expect(Array.from(state.graphs.keys())).toEqual(['g1']);
+    expect(state.nodePrototypes.get('p1').name).toBe('Beta');
+  });
+});
+
+describe('store history recording', () => {
+  beforeEach(() => {
+    resetStore();
+  });
+
+  it('replays the store as it was at any recorded time', () => {
+    const graphId = createGraph('History Graph');
+    const { addNodePrototype, addNodeInstance, updateNodeInstance, removeNodeInstance } = useGraphStore.getState();
+    addNodePrototype({ id: 'proto-1', name: 'Alpha', definitionGraphIds: [] });
+    addNodeInstance(graphId, 'proto-1', { x: 0, y: 0 }, 'inst-1');
+    addNodeInstance(graphId, 'proto-1', { x: 50, y: 0 }, 'inst-2');
+    const afterAdds = historyRecorder.events.at(-1).ts;
+
+    updateNodeInstance(graphId, 'inst-1', draft => { draft.x = 10; }, { isDragging: true, phase: 'move' });
+    updateNodeInstance(graphId, 'inst-1', draft => { draft.x = 20; }, { isDragging: true, phase: 'move' });
+    updateNodeInstance(graphId, 'inst-1', draft => { draft.x = 30; }, { isDragging: false, phase: 'end' });
+    removeNodeInstance(graphId, 'inst-2');
+
+    const events = persisted(historyRecorder.events);
+    expect(events[0]).toMatchObject({ type: 'UNIVERSE_SNAPSHOT', reason: 'baseline' });
+    expect(events.filter(e => e.action === 'node_position')).toHaveLength(1);
+    expect(events.every((e, i) => i === 0 || e.ts > events[i - 1].ts)).toBe(true);
+
+    const past = replayUniverse(events, afterAdds).state;
+    expect(instanceIds(past, graphId)).toEqual(['inst-1', 'inst-2']);
+    expect(past.graphs.get(graphId).instances.get('inst-1').x).toBe(0);
+
+    const now = replayUniverse(events).state;
+    const state = useGraphStore.getState();
+    expect(now.graphs.get(graphId).instances).toEqual(state.graphs.get(graphId).instances);
+    expect(now.nodePrototypes.get('proto-1').name).toBe('Alpha');
+
+    expect(listGraphCheckpoints(events, graphId).map(c => c.action)).toContain('node_position');
+  });
+
+  it('attributes agent changes and restores a graph as an undoable, recorded change', async () => {
+    const graphId = createGraph('Restore Graph');
+    const { addNodePrototype, addNodeInstance } = useGraphStore.getState();
+    addNodePrototype({ id: 'proto-1', name: 'Alpha', definitionGraphIds: [] });
+    addNodeInstance(graphId, 'proto-1', { x: 0, y: 0 }, 'inst-1');
+    const before = historyRecorder.events.at(-1).ts;
+
+    await historyRecorder.withActor('agent', async () => {
+      useGraphStore.getState().addNodeInstance(graphId, 'proto-1', { x: 9, y: 9 }, 'inst-agent');
+    });
+    expect(historyRecorder.events.at(-1)).toMatchObject({ actor: 'agent', graphIds: [graphId] });
+    expect(historyRecorder.actor).toBe('user');
+
+    const pastState = replayUniverse(historyRecorder.events, before).state;
+    expect(useGraphStore.getState().restoreGraphFromHistory(graphId, pastState)).toBe(true);
+    expect(instanceIds(useGraphStore.getState(), graphId)).toEqual(['inst-1']);
+    expect(historyRecorder.events.at(-1).action).toBe('history_restore');
+
+    useGraphStore.getState().undo(graphId);
+    expect(instanceIds(useGraphStore.getState(), graphId)).toEqual(['inst-1', 'inst-agent']);
+    expect(instanceIds(historyRecorder.replay().state, graphId)).toEqual(['inst-1', 'inst-agent']);
+  });
+
+  it('does not attribute user edits made while an agent action awaits', async () => {
+    const graphId = createGraph('Actor Graph');
+    useGraphStore.getState().addNodePrototype({ id: 'proto-1', name: 'Alpha', definitionGraphIds: [] });
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+
+    const agentAction = historyRecorder.withActor('agent', async () => {
+      useGraphStore.getState().addNodeInstance(graphId, 'proto-1', { x: 0, y: 0 }, 'inst-agent');
+      await gate;
+      historyRecorder.withActor('agent', () => useGraphStore.getState().addNodeInstance(graphId, 'proto-1', { x: 5, y: 0 }, 'inst-agent-2'));
+    });
+    useGraphStore.getState().addNodeInstance(graphId, 'proto-1', { x: 9, y: 9 }, 'inst-user');
+    release();
+    await agentAction;
+
+    const actorOf = (instanceId) => historyRecorder.events.find(e => JSON.stringify(e.patches || []).includes(instanceId)).actor;
+    expect(actorOf('inst-agent')).toBe('agent');
+    expect(actorOf('inst-user')).toBe('user');
+    expect(actorOf('inst-agent-2')).toBe('agent');
+  });
+});
@@ -0,0 +1,100 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LocalGitSemanticProvider } from '../../src/services/gitNativeProvider.js';
+import { GitSyncEngine } from '../../src/services/gitSyncEngine.js';
+import { importFromRedstring } from '../../src/formats/redstringFormat.js';
+
+const buildStoreState = () => ({
+  graphs: new Map([['g1', {
+    id: 'g1',
+    name: 'Biology',
+    description: '',
+    instances: new Map([['i1', { id: 'i1', prototypeId: 'p1', x: 0, y: 0, scale: 1 }]]),
+    edgeIds: [],
+    definingNodeIds: []
+  }]]),
+  nodePrototypes: new Map([
+    ['p1', { id: 'p1', name: 'Cell', description: '', color: '#800000', definitionGraphIds: [] }]
+  ]),
+  edges: new Map(),
+  openGraphIds: ['g1'],
+  activeGraphId: 'g1',
+  activeDefinitionNodeId: null,
+  expandedGraphIds: new Set(),
+  rightPanelTabs: [],
+  savedNodeIds: new Set(),
+  savedGraphIds: new Set(),
+  showConnectionNames: false
+});
+
+// A device: its own engine over the shared repository, holding the state it last loaded
+const openDevice = async (dir) => {
+  const engine = new GitSyncEngine(new LocalGitSemanticProvider({ dir, fs }), 'git', 'default');
+  const events = [];
+  engine.onMergeEvent(event => events.push(event.type));
+  const { storeState } = importFromRedstring(await engine.loadFromGit());
+  return { engine, events, state: storeState };
+};
+
+const commit = async (engine, state) => {
+  engine.lastCommitTime = 0; // skip the 2s rate limit
+  return engine.forceCommit(state);
+};
+
+describe('GitSyncEngine three-way merge', () => {
+  let root;
+  let dir;
+
+  beforeEach(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'redstring-merge-'));
+    dir = path.join(root, 'repo');
+    const seed = new GitSyncEngine(new LocalGitSemanticProvider({ dir, fs }), 'git', 'default');
+    await seed.forceCommit(buildStoreState());
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('keeps work from two devices editing different things', async () => {
+    const a = await openDevice(dir);
+    const b = await openDevice(dir);
+    expect(a.engine.lastSyncedSha).toBeTruthy();
+
+    a.state.nodePrototypes.get('p1').description = 'from A';
+    expect(await commit(a.engine, a.state)).toBe(true);
+
+    b.state.nodePrototypes.set('p2', { id: 'p2', name: 'Nucleus', description: '', color: '#800000', definitionGraphIds: [] });
+    expect(await commit(b.engine, b.state)).toBe(true);
+    expect(b.events).toContain('merged');
+
+    const { storeState } = importFromRedstring(await a.engine.loadFromGit());
+    expect(storeState.nodePrototypes.get('p1').description).toBe('from A');
+    expect(storeState.nodePrototypes.get('p2').name).toBe('Nucleus');
+    expect(b.engine.lastSyncedSha).toBe((await b.engine.listHistory())[0].sha);
+  });
+
+  it('holds commits on a true conflict until the user resolves it', async () => {
+    const a = await openDevice(dir);
+    const b = await openDevice(dir);
+
+    a.state.nodePrototypes.get('p1').name = 'Cell A';
+    await commit(a.engine, a.state);
+
+    b.state.nodePrototypes.get('p1').name = 'Cell B';
+    expect(await commit(b.engine, b.state)).toBe(false);
+    expect(b.events).toContain('conflict');
+    expect(b.engine.pendingMerge.conflicts.map(c => c.id)).toEqual(['prototype:p1:name']);
+    // Still blocked while the merge is pending
+    expect(await commit(b.engine, b.state)).toBe(false);
+
+    const resolved = b.engine.resolvePendingMerge({ 'prototype:p1:name': 'local' });
+    expect(await commit(b.engine, resolved)).toBe(true);
+
+    const { storeState } = importFromRedstring(await a.engine.loadFromGit());
+    expect(storeState.nodePrototypes.get('p1').name).toBe('Cell B');
+  });
+});
@@ -0,0 +1,294 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import http from 'http';
+import { Buffer } from 'buffer';
+import { GitLabSemanticProvider, SemanticProviderFactory } from '../../src/services/gitNativeProvider.js';
+
+const TOKEN = 'glpat-test';
+const PROJECT = 'team/knowledge/atlas';
+
+// Minimal in-memory model of the GitLab v4 projects, repository files, tree and commits APIs
+const createGitLabStub = () => {
+  const files = new Map(); // path -> { content (base64), lastCommitId, blobId }
+  const commits = []; // newest first
+  const requests = [];
+  let commitCounter = 0;
+  let injectConflicts = 0;
+
+  const commit = (path, message) => {
+    const id = `c${++commitCounter}`;
+    commits.unshift({ id, path, message, author_name: 'Stub', authored_date: new Date(commitCounter * 1000).toISOString() });
+    return id;
+  };
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const treeAt = (dir, recursive) => {
+    const prefix = dir ? `${dir}/` : '';
+    const entries = new Map();
+    for (const [path, file] of files) {
+      if (!path.startsWith(prefix)) continue;
+      const rest = path.slice(prefix.length).split('/');
+      if (recursive) {
+        rest.slice(0, -1).forEach((_, i) => {
+          const treePath = prefix + rest.slice(0, i + 1).join('/');
+          entries.set(treePath, { id: `t-${treePath}`, name: rest[i], type: 'tree', path: treePath });
+        });
+        entries.set(path, { id: file.blobId, name: rest[rest.length - 1], type: 'blob', path });
+      } else if (rest.length === 1) {
+        entries.set(path, { id: file.blobId, name: rest[0], type: 'blob', path });
+      } else {
+        entries.set(prefix + rest[0], { id: `t-${prefix + rest[0]}`, name: rest[0], type: 'tree', path: prefix + rest[0] });
+      }
+    }
+    return Array.from(entries.values());
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://stub');
+      requests.push({ method: req.method, path: url.pathname, headers: req.headers });
+
+      if (req.headers['private-token'] !== TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+        return send(res, 401, { message: '401 Unauthorized' });
+      }
+      if (url.pathname === '/api/v4/projects' && req.method === 'GET') {
+        return send(res, 200, [{
+          id: 7, path: 'atlas', path_with_namespace: PROJECT, namespace: { full_path: 'team/knowledge' },
+          description: 'Atlas', visibility: 'private', web_url: 'http://stub/team/knowledge/atlas',
+          default_branch: 'trunk', created_at: '2024-01-01T00:00:00Z', last_activity_at: '2024-02-01T00:00:00Z'
+        }]);
+      }
+
+      const projectBase = `/api/v4/projects/${encodeURIComponent(PROJECT)}`;
+      // req.url is not decoded, so the URL-encoded project path arrives verbatim
+      if (!req.url.startsWith(projectBase)) {
+        return send(res, 404, { message: '404 Project Not Found' });
+      }
+      const rest = url.pathname.slice(projectBase.length);
+
+      if (rest === '') {
+        return send(res, 200, { id: 7, default_branch: 'trunk' });
+      }
+
+      if (rest === '/repository/tree') {
+        const all = treeAt(url.searchParams.get('path') || '', url.searchParams.get('recursive') === 'true');
+        if (all.length === 0) return send(res, 404, { message: '404 Tree Not Found' });
+        // Two entries per page to exercise pagination
+        const page = Number(url.searchParams.get('page') || 1);
+        const slice = all.slice((page - 1) * 2, page * 2);
+        const next = page * 2 < all.length ? String(page + 1) : '';
+        return send(res, 200, slice, { 'x-next-page': next });
+      }
+
+      if (rest === '/repository/commits') {
+        const path = url.searchParams.get('path');
+        return send(res, 200, commits.filter(c => !path || c.path === path));
+      }
+
+      const fileMatch = req.url.slice(projectBase.length).match(/^\/repository\/files\/([^?]+)/);
+      if (fileMatch) {
+        const filePath = decodeURIComponent(fileMatch[1]);
+        const existing = files.get(filePath);
+
+        if (req.method === 'GET') {
+          if (!existing) return send(res, 404, { message: '404 File Not Found' });
+          const ref = url.searchParams.get('ref');
+          if (ref !== 'trunk' && ref !== existing.lastCommitId && !existing.history?.[ref]) {
+            return send(res, 404, { message: '404 File Not Found' });
+          }
+          const content = existing.history?.[ref] ?? existing.content;
+          return send(res, 200, { file_path: filePath, content, encoding: 'base64', last_commit_id: existing.lastCommitId, blob_id: existing.blobId });
+        }
+
+        const body = JSON.parse(raw || '{}');
+        if (body.branch !== 'trunk') return send(res, 400, { message: 'You can only create or edit files when you are on a branch' });
+
+        if (req.method === 'POST') {
+          if (existing) return send(res, 400, { message: 'A file with this name already exists' });
+        } else if (req.method === 'PUT') {
+          if (!existing) return send(res, 400, { message: 'A file with this name doesn\'t exist' });
+          if (injectConflicts > 0) {
+            injectConflicts--;
+            // Simulate a concurrent commit landing before ours
+            existing.lastCommitId = commit(filePath, 'Concurrent edit');
+          }
+          if (body.last_commit_id && body.last_commit_id !== existing.lastCommitId) {
+            return send(res, 400, { message: 'You are attempting to update a file that has changed since you started editing it.' });
+          }
+        } else {
+          return send(res, 405, { message: 'Method Not Allowed' });
+        }
+
+        const id = commit(filePath, body.commit_message);
+        const history = { ...(existing?.history || {}), [id]: body.content };
+        files.set(filePath, { content: body.content, lastCommitId: id, blobId: `b${commitCounter}`, history });
+        return send(res, req.method === 'POST' ? 201 : 200, { file_path: filePath, branch: body.branch });
+      }
+
+      return send(res, 404, { message: '404 Not Found' });
+    });
+  });
+
+  return {
+    server,
+    files,
+    requests,
+    conflictNextPut(count = 1) { injectConflicts = count; }
+  };
+};
+
+const text = (value) => Buffer.from(value, 'utf8').toString('base64');
+
+describe('GitLabSemanticProvider', () => {
+  let stub;
+  let endpoint;
+
+  beforeAll(async () => {
+    stub = createGitLabStub();
+    await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${stub.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => stub.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    stub.files.clear();
+    stub.requests.length = 0;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  const makeProvider = (overrides = {}) => new GitLabSemanticProvider({
+    endpoint: `${endpoint}/`,
+    user: 'team/knowledge',
+    repo: 'atlas',
+    token: TOKEN,
+    retryDelayMs: 0,
+    ...overrides
+  });
+
+  it('creates, updates and reads files on the default branch', async () => {
+    const provider = makeProvider();
+    await provider.writeFileRaw('universes/atlas/atlas.redstring', '{"v":1,"name":"Ünïcode"}');
+    expect(stub.requests.find(r => r.method === 'POST')).toBeTruthy();
+    expect(provider.branch).toBe('trunk');
+
+    await provider.writeFileRaw('universes/atlas/atlas.redstring', '{"v":2}');
+    expect(stub.requests.filter(r => r.method === 'PUT')).toHaveLength(1);
+    expect(await provider.readFileRaw('universes/atlas/atlas.redstring')).toBe('{"v":2}');
+
+    await expect(provider.readFileRaw('missing.ttl')).rejects.toThrow('File not found: missing.ttl');
+  });
+
+  it('skips identical writes made in quick succession', async () => {
+    const provider = makeProvider();
+    await provider.writeFileRaw('a.ttl', 'same');
+    const result = await provider.writeFileRaw('a.ttl', 'same');
+    expect(result).toEqual({ message: 'Redundant write prevented' });
+    expect(stub.requests.filter(r => r.method === 'POST' || r.method === 'PUT')).toHaveLength(1);
+  });
+
+  it('retries with a fresh last_commit_id when the file changed underneath', async () => {
+    const provider = makeProvider();
+    await provider.writeFileRaw('schema/a.ttl', 'one');
+    stub.conflictNextPut(1);
+    await provider.writeFileRaw('schema/a.ttl', 'two');
+    expect(stub.requests.filter(r => r.method === 'PUT')).toHaveLength(2);
+    expect(await provider.readFileRaw('schema/a.ttl')).toBe('two');
+  });
+
+  it('gives up after three conflicted retries', async () => {
+    const provider = makeProvider();
+    await provider.writeFileRaw('schema/a.ttl', 'one');
+    stub.conflictNextPut(10);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(provider.writeFileRaw('schema/a.ttl', 'two')).rejects.toThrow('after 3 retry attempts');
+    stub.conflictNextPut(0);
+  });
+
+  it('lists directory contents across pages and returns [] for missing directories', async () => {
+    const provider = makeProvider();
+    stub.files.set('universes/a/a.redstring', { content: text('a'), lastCommitId: 'x', blobId: 'b1' });
+    stub.files.set('universes/b/b.redstring', { content: text('b'), lastCommitId: 'x', blobId: 'b2' });
+    stub.files.set('universes/readme.md', { content: text('r'), lastCommitId: 'x', blobId: 'b3' });
+
+    const entries = await provider.listDirectoryContents('universes');
+    expect(entries.map(e => `${e.type}:${e.path}`).sort()).toEqual([
+      'dir:universes/a',
+      'dir:universes/b',
+      'file:universes/readme.md'
+    ]);
+    expect(entries.find(e => e.type === 'file').sha).toBe('b3');
+
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(await provider.listDirectoryContents('nope')).toEqual([]);
+  });
+
+  it('creates a semantic space and lists its files recursively', async () => {
+    const provider = makeProvider({ semanticPath: 'schema' });
+    const space = await provider.createSemanticSpace('atlas');
+    expect(space.url).toBe(`${endpoint}/team/knowledge/atlas/-/tree/trunk/schema/atlas`);
+
+    const files = await provider.listSemanticFiles();
+    expect(files.map(f => f.path).sort()).toEqual([
+      'schema/atlas/federation/permissions.ttl',
+      'schema/atlas/federation/subscriptions.ttl',
+      'schema/atlas/profile/preferences.ttl',
+      'schema/atlas/profile/webid.ttl',
+      'schema/atlas/vocabulary/schemas/core-schema.ttl'
+    ]);
+    expect(await provider.readSemanticFile('atlas/profile/webid')).toContain('foaf:Person');
+  });
+
+  it('reads history and file contents at a commit', async () => {
+    const provider = makeProvider();
+    await provider.writeFileRaw('schema/h.ttl', 'first');
+    await provider.writeFileRaw('schema/h.ttl', 'second');
+    const history = await provider.listCommits('schema/h.ttl');
+    expect(history).toHaveLength(2);
+    expect(history[0]).toMatchObject({ message: 'Update schema/h.ttl', author: 'Stub' });
+    expect(await provider.readFileAtCommit('schema/h.ttl', history[1].sha)).toBe('first');
+  });
+
+  it('authenticates with PRIVATE-TOKEN or an OAuth bearer token', async () => {
+    await makeProvider().isAvailable();
+    expect(stub.requests.at(-1).headers['private-token']).toBe(TOKEN);
+
+    await makeProvider({ authMethod: 'oauth' }).isAvailable();
+    expect(stub.requests.at(-1).headers.authorization).toBe(`Bearer ${TOKEN}`);
+
+    const status = await makeProvider({ token: 'wrong' }).getStatus();
+    expect(status).toMatchObject({ provider: 'gitlab', available: false, endpoint, repo: 'atlas' });
+    expect((await makeProvider().getStatus()).available).toBe(true);
+  });
+
+  it('lists member projects in the repository picker shape', async () => {
+    const projects = await makeProvider().listProjects();
+    expect(projects[0]).toMatchObject({
+      provider: 'gitlab',
+      endpoint,
+      name: 'atlas',
+      owner: { login: 'team/knowledge' },
+      private: true,
+      updated_at: '2024-02-01T00:00:00Z'
+    });
+  });
+});
+
+describe('SemanticProviderFactory', () => {
+  it('creates and advertises the GitLab provider', () => {
+    const provider = SemanticProviderFactory.createProvider({ type: 'gitlab', user: 'group', repo: 'project', token: 't' });
+    expect(provider).toBeInstanceOf(GitLabSemanticProvider);
+    expect(provider.projectUrl).toBe('https://gitlab.com/api/v4/projects/group%2Fproject');
+
+    const entry = SemanticProviderFactory.getAvailableProviders().find(p => p.type === 'gitlab');
+    expect(entry).toMatchObject({ name: 'GitLab', authMechanism: 'token' });
+  });
+});
@@ -0,0 +1,349 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import nodeFetch from 'node-fetch';
+import {
+  createLLMProvider,
+  resolveLLMProfile,
+  LLMProviderError,
+  PROVIDER_PRESETS
+} from '../../src/services/llmProviders/index.js';
+
+const WEATHER_TOOL = {
+  name: 'get_weather',
+  description: 'Current weather for a city',
+  parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }
+};
+
+// A conversation where the model already called the tool once
+const TOOL_CONVERSATION = [
+  { role: 'user', content: 'Weather in Oslo and Bergen?' },
+  { role: 'assistant', content: 'Checking.', toolCalls: [
+    { id: 'call_1', name: 'get_weather', arguments: { city: 'Oslo' } },
+    { id: 'call_2', name: 'get_weather', arguments: { city: 'Bergen' } }
+  ] },
+  { role: 'tool', toolCallId: 'call_1', content: 'Snow, -3C' },
+  { role: 'tool', toolCallId: 'call_2', content: { sky: 'rain', temp: 6 } }
+];
+
+const sse = (events) => events.map(event => `${event.event ? `event: ${event.event}\n` : ''}data: ${typeof event.data === 'string' ? event.data : JSON.stringify(event.data)}\n\n`).join('');
+
+/**
+ * Local stand-in for a model server. Each test queues the replies it wants;
+ * every request is recorded for inspection.
+ */
+const createMockProvider = () => {
+  const requests = [];
+  const replies = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ path: req.url, headers: req.headers, body });
+      const reply = replies.shift() || { status: 500, json: { error: 'no reply queued' } };
+      if (reply.chunks) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        // Write in small pieces so parsers see events split across chunks
+        for (const chunk of reply.chunks) {
+          res.write(chunk);
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        res.end();
+        return;
+      }
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+      res.end(typeof reply.json === 'string' ? reply.json : JSON.stringify(reply.json));
+    });
+  });
+
+  return {
+    requests,
+    reply: (reply) => replies.push(reply),
+    start: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+const ALLOW_CUSTOM = { REDSTRING_LLM_ALLOW_CUSTOM_ENDPOINTS: 'true' };
+
+const splitEvery = (text, size) => text.match(new RegExp(`[\\s\\S]{1,${size}}`, 'g'));
+
+const collect = async (stream) => {
+  const events = [];
+  for await (const event of stream) events.push(event);
+  return events;
+};
+
+describe('resolveLLMProfile', () => {
+  it('keeps the bridge defaults when nothing is configured', () => {
+    const profile = resolveLLMProfile({ apiKey: 'sk-or-123' });
+    expect(profile).toMatchObject({
+      provider: 'openrouter',
+      kind: 'openai',
+      endpoint: PROVIDER_PRESETS.openrouter.endpoint,
+      model: 'anthropic/claude-3-sonnet-20240229',
+      settings: { temperature: 0.7, max_tokens: 1000 }
+    });
+    expect(resolveLLMProfile({ apiKey: 'sk-ant-abc' }).kind).toBe('anthropic');
+  });
+
+  it('prefers the caller profile, then a requested model', () => {
+    const apiConfig = { provider: 'openai', model: 'gpt-4o-mini', settings: { temperature: 0.1 } };
+    expect(resolveLLMProfile({ apiConfig, apiKey: 'sk-1' })).toMatchObject({
+      provider: 'openai',
+      endpoint: 'https://api.openai.com/v1/chat/completions',
+      model: 'gpt-4o-mini',
+      settings: { temperature: 0.1, max_tokens: 1000 }
+    });
+    expect(resolveLLMProfile({ apiConfig, apiKey: 'sk-1', model: 'o3' }).model).toBe('o3');
+  });
+
+  it('uses server defaults for on-prem models without a key', () => {
+    const env = { REDSTRING_LLM_PROVIDER: 'ollama', REDSTRING_LLM_ENDPOINT: 'http://gpu-box:11434/v1/chat/completions', REDSTRING_LLM_MODEL: 'qwen2.5' };
+    const profile = resolveLLMProfile({ env });
+    expect(profile).toMatchObject({ provider: 'ollama', kind: 'openai', endpoint: env.REDSTRING_LLM_ENDPOINT, model: 'qwen2.5', requiresKey: false });
+    expect(() => createLLMProvider(profile)).not.toThrow();
+  });
+
+  it('only asks custom providers for a key when they are not local', () => {
+    const local = resolveLLMProfile({ apiConfig: { provider: 'lab', endpoint: 'http://localhost:8000/v1/chat/completions' }, env: ALLOW_CUSTOM });
+    const remote = resolveLLMProfile({ apiConfig: { provider: 'lab', endpoint: 'https://llm.example.org/v1/messages' }, env: ALLOW_CUSTOM });
+    expect(local.requiresKey).toBe(false);
+    expect(remote).toMatchObject({ kind: 'anthropic', requiresKey: true });
+    expect(() => createLLMProvider(remote)).toThrow(LLMProviderError);
+  });
+
+  it('rejects caller endpoints the operator has not allowed', () => {
+    const resolve = () => resolveLLMProfile({ apiConfig: { provider: 'openai', endpoint: 'https://evil.example/v1/chat/completions' } });
+    expect(resolve).toThrow(LLMProviderError);
+    expect(resolve).toThrow(expect.objectContaining({ status: 403 }));
+
+    // The provider's own endpoint, as apiKeyManager stores it, is fine
+    const known = resolveLLMProfile({ apiConfig: { provider: 'openai', endpoint: PROVIDER_PRESETS.openai.endpoint }, apiKey: 'sk-1' });
+    expect(known.endpoint).toBe(PROVIDER_PRESETS.openai.endpoint);
+  });
+
+  it('never sends the server key to an endpoint the caller chose', () => {
+    const env = {
+      ...ALLOW_CUSTOM,
+      REDSTRING_LLM_PROVIDER: 'openai',
+      REDSTRING_LLM_ENDPOINT: 'https://llm.internal/v1/chat/completions',
+      REDSTRING_LLM_API_KEY: 'server-secret'
+    };
+    expect(resolveLLMProfile({ env }).apiKey).toBe('server-secret');
+    expect(resolveLLMProfile({ env, apiConfig: { endpoint: 'https://evil.example/v1/chat/completions' } }).apiKey).toBe('');
+    expect(resolveLLMProfile({ env, apiConfig: { provider: 'openai', endpoint: 'https://evil.example/v1/chat/completions' } }).apiKey).toBe('');
+    expect(resolveLLMProfile({ env, apiConfig: { provider: 'openai' } }).apiKey).toBe('');
+  });
+});
+
+describe('LLM provider adapters', () => {
+  const mock = createMockProvider();
+  let baseUrl;
+
+  beforeAll(async () => {
+    baseUrl = await mock.start();
+  });
+
+  afterAll(() => mock.close());
+
+  beforeEach(() => {
+    mock.requests.length = 0;
+  });
+
+  const profileFor = (provider, path, extra = {}) => resolveLLMProfile({
+    apiConfig: { provider, endpoint: `${baseUrl}${path}`, model: 'test-model', ...extra },
+    apiKey: 'test-key',
+    env: ALLOW_CUSTOM
+  });
+
+  it('translates tools and tool results to the Anthropic Messages API', async () => {
+    mock.reply({ json: {
+      model: 'claude-test',
+      stop_reason: 'tool_use',
+      content: [
+        { type: 'text', text: 'Let me check Tromsø too.' },
+        { type: 'tool_use', id: 'toolu_3', name: 'get_weather', input: { city: 'Tromsø' } }
+      ],
+      usage: { input_tokens: 120, output_tokens: 30 }
+    } });
+
+    const provider = createLLMProvider(profileFor('anthropic', '/v1/messages'));
+    const result = await provider.chat({ system: 'Be brief.', messages: TOOL_CONVERSATION, tools: [WEATHER_TOOL], maxTokens: 200 });
+
+    const { headers, body } = mock.requests[0];
+    expect(headers['x-api-key']).toBe('test-key');
+    expect(headers['anthropic-version']).toBe('2023-06-01');
+    expect(body).toMatchObject({ model: 'test-model', system: 'Be brief.', max_tokens: 200 });
+    expect(body.tools).toEqual([{ name: 'get_weather', description: 'Current weather for a city', input_schema: WEATHER_TOOL.parameters }]);
+    expect(body.messages).toEqual([
+      { role: 'user', content: [{ type: 'text', text: 'Weather in Oslo and Bergen?' }] },
+      { role: 'assistant', content: [
+        { type: 'text', text: 'Checking.' },
+        { type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Oslo' } },
+        { type: 'tool_use', id: 'call_2', name: 'get_weather', input: { city: 'Bergen' } }
+      ] },
+      { role: 'user', content: [
+        { type: 'tool_result', tool_use_id: 'call_1', content: 'Snow, -3C' },
+        { type: 'tool_result', tool_use_id: 'call_2', content: '{"sky":"rain","temp":6}' }
+      ] }
+    ]);
+
+    expect(result).toEqual({
+      text: 'Let me check Tromsø too.',
+      toolCalls: [{ id: 'toolu_3', name: 'get_weather', arguments: { city: 'Tromsø' } }],
+      stopReason: 'tool_use',
+      model: 'claude-test',
+      usage: { inputTokens: 120, outputTokens: 30 }
+    });
+  });
+
+  it('translates tools and tool results to OpenAI-compatible chat completions', async () => {
+    mock.reply({ json: {
+      model: 'gpt-test',
+      choices: [{
+        finish_reason: 'tool_calls',
+        message: { role: 'assistant', content: null, tool_calls: [{ id: 'call_3', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Tromsø"}' } }] }
+      }],
+      usage: { prompt_tokens: 80, completion_tokens: 12 }
+    } });
+
+    const provider = createLLMProvider(profileFor('openrouter', '/v1/chat/completions'));
+    const result = await provider.chat({ system: 'Be brief.', messages: TOOL_CONVERSATION, tools: [WEATHER_TOOL] });
+
+    const { headers, body } = mock.requests[0];
+    expect(headers.authorization).toBe('Bearer test-key');
+    expect(headers['x-title']).toBe('Redstring Knowledge Graph');
+    expect(body.tools).toEqual([{ type: 'function', function: { name: 'get_weather', description: 'Current weather for a city', parameters: WEATHER_TOOL.parameters } }]);
+    expect(body.messages).toEqual([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Weather in Oslo and Bergen?' },
+      { role: 'assistant', content: 'Checking.', tool_calls: [
+        { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } },
+        { id: 'call_2', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Bergen"}' } }
+      ] },
+      { role: 'tool', tool_call_id: 'call_1', content: 'Snow, -3C' },
+      { role: 'tool', tool_call_id: 'call_2', content: '{"sky":"rain","temp":6}' }
+    ]);
+
+    expect(result).toMatchObject({
+      text: '',
+      toolCalls: [{ id: 'call_3', name: 'get_weather', arguments: { city: 'Tromsø' } }],
+      stopReason: 'tool_use',
+      usage: { inputTokens: 80, outputTokens: 12 }
+    });
+  });
+
+  it('talks to a local server without sending a key', async () => {
+    mock.reply({ json: { choices: [{ finish_reason: 'stop', message: { content: 'Hei!' } }] } });
+    const profile = resolveLLMProfile({ env: { REDSTRING_LLM_PROVIDER: 'ollama', REDSTRING_LLM_ENDPOINT: `${baseUrl}/v1/chat/completions` } });
+
+    const result = await createLLMProvider(profile).chat({ messages: [{ role: 'user', content: 'Hello' }] });
+    expect(result.text).toBe('Hei!');
+    expect(mock.requests[0].headers.authorization).toBeUndefined();
+    expect(mock.requests[0].body.model).toBe('llama3.1');
+  });
+
+  it('streams Anthropic text and tool calls', async () => {
+    mock.reply({ chunks: splitEvery(sse([
+      { event: 'message_start', data: { type: 'message_start', message: { model: 'claude-test', usage: { input_tokens: 50 } } } },
+      { event: 'content_block_start', data: { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } } },
+      { event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Checking ' } } },
+      { event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Oslo.' } } },
+      { event: 'content_block_stop', data: { type: 'content_block_stop', index: 0 } },
+      { event: 'content_block_start', data: { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather' } } },
+      { event: 'content_block_delta', data: { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"city":' } } },
+      { event: 'content_block_delta', data: { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"Oslo"}' } } },
+      { event: 'content_block_stop', data: { type: 'content_block_stop', index: 1 } },
+      { event: 'message_delta', data: { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 21 } } },
+      { event: 'message_stop', data: { type: 'message_stop' } }
+    ]), 37) });
+
+    const provider = createLLMProvider(profileFor('anthropic', '/v1/messages'), { fetch: nodeFetch });
+    const events = await collect(provider.stream({ messages: [{ role: 'user', content: 'Weather in Oslo?' }], tools: [WEATHER_TOOL] }));
+
+    expect(mock.requests[0].body.stream).toBe(true);
+    expect(events.filter(e => e.type === 'text').map(e => e.text).join('')).toBe('Checking Oslo.');
+    expect(events.filter(e => e.type === 'tool_call')).toEqual([{ type: 'tool_call', toolCall: { id: 'toolu_1', name: 'get_weather', arguments: { city: 'Oslo' } } }]);
+    expect(events[events.length - 1]).toEqual({ type: 'done', result: {
+      text: 'Checking Oslo.',
+      toolCalls: [{ id: 'toolu_1', name: 'get_weather', arguments: { city: 'Oslo' } }],
+      stopReason: 'tool_use',
+      model: 'claude-test',
+      usage: { inputTokens: 50, outputTokens: 21 }
+    } });
+  });
+
+  it('streams OpenAI-compatible text and fragmented tool calls', async () => {
+    const chunk = (delta, finishReason = null) => ({ data: { model: 'local-test', choices: [{ index: 0, delta, finish_reason: finishReason }] } });
+    mock.reply({ chunks: splitEvery(sse([
+      chunk({ role: 'assistant', content: 'Sure, ' }),
+      chunk({ content: 'checking.' }),
+      chunk({ tool_calls: [{ index: 0, id: 'call_9', type: 'function', function: { name: 'get_weather', arguments: '' } }] }),
+      chunk({ tool_calls: [{ index: 0, function: { arguments: '{"ci' } }] }),
+      chunk({ tool_calls: [{ index: 0, function: { arguments: 'ty":"Bergen"}' } }] }),
+      chunk({}, 'tool_calls'),
+      { data: '[DONE]' }
+    ]), 23) });
+
+    const provider = createLLMProvider(profileFor('llamacpp', '/v1/chat/completions'), { fetch: nodeFetch });
+    const events = await collect(provider.stream({ messages: [{ role: 'user', content: 'Weather in Bergen?' }] }));
+
+    expect(events.filter(e => e.type === 'text').map(e => e.text)).toEqual(['Sure, ', 'checking.']);
+    expect(events[events.length - 1].result).toEqual({
+      text: 'Sure, checking.',
+      toolCalls: [{ id: 'call_9', name: 'get_weather', arguments: { city: 'Bergen' } }],
+      stopReason: 'tool_use',
+      model: 'local-test',
+      usage: { inputTokens: null, outputTokens: null }
+    });
+  });
+
+  it('streams through the built-in fetch as well', async () => {
+    const chunk = (delta, finishReason = null) => ({ data: { choices: [{ index: 0, delta, finish_reason: finishReason }] } });
+    mock.reply({ chunks: [sse([chunk({ content: 'Hi' }), chunk({}, 'stop'), { data: '[DONE]' }])] });
+
+    const provider = createLLMProvider(profileFor('llamacpp', '/v1/chat/completions'), { fetch: globalThis.fetch });
+    const events = await collect(provider.stream({ messages: [{ role: 'user', content: 'Hello' }] }));
+    expect(events[events.length - 1].result).toMatchObject({ text: 'Hi', stopReason: 'end' });
+  });
+
+  it('reports HTTP errors with their status and body', async () => {
+    mock.reply({ status: 429, json: { error: { message: 'rate limited' } } });
+    const provider = createLLMProvider(profileFor('openai', '/v1/chat/completions'));
+    const error = await provider.chat({ messages: [{ role: 'user', content: 'Hi' }] }).catch(e => e);
+
+    expect(error).toBeInstanceOf(LLMProviderError);
+    expect(error).toMatchObject({ provider: 'openai', status: 429 });
+    expect(JSON.parse(error.body)).toEqual({ error: { message: 'rate limited' } });
+  });
+
+  it('drops empty assistant turns from Anthropic history', async () => {
+    mock.reply({ json: { model: 'claude-test', stop_reason: 'end_turn', content: [{ type: 'text', text: 'Hi' }] } });
+    const provider = createLLMProvider(profileFor('anthropic', '/v1/messages'));
+    await provider.chat({ messages: [
+      { role: 'user', content: 'Hello' },
+      { role: 'assistant', content: '' },
+      { role: 'user', content: 'Anyone there?' }
+    ] });
+
+    expect(mock.requests[0].body.messages).toEqual([
+      { role: 'user', content: [{ type: 'text', text: 'Hello' }, { type: 'text', text: 'Anyone there?' }] }
+    ]);
+  });
+
+  it('rejects unknown roles in Anthropic history with a 400', async () => {
+    const provider = createLLMProvider(profileFor('anthropic', '/v1/messages'));
+    const error = await provider.chat({ messages: [{ role: 'system', content: 'Obey.' }, { role: 'user', content: 'Hi' }] }).catch(e => e);
+
+    expect(error).toBeInstanceOf(LLMProviderError);
+    expect(error).toMatchObject({ status: 400, message: 'Unsupported message role "system"' });
+    expect(mock.requests).toHaveLength(0);
+  });
+
+  it('reports unreachable servers', async () => {
+    const profile = resolveLLMProfile({ apiConfig: { provider: 'ollama', endpoint: 'http://127.0.0.1:9/v1/chat/completions' }, env: ALLOW_CUSTOM });
+    await expect(createLLMProvider(profile).chat({ messages: [{ role: 'user', content: 'Hi' }] })).rejects.toThrow('ollama is unreachable');
+  });
+});
@@ -0,0 +1,168 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import git from 'isomorphic-git';
+import { SemanticProviderFactory, LocalGitSemanticProvider } from '../../src/services/gitNativeProvider.js';
+import { GitSyncEngine } from '../../src/services/gitSyncEngine.js';
+
+const buildStoreState = (name = 'G') => ({
+  graphs: new Map([['g1', { id: 'g1', name, description: '', instances: new Map(), edgeIds: [], definingNodeIds: [] }]]),
+  nodePrototypes: new Map(),
+  edges: new Map(),
+  openGraphIds: [],
+  activeGraphId: null,
+  activeDefinitionNodeId: null,
+  expandedGraphIds: new Set(),
+  rightPanelTabs: [],
+  savedNodeIds: new Set(),
+  savedGraphIds: new Set(),
+  showConnectionNames: false
+});
+
+describe('LocalGitSemanticProvider', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'redstring-local-git-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('is created by the factory', () => {
+    const provider = SemanticProviderFactory.createProvider({ type: 'local', dir: path.join(root, 'repo'), fs });
+    expect(provider).toBeInstanceOf(LocalGitSemanticProvider);
+    expect(SemanticProviderFactory.getAvailableProviders().map(p => p.type)).toContain('local');
+  });
+
+  it('writes, reads, lists and commits in a working repository', async () => {
+    const dir = path.join(root, 'repo');
+    const provider = new LocalGitSemanticProvider({ dir, fs });
+
+    await provider.writeFileRaw('universes/default/universe.redstring', 'café 🌐');
+    await provider.writeFileRaw('universes/default/universe.redstring', 'v2');
+    // Unchanged content makes no commit
+    await provider.writeFileRaw('universes/default/universe.redstring', 'v2');
+
+    expect(await provider.readFileRaw('universes/default/universe.redstring')).toBe('v2');
+    await expect(provider.readFileRaw('missing.redstring')).rejects.toThrow('File not found');
+
+    expect(await provider.listDirectoryContents('universes')).toEqual([
+      { name: 'default', type: 'dir', path: 'universes/default', size: 0, sha: undefined }
+    ]);
+    expect(await provider.listDirectoryContents('nowhere')).toEqual([]);
+
+    const log = await git.log({ fs, dir });
+    expect(log.map(entry => entry.commit.message.trim())).toEqual([
+      'Update universes/default/universe.redstring',
+      'Update universes/default/universe.redstring'
+    ]);
+    await expect(provider.readFileRaw('../outside')).rejects.toThrow('Invalid repository path');
+  });
+
+  it('batches writes into one commit when autoCommit is off', async () => {
+    const dir = path.join(root, 'repo');
+    const provider = new LocalGitSemanticProvider({ dir, fs, autoCommit: false });
+    await provider.writeFileRaw('a.txt', 'a');
+    await provider.writeFileRaw('b/c.txt', 'c');
+    const oid = await provider.commitChanges('Batch', []);
+
+    const { commit } = await git.readCommit({ fs, dir, oid });
+    expect(commit.message.trim()).toBe('Batch');
+    expect((await git.listFiles({ fs, dir, ref: 'main' })).sort()).toEqual(['a.txt', 'b/c.txt']);
+    expect(await provider.commitChanges('Nothing', [])).toBeNull();
+  });
+
+  it('commits straight into a bare repository', async () => {
+    const dir = path.join(root, 'repo.git');
+    const provider = new LocalGitSemanticProvider({ dir, fs, bare: true });
+
+    await provider.writeFileRaw('universes/default/universe.redstring', 'one');
+    await provider.writeFileRaw('universes/default/backups/1.redstring', 'backup');
+    await provider.writeFileRaw('universes/default/universe.redstring', 'two');
+
+    expect(fs.existsSync(path.join(dir, 'HEAD'))).toBe(true);
+    expect(await provider.readFileRaw('universes/default/universe.redstring')).toBe('two');
+    expect((await provider.listDirectoryContents('universes/default')).map(e => [e.name, e.type])).toEqual([
+      ['backups', 'dir'],
+      ['universe.redstring', 'file']
+    ]);
+    expect(await git.log({ fs, gitdir: dir })).toHaveLength(3);
+  });
+
+  it('keeps every commit when writes to a bare repository overlap', async () => {
+    const dir = path.join(root, 'repo.git');
+    const first = new LocalGitSemanticProvider({ dir, fs, bare: true });
+    const second = new LocalGitSemanticProvider({ dir, fs, bare: true });
+    await first.writeFileRaw('a.txt', 'a');
+
+    await Promise.all([
+      first.writeFileRaw('b.txt', 'b'),
+      second.writeFileRaw('c.txt', 'c'),
+      first.writeFileRaw('d.txt', 'd')
+    ]);
+
+    expect(await git.log({ fs, gitdir: dir })).toHaveLength(4);
+    expect((await git.listFiles({ fs, gitdir: dir, ref: 'main' })).sort()).toEqual(['a.txt', 'b.txt', 'c.txt', 'd.txt']);
+  });
+
+  it('turns autoCommit off for a single write without changing the provider', async () => {
+    const dir = path.join(root, 'repo');
+    const provider = new LocalGitSemanticProvider({ dir, fs });
+    expect(await provider.writeFileRaw('a.txt', 'a', { autoCommit: false })).toEqual({ path: 'a.txt', commit: null });
+    expect(provider.autoCommit).toBe(true);
+    expect((await provider.writeFileRaw('b.txt', 'b')).commit).toBeTruthy();
+  });
+
+  it('creates and exports a semantic space', async () => {
+    const provider = new LocalGitSemanticProvider({ dir: path.join(root, 'repo'), fs });
+    await provider.createSemanticSpace('space');
+    const archive = await provider.exportFullGraph();
+    expect(Object.keys(archive.files)).toContain('schema/space/profile/webid.ttl');
+    expect(await git.log({ fs, dir: path.join(root, 'repo') })).toHaveLength(1);
+  });
+
+  it('backs GitSyncEngine without any network access', async () => {
+    const provider = new LocalGitSemanticProvider({ dir: path.join(root, 'repo'), fs });
+    const engine = new GitSyncEngine(provider);
+
+    expect(await engine.loadFromGit()).toBeNull();
+    expect(await engine.forceCommit(buildStoreState('Offline'))).toBe(true);
+
+    const loaded = await engine.loadFromGit();
+    expect(JSON.stringify(loaded)).toContain('Offline');
+  });
+
+  it('lists commits for a file and reads it at each commit', async () => {
+    const provider = new LocalGitSemanticProvider({ dir: path.join(root, 'repo'), fs });
+    await provider.writeFileRaw('u.redstring', 'one');
+    await provider.writeFileRaw('other.txt', 'noise');
+    await provider.writeFileRaw('u.redstring', 'two');
+
+    const commits = await provider.listCommits('u.redstring');
+    expect(commits).toHaveLength(2);
+    expect(commits[0]).toMatchObject({ message: 'Update u.redstring', author: 'Redstring' });
+    expect(await provider.readFileAtCommit('u.redstring', commits[0].sha)).toBe('two');
+    expect(await provider.readFileAtCommit('u.redstring', commits[1].sha)).toBe('one');
+    expect(await provider.listCommits('u.redstring', { limit: 1 })).toHaveLength(1);
+  });
+
+  it('exposes universe history through GitSyncEngine', async () => {
+    const provider = new LocalGitSemanticProvider({ dir: path.join(root, 'repo'), fs });
+    const engine = new GitSyncEngine(provider);
+    expect(await engine.listHistory()).toEqual([]);
+
+    expect(await engine.forceCommit(buildStoreState('First'))).toBe(true);
+    engine.lastCommitTime = 0; // skip the 2s rate limit
+    expect(await engine.forceCommit(buildStoreState('Second'))).toBe(true);
+
+    const history = await engine.listHistory();
+    expect(history).toHaveLength(2);
+    const older = await engine.loadFromCommit(history[1].sha);
+    expect(JSON.stringify(older)).toContain('First');
+    expect(JSON.stringify(older)).not.toContain('Second');
+  });
+});
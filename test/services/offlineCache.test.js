@@ -0,0 +1,295 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, afterAll, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  OfflineCache,
+  createMemoryBackend,
+  configureOfflineCache,
+  getOfflineCache,
+  SNAPSHOT_VERSION
+} from '../../src/services/offlineCache/index.js';
+import { createFileBackend, configureFileCache } from '../../src/services/offlineCache/fileBackend.js';
+import { SPARQLClient } from '../../src/services/sparqlClient.js';
+import { RDFResolver } from '../../src/services/rdfResolver.js';
+import { fetchOrbitCandidatesForPrototype, invalidateOrbitCacheForPrototype } from '../../src/services/orbitResolver.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// A clock tests move by hand, so freshness never depends on when they run
+const manualClock = (start = Date.UTC(2025, 0, 1)) => {
+  let time = start;
+  const now = () => time;
+  now.advance = (ms) => { time += ms; };
+  return now;
+};
+
+describe('OfflineCache', () => {
+  let now;
+  let cache;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    now = manualClock();
+    cache = new OfflineCache({ now });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('serves fresh entries without calling the loader', async () => {
+    const loader = vi.fn().mockResolvedValue({ label: 'Apple' });
+    expect(await cache.fetch('rdf', 'apple', loader, { ttl: HOUR })).toEqual({ label: 'Apple' });
+    now.advance(HOUR - 1);
+    expect(await cache.fetch('rdf', 'apple', loader, { ttl: HOUR })).toEqual({ label: 'Apple' });
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  it('serves stale entries while revalidating them in the background', async () => {
+    await cache.set('sparql', 'q1', ['old'], { ttl: HOUR });
+    now.advance(HOUR + 1);
+
+    const loader = vi.fn().mockResolvedValue(['new']);
+    expect(await cache.fetch('sparql', 'q1', loader, { ttl: HOUR })).toEqual(['old']);
+    await cache.idle();
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(await cache.get('sparql', 'q1')).toMatchObject({ value: ['new'], stale: false });
+  });
+
+  it('waits for a reload once an entry is past its stale window', async () => {
+    await cache.set('sparql', 'q1', ['old'], { ttl: HOUR });
+    now.advance(3 * HOUR);
+
+    const loader = vi.fn().mockResolvedValue(['new']);
+    expect(await cache.fetch('sparql', 'q1', loader, { ttl: HOUR, staleWhileRevalidate: HOUR })).toEqual(['new']);
+  });
+
+  it('falls back to the stored value when loading fails', async () => {
+    await cache.set('rdf', 'doc', { triples: 3 }, { ttl: HOUR });
+    now.advance(5 * HOUR);
+
+    const offline = () => Promise.reject(new Error('Failed to fetch'));
+    expect(await cache.fetch('rdf', 'doc', offline, { ttl: HOUR, staleWhileRevalidate: 0 })).toEqual({ triples: 3 });
+    await expect(cache.fetch('rdf', 'missing', offline)).rejects.toThrow('Failed to fetch');
+  });
+
+  it('does not store placeholder answers over real ones', async () => {
+    const isFallback = (value) => value.offline === true;
+    await cache.set('orbits', 'p1', { offline: false, all: ['Malus'] }, { ttl: HOUR });
+
+    const placeholder = { offline: true, all: [] };
+    expect(await cache.fetch('orbits', 'p1', async () => placeholder, { refresh: true, isFallback })).toEqual({ offline: false, all: ['Malus'] });
+    expect(cache.peek('orbits', 'p1').value).toEqual({ offline: false, all: ['Malus'] });
+
+    expect(await cache.fetch('orbits', 'p2', async () => placeholder, { isFallback })).toEqual(placeholder);
+    expect(await cache.fetch('orbits', 'p2', async () => ({ offline: false, all: ['Pyrus'] }), { refresh: true, isFallback })).toEqual({ offline: false, all: ['Pyrus'] });
+  });
+
+  it('runs one load per entry at a time', async () => {
+    let resolve;
+    const loader = vi.fn(() => new Promise(r => { resolve = r; }));
+    const both = Promise.all([cache.fetch('rdf', 'slow', loader), cache.fetch('rdf', 'slow', loader)]);
+    await vi.waitFor(() => expect(loader).toHaveBeenCalled());
+    resolve('done');
+    expect(await both).toEqual(['done', 'done']);
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  it('evicts least recently used entries past its entry and size limits', async () => {
+    const small = new OfflineCache({ now, maxEntries: 2 });
+    await small.set('rdf', 'a', 1);
+    await small.set('rdf', 'b', 2);
+    await small.get('rdf', 'a');
+    await small.set('rdf', 'c', 3);
+    expect(small.list('rdf').map(entry => entry.key).sort()).toEqual(['a', 'c']);
+
+    const tight = new OfflineCache({ now, maxBytes: 30 });
+    await tight.set('rdf', 'x', 'x'.repeat(15));
+    await tight.set('rdf', 'y', 'y'.repeat(15));
+    expect(tight.peek('rdf', 'x')).toBeNull();
+    expect(tight.stats().totalBytes).toBeLessThanOrEqual(30);
+  });
+
+  it('reports and purges by namespace, key prefix and staleness', async () => {
+    await cache.set('sparql', 'wikidata:1', ['a'], { ttl: HOUR });
+    await cache.set('sparql', 'dbpedia:1', ['b'], { ttl: 3 * HOUR });
+    await cache.set('rdf', 'http://example.com/a:{}', { triples: 1 }, { ttl: Infinity });
+    now.advance(2 * HOUR);
+
+    const stats = cache.stats();
+    expect(stats.backend).toBe('memory');
+    expect(stats.totalEntries).toBe(3);
+    expect(stats.namespaces.sparql).toMatchObject({ entries: 2, fresh: 1, stale: 1 });
+    expect(stats.namespaces.rdf).toMatchObject({ entries: 1, fresh: 1, stale: 0 });
+
+    expect(await cache.purge({ staleOnly: true })).toBe(1);
+    expect(cache.peek('sparql', 'wikidata:1')).toBeNull();
+    expect(await cache.purge({ namespace: 'sparql', keyPrefix: 'dbpedia:' })).toBe(1);
+    expect(await cache.purge()).toBe(1);
+    expect(cache.stats().totalEntries).toBe(0);
+  });
+
+  it('tells subscribers about changes', async () => {
+    const listener = vi.fn();
+    const unsubscribe = cache.onChange(listener);
+    await cache.set('rdf', 'a', 1);
+    await cache.delete('rdf', 'a');
+    unsubscribe();
+    await cache.set('rdf', 'b', 2);
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('reproduces the same state from a snapshot', async () => {
+    await cache.set('enrichment', 'enrich_apple', { externalData: [{ label: 'Apple' }] }, { ttl: HOUR });
+    now.advance(2 * HOUR);
+    const snapshot = await cache.snapshot();
+    expect(snapshot.version).toBe(SNAPSHOT_VERSION);
+
+    const replay = new OfflineCache({ now: manualClock(Date.UTC(2025, 0, 1) + 2 * HOUR) });
+    await replay.seed(JSON.parse(JSON.stringify(snapshot)));
+    expect(replay.stats().namespaces).toEqual(cache.stats().namespaces);
+    expect(await replay.get('enrichment', 'enrich_apple')).toMatchObject({ stale: true });
+
+    await expect(replay.seed({ entries: [] })).rejects.toThrow('Not an offline cache snapshot');
+  });
+
+  it('loads entries a backend already holds', async () => {
+    const backend = createMemoryBackend();
+    const first = new OfflineCache({ backend, now });
+    await first.set('rdf', 'kept', 'value', { ttl: HOUR });
+    await first.idle();
+
+    const second = new OfflineCache({ backend, now });
+    expect(await second.get('rdf', 'kept')).toMatchObject({ value: 'value', stale: false });
+  });
+});
+
+describe('File backend', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'redstring-cache-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('keeps entries across instances', async () => {
+    const filePath = path.join(dir, 'nested', 'lookup-cache.json');
+    const first = new OfflineCache({ backend: createFileBackend(filePath, { writeDelay: 0 }) });
+    await first.set('sparql', 'wikidata:1', [{ item: { value: 'Q89' } }], { ttl: HOUR });
+    await first.set('sparql', 'wikidata:2', ['gone'], { ttl: HOUR });
+    await first.delete('sparql', 'wikidata:2');
+    await first.idle();
+
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    expect(saved.entries.map(entry => entry.key)).toEqual(['wikidata:1']);
+
+    const second = new OfflineCache({ backend: createFileBackend(filePath) });
+    expect(await second.get('sparql', 'wikidata:1')).toMatchObject({ value: [{ item: { value: 'Q89' } }] });
+    expect(second.stats().backend).toBe('file');
+  });
+
+  it('starts empty when the file is unreadable', async () => {
+    const filePath = path.join(dir, 'lookup-cache.json');
+    await fs.writeFile(filePath, '{ not json', 'utf8');
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const cache = new OfflineCache({ backend: createFileBackend(filePath) });
+    await cache.ready;
+    expect(cache.stats().totalEntries).toBe(0);
+    vi.restoreAllMocks();
+  });
+
+  it('backs the shared cache once a Node process configures it', async () => {
+    const filePath = path.join(dir, 'lookup-cache.json');
+    try {
+      expect(configureFileCache(filePath)).toBe(getOfflineCache());
+      expect(getOfflineCache().stats().backend).toBe('file');
+      await getOfflineCache().set('rdf', 'http://example.com/apple', { uri: 'http://example.com/apple' });
+      await getOfflineCache().idle();
+      await getOfflineCache().backend.flush();
+      expect(JSON.parse(await fs.readFile(filePath, 'utf8')).entries).toHaveLength(1);
+    } finally {
+      configureOfflineCache({});
+    }
+  });
+});
+
+describe('Lookups while offline', () => {
+  const seeded = async () => {
+    const cache = new OfflineCache({ now: manualClock(Date.UTC(2025, 0, 2)) });
+    await cache.seed({
+      version: SNAPSHOT_VERSION,
+      entries: [
+        { namespace: 'rdf', key: 'http://example.com/apple:{}', value: { uri: 'http://example.com/apple', triples: [{ subject: 'http://example.com/apple' }] }, storedAt: Date.UTC(2024, 0, 1), expiresAt: Date.UTC(2024, 0, 2) },
+        { namespace: 'orbits', key: 'proto-apple', value: { inner: [{ name: 'Malus' }], outer: [], all: [{ name: 'Malus' }] }, storedAt: Date.UTC(2025, 0, 1), expiresAt: null }
+      ]
+    });
+    return cache;
+  };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    configureOfflineCache({});
+  });
+
+  it('answers repeated SPARQL queries from the cache', async () => {
+    const cache = new OfflineCache();
+    const client = new SPARQLClient({ cache });
+    client.addEndpoint('orchard', { name: 'Orchard', url: 'https://orchard.example/sparql', rateLimit: 1 });
+
+    const bindings = [{ label: { value: 'Bramley' } }];
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ results: { bindings } }) });
+    expect(await client.executeQuery('orchard', 'SELECT * WHERE { ?s ?p ?o }')).toEqual(bindings);
+    expect(await client.executeQuery('orchard', 'SELECT * WHERE { ?s ?p ?o }')).toEqual(bindings);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(client.getCacheStats()).toEqual({ totalEntries: 1, validEntries: 1, expiredEntries: 0 });
+
+    await expect(client.executeQuery('orchard', 'SELECT ?other WHERE { ?other ?p ?o }')).rejects.toThrow('SPARQL query failed');
+    await client.clearCache('orchard');
+    expect(client.getCacheStats().totalEntries).toBe(0);
+  });
+
+  it('keeps separate SPARQL entries for queries whose short hashes collide', async () => {
+    const client = new SPARQLClient({ cache: new OfflineCache() });
+    client.addEndpoint('orchard', { name: 'Orchard', url: 'https://orchard.example/sparql', rateLimit: 10 });
+
+    // "Aa" and "BB" share a 32-bit string hash
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ results: { bindings: [{ label: { value: 'Aa' } }] } }) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ results: { bindings: [{ label: { value: 'BB' } }] } }) });
+    expect(await client.executeQuery('orchard', 'SELECT * WHERE { ?s ?p "Aa" }')).toEqual([{ label: { value: 'Aa' } }]);
+    expect(await client.executeQuery('orchard', 'SELECT * WHERE { ?s ?p "BB" }')).toEqual([{ label: { value: 'BB' } }]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('resolves RDF documents stored in an earlier session', async () => {
+    const resolver = new RDFResolver({ cache: await seeded() });
+    expect(await resolver.resolveURI('http://example.com/apple')).toMatchObject({ uri: 'http://example.com/apple' });
+    expect(resolver.getCacheStats()).toMatchObject({ totalEntries: 1, validEntries: 0, expiredEntries: 1 });
+  });
+
+  it('shows stored orbits from the shared cache', async () => {
+    configureOfflineCache(await seeded());
+    const orbit = await fetchOrbitCandidatesForPrototype({ id: 'proto-apple', name: 'Apple' });
+    expect(orbit.all.map(candidate => candidate.name)).toEqual(['Malus']);
+
+    await invalidateOrbitCacheForPrototype('proto-apple');
+    expect(getOfflineCache().peek('orbits', 'proto-apple')).toBeNull();
+  });
+});
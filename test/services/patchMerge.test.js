@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { GraphCommitLog, mergeOps, coalesceOps, initialGraphHash } from '../../src/services/patchMerge.js';
+
+const move = (instanceId, x, y) => ({ type: 'moveNodeInstance', graphId: 'g1', instanceId, position: { x, y } });
+const add = (instanceId, prototypeId = 'p1') => ({ type: 'addNodeInstance', graphId: 'g1', prototypeId, position: { x: 0, y: 0 }, instanceId });
+const updateProto = (prototypeId, updates) => ({ type: 'updateNodePrototype', prototypeId, updates });
+const addEdge = (id, sourceId, destinationId) => ({ type: 'addEdge', graphId: 'g1', edgeData: { id, sourceId, destinationId } });
+
+describe('mergeOps', () => {
+  it('keeps ops on entities the other side did not touch', () => {
+    const { ops, conflicts } = mergeOps([move('a', 10, 10)], [move('b', 5, 5), add('c')]);
+    expect(conflicts).toEqual([]);
+    expect(ops).toEqual([move('b', 5, 5), add('c')]);
+  });
+
+  it('reports the same instance moved to different positions', () => {
+    const { conflicts } = mergeOps([move('a', 10, 10)], [move('a', 20, 20)]);
+    expect(conflicts).toEqual([{ entityId: 'a', entityType: 'instance', opType: 'moveNodeInstance', fields: ['position'] }]);
+  });
+
+  it('merges prototype updates field by field', () => {
+    const committed = [updateProto('p1', { name: 'Sun' })];
+    expect(mergeOps(committed, [updateProto('p1', { color: '#fff' })]).conflicts).toEqual([]);
+    expect(mergeOps(committed, [updateProto('p1', { name: 'Sun', color: '#fff' })]).ops).toHaveLength(1);
+    expect(mergeOps(committed, [updateProto('p1', { name: 'Star' })]).conflicts[0]).toMatchObject({ entityId: 'p1', fields: ['name'] });
+  });
+
+  it('drops writes that were already committed and flags clashing ids', () => {
+    expect(mergeOps([add('a')], [add('a')])).toEqual({ ops: [], conflicts: [] });
+    expect(mergeOps([add('a', 'p1')], [add('a', 'p2')]).conflicts[0]).toMatchObject({ entityId: 'a', fields: ['prototypeId'] });
+    expect(mergeOps([addEdge('e1', 'a', 'b')], [addEdge('e1', 'a', 'c')]).conflicts[0]).toMatchObject({ entityId: 'e1', entityType: 'edge' });
+  });
+});
+
+describe('coalesceOps', () => {
+  it('keeps the last move per instance and folds prototype updates', () => {
+    const ops = coalesceOps([
+      move('a', 1, 1),
+      updateProto('p1', { name: 'A' }),
+      move('a', 2, 2),
+      updateProto('p1', { color: '#000' })
+    ]);
+    expect(ops).toEqual([updateProto('p1', { name: 'A', color: '#000' }), move('a', 2, 2)]);
+  });
+});
+
+describe('GraphCommitLog', () => {
+  it('rebases a stale patch onto the head when nothing conflicts', () => {
+    const log = new GraphCommitLog();
+    const base = log.getHead('g1');
+    expect(base).toBe(initialGraphHash('g1'));
+
+    const first = log.mergePatch('g1', { baseHash: base, ops: [move('a', 1, 1)] });
+    log.commit('g1', first.ops);
+    expect(log.getHead('g1')).not.toBe(base);
+
+    const second = log.mergePatch('g1', { baseHash: base, ops: [move('b', 2, 2)] });
+    expect(second.ok).toBe(true);
+    expect(second.ops).toEqual([move('b', 2, 2)]);
+  });
+
+  it('rejects a stale patch that conflicts with a committed one', () => {
+    const log = new GraphCommitLog();
+    const base = log.getHead('g1');
+    log.commit('g1', [updateProto('p1', { name: 'Sun' })]);
+    log.commit('g1', [move('a', 1, 1)]);
+
+    const result = log.mergePatch('g1', { baseHash: base, ops: [move('b', 0, 0), updateProto('p1', { name: 'Star' })] });
+    expect(result.ok).toBe(false);
+    expect(result.reason).toBe('conflict');
+    expect(result.conflicts.map(c => c.entityId)).toEqual(['p1']);
+    expect(result.headHash).toBe(log.getHead('g1'));
+  });
+
+  it('rejects patches whose base it does not know', () => {
+    const log = new GraphCommitLog({ limit: 1 });
+    const base = log.getHead('g1');
+    log.commit('g1', [move('a', 1, 1)]);
+    log.commit('g1', [move('a', 2, 2)]);
+
+    const result = log.mergePatch('g1', { baseHash: base, ops: [move('b', 0, 0)] });
+    expect(result).toMatchObject({ ok: false, reason: 'unknown-base' });
+    expect(result.conflicts.map(c => c.entityId)).toEqual(['b']);
+    expect(log.mergePatch('g1', { ops: [move('a', 3, 3)] }).ok).toBe(true);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GitHubSemanticProvider, GiteaSemanticProvider } from '../../src/services/gitNativeProvider.js';
+
+const jsonResponse = (body, status = 200) => ({ ok: status < 400, status, json: () => Promise.resolve(body) });
+
+describe('Provider commit history', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('GitHub', () => {
+    const cfg = { user: 'u', repo: 'r', token: 't' };
+
+    it('lists commits for a path', async () => {
+      const p = new GitHubSemanticProvider(cfg);
+      fetchMock.mockResolvedValueOnce(jsonResponse([
+        { sha: 'c2', commit: { message: 'Second', author: { name: 'Ada', date: '2024-01-02T00:00:00Z' } } },
+        { sha: 'c1', commit: { message: 'First', author: { name: 'Ada', date: '2024-01-01T00:00:00Z' } } }
+      ]));
+
+      const commits = await p.listCommits('universes/default/universe.redstring', { limit: 5 });
+      expect(fetchMock.mock.calls[0][0]).toBe('https://api.github.com/repos/u/r/commits?path=universes%2Fdefault%2Funiverse.redstring&per_page=5');
+      expect(commits).toEqual([
+        { sha: 'c2', message: 'Second', author: 'Ada', date: '2024-01-02T00:00:00Z' },
+        { sha: 'c1', message: 'First', author: 'Ada', date: '2024-01-01T00:00:00Z' }
+      ]);
+    });
+
+    it('returns no commits for an empty repository', async () => {
+      const p = new GitHubSemanticProvider(cfg);
+      fetchMock.mockResolvedValueOnce(jsonResponse({ message: 'Git Repository is empty.' }, 409));
+      expect(await p.listCommits('universe.redstring')).toEqual([]);
+    });
+
+    it('reads a file at a commit', async () => {
+      const p = new GitHubSemanticProvider(cfg);
+      const text = 'café v1';
+      fetchMock.mockResolvedValueOnce(jsonResponse({ content: btoa(unescape(encodeURIComponent(text))) }));
+
+      expect(await p.readFileAtCommit('universe.redstring', 'c1')).toBe(text);
+      expect(fetchMock.mock.calls[0][0]).toBe('https://api.github.com/repos/u/r/contents/universe.redstring?ref=c1');
+    });
+  });
+
+  describe('Gitea', () => {
+    const cfg = { endpoint: 'https://git.example.com', user: 'u', repo: 'r', token: 't' };
+
+    it('lists commits and reads a file at a commit', async () => {
+      const p = new GiteaSemanticProvider(cfg);
+      fetchMock
+        .mockResolvedValueOnce(jsonResponse([
+          { sha: 'c1', created: '2024-01-01T00:00:00Z', commit: { message: 'First', author: { name: 'Ada' } } }
+        ]))
+        .mockResolvedValueOnce(jsonResponse({ content: btoa('old') }));
+
+      expect(await p.listCommits('universe.redstring', { limit: 10 })).toEqual([
+        { sha: 'c1', message: 'First', author: 'Ada', date: '2024-01-01T00:00:00Z' }
+      ]);
+      expect(fetchMock.mock.calls[0][0]).toBe('https://git.example.com/api/v1/repos/u/r/commits?path=universe.redstring&limit=10');
+      expect(await p.readFileAtCommit('universe.redstring', 'c1')).toBe('old');
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { create } from 'zustand';
+import { produce, enableMapSet } from 'immer';
+import { SearchIndex, tokenize, editDistance } from '../../src/services/searchIndex.js';
+
+enableMapSet();
+
+const buildState = () => ({
+  graphs: new Map([
+    ['g1', {
+      id: 'g1',
+      name: 'Solar System',
+      description: 'Bodies bound to the Sun',
+      instances: new Map([
+        ['i1', { id: 'i1', prototypeId: 'sun', x: 0, y: 0 }],
+        ['i2', { id: 'i2', prototypeId: 'earth', x: 300, y: 0 }]
+      ]),
+      edgeIds: ['e1'],
+      definingNodeIds: ['system']
+    }],
+    ['g2', {
+      id: 'g2',
+      name: 'Biosphere',
+      description: '',
+      instances: new Map([['i3', { id: 'i3', prototypeId: 'earth', x: 0, y: 0 }]]),
+      edgeIds: []
+    }]
+  ]),
+  nodePrototypes: new Map([
+    ['sun', { id: 'sun', name: 'Sun', description: 'The star at the centre.', color: '#ff8800', typeNodeId: 'star', externalLinks: ['wd:Q525'], definitionGraphIds: [] }],
+    ['earth', { id: 'earth', name: 'Earth', description: 'Third planet.', bio: 'Home to known life', color: '#0000ff', typeNodeId: 'planet', citations: [{ title: 'Planetary Habitability', year: 2019 }], definitionGraphIds: [] }],
+    ['system', { id: 'system', name: 'Solar System', description: '', color: '#800000', definitionGraphIds: ['g1'] }],
+    ['planet', { id: 'planet', name: 'Planet', description: '', color: '#800000', definitionGraphIds: [] }],
+    ['star', { id: 'star', name: 'Star', description: '', color: '#800000', definitionGraphIds: [] }],
+    ['orbitsType', { id: 'orbitsType', name: 'Orbits', description: '', color: '#800000', definitionGraphIds: [] }]
+  ]),
+  edges: new Map([
+    ['e1', { id: 'e1', sourceId: 'i2', destinationId: 'i1', name: '', typeNodeId: 'orbitsType', definitionNodeIds: [] }]
+  ])
+});
+
+const ids = (result) => result.results.map(r => r.id);
+
+describe('tokenize and editDistance', () => {
+  it('folds case and accents and splits on punctuation', () => {
+    expect(tokenize('Émile-Zola’s  CAFÉ, 2nd')).toEqual(['emile', 'zola', 's', 'cafe', '2nd']);
+  });
+
+  it('stops counting once the bound is exceeded', () => {
+    expect(editDistance('planet', 'plnaet')).toBe(2);
+    expect(editDistance('planet', 'galaxy', 1)).toBe(2);
+  });
+});
+
+describe('SearchIndex', () => {
+  const indexed = () => {
+    const index = new SearchIndex();
+    index.sync(buildState());
+    return index;
+  };
+
+  it('indexes prototypes, graphs and edge labels', () => {
+    const index = indexed();
+    expect(ids(index.search('earth'))[0]).toBe('node:earth');
+    expect(ids(index.search('biosphere'))).toEqual(['graph:g2']);
+    // Unnamed edges are found by their type's name
+    expect(ids(index.search('orbits'))).toContain('edge:e1');
+    // Bio and citation text are searchable too
+    expect(ids(index.search('habitability'))).toEqual(['node:earth']);
+    expect(ids(index.search('known life'))).toEqual(['node:earth']);
+  });
+
+  it('ranks name matches above mentions and tolerates typos and prefixes', () => {
+    const index = indexed();
+    const sun = index.search('sun');
+    // The graph description mentions the Sun; the prototype is named it
+    expect(ids(sun).slice(0, 2)).toEqual(['node:sun', 'graph:g1']);
+    expect(ids(index.search('plnet'))[0]).toBe('node:planet');
+    expect(ids(index.search('sol sys')).sort()).toEqual(['graph:g1', 'node:system']);
+    expect(index.search('xyzzy').total).toBe(0);
+  });
+
+  it('filters by facets and reports facet counts', () => {
+    const index = indexed();
+    const all = index.search('');
+    expect(all.total).toBe(9);
+    expect(all.facets.kind).toEqual([
+      { value: 'node', count: 6 },
+      { value: 'graph', count: 2 },
+      { value: 'edge', count: 1 }
+    ]);
+
+    expect(ids(index.search('', { facets: { type: 'planet' } }))).toEqual(['node:earth']);
+    expect(ids(index.search('', { facets: { kind: 'node', graph: 'g2' } }))).toEqual(['node:earth']);
+    expect(ids(index.search('', { facets: { hasDefinition: true, kind: 'node' } }))).toEqual(['node:system']);
+    expect(ids(index.search('', { facets: { externalLinked: true } }))).toEqual(['node:sun']);
+    expect(ids(index.search('', { facets: { color: '#0000ff' } }))).toEqual(['node:earth']);
+
+    // Counts for a facet ignore that facet's own filter so the other values stay visible
+    const filtered = index.search('', { facets: { kind: 'graph' } });
+    expect(filtered.facets.kind.find(f => f.value === 'node').count).toBe(6);
+  });
+
+  it('points results at a graph and instance to jump to', () => {
+    const index = indexed();
+    const earth = index.search('earth', { activeGraphId: 'g2' }).results[0];
+    expect(earth.graphIds.sort()).toEqual(['g1', 'g2']);
+    expect(earth.target).toEqual({ graphId: 'g2', instanceId: 'i3' });
+    expect(index.search('earth', { facets: { graph: 'g1' } }).results[0].target).toEqual({ graphId: 'g1', instanceId: 'i2' });
+    expect(index.search('orbits').results.find(r => r.kind === 'edge').target).toEqual({ graphId: 'g1', instanceId: 'i2' });
+    expect(index.search('planet').results[0].target).toBeNull();
+  });
+
+  it('only re-indexes what changed', () => {
+    const index = new SearchIndex();
+    const state = buildState();
+    index.sync(state);
+    const sunDoc = index.docs.get('node:sun');
+    expect(index.sync(state)).toBe(false);
+
+    const next = produce(state, draft => {
+      draft.nodePrototypes.get('earth').name = 'Terra';
+      draft.nodePrototypes.get('orbitsType').name = 'Circles';
+    });
+    expect(index.sync(next)).toBe(true);
+    expect(index.docs.get('node:sun')).toBe(sunDoc);
+    expect(ids(index.search('terra'))).toEqual(['node:earth']);
+    expect(index.search('earth').total).toBe(0);
+    // Edge labels follow their type prototype
+    expect(ids(index.search('circles'))).toContain('edge:e1');
+  });
+
+  it('follows a zustand store, re-indexing lazily on the next search', () => {
+    const store = create(() => buildState());
+    const index = new SearchIndex();
+    index.attachToStore(store);
+
+    store.setState(produce(draft => {
+      draft.graphs.get('g2').instances.delete('i3');
+      draft.graphs.delete('g1');
+      draft.edges.delete('e1');
+    }));
+    expect(index.stale).toBe(true);
+
+    const earth = index.search('earth').results[0];
+    expect(earth.graphIds).toEqual([]);
+    expect(index.search('solar').results.map(r => r.id)).toEqual(['node:system']);
+    expect(index.search('orbits').results.map(r => r.id)).toEqual(['node:orbitsType']);
+
+    index.detach();
+    store.setState(produce(draft => { draft.nodePrototypes.delete('sun'); }));
+    expect(index.stale).toBe(false);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import useGraphStore from '../../src/store/graphStore.jsx';
+import {
+  CLIPBOARD_FORMAT,
+  serializeSelection,
+  selectionToText,
+  parseSelectionText,
+  planPaste
+} from '../../src/services/selectionClipboard.js';
+
+const sequentialIds = () => {
+  let next = 0;
+  return () => `new-${++next}`;
+};
+
+const buildState = () => ({
+  nodePrototypes: new Map([
+    ['proto-a', { id: 'proto-a', name: 'Alpha', color: '#111', typeNodeId: 'type-1', definitionGraphIds: ['g-def'] }],
+    ['proto-b', { id: 'proto-b', name: 'Beta', color: '#222', typeNodeId: null, definitionGraphIds: [] }],
+    ['type-1', { id: 'type-1', name: 'Kind', color: '#333', typeNodeId: null, definitionGraphIds: [] }],
+    ['rel', { id: 'rel', name: 'relates to', color: '#444', typeNodeId: null, definitionGraphIds: [] }]
+  ]),
+  edges: new Map([
+    ['e-ab', { id: 'e-ab', sourceId: 'i-a', destinationId: 'i-b', typeNodeId: 'rel', definitionNodeIds: [], directionality: { arrowsToward: new Set(['i-b']) } }],
+    ['e-bc', { id: 'e-bc', sourceId: 'i-b', destinationId: 'i-c', typeNodeId: 'rel', definitionNodeIds: [], directionality: { arrowsToward: new Set() } }]
+  ]),
+  graphs: new Map([
+    ['g-1', {
+      id: 'g-1',
+      name: 'Source',
+      instances: new Map([
+        ['i-a', { id: 'i-a', prototypeId: 'proto-a', x: 100, y: 100, scale: 1 }],
+        ['i-b', { id: 'i-b', prototypeId: 'proto-b', x: 300, y: 200, scale: 1 }],
+        ['i-c', { id: 'i-c', prototypeId: 'proto-b', x: 900, y: 900, scale: 1 }]
+      ]),
+      edgeIds: ['e-ab', 'e-bc'],
+      groups: new Map([
+        ['grp', { id: 'grp', name: 'Pair', color: '#800', memberInstanceIds: ['i-a', 'i-c'], semanticMetadata: { type: 'Group' } }]
+      ])
+    }]
+  ])
+});
+
+describe('selectionClipboard', () => {
+  it('serializes only the edges between selected instances and trims groups', () => {
+    const payload = serializeSelection(buildState(), 'g-1', new Set(['i-a', 'i-b']));
+
+    expect(payload.format).toBe(CLIPBOARD_FORMAT);
+    expect(payload.instances.map(i => i.id).sort()).toEqual(['i-a', 'i-b']);
+    expect(payload.edges.map(e => e.id)).toEqual(['e-ab']);
+    expect(payload.edges[0].directionality.arrowsToward).toEqual(['i-b']);
+    expect(payload.groups).toHaveLength(1);
+    expect(payload.groups[0].memberInstanceIds).toEqual(['i-a']);
+    expect(payload.groups[0].semanticMetadata).toBeUndefined();
+    expect(Object.keys(payload.prototypes).sort()).toEqual(['proto-a', 'proto-b', 'rel', 'type-1']);
+    expect(payload.prototypes['proto-a'].definitionGraphIds).toEqual([]);
+  });
+
+  it('returns null for empty selections and for ordinary clipboard text', () => {
+    expect(serializeSelection(buildState(), 'g-1', new Set(['missing']))).toBeNull();
+    expect(parseSelectionText('just some words')).toBeNull();
+    expect(parseSelectionText(`{"format":"${CLIPBOARD_FORMAT}", broken`)).toBeNull();
+    expect(parseSelectionText(JSON.stringify({ format: CLIPBOARD_FORMAT, version: 99, instances: [] }))).toBeNull();
+  });
+
+  it('round-trips through text and centres the paste on the cursor with fresh ids', () => {
+    const state = buildState();
+    const payload = parseSelectionText(selectionToText(serializeSelection(state, 'g-1', ['i-a', 'i-b'])));
+    const plan = planPaste(payload, state, { position: { x: 0, y: 0 }, idFactory: sequentialIds() });
+
+    expect(plan.prototypes).toEqual([]);
+    const pastedA = plan.instances.find(i => i.id === plan.instanceIdMap.get('i-a'));
+    const pastedB = plan.instances.find(i => i.id === plan.instanceIdMap.get('i-b'));
+    expect(pastedA).toMatchObject({ prototypeId: 'proto-a', x: -100, y: -50 });
+    expect(pastedB).toMatchObject({ prototypeId: 'proto-b', x: 100, y: 50 });
+
+    expect(plan.edges).toHaveLength(1);
+    const [edge] = plan.edges;
+    expect(edge.id).not.toBe('e-ab');
+    expect(edge.sourceId).toBe(pastedA.id);
+    expect(edge.destinationId).toBe(pastedB.id);
+    expect(Array.from(edge.directionality.arrowsToward)).toEqual([pastedB.id]);
+
+    expect(plan.groups[0].id).not.toBe('grp');
+    expect(plan.groups[0].memberInstanceIds).toEqual([pastedA.id]);
+  });
+
+  it('offsets the paste from the originals when there is no cursor position', () => {
+    const state = buildState();
+    const payload = serializeSelection(state, 'g-1', ['i-a']);
+    const plan = planPaste(payload, state);
+    expect(plan.instances[0]).toMatchObject({ x: 140, y: 140 });
+  });
+
+  it('deep-copies instance prototypes but keeps referenced types', () => {
+    const state = buildState();
+    const payload = serializeSelection(state, 'g-1', ['i-a', 'i-b']);
+    const plan = planPaste(payload, state, { deepCopy: true, idFactory: sequentialIds() });
+
+    expect(plan.prototypes.map(p => p.name).sort()).toEqual(['Alpha', 'Beta']);
+    plan.prototypes.forEach(prototype => {
+      expect(state.nodePrototypes.has(prototype.id)).toBe(false);
+      expect(prototype.definitionGraphIds).toEqual([]);
+    });
+    expect(plan.prototypes.find(p => p.name === 'Alpha').typeNodeId).toBe('type-1');
+    expect(plan.edges[0].typeNodeId).toBe('rel');
+    expect(plan.instances.every(i => !state.nodePrototypes.has(i.prototypeId))).toBe(true);
+  });
+
+  it('brings prototypes along when pasting into a universe that lacks them', () => {
+    const payload = serializeSelection(buildState(), 'g-1', ['i-a', 'i-b']);
+    const plan = planPaste(payload, { nodePrototypes: new Map() });
+
+    expect(plan.prototypes.map(p => p.id).sort()).toEqual(['proto-a', 'proto-b', 'rel', 'type-1']);
+    expect(plan.instances.map(i => i.prototypeId).sort()).toEqual(['proto-a', 'proto-b']);
+  });
+
+  describe('pasteSelection store action', () => {
+    beforeEach(() => {
+      useGraphStore.setState({
+        graphs: new Map(),
+        nodePrototypes: new Map(),
+        edges: new Map(),
+        openGraphIds: [],
+        activeGraphId: null,
+        activeDefinitionNodeId: null,
+        rightPanelTabs: [{ type: 'home', isActive: true }],
+        expandedGraphIds: new Set(),
+        savedNodeIds: new Set(),
+        savedGraphIds: new Set(),
+      });
+    });
+
+    it('adds the planned prototypes, instances, edges and groups to the target graph', () => {
+      useGraphStore.getState().createNewGraph({ name: 'Target' });
+      const graphId = useGraphStore.getState().activeGraphId;
+
+      const payload = serializeSelection(buildState(), 'g-1', ['i-a', 'i-b']);
+      const plan = planPaste(payload, useGraphStore.getState(), { position: { x: 50, y: 50 } });
+      useGraphStore.getState().pasteSelection(graphId, plan);
+
+      const state = useGraphStore.getState();
+      const graph = state.graphs.get(graphId);
+      expect(graph.instances.size).toBe(2);
+      expect(state.nodePrototypes.get('proto-a')?.name).toBe('Alpha');
+      expect(graph.edgeIds).toHaveLength(1);
+      const edge = state.edges.get(graph.edgeIds[0]);
+      expect(edge.directionality.arrowsToward).toBeInstanceOf(Set);
+      expect(graph.instances.has(edge.sourceId)).toBe(true);
+      const [group] = Array.from(graph.groups.values());
+      expect(group.memberInstanceIds).toEqual([plan.instanceIdMap.get('i-a')]);
+      expect(group.semanticMetadata.relationships).toHaveLength(1);
+    });
+  });
+});
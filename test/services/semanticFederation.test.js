@@ -11,7 +11,8 @@ Object.defineProperty(window, 'location', {
   writable: true
 });
 
-import { SemanticFederation } from '../../src/services/semanticFederation.js';
+import { SemanticFederation, diffConceptData } from '../../src/services/semanticFederation.js';
+import useGraphStore from '../../src/store/graphStore.jsx';
 
 describe('SemanticFederation', () => {
   let mockSyncEngine;
@@ -580,4 +581,169 @@ redstring:climate-policy a redstring:Concept ;
       expect(federation.isCacheExpired(oldTime)).toBe(true);
     });
   });
+
+  describe('Subscriptions Inbox', () => {
+    const spaceUrl = 'https://alice.github.io/semantic/';
+    const conceptUrl = (id) => `${spaceUrl}vocabulary/concepts/${id}.ttl`;
+    let space;
+
+    const ttl = ({ label, comment = '', color = '', relations = [] }) => [
+      `redstring:concept a redstring:Concept ;`,
+      `    rdfs:label "${label}" ;`,
+      comment && `    rdfs:comment "${comment}" ;`,
+      color && `    schema:color "${color}" ;`,
+      ...relations.map(([type, target]) => `    redstring:${type} redstring:${target} ;`)
+    ].filter(Boolean).join('\n');
+
+    // Serve the space from `space`: id -> { version, ttl }
+    const serveSpace = () => {
+      fetch.mockImplementation(async (url) => {
+        if (url.endsWith('/.well-known/redstring-discovery')) {
+          return {
+            ok: true,
+            json: async () => ({
+              name: 'Alice Research',
+              concepts: Object.entries(space).map(([id, concept]) => ({ id, name: id, url: conceptUrl(id), lastModified: concept.version }))
+            })
+          };
+        }
+        const id = Object.keys(space).find(key => url === conceptUrl(key));
+        return id ? { ok: true, text: async () => space[id].ttl } : { ok: false, statusText: 'Not Found' };
+      });
+    };
+
+    const change = (id, fields) => {
+      space[id] = { version: `${Number(space[id].version) + 1}`, ttl: ttl(fields) };
+    };
+
+    beforeEach(() => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      space = {
+        'carbon-tax': { version: '1', ttl: ttl({ label: 'Carbon Tax', comment: 'A levy on emissions', color: '#008800' }) },
+        'climate-policy': { version: '1', ttl: ttl({ label: 'Climate Policy', relations: [['influences', 'carbon-tax']] }) }
+      };
+      serveSpace();
+      useGraphStore.setState({
+        graphs: new Map(),
+        nodePrototypes: new Map(),
+        edges: new Map(),
+        openGraphIds: [],
+        activeGraphId: null,
+        activeDefinitionNodeId: null,
+        rightPanelTabs: [{ type: 'home', isActive: true }],
+        expandedGraphIds: new Set(),
+        savedNodeIds: new Set(),
+        savedGraphIds: new Set()
+      });
+      useGraphStore.getState().createGraphWithId('g1', { name: 'Policy' });
+      federation.setGraphStore(useGraphStore);
+    });
+
+    afterEach(() => {
+      fetch.mockReset();
+      console.log.mockRestore();
+    });
+
+    it('queues the concepts of a newly followed space and notifies listeners', async () => {
+      const listener = vi.fn();
+      federation.onSubscriptionUpdate(listener);
+
+      await federation.subscribeToSpace(spaceUrl);
+
+      const inbox = federation.getInbox();
+      expect(inbox.map(entry => [entry.conceptId, entry.change])).toEqual([['carbon-tax', 'new'], ['climate-policy', 'new']]);
+      expect(inbox[0].current).toMatchObject({ name: 'Carbon Tax', description: 'A levy on emissions', color: '#008800' });
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ newConcepts: expect.any(Array), inboxSize: 2 }));
+    });
+
+    it('shows how a concept changed since it was last seen', async () => {
+      await federation.subscribeToSpace(spaceUrl);
+      federation.dismissInboxEntries(federation.getInbox().map(entry => entry.key));
+
+      change('carbon-tax', { label: 'Carbon Price', comment: 'A levy on emissions', color: '#008800' });
+      await federation.pollSubscriptions();
+      change('carbon-tax', { label: 'Carbon Price', comment: 'Priced per tonne', color: '#008800' });
+      await federation.pollSubscriptions();
+
+      const [entry] = federation.getInbox();
+      expect(entry.change).toBe('changed');
+      // Compared with the version the user saw, not the intermediate one
+      expect(entry.fields).toEqual([
+        { field: 'name', before: 'Carbon Tax', after: 'Carbon Price' },
+        { field: 'description', before: 'A levy on emissions', after: 'Priced per tonne' }
+      ]);
+    });
+
+    it('accepts concepts into a graph as prototypes linked to their source', async () => {
+      await federation.subscribeToSpace(spaceUrl);
+      const keys = federation.getInbox().map(entry => entry.key);
+
+      const { graphId, prototypeIds } = federation.acceptInboxEntries(keys, { graphId: 'g1' });
+
+      const state = useGraphStore.getState();
+      expect(graphId).toBe('g1');
+      const carbonTax = state.nodePrototypes.get(prototypeIds[0]);
+      expect(carbonTax).toMatchObject({ name: 'Carbon Tax', color: '#008800', externalLinks: [conceptUrl('carbon-tax')] });
+      const graph = state.graphs.get('g1');
+      expect(graph.instances.size).toBe(2);
+      const [edge] = graph.edgeIds.map(id => state.edges.get(id));
+      expect(edge.name).toBe('influences');
+      expect(graph.instances.get(edge.destinationId).prototypeId).toBe(prototypeIds[0]);
+      expect(federation.getInbox()).toEqual([]);
+
+      // Accepting the same concept again reuses its prototype and node
+      const subscription = federation.subscriptions.get(spaceUrl);
+      const requeued = federation.queueInboxEntry(subscription, 'carbon-tax', subscription.snapshots.get('carbon-tax'), null);
+      expect(federation.acceptInboxEntries([requeued.key], { graphId: 'g1' }).prototypeIds).toEqual([prototypeIds[0]]);
+      expect(useGraphStore.getState().graphs.get('g1').instances.size).toBe(2);
+    });
+
+    it('keeps accepted concepts up to date without overwriting local edits', async () => {
+      await federation.subscribeToSpace(spaceUrl);
+      const { prototypeIds } = federation.acceptInboxEntries([`${spaceUrl}#carbon-tax`], { graphId: 'g1' });
+      useGraphStore.getState().updateNodePrototype(prototypeIds[0], draft => { draft.description = 'Our own notes'; });
+
+      const listener = vi.fn();
+      federation.onSubscriptionUpdate(listener);
+      change('carbon-tax', { label: 'Carbon Price', comment: 'Priced per tonne', color: '#aa0000' });
+      await federation.pollSubscriptions();
+
+      expect(useGraphStore.getState().nodePrototypes.get(prototypeIds[0])).toMatchObject({
+        name: 'Carbon Price',
+        color: '#aa0000',
+        description: 'Our own notes'
+      });
+      const [update] = listener.mock.calls[0];
+      expect(update.updated).toEqual([{
+        conceptId: 'carbon-tax',
+        name: 'Carbon Price',
+        prototypes: [{ prototypeId: prototypeIds[0], fields: ['name', 'color'], kept: ['description'] }]
+      }]);
+      // Only the unaccepted concept remains in the inbox
+      expect(federation.getInbox().map(entry => entry.conceptId)).toEqual(['climate-policy']);
+    });
+
+    it('remembers subscriptions and the inbox across sessions', async () => {
+      const saved = new Map();
+      const storage = { getItem: key => saved.get(key) ?? null, setItem: (key, value) => saved.set(key, value) };
+      const first = new SemanticFederation(mockSyncEngine, { storage });
+      await first.subscribeToSpace(spaceUrl);
+
+      const second = new SemanticFederation(mockSyncEngine, { storage });
+      expect(second.getSubscriptions()[0].concepts).toEqual(new Set(['carbon-tax', 'climate-policy']));
+      expect(second.getInbox().map(entry => entry.conceptId)).toEqual(['carbon-tax', 'climate-policy']);
+
+      // Nothing changed, so a poll after restoring finds nothing new
+      await second.pollSubscriptions();
+      expect(second.getInbox()).toHaveLength(2);
+      expect(second.getInbox().every(entry => entry.change === 'new')).toBe(true);
+    });
+
+    it('diffs relationships as well as fields', () => {
+      expect(diffConceptData(
+        { name: 'A', relationships: { influences: ['b'] } },
+        { name: 'A', relationships: { influences: ['b', 'c'] } }
+      )).toEqual([{ field: 'relationships', before: 'influences → b', after: 'influences → b, influences → c' }]);
+    });
+  });
 }); 
\ No newline at end of file
@@ -0,0 +1,361 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  SemanticSourceRegistry,
+  semanticSources,
+  registerBuiltinSources,
+  createFixtureSource,
+  recordFixtures,
+  createRdfFileSource,
+  createSparqlEndpointSource,
+  rdfFormatFromFileName
+} from '../../src/services/semanticSources/index.js';
+import { OfflineCache } from '../../src/services/offlineCache/index.js';
+import { sparqlClient } from '../../src/services/sparqlClient.js';
+import { fastEnrichFromSemanticWeb } from '../../src/services/semanticWebQuery.js';
+import { discoverConnections } from '../../src/services/semanticDiscovery.js';
+
+const jsonResponse = (body, status = 200) => ({ ok: status < 400, status, statusText: 'OK', json: () => Promise.resolve(body) });
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+const APPLE_FIXTURES = {
+  wikipedia: {
+    lookup: {
+      apple: { uri: 'https://en.wikipedia.org/wiki/Apple', label: 'Apple', description: 'An apple is a round, edible fruit.' }
+    }
+  },
+  wikidata: {
+    lookup: {
+      apple: { uri: 'http://www.wikidata.org/entity/Q89', label: 'apple', description: 'fruit of the apple tree' }
+    },
+    relationships: {
+      apple: [
+        { source: 'apple', target: 'Malus', targetUri: 'http://www.wikidata.org/entity/Q104819', relation: 'based on', relationUri: 'http://www.wikidata.org/prop/direct/P144', confidence: 0.8, distance: 1, provider: 'wikidata' }
+      ]
+    }
+  },
+  dbpedia: {
+    lookup: { apple: null },
+    relationships: {
+      apple: [
+        { source: 'apple', target: 'Rosaceae', targetUri: 'http://dbpedia.org/resource/Rosaceae', relation: 'genre', relationUri: 'http://dbpedia.org/ontology/genre', confidence: 0.85, distance: 1, provider: 'dbpedia' },
+        { source: 'apple', target: 'Fruit', targetUri: 'http://dbpedia.org/resource/Fruit', relation: 'related to', relationUri: 'http://dbpedia.org/ontology/wikiPageWikiLink', confidence: 0.3, distance: 1, provider: 'dbpedia' }
+      ]
+    }
+  }
+};
+
+const ORCHARD_TURTLE = `
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix skos: <http://www.w3.org/2004/02/skos/core#> .
+@prefix ex: <https://orchard.example/> .
+
+ex:Bramley a ex:Cultivar ;
+  rdfs:label "Bramley"@en, "Bramley-Apfel"@de ;
+  rdfs:comment "A cooking apple from Nottinghamshire." ;
+  skos:broader ex:Apple ;
+  ex:grownIn ex:England .
+
+ex:Apple rdfs:label "Apple" .
+ex:England rdfs:label "England" .
+`;
+
+describe('SemanticSourceRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    registry = new SemanticSourceRegistry({ cache: new OfflineCache() });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('rejects sources without an id or any capability', () => {
+    expect(() => registry.register({ name: 'Nameless', lookup: async () => null })).toThrow('needs an id');
+    expect(() => registry.register({ id: 'empty' })).toThrow('implements none of');
+  });
+
+  it('uses nominal trust for known sources and lets others set their own', () => {
+    registry.register(createFixtureSource({ id: 'wikidata', fixtures: { lookup: {} } }));
+    registry.register(createFixtureSource({ id: 'orchard', trust: 0.6, fixtures: { lookup: {} } }));
+    expect(registry.getTrust('wikidata')).toBe(0.95);
+    expect(registry.getTrust('orchard')).toBe(0.6);
+    expect(registry.getTrust('somewhere-else')).toBe(0.75);
+  });
+
+  it('orders search results by source trust', async () => {
+    registry.register(createFixtureSource({ id: 'low', trust: 0.4, fixtures: { search: { rose: [{ uri: 'urn:low:rose', label: 'Rose' }] } } }));
+    registry.register(createFixtureSource({ id: 'high', trust: 0.9, fixtures: { search: { rose: [{ uri: 'urn:high:rose', label: 'Rose' }] } } }));
+
+    const results = await registry.search('Rose');
+    expect(results.map(result => [result.source, result.sourceTrust])).toEqual([['high', 0.9], ['low', 0.4]]);
+  });
+
+  it('caches answers per source and term, but not failures', async () => {
+    let calls = 0;
+    let fail = true;
+    registry.register({
+      id: 'flaky',
+      rateLimit: 0,
+      lookup: async (term) => {
+        calls += 1;
+        if (fail) throw new Error('offline');
+        return { uri: `urn:${term}`, label: term };
+      }
+    });
+
+    expect((await registry.lookup('fern')).bySource.flaky).toMatchObject({ found: false, error: 'offline' });
+    fail = false;
+    await registry.lookup('fern');
+    await registry.lookup('Fern ');
+    expect(calls).toBe(2);
+
+    await registry.call('flaky', 'lookup', 'fern', { cache: false });
+    expect(calls).toBe(3);
+
+    registry.clearCache('flaky');
+    await registry.lookup('fern');
+    expect(calls).toBe(4);
+  });
+
+  it('spaces calls to a source by its rate limit', async () => {
+    const startedAt = [];
+    registry.register({
+      id: 'slow',
+      rateLimit: 40,
+      lookup: async (term) => {
+        startedAt.push(Date.now());
+        return { uri: `urn:${term}`, label: term };
+      }
+    });
+
+    await Promise.all(['a', 'b', 'c'].map(term => registry.lookup(term)));
+    expect(startedAt).toHaveLength(3);
+    expect(startedAt[1] - startedAt[0]).toBeGreaterThanOrEqual(35);
+    expect(startedAt[2] - startedAt[1]).toBeGreaterThanOrEqual(35);
+  });
+
+  it('leaves disabled sources out of fan-outs', async () => {
+    registry.register(createFixtureSource({ id: 'a', fixtures: { relationships: { x: [{ target: 'A', confidence: 0.9 }] } } }));
+    registry.register({ ...createFixtureSource({ id: 'b', fixtures: { relationships: { x: [{ target: 'B', confidence: 0.9 }] } } }), enabledByDefault: false });
+    expect((await registry.relationships('x')).map(c => c.target)).toEqual(['A']);
+
+    registry.setEnabled('b', true);
+    registry.setEnabled('a', false);
+    expect((await registry.relationships('x')).map(c => c.target)).toEqual(['B']);
+    expect(registry.list().map(({ id, enabled }) => [id, enabled])).toEqual([['a', false], ['b', true]]);
+  });
+
+  it('builds enrichment suggestions from the most trusted source that knows the term', async () => {
+    Object.entries(APPLE_FIXTURES).forEach(([id, fixtures]) => registry.register(createFixtureSource({ id, fixtures })));
+
+    const { sources, suggestions } = await registry.enrich('Apple');
+    expect(sources.wikipedia.found).toBe(true);
+    expect(sources.wikidata.found).toBe(true);
+    expect(sources.dbpedia.found).toBe(false);
+    expect(suggestions.description).toBe('An apple is a round, edible fruit.');
+    expect(suggestions.confidence).toBe(0.95);
+    expect(suggestions.externalLinks).toEqual(['https://en.wikipedia.org/wiki/Apple', 'http://www.wikidata.org/entity/Q89']);
+  });
+
+  it('remembers user-added sources and switches across restarts', async () => {
+    const storage = memoryStorage();
+    const factories = { 'rdf-file': createRdfFileSource };
+    const first = new SemanticSourceRegistry({ storage, factories });
+    first.register(createFixtureSource({ id: 'conceptnet', fixtures: { search: {} } }));
+    first.register(createRdfFileSource({ id: 'orchard', fileName: 'orchard.ttl', text: ORCHARD_TURTLE, trust: 0.9 }));
+    first.setEnabled('conceptnet', false);
+
+    const second = new SemanticSourceRegistry({ storage, factories });
+    second.register(createFixtureSource({ id: 'conceptnet', fixtures: { search: {} } }));
+    second.restore();
+
+    expect(second.list().map(({ id, kind, enabled, trust }) => ({ id, kind, enabled, trust }))).toEqual([
+      { id: 'conceptnet', kind: 'fixture', enabled: false, trust: 0.7 },
+      { id: 'orchard', kind: 'rdf-file', enabled: true, trust: 0.9 }
+    ]);
+    expect((await second.lookup('Bramley')).best).toMatchObject({ uri: 'https://orchard.example/Bramley', source: 'orchard' });
+
+    second.unregister('orchard');
+    const third = new SemanticSourceRegistry({ storage, factories });
+    third.restore();
+    expect(third.has('orchard')).toBe(false);
+  });
+
+  it('will not let a saved custom source replace a built-in one', () => {
+    registry.register({ id: 'wikidata', lookup: async () => null });
+    expect(() => registry.register(createRdfFileSource({ id: 'wikidata', text: ORCHARD_TURTLE }))).toThrow('built-in source');
+  });
+});
+
+describe('Fixture sources', () => {
+  it('replays recordings case-insensitively and answers empty for unknown terms', async () => {
+    const source = createFixtureSource({ id: 'wikidata', fixtures: APPLE_FIXTURES.wikidata });
+    expect((await source.lookup('  APPLE')).uri).toBe('http://www.wikidata.org/entity/Q89');
+    expect(await source.lookup('pear')).toBeNull();
+    expect(await source.relationships('pear')).toEqual([]);
+    expect(source.search).toBeUndefined();
+  });
+
+  it('throws for unrecorded terms when strict', async () => {
+    const source = createFixtureSource({ id: 'wikidata', fixtures: APPLE_FIXTURES.wikidata, strict: true });
+    await expect(source.lookup('pear')).rejects.toThrow('No lookup fixture for "pear"');
+  });
+
+  it('records a live source into fixtures that replay the same answers', async () => {
+    const live = {
+      id: 'live',
+      lookup: async (term) => ({ uri: `urn:live:${term}`, label: term }),
+      relationships: async (term) => [{ target: `${term}-child`, confidence: 0.7 }]
+    };
+    const { source, fixtures } = recordFixtures(live);
+    await source.lookup('Oak');
+    await source.relationships('Oak');
+
+    const replayed = createFixtureSource({ id: 'live', fixtures: JSON.parse(JSON.stringify(fixtures)) });
+    expect(await replayed.lookup('oak')).toEqual({ uri: 'urn:live:Oak', label: 'Oak' });
+    expect(await replayed.relationships('oak')).toEqual([{ target: 'Oak-child', confidence: 0.7 }]);
+  });
+});
+
+describe('Offline enrichment and discovery', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.stubGlobal('fetch', vi.fn(() => Promise.reject(new Error('network is off'))));
+    Object.entries(APPLE_FIXTURES).forEach(([id, fixtures]) => semanticSources.register(createFixtureSource({ id, fixtures })));
+  });
+
+  afterEach(() => {
+    registerBuiltinSources(semanticSources);
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('enriches a node from fixtures without touching the network', async () => {
+    const results = await fastEnrichFromSemanticWeb('Apple');
+    expect(results.entityName).toBe('Apple');
+    expect(results.sources.wikipedia.found).toBe(true);
+    expect(results.sources.dbpedia.found).toBe(false);
+    expect(results.suggestions.description).toBe('An apple is a round, edible fruit.');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('discovers connections from fixtures, filtered and grouped as before', async () => {
+    const results = await discoverConnections('Apple', { minConfidence: 0.5 });
+    expect(results.connections.map(c => c.target)).toEqual(['Rosaceae', 'Malus']);
+    expect(Object.keys(results.byProvider).sort()).toEqual(['dbpedia', 'wikidata']);
+    expect(results.metadata.sources).toEqual(['wikidata', 'dbpedia']);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('RDF file sources', () => {
+  it('guesses formats from file names', () => {
+    expect(rdfFormatFromFileName('terms.ttl')).toBe('text/turtle');
+    expect(rdfFormatFromFileName('terms.owl')).toBe('application/rdf+xml');
+    expect(rdfFormatFromFileName('terms.jsonld')).toBe('application/ld+json');
+    expect(rdfFormatFromFileName('terms.txt')).toBeNull();
+  });
+
+  it('answers search, lookup and relationships from Turtle', async () => {
+    const source = createRdfFileSource({ id: 'orchard', fileName: 'orchard.ttl', text: ORCHARD_TURTLE });
+
+    expect((await source.search('bram')).map(entity => entity.uri)).toEqual(['https://orchard.example/Bramley']);
+    expect(await source.lookup('bramley')).toEqual({
+      uri: 'https://orchard.example/Bramley',
+      label: 'Bramley',
+      description: 'A cooking apple from Nottinghamshire.',
+      types: ['https://orchard.example/Cultivar']
+    });
+
+    const connections = await source.relationships('https://orchard.example/Bramley');
+    expect(connections.map(({ target, relation, provider }) => ({ target, relation, provider }))).toEqual(expect.arrayContaining([
+      { target: 'Apple', relation: 'broader', provider: 'orchard' },
+      { target: 'England', relation: 'grown in', provider: 'orchard' }
+    ]));
+    expect(await source.lookup('Pear')).toBeNull();
+  });
+
+  it('reads JSON-LD', async () => {
+    const source = createRdfFileSource({
+      id: 'notes',
+      fileName: 'notes.jsonld',
+      text: JSON.stringify({ '@id': 'https://notes.example/Quince', 'http://www.w3.org/2000/01/rdf-schema#label': 'Quince' })
+    });
+    expect((await source.lookup('quince')).uri).toBe('https://notes.example/Quince');
+  });
+
+  it('reports parse errors when asked', async () => {
+    const source = createRdfFileSource({ id: 'broken', text: '<a> <b> "unterminated' });
+    await expect(source.lookup('a')).rejects.toThrow();
+  });
+});
+
+describe('SPARQL endpoint sources', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('registers the endpoint with sparqlClient and maps lookups', async () => {
+    const source = createSparqlEndpointSource({ id: 'orchard-lookup', url: 'https://orchard.example/sparql', rateLimit: 1 });
+    expect(sparqlClient.getEndpoint('orchard-lookup').url).toBe('https://orchard.example/sparql');
+
+    fetchMock.mockResolvedValueOnce(jsonResponse({ results: { bindings: [{
+      s: { value: 'https://orchard.example/Bramley' },
+      label: { value: 'Bramley' },
+      comment: { value: 'A cooking apple.' },
+      type: { value: 'https://orchard.example/Cultivar' }
+    }] } }));
+
+    expect(await source.lookup('Bramley "Seedling"')).toEqual({
+      uri: 'https://orchard.example/Bramley',
+      label: 'Bramley',
+      description: 'A cooking apple.',
+      types: ['https://orchard.example/Cultivar']
+    });
+    const [url, request] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://orchard.example/sparql');
+    expect(decodeURIComponent(request.body)).toContain('LCASE("Bramley \\"Seedling\\"")');
+
+    source.dispose();
+    expect(sparqlClient.getEndpoint('orchard-lookup')).toBeUndefined();
+  });
+
+  it('turns outgoing links into weighted connections', async () => {
+    const source = createSparqlEndpointSource({ id: 'orchard-links', url: 'https://orchard.example/sparql', rateLimit: 1 });
+    fetchMock.mockResolvedValueOnce(jsonResponse({ results: { bindings: [
+      { p: { value: 'http://dbpedia.org/ontology/genre' }, o: { value: 'https://orchard.example/Fruit' }, oLabel: { value: 'Fruit' } },
+      { p: { value: 'https://orchard.example/grownIn' }, o: { value: 'https://orchard.example/England' } }
+    ] } }));
+
+    const connections = await source.relationships('https://orchard.example/Bramley');
+    expect(decodeURIComponent(fetchMock.mock.calls[0][1].body)).toContain('BIND(<https://orchard.example/Bramley> AS ?s)');
+    expect(connections.map(({ target, relation, provider }) => ({ target, relation, provider }))).toEqual([
+      { target: 'Fruit', relation: 'genre', provider: 'orchard-links' },
+      { target: 'England', relation: 'grown in', provider: 'orchard-links' }
+    ]);
+    source.dispose();
+  });
+
+  it('rejects endpoints without a usable URL', () => {
+    expect(() => createSparqlEndpointSource({ id: 'nowhere' })).toThrow('needs an id and a url');
+    expect(() => createSparqlEndpointSource({ id: 'nowhere', url: 'not a url' })).toThrow();
+  });
+});
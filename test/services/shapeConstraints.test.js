@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import useGraphStore from '../../src/store/graphStore.jsx';
+import { exportToRedstring, importFromRedstring } from '../../src/formats/redstringFormat.js';
+import {
+  SHAPE_CONSTRAINT_KINDS,
+  createShapeConstraint,
+  normalizeShapeConstraint,
+  isOfType,
+  validateShapes,
+  violationsBySubject,
+  mergeShapeConstraints
+} from '../../src/services/shapeConstraints.js';
+
+const buildState = (constraints = {}) => {
+  const prototypes = [
+    { id: 'person', name: 'Person' },
+    { id: 'scientist', name: 'Scientist', typeNodeId: 'person' },
+    { id: 'place', name: 'Place' },
+    { id: 'ada', name: 'Ada', typeNodeId: 'scientist', description: 'Mathematician', birthDate: '1815-12-10' },
+    { id: 'alan', name: 'Alan', typeNodeId: 'scientist' },
+    { id: 'london', name: 'London', typeNodeId: 'place' },
+    { id: 'bornIn', name: 'born in' }
+  ];
+  return {
+    nodePrototypes: new Map(prototypes.map(p => [p.id, { ...p, ...(constraints[p.id] ? { shapeConstraints: constraints[p.id] } : {}) }])),
+    edges: new Map([
+      ['e-ok', { id: 'e-ok', sourceId: 'i-ada', destinationId: 'i-london', definitionNodeIds: ['bornIn'] }],
+      ['e-bad', { id: 'e-bad', sourceId: 'i-london', destinationId: 'i-alan', definitionNodeIds: ['bornIn'] }]
+    ]),
+    graphs: new Map([
+      ['g-1', {
+        id: 'g-1',
+        name: 'People',
+        instances: new Map([
+          ['i-ada', { id: 'i-ada', prototypeId: 'ada' }],
+          ['i-alan', { id: 'i-alan', prototypeId: 'alan' }],
+          ['i-london', { id: 'i-london', prototypeId: 'london' }]
+        ]),
+        edgeIds: ['e-ok', 'e-bad']
+      }],
+      ['g-2', { id: 'g-2', name: 'Empty', instances: new Map(), edgeIds: [] }]
+    ])
+  };
+};
+
+describe('shapeConstraints', () => {
+  it('normalises constraints and rejects ones it cannot check', () => {
+    const constraint = normalizeShapeConstraint({ kind: 'property', path: ' description ', minCount: '1', datatype: 'bogus', severity: 'loud' });
+    expect(constraint).toMatchObject({ path: 'description', minCount: 1, maxCount: null, datatype: null, severity: 'violation' });
+    expect(constraint.id).toBeTruthy();
+    expect(normalizeShapeConstraint({ kind: 'property', path: '' })).toBeNull();
+    expect(normalizeShapeConstraint({ kind: 'edgeEndpoints' })).toBeNull();
+    expect(normalizeShapeConstraint({ kind: 'unknown' })).toBeNull();
+  });
+
+  it('follows the type chain but does not count a type as its own instance', () => {
+    const { nodePrototypes } = buildState();
+    expect(isOfType('ada', 'scientist', nodePrototypes)).toBe(true);
+    expect(isOfType('ada', 'person', nodePrototypes)).toBe(true);
+    expect(isOfType('person', 'person', nodePrototypes)).toBe(false);
+    expect(isOfType('london', 'person', nodePrototypes)).toBe(false);
+  });
+
+  it('reports missing properties and datatype mismatches on instances of the type', () => {
+    const state = buildState({
+      person: [
+        createShapeConstraint(SHAPE_CONSTRAINT_KINDS.PROPERTY, { path: 'description', minCount: 1 }),
+        createShapeConstraint(SHAPE_CONSTRAINT_KINDS.PROPERTY, { path: 'birthDate', datatype: 'dateTime', severity: 'warning' })
+      ]
+    });
+
+    const { conforms, violations, constraintCount } = validateShapes(state, { graphId: 'g-1' });
+    expect(constraintCount).toBe(2);
+    expect(conforms).toBe(false);
+
+    const missing = violations.filter(v => v.severity === 'violation');
+    expect(missing.map(v => v.prototypeId)).toEqual(['alan']);
+    expect(missing[0].instanceIds).toEqual(['i-alan']);
+
+    const datatype = violations.filter(v => v.severity === 'warning');
+    expect(datatype.map(v => v.prototypeId)).toEqual(['ada']);
+  });
+
+  it('checks the endpoints of typed connections', () => {
+    const state = buildState({
+      bornIn: [createShapeConstraint(SHAPE_CONSTRAINT_KINDS.EDGE_ENDPOINTS, { sourceTypeId: 'person', destinationTypeId: 'place' })]
+    });
+    const { violations } = validateShapes(state);
+    expect(violations).toHaveLength(1);
+    expect(violations[0]).toMatchObject({ edgeId: 'e-bad', graphId: 'g-1', instanceIds: ['i-london', 'i-alan'] });
+    expect(violations[0].message).toContain('London is not Person');
+    expect(violations[0].message).toContain('Alan is not Place');
+
+    const bySubject = violationsBySubject(violations);
+    expect(Array.from(bySubject.keys())).toEqual(['e-bad']);
+  });
+
+  it('limits how many things of a type a graph may hold', () => {
+    const state = buildState({
+      scientist: [createShapeConstraint(SHAPE_CONSTRAINT_KINDS.MAX_PER_GRAPH, { max: 1, severity: 'info' })]
+    });
+    const { conforms, violations } = validateShapes(state);
+    expect(conforms).toBe(true);
+    expect(violations).toHaveLength(1);
+    expect(violations[0]).toMatchObject({ graphId: 'g-1', instanceIds: ['i-ada', 'i-alan'] });
+    expect(validateShapes(state, { graphId: 'g-2' }).violations).toHaveLength(0);
+  });
+
+  it('merges imported constraints by id', () => {
+    const a = createShapeConstraint('maxPerGraph', { max: 1 });
+    const b = createShapeConstraint('maxPerGraph', { max: 2 });
+    const merged = mergeShapeConstraints([a, b], [{ ...b, max: 5 }, { id: 'c', kind: 'maxPerGraph', max: 3 }]);
+    expect(merged.map(c => c.max)).toEqual([1, 5, 3]);
+  });
+});
+
+describe('setShapeConstraints', () => {
+  beforeEach(() => {
+    useGraphStore.setState({
+      graphs: new Map(),
+      nodePrototypes: new Map(),
+      edges: new Map(),
+      openGraphIds: [],
+      activeGraphId: null,
+      activeDefinitionNodeId: null,
+      rightPanelTabs: [{ type: 'home', isActive: true }],
+      expandedGraphIds: new Set(),
+      savedNodeIds: new Set(),
+      savedGraphIds: new Set(),
+    });
+  });
+
+  it('stores normalised constraints, persists them and clears them when empty', () => {
+    const store = useGraphStore.getState();
+    store.addNodePrototype({ id: 'type-1', name: 'Person', color: '#8B0000', typeNodeId: null, definitionGraphIds: [] });
+
+    store.setShapeConstraints('type-1', [{ kind: 'property', path: 'description', minCount: '1' }, { kind: 'nonsense' }]);
+    const saved = useGraphStore.getState().nodePrototypes.get('type-1').shapeConstraints;
+    expect(saved).toHaveLength(1);
+    expect(saved[0]).toMatchObject({ kind: 'property', path: 'description', minCount: 1 });
+
+    const { storeState } = importFromRedstring(exportToRedstring(useGraphStore.getState()));
+    expect(storeState.nodePrototypes.get('type-1').shapeConstraints).toEqual(saved);
+
+    store.setShapeConstraints('type-1', []);
+    expect(useGraphStore.getState().nodePrototypes.get('type-1').shapeConstraints).toBeUndefined();
+  });
+});
@@ -0,0 +1,271 @@
+// @vitest-environment node
+import http from 'http';
+import { createHash } from 'crypto';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { exportToRedstring, importFromRedstring } from '../../src/formats/redstringFormat.js';
+import {
+  SolidPodProvider,
+  SOLID_POD_CONFLICT,
+  defaultPodResourceUrl,
+  isPodResourceUrl
+} from '../../src/services/solidPodProvider.js';
+
+// Minimal stand-in for a Community Solid Server: LDP resources with strong
+// ETags, conditional PUT, and containers created on demand that list their
+// members as ldp:contains in JSON-LD.
+const createPodServer = () => {
+  const resources = new Map(); // path -> { body, etag }
+  const etagFor = (body) => `"${createHash('sha1').update(body).digest('hex')}"`;
+  const containersOf = (path) => {
+    const parts = path.split('/').filter(Boolean);
+    return parts.slice(0, -1).map((_, index) => `/${parts.slice(0, index + 1).join('/')}/`);
+  };
+
+  const server = http.createServer((req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (path.endsWith('/')) {
+        const members = Array.from(resources.keys())
+          .filter(key => key.startsWith(path) && !key.slice(path.length).includes('/'))
+          .map(key => ({ '@id': key.slice(path.length) }));
+        const known = members.length > 0 || Array.from(resources.keys()).some(key => key.startsWith(path));
+        if (!known) { res.writeHead(404); return res.end(); }
+        res.writeHead(200, { 'Content-Type': 'application/ld+json' });
+        return res.end(JSON.stringify([{ '@id': path, 'http://www.w3.org/ns/ldp#contains': members }]));
+      }
+
+      const current = resources.get(path);
+      const ifMatch = req.headers['if-match'];
+      const ifNoneMatch = req.headers['if-none-match'];
+
+      if (req.method === 'GET' || req.method === 'HEAD') {
+        if (!current) { res.writeHead(404); return res.end(); }
+        res.writeHead(200, { 'Content-Type': 'application/json', ETag: current.etag });
+        return res.end(req.method === 'GET' ? current.body : undefined);
+      }
+      if (req.method === 'PUT') {
+        if ((ifMatch && (!current || current.etag !== ifMatch)) || (ifNoneMatch === '*' && current)) {
+          res.writeHead(412); return res.end();
+        }
+        const etag = etagFor(body);
+        resources.set(path, { body, etag });
+        containersOf(path).forEach(container => {
+          if (!resources.has(container)) resources.set(container, null);
+        });
+        res.writeHead(current ? 205 : 201, { ETag: etag });
+        return res.end();
+      }
+      if (req.method === 'DELETE') {
+        if (!current) { res.writeHead(404); return res.end(); }
+        resources.delete(path);
+        res.writeHead(205); return res.end();
+      }
+      res.writeHead(405); res.end();
+    });
+  });
+
+  return {
+    server,
+    resources,
+    // Another client writing the resource directly
+    write: (path, data) => {
+      const body = JSON.stringify(data);
+      resources.set(path, { body, etag: etagFor(body) });
+    },
+    read: (path) => JSON.parse(resources.get(path).body)
+  };
+};
+
+const buildState = () => ({
+  graphs: new Map([
+    ['g1', { id: 'g1', name: 'Garden', description: '', instances: new Map([
+      ['i1', { id: 'i1', prototypeId: 'p1', x: 0, y: 0, scale: 1 }],
+      ['i2', { id: 'i2', prototypeId: 'p2', x: 200, y: 0, scale: 1 }]
+    ]), edgeIds: [], definingNodeIds: [] }]
+  ]),
+  nodePrototypes: new Map([
+    ['p1', { id: 'p1', name: 'Rose', description: '', color: '#cc0044', definitionGraphIds: [] }],
+    ['p2', { id: 'p2', name: 'Fern', description: '', color: '#228822', definitionGraphIds: [] }]
+  ]),
+  edges: new Map(),
+  openGraphIds: ['g1'],
+  activeGraphId: 'g1',
+  activeDefinitionNodeId: null,
+  expandedGraphIds: new Set(),
+  rightPanelTabs: [],
+  savedNodeIds: new Set(),
+  savedGraphIds: new Set(),
+  showConnectionNames: false
+});
+
+const prototypesOf = (data) => importFromRedstring(data).storeState.nodePrototypes;
+
+describe('SolidPodProvider', () => {
+  let pod;
+  let podUrl;
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    pod = createPodServer();
+    await new Promise(resolve => pod.server.listen(0, '127.0.0.1', resolve));
+    podUrl = `http://127.0.0.1:${pod.server.address().port}/`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => pod.server.close(resolve));
+    vi.restoreAllMocks();
+  });
+
+  beforeEach(() => pod.resources.clear());
+
+  it('places universes under redstring/ and rejects container URLs', () => {
+    expect(defaultPodResourceUrl('https://alice.example/', 'garden')).toBe('https://alice.example/redstring/garden.redstring');
+    expect(isPodResourceUrl('https://alice.example/redstring/garden.redstring')).toBe(true);
+    expect(isPodResourceUrl('https://alice.example/redstring/')).toBe(false);
+    expect(() => new SolidPodProvider({ resourceUrl: 'not a url' })).toThrow('Not a pod resource URL');
+  });
+
+  it('creates the resource on first save but never replaces one it has not read', async () => {
+    const resourceUrl = defaultPodResourceUrl(podUrl, 'garden');
+    const provider = new SolidPodProvider({ resourceUrl });
+    expect(await provider.load()).toBeNull();
+
+    const first = await provider.save(exportToRedstring(buildState()));
+    expect(first.created).toBe(true);
+    expect(first.etag).toBe(pod.resources.get('/redstring/garden.redstring').etag);
+
+    const stranger = new SolidPodProvider({ resourceUrl });
+    await expect(stranger.save(exportToRedstring(buildState()))).rejects.toMatchObject({ code: SOLID_POD_CONFLICT, status: 412 });
+  });
+
+  it('saves with the ETag it loaded and tracks the new one', async () => {
+    const resourceUrl = defaultPodResourceUrl(podUrl, 'garden');
+    pod.write('/redstring/garden.redstring', exportToRedstring(buildState()));
+
+    const provider = new SolidPodProvider({ resourceUrl });
+    const loaded = await provider.load();
+    expect(prototypesOf(loaded).get('p1').name).toBe('Rose');
+
+    const state = buildState();
+    state.nodePrototypes.get('p1').name = 'Red Rose';
+    expect(await provider.sync(state)).toEqual({ status: 'saved' });
+    expect(await provider.sync(state)).toEqual({ status: 'saved' });
+    expect(provider.etag).toBe(pod.resources.get('/redstring/garden.redstring').etag);
+    expect(prototypesOf(pod.read('/redstring/garden.redstring')).get('p1').name).toBe('Red Rose');
+  });
+
+  it('runs overlapping syncs one after another', async () => {
+    const resourceUrl = defaultPodResourceUrl(podUrl, 'garden');
+    pod.write('/redstring/garden.redstring', exportToRedstring(buildState()));
+    const provider = new SolidPodProvider({ resourceUrl });
+    await provider.load();
+
+    const first = buildState();
+    first.nodePrototypes.get('p1').name = 'Red Rose';
+    const second = buildState();
+    second.nodePrototypes.get('p1').name = 'Red Rose';
+    second.nodePrototypes.get('p2').name = 'Tree Fern';
+    // Started together, both would send the same If-Match and the second would hit a 412
+    const outcomes = await Promise.all([provider.sync(first), provider.sync(second)]);
+
+    expect(outcomes).toEqual([{ status: 'saved' }, { status: 'saved' }]);
+    const saved = prototypesOf(pod.read('/redstring/garden.redstring'));
+    expect(saved.get('p2').name).toBe('Tree Fern');
+  });
+
+  it('merges a concurrent edit from another client instead of overwriting it', async () => {
+    const resourceUrl = defaultPodResourceUrl(podUrl, 'garden');
+    pod.write('/redstring/garden.redstring', exportToRedstring(buildState()));
+    const provider = new SolidPodProvider({ resourceUrl });
+    await provider.load();
+
+    const theirs = buildState();
+    theirs.nodePrototypes.get('p2').description = 'Shade loving';
+    pod.write('/redstring/garden.redstring', exportToRedstring(theirs));
+
+    const ours = buildState();
+    ours.nodePrototypes.get('p1').color = '#ff0000';
+    const outcome = await provider.sync(ours);
+
+    expect(outcome.status).toBe('merged');
+    expect(outcome.storeState.nodePrototypes.get('p1').color).toBe('#ff0000');
+    expect(outcome.storeState.nodePrototypes.get('p2').description).toBe('Shade loving');
+    const saved = prototypesOf(pod.read('/redstring/garden.redstring'));
+    expect(saved.get('p1').color).toBe('#ff0000');
+    expect(saved.get('p2').description).toBe('Shade loving');
+  });
+
+  it('holds conflicting edits until the user chooses, then saves on top of the pod version', async () => {
+    const resourceUrl = defaultPodResourceUrl(podUrl, 'garden');
+    pod.write('/redstring/garden.redstring', exportToRedstring(buildState()));
+    const provider = new SolidPodProvider({ resourceUrl });
+    await provider.load();
+
+    const theirs = buildState();
+    theirs.nodePrototypes.get('p1').name = 'Wild Rose';
+    pod.write('/redstring/garden.redstring', exportToRedstring(theirs));
+
+    const ours = buildState();
+    ours.nodePrototypes.get('p1').name = 'Tea Rose';
+    const outcome = await provider.sync(ours);
+    expect(outcome.status).toBe('conflict');
+    expect(outcome.result.conflicts).toHaveLength(1);
+    // Further saves wait for the resolution rather than racing it
+    expect((await provider.sync(ours)).status).toBe('conflict');
+
+    const [conflict] = outcome.result.conflicts;
+    const resolved = provider.resolvePendingMerge({ [conflict.id]: 'remote' });
+    expect(resolved.nodePrototypes.get('p1').name).toBe('Wild Rose');
+    expect(await provider.sync(resolved)).toEqual({ status: 'saved' });
+    expect(prototypesOf(pod.read('/redstring/garden.redstring')).get('p1').name).toBe('Wild Rose');
+  });
+
+  it('starts from the pod version when syncing without having loaded it', async () => {
+    const resourceUrl = defaultPodResourceUrl(podUrl, 'garden');
+    pod.write('/redstring/garden.redstring', exportToRedstring(buildState()));
+
+    // e.g. after a reload, with the universe loaded from local storage instead of the pod
+    const provider = new SolidPodProvider({ resourceUrl });
+    const ours = buildState();
+    ours.nodePrototypes.delete('p2');
+    ours.graphs.get('g1').instances.delete('i2');
+    ours.nodePrototypes.get('p1').name = 'Tea Rose';
+
+    expect(await provider.sync(ours)).toEqual({ status: 'saved' });
+    const saved = prototypesOf(pod.read('/redstring/garden.redstring'));
+    expect(saved.has('p2')).toBe(false);
+    expect(saved.get('p1').name).toBe('Tea Rose');
+  });
+
+  it('recreates a universe that was deleted from the pod', async () => {
+    const resourceUrl = defaultPodResourceUrl(podUrl, 'garden');
+    pod.write('/redstring/garden.redstring', exportToRedstring(buildState()));
+    const provider = new SolidPodProvider({ resourceUrl });
+    await provider.load();
+    await fetch(resourceUrl, { method: 'DELETE' });
+
+    expect(await provider.sync(buildState())).toEqual({ status: 'saved' });
+    expect(pod.resources.has('/redstring/garden.redstring')).toBe(true);
+  });
+
+  it('lists the universes in a container', async () => {
+    expect(await SolidPodProvider.listUniverses(`${podUrl}redstring/`)).toEqual([]);
+    pod.write('/redstring/garden.redstring', exportToRedstring(buildState()));
+    pod.write('/redstring/notes.txt', 'hello');
+    pod.write('/redstring/cosmos.redstring', exportToRedstring(buildState()));
+
+    expect(await SolidPodProvider.listUniverses(`${podUrl}redstring/`)).toEqual([
+      `${podUrl}redstring/cosmos.redstring`,
+      `${podUrl}redstring/garden.redstring`
+    ]);
+  });
+
+  it('explains authorization failures', async () => {
+    const denied = async () => new Response(null, { status: 403 });
+    const provider = new SolidPodProvider({ resourceUrl: defaultPodResourceUrl(podUrl, 'garden'), fetch: denied });
+    await expect(provider.load()).rejects.toThrow('Not allowed to access');
+  });
+});
@@ -0,0 +1,124 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { exportToRedstring } from '../../src/formats/redstringFormat.js';
+import {
+  buildUniverseDataset,
+  executeSparqlQuery,
+  getQueryForm,
+  negotiateResultType,
+  withDefaultPrefixes,
+  SparqlQueryError,
+  UniverseDatasetCache
+} from '../../src/services/server/sparqlEndpoint.js';
+
+const createUniverse = () => exportToRedstring({
+  graphs: new Map([
+    ['g1', {
+      id: 'g1',
+      name: 'Solar System',
+      description: '',
+      instances: new Map([['i1', { id: 'i1', prototypeId: 'p1', x: 10, y: 20, scale: 1 }]]),
+      edgeIds: [],
+      definingNodeIds: []
+    }]
+  ]),
+  nodePrototypes: new Map([
+    ['p1', { id: 'p1', name: 'Sun', description: 'A star', color: '#ff0000', definitionGraphIds: [] }],
+    ['p2', { id: 'p2', name: 'Earth', description: 'A planet', color: '#0000ff', definitionGraphIds: [] }]
+  ]),
+  edgePrototypes: new Map(),
+  edges: new Map(),
+  openGraphIds: [],
+  activeGraphId: null,
+  expandedGraphIds: new Set(),
+  savedNodeIds: new Set(),
+  savedGraphIds: new Set(),
+  rightPanelTabs: []
+});
+
+// Minimal stand-in for express req.accepts: returns the first offered type the header allows
+const acceptsFrom = (header) => (types) => {
+  if (!header) return types[0];
+  const wanted = header.split(',').map(part => part.split(';')[0].trim());
+  if (wanted.includes('*/*')) return types[0];
+  return types.find(type => wanted.includes(type)) || false;
+};
+
+describe('sparqlEndpoint', () => {
+  let store;
+
+  beforeAll(async () => {
+    store = await buildUniverseDataset(createUniverse());
+  });
+
+  it('detects the query form after the prologue', () => {
+    expect(getQueryForm('PREFIX schema: <http://schema.org/>\n# comment\nSELECT * WHERE { ?s ?p ?o }')).toBe('SELECT');
+    expect(getQueryForm('BASE <http://x/> ask { ?s ?p ?o }')).toBe('ASK');
+    expect(getQueryForm('CONSTRUCT WHERE { ?s ?p ?o }')).toBe('CONSTRUCT');
+    expect(getQueryForm('INSERT DATA { <a> <b> <c> }')).toBeNull();
+  });
+
+  it('adds well-known prefixes only when they are used and undeclared', () => {
+    const query = 'PREFIX owl: <http://example.org/owl#>\nSELECT ?s WHERE { ?s rdfs:label ?l . ?s owl:x ?y }';
+    const expanded = withDefaultPrefixes(query);
+    expect(expanded).toContain('PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>');
+    expect(expanded).not.toContain('PREFIX owl: <http://www.w3.org/2002/07/owl#>');
+    expect(withDefaultPrefixes('SELECT * WHERE { ?s ?p ?o }')).toBe('SELECT * WHERE { ?s ?p ?o }');
+  });
+
+  it('answers SELECT queries as SPARQL JSON results', () => {
+    const result = executeSparqlQuery(store, 'SELECT ?name WHERE { ?s schema:name ?name } ORDER BY ?name');
+    expect(result.queryForm).toBe('SELECT');
+    expect(result.contentType).toBe('application/sparql-results+json');
+
+    const json = JSON.parse(result.body);
+    expect(json.head.vars).toEqual(['name']);
+    const names = json.results.bindings.map(b => b.name.value);
+    expect(names).toContain('Sun');
+    expect(names).toContain('Earth');
+  });
+
+  it('answers ASK queries in JSON and XML', () => {
+    const yes = executeSparqlQuery(store, 'ASK { ?s schema:name "Earth" }');
+    expect(JSON.parse(yes.body)).toMatchObject({ boolean: true });
+
+    const no = executeSparqlQuery(store, 'ASK { ?s schema:name "Pluto" }', { resultType: 'application/sparql-results+xml' });
+    expect(no.contentType).toBe('application/sparql-results+xml; charset=utf-8');
+    expect(no.body).toContain('<boolean>false</boolean>');
+  });
+
+  it('answers CONSTRUCT queries as Turtle by default', () => {
+    const result = executeSparqlQuery(store, 'CONSTRUCT { ?s <http://example.org/label> ?name } WHERE { ?s schema:name ?name }');
+    expect(result.contentType).toBe('text/turtle; charset=utf-8');
+    expect(result.body).toContain('<http://example.org/label> "Sun"');
+  });
+
+  it('rejects malformed queries and updates with SparqlQueryError', () => {
+    expect(() => executeSparqlQuery(store, 'SELECT WHERE {')).toThrow(SparqlQueryError);
+    expect(() => executeSparqlQuery(store, 'DELETE WHERE { ?s ?p ?o }')).toThrow(/Only SELECT/);
+    expect(() => executeSparqlQuery(store, '')).toThrow(/Missing/);
+  });
+
+  it('negotiates result formats by query form', () => {
+    expect(negotiateResultType('SELECT', acceptsFrom(undefined))).toBe('application/sparql-results+json');
+    expect(negotiateResultType('SELECT', acceptsFrom('application/sparql-results+xml'))).toBe('application/sparql-results+xml');
+    expect(negotiateResultType('ASK', acceptsFrom('application/json'))).toBe('application/sparql-results+json');
+    expect(negotiateResultType('SELECT', acceptsFrom('text/csv'))).toBe('text/csv');
+    expect(negotiateResultType('CONSTRUCT', acceptsFrom('application/n-triples'))).toBe('application/n-triples');
+    expect(negotiateResultType('CONSTRUCT', acceptsFrom('image/png'))).toBeNull();
+  });
+
+  it('caches datasets until the universe file changes', async () => {
+    let mtimeMs = 1;
+    const loadUniverseJson = vi.fn(async () => createUniverse());
+    const cache = new UniverseDatasetCache({ loadUniverseJson, statUniverse: async () => ({ mtimeMs }) });
+
+    const first = await cache.get('demo');
+    expect(await cache.get('demo')).toBe(first);
+    expect(loadUniverseJson).toHaveBeenCalledTimes(1);
+
+    mtimeMs = 2;
+    expect(await cache.get('demo')).not.toBe(first);
+    expect(loadUniverseJson).toHaveBeenCalledTimes(2);
+  });
+});
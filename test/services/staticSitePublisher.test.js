@@ -0,0 +1,216 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { exportToRedstring, REDSTRING_CONTEXT } from '../../src/formats/redstringFormat.js';
+import {
+  publishStaticSite,
+  PublishedSiteCache,
+  renderGraphSvg,
+  writeStaticSite,
+  prototypePagePath,
+  graphPagePath
+} from '../../src/services/server/staticSitePublisher.js';
+
+const buildState = () => ({
+  graphs: new Map([
+    ['g1', {
+      id: 'g1',
+      name: 'Solar System',
+      description: 'Bodies bound to the Sun',
+      instances: new Map([
+        ['i1', { id: 'i1', prototypeId: 'p1', x: 0, y: 0, scale: 1 }],
+        ['i2', { id: 'i2', prototypeId: 'p2', x: 300, y: 100, scale: 1 }]
+      ]),
+      edgeIds: ['e1'],
+      definingNodeIds: ['p3']
+    }]
+  ]),
+  nodePrototypes: new Map([
+    ['p1', {
+      id: 'p1',
+      name: 'Sun',
+      description: 'A star.\n\nThe centre of <our> system.',
+      bio: 'G-type main-sequence star',
+      color: '#ff8800',
+      citations: ['NASA fact sheet', { title: 'Solar Physics', url: 'https://example.org/solar', year: 2020 }],
+      externalLinks: ['https://en.wikipedia.org/wiki/Sun', 'wd:Q525'],
+      definitionGraphIds: []
+    }],
+    ['p2', { id: 'p2', name: 'Earth', description: '', color: '#0000ff', typeNodeId: 'p4', definitionGraphIds: [] }],
+    ['p3', { id: 'p3', name: 'Solar System', description: '', color: '#800000', definitionGraphIds: ['g1'] }],
+    ['p4', { id: 'p4', name: 'Planet', description: '', color: '#800000', definitionGraphIds: [] }]
+  ]),
+  edges: new Map([
+    ['e1', { id: 'e1', sourceId: 'i2', destinationId: 'i1', name: 'orbits', directionality: { arrowsToward: new Set(['i1']) } }]
+  ]),
+  openGraphIds: ['g1'],
+  activeGraphId: 'g1',
+  activeDefinitionNodeId: null,
+  expandedGraphIds: new Set(),
+  rightPanelTabs: [],
+  savedNodeIds: new Set(),
+  savedGraphIds: new Set(),
+  showConnectionNames: false
+});
+
+const jsonLdOf = (html) => JSON.parse(html.match(/<script type="application\/ld\+json">\n([\s\S]*?)\n<\/script>/)[1]);
+
+describe('publishStaticSite', () => {
+  const files = publishStaticSite(exportToRedstring(buildState()), { title: 'Cosmos', baseUrl: 'https://example.org/cosmos/' });
+
+  it('writes an index, a page per prototype and graph, and a stylesheet', () => {
+    expect(Object.keys(files).sort()).toEqual([
+      'graphs/g1.html',
+      'index.html',
+      'nodes/p1.html',
+      'nodes/p2.html',
+      'nodes/p3.html',
+      'nodes/p4.html',
+      'style.css'
+    ]);
+    expect(files['index.html']).toContain('<a href="graphs/g1.html">Solar System</a>');
+    expect(files['index.html']).toContain('<a href="nodes/p2.html">Earth</a>');
+  });
+
+  it('shows description, bio, citations and external links with HTML escaped', () => {
+    const page = files['nodes/p1.html'];
+    expect(page).toContain('<p>A star.</p>');
+    expect(page).toContain('The centre of &lt;our&gt; system.');
+    expect(page).toContain('G-type main-sequence star');
+    expect(page).toContain('<li>NASA fact sheet</li>');
+    expect(page).toContain('<a href="https://example.org/solar">Solar Physics</a> <span class="muted">(2020)</span>');
+    expect(page).toContain('<a href="https://en.wikipedia.org/wiki/Sun">');
+    expect(page).toContain('<code>wd:Q525</code>');
+  });
+
+  it('links back to graphs, connections, types and definitions', () => {
+    const sun = files['nodes/p1.html'];
+    expect(sun).toContain('<a href="../graphs/g1.html">Solar System</a>');
+    expect(sun).toMatch(/<a href="\.\.\/nodes\/p2\.html">Earth<\/a> <span class="muted">orbits<\/span> →/);
+
+    const earth = files['nodes/p2.html'];
+    expect(earth).toContain('Type: <a href="../nodes/p4.html">Planet</a>');
+    expect(earth).toMatch(/→ <span class="muted">orbits<\/span> <a href="\.\.\/nodes\/p1\.html">Sun<\/a>/);
+    expect(files['nodes/p4.html']).toContain('Used as type by');
+
+    // The defining node renders its definition graph inline
+    expect(files['nodes/p3.html']).toContain('<svg');
+    expect(files['graphs/g1.html']).toContain('<h3>Defines</h3>\n<ul>\n<li><a href="../nodes/p3.html">Solar System</a></li>');
+  });
+
+  it('embeds JSON-LD with the Redstring context', () => {
+    const sun = jsonLdOf(files['nodes/p1.html']);
+    expect(sun['@context']).toEqual(REDSTRING_CONTEXT);
+    expect(sun).toMatchObject({
+      '@id': 'https://example.org/cosmos/nodes/p1.html',
+      '@type': 'Prototype',
+      name: 'Sun',
+      bio: 'G-type main-sequence star',
+      sameAs: ['https://en.wikipedia.org/wiki/Sun']
+    });
+
+    const graph = jsonLdOf(files['graphs/g1.html']);
+    expect(graph['@type']).toBe('Graph');
+    expect(graph.definedBy).toEqual(['https://example.org/cosmos/nodes/p3.html']);
+    expect(graph.contains).toHaveLength(2);
+  });
+
+  it('keeps script-breaking text out of the JSON-LD block', () => {
+    const state = buildState();
+    state.nodePrototypes.get('p1').name = '</script><b>Sun</b>';
+    const page = publishStaticSite(state)['nodes/p1.html'];
+    expect(page.match(/<\/script>/g)).toHaveLength(1);
+    expect(jsonLdOf(page).name).toBe('</script><b>Sun</b>');
+  });
+
+  it('uses file-safe page names for odd ids', () => {
+    expect(prototypePagePath('node:a/b')).toBe('nodes/node_3aa_2fb.html');
+    expect(graphPagePath('g 1')).toBe('graphs/g_201.html');
+    expect(prototypePagePath('p-1')).toBe('nodes/p-1.html');
+  });
+
+  it('never gives two ids the same page', () => {
+    const ids = ['a.b', 'a_b', 'a b', 'a_2eb', 'é', '_c3_a9'];
+    expect(new Set(ids.map(prototypePagePath)).size).toBe(ids.length);
+  });
+
+  it('only links citations with http(s) URLs', () => {
+    const state = buildState();
+    state.nodePrototypes.get('p1').citations = [
+      { title: 'Evil', url: 'javascript:alert(1)' },
+      { url: 'data:text/html,<script>alert(1)</script>' },
+      'javascript:alert(2)'
+    ];
+    const page = publishStaticSite(state)['nodes/p1.html'];
+    expect(page).not.toMatch(/href="(javascript|data):/i);
+    expect(page).toContain('<li>Evil</li>');
+    expect(page).toContain('<li>javascript:alert(2)</li>');
+  });
+
+  it('falls back to the default colour for anything but hex or named colours', () => {
+    const state = buildState();
+    state.nodePrototypes.get('p1').color = 'red;background-image:url(https://evil.example/x)';
+    state.nodePrototypes.get('p2').color = 'teal';
+    const files = publishStaticSite(state);
+    expect(files['nodes/p1.html']).toContain('style="background:#800000"');
+    expect(files['nodes/p2.html']).toContain('style="background:teal"');
+    expect(files['graphs/g1.html']).not.toContain('evil.example');
+  });
+});
+
+describe('PublishedSiteCache', () => {
+  it('republishes only when the universe file changes', async () => {
+    const data = exportToRedstring(buildState());
+    let mtimeMs = 1;
+    const loadUniverseJson = vi.fn(async () => data);
+    const cache = new PublishedSiteCache({ loadUniverseJson, statUniverse: async () => ({ mtimeMs }) });
+
+    const first = await cache.get('demo', { baseUrl: 'https://a.example/site/demo' });
+    expect(await cache.get('demo', { baseUrl: 'https://a.example/site/demo' })).toBe(first);
+    expect(loadUniverseJson).toHaveBeenCalledTimes(1);
+
+    mtimeMs = 2;
+    expect(await cache.get('demo', { baseUrl: 'https://a.example/site/demo' })).not.toBe(first);
+    expect(loadUniverseJson).toHaveBeenCalledTimes(2);
+
+    cache.invalidate('demo');
+    await cache.get('demo', { baseUrl: 'https://a.example/site/demo' });
+    expect(loadUniverseJson).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('renderGraphSvg', () => {
+  it('draws nodes at their positions with linked labels and arrowed edges', () => {
+    const state = buildState();
+    const svg = renderGraphSvg(state.graphs.get('g1'), state, { hrefFor: id => `nodes/${id}.html` });
+    expect(svg).toMatch(/^<svg /);
+    expect(svg).toContain('<a href="nodes/p1.html">');
+    expect(svg).toContain('<rect x="0" y="0"');
+    expect(svg).toContain('fill="#ff8800"');
+    expect(svg).toContain('marker-end="url(#arrow)"');
+    expect(svg).toContain('>orbits</text>');
+    expect(svg.match(/<g class="node">/g)).toHaveLength(2);
+  });
+
+  it('renders an empty graph placeholder', () => {
+    const state = buildState();
+    const svg = renderGraphSvg({ id: 'g2', name: 'Empty', instances: new Map(), edgeIds: [] }, state);
+    expect(svg).toContain('Empty graph');
+  });
+});
+
+describe('writeStaticSite', () => {
+  it('writes every file under the output directory', async () => {
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'redstring-site-'));
+    try {
+      const files = publishStaticSite(buildState());
+      const written = await writeStaticSite(files, outDir, { fs, path });
+      expect(written).toHaveLength(Object.keys(files).length);
+      expect(await fs.readFile(path.join(outDir, 'graphs/g1.html'), 'utf8')).toBe(files['graphs/g1.html']);
+    } finally {
+      await fs.rm(outDir, { recursive: true, force: true });
+    }
+  });
+});
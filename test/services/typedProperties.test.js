@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizePropertyKey,
+  propertyKeyToLabel,
+  coercePropertyValue,
+  inferProperties,
+  normalizeProperties,
+  getPropertySchema,
+  getEdgePropertySchema,
+  propertiesToJsonLd,
+  propertiesFromJsonLd,
+  propertySchemaToJsonLd,
+  propertySchemaFromJsonLd,
+  propertiesFromSparqlBindings
+} from '../../src/services/typedProperties.js';
+import { getPropertyValues } from '../../src/services/shapeConstraints.js';
+
+describe('typedProperties', () => {
+  it('turns labels into keys and back', () => {
+    expect(normalizePropertyKey('Date of birth')).toBe('dateOfBirth');
+    expect(normalizePropertyKey('Élan vital!')).toBe('elanVital');
+    expect(normalizePropertyKey('2nd place')).toBe('p2ndPlace');
+    expect(normalizePropertyKey('  ')).toBe('');
+    expect(propertyKeyToLabel('dateOfBirth')).toBe('Date of birth');
+  });
+
+  it('coerces values to their type and rejects ones that do not fit', () => {
+    expect(coercePropertyValue('number', '3.5')).toBe(3.5);
+    expect(coercePropertyValue('integer', '3.5')).toBeNull();
+    expect(coercePropertyValue('boolean', 'yes')).toBe(true);
+    expect(coercePropertyValue('date', '1815-12-10')).toBe('1815-12-10');
+    expect(coercePropertyValue('date', '1815-13-45')).toBeNull();
+    expect(coercePropertyValue('url', 'not a link')).toBeNull();
+    expect(coercePropertyValue('unknown', 'x')).toBeNull();
+  });
+
+  it('normalises properties, dropping invalid values and empty entries', () => {
+    expect(normalizeProperties({
+      height: { type: 'number', values: ['1.8', 'tall'] },
+      empty: { type: 'string', values: [''] },
+      bogus: { type: 'color', values: ['red'] },
+      single: { type: 'boolean', values: 'false' }
+    })).toEqual({
+      height: { type: 'number', values: [1.8] },
+      single: { type: 'boolean', values: [false] }
+    });
+  });
+
+  it('infers types for untyped data', () => {
+    expect(inferProperties({ 'Born on': '1815-12-10', population: 42, homepage: 'https://ada.example', tags: ['a', 'b'] })).toEqual({
+      bornOn: { type: 'date', values: ['1815-12-10'] },
+      population: { type: 'integer', values: [42] },
+      homepage: { type: 'url', values: ['https://ada.example'] },
+      tags: { type: 'string', values: ['a', 'b'] }
+    });
+  });
+
+  it('writes JSON-LD literals with XSD datatypes and references as links', () => {
+    const properties = {
+      born: { type: 'date', values: ['1815-12-10'] },
+      height: { type: 'number', values: [1.65] },
+      alive: { type: 'boolean', values: [false] },
+      mentor: { type: 'reference', values: ['proto-babbage'] }
+    };
+    const jsonLd = propertiesToJsonLd(properties);
+    expect(jsonLd['prop:born']).toEqual([{ '@value': '1815-12-10', '@type': 'xsd:date' }]);
+    expect(jsonLd['prop:height']).toEqual([{ '@value': '1.65', '@type': 'xsd:decimal' }]);
+    expect(jsonLd['prop:alive']).toEqual([{ '@value': 'false', '@type': 'xsd:boolean' }]);
+    expect(jsonLd['prop:mentor']).toEqual([{ '@id': 'prototype:proto-babbage' }]);
+    expect(propertiesFromJsonLd(jsonLd)).toEqual(properties);
+  });
+
+  it('reads full XSD IRIs and untyped JSON-LD values', () => {
+    expect(propertiesFromJsonLd({
+      'https://redstring.io/vocab/property/count': { '@value': '7', '@type': 'http://www.w3.org/2001/XMLSchema#int' },
+      note: 'plain text'
+    })).toEqual({
+      count: { type: 'integer', values: [7] },
+      note: { type: 'string', values: ['plain text'] }
+    });
+  });
+
+  it('round-trips a property schema', () => {
+    const schema = [
+      { key: 'born', label: 'Born', type: 'date', multiple: false },
+      { key: 'influencedBy', label: 'Influenced by', type: 'reference', multiple: true }
+    ];
+    expect(propertySchemaFromJsonLd(propertySchemaToJsonLd(schema))).toEqual(schema);
+  });
+
+  it('inherits schemas up the type chain, nearest type first', () => {
+    const nodePrototypes = new Map([
+      ['thing', { id: 'thing', propertySchema: [{ key: 'born', type: 'string' }, { key: 'website', type: 'url' }] }],
+      ['person', { id: 'person', typeNodeId: 'thing', propertySchema: [{ key: 'born', type: 'date' }] }],
+      ['ada', { id: 'ada', typeNodeId: 'person' }],
+      ['mentorOf', { id: 'mentorOf', propertySchema: [{ key: 'since', type: 'integer' }] }]
+    ]);
+    const schema = getPropertySchema('ada', nodePrototypes);
+    expect(schema.map(entry => [entry.key, entry.type, entry.fromTypeId])).toEqual([
+      ['born', 'date', 'person'],
+      ['website', 'url', 'thing']
+    ]);
+    expect(getEdgePropertySchema({ definitionNodeIds: ['mentorOf'] }, nodePrototypes).map(entry => entry.key)).toEqual(['since']);
+  });
+
+  it('stores SPARQL bindings as typed data and links known things', () => {
+    const nodePrototypes = new Map([['p-london', { id: 'p-london', externalLinks: ['http://dbpedia.org/resource/London'] }]]);
+    const properties = propertiesFromSparqlBindings([
+      { property: 'http://dbpedia.org/ontology/birthDate', value: '1815-12-10', valueType: 'typed-literal', datatype: 'http://www.w3.org/2001/XMLSchema#date' },
+      { property: 'http://dbpedia.org/ontology/birthPlace', value: 'http://dbpedia.org/resource/London', valueType: 'uri' },
+      { property: 'http://dbpedia.org/ontology/almaMater', value: 'http://dbpedia.org/resource/Nowhere', valueType: 'uri' },
+      { property: 'http://dbpedia.org/ontology/abstract', value: 'Long text', valueType: 'literal', lang: 'en' },
+      { property: 'http://xmlns.com/foaf/0.1/name', value: 'Ada', valueType: 'literal', lang: 'fr' }
+    ], nodePrototypes);
+    expect(properties).toEqual({
+      birthDate: { type: 'date', values: ['1815-12-10'] },
+      birthPlace: { type: 'reference', values: ['p-london'] },
+      almaMater: { type: 'url', values: ['http://dbpedia.org/resource/Nowhere'] }
+    });
+  });
+
+  it('lets shape constraints check typed properties', () => {
+    const prototype = { description: 'x', properties: { born: { type: 'date', values: ['1815-12-10'] } } };
+    expect(getPropertyValues(prototype, 'born')).toEqual(['1815-12-10']);
+    expect(getPropertyValues(prototype, 'description')).toEqual(['x']);
+  });
+});
@@ -0,0 +1,209 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { exportToRedstring } from '../../src/formats/redstringFormat.js';
+import {
+  runCli,
+  parseCliArgs,
+  validateUniverse,
+  migrateUniverse,
+  universeStats,
+  readUniverse
+} from '../../src/services/server/universeCli.js';
+
+const buildState = () => ({
+  graphs: new Map([
+    ['g1', {
+      id: 'g1',
+      name: 'Solar System',
+      description: '',
+      instances: new Map([
+        ['i1', { id: 'i1', prototypeId: 'p1', x: 0, y: 0, scale: 1 }],
+        ['i2', { id: 'i2', prototypeId: 'p2', x: 300, y: 100, scale: 1 }],
+        ['i3', { id: 'i3', prototypeId: 'p3', x: 500, y: 100, scale: 1 }]
+      ]),
+      edgeIds: ['e1', 'e2'],
+      definingNodeIds: []
+    }]
+  ]),
+  nodePrototypes: new Map([
+    ['p1', { id: 'p1', name: 'Sun', description: 'A star', color: '#ff8800', definitionGraphIds: [] }],
+    ['p2', { id: 'p2', name: 'Earth', description: '', color: '#0000ff', typeNodeId: 'p4', definitionGraphIds: [] }],
+    ['p3', { id: 'p3', name: 'Mars', description: '', color: '#aa0000', typeNodeId: 'p4', definitionGraphIds: [] }],
+    ['p4', { id: 'p4', name: 'Planet', description: 'Orbits a star', color: '#800000', definitionGraphIds: [] }]
+  ]),
+  edges: new Map([
+    ['e1', { id: 'e1', sourceId: 'i2', destinationId: 'i1', name: 'orbits', directionality: { arrowsToward: new Set(['i1']) } }],
+    ['e2', { id: 'e2', sourceId: 'i3', destinationId: 'i1', name: 'orbits', directionality: { arrowsToward: new Set(['i1']) } }]
+  ]),
+  openGraphIds: ['g1'],
+  activeGraphId: 'g1',
+  activeDefinitionNodeId: null,
+  expandedGraphIds: new Set(),
+  rightPanelTabs: [],
+  savedNodeIds: new Set(),
+  savedGraphIds: new Set(),
+  showConnectionNames: false
+});
+
+const universeText = (state = buildState()) => JSON.stringify(exportToRedstring(state));
+
+// In-memory files and captured output for runCli
+const createIo = (files = {}) => {
+  const io = {
+    files: { ...files },
+    out: '',
+    err: '',
+    readFile: async (name) => {
+      if (!(name in io.files)) throw new Error(`ENOENT: ${name}`);
+      return io.files[name];
+    },
+    writeFile: async (name, text) => { io.files[name] = text; },
+    stdout: (text) => { io.out += text; },
+    stderr: (text) => { io.err += text; }
+  };
+  return io;
+};
+
+describe('universe CLI', () => {
+  // The format modules log while importing; keep test output readable
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterAll(() => vi.restoreAllMocks());
+
+  it('parses commands, value flags and boolean flags', () => {
+    expect(parseCliArgs(['convert', 'a.redstring', '-o', 'a.ttl', '--resolve-links'])).toEqual({
+      command: 'convert',
+      positional: ['a.redstring'],
+      options: { out: 'a.ttl', resolveLinks: true }
+    });
+    expect(parseCliArgs(['--help']).command).toBe('help');
+  });
+
+  it('converts to the format implied by the output extension', async () => {
+    const io = createIo({ 'u.redstring': universeText() });
+
+    expect(await runCli(['convert', 'u.redstring', '-o', 'u.ttl'], io)).toBe(0);
+    expect(io.files['u.ttl']).toContain('@prefix');
+    expect(io.files['u.ttl']).toContain('"Sun"');
+
+    expect(await runCli(['convert', 'u.redstring', '--to', 'nquads'], io)).toBe(0);
+    expect(io.out.trim().split('\n').every(line => line.endsWith(' .'))).toBe(true);
+
+    expect(await runCli(['convert', 'u.redstring', '-o', 'u.graphml'], io)).toBe(0);
+    const graphml = io.files['u.graphml'];
+    expect(graphml).toContain('<graph id="g1"');
+    expect(graphml).toContain('<data key="label">Sun</data>');
+    expect(graphml).toContain('<data key="type">Planet</data>');
+    expect(graphml).toMatch(/<edge id="e1" source="i2" target="i1" directed="true">\s*<data key="e_label">orbits<\/data>/);
+
+    expect(await runCli(['convert', 'u.redstring', '-o', 'u.gexf', '--graph', 'g1'], io)).toBe(0);
+    expect(io.files['u.gexf']).toContain('<node id="i1" label="Sun">');
+
+    expect(await runCli(['convert', 'u.redstring', '--to', 'yaml'], io)).toBe(2);
+    expect(io.err).toContain('Unknown format "yaml"');
+  });
+
+  it('validates files and exits non-zero on broken references or bad JSON', async () => {
+    const broken = exportToRedstring(buildState());
+    broken.relationships.edges.e1.sourceId = 'missing-instance';
+    broken.edges = broken.relationships.edges;
+
+    const io = createIo({ 'good.redstring': universeText(), 'broken.redstring': JSON.stringify(broken), 'bad.redstring': '{ nope', 'other.json': '{"nope":1}' });
+    expect(await runCli(['validate', 'good.redstring'], io)).toBe(0);
+    expect(io.out).toContain('✓ good.redstring');
+
+    expect(await runCli(['validate', 'good.redstring', 'broken.redstring', 'bad.redstring', '--json'], io)).toBe(1);
+    const reports = JSON.parse(io.out.slice(io.out.indexOf('[')));
+    expect(reports.map(report => report.valid)).toEqual([true, false, false]);
+    expect(reports[1].issues.some(issue => issue.rule === 'references' && issue.message.includes('missing-instance'))).toBe(true);
+    expect(reports[2].issues[0].message).toContain('not valid JSON');
+
+    expect(await runCli(['validate', 'other.json'], io)).toBe(1);
+    expect(io.out).not.toContain('✓ other.json');
+    expect(io.out).toContain('not a Redstring universe');
+  });
+
+  it('reports shape constraint violations as validation errors', async () => {
+    const state = buildState();
+    state.nodePrototypes.get('p4').shapeConstraints = [
+      { id: 'c1', kind: 'property', path: 'description', minCount: 1, severity: 'violation' }
+    ];
+    const result = await validateUniverse(exportToRedstring(state));
+    expect(result.valid).toBe(false);
+    expect(result.issues.filter(issue => issue.rule === 'shape_constraints')).toHaveLength(2);
+  });
+
+  it('migrates older files and reports when migration is needed', async () => {
+    const legacy = {
+      format: 'redstring-v1.0.0',
+      metadata: { version: '1.0.0', title: 'Old' },
+      graphs: { g1: { id: 'g1', name: 'Old graph', instances: {}, edgeIds: [] } },
+      nodePrototypes: { p1: { id: 'p1', name: 'Thing', properties: { mass: '5.97' } } },
+      edges: {}
+    };
+    const migrated = migrateUniverse(legacy);
+    expect(migrated).toMatchObject({ from: '1.0.0', to: '3.1.0', needsMigration: true });
+    expect(migrated.data.metadata).toMatchObject({ title: 'Old', originalVersion: '1.0.0' });
+    expect(readUniverse(JSON.stringify(migrated.data)).storeState.nodePrototypes.get('p1').properties)
+      .toEqual({ mass: { type: 'number', values: [5.97] } });
+
+    const io = createIo({ 'old.redstring': JSON.stringify(legacy), 'new.redstring': universeText() });
+    expect(await runCli(['migrate', 'old.redstring', '--check'], io)).toBe(1);
+    expect(await runCli(['migrate', 'new.redstring', '--check'], io)).toBe(0);
+    expect(await runCli(['migrate', 'old.redstring', '-o', 'old.redstring'], io)).toBe(0);
+    expect(JSON.parse(io.files['old.redstring']).format).toBe('redstring-v3.1.0');
+  });
+
+  it('computes statistics', () => {
+    const stats = universeStats(buildState());
+    expect(stats).toMatchObject({ graphs: 1, prototypes: 4, types: 1, instances: 3, edges: 2, unplacedPrototypes: 0 });
+    expect(stats.perGraph[0]).toEqual({ id: 'g1', name: 'Solar System', instances: 3, edges: 2, density: 0.667 });
+    expect(stats.mostConnected[0]).toEqual({ id: 'p1', name: 'Sun', connections: 2 });
+  });
+
+  it('merges three versions and refuses conflicts unless a side is preferred', async () => {
+    const base = buildState();
+    const local = buildState();
+    local.nodePrototypes.get('p1').name = 'Sol';
+    local.nodePrototypes.get('p2').color = '#00ff00';
+    const remote = buildState();
+    remote.nodePrototypes.get('p1').name = 'The Sun';
+    remote.nodePrototypes.get('p3').description = 'The red planet';
+
+    const io = createIo({ 'base': universeText(base), 'local': universeText(local), 'remote': universeText(remote) });
+    expect(await runCli(['merge', 'base', 'local', 'remote', '-o', 'merged'], io)).toBe(1);
+    expect(io.err).toContain('1 conflict');
+    expect(io.files.merged).toBeUndefined();
+
+    expect(await runCli(['merge', 'base', 'local', 'remote', '-o', 'merged', '--prefer', 'remote'], io)).toBe(0);
+    const merged = readUniverse(io.files.merged).storeState.nodePrototypes;
+    expect(merged.get('p1').name).toBe('The Sun');
+    expect(merged.get('p2').color).toBe('#00ff00');
+    expect(merged.get('p3').description).toBe('The red planet');
+  });
+
+  it('answers SPARQL queries over a universe', async () => {
+    const io = createIo({ 'u.redstring': universeText() });
+    expect(await runCli(['query', 'u.redstring', 'SELECT DISTINCT ?name WHERE { ?s rdfs:label ?name }', '--format', 'json'], io)).toBe(0);
+    const results = JSON.parse(io.out);
+    expect(results.head.vars).toEqual(['name']);
+    expect(results.results.bindings.map(binding => binding.name.value)).toEqual(expect.arrayContaining(['Sun', 'Earth', 'Solar System']));
+
+    io.out = '';
+    expect(await runCli(['query', 'u.redstring', 'ASK { ?s rdfs:label "Sun" }'], io)).toBe(0);
+    expect(JSON.parse(io.out).boolean).toBe(true);
+
+    expect(await runCli(['query', 'u.redstring', 'DELETE WHERE { ?s ?p ?o }'], io)).toBe(1);
+    expect(await runCli(['query', 'u.redstring'], io)).toBe(2);
+  });
+
+  it('prints usage for unknown commands', async () => {
+    const io = createIo();
+    expect(await runCli(['frobnicate'], io)).toBe(2);
+    expect(io.err).toContain('Unknown command "frobnicate"');
+    expect(await runCli(['help'], io)).toBe(0);
+    expect(io.out).toContain('redstring <command>');
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { exportToRedstring } from '../../src/formats/redstringFormat.js';
+import { diffUniverses, summarizeUniverseDiff } from '../../src/services/universeDiff.js';
+
+const buildState = ({ protoNames = {}, positions = {}, edges = {} } = {}) => {
+  const nodePrototypes = new Map(Object.entries({ p1: 'Cell', p2: 'Nucleus', p3: 'Membrane', ...protoNames })
+    .filter(([, name]) => name !== null)
+    .map(([id, name]) => [id, { id, name, description: '', color: '#800000', typeNodeId: null, definitionGraphIds: [] }]));
+
+  const instances = new Map(Object.entries({ i1: { prototypeId: 'p1', x: 0, y: 0 }, i2: { prototypeId: 'p2', x: 100, y: 0 }, ...positions })
+    .filter(([, inst]) => inst !== null)
+    .map(([id, inst]) => [id, { id, scale: 1, ...inst }]));
+
+  const edgeMap = new Map(Object.entries({ e1: { sourceId: 'i1', destinationId: 'i2', name: 'contains' }, ...edges })
+    .filter(([, edge]) => edge !== null)
+    .map(([id, edge]) => [id, { id, typeNodeId: null, description: '', directionality: { arrowsToward: new Set(['i2']) }, ...edge }]));
+
+  return {
+    graphs: new Map([['g1', { id: 'g1', name: 'Biology', description: '', instances, edgeIds: Array.from(edgeMap.keys()), definingNodeIds: [] }]]),
+    nodePrototypes,
+    edgePrototypes: new Map(),
+    edges: edgeMap,
+    openGraphIds: ['g1'],
+    activeGraphId: 'g1',
+    activeDefinitionNodeId: null,
+    expandedGraphIds: new Set(),
+    rightPanelTabs: [],
+    savedNodeIds: new Set(),
+    savedGraphIds: new Set(),
+    showConnectionNames: false
+  };
+};
+
+describe('diffUniverses', () => {
+  it('reports nothing for identical versions', () => {
+    const file = exportToRedstring(buildState());
+    const diff = diffUniverses(file, JSON.parse(JSON.stringify(file)));
+    expect(diff.isEmpty).toBe(true);
+    expect(summarizeUniverseDiff(diff)).toBe('No changes');
+  });
+
+  it('finds added, removed and renamed prototypes', () => {
+    const before = exportToRedstring(buildState());
+    const after = exportToRedstring(buildState({ protoNames: { p2: 'Core', p3: null, p4: 'Ribosome' } }));
+
+    const { prototypes } = diffUniverses(before, after);
+    expect(prototypes.added).toEqual([{ id: 'p4', name: 'Ribosome' }]);
+    expect(prototypes.removed).toEqual([{ id: 'p3', name: 'Membrane' }]);
+    expect(prototypes.renamed).toEqual([{ id: 'p2', from: 'Nucleus', to: 'Core' }]);
+  });
+
+  it('finds moved, added and removed instances and ignores float noise', () => {
+    const before = exportToRedstring(buildState());
+    const after = exportToRedstring(buildState({
+      positions: { i1: { prototypeId: 'p1', x: 0.2, y: 0.1 }, i2: { prototypeId: 'p2', x: 150, y: 40 }, i3: { prototypeId: 'p3', x: 0, y: 0 } }
+    }));
+
+    const { instances } = diffUniverses(before, after);
+    expect(instances.moved).toHaveLength(1);
+    expect(instances.moved[0]).toMatchObject({ instanceId: 'i2', name: 'Nucleus', from: { x: 100, y: 0 }, to: { x: 150, y: 40 } });
+    expect(instances.added.map(i => i.instanceId)).toEqual(['i3']);
+    expect(instances.removed).toEqual([]);
+  });
+
+  it('finds added, removed and changed edges', () => {
+    const before = exportToRedstring(buildState({ edges: { e2: { sourceId: 'i2', destinationId: 'i1', name: 'part of' } } }));
+    const after = exportToRedstring(buildState({
+      edges: {
+        e1: { sourceId: 'i1', destinationId: 'i2', name: 'encloses', directionality: { arrowsToward: new Set() } },
+        e2: null,
+        e3: { sourceId: 'i2', destinationId: 'i1', name: 'inside' }
+      }
+    }));
+
+    const diff = diffUniverses(before, after);
+    expect(diff.edges.changed).toEqual([{ id: 'e1', graphId: 'g1', label: 'Cell → Nucleus', fields: ['name', 'direction'] }]);
+    expect(diff.edges.removed.map(e => e.id)).toEqual(['e2']);
+    expect(diff.edges.added.map(e => [e.id, e.label])).toEqual([['e3', 'Nucleus → Cell']]);
+    expect(summarizeUniverseDiff(diff)).toBe('1 edges added, 1 edges removed, 1 edges changed');
+  });
+
+  it('treats a missing older version as everything added', () => {
+    const diff = diffUniverses(null, exportToRedstring(buildState()));
+    expect(diff.prototypes.added).toHaveLength(3);
+    expect(diff.instances.added).toHaveLength(2);
+    expect(diff.edges.added).toHaveLength(1);
+  });
+});
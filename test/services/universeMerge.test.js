@@ -0,0 +1,205 @@
+import { describe, it, expect } from 'vitest';
+import { exportToRedstring } from '../../src/formats/redstringFormat.js';
+import { mergeUniverses, resolveMergeConflicts, remoteChangesSince } from '../../src/services/universeMerge.js';
+
+const buildState = () => ({
+  graphs: new Map([['g1', {
+    id: 'g1',
+    name: 'Biology',
+    description: '',
+    instances: new Map([
+      ['i1', { id: 'i1', prototypeId: 'p1', x: 0, y: 0, scale: 1 }],
+      ['i2', { id: 'i2', prototypeId: 'p2', x: 100, y: 0, scale: 1 }]
+    ]),
+    edgeIds: ['e1'],
+    definingNodeIds: []
+  }]]),
+  nodePrototypes: new Map([
+    ['p1', { id: 'p1', name: 'Cell', description: '', color: '#800000', definitionGraphIds: [] }],
+    ['p2', { id: 'p2', name: 'Nucleus', description: '', color: '#800000', definitionGraphIds: [] }]
+  ]),
+  edges: new Map([['e1', { id: 'e1', sourceId: 'i1', destinationId: 'i2', name: 'contains', directionality: { arrowsToward: new Set(['i2']) } }]]),
+  openGraphIds: ['g1'],
+  activeGraphId: 'g1',
+  activeDefinitionNodeId: null,
+  expandedGraphIds: new Set(),
+  rightPanelTabs: [],
+  savedNodeIds: new Set(),
+  savedGraphIds: new Set(),
+  showConnectionNames: false
+});
+
+// Each side starts from a fresh copy of the base and edits it in place
+const edit = (fn) => {
+  const state = buildState();
+  fn(state);
+  return state;
+};
+
+describe('mergeUniverses', () => {
+  const base = exportToRedstring(buildState());
+
+  it('merges disjoint changes from both sides without conflicts', () => {
+    const local = edit(state => {
+      state.nodePrototypes.get('p1').name = 'Eukaryotic Cell';
+      state.nodePrototypes.set('p3', { id: 'p3', name: 'Membrane', description: '', color: '#800000', definitionGraphIds: [] });
+      state.graphs.get('g1').instances.set('i3', { id: 'i3', prototypeId: 'p3', x: 0, y: 50, scale: 1 });
+    });
+    const remote = exportToRedstring(edit(state => {
+      state.nodePrototypes.get('p2').description = 'Holds the DNA';
+      state.graphs.get('g1').instances.get('i2').x = 240;
+      state.edges.get('e1').name = 'encloses';
+      state.nodePrototypes.set('p4', { id: 'p4', name: 'Ribosome', description: '', color: '#800000', definitionGraphIds: [] });
+    }));
+
+    const { storeState, hasConflicts } = mergeUniverses(base, local, remote);
+    expect(hasConflicts).toBe(false);
+    expect(storeState.nodePrototypes.get('p1').name).toBe('Eukaryotic Cell');
+    expect(storeState.nodePrototypes.get('p2').description).toBe('Holds the DNA');
+    expect(Array.from(storeState.nodePrototypes.keys()).sort()).toEqual(['p1', 'p2', 'p3', 'p4']);
+    const instances = storeState.graphs.get('g1').instances;
+    expect(instances.get('i2').x).toBe(240);
+    expect(instances.has('i3')).toBe(true);
+    expect(storeState.edges.get('e1').name).toBe('encloses');
+    expect(storeState.activeGraphId).toBe('g1');
+  });
+
+  it('reports only fields changed differently on both sides', () => {
+    const local = edit(state => {
+      state.nodePrototypes.get('p1').name = 'Cell (local)';
+      state.nodePrototypes.get('p1').color = '#004400';
+      state.graphs.get('g1').instances.get('i1').x = 10;
+      state.graphs.get('g1').instances.get('i1').y = 10;
+    });
+    const remote = edit(state => {
+      state.nodePrototypes.get('p1').name = 'Cell (remote)';
+      state.nodePrototypes.get('p1').description = 'remote only';
+      state.graphs.get('g1').instances.get('i1').x = 50;
+      state.graphs.get('g1').panOffset = { x: 5, y: 5 };
+    });
+
+    const result = mergeUniverses(base, local, remote);
+    expect(result.conflicts.map(c => [c.id, c.local, c.remote])).toEqual([
+      ['prototype:p1:name', 'Cell (local)', 'Cell (remote)'],
+      ['instance:g1:i1:position', { x: 10, y: 10 }, { x: 50, y: 0 }]
+    ]);
+    expect(result.conflicts[1].label).toBe('"Cell (local)" in Biology');
+    // Non-conflicting fields still merge while conflicts hold the local value
+    const proto = result.storeState.nodePrototypes.get('p1');
+    expect(proto).toMatchObject({ name: 'Cell (local)', color: '#004400', description: 'remote only' });
+
+    const resolved = resolveMergeConflicts(result, { 'prototype:p1:name': 'remote', 'instance:g1:i1:position': 'remote' });
+    expect(resolved.nodePrototypes.get('p1').name).toBe('Cell (remote)');
+    expect(resolved.graphs.get('g1').instances.get('i1')).toMatchObject({ x: 50, y: 0 });
+    // The merge result itself is left untouched
+    expect(result.storeState.nodePrototypes.get('p1').name).toBe('Cell (local)');
+  });
+
+  it('treats identical edits on both sides as agreement', () => {
+    const change = state => { state.edges.get('e1').name = 'surrounds'; };
+    const result = mergeUniverses(base, edit(change), edit(change));
+    expect(result.hasConflicts).toBe(false);
+    expect(result.storeState.edges.get('e1').name).toBe('surrounds');
+  });
+
+  it('merges list fields as sets', () => {
+    const local = edit(state => { state.nodePrototypes.get('p1').definitionGraphIds = ['g1']; });
+    const remote = edit(state => { state.nodePrototypes.get('p1').definitionGraphIds = ['g2']; });
+    const result = mergeUniverses(base, local, remote);
+    expect(result.hasConflicts).toBe(false);
+    expect(result.storeState.nodePrototypes.get('p1').definitionGraphIds).toEqual(['g1', 'g2']);
+  });
+
+  it('applies one-sided deletions and drops edges left dangling', () => {
+    const local = edit(state => { state.nodePrototypes.get('p1').color = '#123456'; });
+    const remote = edit(state => {
+      state.graphs.get('g1').instances.delete('i2');
+      state.graphs.get('g1').edgeIds = [];
+      state.edges.delete('e1');
+    });
+    const { storeState, hasConflicts } = mergeUniverses(base, local, remote);
+    expect(hasConflicts).toBe(false);
+    expect(storeState.graphs.get('g1').instances.has('i2')).toBe(false);
+    expect(storeState.edges.size).toBe(0);
+    expect(storeState.graphs.get('g1').edgeIds).toEqual([]);
+  });
+
+  it('flags deleting an entity the other side edited', () => {
+    const local = edit(state => { state.nodePrototypes.get('p2').name = 'Core'; });
+    const remote = edit(state => { state.nodePrototypes.delete('p2'); });
+
+    const result = mergeUniverses(base, local, remote);
+    expect(result.conflicts).toHaveLength(1);
+    expect(result.conflicts[0]).toMatchObject({ id: 'prototype:p2:*', remote: null });
+    expect(result.storeState.nodePrototypes.has('p2')).toBe(true);
+
+    const resolved = resolveMergeConflicts(result, { 'prototype:p2:*': 'remote' });
+    expect(resolved.nodePrototypes.has('p2')).toBe(false);
+    expect(resolveMergeConflicts(result, {}).nodePrototypes.get('p2').name).toBe('Core');
+  });
+
+  it('keeps edges to an instance until its delete/edit conflict is resolved', () => {
+    const local = edit(state => {
+      state.graphs.get('g1').instances.delete('i1');
+      state.graphs.get('g1').edgeIds = [];
+      state.edges.delete('e1');
+    });
+    const remote = edit(state => {
+      state.graphs.get('g1').instances.get('i1').x = 50;
+      state.graphs.get('g1').edgeIds.push('e2');
+      state.edges.set('e2', { id: 'e2', sourceId: 'i2', destinationId: 'i1', name: 'part of', directionality: { arrowsToward: new Set(['i1']) } });
+    });
+
+    const result = mergeUniverses(base, local, remote);
+    expect(result.conflicts.map(conflict => conflict.id)).toEqual(['graph:g1:edgeIds', 'instance:g1:i1:*']);
+
+    const restored = resolveMergeConflicts(result, { 'graph:g1:edgeIds': 'remote', 'instance:g1:i1:*': 'remote' });
+    expect(restored.graphs.get('g1').instances.get('i1').x).toBe(50);
+    expect(restored.edges.has('e2')).toBe(true);
+    expect(restored.graphs.get('g1').edgeIds).toContain('e2');
+
+    const kept = resolveMergeConflicts(result, {});
+    expect(kept.graphs.get('g1').instances.has('i1')).toBe(false);
+    expect(kept.edges.has('e2')).toBe(false);
+    expect(kept.graphs.get('g1').edgeIds).toEqual([]);
+  });
+
+  it('merges against an empty base', () => {
+    const result = mergeUniverses(null, buildState(), buildState());
+    expect(result.hasConflicts).toBe(false);
+    expect(result.storeState.nodePrototypes.size).toBe(2);
+  });
+});
+
+describe('remoteChangesSince', () => {
+  it('keeps edits made while the merge was in flight', () => {
+    const snapshot = buildState();
+    const merged = edit(state => {
+      state.nodePrototypes.get('p2').description = 'Holds the DNA';
+      state.graphs.get('g1').instances.get('i2').x = 240;
+    });
+    const current = edit(state => {
+      state.nodePrototypes.get('p1').name = 'Edited meanwhile';
+      state.graphs.get('g1').instances.get('i2').x = 999;
+      state.nodePrototypes.set('p3', { id: 'p3', name: 'Membrane', description: '', color: '#800000', definitionGraphIds: [] });
+    });
+
+    const changes = remoteChangesSince(snapshot, merged, current);
+    // Only the remote description needs applying; the store's newer position and additions stay
+    expect(Array.from(changes.nodePrototypes.set.keys())).toEqual(['p2']);
+    expect(changes.nodePrototypes.set.get('p2').description).toBe('Holds the DNA');
+    expect(changes.nodePrototypes.deleted).toEqual([]);
+    expect(changes.graphs.set.size).toBe(0);
+    expect(changes.edges.set.size).toBe(0);
+  });
+
+  it('deletes what the remote removed', () => {
+    const merged = edit(state => {
+      state.graphs.get('g1').edgeIds = [];
+      state.edges.delete('e1');
+    });
+    const changes = remoteChangesSince(buildState(), merged, buildState());
+    expect(changes.edges.deleted).toEqual(['e1']);
+    expect(changes.graphs.set.get('g1').edgeIds).toEqual([]);
+  });
+});
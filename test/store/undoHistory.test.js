@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import useGraphStore from '../../src/store/graphStore.jsx';
+import undoHistory, { UndoHistory } from '../../src/store/undoHistory.js';
+
+const resetStore = () => {
+  useGraphStore.setState({
+    graphs: new Map(),
+    nodePrototypes: new Map(),
+    edges: new Map(),
+    openGraphIds: [],
+    activeGraphId: null,
+    activeDefinitionNodeId: null,
+    rightPanelTabs: [{ type: 'home', isActive: true }],
+    expandedGraphIds: new Set(),
+    savedNodeIds: new Set(),
+    savedGraphIds: new Set(),
+  });
+  undoHistory.clear();
+};
+
+const createGraph = (name) => {
+  useGraphStore.getState().createNewGraph({ name });
+  return useGraphStore.getState().activeGraphId;
+};
+
+const instanceOf = (graphId, instanceId) =>
+  useGraphStore.getState().graphs.get(graphId)?.instances?.get(instanceId);
+
+describe('undo/redo history', () => {
+  beforeEach(() => {
+    resetStore();
+  });
+
+  it('undoes and redoes an instance placement', () => {
+    const graphId = createGraph('Undo Graph');
+    const { addNodePrototype, addNodeInstance } = useGraphStore.getState();
+    addNodePrototype({ id: 'proto-1', name: 'Alpha', definitionGraphIds: [] });
+    addNodeInstance(graphId, 'proto-1', { x: 10, y: 20 }, 'inst-1');
+    expect(instanceOf(graphId, 'inst-1')).toBeTruthy();
+
+    expect(useGraphStore.getState().undo()).toBe(true);
+    expect(instanceOf(graphId, 'inst-1')).toBeUndefined();
+
+    expect(useGraphStore.getState().redo()).toBe(true);
+    expect(instanceOf(graphId, 'inst-1')).toMatchObject({ x: 10, y: 20 });
+  });
+
+  it('ignores UI-only state changes', () => {
+    const graphId = createGraph('UI Graph');
+    undoHistory.clear();
+    useGraphStore.getState().toggleShowConnectionNames();
+    useGraphStore.getState().setSelectedEdgeIds(['e1']);
+    expect(useGraphStore.getState().canUndo(graphId)).toBe(false);
+  });
+
+  it('coalesces a drag into a single undo step', () => {
+    const graphId = createGraph('Drag Graph');
+    const { addNodePrototype, addNodeInstance } = useGraphStore.getState();
+    addNodePrototype({ id: 'proto-1', name: 'Alpha', definitionGraphIds: [] });
+    addNodeInstance(graphId, 'proto-1', { x: 0, y: 0 }, 'a');
+    addNodeInstance(graphId, 'proto-1', { x: 100, y: 0 }, 'b');
+
+    const store = useGraphStore.getState();
+    store.updateNodeInstance(graphId, 'a', draft => { draft.scale = 1.1; }, { isDragging: true, phase: 'start' });
+    for (let step = 1; step <= 5; step++) {
+      store.updateMultipleNodeInstancePositions(graphId, [
+        { instanceId: 'a', x: step * 10, y: step * 5 },
+        { instanceId: 'b', x: 100 + step * 10, y: step * 5 }
+      ], { isDragging: true, phase: 'move' });
+    }
+    store.updateNodeInstance(graphId, 'a', draft => { draft.scale = 1; }, { phase: 'end', isDragging: false, finalize: true });
+
+    expect(undoHistory.getSummary(graphId).undo.slice(-3)).toEqual(['node_place', 'node_place', 'move']);
+
+    useGraphStore.getState().undo();
+    expect(instanceOf(graphId, 'a')).toMatchObject({ x: 0, y: 0, scale: 1 });
+    expect(instanceOf(graphId, 'b')).toMatchObject({ x: 100, y: 0 });
+
+    useGraphStore.getState().redo();
+    expect(instanceOf(graphId, 'a')).toMatchObject({ x: 50, y: 25, scale: 1 });
+    expect(instanceOf(graphId, 'b')).toMatchObject({ x: 150, y: 25 });
+  });
+
+  it('keeps history separate per graph tab', () => {
+    const firstGraph = createGraph('First');
+    const secondGraph = createGraph('Second');
+    const { addNodePrototype, addNodeInstance } = useGraphStore.getState();
+    addNodePrototype({ id: 'proto-1', name: 'Alpha', definitionGraphIds: [] });
+    addNodeInstance(firstGraph, 'proto-1', { x: 0, y: 0 }, 'in-first');
+    addNodeInstance(secondGraph, 'proto-1', { x: 0, y: 0 }, 'in-second');
+
+    // Active tab is the second graph; undo must not touch the first
+    useGraphStore.getState().undo();
+    expect(instanceOf(secondGraph, 'in-second')).toBeUndefined();
+    expect(instanceOf(firstGraph, 'in-first')).toBeTruthy();
+
+    useGraphStore.getState().undo(firstGraph);
+    expect(instanceOf(firstGraph, 'in-first')).toBeUndefined();
+  });
+
+  it('groups explicit transactions such as a merge and follow-up edits', () => {
+    const graphId = createGraph('Merge Graph');
+    const { addNodePrototype, addNodeInstance } = useGraphStore.getState();
+    addNodePrototype({ id: 'proto-A', name: 'Alpha', definitionGraphIds: [] });
+    addNodePrototype({ id: 'proto-B', name: 'Alpha Copy', definitionGraphIds: [] });
+    addNodeInstance(graphId, 'proto-B', { x: 5, y: 5 }, 'inst-b');
+
+    const store = useGraphStore.getState();
+    store.beginHistoryTransaction('merge');
+    store.mergeNodePrototypes('proto-A', 'proto-B');
+    store.updateNodePrototype('proto-A', proto => { proto.name = 'Alpha Merged'; });
+    store.commitHistoryTransaction();
+
+    expect(useGraphStore.getState().nodePrototypes.has('proto-B')).toBe(false);
+    useGraphStore.getState().undo();
+
+    const state = useGraphStore.getState();
+    expect(state.nodePrototypes.get('proto-B')).toBeTruthy();
+    expect(state.nodePrototypes.get('proto-A').name).toBe('Alpha');
+    expect(instanceOf(graphId, 'inst-b').prototypeId).toBe('proto-B');
+  });
+
+  it('records a merge that touches no graph in the global scope, undoable from any tab', () => {
+    const firstGraph = createGraph('First');
+    const { addNodePrototype, mergeNodePrototypes, beginHistoryTransaction, commitHistoryTransaction } = useGraphStore.getState();
+    addNodePrototype({ id: 'proto-A', name: 'Alpha', definitionGraphIds: [] });
+    addNodePrototype({ id: 'proto-B', name: 'Alpha Copy', definitionGraphIds: [] });
+
+    beginHistoryTransaction('merge duplicates');
+    mergeNodePrototypes('proto-A', 'proto-B');
+    commitHistoryTransaction();
+
+    expect(undoHistory.getSummary().undo.slice(-1)).toEqual(['merge duplicates']);
+    expect(undoHistory.getSummary(firstGraph).undo).not.toContain('merge duplicates');
+
+    const secondGraph = createGraph('Second');
+    useGraphStore.getState().undo(firstGraph);
+    expect(useGraphStore.getState().nodePrototypes.has('proto-B')).toBe(true);
+    expect(useGraphStore.getState().graphs.has(secondGraph)).toBe(true);
+
+    useGraphStore.getState().redo(secondGraph);
+    expect(useGraphStore.getState().nodePrototypes.has('proto-B')).toBe(false);
+  });
+
+  it('drops the tab of a graph whose creation is undone', () => {
+    useGraphStore.getState().createNewGraph({ name: 'Scratch' });
+    const graphId = useGraphStore.getState().activeGraphId;
+    useGraphStore.getState().undo(graphId);
+
+    const state = useGraphStore.getState();
+    expect(state.graphs.has(graphId)).toBe(false);
+    expect(state.openGraphIds).not.toContain(graphId);
+    expect(state.activeGraphId).toBeNull();
+    expect(state.canRedo(graphId)).toBe(true);
+
+    useGraphStore.getState().addNodePrototype({ id: 'proto-x', name: 'X', definitionGraphIds: [] });
+    expect(useGraphStore.getState().canRedo(graphId)).toBe(true);
+    expect(useGraphStore.getState().canRedo()).toBe(false);
+  });
+});
+
+describe('UndoHistory', () => {
+  it('compacts repeated replace patches when merging gesture steps', () => {
+    const history = new UndoHistory();
+    const path = ['graphs', 'g1', 'instances', 'a', 'x'];
+    history.record([{ op: 'replace', path, value: 1 }], [{ op: 'replace', path, value: 0 }], { context: { isDragging: true, phase: 'move' } });
+    history.record([{ op: 'replace', path, value: 2 }], [{ op: 'replace', path, value: 1 }], { context: { isDragging: true, phase: 'move' } });
+
+    const entry = history.undo('g1');
+    expect(entry.patches).toEqual([{ op: 'replace', path, value: 2 }]);
+    expect(entry.inversePatches).toEqual([{ op: 'replace', path, value: 0 }]);
+  });
+
+  it('enforces the per-scope limit', () => {
+    const history = new UndoHistory({ limit: 2 });
+    for (let i = 0; i < 3; i++) {
+      history.record(
+        [{ op: 'add', path: ['edges', `e${i}`], value: {} }],
+        [{ op: 'remove', path: ['edges', `e${i}`] }],
+        { activeGraphId: 'g1' }
+      );
+    }
+    expect(history.getSummary('g1').undo).toHaveLength(2);
+  });
+});
+
+describe('applying remote changes', () => {
+  beforeEach(() => {
+    resetStore();
+  });
+
+  it('keeps the undo history and is not an undo step itself', () => {
+    const graphId = createGraph('Remote Graph');
+    const { addNodePrototype, addNodeInstance, applyRemoteChanges } = useGraphStore.getState();
+    addNodePrototype({ id: 'proto-1', name: 'Alpha', definitionGraphIds: [] });
+    addNodeInstance(graphId, 'proto-1', { x: 10, y: 20 }, 'inst-1');
+
+    applyRemoteChanges({
+      nodePrototypes: { set: new Map([['proto-2', { id: 'proto-2', name: 'Beta', definitionGraphIds: [] }]]), deleted: [] }
+    });
+    expect(useGraphStore.getState().nodePrototypes.get('proto-2').name).toBe('Beta');
+
+    useGraphStore.getState().undo(graphId);
+    expect(instanceOf(graphId, 'inst-1')).toBeUndefined();
+    expect(useGraphStore.getState().nodePrototypes.has('proto-2')).toBe(true);
+  });
+});
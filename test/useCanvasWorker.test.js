@@ -0,0 +1,78 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useCanvasWorker } from '../src/useCanvasWorker.js';
+
+// Stands in for the module worker: ready at once, never answers a layout on its own
+class FakeWorker {
+  constructor() {
+    this.listeners = new Set();
+    this.posted = [];
+    FakeWorker.instance = this;
+    setTimeout(() => this.onmessage?.({ data: { type: 'READY' } }), 0);
+  }
+
+  addEventListener(type, listener) { this.listeners.add(listener); }
+  removeEventListener(type, listener) { this.listeners.delete(listener); }
+  postMessage(message) { this.posted.push(message); }
+  terminate() {}
+  reply(data) { this.listeners.forEach(listener => listener({ data })); }
+}
+
+const layoutRequest = { algorithm: 'grid', nodes: [{ id: 'a', x: 0, y: 0, width: 10, height: 10 }], edges: [], groups: [] };
+
+const renderReadyWorker = async () => {
+  const hook = renderHook(() => useCanvasWorker());
+  await act(async () => { await new Promise(resolve => setTimeout(resolve, 0)); });
+  return hook;
+};
+
+describe('useCanvasWorker layouts', () => {
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('settles only on the reply to its own request', async () => {
+    const { result } = await renderReadyWorker();
+    const layout = result.current.calculateLayout(layoutRequest);
+    const [{ id }] = FakeWorker.instance.posted;
+
+    FakeWorker.instance.reply({ type: 'LAYOUT_RESULT', id: id + 1, data: [] });
+    FakeWorker.instance.reply({ type: 'LAYOUT_RESULT', id, data: [{ instanceId: 'a', x: 5, y: 5 }] });
+    await expect(layout).resolves.toEqual([{ instanceId: 'a', x: 5, y: 5 }]);
+  });
+
+  it('rejects pending layouts when the worker errors', async () => {
+    const { result } = await renderReadyWorker();
+    const layout = result.current.calculateLayout(layoutRequest);
+
+    FakeWorker.instance.onerror({ message: 'boom' });
+    await expect(layout).rejects.toThrow('Canvas worker failed: boom');
+    expect(FakeWorker.instance.listeners.size).toBe(0);
+  });
+
+  it('rejects pending layouts when a reply cannot be read', async () => {
+    const { result } = await renderReadyWorker();
+    const layout = result.current.calculateLayout(layoutRequest);
+
+    FakeWorker.instance.onmessageerror({});
+    await expect(layout).rejects.toThrow('could not be read');
+  });
+
+  it('gives up on a layout the worker never answers', async () => {
+    const { result } = await renderReadyWorker();
+    vi.useFakeTimers();
+    const layout = result.current.calculateLayout(layoutRequest);
+    const settled = expect(layout).rejects.toThrow('Layout timed out');
+
+    vi.advanceTimersByTime(30000);
+    await settled;
+  });
+});